@@ -0,0 +1,189 @@
+/**
+ * Branch Deepening Tests
+ * Progressive decomposition: skeleton trees start with placeholder branches
+ * that are expanded by expand_branch or as the frontier reaches them, using
+ * learned notes and open questions, and logged for get_generation_history
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { BranchDeepening } from '../modules/branch-deepening.js';
+import { HtaTreeBuilder } from '../modules/hta-tree-builder.js';
+import { TaskCompletion } from '../modules/task-completion.js';
+import { FILE_NAMES, HTA_LEVELS, PROGRESSIVE_DEEPENING_CONFIG } from '../modules/constants.js';
+import { renderHierarchy } from '../utils/hta-hierarchy-utils.js';
+
+const placeholder = () => ({
+  id: 'objective_implementation',
+  title: 'Implementation',
+  level: HTA_LEVELS.OBJECTIVE,
+  parentId: 'goal',
+  branch: 'Implementation',
+  branchIndex: 2,
+  placeholder: true,
+  goalStatement: 'Active execution in service of: Launch a podcast',
+  completed: false
+});
+
+const tree = (openTasks = 2) => ({
+  goal: 'Launch a podcast',
+  complexity: { score: 5, main_branches: 4, estimated_tasks: 12 },
+  hierarchyNodes: [
+    { id: 'goal', title: 'Launch a podcast', level: HTA_LEVELS.GOAL, parentId: null },
+    { id: 'objective_foundation', title: 'Foundation', level: HTA_LEVELS.OBJECTIVE, parentId: 'goal', branch: 'Foundation' },
+    placeholder()
+  ],
+  frontierNodes: [
+    { id: 'mic', title: 'Choose a microphone', branch: 'Foundation', parentId: 'objective_foundation', level: HTA_LEVELS.TASK, completed: true },
+    ...Array.from({ length: openTasks }, (_, i) => ({
+      id: `open_${i + 1}`,
+      title: `Record episode ${i + 1}`,
+      branch: 'Foundation',
+      parentId: 'objective_foundation',
+      level: HTA_LEVELS.TASK,
+      duration: '30 minutes',
+      priority: 100 - i
+    }))
+  ]
+});
+
+const learningHistory = {
+  completedTopics: [{ topic: 'Choose a microphone', learned: 'Dynamic mics hide room echo' }],
+  knowledgeGaps: [
+    { question: 'How loud should episodes be', priority: 'medium' },
+    { question: 'Which host supports chapters', priority: 'high' }
+  ],
+  skillProgression: {}
+};
+
+describe('HtaTreeBuilder placeholders', () => {
+  test('decomposes a placeholder with learned notes and follow-up questions', () => {
+    const builder = new HtaTreeBuilder(null, null, null);
+    const tasks = builder.decomposeBranch(placeholder(), tree(), {
+      learned: [{ topic: 'Mic', learned: 'Dynamic mics hide room echo' }],
+      questions: ['Which host supports chapters']
+    });
+
+    expect(tasks.length).toBe(4);
+    expect(tasks.every(t => t.parentId === 'objective_implementation' && t.branch === 'Implementation')).toBe(true);
+    expect(tasks[0].description).toContain('Builds on: Dynamic mics hide room echo');
+    expect(tasks[1]).toMatchObject({
+      title: 'Explore: Which host supports chapters',
+      followUpQuestion: 'Which host supports chapters',
+      prerequisites: [tasks[0].id]
+    });
+  });
+
+  test('skeleton builds detail the first branches and leave the rest as placeholders', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-skeleton-'));
+    try {
+      const dp = new DataPersistence(dataDir, { backend: 'file' });
+      await dp.saveProjectData('pod', FILE_NAMES.CONFIG, { id: 'pod', goal: 'Launch a weekly interview podcast about local history' });
+      const builder = new HtaTreeBuilder(dp, { requireActiveProject: async () => 'pod' }, null);
+
+      const result = await builder.buildHTATree('general', 'mixed', []);
+      const htaData = await dp.loadPathHTA('pod', 'general');
+      const placeholders = htaData.hierarchyNodes.filter(n => n.placeholder);
+      const expanded = PROGRESSIVE_DEEPENING_CONFIG.INITIAL_EXPANDED_BRANCHES;
+
+      expect(placeholders.length).toBe(htaData.strategicBranches.length - expanded);
+      expect(placeholders.length).toBeGreaterThan(0);
+      expect(new Set(htaData.frontierNodes.map(n => n.branch)).size).toBe(expanded);
+      expect(placeholders[0].goalStatement).toContain('in service of: Launch a weekly interview podcast');
+      expect(result.content[0].text).toContain(`Branches Planned Later: ${placeholders.map(p => p.title).join(', ')}`);
+      expect(renderHierarchy(htaData)).toContain(`- **${placeholders[0].title}** — not planned yet`);
+    } finally {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('BranchDeepening', () => {
+  let dataDir;
+  let dp;
+  let events;
+  let eventBus;
+  const projectManagement = { requireActiveProject: async () => 'pod' };
+  const saved = async () => dp.loadProjectData('pod', FILE_NAMES.HTA);
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-deepening-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    events = [];
+    eventBus = { emit: (name, payload) => events.push({ name, payload }) };
+    await dp.saveProjectData('pod', FILE_NAMES.CONFIG, { id: 'pod', goal: 'Launch a podcast', activePath: 'general' });
+    await dp.saveProjectData('pod', FILE_NAMES.LEARNING_HISTORY, learningHistory);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('expand_branch plans a placeholder from the learning history and logs it', async () => {
+    await dp.saveProjectData('pod', FILE_NAMES.HTA, tree(6));
+    const deepening = new BranchDeepening(dp, projectManagement, null, eventBus);
+
+    const result = await deepening.expandBranch({ branch: 'implementation' });
+    expect(result.expansion).toMatchObject({
+      trigger: 'manual',
+      branch: 'Implementation',
+      learnedUsed: ['Dynamic mics hide room echo'],
+      questionsUsed: ['Which host supports chapters', 'How loud should episodes be']
+    });
+    expect(result.content[0].text).toContain('Expanded "Implementation" into 5 task(s)');
+
+    const htaData = await saved();
+    const objective = htaData.hierarchyNodes.find(n => n.id === 'objective_implementation');
+    expect(objective).not.toHaveProperty('placeholder');
+    expect(htaData.frontierNodes.filter(n => n.parentId === objective.id)).toHaveLength(5);
+    expect(events.map(e => e.name)).toEqual(['branch:expanded']);
+
+    expect((await deepening.expandBranch({ branch: 'Implementation' })).content[0].text).toContain('already expanded');
+    expect((await deepening.expandBranch({ branch: 'Marketing' })).content[0].text).toContain("Branch 'Marketing' not found");
+
+    const history = await deepening.getGenerationHistory({ limit: 5 });
+    expect(history.history).toHaveLength(1);
+    expect(history.content[0].text).toContain('Implementation: 5 task(s), on request; drew on 1 learned note(s) and 2 question(s)');
+  });
+
+  test('waits while plenty of work remains and the previous objective is under way', async () => {
+    await dp.saveProjectData('pod', FILE_NAMES.HTA, tree(6));
+    const deepening = new BranchDeepening(dp, projectManagement, null, eventBus);
+
+    expect(await deepening.expandNearFrontier('pod', 'general')).toBeNull();
+    expect((await deepening.getGenerationHistory()).placeholder_branches).toEqual(['Implementation']);
+  });
+
+  test('completing a task near the frontier expands the next placeholder', async () => {
+    await dp.saveProjectData('pod', FILE_NAMES.HTA, tree(2));
+    const completion = new TaskCompletion(dp, projectManagement, eventBus, new BranchDeepening(dp, projectManagement, null, eventBus));
+
+    const result = await completion.completeBlock({ block_id: 'open_1', outcome: 'Done', energy_level: 3, learned: 'Edit in one pass' });
+
+    expect(result.content[0].text).toContain('**New Branch Planned**: Implementation (5 tasks)');
+    const htaData = await saved();
+    expect(htaData.hierarchyNodes.some(n => n.placeholder)).toBe(false);
+    expect(htaData.frontierNodes.find(n => n.parentId === 'objective_implementation').description).toContain('Edit in one pass');
+
+    const log = await dp.loadProjectData('pod', FILE_NAMES.GENERATION_HISTORY);
+    expect(log.entries[0]).toMatchObject({ trigger: 'frontier', reason: '1 open task(s) left' });
+  });
+
+  test('a failed expansion rolls the completion back with it', async () => {
+    await dp.saveProjectData('pod', FILE_NAMES.HTA, tree(2));
+    const deepening = new BranchDeepening(dp, projectManagement, null, eventBus);
+    deepening.recordGeneration = async () => {
+      throw new Error('history unavailable');
+    };
+
+    const result = await new TaskCompletion(dp, projectManagement, eventBus, deepening)
+      .completeBlock({ block_id: 'open_1', outcome: 'Done', energy_level: 3 });
+
+    expect(result.content[0].text).toContain('history unavailable');
+    const htaData = await saved();
+    expect(htaData.hierarchyNodes.find(n => n.id === 'objective_implementation').placeholder).toBe(true);
+    expect(htaData.frontierNodes.find(n => n.id === 'open_1').completed).toBeFalsy();
+  });
+});
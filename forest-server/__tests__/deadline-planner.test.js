@@ -0,0 +1,108 @@
+/**
+ * Deadline Planner Tests
+ * Backward planning over project, path, branch and milestone deadlines
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { DeadlinePlanner } from '../modules/deadline-planner.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import { forecastDeadlines } from '../utils/deadline-forecast.js';
+import { addDays } from '../utils/recurrence.js';
+
+const task = (key, minutes, completed = false) => ({ key, minutes, completed });
+
+describe('forecastDeadlines', () => {
+  const asOf = '2025-06-01';
+
+  test('earlier deadlines count toward later ones and set slack, finish and required hours', () => {
+    const result = forecastDeadlines([
+      { id: 'project', name: 'Goal', type: 'project', targetDate: '2025-06-20', tasks: [task('a', 60), task('b', 60), task('d', 240)] },
+      { id: 'm1', name: 'Recital', type: 'milestone', targetDate: '2025-06-10', tasks: [task('a', 60), task('b', 60), task('c', 30, true)] }
+    ], { asOf, minutesPerDay: 20 });
+
+    expect(result.targets.map(t => [t.id, t.workDueMinutes, t.slackDays, t.status])).toEqual([
+      ['m1', 120, 4, 'on_track'],
+      ['project', 360, 2, 'tight']
+    ]);
+    expect(result.targets[0]).toMatchObject({ daysLeft: 10, remainingTasks: 2, totalTasks: 3, projectedFinish: '2025-06-06', latestStart: '2025-06-05' });
+    expect(result).toMatchObject({ requiredWeeklyHours: 2.1, observedWeeklyHours: 2.3, bindingTarget: 'project' });
+  });
+
+  test('flags overdue, finished and unprojectable deadlines', () => {
+    const result = forecastDeadlines([
+      { id: 'late', name: 'Late', type: 'branch', targetDate: '2025-05-30', tasks: [task('a', 30)] },
+      { id: 'done', name: 'Done', type: 'branch', targetDate: '2025-06-05', tasks: [task('b', 30, true)] },
+      { id: 'open', name: 'Open', type: 'path', targetDate: '2025-06-07', tasks: [task('c', 420)] }
+    ], { asOf, minutesPerDay: 0 });
+
+    expect(result.targets.map(t => t.status)).toEqual(['overdue', 'done', 'at_risk']);
+    // The overdue task still has to be done before the open deadline
+    expect(result.targets[2]).toMatchObject({ workDueMinutes: 450, requiredWeeklyHours: 7.5, projectedFinish: null });
+    expect(result.bindingTarget).toBe('open');
+  });
+});
+
+describe('DeadlinePlanner', () => {
+  let dataDir;
+  let dp;
+  let planner;
+  const today = new Date().toISOString().split('T')[0];
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-deadlines-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('piano', FILE_NAMES.CONFIG, {
+      id: 'piano',
+      goal: 'Play a recital',
+      activePath: 'general',
+      learning_paths: [{ path_name: 'general', priority: 'high' }]
+    });
+    await dp.saveProjectData('piano', FILE_NAMES.HTA, {
+      strategicBranches: [{ id: 'basics', title: 'Basics' }, { id: 'advanced', title: 'Advanced' }],
+      frontierNodes: [
+        { id: 'n1', branch: 'basics', duration: '60 minutes', completed: true, completedAt: new Date(Date.now() - 86400000).toISOString() },
+        { id: 'n2', branch: 'basics', duration: '2 hours', completed: false },
+        { id: 'n3', branch: 'advanced', duration: '90 minutes', completed: false }
+      ]
+    });
+    planner = new DeadlinePlanner(dp, { requireActiveProject: async () => 'piano' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('stores branch deadlines on the tree and milestones in the config', async () => {
+    await planner.setDeadline({ targetDate: addDays(today, 9), branch: 'basics' });
+    await planner.setDeadline({ targetDate: addDays(today, 365), milestoneName: 'Spring Recital', pathName: 'general' });
+
+    expect((await dp.loadProjectData('piano', FILE_NAMES.HTA)).strategicBranches[0].deadline).toBe(addDays(today, 9));
+    expect((await dp.loadProjectData('piano', FILE_NAMES.CONFIG)).milestones).toEqual([
+      { id: 'milestone_spring_recital', name: 'Spring Recital', target_date: addDays(today, 365), path_name: 'general', branch: null }
+    ]);
+
+    const invalid = await planner.setDeadline({ targetDate: 'next week' });
+    expect(invalid.content[0].text).toContain('Error setting deadline');
+
+    await planner.setDeadline({ milestoneName: 'Spring Recital', remove: true });
+    expect((await dp.loadProjectData('piano', FILE_NAMES.CONFIG)).milestones).toEqual([]);
+  });
+
+  test('forecasts from observed velocity and node durations', async () => {
+    await planner.setDeadline({ targetDate: addDays(today, 9), branch: 'Basics' });
+    await planner.setDeadline({ targetDate: addDays(today, 365), milestoneName: 'Recital' });
+
+    const result = await planner.getMilestoneForecast();
+    const [branch, milestone] = result.milestone_forecast.targets;
+
+    // 60 minutes done in the 14-day window: about 4.3 minutes a day
+    expect(branch).toMatchObject({ type: 'branch', remainingMinutes: 120, status: 'at_risk' });
+    expect(milestone).toMatchObject({ type: 'milestone', remainingMinutes: 210, status: 'on_track' });
+    expect(result.at_risk_milestones).toEqual(['Basics']);
+    expect(result.content[0].text).toContain('🔴 **Basics**');
+    expect(planner.formatStatusSummary(result.milestone_forecast)).toContain('At risk: Basics');
+  });
+});
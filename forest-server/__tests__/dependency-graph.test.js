@@ -0,0 +1,88 @@
+/**
+ * Dependency Graph Tests
+ * Topological order, CPM timings, critical path and unlock values over frontier nodes
+ */
+
+import {
+  analyzeDependencies,
+  buildTaskGraph,
+  computeUnlockValues,
+  parseDurationMinutes,
+  topologicalOrder
+} from '../utils/dependency-graph.js';
+import { TaskScorer } from '../modules/task-logic/task-scorer.js';
+import { TaskSelector } from '../modules/task-logic/task-selector.js';
+
+describe('dependency graph', () => {
+  //   a(30) ──► b(60) ──► d(30)
+  //   a(30) ──► c(15) ──┘
+  //             e(45)   (independent)
+  const nodes = [
+    { id: 'a', title: 'Setup', duration: '30 minutes' },
+    { id: 'b', title: 'Core', duration: '1 hour', prerequisites: ['a'] },
+    { id: 'c', title: 'Side', duration: 15, prerequisites: ['Setup'] },
+    { id: 'd', title: 'Capstone', duration: '30 minutes', prerequisites: ['b', 'c'] },
+    { id: 'e', title: 'Independent', duration: '45 minutes' }
+  ];
+
+  test('parses durations in minutes and hours', () => {
+    expect(parseDurationMinutes('1.5 hours')).toBe(90);
+    expect(parseDurationMinutes('20 min')).toBe(20);
+    expect(parseDurationMinutes(undefined)).toBe(30);
+  });
+
+  test('resolves title prerequisites and reports missing references', () => {
+    const graph = buildTaskGraph([...nodes, { id: 'f', title: 'Ghost', prerequisites: ['nope'] }]);
+
+    expect(graph.prerequisites.get('c')).toEqual(['a']);
+    expect(graph.dependents.get('a')).toEqual(['b', 'c']);
+    expect(graph.missing).toEqual([{ id: 'f', prerequisite: 'nope' }]);
+  });
+
+  test('orders tasks topologically and isolates cycles', () => {
+    const cyclic = [
+      ...nodes,
+      { id: 'x', title: 'X', prerequisites: ['y'] },
+      { id: 'y', title: 'Y', prerequisites: ['x'] }
+    ];
+    const { order, cyclic: stuck } = topologicalOrder(buildTaskGraph(cyclic));
+
+    expect(order).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(stuck).toEqual(['x', 'y']);
+  });
+
+  test('computes earliest starts, slack and the critical path', () => {
+    const analysis = analyzeDependencies({ frontierNodes: nodes });
+
+    expect(analysis.totalMinutes).toBe(120);
+    expect(analysis.criticalPath).toEqual(['a', 'b', 'd']);
+    expect(analysis.nodes.get('d').earliestStart).toBe(90);
+    expect(analysis.nodes.get('c').slack).toBe(45);
+    expect(analysis.nodes.get('e').slack).toBe(75);
+  });
+
+  test('completed work takes no time and is excluded from unlock values', () => {
+    const done = nodes.map(n => (n.id === 'a' ? { ...n, completed: true } : n));
+    const analysis = analyzeDependencies({ frontierNodes: done });
+    const unlocks = computeUnlockValues(buildTaskGraph(done));
+
+    expect(analysis.criticalPath).toEqual(['b', 'd']);
+    expect(unlocks.get('a').unlockValue).toBe(3);
+    expect(unlocks.get('b')).toEqual({ unlockValue: 1, directUnlocks: [] });
+  });
+
+  test('scoring rewards tasks that unblock downstream work', () => {
+    const base = { id: 't', title: 'Task', difficulty: 3, duration: '30 minutes', priority: 200 };
+    const plain = TaskScorer.calculateTaskScore(base, 3, 60, '', {});
+    const unlocking = TaskScorer.calculateTaskScore({ ...base, unlockValue: 3 }, 3, 60, '', {});
+
+    expect(unlocking - plain).toBe(45);
+  });
+
+  test('TaskSelector prefers the task on which more work depends', () => {
+    const selected = TaskSelector.selectOptimalTask({ frontierNodes: nodes }, 3, '1 hour', '', {});
+
+    expect(selected.id).toBe('a');
+    expect(selected.unlockValue).toBe(3);
+  });
+});
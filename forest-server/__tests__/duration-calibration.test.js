@@ -0,0 +1,113 @@
+/**
+ * Duration Calibration Tests
+ * Learning estimate bias from recorded actuals and applying it to schedule
+ * blocks, generated tasks and the performance report
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { DurationCalibration } from '../modules/duration-calibration.js';
+import { ScheduleGenerator } from '../modules/schedule-generator.js';
+import { TaskCompletion } from '../modules/task-completion.js';
+import { AnalyticsTools } from '../modules/analytics-tools.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import {
+  buildCalibrationModel,
+  calibrateMinutes,
+  summarizeAccuracy,
+  timeOfDayBucket
+} from '../utils/duration-calibration.js';
+
+const sample = (branch, plannedMinutes, actualMinutes, extra = {}) => ({
+  branch, plannedMinutes, actualMinutes, difficulty: 3, startHour: 10, ...extra
+});
+
+// Building work takes about twice as long as planned; reading is on target
+const samples = [
+  sample('Building', 60, 120), sample('Building', 30, 60), sample('Building', 45, 90), sample('Building', 60, 125),
+  sample('Reading', 30, 30), sample('Reading', 30, 28), sample('Reading', 45, 45), sample('Reading', 60, 62)
+];
+
+describe('calibration model', () => {
+  test('learns per-branch bias damped by the prior', () => {
+    const model = buildCalibrationModel(samples);
+
+    expect(model.overall).toEqual({ factor: 1.32, samples: 8 });
+    expect(model.branches.building).toEqual({ label: 'Building', factor: 1.67, samples: 4 });
+    // A group that holds every sample adds nothing on top of the overall factor
+    expect(model.timesOfDay.morning.factor).toBe(1.32);
+
+    expect(calibrateMinutes(model, 60, { branch: 'building', difficulty: 3, hour: 10 })).toBe(100);
+    expect(calibrateMinutes(model, 60, { branch: 'Reading' })).toBe(60);
+    expect(calibrateMinutes(null, 45, { branch: 'Building' })).toBe(45);
+    expect(timeOfDayBucket(23)).toBe('night');
+  });
+
+  test('reports accuracy before and after calibration', () => {
+    const accuracy = summarizeAccuracy(samples, buildCalibrationModel(samples));
+
+    expect(accuracy).toMatchObject({ samples: 8, rawErrorPct: 27, calibratedErrorPct: 10, overallFactor: 1.32 });
+    expect(accuracy.biasedGroups.map(group => group.label)).toEqual(['Building', 'Reading']);
+  });
+});
+
+describe('DurationCalibration', () => {
+  let dataDir;
+  let dp;
+  const projectManagement = { requireActiveProject: async () => 'app' };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-calibration-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('app', FILE_NAMES.CONFIG, { id: 'app', activePath: 'general' });
+    await dp.saveProjectData('app', FILE_NAMES.HTA, {
+      frontierNodes: [
+        { id: 'api', title: 'Build the API', branch: 'Building', difficulty: 3, duration: '45 minutes', estimatedDuration: '30 minutes', completed: false }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('completions with an actual duration record samples against the raw estimate', async () => {
+    const completion = new TaskCompletion(dp, projectManagement);
+    await completion.completeBlock({ block_id: 'api', outcome: 'Done', energy_level: 3, actual_duration: 70 });
+    await completion.completeBlock({ block_id: 'unknown_task', outcome: 'Done', energy_level: 3 });
+
+    const stored = await dp.loadGlobalData(FILE_NAMES.DURATION_CALIBRATION);
+    expect(stored.samples).toHaveLength(1);
+    expect(stored.samples[0]).toMatchObject({ projectId: 'app', nodeId: 'api', branch: 'Building', plannedMinutes: 30, actualMinutes: 70 });
+  });
+
+  test('a completion on the SQLite backend records its sample in the same transaction', async () => {
+    const sqlite = new DataPersistence(dataDir, { backend: 'sqlite' });
+    try {
+      await sqlite.saveProjectData('app', FILE_NAMES.CONFIG, { id: 'app', activePath: 'general' });
+      await sqlite.saveProjectData('app', FILE_NAMES.HTA, await dp.loadProjectData('app', FILE_NAMES.HTA));
+      await new TaskCompletion(sqlite, projectManagement).completeBlock({ block_id: 'api', outcome: 'Done', energy_level: 3, actual_duration: 70 });
+
+      const stored = await sqlite.loadGlobalData(FILE_NAMES.DURATION_CALIBRATION);
+      expect(stored.samples).toEqual([expect.objectContaining({ nodeId: 'api', plannedMinutes: 30, actualMinutes: 70 })]);
+    } finally {
+      sqlite.storage.close();
+    }
+  });
+
+  test('schedule blocks and the performance report use the learned model', async () => {
+    await dp.saveGlobalData(FILE_NAMES.DURATION_CALIBRATION, { samples });
+    const model = await new DurationCalibration(dp).loadModel();
+    const generator = new ScheduleGenerator(dp, projectManagement);
+    const task = { id: 'api', branch: 'Building', difficulty: 3, duration: '90 minutes', estimatedDuration: '60 minutes' };
+
+    expect(generator.calculateTaskDuration(task, {}, 3, model, 600)).toBe(100);
+    expect(generator.calculateTaskDuration(task, {}, 3)).toBe(60);
+
+    const report = await new AnalyticsTools(dp, projectManagement).analyzePerformance();
+    expect(report.performance_analysis.estimateAccuracy).toMatchObject({ samples: 8, calibratedErrorPct: 10 });
+    expect(report.content[0].text).toContain('Building (branch): 1.67x the estimate over 4 tasks');
+  });
+});
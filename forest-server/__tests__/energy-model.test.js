@@ -0,0 +1,146 @@
+/**
+ * Energy Model Tests
+ * Learning an energy curve from completions with decay, the get_energy_profile
+ * report, and forecasts standing in for a missing energy level
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { EnergyModel } from '../modules/energy-model.js';
+import { ScheduleGenerator } from '../modules/schedule-generator.js';
+import { TaskCompletion } from '../modules/task-completion.js';
+import { TaskSelector } from '../modules/task-logic/task-selector.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import { buildEnergyModel, forecastDay, forecastEnergy } from '../utils/energy-model.js';
+
+const NOW = new Date('2025-06-30T12:00:00Z');
+const sample = (energyLevel, hour, weekday, daysAgo = 1) => ({
+  energyLevel,
+  hour,
+  weekday,
+  recordedAt: new Date(NOW.getTime() - daysAgo * 86400000).toISOString()
+});
+
+describe('energy model utility', () => {
+  test('learns hour and weekday offsets and lets old samples fade', () => {
+    const samples = [
+      ...[1, 2, 3, 4].map(day => sample(5, 9, 1, day)),
+      ...[1, 2, 3, 4].map(day => sample(1, 15, 1, day)),
+      sample(4, 9, 3, 2),
+      sample(1, 9, 3, 300) // Ten half-lives old: barely counts
+    ];
+    const model = buildEnergyModel(samples, NOW);
+
+    expect(model.sampleCount).toBe(10);
+    expect(model.effectiveSamples).toBeGreaterThan(8);
+    expect(model.effectiveSamples).toBeLessThan(9);
+    expect(forecastEnergy(model, 9)).toBeGreaterThan(4);
+    expect(forecastEnergy(model, 15)).toBeLessThan(2);
+    expect(forecastEnergy(model, 20)).toBe(model.baseline);
+    expect(forecastDay(model, 1)).toHaveLength(24);
+    expect(forecastEnergy(null, 9)).toBeNull();
+
+    const fresh = buildEnergyModel([sample(1, 9, 3, 1), sample(5, 9, 3, 120)], NOW);
+    expect(fresh.baseline).toBeLessThan(3);
+  });
+});
+
+describe('EnergyModel', () => {
+  let dataDir;
+  let dp;
+  let energyModel;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-energy-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    energyModel = new EnergyModel(dp);
+    energyModel.now = () => NOW;
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  const seedMornings = async () => {
+    // High energy in the morning, drained in the afternoon, every day of the week
+    const samples = [];
+    for (let day = 1; day <= 7; day++) {
+      samples.push(sample(5, 9, day % 7, day), sample(5, 10, day % 7, day), sample(1, 15, day % 7, day));
+    }
+    await dp.saveGlobalData(FILE_NAMES.ENERGY_MODEL, { samples });
+  };
+
+  test('records completions and reports the learned curve', async () => {
+    const recorded = await energyModel.recordSample('p1', { type: 'learning', energyAfter: 4, completedAt: '2025-06-30T09:30:00' });
+    expect(recorded).toMatchObject({ projectId: 'p1', energyLevel: 4, hour: 9, weekday: 1 });
+    expect(await energyModel.recordSample('p1', { energyAfter: null })).toBeNull();
+    expect(await energyModel.loadModel()).toBeNull();
+    expect(await energyModel.forecast()).toEqual({ energyLevel: 3, forecast: null, source: 'default' });
+
+    const early = await energyModel.getEnergyProfile();
+    expect(early.energy_profile.active).toBe(false);
+    expect(early.content[0].text).toContain('The forecast is used once 5 completions');
+
+    await seedMornings();
+    const profile = await energyModel.getEnergyProfile({ weekday: 'mon' });
+    expect(profile.energy_profile).toMatchObject({ active: true, sample_count: 21, weekday: 'Monday' });
+    expect(profile.content[0].text).toContain('**Peak**: 9:00');
+    expect(profile.content[0].text).toContain('**Lowest**: 15:00');
+
+    const invalid = await energyModel.getEnergyProfile({ weekday: 'someday' });
+    expect(invalid.content[0].text).toContain('Invalid weekday');
+  });
+
+  test('schedules and task selection use the forecast when no energy level is given', async () => {
+    await seedMornings();
+    await dp.saveProjectData('p1', FILE_NAMES.CONFIG, {
+      id: 'p1',
+      activePath: 'general',
+      life_structure_preferences: { wake_time: '9:00 AM', sleep_time: '5:00 PM', meal_times: [] }
+    });
+    await dp.saveProjectData('p1', FILE_NAMES.HTA, {
+      frontierNodes: [
+        { id: 'easy', title: 'Easy review', duration: '45 minutes', difficulty: 1, priority: 200, completed: false },
+        { id: 'hard', title: 'Hard problem set', duration: '45 minutes', difficulty: 5, priority: 200, completed: false }
+      ]
+    });
+    const generator = new ScheduleGenerator(dp, { requireActiveProject: async () => 'p1' });
+    generator.energyModel.now = () => NOW;
+
+    const result = await generator.generateDailySchedule('2025-06-30');
+    const schedule = result.daily_schedule;
+    expect(result.content[0].text).toContain('(forecast from your completions)');
+    expect(schedule.energyByHour[9]).toBeGreaterThan(schedule.energyByHour[15]);
+    const learning = schedule.blocks.filter(b => b.type === 'learning');
+    expect(generator.parseTime(learning.find(b => b.taskId === 'hard').startTime))
+      .toBeLessThan(generator.parseTime(learning.find(b => b.taskId === 'easy').startTime));
+
+    const given = await generator.generateDailySchedule('2025-07-01', 2);
+    expect(given.daily_schedule.energyByHour).toBeUndefined();
+    expect(given.daily_schedule.energyLevel).toBe(2);
+
+    const htaData = await dp.loadProjectData('p1', FILE_NAMES.HTA);
+    expect(TaskSelector.selectOptimalTask(htaData, null, '1 hour', '', {}, null, null, 5).id).toBe('hard');
+    expect(TaskSelector.selectOptimalTask(htaData, null, '1 hour', '', {}, null, null, 1).id).toBe('easy');
+    expect(TaskSelector.selectOptimalTask(htaData, 1, '1 hour', '', {}, null, null, 5).id).toBe('easy');
+  });
+
+  test('a completion on the SQLite backend records its sample in the same transaction', async () => {
+    const sqlite = new DataPersistence(dataDir, { backend: 'sqlite' });
+    try {
+      await sqlite.saveProjectData('p1', FILE_NAMES.CONFIG, { id: 'p1', activePath: 'general' });
+      await sqlite.saveProjectData('p1', FILE_NAMES.HTA, {
+        frontierNodes: [{ id: 'scales', title: 'Play scales', duration: '30 minutes', completed: false }]
+      });
+      const completion = new TaskCompletion(sqlite, { requireActiveProject: async () => 'p1' });
+      await completion.completeBlock({ block_id: 'scales', outcome: 'Done', energy_level: 4 });
+
+      const saved = await sqlite.loadGlobalData(FILE_NAMES.ENERGY_MODEL);
+      expect(saved.samples).toEqual([expect.objectContaining({ projectId: 'p1', energyLevel: 4 })]);
+    } finally {
+      sqlite.storage.close();
+    }
+  });
+});
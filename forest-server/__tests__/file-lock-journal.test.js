@@ -0,0 +1,249 @@
+/**
+ * File Lock & Journal Tests
+ * Cross-process advisory locks, stale-lock detection and undo journal
+ * recovery for the file storage backend
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { FileLockManager, FileStorageAdapter, isLockStale } from '../modules/storage/index.js';
+import { LockTimeoutError } from '../modules/errors.js';
+
+let dataDir;
+
+// A pid that belonged to a process which has already exited
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+const adapter = () => new FileStorageAdapter(dataDir, { lock: { timeoutMs: 200, retryMs: 5 } });
+
+const exists = file => fs.access(file).then(() => true, () => false);
+
+// Leave the adapter's locks and journals on disk as if its process had died
+async function simulateCrash(storage) {
+  const pid = deadPid();
+  for (const [lockPath, entry] of storage.locks.held) {
+    clearInterval(entry.heartbeat);
+    await fs.writeFile(lockPath, JSON.stringify({ pid, hostname: os.hostname(), token: 'dead' }));
+  }
+  storage.locks.held.clear();
+}
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-journal-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('FileLockManager', () => {
+  test('waits for a live holder, times out, then acquires once released', async () => {
+    const lockPath = path.join(dataDir, 'journal', 'projects', 'music.lock');
+    const first = new FileLockManager({ retryMs: 5 });
+    const second = new FileLockManager({ timeoutMs: 50, retryMs: 5 });
+
+    const release = await first.acquire(lockPath);
+    await expect(second.acquire(lockPath)).rejects.toBeInstanceOf(LockTimeoutError);
+    expect(await second.acquire(lockPath, { timeoutMs: 0 })).toBeNull();
+
+    await release();
+    const releaseSecond = await second.acquire(lockPath);
+    expect(JSON.parse(await fs.readFile(lockPath, 'utf8')).pid).toBe(process.pid);
+    await releaseSecond();
+    expect(await exists(lockPath)).toBe(false);
+  });
+
+  test('is re-entrant within one manager', async () => {
+    const lockPath = path.join(dataDir, 'global.lock');
+    const locks = new FileLockManager();
+
+    const outer = await locks.acquire(lockPath);
+    const inner = await locks.acquire(lockPath);
+    await inner();
+    expect(await exists(lockPath)).toBe(true);
+    await outer();
+    expect(await exists(lockPath)).toBe(false);
+  });
+
+  test('makes other owners in the same process wait', async () => {
+    const lockPath = path.join(dataDir, 'global.lock');
+    const locks = new FileLockManager({ timeoutMs: 50, retryMs: 5 });
+
+    const first = await locks.acquire(lockPath, { owner: 'tx_1' });
+    expect(await locks.acquire(lockPath, { owner: 'tx_2', timeoutMs: 0 })).toBeNull();
+    await expect(locks.acquire(lockPath, { owner: 'tx_2' })).rejects.toBeInstanceOf(LockTimeoutError);
+
+    await first();
+    await (await locks.acquire(lockPath, { owner: 'tx_2' }))();
+    expect(await exists(lockPath)).toBe(false);
+  });
+
+  test('breaks locks of dead processes and locks without a recent heartbeat', async () => {
+    const lockPath = path.join(dataDir, 'global.lock');
+    const locks = new FileLockManager({ timeoutMs: 100, retryMs: 5, staleMs: 1000 });
+
+    await fs.writeFile(lockPath, JSON.stringify({ pid: deadPid(), hostname: os.hostname(), token: 'a' }));
+    await (await locks.acquire(lockPath))();
+
+    await fs.writeFile(lockPath, JSON.stringify({ pid: 1, hostname: 'elsewhere', token: 'b' }));
+    const old = new Date(Date.now() - 5000);
+    await fs.utimes(lockPath, old, old);
+    await (await locks.acquire(lockPath))();
+
+    expect(isLockStale({ pid: process.pid, hostname: os.hostname() }, Date.now(), 1000)).toBe(false);
+    expect(isLockStale({ pid: 1, hostname: 'elsewhere' }, Date.now() - 2000, 1000)).toBe(true);
+  });
+});
+
+describe('undo journal', () => {
+  test('a committed transaction leaves no journal, backups or locks behind', async () => {
+    const storage = adapter();
+    await storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 1 });
+
+    const transaction = storage.beginTransaction();
+    await storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 2 }, transaction);
+    await storage.write({ projectId: 'music', pathName: 'general', fileName: 'hta.json' }, { n: 1 }, transaction);
+    await storage.commitTransaction(transaction);
+
+    expect(await storage.read({ projectId: 'music', fileName: 'config.json' })).toEqual({ v: 2 });
+    expect(await fs.readdir(path.join(dataDir, 'journal', 'projects'))).toEqual(['music']);
+    expect(await fs.readdir(path.join(dataDir, 'journal', 'projects', 'music'))).toEqual([]);
+    expect((await fs.readdir(path.join(dataDir, 'projects', 'music'))).sort()).toEqual(['config.json', 'paths']);
+  });
+
+  test('rollback restores the original version after repeated writes and removes created files', async () => {
+    const storage = adapter();
+    await storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 1 });
+
+    const transaction = storage.beginTransaction();
+    await storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 2 }, transaction);
+    await storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 3 }, transaction);
+    await storage.write({ projectId: 'music', fileName: 'day_2025-03-04.json' }, { blocks: [] }, transaction);
+    expect(await storage.rollbackTransaction(transaction)).toEqual([]);
+
+    expect(await storage.read({ projectId: 'music', fileName: 'config.json' })).toEqual({ v: 1 });
+    expect(await storage.read({ projectId: 'music', fileName: 'day_2025-03-04.json' })).toBeNull();
+    expect(storage.locks.held.size).toBe(0);
+  });
+
+  test('recovery discards an uncommitted transaction of a crashed process', async () => {
+    const crashed = adapter();
+    await crashed.write({ projectId: 'music', fileName: 'config.json' }, { v: 1 });
+
+    const transaction = crashed.beginTransaction();
+    await crashed.write({ projectId: 'music', fileName: 'config.json' }, { v: 2 }, transaction);
+    await crashed.write({ projectId: 'music', pathName: 'general', fileName: 'hta.json' }, { n: 1 }, transaction);
+    await simulateCrash(crashed);
+
+    const report = await adapter().recover();
+
+    expect(report.discarded).toEqual([
+      { projectId: 'music', transactionId: transaction.id, files: ['config.json', 'paths/general/hta.json'] }
+    ]);
+    const fresh = adapter();
+    expect(await fresh.read({ projectId: 'music', fileName: 'config.json' })).toEqual({ v: 1 });
+    expect(await fresh.read({ projectId: 'music', pathName: 'general', fileName: 'hta.json' })).toBeNull();
+    expect(await fs.readdir(path.join(dataDir, 'projects', 'music'))).toEqual(['config.json', 'paths']);
+    expect(await exists(fresh.getLockPath('music'))).toBe(false);
+  });
+
+  test('journals only what is needed to undo a write, before the write', async () => {
+    const storage = adapter();
+    await storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 1 });
+
+    const transaction = storage.beginTransaction();
+    await storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 2 }, transaction);
+    await storage.write({ projectId: 'music', fileName: 'day_2025-03-04.json' }, { blocks: [] }, transaction);
+    const journalPath = transaction.journals.get('music').path;
+
+    expect(journalPath.endsWith('.undo')).toBe(true);
+    expect(JSON.parse(await fs.readFile(journalPath, 'utf8')).files).toEqual({
+      'config.json': { existed: true },
+      'day_2025-03-04.json': { existed: false }
+    });
+    expect(JSON.parse(await fs.readFile(path.join(dataDir, 'projects', 'music', `config.json.backup_${transaction.id}`), 'utf8'))).toEqual({ v: 1 });
+    await storage.rollbackTransaction(transaction);
+  });
+
+  test('recovery keeps the writes of a transaction that reached its commit point', async () => {
+    const crashed = adapter();
+    await crashed.write({ fileName: 'config.json' }, { activeProject: 'old' });
+
+    const transaction = crashed.beginTransaction();
+    await crashed.write({ fileName: 'config.json' }, { activeProject: 'music' }, transaction);
+    const journal = transaction.journals.get('');
+    journal.doc.state = 'committed';
+    await crashed.writeJournal(journal);
+    // Crash before the backups were removed
+    await simulateCrash(crashed);
+
+    const report = await adapter().recover();
+
+    expect(report.completed).toEqual([{ projectId: null, transactionId: transaction.id, files: ['config.json'] }]);
+    expect(await adapter().read({ fileName: 'config.json' })).toEqual({ activeProject: 'music' });
+    expect(await exists(path.join(dataDir, `config.json.backup_${transaction.id}`))).toBe(false);
+    expect(await fs.readdir(path.join(dataDir, 'journal', 'global'))).toEqual([]);
+  });
+
+  test('recovery leaves journals of a live process alone', async () => {
+    const live = adapter();
+    const transaction = live.beginTransaction();
+    await live.write({ projectId: 'music', fileName: 'config.json' }, { v: 1 }, transaction);
+
+    const report = await adapter().recover();
+
+    expect(report.skipped).toHaveLength(1);
+    expect(report.discarded).toHaveLength(0);
+    await live.commitTransaction(transaction);
+    expect(await live.read({ projectId: 'music', fileName: 'config.json' })).toEqual({ v: 1 });
+  });
+
+  test('transactions of one process take turns on a project', async () => {
+    const storage = adapter();
+    const order = [];
+
+    const first = storage.beginTransaction();
+    await storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 1 }, first);
+    const second = storage.beginTransaction();
+    const secondWrite = storage.write({ projectId: 'music', fileName: 'config.json' }, { v: 2 }, second)
+      .then(() => order.push('second wrote'));
+    const plainWrite = storage.write({ projectId: 'music', fileName: 'notes.json' }, { n: 1 })
+      .then(() => order.push('plain wrote'));
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    order.push('first rolling back');
+    await storage.rollbackTransaction(first);
+    await secondWrite;
+    await storage.commitTransaction(second);
+    await plainWrite;
+
+    expect(order[0]).toBe('first rolling back');
+    expect(order).toHaveLength(3);
+    expect(await storage.read({ projectId: 'music', fileName: 'config.json' })).toEqual({ v: 2 });
+    expect(await storage.read({ projectId: 'music', fileName: 'notes.json' })).toEqual({ n: 1 });
+  });
+});
+
+describe('DataPersistence project locking', () => {
+  test('lockProject serialises transactions across instances and refreshes cached reads', async () => {
+    const first = new DataPersistence(dataDir, { storage: adapter() });
+    const second = new DataPersistence(dataDir, { storage: adapter() });
+    await first.saveProjectData('music', 'config.json', { id: 'music', progress: 10 });
+    expect((await first.loadProjectData('music', 'config.json')).progress).toBe(10);
+
+    await second.executeInTransaction(async transaction => {
+      await second.lockProject('music', transaction);
+      await expect(first.executeInTransaction(tx => first.lockProject('music', tx), 'blocked'))
+        .rejects.toBeInstanceOf(LockTimeoutError);
+      await second.saveProjectData('music', 'config.json', { id: 'music', progress: 20 }, transaction);
+    }, 'writer');
+
+    await first.executeInTransaction(async transaction => {
+      await first.lockProject('music', transaction);
+      expect((await first.loadProjectData('music', 'config.json')).progress).toBe(20);
+    }, 'reader');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Focus Sessions Tests
+ * Timing across pauses and resumes, and automatic block completion that
+ * carries the focused time onto the HTA node, or hands back its arguments
+ * when completion fails
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { FocusSessions } from '../modules/focus-sessions.js';
+import { TaskCompletion } from '../modules/task-completion.js';
+import { FILE_NAMES } from '../modules/constants.js';
+
+describe('FocusSessions', () => {
+  let dataDir;
+  let dp;
+  let completion;
+  let sessions;
+  let clock;
+  const projectManagement = { requireActiveProject: async () => 'guitar' };
+  const today = new Date().toISOString().split('T')[0];
+  const at = minutes => new Date(Date.parse(`${today}T09:00:00.000Z`) + minutes * 60000);
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-focus-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('guitar', FILE_NAMES.CONFIG, { id: 'guitar', activePath: 'general' });
+    await dp.saveProjectData('guitar', FILE_NAMES.HTA, {
+      frontierNodes: [
+        { id: 'chords', title: 'Learn open chords', branch: 'basics', duration: '30 minutes', completed: false }
+      ]
+    });
+    await dp.saveProjectData('guitar', FILE_NAMES.DAILY_SCHEDULE(today), {
+      blocks: [{ id: 'block_1', type: 'learning', title: 'Learn open chords', taskId: 'chords', duration: 30 }]
+    });
+    completion = new TaskCompletion(dp, projectManagement);
+    sessions = new FocusSessions(dp, projectManagement, completion);
+    clock = 0;
+    sessions.now = () => at(clock);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('pauses count as interruptions and not as focused time', async () => {
+    const started = await sessions.startSession('block_1');
+    expect(started.focus_session).toMatchObject({ task_id: 'chords', planned_minutes: 30, state: 'running' });
+
+    clock = 10;
+    await sessions.pauseSession('Phone call');
+    clock = 15;
+    const conflict = await sessions.startSession('other_block');
+    expect(conflict.content[0].text).toContain('end it with `end_focus_session` first');
+
+    await sessions.startSession('block_1');
+    clock = 27.5;
+    const ended = await sessions.endSession({ complete: false });
+
+    expect(ended.focus_session).toMatchObject({
+      focused_minutes: 22.5,
+      elapsed_minutes: 27.5,
+      paused_minutes: 5,
+      interruptions: 1,
+      interruption_reasons: ['Phone call']
+    });
+    expect(ended.complete_block_args).toEqual({ block_id: 'block_1', actual_duration: 23 });
+
+    const state = await dp.loadProjectData('guitar', FILE_NAMES.FOCUS_SESSIONS);
+    expect(state.active).toBeNull();
+    expect(state.history).toHaveLength(1);
+  });
+
+  test('ending completes the block and records actuals on the HTA node', async () => {
+    await sessions.startSession('block_1');
+    clock = 25;
+
+    const ended = await sessions.endSession({ outcome: 'Clean changes', difficulty_rating: 4 });
+
+    expect(ended.block_completed).toMatchObject({ completed: true, actualDuration: 25, focusSession: { interruptions: 0 } });
+    expect(ended.content[0].text).toContain('**Time Spent**');
+
+    const hta = await dp.loadProjectData('guitar', FILE_NAMES.HTA);
+    expect(hta.frontierNodes[0]).toMatchObject({ completed: true, actualDuration: '25 minutes', actualDifficulty: 4 });
+
+    const idle = await sessions.endSession();
+    expect(idle.content[0].text).toContain('No focus session is active');
+  });
+
+  test('a failed completion hands back the complete_block arguments', async () => {
+    await sessions.startSession('block_1');
+    clock = 20;
+    sessions.taskCompletion = {
+      completeBlock: async () => ({ content: [{ type: 'text', text: 'Error completing block: disk full' }] })
+    };
+
+    const ended = await sessions.endSession({ outcome: 'Clean changes' });
+
+    expect(ended.block_completed).toBeUndefined();
+    expect(ended.complete_block_args).toEqual({ block_id: 'block_1', actual_duration: 20 });
+    expect(ended.content[0].text).toContain('⚠️ Error completing block: disk full\nRetry with `complete_block` (block_id "block_1", actual_duration 20)');
+    expect((await dp.loadProjectData('guitar', FILE_NAMES.FOCUS_SESSIONS)).active).toBeNull();
+
+    // The returned arguments are enough to finish the block afterwards
+    const retried = await completion.completeBlock({
+      blockId: ended.complete_block_args.block_id,
+      actualDuration: ended.complete_block_args.actual_duration,
+      outcome: 'Clean changes',
+      energyLevel: 3
+    });
+    expect(retried.block_completed).toMatchObject({ completed: true, actualDuration: 20 });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * HTA Editor Tests
+ * Manual task CRUD: add_task, update_task, delete_task, move_task and
+ * reorder_branch, with model validation, consistent prerequisites and events
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { HtaEditor } from '../modules/hta-editor.js';
+import { HtaNode } from '../models/hta-node.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import { detachNode, reorderBranch } from '../utils/hta-edits.js';
+
+describe('hta edit utility', () => {
+  test('deleting a step hands its prerequisites to the tasks after it', () => {
+    const nodes = [
+      { id: 'a', title: 'A', prerequisites: [] },
+      { id: 'c', title: 'C', prerequisites: ['B', 'a'] },
+      { id: 'd', title: 'D', prerequisites: ['x'] }
+    ];
+    expect(detachNode(nodes, { id: 'b', title: 'B', prerequisites: ['a'] })).toEqual(['c']);
+    expect(nodes[1].prerequisites).toEqual(['a']);
+    expect(nodes[2].prerequisites).toEqual(['x']);
+  });
+
+  test('reorders a branch in place and hands out its priorities in order', () => {
+    const nodes = [
+      { id: 'a', title: 'A', branch: 'one', priority: 300 },
+      { id: 'x', title: 'X', branch: 'two', priority: 900 },
+      { id: 'b', title: 'B', branch: 'one', priority: 100, prerequisites: ['c'] },
+      { id: 'c', title: 'C', branch: 'one', priority: 200 }
+    ];
+    const result = reorderBranch(nodes, 'one', ['B', 'a']);
+
+    expect(result.nodes.map(n => [n.id, n.priority])).toEqual([['b', 300], ['x', 900], ['a', 200], ['c', 100]]);
+    expect(result.order).toEqual(['b', 'a', 'c']);
+    expect(result.warnings).toEqual(["'B' now comes before its prerequisite 'C'"]);
+    expect(() => reorderBranch(nodes, 'one', ['x'])).toThrow("is in branch 'two'");
+  });
+
+  test('HtaNode.update rejects invalid values instead of defaulting them', () => {
+    const node = new HtaNode({ id: 'n', title: 'Scales', branch: 'basics' });
+
+    expect(() => node.update({ difficulty: 11 })).toThrow('Invalid difficulty');
+    expect(() => node.update({ duration: 'soon' })).toThrow('Invalid duration');
+    expect(() => node.update({ title: ' ' })).toThrow('title must be a non-empty string');
+    expect(() => node.update({ prerequisites: ['n'] })).toThrow('its own prerequisite');
+    expect(node.update({ duration: '1.5 hours', priority: 250.4 })).toMatchObject({ duration: '90 minutes', priority: 250 });
+  });
+});
+
+describe('HtaEditor', () => {
+  let dataDir;
+  let dp;
+  let editor;
+  let events;
+
+  const frontier = async () => (await dp.loadProjectData('music', FILE_NAMES.HTA)).frontierNodes;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-editor-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    events = [];
+    const eventBus = { emit: (name, payload) => events.push({ name, payload }) };
+    editor = new HtaEditor(dp, { requireActiveProject: async () => 'music' }, eventBus);
+
+    await dp.saveProjectData('music', FILE_NAMES.CONFIG, { id: 'music', activePath: 'general' });
+    await dp.saveProjectData('music', FILE_NAMES.HTA, {
+      frontierNodes: [
+        { id: 'scales', title: 'Scales', branch: 'technique', priority: 300, duration: '30 minutes', prerequisites: [] },
+        { id: 'arpeggios', title: 'Arpeggios', branch: 'technique', priority: 200, duration: '30 minutes', prerequisites: ['Scales'] },
+        { id: 'etude', title: 'Etude', branch: 'repertoire', priority: 100, duration: '45 minutes', prerequisites: ['arpeggios'] }
+      ],
+      strategicBranches: [{ id: 'technique', title: 'Technique', order: 0 }, { id: 'repertoire', title: 'Repertoire', order: 1 }]
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('adds a validated task and announces it', async () => {
+    const added = await editor.addTask({ title: 'Sight reading', branch: 'reading', duration: 20, prerequisites: ['Scales'] });
+
+    expect(added.task).toMatchObject({ title: 'Sight reading', branch: 'reading', duration: '20 minutes', prerequisites: ['scales'] });
+    expect(events).toEqual([{ name: 'task:added', payload: expect.objectContaining({ projectId: 'music', pathName: 'general', task: added.task }) }]);
+
+    const saved = await dp.loadProjectData('music', FILE_NAMES.HTA);
+    expect(saved.frontierNodes).toHaveLength(4);
+    expect(saved.strategicBranches.map(b => b.id)).toEqual(['technique', 'repertoire', 'reading']);
+    expect(saved.hierarchyMetadata).toMatchObject({ total_tasks: 4, total_branches: 3 });
+
+    expect((await editor.addTask({ title: 'scales', branch: 'technique' })).content[0].text).toContain("A task titled 'Scales' already exists");
+    expect((await editor.addTask({ title: 'Duets', branch: 'repertoire', prerequisites: ['Nope'] })).content[0].text).toContain("Unknown prerequisite 'Nope'");
+    expect((await editor.addTask({ title: 'Duets' })).content[0].text).toContain('Task branch must be a non-empty string');
+    expect(events).toHaveLength(1);
+  });
+
+  test('updates fields, keeps title references and refuses cycles', async () => {
+    const renamed = await editor.updateTask({ taskId: 'scales', title: 'Major scales', difficulty: 2 });
+    expect(renamed.changed_fields).toEqual(['title', 'difficulty']);
+    expect(renamed.updated_dependents).toEqual(['arpeggios']);
+    expect((await frontier())[1].prerequisites).toEqual(['scales']);
+
+    const cycle = await editor.updateTask({ taskId: 'scales', prerequisites: ['Etude'] });
+    expect(cycle.content[0].text).toContain('circular dependency between: Major scales, Arpeggios, Etude');
+    expect((await frontier())[0].prerequisites).toEqual([]);
+    expect((await editor.updateTask({ taskId: 'scales' })).content[0].text).toContain('Nothing to change');
+    expect(events.map(e => e.name)).toEqual(['task:updated']);
+  });
+
+  test('deletes a task without leaving dangling prerequisites', async () => {
+    const deleted = await editor.deleteTask({ taskId: 'Arpeggios' });
+
+    expect(deleted.updated_dependents).toEqual(['etude']);
+    expect((await frontier()).map(n => [n.id, n.prerequisites])).toEqual([['scales', []], ['etude', ['scales']]]);
+    expect(events[0]).toMatchObject({ name: 'task:deleted', payload: { task: { id: 'arpeggios' } } });
+    expect((await editor.deleteTask({ taskId: 'arpeggios' })).content[0].text).toContain("Task 'arpeggios' not found");
+  });
+
+  test('moves a task between branches and reorders a branch', async () => {
+    const moved = await editor.moveTask({ taskId: 'etude', branch: 'technique' });
+    expect(moved).toMatchObject({ from_branch: 'repertoire', task: { branch: 'technique' } });
+    expect((await editor.moveTask({ taskId: 'etude', branch: 'technique' })).content[0].text).toContain('already in branch');
+
+    const reordered = await editor.reorderBranch({ branch: 'technique', taskIds: ['etude'] });
+    expect(reordered.order).toEqual(['etude', 'scales', 'arpeggios']);
+    expect(reordered.warnings).toHaveLength(1);
+    expect((await frontier()).map(n => [n.id, n.priority])).toEqual([['etude', 300], ['scales', 200], ['arpeggios', 100]]);
+    expect(events.map(e => e.name)).toEqual(['task:moved', 'branch:reordered']);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * HTA Graph Export Tests
+ * Node status, tree and prerequisite edges, and the Mermaid, DOT and OPML
+ * renderings behind export_hta_graph
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { HtaStatus } from '../modules/hta-status.js';
+import { FILE_NAMES, HTA_GRAPH_CONFIG, HTA_LEVELS } from '../modules/constants.js';
+import { buildHTAGraph, exportHTAGraph } from '../utils/hta-graph.js';
+
+const now = new Date('2025-06-01T12:00:00.000Z');
+
+const tree = () => ({
+  goal: 'Bake "proper" sourdough',
+  strategicBranches: [{ title: 'Starter' }, { title: 'Shaping' }, { title: 'Scoring' }],
+  hierarchyNodes: [
+    { id: 'goal', title: 'Bake "proper" sourdough', level: HTA_LEVELS.GOAL, parentId: null },
+    { id: 'objective_starter', title: 'Starter', level: HTA_LEVELS.OBJECTIVE, parentId: 'goal', branch: 'Starter' },
+    { id: 'objective_shaping', title: 'Shaping', level: HTA_LEVELS.OBJECTIVE, parentId: 'goal', branch: 'Shaping' },
+    { id: 'objective_scoring', title: 'Scoring', level: HTA_LEVELS.OBJECTIVE, parentId: 'goal', branch: 'Scoring', placeholder: true }
+  ],
+  frontierNodes: [
+    { id: 'feed', title: 'Feed the starter', branch: 'Starter', parentId: 'objective_starter', completed: true },
+    { id: 'float', title: 'Float test', branch: 'Starter', parentId: 'objective_starter', prerequisites: ['feed'] },
+    { id: 'fold', title: 'Stretch & fold', branch: 'Shaping', parentId: 'objective_shaping', prerequisites: ['float'] },
+    { id: 'banneton', title: 'Buy a banneton', branch: 'Shaping', parentId: 'objective_shaping', blockedOn: 'payday' },
+    { id: 'preshape', title: 'Pre-shape <boule>', branch: 'Shaping', parentId: 'objective_shaping', deferredUntil: '2025-06-03T00:00:00.000Z' }
+  ]
+});
+
+describe('buildHTAGraph', () => {
+  test('marks completed, ready, blocked and snoozed tasks', () => {
+    const graph = buildHTAGraph(tree(), { now });
+    const status = Object.fromEntries(graph.nodes.map(node => [node.id, node.status]));
+
+    expect(status).toEqual({
+      goal: 'open',
+      objective_starter: 'open',
+      objective_shaping: 'open',
+      objective_scoring: 'placeholder',
+      feed: 'completed',
+      float: 'ready',
+      fold: 'blocked',
+      banneton: 'blocked',
+      preshape: 'snoozed'
+    });
+    expect(graph.edges).toContainEqual({ from: 'objective_shaping', to: 'fold' });
+    expect(graph.dependencies).toEqual([{ from: 'feed', to: 'float' }, { from: 'float', to: 'fold' }]);
+    expect(graph.nodes.find(node => node.id === 'objective_starter').progress).toEqual({ total: 2, completed: 1, percentage: 50 });
+  });
+
+  test('resolves prerequisites given by title and leaves its input alone', () => {
+    const htaData = tree();
+    htaData.frontierNodes[2].prerequisites = ['Float test'];
+    const before = structuredClone(htaData);
+
+    expect(buildHTAGraph(htaData, { now }).dependencies).toContainEqual({ from: 'float', to: 'fold' });
+    expect(htaData).toEqual(before);
+  });
+});
+
+describe('exportHTAGraph', () => {
+  test('renders a Mermaid flowchart with status classes', () => {
+    const { output, nodeCount, dependencyCount, statusCounts } = exportHTAGraph(tree(), 'mermaid', { now });
+
+    expect(output.startsWith('flowchart TD\n')).toBe(true);
+    expect(output).toContain('n_goal("Bake #quot;proper#quot; sourdough – 20%")');
+    expect(output).toContain('n_float["Float test"]');
+    expect(output).toContain('n_objective_starter --- n_feed');
+    expect(output).toContain('n_float -.-> n_fold');
+    expect(output).toContain(`classDef completed fill:${HTA_GRAPH_CONFIG.STATUS_STYLES.completed.fill}`);
+    expect(output).toContain('class n_fold,n_banneton blocked');
+    expect(output).toContain('class n_preshape snoozed');
+    expect(output).toContain('n_objective_scoring("Scoring (not planned yet)")');
+    expect(nodeCount).toBe(9);
+    expect(dependencyCount).toBe(2);
+    expect(statusCounts).toEqual({ completed: 1, ready: 1, blocked: 2, snoozed: 1 });
+  });
+
+  test('renders Graphviz DOT with colours and dashed prerequisite edges', () => {
+    const { output } = exportHTAGraph(tree(), 'dot', { now });
+    const { fill, stroke } = HTA_GRAPH_CONFIG.STATUS_STYLES.ready;
+
+    expect(output.startsWith('digraph "Bake \\"proper\\" sourdough" {')).toBe(true);
+    expect(output).toContain(`"float" [label="Float test", style="filled", fillcolor="${fill}", color="${stroke}", class="ready"];`);
+    expect(output).toContain('"objective_scoring" [label="Scoring (not planned yet)", style="rounded,filled,dashed"');
+    expect(output).toContain('"goal" -> "objective_starter";');
+    expect(output).toContain('"float" -> "fold" [style=dashed, arrowhead=normal];');
+    expect(output.trim().endsWith('}')).toBe(true);
+  });
+
+  test('renders an OPML outline with status and prerequisites', () => {
+    const { output } = exportHTAGraph(tree(), 'opml', { now });
+
+    expect(output).toContain('<opml version="2.0">');
+    expect(output).toContain('<title>Bake &quot;proper&quot; sourdough</title>');
+    expect(output).toContain(`<dateCreated>${now.toUTCString()}</dateCreated>`);
+    expect(output).toContain('<outline text="Starter – 50%" _status="open">');
+    expect(output).toContain('<outline text="Stretch &amp; fold" _status="blocked" _note="After: Float test"/>');
+    expect(output).toContain('<outline text="Pre-shape &lt;boule&gt;" _status="snoozed"/>');
+    expect(output.indexOf('Feed the starter')).toBeGreaterThan(output.indexOf('Starter – 50%'));
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => exportHTAGraph(tree(), 'svg')).toThrow("Unknown graph format 'svg'. Use one of: mermaid, dot, opml");
+  });
+});
+
+describe('HtaStatus.exportHTAGraph', () => {
+  let dataDir;
+  let htaStatus;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-graph-'));
+    const dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('bread', FILE_NAMES.CONFIG, { id: 'bread', goal: 'Bake sourdough', activePath: 'general' });
+    await dp.saveProjectData('bread', FILE_NAMES.HTA, tree());
+    htaStatus = new HtaStatus(dp, { requireActiveProject: async () => 'bread' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('exports the active path and writes the file when asked', async () => {
+    const outputPath = path.join(dataDir, 'plan.dot');
+    const result = await htaStatus.exportHTAGraph('dot', null, outputPath);
+
+    expect(result.path_name).toBe('general');
+    expect(result.dependency_count).toBe(2);
+    expect(result.content[0].text).toContain('🗺️ **HTA Graph Export** (dot) – general path, 9 nodes, 2 prerequisite link(s)');
+    expect(result.content[0].text).toContain('```dot\ndigraph');
+    expect(await fs.readFile(outputPath, 'utf8')).toBe(result.graph);
+  });
+
+  test('reports missing trees and bad formats', async () => {
+    expect((await htaStatus.exportHTAGraph('mermaid', 'cooking')).content[0].text).toContain('No HTA tree found for "cooking" path');
+    expect((await htaStatus.exportHTAGraph('png')).content[0].text).toContain("Error exporting HTA graph: Unknown graph format 'png'");
+  });
+});
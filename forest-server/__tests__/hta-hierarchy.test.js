@@ -0,0 +1,175 @@
+/**
+ * HTA Hierarchy Tests
+ * Goal → objective → subgoal → task nesting: building the containers,
+ * rolling progress up from leaves, auto-completing parents and rendering
+ * the tree in get_hta_status
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { HtaStatus } from '../modules/hta-status.js';
+import { HtaTreeBuilder } from '../modules/hta-tree-builder.js';
+import { TaskCompletion } from '../modules/task-completion.js';
+import { HtaEditor } from '../modules/hta-editor.js';
+import { FILE_NAMES, HTA_LEVELS } from '../modules/constants.js';
+import {
+  ensureHierarchy,
+  renderHierarchy,
+  rollUpProgress,
+  syncContainerCompletion
+} from '../utils/hta-hierarchy-utils.js';
+
+const tree = () => ({
+  goal: 'Play a recital',
+  strategicBranches: [{ id: 'technique', title: 'Technique' }, { id: 'repertoire', title: 'Repertoire' }],
+  hierarchyNodes: [
+    { id: 'sight', title: 'Sight reading', level: HTA_LEVELS.SUBGOAL, parentId: 'objective_technique', branch: 'technique' }
+  ],
+  frontierNodes: [
+    { id: 'scales', title: 'Scales', branch: 'technique', completed: true },
+    { id: 'hymns', title: 'Read hymns', branch: 'technique', parentId: 'sight', completed: true },
+    { id: 'duets', title: 'Read duets', branch: 'technique', parentId: 'sight' },
+    { id: 'etude', title: 'Etude', branch: 'repertoire' }
+  ]
+});
+
+describe('hierarchy utility', () => {
+  test('files tasks under an objective per branch, beneath the goal', () => {
+    const htaData = ensureHierarchy(tree());
+    const containers = htaData.hierarchyNodes.map(n => [n.id, n.level, n.parentId]);
+
+    expect(containers).toEqual([
+      ['goal', HTA_LEVELS.GOAL, null],
+      ['sight', HTA_LEVELS.SUBGOAL, 'objective_technique'],
+      ['objective_technique', HTA_LEVELS.OBJECTIVE, 'goal'],
+      ['objective_repertoire', HTA_LEVELS.OBJECTIVE, 'goal']
+    ]);
+    expect(htaData.hierarchyNodes[0].title).toBe('Play a recital');
+    expect(htaData.hierarchyNodes[2].title).toBe('Technique');
+    expect(htaData.frontierNodes.map(n => [n.id, n.parentId, n.level])).toEqual([
+      ['scales', 'objective_technique', HTA_LEVELS.TASK],
+      ['hymns', 'sight', HTA_LEVELS.TASK],
+      ['duets', 'sight', HTA_LEVELS.TASK],
+      ['etude', 'objective_repertoire', HTA_LEVELS.TASK]
+    ]);
+    expect(ensureHierarchy(htaData).hierarchyNodes).toHaveLength(4);
+  });
+
+  test('moves legacy branch entries out of the frontier', () => {
+    const htaData = ensureHierarchy({
+      frontierNodes: [
+        { id: 'b1', title: 'Basics', branch: 'Basics', is_branch: true, parent_id: null },
+        { id: 't1', title: 'Tune up', branch: 'Basics', parent_id: 'b1' }
+      ]
+    });
+
+    expect(htaData.frontierNodes.map(n => n.id)).toEqual(['t1']);
+    expect(htaData.frontierNodes[0]).toMatchObject({ parentId: 'b1' });
+    expect(htaData.frontierNodes[0]).not.toHaveProperty('parent_id');
+    expect(htaData.hierarchyNodes.find(n => n.id === 'b1')).toMatchObject({ level: HTA_LEVELS.OBJECTIVE, parentId: 'goal' });
+  });
+
+  test('rolls progress up from leaves and renders an indented tree', () => {
+    const htaData = ensureHierarchy(tree());
+    const progress = rollUpProgress([...htaData.hierarchyNodes, ...htaData.frontierNodes]);
+
+    expect(progress.get('sight')).toEqual({ total: 2, completed: 1, percentage: 50 });
+    expect(progress.get('objective_technique')).toEqual({ total: 3, completed: 2, percentage: 67 });
+    expect(progress.get('goal')).toEqual({ total: 4, completed: 2, percentage: 50 });
+
+    expect(renderHierarchy(htaData, { tasksPerNode: 1 })).toBe([
+      '- **Play a recital** — 50% (2/4)',
+      '  - **Technique** — 67% (2/3)',
+      '    - **Sight reading** — 50% (1/2)',
+      '      - [ ] Read duets',
+      '      - … 1 more task(s)',
+      '    - [x] Scales',
+      '  - **Repertoire** — 0% (0/1)',
+      '    - [ ] Etude'
+    ].join('\n'));
+  });
+
+  test('auto-completes finished containers and reopens them when work returns', () => {
+    const htaData = ensureHierarchy(tree());
+    htaData.frontierNodes.find(n => n.id === 'duets').completed = true;
+
+    const done = syncContainerCompletion(htaData, new Date('2025-07-01T10:00:00.000Z'));
+    expect(done.completed.map(n => n.id)).toEqual(['sight', 'objective_technique']);
+    expect(htaData.hierarchyNodes[1]).toMatchObject({ completed: true, autoCompleted: true, completedAt: '2025-07-01T10:00:00.000Z' });
+
+    htaData.frontierNodes.push({ id: 'more', title: 'Read chorales', branch: 'technique', parentId: 'sight', level: HTA_LEVELS.TASK });
+    expect(syncContainerCompletion(htaData).reopened.map(n => n.id)).toEqual(['sight', 'objective_technique']);
+  });
+
+  test('the tree builder keeps Claude branches as containers', () => {
+    const builder = new HtaTreeBuilder(null, null, null);
+    const { frontierNodes, hierarchyNodes } = builder.transformTasksToHierarchy([{
+      branch_name: 'Technique',
+      sub_branches: [{ branch_name: 'Sight reading', tasks: [{ title: 'Read hymns' }] }],
+      tasks: [{ title: 'Scales' }]
+    }]);
+
+    expect(hierarchyNodes.map(n => [n.title, n.level, n.branch])).toEqual([
+      ['Technique', HTA_LEVELS.OBJECTIVE, 'Technique'],
+      ['Sight reading', HTA_LEVELS.SUBGOAL, 'Technique']
+    ]);
+    expect(hierarchyNodes[1].parentId).toBe(hierarchyNodes[0].id);
+    expect(frontierNodes.map(n => [n.title, n.branch, n.parentId])).toEqual([
+      ['Read hymns', 'Technique', hierarchyNodes[1].id],
+      ['Scales', 'Technique', hierarchyNodes[0].id]
+    ]);
+  });
+});
+
+describe('hierarchy in the project tools', () => {
+  let dataDir;
+  let dp;
+  const projectManagement = { requireActiveProject: async () => 'music' };
+  const saved = async () => dp.loadProjectData('music', FILE_NAMES.HTA);
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-hierarchy-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('music', FILE_NAMES.CONFIG, { id: 'music', activePath: 'general' });
+    await dp.saveProjectData('music', FILE_NAMES.HTA, tree());
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('completing the last open task completes its subgoal and objective', async () => {
+    const completion = new TaskCompletion(dp, projectManagement);
+    const result = await completion.completeBlock({ block_id: 'duets', outcome: 'Done', energy_level: 3 });
+
+    expect(result.content[0].text).toContain('**Also Completed**: Sight reading, Technique');
+    const containers = (await saved()).hierarchyNodes;
+    expect(containers.filter(n => n.completed).map(n => n.id)).toEqual(['sight', 'objective_technique']);
+  });
+
+  test('get_hta_status renders the tree with roll-up percentages', async () => {
+    const status = await new HtaStatus(dp, projectManagement).getHTAStatus();
+
+    expect(status.content[0].text).toContain('**Hierarchy**:\n- **Play a recital** — 50% (2/4)\n  - **Technique** — 67% (2/3)');
+    expect(status.hta_status.hierarchy.find(n => n.id === 'sight')).toEqual({
+      id: 'sight',
+      title: 'Sight reading',
+      level: HTA_LEVELS.SUBGOAL,
+      parent_id: 'objective_technique',
+      completed: false,
+      progress: { total: 2, completed: 1, percentage: 50 }
+    });
+  });
+
+  test('moving a task files it under the new branch objective', async () => {
+    const editor = new HtaEditor(dp, projectManagement, { emit: () => {} });
+    await editor.moveTask({ taskId: 'duets', branch: 'repertoire' });
+
+    const htaData = await saved();
+    expect(htaData.frontierNodes.find(n => n.id === 'duets').parentId).toBe('objective_repertoire');
+    // Its subgoal has no open work left
+    expect(htaData.hierarchyNodes.find(n => n.id === 'sight')).toMatchObject({ completed: true, autoCompleted: true });
+  });
+});
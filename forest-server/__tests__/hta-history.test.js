@@ -0,0 +1,126 @@
+/**
+ * HTA History Tests
+ * Diff-based HTA revisions recorded on save, and undo/redo/list over them
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { HtaHistory } from '../modules/hta-history.js';
+import { HtaTreeBuilder } from '../modules/hta-tree-builder.js';
+import { HtaEditor } from '../modules/hta-editor.js';
+import { runWithToolContext } from '../modules/utils/tool-context.js';
+import { applyHTAPatch, diffHTA, isEmptyPatch, summarizeHTAPatch } from '../utils/hta-revisions.js';
+
+const node = (id, extra = {}) => ({ id, title: `Task ${id}`, completed: false, ...extra });
+
+describe('hta-revisions', () => {
+  test('patches round-trip node additions, removals, edits, reordering and plain fields', () => {
+    const before = { goal: 'Piano', frontierNodes: [node('a'), node('b'), node('c')], level: 1 };
+    const after = { goal: 'Jazz piano', frontierNodes: [node('c'), node('a', { completed: true }), node('d')], branches: [] };
+
+    const patch = diffHTA(before, after);
+
+    expect(summarizeHTAPatch(patch)).toEqual({ added: 1, removed: 1, changed: 1, fields: ['goal', 'frontierNodes', 'level', 'branches'] });
+    expect(applyHTAPatch(before, patch)).toEqual(after);
+    expect(applyHTAPatch(after, patch, 'reverse')).toEqual(before);
+    expect(before.frontierNodes[0].completed).toBe(false);
+    expect(isEmptyPatch(diffHTA(after, structuredClone(after)))).toBe(true);
+  });
+});
+
+describe('HtaHistory', () => {
+  let dataDir;
+  let dp;
+  let history;
+
+  const saveTree = (tool, tree) => runWithToolContext(tool, () => dp.saveProjectData('music', 'hta.json', tree));
+  const loadTree = () => dp.loadProjectData('music', 'hta.json');
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-hta-history-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('music', 'config.json', { id: 'music', activePath: 'general' });
+    history = new HtaHistory(dp, { requireActiveProject: async () => 'music' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('records a revision per change, tagged with the tool that saved it', async () => {
+    await saveTree('build_hta_tree', { goal: 'Piano', frontierNodes: [node('a'), node('b')] });
+
+    // Callers usually mutate the loaded tree in place before saving it
+    const tree = await loadTree();
+    tree.frontierNodes.push(node('c'));
+    await saveTree('generate_hta_tasks', tree);
+    await saveTree('generate_hta_tasks', tree);
+    await dp.saveProjectData('music', 'hta.json', { ...tree, goal: 'Jazz' });
+
+    const listing = await history.listRevisions();
+
+    expect(listing.head).toBe(3);
+    expect(listing.revisions.map(r => [r.id, r.tool])).toEqual([[3, 'system'], [2, 'generate_hta_tasks'], [1, 'build_hta_tree']]);
+    expect(listing.revisions[1].summary).toMatchObject({ added: 1, removed: 0, changed: 0 });
+    expect(listing.can_redo).toBe(false);
+  });
+
+  test('undo, redo and restore by revision id; a new change drops the redo stack', async () => {
+    await saveTree('build_hta_tree', { goal: 'Piano', frontierNodes: [node('a'), node('b')] });
+    await saveTree('evolve_strategy', { goal: 'Piano', frontierNodes: [node('x')] });
+    await saveTree('complete_block', { goal: 'Piano', frontierNodes: [node('x', { completed: true })] });
+
+    const undone = await history.undo(null, 2);
+    expect(undone).toMatchObject({ head: 1, reverted_revisions: [3, 2], can_redo: true });
+    expect((await loadTree()).frontierNodes.map(n => n.id)).toEqual(['a', 'b']);
+
+    const redone = await history.redo();
+    expect(redone).toMatchObject({ head: 2, reapplied_revisions: [2] });
+    expect((await loadTree()).frontierNodes).toEqual([node('x')]);
+
+    expect((await history.undo(null, 1, 3)).head).toBe(3);
+    expect((await loadTree()).frontierNodes[0].completed).toBe(true);
+
+    expect((await history.undo(null, 1, 0)).head).toBe(0);
+    expect(await loadTree()).toMatchObject({ frontierNodes: [] });
+    expect((await loadTree()).goal).toBeUndefined();
+
+    await saveTree('build_hta_tree', { goal: 'Guitar', frontierNodes: [node('g')] });
+    const listing = await history.listRevisions();
+    expect(listing.revisions.map(r => r.id)).toEqual([1]);
+    expect((await history.redo()).content[0].text).toContain('Error redoing HTA change');
+  });
+
+  test('undoes a build_hta_tree rebuild of the general path', async () => {
+    const projectManagement = { requireActiveProject: async () => 'music' };
+    const builder = new HtaTreeBuilder(dp, projectManagement, null);
+    await dp.saveProjectData('music', 'config.json', { id: 'music', activePath: 'general', goal: 'Play jazz piano standards' });
+    await runWithToolContext('build_hta_tree', () => builder.buildHTATree('general', 'mixed', []));
+    await runWithToolContext('add_task', () => new HtaEditor(dp, projectManagement).addTask({ title: 'Learn Autumn Leaves', branch: 'Repertoire' }));
+    await runWithToolContext('build_hta_tree', () =>
+      builder.buildHTATree('general', 'mixed', [], null, '', { rebuild: true, merge: false })
+    );
+    const titles = async () => (await loadTree()).frontierNodes.map(n => n.title);
+    expect(await titles()).not.toContain('Learn Autumn Leaves');
+
+    const listing = await history.listRevisions();
+    expect(listing.revisions.map(r => r.tool)).toEqual(['build_hta_tree', 'add_task', 'build_hta_tree']);
+
+    const undone = await history.undo();
+    expect(undone).toMatchObject({ path_name: 'general', head: 2 });
+    expect(await titles()).toContain('Learn Autumn Leaves');
+  });
+
+  test('keeps separate histories per learning path', async () => {
+    await runWithToolContext('build_hta_tree', () => dp.savePathData('music', 'theory', 'hta.json', { frontierNodes: [node('t1')] }));
+    await runWithToolContext('evolve_branch', () => dp.savePathData('music', 'theory', 'hta.json', { frontierNodes: [] }));
+
+    expect((await history.listRevisions()).revisions).toEqual([]);
+    const undone = await history.undo('theory');
+
+    expect(undone).toMatchObject({ path_name: 'theory', head: 1 });
+    expect((await dp.loadPathData('music', 'theory', 'hta.json')).frontierNodes.map(n => n.id)).toEqual(['t1']);
+  });
+});
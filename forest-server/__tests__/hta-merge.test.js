@@ -0,0 +1,229 @@
+/**
+ * HTA Merge Tests
+ * Diffing and merging a regenerated tree into the existing one: pairing by
+ * id and fuzzy title, carrying progress and hand edits, conflicts, the
+ * change summary, and rebuild/preview through HtaTreeBuilder against progress
+ * and edits made by the other tools
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { HtaTreeBuilder } from '../modules/hta-tree-builder.js';
+import { HtaEditor } from '../modules/hta-editor.js';
+import { TaskCompletion } from '../modules/task-completion.js';
+import { FILE_NAMES, HTA_LEVELS } from '../modules/constants.js';
+import { mergeHTA, summarizeHTAMerge, titleSimilarity } from '../utils/hta-merge.js';
+
+const now = new Date('2025-06-01T12:00:00.000Z');
+
+const container = (id, title) => ({ id, title, level: HTA_LEVELS.OBJECTIVE, parentId: 'goal', branch: title });
+
+const previous = () => ({
+  goal: 'Learn watercolour',
+  created: '2025-05-01T10:00:00.000Z',
+  completedNodes: [{ id: 'paper' }],
+  strategicBranches: [{ title: 'Basics' }, { title: 'Colour' }],
+  hierarchyNodes: [
+    { id: 'goal', title: 'Learn watercolour', level: HTA_LEVELS.GOAL, parentId: null },
+    container('objective_basics', 'Basics'),
+    container('objective_colour', 'Colour')
+  ],
+  frontierNodes: [
+    { id: 'paper', title: 'Compare watercolour papers', branch: 'Basics', parentId: 'objective_basics', completed: true, completedAt: '2025-05-02T10:00:00.000Z', actualDuration: 40, learned: 'Cotton paper holds water' },
+    { id: 'brushes', title: 'Try three brush shapes', branch: 'Basics', parentId: 'objective_basics', prerequisites: ['paper'], blockedOn: 'brush delivery' },
+    { id: 'wash', title: 'Paint a flat wash', branch: 'Basics', parentId: 'objective_basics', description: 'My own notes', updatedAt: '2025-05-03T10:00:00.000Z' },
+    { id: 'wheel', title: 'Mix a colour wheel', branch: 'Colour', parentId: 'objective_colour' },
+    { id: 'palette', title: 'Sketch a limited palette study', branch: 'Colour', parentId: 'objective_colour', completed: true },
+    { id: 'glazing', title: 'Glazing drills', branch: 'Colour', parentId: 'objective_colour', prerequisites: ['wheel'] }
+  ]
+});
+
+const next = () => ({
+  goal: 'Learn watercolour',
+  created: '2025-06-01T11:00:00.000Z',
+  strategicBranches: [{ title: 'Basics' }, { title: 'Colour' }],
+  hierarchyNodes: [
+    { id: 'goal', title: 'Learn watercolour', level: HTA_LEVELS.GOAL, parentId: null },
+    container('objective_basics_v2', 'Basics'),
+    container('objective_colour_v2', 'Colour')
+  ],
+  frontierNodes: [
+    { id: 'paper', title: 'Compare watercolour papers', branch: 'Basics', parentId: 'objective_basics_v2', difficulty: 1 },
+    { id: 'basics_2', title: 'Try 3 brush shapes', branch: 'Basics', parentId: 'objective_basics_v2', prerequisites: ['paper'] },
+    { id: 'basics_3', title: 'Paint a flat wash', branch: 'Basics', parentId: 'objective_basics_v2', description: 'Generated description' },
+    { id: 'colour_1', title: 'Mix a colour wheel', branch: 'Colour', parentId: 'objective_colour_v2' },
+    { id: 'colour_2', title: 'Wet-in-wet skies', branch: 'Colour', parentId: 'objective_colour_v2', prerequisites: ['colour_1'] }
+  ]
+});
+
+describe('mergeHTA', () => {
+  test('scores title similarity', () => {
+    expect(titleSimilarity('Mix a colour wheel', 'mix a Colour-wheel')).toBe(1);
+    expect(titleSimilarity('Try three brush shapes', 'Try 3 brush shapes')).toBeGreaterThan(0.75);
+    expect(titleSimilarity('Glazing drills', 'Wet-in-wet skies')).toBeLessThan(0.3);
+    expect(titleSimilarity('', '')).toBe(0);
+  });
+
+  test('pairs by id and title and carries progress onto the old ids', () => {
+    const { merged, diff } = mergeHTA(previous(), next(), { now });
+    const byId = Object.fromEntries(merged.frontierNodes.map(node => [node.id, node]));
+
+    expect(diff.matched.map(match => [match.id, match.by])).toEqual([
+      ['paper', 'id'], ['brushes', 'title'], ['wash', 'title'], ['wheel', 'title']
+    ]);
+    expect(byId.paper).toMatchObject({ completed: true, actualDuration: 40, learned: 'Cotton paper holds water', difficulty: 1, parentId: 'objective_basics' });
+    expect(byId.brushes).toMatchObject({ title: 'Try 3 brush shapes', blockedOn: 'brush delivery', prerequisites: ['paper'] });
+    expect(byId.colour_2.prerequisites).toEqual(['wheel']);
+    expect(merged.hierarchyNodes.map(node => node.id)).toEqual(['goal', 'objective_basics', 'objective_colour']);
+    expect(merged.created).toBe('2025-05-01T10:00:00.000Z');
+    expect(merged.completedNodes).toEqual([{ id: 'paper' }]);
+    expect(merged.lastUpdated).toBe(now.toISOString());
+  });
+
+  test('keeps hand edits and flags them as conflicts', () => {
+    const { merged, diff } = mergeHTA(previous(), next(), { now });
+
+    expect(merged.frontierNodes.find(node => node.id === 'wash').description).toBe('My own notes');
+    expect(diff.conflicts).toContainEqual(expect.objectContaining({ type: 'manual_edit', id: 'wash' }));
+  });
+
+  test('keeps dropped tasks with progress, removes the rest and drops dangling prerequisites', () => {
+    const { merged, diff } = mergeHTA(previous(), next(), { now });
+    const ids = merged.frontierNodes.map(node => node.id);
+
+    expect(diff.kept).toEqual([{ id: 'palette', title: 'Sketch a limited palette study', reason: 'completed' }]);
+    expect(diff.removed).toEqual([{ id: 'glazing', title: 'Glazing drills', branch: 'Colour' }]);
+    expect(diff.added.map(node => node.id)).toEqual(['colour_2']);
+    expect(ids).toContain('palette');
+    expect(ids).not.toContain('glazing');
+    expect(diff.preserved).toEqual({ completed: 2, actuals: 1, prerequisites: 0 });
+
+    const old = previous();
+    old.frontierNodes.find(node => node.id === 'wash').prerequisites = ['paper', 'glazing'];
+    const { merged: dangling, diff: danglingDiff } = mergeHTA(old, next(), { now });
+    expect(dangling.frontierNodes.find(node => node.id === 'wash').prerequisites).toEqual(['paper']);
+    expect(danglingDiff.preserved.prerequisites).toBe(2);
+    expect(danglingDiff.conflicts).toContainEqual(expect.objectContaining({ type: 'dangling_prerequisite', id: 'wash' }));
+  });
+
+  test('does not carry progress across a reused id with a different title', () => {
+    const changed = next();
+    changed.frontierNodes[0].title = 'Stretch paper on a board';
+    const { merged, diff } = mergeHTA(previous(), changed, { now });
+    const byId = Object.fromEntries(merged.frontierNodes.map(node => [node.id, node]));
+
+    expect(byId.paper).toMatchObject({ title: 'Compare watercolour papers', completed: true, actualDuration: 40 });
+    expect(byId.paper_2.title).toBe('Stretch paper on a board');
+    expect(byId.paper_2.completed).toBeUndefined();
+    expect(byId.paper_2.actualDuration).toBeUndefined();
+    expect(byId.brushes.prerequisites).toEqual(['paper_2', 'paper']);
+    expect(diff.kept).toContainEqual({ id: 'paper', title: 'Compare watercolour papers', reason: 'completed' });
+    expect(diff.added.map(node => node.id)).toContain('paper_2');
+
+    // The old task still pairs by title when it moves to another position
+    changed.frontierNodes.push({ id: 'basics_4', title: 'Compare watercolour papers', branch: 'Basics', parentId: 'objective_basics_v2' });
+    const moved = mergeHTA(previous(), changed, { now });
+    expect(moved.diff.matched).toContainEqual(expect.objectContaining({ id: 'paper', title: 'Compare watercolour papers', by: 'title' }));
+    expect(moved.merged.frontierNodes.filter(node => node.completed).map(node => node.title))
+      .toEqual(['Compare watercolour papers', 'Sketch a limited palette study']);
+  });
+
+  test('does not modify its inputs', () => {
+    const old = previous();
+    const fresh = next();
+    mergeHTA(old, fresh, { now });
+
+    expect(old).toEqual(previous());
+    expect(fresh).toEqual(next());
+  });
+
+  test('summarises the diff', () => {
+    const { diff } = mergeHTA(previous(), next(), { now });
+    const summary = summarizeHTAMerge(diff);
+
+    expect(summary).toContain('**Changes**: 4 matched (3 by title), 1 added, 1 removed, 1 kept from the current tree');
+    expect(summary).toContain('**Preserved**: 2 completed, 1 with logged time');
+    expect(summary).toContain('**Renamed**: "Try three brush shapes" → "Try 3 brush shapes"');
+    expect(summary).toContain('**Kept**: "Sketch a limited palette study" (completed)');
+    expect(summary).toContain('⚠️ "Paint a flat wash" was edited by hand');
+  });
+});
+
+describe('HtaTreeBuilder rebuilds', () => {
+  let dataDir;
+  let dp;
+  let builder;
+  const projectManagement = { requireActiveProject: async () => 'paint' };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-merge-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('paint', FILE_NAMES.CONFIG, { id: 'paint', goal: 'Paint landscapes in watercolour' });
+    builder = new HtaTreeBuilder(dp, projectManagement, null);
+    await builder.buildHTATree('general', 'mixed', []);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  const completeFirstTask = async () => {
+    const [task] = (await dp.loadPathHTA('paint', 'general')).frontierNodes;
+    const completion = new TaskCompletion(dp, projectManagement);
+    await completion.completeBlock({ block_id: task.id, outcome: 'Done', energy_level: 3, actual_duration: 25 });
+    return task;
+  };
+
+  test('leaves an existing tree alone unless asked to rebuild', async () => {
+    const result = await builder.buildHTATree('general', 'mixed', []);
+
+    expect(result.existing_tree).toBe(true);
+    expect(result.content[0].text).toContain('`rebuild: true`');
+  });
+
+  test('rebuild keeps completed work by default', async () => {
+    const task = await completeFirstTask();
+
+    const result = await builder.buildHTATree('general', 'mixed', [], null, '', { rebuild: true });
+    const htaData = await dp.loadPathHTA('paint', 'general');
+
+    expect(result.rebuilt).toBe(true);
+    expect(result.merge_summary.preserved.completed).toBe(1);
+    expect(result.content[0].text).toContain('**HTA Tree Rebuilt**');
+    expect(htaData.frontierNodes.find(node => node.id === task.id)).toMatchObject({ completed: true, actualDuration: '25 minutes' });
+  });
+
+  test('rebuild keeps a task added by hand', async () => {
+    await new HtaEditor(dp, projectManagement).addTask({ title: 'My hand-written task', branch: 'Practice' });
+
+    await builder.buildHTATree('general', 'mixed', [], null, '', { rebuild: true });
+    const htaData = await dp.loadPathHTA('paint', 'general');
+
+    expect(htaData.frontierNodes.map(node => node.title)).toContain('My hand-written task');
+    expect(await dp.loadPathData('paint', 'general', FILE_NAMES.HTA)).toBeNull();
+  });
+
+  test('rebuild without merge replaces the tree', async () => {
+    const task = await completeFirstTask();
+
+    const result = await builder.buildHTATree('general', 'mixed', [], null, '', { rebuild: true, merge: false });
+    const htaData = await dp.loadPathHTA('paint', 'general');
+
+    expect(result.merge_summary).toBeNull();
+    expect(htaData.frontierNodes.find(node => node.id === task.id)?.completed).toBeFalsy();
+  });
+
+  test('preview shows the diff without saving', async () => {
+    await completeFirstTask();
+    const before = await dp.loadPathHTA('paint', 'general');
+
+    const result = await builder.previewRebuild('general');
+
+    expect(result.preview).toBe(true);
+    expect(result.content[0].text).toContain('nothing has been saved');
+    expect(result.diff.preserved.completed).toBe(1);
+    expect(await dp.loadPathHTA('paint', 'general')).toEqual(before);
+  });
+});
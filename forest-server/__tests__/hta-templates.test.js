@@ -0,0 +1,178 @@
+/**
+ * HTA Templates Tests
+ * Parameterising a tree into a template, validation, bundled starters and
+ * creating projects from saved and bundled templates
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { ProjectManagement } from '../modules/project-management.js';
+import { HtaTemplates } from '../modules/hta-templates.js';
+import { FILE_NAMES, HTA_LEVELS, TEMPLATE_CONFIG } from '../modules/constants.js';
+import { buildTemplate, instantiateTemplate, validateTemplate } from '../utils/hta-template.js';
+
+const tree = () => ({
+  goal: 'Play jazz standards at an open mic',
+  created: '2025-05-01T10:00:00.000Z',
+  completedNodes: [{ id: 'scales' }],
+  strategicBranches: [{ id: 'technique', title: 'Technique' }],
+  hierarchyNodes: [
+    { id: 'goal', title: 'Play jazz standards at an open mic', level: HTA_LEVELS.GOAL, parentId: null },
+    { id: 'objective_technique', title: 'Technique', level: HTA_LEVELS.OBJECTIVE, parentId: 'goal', branch: 'Technique', completed: true, autoCompleted: true }
+  ],
+  frontierNodes: [
+    {
+      id: 'scales',
+      title: 'Scales for jazz',
+      description: 'Warm up for Play jazz standards at an open mic within 4 hours a week',
+      branch: 'Technique',
+      parentId: 'objective_technique',
+      completed: true,
+      completedAt: '2025-05-02T10:00:00.000Z',
+      learned: 'Slow is smooth',
+      actualDuration: 40,
+      review: { interval: 3 }
+    },
+    { id: 'voicings', title: 'Shell voicings', branch: 'Technique', parentId: 'objective_technique', prerequisites: ['scales'], blockedOn: 'teacher' }
+  ]
+});
+
+describe('template utilities', () => {
+  const source = { goal: 'Play jazz standards at an open mic', interests: ['jazz'], weeklyHours: 4 };
+
+  test('parameterises goal, interests and hours and strips progress', () => {
+    const template = buildTemplate(tree(), { id: 'jazz', name: 'Jazz', source, createdAt: '2025-06-01T00:00:00.000Z' });
+
+    expect(template).toMatchObject({ format: TEMPLATE_CONFIG.FORMAT, schemaVersion: TEMPLATE_CONFIG.SCHEMA_VERSION, id: 'jazz' });
+    expect(template.parameters.map(p => p.name)).toEqual(['goal', 'interests', 'weekly_hours']);
+    expect(template.parameters[2].default).toBe(4);
+    expect(template.tree).not.toHaveProperty('completedNodes');
+    expect(template.tree).not.toHaveProperty('created');
+    expect(template.tree.goal).toBe('{{goal}}');
+    expect(template.tree.frontierNodes[0]).toEqual({
+      id: 'scales',
+      title: 'Scales for {{interests}}',
+      description: 'Warm up for {{goal}} within {{weekly_hours}} hours a week',
+      branch: 'Technique',
+      parentId: 'objective_technique',
+      completed: false
+    });
+    expect(template.tree.frontierNodes[1]).not.toHaveProperty('blockedOn');
+    expect(template.tree.hierarchyNodes[1]).not.toHaveProperty('autoCompleted');
+    expect(validateTemplate(template)).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('instantiates with given values, falling back to defaults', () => {
+    const template = buildTemplate(tree(), { id: 'jazz', name: 'Jazz', source });
+    const fresh = instantiateTemplate(template, { goal: 'Gig with a trio' });
+
+    expect(fresh.goal).toBe('Gig with a trio');
+    expect(fresh.frontierNodes[0].title).toBe('Scales for your interests');
+    expect(fresh.frontierNodes[0].description).toBe('Warm up for Gig with a trio within 4 hours a week');
+    expect(fresh.frontierNodes[1].prerequisites).toEqual(['scales']);
+    expect(fresh.completedNodes).toEqual([]);
+
+    expect(() => instantiateTemplate(template, {})).toThrow('Missing template parameter(s): goal');
+  });
+
+  test('rejects undeclared placeholders, duplicate ids and broken trees', () => {
+    const template = buildTemplate(tree(), { id: 'jazz', name: 'Jazz', source });
+    template.tree.frontierNodes.push({ id: 'scales', title: 'Play in {{city}}' });
+    expect(validateTemplate(template).errors).toEqual([
+      'Tree uses undeclared parameter {{city}}',
+      "Duplicate node id 'scales'"
+    ]);
+
+    delete template.tree.frontierNodes;
+    expect(validateTemplate(template).valid).toBe(false);
+    expect(validateTemplate({ format: 'other' }).errors).toEqual([`Not a ${TEMPLATE_CONFIG.FORMAT} document`]);
+  });
+});
+
+describe('HtaTemplates', () => {
+  let dataDir;
+  let dp;
+  let projectManagement;
+  let templates;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-templates-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    projectManagement = new ProjectManagement(dp, { syncActiveProjectToMemory: async () => ({}) });
+    templates = new HtaTemplates(dp, projectManagement);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('ships valid starter templates', async () => {
+    const result = await templates.listTemplates();
+
+    expect(result.skipped).toEqual([]);
+    expect(result.templates.map(t => [t.id, t.source])).toEqual([
+      ['learn-instrument', 'bundled'],
+      ['pass-certification', 'bundled'],
+      ['ship-side-project', 'bundled']
+    ]);
+    expect(result.templates.every(t => t.task_count > 0)).toBe(true);
+  });
+
+  test('saves a project tree and starts a new project from it', async () => {
+    await projectManagement.createProject({
+      project_id: 'jazz',
+      goal: 'Play jazz standards at an open mic',
+      specific_interests: ['jazz'],
+      weekly_hours_budget: 4,
+      life_structure_preferences: {}
+    });
+    await dp.saveProjectData('jazz', FILE_NAMES.HTA, tree());
+
+    const saved = await templates.saveTemplate({ templateId: 'open-mic', name: 'Open mic' });
+    expect(saved.task_count).toBe(2);
+    expect((await templates.saveTemplate({ templateId: 'open-mic' })).content[0].text).toContain('already exists');
+    expect((await templates.saveTemplate({ templateId: 'learn-instrument' })).content[0].text).toContain('is a bundled template');
+
+    const result = await templates.createProjectFromTemplate({
+      templateId: 'open-mic',
+      projectId: 'blues',
+      goal: 'Play a blues set',
+      specificInterests: ['blues'],
+      weeklyHoursBudget: 6
+    });
+
+    expect(result.content[0].text).toContain('Project Created from Template**: blues');
+    expect(result.project_created).toMatchObject({ id: 'blues', weekly_hours_budget: 6 });
+    const htaData = await dp.loadProjectData('blues', FILE_NAMES.HTA);
+    expect(htaData.template).toEqual({ id: 'open-mic', name: 'Open mic', source: 'saved' });
+    expect(htaData.frontierNodes.map(n => [n.title, n.completed])).toEqual([
+      ['Scales for blues', false],
+      ['Shell voicings', false]
+    ]);
+    expect(htaData.frontierNodes[0].description).toBe('Warm up for Play a blues set within 6 hours a week');
+    expect(htaData.hierarchyNodes[0]).toMatchObject({ id: 'goal', title: 'Play a blues set' });
+
+    const again = await templates.createProjectFromTemplate({ templateId: 'open-mic', projectId: 'blues', goal: 'Again' });
+    expect(again.content[0].text).toContain("Project 'blues' already exists");
+  });
+
+  test('creates a project from a bundled template with its defaults', async () => {
+    const result = await templates.createProjectFromTemplate({
+      templateId: 'learn-instrument',
+      projectId: 'cello',
+      goal: 'Play cello in a community orchestra'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.project_created.weekly_hours_budget).toBe(5);
+    const htaData = await dp.loadProjectData('cello', FILE_NAMES.HTA);
+    expect(JSON.stringify(htaData)).not.toContain('{{');
+    expect(htaData.frontierNodes.find(n => n.id === 'repertoire_task_1').title).toBe('Choose three pieces from the music you love');
+    expect(htaData.hierarchyNodes.filter(n => n.level === HTA_LEVELS.OBJECTIVE)).toHaveLength(3);
+
+    const missing = await templates.createProjectFromTemplate({ templateId: 'nope', projectId: 'x', goal: 'Something' });
+    expect(missing.content[0].text).toContain("Template 'nope' not found");
+  });
+});
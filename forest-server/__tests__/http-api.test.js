@@ -0,0 +1,166 @@
+/**
+ * HTTP API Tests
+ * Token auth, inputSchema validation, tool dispatch, read-only project
+ * endpoints, and stopping the API on server shutdown
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HttpApi } from '../modules/http-api.js';
+import { HTTP_API_CONFIG } from '../modules/constants.js';
+
+describe('HttpApi', () => {
+  const calls = [];
+  const files = {
+    'demo/config.json': { goal: 'Learn piano', activePath: 'general' },
+    'demo/day_2025-03-04.json': { date: '2025-03-04', blocks: [{ id: 'task_1' }] }
+  };
+  const forestServer = {
+    mcpHandlers: {
+      getToolDefinitions: () => [
+        { name: 'list_projects', description: 'List', inputSchema: { type: 'object', properties: {} } },
+        {
+          name: 'complete_block',
+          description: 'Complete',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              block_id: { type: 'string' },
+              energy_level: { type: 'number', minimum: 1, maximum: 5 }
+            },
+            required: ['block_id']
+          }
+        }
+      ]
+    },
+    toolRouter: {
+      dispatchTool: async (name, args) => {
+        calls.push({ name, args });
+        return { content: [{ type: 'text', text: `ran ${name}` }] };
+      }
+    },
+    dataPersistence: {
+      loadProjectData: async (projectId, file) => files[`${projectId}/${file}`] || null
+    },
+    loadPathHTA: async (projectId, pathName) => (pathName === 'general' ? { frontierNodes: [{ id: 'n1' }] } : null)
+  };
+
+  let api;
+  let baseUrl;
+
+  const request = (route, { method = 'GET', body, token = 'secret' } = {}) =>
+    fetch(`${baseUrl}${route}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+  beforeAll(async () => {
+    api = new HttpApi(forestServer, { port: 0, token: 'secret' });
+    const address = await api.start();
+    baseUrl = `http://127.0.0.1:${address.port}`;
+  });
+
+  afterAll(async () => {
+    await api.stop();
+  });
+
+  test('binds to localhost by default', () => {
+    expect(api.host).toBe('localhost');
+  });
+
+  test('rejects requests without a valid bearer token', async () => {
+    expect((await request('/tools', { token: null })).status).toBe(401);
+    expect((await request('/tools', { token: 'wrong' })).status).toBe(401);
+  });
+
+  test('lists tool definitions and dispatches valid calls', async () => {
+    const list = await (await request('/tools')).json();
+    expect(list.tools.map(t => t.name)).toEqual(['list_projects', 'complete_block']);
+
+    const response = await request('/tools/complete_block', { method: 'POST', body: { block_id: 'task_1', energy_level: 4 } });
+    const payload = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(payload.result.content[0].text).toBe('ran complete_block');
+    expect(calls.at(-1)).toEqual({ name: 'complete_block', args: { block_id: 'task_1', energy_level: 4 } });
+  });
+
+  test('treats an empty body as no arguments', async () => {
+    const response = await request('/tools/list_projects', { method: 'POST' });
+    expect(response.status).toBe(200);
+    expect(calls.at(-1)).toEqual({ name: 'list_projects', args: {} });
+  });
+
+  test('validates bodies against the tool inputSchema', async () => {
+    const before = calls.length;
+    const response = await request('/tools/complete_block', { method: 'POST', body: { energy_level: 9 } });
+    const payload = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(payload.details).toEqual(expect.arrayContaining([
+      { path: '/', message: "missing required property 'block_id'" },
+      expect.objectContaining({ path: '/energy_level' })
+    ]));
+    expect(calls.length).toBe(before);
+  });
+
+  test('reports unknown tools, malformed JSON and wrong methods', async () => {
+    expect((await request('/tools/nope', { method: 'POST', body: {} })).status).toBe(404);
+    expect((await request('/tools/list_projects', { method: 'POST', body: '{oops' })).status).toBe(400);
+    expect((await request('/tools/list_projects', { method: 'POST', body: '[1]' })).status).toBe(400);
+    expect((await request('/tools/list_projects')).status).toBe(405);
+
+    const malformed = await request('/tools/%E0', { method: 'POST', body: {} });
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).error).toContain('Malformed URL path');
+  });
+
+  test('serves project HTA and schedules', async () => {
+    const hta = await (await request('/projects/demo/hta')).json();
+    expect(hta).toMatchObject({ project_id: 'demo', path_name: 'general', hta: { frontierNodes: [{ id: 'n1' }] } });
+
+    const schedule = await (await request('/projects/demo/schedule/2025-03-04')).json();
+    expect(schedule.schedule.blocks[0].id).toBe('task_1');
+
+    expect((await request('/projects/missing/hta')).status).toBe(404);
+    expect((await request('/projects/demo/schedule/2025-03-05')).status).toBe(404);
+    expect((await request('/projects/demo/schedule/tomorrow')).status).toBe(400);
+    expect((await request('/projects/..%2Fetc/hta')).status).toBe(400);
+  });
+});
+
+describe('HttpApi token file', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-http-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('creates the token file owner-only and reuses it', async () => {
+    const token = await new HttpApi({}, { dataDir }).resolveToken();
+    const tokenFile = path.join(dataDir, HTTP_API_CONFIG.TOKEN_FILE);
+
+    if (process.platform !== 'win32') {
+      expect((await fs.stat(tokenFile)).mode & 0o777).toBe(HTTP_API_CONFIG.TOKEN_FILE_MODE);
+    }
+    expect(await new HttpApi({}, { dataDir }).resolveToken()).toBe(token);
+  });
+});
+
+describe('server shutdown', () => {
+  test('stops the HTTP API before the process exits', async () => {
+    // server-modular.js starts the server when imported, so its wiring is checked in the source
+    const source = await fs.readFile(path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'server-modular.js'), 'utf8');
+
+    expect(source).toMatch(/async shutdown\(\) \{[\s\S]*?await httpApi\.stop\(\);/);
+    expect(source).toMatch(/const gracefulShutdown = async \(signal\) => \{[\s\S]*?await forestServer\.shutdown\(\);[\s\S]*?process\.exit\(0\);/);
+    expect(source).toMatch(/process\.off\('SIGINT', exitOnSignal\);/);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * iCalendar Export/Import Tests
+ * Covers VEVENT serialisation, .ics parsing and busy-slot scheduling
+ */
+
+import {
+  buildICalendar,
+  buildBlockUid,
+  foldLine,
+  parseICalendar,
+  getBusySlotsForDate
+} from '../utils/ical.js';
+import { ScheduleGenerator } from '../modules/schedule-generator.js';
+import { IntegratedScheduleGenerator } from '../modules/integrated-schedule-generator.js';
+
+describe('iCalendar utilities', () => {
+  const schedule = {
+    date: '2025-03-04',
+    generated: '2025-03-03T20:00:00.000Z',
+    blocks: [
+      { id: 'task_1', type: 'learning', title: 'Scales, arpeggios; drills', startTime: '9:00 AM', duration: 45 },
+      { id: 'break_2', type: 'break', title: 'Break', startTime: '9:45 AM', duration: 10 },
+      { id: 'meal_3', type: 'meal', title: 'Lunch', startTime: '12:00 PM', duration: 45 }
+    ]
+  };
+
+  test('serialises blocks into VEVENTs with stable UIDs', () => {
+    const first = buildICalendar([schedule], { projectId: 'music' });
+    const second = buildICalendar([schedule], { projectId: 'music' });
+
+    expect(first.ics).toBe(second.ics);
+    expect(first.eventCount).toBe(3);
+    expect(first.ics).toContain(`UID:${buildBlockUid('music', '2025-03-04', 'task_1')}`);
+    expect(first.ics).toContain('DTSTART:20250304T090000');
+    expect(first.ics).toContain('DTEND:20250304T094500');
+    expect(first.ics).toContain('SUMMARY:Scales\\, arpeggios\\; drills');
+    expect(first.ics).toContain('DTSTAMP:20250303T200000Z');
+    expect(first.ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(first.ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  test('omits breaks and meals when requested', () => {
+    const { ics, eventCount } = buildICalendar([schedule], { projectId: 'music', includeBreaks: false });
+
+    expect(eventCount).toBe(1);
+    expect(ics).not.toContain('SUMMARY:Lunch');
+  });
+
+  test('folds long lines to 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+
+    for (const line of folded.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+
+  test('parses events including folded lines, durations and all-day entries', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:standup-1',
+      'SUMMARY:Team',
+      '  standup',
+      'DTSTART;TZID=Europe/Berlin:20250304T100000',
+      'DURATION:PT30M',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:holiday',
+      'SUMMARY:Holiday',
+      'DTSTART;VALUE=DATE:20250304',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const events = parseICalendar(ics);
+
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({ uid: 'standup-1', summary: 'Team standup', start: '2025-03-04T10:00', end: '2025-03-04T10:30', allDay: false });
+    expect(events[1].allDay).toBe(true);
+  });
+
+  test('projects timed, opaque events onto a day and merges overlaps', () => {
+    const events = [
+      { summary: 'A', start: '2025-03-04T10:00', end: '2025-03-04T11:00', allDay: false, transparent: false },
+      { summary: 'B', start: '2025-03-04T10:30', end: '2025-03-04T11:30', allDay: false, transparent: false },
+      { summary: 'Free', start: '2025-03-04T14:00', end: '2025-03-04T15:00', allDay: false, transparent: true },
+      { summary: 'Other day', start: '2025-03-05T10:00', end: '2025-03-05T11:00', allDay: false, transparent: false }
+    ];
+
+    expect(getBusySlotsForDate(events, '2025-03-04')).toEqual([{ start: 600, end: 690, title: 'A, B' }]);
+  });
+});
+
+describe('busy slots in schedule generation', () => {
+  const busySlots = [{ start: 600, end: 660, title: 'Standup' }];
+
+  test('ScheduleGenerator keeps commitments free of generated blocks', () => {
+    const generator = new ScheduleGenerator(null, null);
+    const readyTasks = [
+      { id: 't1', title: 'Task 1', difficulty: 2, duration: '45 minutes', priority: 300 },
+      { id: 't2', title: 'Task 2', difficulty: 2, duration: '45 minutes', priority: 200 }
+    ];
+
+    const blocks = generator.createTimeBlocks(540, 780, [], readyTasks, 3, 'mixed', {}, {}, null, [], busySlots);
+    const meeting = blocks.find(b => b.type === 'meeting');
+
+    expect(meeting).toMatchObject({ title: 'Standup', startTime: '10:00 AM', duration: 60 });
+
+    let cursor = 540;
+    for (const block of blocks) {
+      const start = generator.parseTime(block.startTime);
+      expect(start).toBe(cursor);
+      if (block.type !== 'meeting') {
+        expect(start >= 660 || start + block.duration <= 600).toBe(true);
+      }
+      cursor = start + block.duration;
+    }
+  });
+
+  test('IntegratedScheduleGenerator splits free blocks around commitments', () => {
+    const generator = new IntegratedScheduleGenerator(null, null, null, null, null);
+
+    expect(generator._buildFreeBlocks(420, 1320, busySlots)).toEqual([
+      { start: '07:00', end: '10:00' },
+      { start: '11:00', end: '22:00' }
+    ]);
+    expect(generator._parseTime('10:00 PM')).toBe(1320);
+  });
+});
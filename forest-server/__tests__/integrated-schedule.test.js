@@ -0,0 +1,166 @@
+/**
+ * Integrated Schedule Tests
+ * Multi-project focus blocks: weighted shares, weekly budgets, minimum block
+ * length, and checking Claude's schedule against the same rules
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { IntegratedTaskPool } from '../modules/integrated-task-pool.js';
+import { IntegratedScheduleGenerator } from '../modules/integrated-schedule-generator.js';
+import { ScheduleGenerator } from '../modules/schedule-generator.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import { countSwitches, divideByWeight, planIntegratedDay } from '../utils/integrated-plan.js';
+
+const task = (id, projectId, minutes, priority = 200) => ({ id, project_id: projectId, title: id, est_minutes: minutes, difficulty: 3, priority });
+const options = { minBlockMinutes: 45, maxBlockMinutes: 120, energyLevel: 3 };
+
+describe('integrated plan utility', () => {
+  test('divides time by weight and gives capped leftovers to the others', () => {
+    expect(divideByWeight(300, [
+      { id: 'a', weight: 2, cap: Infinity },
+      { id: 'b', weight: 1, cap: Infinity }
+    ])).toEqual({ a: 200, b: 100 });
+    expect(divideByWeight(300, [
+      { id: 'a', weight: 2, cap: 60 },
+      { id: 'b', weight: 1, cap: Infinity },
+      { id: 'c', weight: 1, cap: 0 }
+    ])).toEqual({ a: 60, b: 240, c: 0 });
+  });
+
+  test('groups tasks into per-project focus blocks instead of alternating', () => {
+    const tasks = [
+      task('a1', 'alpha', 30, 400), task('b1', 'beta', 30, 350),
+      task('a2', 'alpha', 30, 300), task('b2', 'beta', 30, 250),
+      task('a3', 'alpha', 20, 200), task('b3', 'beta', 20, 150)
+    ];
+    const projects = [{ id: 'alpha', weight: 1, allowanceMinutes: null }, { id: 'beta', weight: 1, allowanceMinutes: null }];
+    const plan = planIntegratedDay(tasks, [{ start: 540, end: 720 }], projects, options);
+
+    expect(plan.blocks.map(block => [block.project_id, block.start, block.minutes])).toEqual([['alpha', 540, 80], ['beta', 620, 80]]);
+    expect(plan.blocks[0].tasks.map(t => t.task_id)).toEqual(['a1', 'a2', 'a3']);
+    expect(countSwitches(plan.blocks)).toBe(1);
+    expect(planIntegratedDay(tasks, [{ start: 540, end: 720 }], projects, options)).toEqual(plan);
+  });
+
+  test('pads short work up to the minimum block and respects budgets', () => {
+    const tasks = [task('a1', 'alpha', 20), task('b1', 'beta', 60), task('c1', 'gamma', 30)];
+    const projects = [
+      { id: 'alpha', weight: 1, allowanceMinutes: null },
+      { id: 'beta', weight: 1, allowanceMinutes: 60 },
+      { id: 'gamma', weight: 1, allowanceMinutes: 0 }
+    ];
+    const plan = planIntegratedDay(tasks, [{ start: 540, end: 720 }], projects, options);
+
+    expect(plan.blocks.find(block => block.project_id === 'alpha')).toMatchObject({ minutes: 45, bufferMinutes: 25 });
+    expect(plan.blocks.every(block => block.minutes >= options.minBlockMinutes)).toBe(true);
+    expect(plan.unscheduled).toEqual([{ id: 'c1', project_id: 'gamma', title: 'c1', reason: 'Weekly budget used up' }]);
+  });
+});
+
+describe('IntegratedScheduleGenerator', () => {
+  let dataDir;
+  let dp;
+  let generator;
+  let llmAnswer;
+
+  const seedProject = async (id, config, nodes) => {
+    await dp.saveProjectData(id, FILE_NAMES.CONFIG, { id, activePath: 'general', ...config });
+    await dp.saveProjectData(id, FILE_NAMES.HTA, { frontierNodes: nodes });
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-integrated-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    const projectManagement = { listProjects: async () => ({ projects: ['music', 'spanish'] }) };
+    const llm = { requestIntelligence: async () => llmAnswer };
+    llmAnswer = { request_for_claude: true };
+    generator = new IntegratedScheduleGenerator(
+      new IntegratedTaskPool(dp, projectManagement), projectManagement, llm, dp, new ScheduleGenerator(dp, projectManagement)
+    );
+
+    const prefs = { wake_time: '9:00 AM', sleep_time: '12:00 PM' };
+    await seedProject('music', { life_structure_preferences: prefs, priority_weight: 2 }, [
+      { id: 'scales', title: 'Scales', duration: '1 hour', priority: 300 },
+      { id: 'piece', title: 'Learn piece', duration: '45 minutes', priority: 250 },
+      { id: 'theory', title: 'Theory', duration: '30 minutes', priority: 200 }
+    ]);
+    await seedProject('spanish', { weekly_hours_budget: 3, urgency_level: 'low' }, [
+      { id: 'vocab', title: 'Vocabulary', duration: '30 minutes', priority: 300 },
+      { id: 'listen', title: 'Listening', duration: '30 minutes', priority: 200 }
+    ]);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('reads weights, what is left of the weekly budget and who is behind pace', async () => {
+    // Wednesday 2025-07-02: two days of a 3h budget (51 min) were due; 120 minutes over five
+    // days is less than a focus block a day, so today may use one block
+    const timeAllocation = generator.taskPool.timeAllocation;
+    await timeAllocation.recordBlock('spanish', 'general', { type: 'learning', duration: 45, actualDuration: 60, completedAt: '2025-06-30T10:00:00Z' });
+    await timeAllocation.recordBlock('spanish', 'general', { type: 'break', duration: 15, completedAt: '2025-06-30T11:00:00Z' });
+
+    expect(await generator.taskPool.getProjectSettings('2025-07-02')).toEqual([
+      { id: 'music', weight: 2, baseWeight: 2, weeklyBudgetMinutes: null, usedMinutes: 0, expectedMinutes: 0, allowanceMinutes: null, underServed: false },
+      { id: 'spanish', weight: 0.75, baseWeight: 0.75, weeklyBudgetMinutes: 180, usedMinutes: 60, expectedMinutes: 51, allowanceMinutes: 45, underServed: false }
+    ]);
+
+    // By Friday 103 minutes were due and only 60 done: the weight rises unless asked not to
+    const [, behind] = await generator.taskPool.getProjectSettings('2025-07-04');
+    expect(behind).toMatchObject({ expectedMinutes: 103, underServed: true, weight: 0.93, allowanceMinutes: 45 });
+    const [, plain] = await generator.taskPool.getProjectSettings('2025-07-04', false);
+    expect(plain.weight).toBe(0.75);
+  });
+
+  test('falls back to deterministic focus blocks and reports minutes per project', async () => {
+    const result = await generator.generateIntegratedSchedule('2025-06-30', 3);
+
+    expect(result.source).toBe('deterministic');
+    expect(result.focus_blocks).toEqual([
+      { project_id: 'music', start: '09:00', end: '10:45', minutes: 105, task_ids: ['scales', 'piece'] },
+      { project_id: 'spanish', start: '10:45', end: '11:30', minutes: 45, task_ids: ['vocab'] }
+    ]);
+    expect(result.context_switches).toBe(1);
+    expect(result.minutes_by_project.music).toMatchObject({ minutes: 105, tasks: 2, weight: 2, weekly_budget_minutes: null });
+    expect(result.minutes_by_project.spanish).toMatchObject({ minutes: 45, task_minutes: 30, weekly_budget_minutes: 180, allowance_minutes: 45 });
+    expect(result.unscheduled.map(t => [t.id, t.reason])).toEqual([['theory', 'No room left today'], ['listen', 'No room left today']]);
+    expect(result.content[0].text).toContain('**Minutes per project**');
+    expect(result.content[0].text).toContain('• spanish: 45 min (weight 0.75, 45/180 min of weekly budget)');
+
+    const day = await dp.loadProjectData('spanish', FILE_NAMES.DAILY_SCHEDULE('2025-06-30'));
+    expect(day.blocks).toEqual([
+      expect.objectContaining({ id: 'task_1', type: 'learning', taskId: 'vocab', startTime: '10:45 AM', duration: 30 }),
+      expect.objectContaining({ id: 'task_2', type: 'transition', startTime: '11:15 AM', duration: 15 })
+    ]);
+  });
+
+  test('uses Claude\'s schedule only when it keeps to the rules', async () => {
+    llmAnswer = {
+      completion: JSON.stringify([
+        { task_id: 'scales', project_id: 'music', start: '09:00', end: '10:00' },
+        { task_id: 'vocab', project_id: 'spanish', start: '10:00', end: '10:30' },
+        { task_id: 'piece', project_id: 'music', start: '10:30', end: '11:15' }
+      ])
+    };
+    const rejected = await generator.generateIntegratedSchedule('2025-06-30', 3);
+    expect(rejected.source).toBe('deterministic');
+    expect(rejected.content[0].text).toContain('shorter than 45 minutes');
+
+    llmAnswer = {
+      completion: JSON.stringify([
+        { task_id: 'piece', project_id: 'music', start: '09:00', end: '09:45' },
+        { task_id: 'theory', project_id: 'music', start: '09:45', end: '10:15' },
+        { task_id: 'scales', project_id: 'music', start: '10:15', end: '11:15' }
+      ])
+    };
+    const accepted = await generator.generateIntegratedSchedule('2025-06-30', 3);
+    expect(accepted.source).toBe('llm');
+    expect(accepted.focus_blocks).toEqual([{ project_id: 'music', start: '09:00', end: '11:15', minutes: 135, task_ids: ['piece', 'theory', 'scales'] }]);
+    expect(accepted.context_switches).toBe(0);
+    expect(accepted.unscheduled.map(t => t.id)).toEqual(['vocab', 'listen']);
+  });
+});
@@ -79,7 +79,7 @@ describe('Module-Specific Transaction Tests', () => {
       expect(result.success).toBe(true);
       
       // Verify HTA data was saved atomically
-      const htaData = await dataPersistence.loadPathData('test-hta-tx', 'general', 'hta.json');
+      const htaData = await dataPersistence.loadPathHTA('test-hta-tx', 'general');
       expect(htaData).toBeDefined();
       expect(htaData.goal).toBe('Test Goal');
       expect(htaData.frontierNodes).toBeDefined();
@@ -106,7 +106,7 @@ describe('Module-Specific Transaction Tests', () => {
       expect(result.success).toBe(true); // Falls back to skeleton
       
       // Verify HTA data exists (skeleton fallback)
-      const htaData = await dataPersistence.loadPathData('test-hta-rollback', 'general', 'hta.json');
+      const htaData = await dataPersistence.loadPathHTA('test-hta-rollback', 'general');
       expect(htaData).toBeDefined();
       expect(htaData.frontierNodes).toBeDefined();
     });
@@ -125,7 +125,7 @@ describe('Module-Specific Transaction Tests', () => {
       expect(result.error).toContain('Disk full');
 
       // Verify no partial data was saved
-      const htaData = await dataPersistence.loadPathData('test-fs-error', 'general', 'hta.json');
+      const htaData = await dataPersistence.loadPathHTA('test-fs-error', 'general');
       expect(htaData).toBeNull();
 
       // Restore original method
@@ -293,7 +293,7 @@ describe('Module-Specific Transaction Tests', () => {
       expect(result.success).toBe(true);
       
       // Verify HTA data was saved atomically
-      const htaData = await dataPersistence.loadPathData('test-hta-tx', 'general', 'hta.json');
+      const htaData = await dataPersistence.loadPathHTA('test-hta-tx', 'general');
       expect(htaData).toBeDefined();
       expect(htaData.goal).toBe('Test Goal');
       expect(htaData.frontierNodes).toBeDefined();
@@ -320,7 +320,7 @@ describe('Module-Specific Transaction Tests', () => {
       expect(result.success).toBe(true); // Falls back to skeleton
       
       // Verify HTA data exists (skeleton fallback)
-      const htaData = await dataPersistence.loadPathData('test-hta-rollback', 'general', 'hta.json');
+      const htaData = await dataPersistence.loadPathHTA('test-hta-rollback', 'general');
       expect(htaData).toBeDefined();
       expect(htaData.frontierNodes).toBeDefined();
     });
@@ -339,7 +339,7 @@ describe('Module-Specific Transaction Tests', () => {
       expect(result.error).toContain('Disk full');
 
       // Verify no partial data was saved
-      const htaData = await dataPersistence.loadPathData('test-fs-error', 'general', 'hta.json');
+      const htaData = await dataPersistence.loadPathHTA('test-fs-error', 'general');
       expect(htaData).toBeNull();
 
       // Restore original method
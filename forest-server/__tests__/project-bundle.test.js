@@ -0,0 +1,131 @@
+/**
+ * Project Bundle Tests
+ * Manifest checksums, schema migration, and export/import round trips with conflict handling
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildBundle, migrateBundle, verifyBundle } from '../utils/project-bundle.js';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { ProjectTransfer } from '../modules/project-transfer.js';
+import { BUNDLE_CONFIG } from '../modules/constants.js';
+
+describe('project bundle utilities', () => {
+  const files = {
+    'config.json': { id: 'music', goal: 'Learn piano' },
+    'paths/general/hta.json': { frontierNodes: [{ id: 'n1', title: 'Scales' }] }
+  };
+
+  test('builds a manifest with per-file checksums that verifies', () => {
+    const bundle = buildBundle('music', files, { exportedAt: '2025-03-04T10:00:00.000Z' });
+
+    expect(bundle.format).toBe(BUNDLE_CONFIG.FORMAT);
+    expect(bundle.schemaVersion).toBe(BUNDLE_CONFIG.SCHEMA_VERSION);
+    expect(bundle.manifest.files.map(f => f.path)).toEqual(['config.json', 'paths/general/hta.json']);
+    expect(verifyBundle(bundle)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('detects tampering, unsafe paths and newer schema versions', () => {
+    const bundle = buildBundle('music', files);
+    bundle.files['config.json'].goal = 'Something else';
+    bundle.files['../escape.json'] = {};
+    bundle.schemaVersion = BUNDLE_CONFIG.SCHEMA_VERSION + 1;
+
+    const { valid, errors } = verifyBundle(bundle);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      'Checksum mismatch: config.json',
+      'File not in manifest: ../escape.json',
+      expect.stringContaining('newer than supported')
+    ]));
+  });
+
+  test('migrates v1 bundles with snake_case HTA keys', () => {
+    const legacy = buildBundle('music', {
+      'config.json': { id: 'music' },
+      'hta.json': { frontier_nodes: [{ id: 'n1' }], completed_nodes: [] }
+    }, { schemaVersion: 1 });
+
+    expect(verifyBundle(legacy).valid).toBe(true);
+    const { bundle, applied } = migrateBundle(legacy);
+
+    expect(applied).toEqual([1]);
+    expect(bundle.schemaVersion).toBe(BUNDLE_CONFIG.SCHEMA_VERSION);
+    expect(bundle.files['hta.json']).toEqual({ frontierNodes: [{ id: 'n1' }], completedNodes: [] });
+    expect(verifyBundle(bundle).valid).toBe(true);
+  });
+});
+
+describe('ProjectTransfer', () => {
+  let dataDir;
+  let dataPersistence;
+  let transfer;
+
+  const seedProject = async (projectId, goal) => {
+    await dataPersistence.saveProjectData(projectId, 'config.json', { id: projectId, goal });
+    await dataPersistence.saveProjectData(projectId, 'learning_history.json', { completedTopics: [{ topic: 'Scales' }] });
+    await dataPersistence.saveProjectData(projectId, 'day_2025-03-04.json', { date: '2025-03-04', blocks: [] });
+    await dataPersistence.saveProjectData(projectId, 'wisdom.json', { wisdomEntries: [] });
+    await dataPersistence.savePathData(projectId, 'general', 'hta.json', { frontierNodes: [{ id: 'n1', title: 'Scales' }] });
+  };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-bundle-'));
+    dataPersistence = new DataPersistence(dataDir);
+    transfer = new ProjectTransfer(dataPersistence, { requireActiveProject: async () => 'music' });
+    await seedProject('music', 'Learn piano');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('round-trips every project file through a bundle', async () => {
+    const exported = await transfer.exportProject();
+    expect(exported.file_count).toBe(6);
+
+    const bundle = JSON.parse(await fs.readFile(exported.bundle_path, 'utf8'));
+    expect(Object.keys(bundle.files)).toEqual(expect.arrayContaining([
+      'config.json', 'learning_history.json', 'day_2025-03-04.json', 'wisdom.json', 'paths/general/hta.json',
+      'paths/general/hta_revisions.json'
+    ]));
+
+    const imported = await transfer.importProject({ bundlePath: exported.bundle_path, targetProjectId: 'copy' });
+    expect(imported.project_id).toBe('copy');
+    expect(await dataPersistence.loadProjectData('copy', 'config.json')).toMatchObject({ id: 'copy', goal: 'Learn piano' });
+    expect((await dataPersistence.loadPathData('copy', 'general', 'hta.json')).frontierNodes[0].title).toBe('Scales');
+    expect((await dataPersistence.loadGlobalData('config.json')).projects).toContain('copy');
+  });
+
+  test('refuses existing ids by default and renames or overwrites on request', async () => {
+    const { bundle_path: bundlePath } = await transfer.exportProject('music');
+
+    const refused = await transfer.importProject({ bundlePath });
+    expect(refused.content[0].text).toContain("Project 'music' already exists");
+
+    const renamed = await transfer.importProject({ bundlePath, onConflict: 'rename' });
+    expect(renamed.project_id).toBe('music_2');
+
+    await dataPersistence.saveProjectData('music', 'config.json', { id: 'music', goal: 'Changed locally' });
+    await dataPersistence.saveProjectData('music', 'stray.json', { leftover: true });
+    const overwritten = await transfer.importProject({ bundlePath, onConflict: 'overwrite' });
+
+    expect(overwritten.backup_dir).toBeTruthy();
+    expect((await dataPersistence.loadProjectData('music', 'config.json')).goal).toBe('Learn piano');
+    expect(await dataPersistence.loadProjectData('music', 'stray.json')).toBeNull();
+    expect(JSON.parse(await fs.readFile(path.join(overwritten.backup_dir, 'config.json'), 'utf8')).goal).toBe('Changed locally');
+  });
+
+  test('rejects corrupted bundles without touching existing data', async () => {
+    const { bundle_path: bundlePath } = await transfer.exportProject('music');
+    const bundle = JSON.parse(await fs.readFile(bundlePath, 'utf8'));
+    bundle.files['wisdom.json'].wisdomEntries.push({ injected: true });
+
+    const result = await transfer.importProject({ bundleContent: JSON.stringify(bundle), targetProjectId: 'other' });
+
+    expect(result.content[0].text).toContain('Checksum mismatch: wisdom.json');
+    expect(await dataPersistence.loadProjectData('other', 'config.json')).toBeNull();
+  });
+});
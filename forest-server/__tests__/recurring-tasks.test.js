@@ -0,0 +1,177 @@
+/**
+ * Recurring Tasks Tests
+ * Recurrence rules, streaks and missed occurrences, schedule placement and
+ * per-occurrence completion of habit and maintenance items, and the habit
+ * section review_week reports
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { AnalyticsTools } from '../modules/analytics-tools.js';
+import { RecurringTasks } from '../modules/recurring-tasks.js';
+import { ScheduleGenerator } from '../modules/schedule-generator.js';
+import { TaskCompletion } from '../modules/task-completion.js';
+import { ToolRouter } from '../modules/tool-router.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import { computeStreak, describeRecurrence, getDueItems, listOccurrences, parseRecurrence } from '../utils/recurrence.js';
+
+const habit = (id, recurrence, completions = {}, extra = {}) => ({
+  id,
+  title: `Habit ${id}`,
+  kind: 'habit',
+  recurrence,
+  startDate: '2025-03-03', // A Monday
+  durationMinutes: 15,
+  completions,
+  ...extra
+});
+
+describe('recurrence', () => {
+  test('parses shorthands and the RRULE subset into occurrences', () => {
+    expect(listOccurrences(parseRecurrence('every 3 days'), '2025-03-03', '2025-03-03', '2025-03-10'))
+      .toEqual(['2025-03-03', '2025-03-06', '2025-03-09']);
+    expect(listOccurrences(parseRecurrence('weekdays'), '2025-03-06', '2025-03-06', '2025-03-11'))
+      .toEqual(['2025-03-06', '2025-03-07', '2025-03-10', '2025-03-11']);
+
+    const rule = parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=3');
+    expect(describeRecurrence(rule)).toBe('Every 2 weeks on Mo, Th, 3 times');
+    expect(listOccurrences(rule, '2025-03-03', '2025-03-01', '2025-04-30'))
+      .toEqual(['2025-03-03', '2025-03-06', '2025-03-17']);
+
+    expect(() => parseRecurrence('FREQ=MONTHLY')).toThrow(/Unsupported RRULE FREQ/);
+    expect(() => parseRecurrence('sometimes')).toThrow(/Unrecognised recurrence/);
+  });
+
+  test('streaks count consecutive occurrences and list missed ones; today stays pending', () => {
+    const item = habit('stretch', 'daily', {
+      '2025-03-03': {}, '2025-03-04': {}, '2025-03-05': {},
+      '2025-03-07': {}, '2025-03-08': {}
+    });
+
+    const streak = computeStreak(item, '2025-03-09');
+
+    expect(streak).toMatchObject({
+      currentStreak: 2,
+      longestStreak: 3,
+      scheduledOccurrences: 6,
+      completedOccurrences: 5,
+      missed: ['2025-03-06'],
+      dueToday: true,
+      completedToday: false,
+      nextDue: '2025-03-09'
+    });
+    expect(computeStreak(item, '2025-03-10').currentStreak).toBe(0);
+    expect(getDueItems([item, habit('alt', 'every 2 days')], '2025-03-09').map(i => i.id)).toEqual(['alt', 'stretch']);
+  });
+});
+
+describe('ScheduleGenerator recurring placement', () => {
+  test('pins due items at their preferred time, ordered by time then id', () => {
+    const generator = new ScheduleGenerator(null, null);
+    const items = [
+      habit('recurring_read', 'daily', {}, { preferredTime: '10:00 AM' }),
+      habit('recurring_water', 'daily', {}, { preferredTime: '10:00 AM' }),
+      habit('recurring_journal', 'daily')
+    ];
+
+    const blocks = generator.createTimeBlocks(
+      540, 720, [], [], 3, 'mixed', {}, {}, null, [], [], items
+    );
+    const recurring = blocks.filter(b => b.type === 'recurring');
+
+    expect(recurring.map(b => [b.recurringId, b.startTime])).toEqual([
+      ['recurring_journal', '9:00 AM'],
+      ['recurring_read', '10:00 AM'],
+      ['recurring_water', '10:15 AM']
+    ]);
+    expect(generator.createTimeBlocks(540, 720, [], [], 3, 'mixed', {}, {}, null, [], [], items)).toEqual(blocks);
+  });
+});
+
+describe('RecurringTasks', () => {
+  let dataDir;
+  let dp;
+  let recurring;
+  const projectManagement = { requireActiveProject: async () => 'fitness', listProjects: async () => ({ projects: ['fitness'] }) };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-recurring-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('fitness', FILE_NAMES.CONFIG, {
+      id: 'fitness',
+      activePath: 'general',
+      created_at: '2024-01-01T08:00:00.000Z',
+      current_habits: { habit_goals: ['Drink water', 'Stretch'] }
+    });
+    recurring = new RecurringTasks(dp, projectManagement);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('seeds daily habits from habit_goals and adds validated recurring tasks', async () => {
+    const seeded = await recurring.loadItems('fitness');
+    expect(seeded.map(item => [item.id, item.startDate])).toEqual([
+      ['recurring_drink_water', '2024-01-01'],
+      ['recurring_stretch', '2024-01-01']
+    ]);
+
+    const added = await recurring.addRecurringTask({
+      title: 'Water plants',
+      recurrence: 'FREQ=WEEKLY;BYDAY=SA',
+      kind: 'maintenance',
+      startDate: '2024-01-01'
+    });
+    expect(added.recurring_task).toMatchObject({ id: 'recurring_water_plants', recurrence: { freq: 'WEEKLY', byDay: [6] } });
+    expect((await dp.loadProjectData('fitness', FILE_NAMES.RECURRING_TASKS)).items).toHaveLength(3);
+
+    const invalid = await recurring.addRecurringTask({ title: 'Nap', preferredTime: 'noon' });
+    expect(invalid.content[0].text).toContain('Error adding recurring task');
+  });
+
+  test('complete_block records the occurrence and reports streaks and period summaries', async () => {
+    const completion = new TaskCompletion(dp, projectManagement);
+    const today = new Date().toISOString().split('T')[0];
+
+    const result = await completion.completeBlock({ block_id: 'recurring_stretch', outcome: 'Done', energy_level: 3 });
+
+    expect(result.block_completed).toMatchObject({ type: 'recurring', completed: true, streak: { currentStreak: 1 } });
+    expect((await recurring.findItem('fitness', 'recurring_stretch')).completions[today]).toMatchObject({ outcome: 'Done' });
+    expect(await dp.loadProjectData('fitness', FILE_NAMES.HTA)).toBeNull();
+
+    const streaks = await recurring.getHabitStreaks(today);
+    expect(streaks.habit_streaks.map(s => [s.id, s.completedToday])).toEqual([
+      ['recurring_drink_water', false],
+      ['recurring_stretch', true]
+    ]);
+
+    const summary = await recurring.summarizePeriod('fitness', '2024-01-01', '2024-01-03');
+    expect(summary[0]).toMatchObject({ scheduled: 3, completed: 0, missed: ['2024-01-01', '2024-01-02'] });
+  });
+
+  test('review_week and review_month reach the habit report through the tool router', async () => {
+    // server-modular.js starts the server when imported, so check its delegator by source
+    // and route through ToolRouter with a server that forwards the same way
+    const serverSource = await fs.readFile(path.join(path.dirname(fileURLToPath(import.meta.url)), '../server-modular.js'), 'utf8');
+    expect(serverSource).toMatch(/async reviewPeriod\(days\) \{\s*return await this\.analyticsTools\.reviewPeriod\(days\);/);
+
+    const forestServer = {
+      analyticsTools: new AnalyticsTools(dp, projectManagement),
+      reviewPeriod(days) {
+        return this.analyticsTools.reviewPeriod(days);
+      }
+    };
+    const router = new ToolRouter(null, forestServer);
+    await new TaskCompletion(dp, projectManagement).completeBlock({ block_id: 'recurring_stretch', outcome: 'Done', energy_level: 3 });
+
+    const week = await router.toolRegistry.execute('review_week');
+    expect(week.days_reviewed).toBe(7);
+    expect(week.content[0].text).toContain('**Habits**:');
+    expect(week.content[0].text).toMatch(/• Stretch: 1\/\d+ done, streak 1/);
+    expect((await router.toolRegistry.execute('review_month')).days_reviewed).toBe(30);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Replan Day Tests
+ * Rebuilding the rest of a day around fixed blocks and reporting plan
+ * adherence in the period review
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { ScheduleGenerator } from '../modules/schedule-generator.js';
+import { AnalyticsTools } from '../modules/analytics-tools.js';
+import { ToolRouter } from '../modules/tool-router.js';
+import { FILE_NAMES } from '../modules/constants.js';
+
+describe('ScheduleGenerator.replanDay', () => {
+  let dataDir;
+  let dp;
+  let generator;
+  const projectManagement = { requireActiveProject: async () => 'writing', listProjects: async () => ({ projects: ['writing'] }) };
+  const today = new Date().toISOString().split('T')[0];
+  const block = (id, type, startTime, duration, extra = {}) => ({ id, type, title: id, startTime, duration, completed: false, ...extra });
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-replan-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('writing', FILE_NAMES.CONFIG, { id: 'writing', activePath: 'general' });
+    await dp.saveProjectData('writing', FILE_NAMES.HTA, {
+      frontierNodes: ['outline', 'draft', 'edit', 'polish'].map((id, index) => ({
+        id, title: `Task ${id}`, duration: '30 minutes', difficulty: 2, priority: 400 - index * 10, completed: false
+      }))
+    });
+    await dp.saveProjectData('writing', FILE_NAMES.DAILY_SCHEDULE(today), {
+      date: today,
+      energyLevel: 3,
+      focusType: 'mixed',
+      preferences: { wake_time: '9:00 AM', sleep_time: '3:00 PM', meal_times: [] },
+      blocks: [
+        block('task_1', 'learning', '9:00 AM', 60, { taskId: 'outline' }),
+        block('task_2', 'learning', '10:00 AM', 60, { taskId: 'draft' }),
+        block('meal_3', 'meal', '12:00 PM', 45),
+        block('task_4', 'learning', '12:45 PM', 60, { taskId: 'edit' }),
+        block('meeting_5', 'meeting', '2:00 PM', 60, { external: true })
+      ]
+    });
+    generator = new ScheduleGenerator(dp, projectManagement);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('keeps started and fixed blocks and refills the rest from open tasks', async () => {
+    const result = await generator.replanDay({ currentTime: '10:40', completedBlocks: ['task_1'], skippedBlocks: ['task_2'] });
+    const blocks = result.daily_schedule.blocks;
+    const startOf = b => generator.parseTime(b.startTime);
+
+    expect(blocks.find(b => b.id === 'task_1')).toMatchObject({ completed: true, completedVia: 'replan_day' });
+    expect(blocks.find(b => b.id === 'task_2')).toMatchObject({ skipped: true, startTime: '10:00 AM' });
+    expect(blocks.find(b => b.id === 'meal_3')).toMatchObject({ type: 'meal', startTime: '12:00 PM' });
+    expect(blocks.find(b => b.id === 'meeting_5')).toMatchObject({ type: 'meeting', external: true });
+    expect(blocks.some(b => b.id === 'task_4')).toBe(false);
+
+    const added = blocks.filter(b => b.id.endsWith('_r1'));
+    expect(added.filter(b => b.type === 'learning').map(b => b.taskId)).toEqual(['draft', 'edit', 'polish']);
+    expect(added[0].startTime).toBe('10:40 AM');
+    // Nothing new overlaps the meal or the meeting
+    for (const b of added) {
+      for (const fixed of [[720, 765], [840, 900]]) {
+        expect(startOf(b) + b.duration <= fixed[0] || startOf(b) >= fixed[1]).toBe(true);
+      }
+    }
+    expect(result.replan).toMatchObject({ revision: 1, currentTime: '10:40 AM', removed: [{ id: 'task_4', taskId: 'edit' }] });
+
+    const invalid = await generator.replanDay({ currentTime: 'after lunch' });
+    expect(invalid.content[0].text).toContain('Invalid current_time');
+  });
+
+  test('review_week reports adherence including blocks moved by re-plans', async () => {
+    await generator.replanDay({ currentTime: '10:40 AM', completedBlocks: ['task_1'], skippedBlocks: ['task_2'] });
+
+    // Through the tool, as a client calls it; the server forwards review_week to AnalyticsTools.reviewPeriod
+    const analyticsTools = new AnalyticsTools(dp, projectManagement);
+    const router = new ToolRouter(null, { reviewPeriod: days => analyticsTools.reviewPeriod(days) });
+    const review = await router.toolRegistry.execute('review_week');
+
+    // Work blocks now: task_1, task_2 and three added; plus task_4 removed
+    expect(review.period_review.adherence).toMatchObject({
+      daysPlanned: 1, plannedBlocks: 6, completedBlocks: 1, skippedBlocks: 1, replans: 1, movedBlocks: 1, adherenceRate: 17
+    });
+    expect(review.content[0].text).toContain('1/6 planned blocks done (17%)');
+  });
+});
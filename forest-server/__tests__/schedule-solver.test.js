@@ -0,0 +1,118 @@
+/**
+ * Schedule Solver Tests
+ * Local-search day scheduling: deterministic output, prerequisite order,
+ * energy fit, focus/break/transition rules and the greedy fallback
+ */
+
+import { jest } from '@jest/globals';
+import { ScheduleGenerator } from '../modules/schedule-generator.js';
+import { decodeOrder, solveSchedule } from '../utils/schedule-solver.js';
+
+const item = (key, minutes, extra = {}) => ({ key, minutes, priority: 200, difficulty: 3, branch: null, prerequisites: [], ...extra });
+const rules = { focusMinutes: 90, breakMinutes: 15, transitionMinutes: 0, minMinutes: 15, minClipRatio: 0.75 };
+const flatEnergy = () => 3;
+
+describe('schedule solver utility', () => {
+  test('inserts transitions between items and a break once the focus limit is reached', () => {
+    const decoded = decodeOrder(
+      [item('a', 30), item('b', 30), item('c', 30)],
+      new Set(),
+      [{ start: 540, end: 720 }],
+      { ...rules, focusMinutes: 60, transitionMinutes: 5 }
+    );
+
+    expect(decoded.placements.map(p => [p.item.key, p.start])).toEqual([['a', 540], ['b', 575], ['c', 620]]);
+    expect(decoded.transitions).toEqual([{ start: 570, duration: 5 }]);
+    expect(decoded.breaks).toEqual([{ start: 605, duration: 15 }]);
+  });
+
+  test('is deterministic, keeps prerequisites first and puts hard work at high energy', () => {
+    const items = [
+      item('apply', 30, { priority: 400, prerequisites: ['learn'] }),
+      item('learn', 45, { priority: 300, difficulty: 5 }),
+      item('easy', 30, { difficulty: 1 }),
+      item('huge', 300)
+    ];
+    const windows = [{ start: 480, end: 570 }, { start: 600, end: 720 }];
+    const options = { energyAt: hour => (hour >= 10 ? 5 : 2), rules };
+
+    const first = solveSchedule(items, windows, options);
+    const second = solveSchedule(items, windows, options);
+
+    expect(second).toEqual(first);
+    const startOf = key => first.placements.find(p => p.item.key === key).start;
+    expect(startOf('learn')).toBeGreaterThanOrEqual(600);
+    expect(startOf('learn')).toBeLessThan(startOf('apply'));
+    expect(first.unscheduled.map(u => u.key)).toEqual(['huge']);
+  });
+
+  test('prefers fewer branch switches within a session', () => {
+    const items = [
+      item('m1', 30, { branch: 'math' }),
+      item('l1', 30, { branch: 'lang' }),
+      item('m2', 30, { branch: 'math' }),
+      item('l2', 30, { branch: 'lang' })
+    ];
+    const result = solveSchedule(items, [{ start: 540, end: 660 }], { energyAt: flatEnergy, rules: { ...rules, focusMinutes: 240 } });
+    const branches = result.placements.map(p => p.item.branch);
+
+    const switches = branches.filter((branch, i) => i > 0 && branch !== branches[i - 1]).length;
+    expect(switches).toBe(1);
+  });
+});
+
+describe('ScheduleGenerator with the solver', () => {
+  const generator = new ScheduleGenerator({}, {});
+  const tasks = () => [
+    { id: 'proof', title: 'Hard proof', duration: '50 minutes', difficulty: 5, priority: 300, branch: 'math' },
+    { id: 'cards', title: 'Flashcards', duration: '30 minutes', difficulty: 1, priority: 200, branch: 'lang' },
+    { id: 'read', title: 'Read chapter', duration: '40 minutes', difficulty: 3, priority: 250, branch: 'math' },
+    { id: 'apply', title: 'Apply proof', duration: '30 minutes', difficulty: 3, priority: 400, branch: 'math', prerequisites: ['Hard proof'] }
+  ];
+  const build = (preferences, readyTasks = tasks()) => generator.createTimeBlocks(
+    480, 840, [720], readyTasks, 3, 'mixed', preferences, {}, null, [],
+    [{ start: 600, end: 660, title: 'Standup' }], []
+  );
+  const startOf = block => generator.parseTime(block.startTime);
+
+  test('produces the same gap-free day every time around fixed blocks', () => {
+    const preferences = { focus_duration: '60 minutes', transition_time: '10 minutes', break_preferences: '15 minute breaks' };
+    const blocks = build(preferences);
+
+    expect(build(preferences)).toEqual(blocks);
+    expect(blocks.find(b => b.type === 'meeting')).toMatchObject({ startTime: '10:00 AM', duration: 60, external: true });
+    expect(blocks.find(b => b.type === 'meal')).toMatchObject({ startTime: '12:00 PM', title: 'Lunch' });
+    for (let i = 1; i < blocks.length; i++) {
+      expect(startOf(blocks[i])).toBe(startOf(blocks[i - 1]) + blocks[i - 1].duration);
+    }
+    expect(startOf(blocks[blocks.length - 1]) + blocks[blocks.length - 1].duration).toBe(840);
+
+    const learning = blocks.filter(b => b.type === 'learning');
+    expect(learning.map(b => b.taskId).sort()).toEqual(['apply', 'cards', 'proof', 'read']);
+    expect(learning.findIndex(b => b.taskId === 'proof')).toBeLessThan(learning.findIndex(b => b.taskId === 'apply'));
+    expect(blocks.some(b => b.type === 'transition' && b.duration === 10)).toBe(true);
+  });
+
+  test('honours focus_duration with breaks between back-to-back work', () => {
+    const blocks = build({ focus_duration: '25 minutes', break_preferences: '5 minute breaks' }, tasks().slice(1, 3));
+    const work = blocks.filter(b => b.type === 'learning');
+
+    expect(work).toHaveLength(2);
+    expect(work.every(b => b.duration === 25)).toBe(true);
+    const between = blocks.slice(blocks.indexOf(work[0]) + 1, blocks.indexOf(work[1]));
+    expect(between).toEqual([expect.objectContaining({ type: 'break', duration: 5 })]);
+  });
+
+  test('uses the greedy walk when asked to or when the solver fails', () => {
+    const greedy = build({ scheduler: 'greedy', transition_time: '10 minutes' });
+    expect(greedy.some(b => b.type === 'transition')).toBe(false);
+    expect(greedy.filter(b => b.type === 'learning').length).toBeGreaterThan(0);
+
+    const failing = new ScheduleGenerator({}, {});
+    failing.createSolvedTimeBlocks = () => { throw new Error('boom'); };
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const fallback = failing.createTimeBlocks(480, 840, [720], tasks(), 3, 'mixed', { scheduler: 'solver' }, {}, null, [], [], []);
+    errorSpy.mockRestore();
+    expect(fallback.filter(b => b.type === 'learning').length).toBeGreaterThan(0);
+  });
+});
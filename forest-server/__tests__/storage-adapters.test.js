@@ -0,0 +1,183 @@
+/**
+ * Storage Adapter Tests
+ * DataPersistence over the file and SQLite backends, transactions and file → SQLite migration
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { TaskCompletion } from '../modules/task-completion.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import {
+  FileStorageAdapter,
+  SqliteStorageAdapter,
+  createStorageAdapter,
+  keyFromRelativePath,
+  migrateFileTreeToSqlite
+} from '../modules/storage/index.js';
+
+let dataDir;
+const open = [];
+
+const persistence = backend => {
+  const dp = new DataPersistence(dataDir, { backend });
+  open.push(dp);
+  return dp;
+};
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-storage-'));
+});
+
+afterEach(async () => {
+  open.splice(0).forEach(dp => dp.storage.close());
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe.each(['file', 'sqlite'])('%s backend', backend => {
+  test('stores global, project and path documents', async () => {
+    const dp = persistence(backend);
+
+    expect(await dp.saveGlobalData('config.json', { projects: ['music'], activeProject: 'music' })).toBe(true);
+    await dp.saveProjectData('music', 'config.json', { id: 'music', goal: 'Piano' });
+    await dp.savePathData('music', 'general', 'hta.json', { frontier_nodes: [{ id: 'n1' }] });
+
+    expect(await dp.loadGlobalData('config.json')).toEqual({ projects: ['music'], activeProject: 'music' });
+    expect(await dp.loadProjectData('music', 'config.json')).toEqual({ id: 'music', goal: 'Piano' });
+    expect((await dp.loadPathData('music', 'general', 'hta.json')).frontierNodes[0]).toMatchObject({ id: 'n1', completed: false });
+    expect(await dp.loadProjectData('music', 'missing.json')).toBeNull();
+    expect(Object.keys(await dp.readProjectFiles('music'))).toEqual([
+      'config.json',
+      'paths/general/hta.json',
+      'paths/general/hta_revisions.json'
+    ]);
+  });
+
+  test('rolls back every write made inside a failed transaction', async () => {
+    const dp = persistence(backend);
+    await dp.saveProjectData('music', 'config.json', { id: 'music', progress: 10 });
+
+    await expect(dp.executeInTransaction(async transaction => {
+      await dp.saveProjectData('music', 'config.json', { id: 'music', progress: 50 }, transaction);
+      await dp.savePathData('music', 'general', 'hta.json', { frontierNodes: [] }, transaction);
+      throw new Error('boom');
+    }, 'failing')).rejects.toThrow('boom');
+
+    expect((await dp.loadProjectData('music', 'config.json')).progress).toBe(10);
+    expect(await dp.loadPathData('music', 'general', 'hta.json')).toBeNull();
+  });
+
+  test('replaces a project wholesale and reports a backup', async () => {
+    const dp = persistence(backend);
+    await dp.saveProjectData('music', 'config.json', { id: 'music', goal: 'Old' });
+    await dp.saveProjectData('music', 'stray.json', { leftover: true });
+
+    const backup = await dp.replaceProjectFiles('music', { 'config.json': { id: 'music', goal: 'New' } });
+
+    expect(backup).toBeTruthy();
+    expect((await dp.loadProjectData('music', 'config.json')).goal).toBe('New');
+    expect(await dp.loadProjectData('music', 'stray.json')).toBeNull();
+    await expect(dp.replaceProjectFiles('music', { '../escape.json': {} })).rejects.toThrow('outside the project');
+  });
+});
+
+describe('SQLite transactions', () => {
+  test('nested transactions are savepoints inside the outer transaction', async () => {
+    const dp = persistence('sqlite');
+
+    const outer = dp.beginTransaction();
+    await dp.saveProjectData('music', 'a.json', { v: 1 }, outer);
+    const inner = dp.beginTransaction(outer);
+    await dp.saveProjectData('music', 'b.json', { v: 2 }, inner);
+    await expect(dp.saveProjectData('music', 'c.json', { v: 3 }, outer)).rejects.toThrow('has nested transaction');
+    await dp.rollbackTransaction(inner);
+    await dp.commitTransaction(outer);
+
+    expect(await dp.loadProjectData('music', 'a.json')).toEqual({ v: 1 });
+    expect(await dp.loadProjectData('music', 'b.json')).toBeNull();
+  });
+
+  test('overlapping transactions run one after the other', async () => {
+    const dp = persistence('sqlite');
+    const order = [];
+
+    const first = dp.beginTransaction();
+    const second = dp.beginTransaction();
+    await dp.saveProjectData('music', 'a.json', { v: 1 }, first);
+
+    const secondRun = (async () => {
+      await dp.saveProjectData('music', 'b.json', { v: 2 }, second);
+      order.push('second wrote');
+      await dp.rollbackTransaction(second);
+    })();
+    // A write outside any transaction queues too, rather than joining one
+    const plainWrite = dp.saveProjectData('music', 'c.json', { v: 3 }).then(() => order.push('plain write'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    order.push('first committing');
+    await dp.commitTransaction(first);
+    await Promise.all([secondRun, plainWrite]);
+
+    expect(order).toEqual(['first committing', 'second wrote', 'plain write']);
+    expect(await dp.loadProjectData('music', 'a.json')).toEqual({ v: 1 });
+    expect(await dp.loadProjectData('music', 'b.json')).toBeNull();
+    expect(await dp.loadProjectData('music', 'c.json')).toEqual({ v: 3 });
+  });
+
+  test('completeBlock runs alongside writes made outside its transaction', async () => {
+    const dp = persistence('sqlite');
+    await dp.saveProjectData('music', FILE_NAMES.CONFIG, { id: 'music', activePath: 'general' });
+    await dp.saveProjectData('music', FILE_NAMES.HTA, {
+      frontierNodes: [{ id: 'scales', title: 'Play scales', duration: '30 minutes', completed: false }]
+    });
+    const completion = new TaskCompletion(dp, { requireActiveProject: async () => 'music' });
+
+    const [result, savedGlobal] = await Promise.all([
+      completion.completeBlock({ block_id: 'scales', outcome: 'Done', energy_level: 4, actual_duration: 35 }),
+      dp.saveGlobalData('config.json', { projects: ['music'], activeProject: 'music' }),
+      dp.saveProjectData('music', 'notes.json', { text: 'Practise slowly' })
+    ]);
+
+    expect(result.block_completed).toMatchObject({ id: 'scales', completed: true });
+    expect(savedGlobal).toBe(true);
+    expect((await dp.loadProjectData('music', FILE_NAMES.HTA)).frontierNodes[0].completed).toBe(true);
+    expect(await dp.loadProjectData('music', 'notes.json')).toEqual({ text: 'Practise slowly' });
+    expect((await dp.loadGlobalData(FILE_NAMES.ENERGY_MODEL)).samples).toHaveLength(1);
+    expect((await dp.loadGlobalData(FILE_NAMES.DURATION_CALIBRATION)).samples).toHaveLength(1);
+  });
+
+  test('separate connections to one database see committed writes', async () => {
+    const writer = persistence('sqlite');
+    const reader = persistence('sqlite');
+
+    await writer.saveProjectData('music', 'config.json', { id: 'music' });
+
+    expect(await reader.loadProjectData('music', 'config.json')).toEqual({ id: 'music' });
+  });
+});
+
+describe('storage selection and migration', () => {
+  test('creates adapters by name and rejects unknown backends', () => {
+    expect(createStorageAdapter('file', dataDir)).toBeInstanceOf(FileStorageAdapter);
+    expect(() => createStorageAdapter('redis', dataDir)).toThrow("Unknown storage backend 'redis'");
+    expect(keyFromRelativePath('music', 'paths/general/hta.json')).toEqual({ projectId: 'music', pathName: 'general', fileName: 'hta.json' });
+  });
+
+  test('copies a file tree into SQLite', async () => {
+    const files = persistence('file');
+    await files.saveGlobalData('config.json', { projects: ['music'], activeProject: 'music' });
+    await files.saveProjectData('music', 'config.json', { id: 'music' });
+    await files.saveProjectData('music', 'day_2025-03-04.json', { blocks: [] });
+    await files.savePathData('music', 'general', 'hta.json', { frontierNodes: [{ id: 'n1' }] });
+
+    const report = await migrateFileTreeToSqlite(dataDir);
+
+    // hta.json saves also write their revision history
+    expect(report).toMatchObject({ projects: ['music'], documents: 5, skipped: [] });
+    const sqlite = new DataPersistence(dataDir, { storage: new SqliteStorageAdapter(dataDir, { dbPath: report.dbPath }) });
+    open.push(sqlite);
+    expect((await sqlite.loadGlobalData('config.json')).activeProject).toBe('music');
+    expect((await sqlite.loadPathData('music', 'general', 'hta.json')).frontierNodes[0].id).toBe('n1');
+    expect(await sqlite.readProjectFiles('music')).toEqual(await files.readProjectFiles('music'));
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Task Hold Tests
+ * snooze_task and block_task: held tasks are skipped by eligibility, task
+ * selection and the integrated pool, wake up through SystemClock and show in
+ * debug_task_sequence
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { TaskDeferral } from '../modules/task-deferral.js';
+import { IntegratedTaskPool } from '../modules/integrated-task-pool.js';
+import { AnalyticsTools } from '../modules/analytics-tools.js';
+import { SystemClock } from '../modules/system-clock.js';
+import { TaskSelector } from '../modules/task-logic/task-selector.js';
+import { HtaNode } from '../models/hta-node.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import { getHeldNodes, holdReason, isNodeReady } from '../utils/hta-eligibility.js';
+
+const NOW = new Date('2025-07-02T09:00:00.000Z');
+
+describe('hold eligibility', () => {
+  test('blocked and snoozed nodes are not ready until released', () => {
+    const snoozed = { id: 's', title: 'S', deferredUntil: '2025-07-03T00:00:00.000Z' };
+    const blocked = { id: 'b', title: 'B', blockedOn: 'Waiting for the tutor' };
+    const later = new Date('2025-07-04T00:00:00.000Z');
+
+    expect(holdReason(snoozed, NOW)).toBe('snoozed');
+    expect(holdReason(blocked, NOW)).toBe('blocked');
+    expect(holdReason({ ...blocked, completed: true }, NOW)).toBeNull();
+    expect(isNodeReady(snoozed, new Set(), Infinity, 1, NOW)).toBe(false);
+    expect(isNodeReady(snoozed, new Set(), Infinity, 1, later)).toBe(true);
+    expect(isNodeReady(blocked, new Set(), Infinity, 1, later)).toBe(false);
+    expect(getHeldNodes({ frontierNodes: [snoozed, blocked, { id: 'x' }] }, later).map(h => h.node.id)).toEqual(['b']);
+  });
+
+  test('the HtaNode model validates holds and keeps them in JSON', () => {
+    const node = new HtaNode({ id: 'n', title: 'Scales', branch: 'basics' });
+
+    expect(() => node.snooze('someday')).toThrow('Invalid snooze date');
+    expect(() => node.block('  ')).toThrow('needs a reason');
+
+    node.snooze('2999-01-01').block('Waiting for a new reed');
+    expect(node.isAvailable()).toBe(false);
+    expect(node.toJSON()).toMatchObject({ deferredUntil: '2999-01-01T00:00:00.000Z', blockedOn: 'Waiting for a new reed' });
+    expect(node.release().isAvailable()).toBe(true);
+  });
+
+  test('TaskSelector skips held tasks', () => {
+    const htaData = {
+      frontierNodes: [
+        { id: 'a', title: 'Scales', duration: '20 minutes', priority: 500, blockedOn: 'Broken string' },
+        { id: 'b', title: 'Theory', duration: '20 minutes', priority: 100 }
+      ]
+    };
+    expect(TaskSelector.selectOptimalTask(htaData, 3, '30 minutes', '', {}).id).toBe('b');
+  });
+});
+
+describe('TaskDeferral', () => {
+  let dataDir;
+  let dp;
+  let projectManagement;
+  let deferral;
+
+  const nodes = () => [
+    { id: 'scales', title: 'Scales', branch: 'basics', duration: '30 minutes', priority: 300 },
+    { id: 'piece', title: 'Learn piece', branch: 'repertoire', duration: '45 minutes', priority: 200 },
+    { id: 'done', title: 'Tune up', branch: 'basics', completed: true }
+  ];
+  const frontier = async () => (await dp.loadProjectData('music', FILE_NAMES.HTA)).frontierNodes;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-holds-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    projectManagement = {
+      requireActiveProject: async () => 'music',
+      listProjects: async () => ({ projects: ['music'] })
+    };
+    deferral = new TaskDeferral(dp, projectManagement);
+    deferral.now = () => NOW;
+
+    await dp.saveProjectData('music', FILE_NAMES.CONFIG, { id: 'music', activePath: 'general' });
+    await dp.saveProjectData('music', FILE_NAMES.HTA, { frontierNodes: nodes() });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('snoozes by days or date and wakes on request', async () => {
+    const result = await deferral.snoozeTask({ taskId: 'scales', days: 2 });
+    expect(result.task).toMatchObject({ id: 'scales', deferred_until: '2025-07-04T00:00:00.000Z', blocked_on: null });
+    expect(result.content[0].text).toContain('Snoozed "Scales" until 2025-07-04');
+
+    await deferral.snoozeTask({ taskId: 'Learn piece', until: '2025-07-10' });
+    expect((await frontier()).map(n => n.deferredUntil)).toEqual(['2025-07-04T00:00:00.000Z', '2025-07-10T00:00:00.000Z', undefined]);
+
+    await deferral.snoozeTask({ taskId: 'scales', clear: true });
+    expect((await frontier())[0]).not.toHaveProperty('deferredUntil');
+
+    expect((await deferral.snoozeTask({ taskId: 'scales', until: '2025-06-01' })).content[0].text).toContain('already past');
+    expect((await deferral.snoozeTask({ taskId: 'done' })).content[0].text).toContain('already completed');
+    expect((await deferral.snoozeTask({ taskId: 'nope' })).content[0].text).toContain("Task 'nope' not found");
+  });
+
+  test('blocks with a reason until released and the pool leaves it out', async () => {
+    expect((await deferral.blockTask({ taskId: 'piece' })).content[0].text).toContain('needs a reason');
+
+    const blocked = await deferral.blockTask({ taskId: 'piece', reason: 'Waiting for the sheet music' });
+    expect(blocked.task.blocked_on).toBe('Waiting for the sheet music');
+
+    const pool = new IntegratedTaskPool(dp, projectManagement);
+    expect((await pool.getTaskPool()).map(t => t.id)).toEqual(['scales']);
+
+    await deferral.blockTask({ taskId: 'piece', clear: true });
+    expect((await pool.getTaskPool()).map(t => t.id).sort()).toEqual(['piece', 'scales']);
+  });
+
+  test('SystemClock wakes expired snoozes and announces them', async () => {
+    await deferral.snoozeTask({ taskId: 'scales', until: '2025-07-03' });
+    await deferral.snoozeTask({ taskId: 'piece', until: '2025-07-10' });
+
+    const events = [];
+    const eventBus = { on: () => {}, emit: (name, payload) => events.push({ name, payload }) };
+    const clock = new SystemClock(dp, projectManagement, null, null, eventBus);
+    clock.taskDeferral.now = () => new Date('2025-07-05T00:00:00.000Z');
+
+    const woken = await clock.performTaskWakeUp();
+
+    expect(woken).toEqual([{ projectId: 'music', id: 'scales', title: 'Scales', pathName: 'general' }]);
+    expect(events).toEqual([expect.objectContaining({ name: 'tasks:released', payload: expect.objectContaining({ projectId: 'music' }) })]);
+    expect((await frontier()).map(n => n.deferredUntil ?? null)).toEqual([null, '2025-07-10T00:00:00.000Z', null]);
+  });
+
+  test('debug_task_sequence lists blocked and snoozed items', async () => {
+    await deferral.snoozeTask({ taskId: 'scales', until: '2999-01-01' });
+    await deferral.blockTask({ taskId: 'piece', reason: 'Waiting for the sheet music' });
+
+    const debug = await new AnalyticsTools(dp, projectManagement).debugTaskSequence();
+    const text = debug.content[0].text;
+
+    expect(text).toContain('• Completed: 1');
+    expect(text).toContain('• Blocked: 2');
+    expect(text).toContain('**On Hold**');
+    expect(text).toContain('• 😴 Scales – snoozed until 2999-01-01');
+    expect(text).toContain('• ⛔ Learn piece – blocked on: Waiting for the sheet music');
+    expect(debug.on_hold.map(h => [h.id, h.reason])).toEqual([['scales', 'snoozed'], ['piece', 'blocked']]);
+  });
+});
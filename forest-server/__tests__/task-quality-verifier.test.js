@@ -1,6 +1,7 @@
 // @ts-nocheck
 import { jest } from '@jest/globals';
-import { detectGenericTitles, validateTaskContextRelevance, shouldRejectResponse } from '../task-quality-verifier.js';
+import { detectGenericTitles, validateTaskContextRelevance, shouldRejectResponse, generateQualityReport } from '../task-quality-verifier.js';
+import { HTA_LEVELS } from '../modules/constants.js';
 
 describe('task-quality-verifier', () => {
   const projectContext = {
@@ -40,4 +41,20 @@ describe('task-quality-verifier', () => {
     const tooLong = [{ title: 'Deep dive', duration: 120 }];
     expect(shouldRejectResponse(tooLong, projectContext)).toBe(true);
   });
+
+  it('checks granularity on task-level nodes only, not on goal, objective or subgoal nodes', () => {
+    const nodes = [
+      { id: 'g1', level: HTA_LEVELS.GOAL, title: 'Cook vegetarian meals', parentId: null, duration: 600 },
+      { id: 'o1', level: HTA_LEVELS.OBJECTIVE, title: 'Vegetarian basics', parentId: 'g1', duration: 240 },
+      { id: 's1', level: HTA_LEVELS.SUBGOAL, title: 'Vegetarian stocks', parentId: 'o1', duration: 120 },
+      { id: 't1', level: HTA_LEVELS.TASK, title: 'Simmer a vegetarian stock', parentId: 's1', duration: 45 },
+      { id: 't2', level: HTA_LEVELS.TASK, title: 'Batch-cook vegetarian chili', parentId: 's1', duration: 180 }
+    ];
+
+    const report = generateQualityReport(nodes, projectContext);
+    expect(report.hierarchy_valid).toBe(true);
+    expect(report.granularity_issues).toEqual(['Batch-cook vegetarian chili']);
+    expect(shouldRejectResponse(nodes, projectContext)).toBe(true);
+    expect(shouldRejectResponse(nodes.filter(node => node.id !== 't2'), projectContext)).toBe(false);
+  });
 }); 
\ No newline at end of file
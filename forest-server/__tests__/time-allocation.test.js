@@ -0,0 +1,139 @@
+/**
+ * Time Allocation Tests
+ * Weekly hours budgets on projects and paths, the time log written at each
+ * completion, get_time_allocation and the review_week budget section
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { ProjectManagement } from '../modules/project-management.js';
+import { TimeAllocation } from '../modules/time-allocation.js';
+import { AnalyticsTools } from '../modules/analytics-tools.js';
+import { ToolRouter } from '../modules/tool-router.js';
+import { Project } from '../models/project.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import { budgetStatus, parseWeeklyBudget, weekStart } from '../utils/time-allocation.js';
+
+describe('time allocation utility', () => {
+  test('parses budgets, finds the week start and rates pace', () => {
+    expect(parseWeeklyBudget(null)).toBeNull();
+    expect(parseWeeklyBudget('2.5')).toBe(150);
+    expect(() => parseWeeklyBudget(-1)).toThrow('Invalid weekly_hours_budget');
+    expect(() => parseWeeklyBudget(200)).toThrow('Invalid weekly_hours_budget');
+
+    expect(weekStart('2025-07-02')).toBe('2025-06-30');
+    expect(weekStart('2025-07-06')).toBe('2025-06-30');
+    expect(weekStart('2025-06-30')).toBe('2025-06-30');
+
+    expect(budgetStatus(null, 90)).toBe('no_budget');
+    expect(budgetStatus(300, 100, 120)).toBe('on_track');
+    expect(budgetStatus(300, 60, 120)).toBe('under');
+    expect(budgetStatus(300, 400)).toBe('over');
+  });
+
+  test('the Project model keeps valid weekly budgets only', () => {
+    const project = new Project({
+      id: 'p',
+      goal: 'Play jazz',
+      weeklyHoursBudget: 6,
+      learningPaths: [{ path_name: 'piano', weekly_hours_budget: 4 }, { path_name: 'theory', weekly_hours_budget: -2 }]
+    });
+
+    expect(project.weeklyHoursBudget).toBe(6);
+    expect(project.learningPaths.map(p => p.weekly_hours_budget)).toEqual([4, null]);
+    expect(project.toJSON().weeklyHoursBudget).toBe(6);
+    expect(new Project({ id: 'q', goal: 'x', weeklyHoursBudget: 500 }).weeklyHoursBudget).toBeNull();
+  });
+});
+
+describe('TimeAllocation', () => {
+  let dataDir;
+  let dp;
+  let projectManagement;
+  let timeAllocation;
+
+  const create = (projectId, extra = {}) => projectManagement.createProject({
+    project_id: projectId,
+    goal: `Get better at ${projectId}`,
+    life_structure_preferences: { wake_time: '8:00 AM' },
+    ...extra
+  });
+  const complete = (projectId, pathName, minutes, date, type = 'learning') =>
+    timeAllocation.recordBlock(projectId, pathName, { type, duration: minutes, completedAt: `${date}T10:00:00.000Z` });
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-allocation-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    projectManagement = new ProjectManagement(dp, { syncActiveProjectToMemory: async () => ({}) });
+    timeAllocation = new TimeAllocation(dp, projectManagement);
+    timeAllocation.today = () => '2025-07-02';
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('create_project stores weekly budgets and rejects invalid ones', async () => {
+    const created = await create('music', {
+      weekly_hours_budget: 6,
+      learning_paths: [{ path_name: 'piano', weekly_hours_budget: 4 }, { path_name: 'theory' }]
+    });
+    expect(created.success).toBe(true);
+    expect(created.content[0].text).toContain('**Weekly Budget**: 6 hours');
+    expect((await dp.loadProjectData('music', FILE_NAMES.CONFIG)).weekly_hours_budget).toBe(6);
+
+    const invalid = await create('chess', { weekly_hours_budget: 'lots' });
+    expect(invalid.success).toBe(false);
+    expect(invalid.content[0].text).toContain('Invalid weekly_hours_budget');
+    const invalidPath = await create('chess', { learning_paths: [{ path_name: 'openings', weekly_hours_budget: 0 }] });
+    expect(invalidPath.content[0].text).toContain("for path 'openings'");
+  });
+
+  test('reports budget versus actual per project and path for the week', async () => {
+    await create('music', {
+      weekly_hours_budget: 7,
+      learning_paths: [{ path_name: 'piano', weekly_hours_budget: 4 }, { path_name: 'theory' }]
+    });
+    await create('spanish');
+
+    await complete('music', 'piano', 60, '2025-06-30');
+    await complete('music', 'theory', 30, '2025-07-01');
+    await complete('music', 'piano', 45, '2025-06-29'); // Previous week
+    expect(await complete('music', 'piano', 15, '2025-07-01', 'break')).toBeNull();
+    await complete('spanish', 'general', 20, '2025-07-02');
+
+    const result = await timeAllocation.getTimeAllocation();
+    const [music, spanish] = result.time_allocation.projects;
+
+    expect(result.time_allocation).toMatchObject({ from: '2025-06-30', to: '2025-07-06', as_of: '2025-07-02' });
+    expect(music).toMatchObject({ budget_minutes: 420, actual_minutes: 90, expected_minutes: 180, status: 'under' });
+    expect(music.paths).toEqual([
+      { path_name: 'piano', budget_minutes: 240, actual_minutes: 60, expected_minutes: 103, status: 'under' },
+      { path_name: 'theory', budget_minutes: null, actual_minutes: 30, expected_minutes: null, status: 'no_budget' }
+    ]);
+    expect(spanish).toMatchObject({ budget_minutes: null, actual_minutes: 20, status: 'no_budget' });
+    expect(result.content[0].text).toContain('• **music**: 1.5h of 7.0h, 3.0h due so far — ⬇️ under');
+    expect(result.content[0].text).toContain('◦ piano: 1.0h of 4.0h, 1.7h due so far — ⬇️ under');
+
+    const lastWeek = await timeAllocation.getTimeAllocation({ date: '2025-06-25' });
+    expect(lastWeek.time_allocation.projects[0]).toMatchObject({ actual_minutes: 45, expected_minutes: 420 });
+    expect((await timeAllocation.getTimeAllocation({ date: 'soon' })).content[0].text).toContain('Error reporting time allocation');
+  });
+
+  test('review_week includes time against budget', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    await create('music', { weekly_hours_budget: 2 });
+    await complete('music', 'general', 90, today);
+
+    // Through the tool, as a client calls it; the server forwards review_week to AnalyticsTools.reviewPeriod
+    const analyticsTools = new AnalyticsTools(dp, projectManagement);
+    const router = new ToolRouter(null, { reviewPeriod: days => analyticsTools.reviewPeriod(days) });
+    const review = await router.toolRegistry.execute('review_week');
+
+    expect(review.period_review.timeAllocation[0]).toMatchObject({ project_id: 'music', budget_minutes: 120, actual_minutes: 90 });
+    expect(review.content[0].text).toContain('**Time vs Budget**');
+    expect(review.content[0].text).toContain('• **music**: 1.5h of 2.0h');
+  });
+});
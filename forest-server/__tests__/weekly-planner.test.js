@@ -0,0 +1,103 @@
+/**
+ * Weekly Planner Tests
+ * Spreading tasks over days by capacity, energy and prerequisites, saving
+ * the days as schedules, and re-planning after a missed day
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DataPersistence } from '../modules/data-persistence.js';
+import { WeeklyPlanner } from '../modules/weekly-planner.js';
+import { FILE_NAMES } from '../modules/constants.js';
+import { parseDailyHours, parseEnergyPatterns, planWeek } from '../utils/weekly-plan.js';
+
+const task = (id, minutes, extra = {}) => ({ id, title: `Task ${id}`, minutes, difficulty: 3, priority: 200, prerequisites: [], ...extra });
+const day = (date, capacityMinutes, energyLevel = 3) => ({ date, capacityMinutes, energyLevel });
+
+describe('weekly plan utility', () => {
+  test('reads weekday energy and hours', () => {
+    expect(parseEnergyPatterns('Low energy on Mondays, but I feel best on weekends. Mornings are sharp', 3))
+      .toEqual([4, 2, 3, 3, 3, 3, 4]);
+    expect(parseDailyHours({ weekdays: 1, saturday: 4, sunday: 0 }, 2)).toEqual([0, 1, 1, 1, 1, 1, 4]);
+    expect(parseDailyHours('mon:2, fri:0.5', 1)).toEqual([1, 2, 1, 1, 1, 0.5, 1]);
+    expect(() => parseDailyHours({ someday: 2 }, 1)).toThrow(/Invalid daily_hours day/);
+  });
+
+  test('balances load, suits energy and keeps prerequisites on earlier days', () => {
+    const result = planWeek([
+      task('a', 60, { priority: 300 }),
+      task('b', 60, { prerequisites: ['a'] }),
+      task('c', 60),
+      task('hard', 45, { difficulty: 5 }),
+      task('late', 30, { prerequisites: ['Task b'] }),
+      task('huge', 500),
+      task('orphan', 30, { prerequisites: ['missing'] })
+    ], [day('2025-06-02', 120, 2), day('2025-06-03', 120, 4), day('2025-06-04', 60, 3)]);
+
+    expect(result.days.map(d => d.taskIds)).toEqual([['a', 'c'], ['b', 'hard'], ['late']]);
+    expect(result.unscheduled).toEqual([
+      { id: 'huge', title: 'Task huge', reason: 'No day has room for it' },
+      { id: 'orphan', title: 'Task orphan', reason: 'Waiting on a prerequisite outside the plan' }
+    ]);
+  });
+});
+
+describe('WeeklyPlanner', () => {
+  let dataDir;
+  let dp;
+  let planner;
+  const projectManagement = { requireActiveProject: async () => 'spanish' };
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-weekly-'));
+    dp = new DataPersistence(dataDir, { backend: 'file' });
+    await dp.saveProjectData('spanish', FILE_NAMES.CONFIG, {
+      id: 'spanish',
+      activePath: 'general',
+      constraints: { energy_patterns: 'Tired on Tuesdays' }
+    });
+    await dp.saveProjectData('spanish', FILE_NAMES.HTA, {
+      frontierNodes: [
+        { id: 'vocab', title: 'Core vocabulary', duration: '45 minutes', difficulty: 2, priority: 300, completed: false },
+        { id: 'verbs', title: 'Present tense verbs', duration: '45 minutes', difficulty: 4, prerequisites: ['vocab'], completed: false },
+        { id: 'listen', title: 'Listening practice', duration: '30 minutes', difficulty: 2, completed: false }
+      ]
+    });
+    planner = new WeeklyPlanner(dp, projectManagement);
+    planner.today = () => '2025-06-02'; // A Monday
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('saves each planned day as a schedule and re-plans after a missed day', async () => {
+    const result = await planner.generateWeeklyPlan({ startDate: '2025-06-02', days: 3, dailyHours: 1.5 });
+
+    expect(result.weekly_plan.days.map(d => [d.date, d.energyLevel, d.taskIds])).toEqual([
+      ['2025-06-02', 3, ['vocab']],
+      ['2025-06-03', 2, ['listen']],
+      ['2025-06-04', 3, ['verbs']]
+    ]);
+    const monday = await dp.loadProjectData('spanish', FILE_NAMES.DAILY_SCHEDULE('2025-06-02'));
+    expect(monday.weeklyPlanId).toBe('week_2025-06-02');
+    expect(monday.blocks.filter(b => b.type === 'learning').map(b => b.taskId)).toEqual(['vocab']);
+
+    // Monday passes with nothing done
+    planner.today = () => '2025-06-03';
+    const replanned = await planner.generateWeeklyPlan();
+
+    expect(replanned.replanned).toBe(true);
+    expect(replanned.missed_days).toEqual([{ date: '2025-06-02', openTaskIds: ['vocab'] }]);
+    expect(replanned.weekly_plan.days.map(d => [d.date, d.taskIds])).toEqual([
+      ['2025-06-02', ['vocab']],
+      ['2025-06-03', ['vocab']],
+      ['2025-06-04', ['listen', 'verbs']]
+    ]);
+    expect(replanned.content[0].text).toContain('Missed: 2025-06-02 (1 task(s) carried forward)');
+
+    const invalid = await planner.generateWeeklyPlan({ startDate: 'soon' });
+    expect(invalid.content[0].text).toContain('Error generating weekly plan');
+  });
+});
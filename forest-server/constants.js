@@ -86,13 +86,16 @@ export const TASK_CONFIG = {
   GENERATED_TASK_BOOST: 25
 };
 
-// Hierarchical levels used throughout HTA modules
-export const HTA_LEVELS = {
-  MAIN_BRANCH: 1,
-  SUB_BRANCH: 2,
-  SUB_SUB_BRANCH: 3,
-  TASK: 4
-};
+// HTA_LEVELS (goal → objective → subgoal → task) lives in modules/constants.js only
+
+// Task quality checks (task-quality-verifier.js)
+export const GENERIC_TASK_PATTERNS = [
+  /^(task|step|item|todo)\s*\d*$/i,
+  /^(foundation|core|basic|intermediate|advanced)\s+(task|step|activity)\b/i,
+  /^(untitled|placeholder)\b/i
+];
+export const ACTION_TASK_MIN_DURATION = 5; // minutes
+export const ACTION_TASK_MAX_DURATION = 90; // minutes
 
 // Feature switches for experimental capabilities
 export const FEATURE_FLAGS = {
@@ -282,6 +285,8 @@ export default {
   DEFAULTS,
   TIME_FORMATS,
   MODEL_DEFAULTS,
-  HTA_LEVELS,
+  GENERIC_TASK_PATTERNS,
+  ACTION_TASK_MIN_DURATION,
+  ACTION_TASK_MAX_DURATION,
   FEATURE_FLAGS
 };
\ No newline at end of file
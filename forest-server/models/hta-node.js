@@ -3,7 +3,9 @@
  * Represents a single node in the Hierarchical Task Analysis tree
  */
 
-import { MODEL_DEFAULTS, TASK_CONFIG, TIME_CONVERSION } from '../modules/constants.js';
+import { HTA_LEVELS, MODEL_DEFAULTS, TASK_CONFIG, TASK_HOLD_CONFIG, TIME_CONVERSION } from '../modules/constants.js';
+import { holdReason } from '../utils/hta-eligibility.js';
+import { parseDurationMinutes } from '../utils/dependency-graph.js';
 
 export class HtaNode {
   /**
@@ -22,6 +24,10 @@ export class HtaNode {
    * @param {string|null} [options.opportunityType=null] - Type of opportunity
    * @param {number|null} [options.actualDifficulty=null] - Actual difficulty experienced
    * @param {string|null} [options.actualDuration=null] - Actual time taken
+   * @param {string|null} [options.deferredUntil=null] - Snoozed until this ISO timestamp
+   * @param {string|null} [options.blockedOn=null] - What the task is waiting on, until released
+   * @param {string|null} [options.parentId=null] - Objective or subgoal this task sits under
+   * @param {number} [options.level=HTA_LEVELS.TASK] - Hierarchy level (see HTA_LEVELS)
    * @throws {Error} If required fields (id, title, branch) are missing
    */
   constructor({
@@ -38,6 +44,10 @@ export class HtaNode {
     opportunityType = null,
     actualDifficulty = null,
     actualDuration = null,
+    deferredUntil = null,
+    blockedOn = null,
+    parentId = null,
+    level = HTA_LEVELS.TASK,
   }) {
     // Validation
     if (!id) {
@@ -55,6 +65,8 @@ export class HtaNode {
     this.title = title;
     this.description = description;
     this.branch = branch;
+    this.parentId = parentId;
+    this.level = level;
 
     // Task characteristics
     this.difficulty = this.validateDifficulty(difficulty);
@@ -65,6 +77,8 @@ export class HtaNode {
     // State tracking
     this.completed = Boolean(completed);
     this.completedAt = completedAt;
+    this.deferredUntil = this.validateTimestamp(deferredUntil);
+    this.blockedOn = this.validateReason(blockedOn);
 
     // Opportunity and optimization data
     this.opportunityType = opportunityType;
@@ -129,6 +143,146 @@ export class HtaNode {
     return prerequisites.filter(prereq => typeof prereq === 'string' && prereq.trim());
   }
 
+  /**
+   * Normalise a timestamp or YYYY-MM-DD date to ISO
+   * @param {string|null} value - Date to validate
+   * @returns {string|null} ISO timestamp, or null when missing or invalid
+   */
+  validateTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+    const time = Date.parse(value);
+    return isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  /**
+   * Validate a blocking reason
+   * @param {string|null} reason - Free-text reason
+   * @returns {string|null} Trimmed reason, or null when empty
+   */
+  validateReason(reason) {
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return null;
+    }
+    return reason.trim().slice(0, TASK_HOLD_CONFIG.MAX_REASON_LENGTH);
+  }
+
+  /**
+   * Apply a manual edit. Unlike the constructor, which falls back to defaults,
+   * invalid values are rejected so a typo never silently changes a task.
+   * @param {Object} changes - Any of title, description, branch, difficulty, priority, duration, prerequisites
+   * @returns {HtaNode} This node for chaining
+   * @throws {Error} If a value is invalid
+   */
+  update(changes = {}) {
+    const text = (field, value) => {
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`Task ${field} must be a non-empty string`);
+      }
+      return value.trim();
+    };
+
+    if (changes.title !== undefined) {
+      this.title = text('title', changes.title);
+    }
+    if (changes.description !== undefined) {
+      if (typeof changes.description !== 'string') {
+        throw new Error('Task description must be a string');
+      }
+      this.description = changes.description.trim();
+    }
+    if (changes.branch !== undefined) {
+      this.branch = text('branch', changes.branch);
+    }
+    if (changes.difficulty !== undefined) {
+      const difficulty = Number(changes.difficulty);
+      if (!Number.isInteger(difficulty) || difficulty < TASK_CONFIG.MIN_DIFFICULTY || difficulty > TASK_CONFIG.MAX_DIFFICULTY) {
+        throw new Error(`Invalid difficulty '${changes.difficulty}': expected a whole number from ${TASK_CONFIG.MIN_DIFFICULTY} to ${TASK_CONFIG.MAX_DIFFICULTY}`);
+      }
+      this.difficulty = difficulty;
+    }
+    if (changes.priority !== undefined) {
+      const priority = Number(changes.priority);
+      if (!Number.isFinite(priority) || priority < 0) {
+        throw new Error(`Invalid priority '${changes.priority}': expected a number of 0 or more`);
+      }
+      this.priority = Math.round(priority);
+    }
+    if (changes.duration !== undefined) {
+      const minutes = /\d/.test(String(changes.duration)) ? parseDurationMinutes(changes.duration) : 0;
+      if (!(minutes > 0) || minutes > TASK_CONFIG.MAX_DURATION) {
+        throw new Error(`Invalid duration '${changes.duration}': expected minutes (or "1.5 hours") up to ${TASK_CONFIG.MAX_DURATION} minutes`);
+      }
+      this.duration = `${minutes} minutes`;
+    }
+    if (changes.prerequisites !== undefined) {
+      if (!Array.isArray(changes.prerequisites)) {
+        throw new Error('Task prerequisites must be an array of task ids');
+      }
+      const prerequisites = [...new Set(changes.prerequisites.map(prereq => text('prerequisite', prereq)))];
+      if (prerequisites.includes(this.id) || prerequisites.includes(this.title)) {
+        throw new Error('A task cannot be its own prerequisite');
+      }
+      this.prerequisites = prerequisites;
+    }
+
+    this.updatedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Snooze this node until a moment
+   * @param {string} until - ISO timestamp or YYYY-MM-DD
+   * @returns {HtaNode} This node for chaining
+   * @throws {Error} If until is not a valid date
+   */
+  snooze(until) {
+    const deferredUntil = this.validateTimestamp(until);
+    if (!deferredUntil) {
+      throw new Error(`Invalid snooze date '${until}': expected YYYY-MM-DD or an ISO timestamp`);
+    }
+    this.deferredUntil = deferredUntil;
+    this.updatedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Block this node on something external
+   * @param {string} reason - What the task is waiting on
+   * @returns {HtaNode} This node for chaining
+   * @throws {Error} If no reason is given
+   */
+  block(reason) {
+    const blockedOn = this.validateReason(reason);
+    if (!blockedOn) {
+      throw new Error('A blocked task needs a reason (what it is waiting on)');
+    }
+    this.blockedOn = blockedOn;
+    this.updatedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Clear any snooze and block
+   * @returns {HtaNode} This node for chaining
+   */
+  release() {
+    this.deferredUntil = null;
+    this.blockedOn = null;
+    this.updatedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Check if this node is blocked or snoozed
+   * @param {Date} [now=new Date()] - Current time for comparison
+   * @returns {boolean} True while the node is on hold
+   */
+  isOnHold(now = new Date()) {
+    return holdReason(this, now) !== null;
+  }
+
   /**
    * Mark this node as completed
    * @param {string|null} [completedAt=null] - Completion timestamp (defaults to now)
@@ -201,10 +355,10 @@ export class HtaNode {
   /**
    * Check if this node is available for execution
    * @param {string[]} [completedNodeIds=[]] - Array of completed node IDs
-   * @returns {boolean} True if node is available (not completed, prerequisites met)
+   * @returns {boolean} True if node is available (not completed or on hold, prerequisites met)
    */
   isAvailable(completedNodeIds = []) {
-    if (this.completed) {
+    if (this.completed || this.isOnHold()) {
       return false;
     }
 
@@ -249,6 +403,8 @@ export class HtaNode {
       title: this.title,
       description: this.description,
       branch: this.branch,
+      parentId: this.parentId,
+      level: this.level,
       difficulty: this.difficulty,
       priority: this.priority,
       duration: this.duration,
@@ -258,6 +414,8 @@ export class HtaNode {
       opportunityType: this.opportunityType,
       actualDifficulty: this.actualDifficulty,
       actualDuration: this.actualDuration,
+      deferredUntil: this.deferredUntil,
+      blockedOn: this.blockedOn,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
@@ -3,7 +3,7 @@
  * Represents a Forest project with all its metadata and configuration
  */
 
-import { DEFAULT_PATHS, MODEL_DEFAULTS, TASK_CONFIG } from '../modules/constants.js';
+import { DEFAULT_PATHS, MODEL_DEFAULTS, TASK_CONFIG, TIME_ALLOCATION_CONFIG } from '../modules/constants.js';
 
 export class Project {
   constructor({
@@ -20,6 +20,9 @@ export class Project {
     existingCredentials = [],
     successMetrics = [],
     specificInterests = [],
+    deadline = null,
+    milestones = [],
+    weeklyHoursBudget = null,
     createdAt = null,
     updatedAt = null,
   }) {
@@ -52,6 +55,13 @@ export class Project {
     this.existingCredentials = Array.isArray(existingCredentials) ? existingCredentials : [];
     this.successMetrics = Array.isArray(successMetrics) ? successMetrics : [];
 
+    // Target dates (YYYY-MM-DD)
+    this.deadline = this.validateDate(deadline);
+    this.milestones = this.validateMilestones(milestones);
+
+    // Target hours per week, tracked against completed blocks
+    this.weeklyHoursBudget = this.validateWeeklyHours(weeklyHoursBudget);
+
     // Metadata
     this.createdAt = createdAt || new Date().toISOString();
     this.updatedAt = updatedAt || new Date().toISOString();
@@ -79,9 +89,35 @@ export class Project {
       path_name: path.path_name || '',
       priority: ['high', 'medium', 'low'].includes(path.priority) ? path.priority : 'medium',
       interests: Array.isArray(path.interests) ? path.interests : [],
+      deadline: this.validateDate(path.deadline),
+      weekly_hours_budget: this.validateWeeklyHours(path.weekly_hours_budget),
     }));
   }
 
+  validateWeeklyHours(hours) {
+    const num = Number(hours);
+    return hours !== null && hours !== undefined && num > 0 && num <= TIME_ALLOCATION_CONFIG.MAX_WEEKLY_HOURS ? num : null;
+  }
+
+  validateDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(date)) && !isNaN(Date.parse(date)) ? date : null;
+  }
+
+  validateMilestones(milestones) {
+    if (!Array.isArray(milestones)) {
+      return [];
+    }
+    return milestones
+      .filter(milestone => milestone && milestone.name && this.validateDate(milestone.target_date))
+      .map(milestone => ({
+        id: milestone.id || null,
+        name: milestone.name,
+        target_date: milestone.target_date,
+        path_name: milestone.path_name || null,
+        branch: milestone.branch || null,
+      }));
+  }
+
   validateLifeStructure(preferences) {
     const defaults = {
       wakeTime: '6:00 AM',
@@ -264,6 +300,17 @@ export class Project {
     return ['high', 'critical'].includes(this.urgencyLevel);
   }
 
+  /**
+   * @param {string} asOf - Reference day (YYYY-MM-DD)
+   * @returns {number|null} Calendar days until the deadline, or null without one
+   */
+  getDaysUntilDeadline(asOf = new Date().toISOString().split('T')[0]) {
+    if (!this.deadline) {
+      return null;
+    }
+    return Math.round((Date.parse(`${this.deadline}T00:00:00Z`) - Date.parse(`${asOf}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+  }
+
   // Export for persistence
   toJSON() {
     return {
@@ -280,6 +327,9 @@ export class Project {
       currentHabits: this.currentHabits,
       existingCredentials: this.existingCredentials,
       successMetrics: this.successMetrics,
+      deadline: this.deadline,
+      milestones: this.milestones,
+      weeklyHoursBudget: this.weeklyHoursBudget,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
@@ -72,7 +72,7 @@ export class ScheduleBlock {
 
   // Validation methods
   validateType(type) {
-    const validTypes = ['learning', 'break', 'habit', 'meeting', 'focus', 'admin'];
+    const validTypes = ['learning', 'review', 'break', 'meal', 'habit', 'meeting', 'focus', 'admin'];
     return validTypes.includes(type) ? type : 'learning';
   }
 
@@ -166,11 +166,15 @@ export class ScheduleBlock {
   }
 
   // Utility methods
-  getStartTimeAsDate() {
+  /**
+   * Resolve the start time to a Date.
+   * @param {Date} baseDate - Day that clock-only start times ("9:00 AM") belong to
+   */
+  getStartTimeAsDate(baseDate = new Date()) {
     // Handle various time formats
     if (this.startTime.match(/^\d{1,2}:\d{2}(?:\s?[AP]M)?$/i)) {
       // Time format like "9:00 AM" or "14:30"
-      const today = new Date();
+      const today = baseDate;
       const [time, period] = this.startTime.split(/\s+/);
       const [hours, minutes] = time.split(':').map(Number);
 
@@ -191,8 +195,8 @@ export class ScheduleBlock {
     return new Date(this.startTime);
   }
 
-  getEndTime() {
-    const start = this.getStartTimeAsDate();
+  getEndTime(baseDate = new Date()) {
+    const start = this.getStartTimeAsDate(baseDate);
     const end = new Date(start);
     end.setMinutes(end.getMinutes() + this.duration);
     return end;
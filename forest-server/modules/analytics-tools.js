@@ -3,12 +3,25 @@
  * Handles performance analysis and debugging tools
  */
 
-import { countFrontierNodes, getAvailableNodes, getBlockedNodes } from '../utils/hta-metrics.js';
+import { countCompletedNodes, countFrontierNodes, getAvailableNodes, getBlockedNodes } from '../utils/hta-metrics.js';
+import { getHeldNodes } from '../utils/hta-eligibility.js';
+import { analyzeDependencies } from '../utils/dependency-graph.js';
+import { addDays } from '../utils/recurrence.js';
+import { RecurringTasks } from './recurring-tasks.js';
+import { FILE_NAMES, REPLAN_CONFIG } from './constants.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { TimeAllocation } from './time-allocation.js';
+import { HtaTreeBuilder } from './hta-tree-builder.js';
+import { summarizeHTAMerge } from '../utils/hta-merge.js';
 
 export class AnalyticsTools {
-  constructor(dataPersistence, projectManagement) {
+  constructor(dataPersistence, projectManagement, htaTreeBuilder = null) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
+    this.htaTreeBuilder = htaTreeBuilder || new HtaTreeBuilder(dataPersistence, projectManagement, null);
+    this.recurringTasks = new RecurringTasks(dataPersistence, projectManagement);
+    this.durationCalibration = new DurationCalibration(dataPersistence);
+    this.timeAllocation = new TimeAllocation(dataPersistence, projectManagement);
   }
 
   async generateTiimoExport(includeBreaks = true) {
@@ -127,7 +140,7 @@ export class AnalyticsTools {
       const projectId = await this.projectManagement.requireActiveProject();
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
       const activePath = config?.activePath || 'general';
-      const htaData = await this.loadPathHTA(projectId, activePath);
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, activePath);
 
       if (!htaData) {
         return {
@@ -150,14 +163,18 @@ export class AnalyticsTools {
       const orphaned = this.findOrphanedNodes(htaData.frontierNodes || []);
       const circular = this.detectCircularDependencies(htaData.frontierNodes || []);
 
+      const heldNodes = getHeldNodes(htaData);
+
       const report = this.formatDebugReport({
         totalNodes,
+        completedNodes: countCompletedNodes(htaData),
         availableNodes: availableNodes.length,
         blockedNodes: blockedNodes.length,
         analysis,
-        prerequisites,
-        orphaned,
-        circular,
+        prerequisiteChains: prerequisites,
+        orphanedNodes: orphaned,
+        circularDependencies: circular,
+        heldNodes,
       });
 
       return {
@@ -167,6 +184,13 @@ export class AnalyticsTools {
             text: report,
           },
         ],
+        on_hold: heldNodes.map(({ node, reason }) => ({
+          id: node.id,
+          title: node.title,
+          reason,
+          blocked_on: node.blockedOn || null,
+          deferred_until: node.deferredUntil || null,
+        })),
       };
     } catch (error) {
       await this.dataPersistence.logError('debugTaskSequence', error);
@@ -181,6 +205,58 @@ export class AnalyticsTools {
     }
   }
 
+  async getCriticalPath(limit = 10) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+      const activePath = config?.activePath || 'general';
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, activePath);
+
+      if (!htaData || countFrontierNodes(htaData) === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'No HTA data found. Build an HTA tree first.',
+            },
+          ],
+        };
+      }
+
+      const analysis = analyzeDependencies(htaData);
+      const nodes = [...analysis.nodes.values()];
+      const topUnlocks = nodes
+        .filter(n => !n.completed && n.unlockValue > 0)
+        .sort((a, b) => b.unlockValue - a.unlockValue || a.earliestStart - b.earliestStart)
+        .slice(0, limit);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.formatCriticalPathReport(analysis, topUnlocks),
+          },
+        ],
+        critical_path: analysis.criticalPath.map(id => analysis.nodes.get(id)),
+        total_minutes: analysis.totalMinutes,
+        topological_order: analysis.order,
+        top_unlocks: topUnlocks,
+        cyclic_nodes: analysis.cyclic,
+        missing_prerequisites: analysis.missing,
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('getCriticalPath', error, { limit });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error analyzing critical path: ${error.message}`,
+          },
+        ],
+      };
+    }
+  }
+
   async repairSequence(forceRebuild = false) {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
@@ -191,7 +267,7 @@ export class AnalyticsTools {
       }
 
       const activePath = config.activePath || 'general';
-      const htaData = await this.loadPathHTA(projectId, activePath);
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, activePath);
 
       if (!htaData && !forceRebuild) {
         return {
@@ -279,7 +355,7 @@ export class AnalyticsTools {
   async performComprehensiveAnalysis(projectId, config) {
     const activePath = config.activePath || 'general';
     const learningHistory = (await this.loadLearningHistory(projectId, activePath)) || {};
-    const htaData = (await this.loadPathHTA(projectId, activePath)) || {};
+    const htaData = (await this.dataPersistence.loadPathHTA(projectId, activePath)) || {};
 
     const completedTopics = learningHistory.completedTopics || [];
     const insights = learningHistory.insights || [];
@@ -298,6 +374,7 @@ export class AnalyticsTools {
         completionVelocity: this.analyzeCompletionVelocity(completedTopics),
         timeOfDayPatterns: this.analyzeTimeOfDayPatterns(completedTopics),
       },
+      estimateAccuracy: await this.durationCalibration.getAccuracy(),
       recommendations: this.generatePerformanceRecommendations(completedTopics, htaData),
     };
   }
@@ -449,6 +526,12 @@ export class AnalyticsTools {
       insight => new Date(insight.timestamp) > cutoffDate
     );
 
+    const today = new Date().toISOString().split('T')[0];
+    const habits = await this.recurringTasks.summarizePeriod(projectId, addDays(today, -(days - 1)), today, config);
+    const adherence = await this.summarizePlanAdherence(projectId, addDays(today, -(days - 1)), today);
+    // Budget versus actual covers every project, so the review shows where the week actually went
+    const timeAllocation = await this.timeAllocation.summarizeAll(addDays(today, -(days - 1)), today);
+
     return {
       period: `Last ${days} days`,
       summary: {
@@ -465,6 +548,43 @@ export class AnalyticsTools {
       highlights: this.extractPeriodHighlights(recentTasks, recentInsights),
       challenges: this.extractPeriodChallenges(recentTasks),
       nextSteps: this.generateNextSteps(recentTasks, learningHistory),
+      habits,
+      adherence,
+      timeAllocation,
+    };
+  }
+
+  /**
+   * How closely the day schedules in [from, to] were followed. Work blocks a
+   * re-plan removed count as planned but not done.
+   * @param {string} projectId
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   */
+  async summarizePlanAdherence(projectId, from, to) {
+    const isWork = block => REPLAN_CONFIG.WORK_BLOCK_TYPES.includes(block.type);
+    const totals = { daysPlanned: 0, plannedBlocks: 0, completedBlocks: 0, skippedBlocks: 0, replans: 0, movedBlocks: 0 };
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const schedule = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(date));
+      const work = (schedule?.blocks || []).filter(isWork);
+      if (work.length === 0) {
+        continue;
+      }
+      const replans = schedule.replans || [];
+      const moved = replans.reduce((sum, replan) => sum + (replan.removed || []).filter(isWork).length, 0);
+
+      totals.daysPlanned += 1;
+      totals.plannedBlocks += work.length + moved;
+      totals.completedBlocks += work.filter(block => block.completed).length;
+      totals.skippedBlocks += work.filter(block => block.skipped).length;
+      totals.replans += replans.length;
+      totals.movedBlocks += moved;
+    }
+
+    return {
+      ...totals,
+      adherenceRate: totals.plannedBlocks > 0 ? Math.round((totals.completedBlocks / totals.plannedBlocks) * 100) : null,
     };
   }
 
@@ -701,8 +821,29 @@ export class AnalyticsTools {
   async performSequenceRepair(projectId, pathName, htaData, forceRebuild) {
     const repairActions = [];
 
-    if (forceRebuild || !htaData) {
-      // Complete rebuild
+    if (forceRebuild) {
+      // Regenerate, merging completions and hand edits into the new tree
+      const rebuild = await this.htaTreeBuilder.buildHTATree(
+        pathName,
+        htaData?.learningStyle || 'mixed',
+        htaData?.focusAreas || [],
+        null,
+        '',
+        { rebuild: true }
+      );
+      const rebuilt = await this.htaTreeBuilder.loadPathHTA(projectId, pathName);
+      repairActions.push(rebuild.merge_summary
+        ? 'Rebuilt the HTA tree, merging existing progress into it'
+        : `Built a new HTA tree with ${rebuild.tasks_generated} tasks`);
+      return {
+        actions: repairActions,
+        success: true,
+        availableTasksAfterRepair: this.getAvailableNodes(rebuilt?.frontierNodes || []).length,
+        mergeSummary: rebuild.merge_summary || null,
+      };
+    }
+
+    if (!htaData) {
       repairActions.push('Complete HTA tree rebuild required');
       return {
         actions: repairActions,
@@ -736,7 +877,7 @@ export class AnalyticsTools {
     try {
       // Save repaired HTA within transaction
       htaData.lastUpdated = new Date().toISOString();
-      await this.savePathHTA(projectId, pathName, htaData, transaction);
+      await this.dataPersistence.savePathHTA(projectId, pathName, htaData, transaction);
 
       // Commit transaction
       await this.dataPersistence.commitTransaction(transaction);
@@ -798,6 +939,20 @@ export class AnalyticsTools {
     report += `• Difficulty progression: ${analysis.patterns.difficultyProgression.trend || 'No data'}\n`;
     report += `• Most productive hour: ${analysis.patterns.timeOfDayPatterns.mostProductiveHour || 'No data'}\n\n`;
 
+    // Planned vs actual durations
+    const accuracy = analysis.estimateAccuracy;
+    if (accuracy?.samples > 0) {
+      report += '**Estimate Accuracy**:\n';
+      report += `• Tasks with recorded time: ${accuracy.samples}\n`;
+      report += `• Planned durations off by ${accuracy.rawErrorPct}% on average, ${accuracy.calibratedErrorPct}% after calibration\n`;
+      report += `• Overall: tasks take ${accuracy.overallFactor}x their estimate\n`;
+      const dimensionLabels = { branches: 'branch', difficulties: 'difficulty', timesOfDay: 'time of day' };
+      for (const group of accuracy.biasedGroups) {
+        report += `• ${group.label} (${dimensionLabels[group.dimension]}): ${group.factor}x the estimate over ${group.samples} tasks\n`;
+      }
+      report += '\n';
+    }
+
     // Recommendations
     if (analysis.recommendations.length > 0) {
       report += '**Recommendations**:\n';
@@ -834,6 +989,27 @@ export class AnalyticsTools {
       report += '\n';
     }
 
+    if (review.habits?.length > 0) {
+      report += '**Habits**:\n';
+      for (const habit of review.habits) {
+        const missed = habit.missed.length > 0 ? `, missed ${habit.missed.join(', ')}` : '';
+        report += `• ${habit.title}: ${habit.completed}/${habit.scheduled} done, streak ${habit.currentStreak}${missed}\n`;
+      }
+      report += '\n';
+    }
+
+    if (review.adherence?.plannedBlocks > 0) {
+      const adherence = review.adherence;
+      report += '**Plan Adherence**:\n';
+      report += `• ${adherence.completedBlocks}/${adherence.plannedBlocks} planned blocks done (${adherence.adherenceRate}%) over ${adherence.daysPlanned} day(s)\n`;
+      report += `• ${adherence.skippedBlocks} skipped, ${adherence.replans} re-plan(s) moved ${adherence.movedBlocks} block(s)\n\n`;
+    }
+
+    if (review.timeAllocation?.some(project => project.budget_minutes !== null || project.actual_minutes > 0)) {
+      report += '**Time vs Budget**:\n';
+      report += `${this.timeAllocation.formatAllocation(review.timeAllocation)}\n`;
+    }
+
     if (review.nextSteps.length > 0) {
       report += '**Next Steps**:\n';
       for (const step of review.nextSteps) {
@@ -869,6 +1045,48 @@ export class AnalyticsTools {
       }
     }
 
+    if (debugInfo.heldNodes?.length > 0) {
+      report += '\n**On Hold**:\n';
+      for (const { node, reason } of debugInfo.heldNodes) {
+        report += reason === 'blocked'
+          ? `• ⛔ ${node.title} – blocked on: ${node.blockedOn}\n`
+          : `• 😴 ${node.title} – snoozed until ${node.deferredUntil.split('T')[0]}\n`;
+      }
+    }
+
+    return report;
+  }
+
+  formatCriticalPathReport(analysis, topUnlocks) {
+    let report = '🛤️ **Critical Path Analysis**\n\n';
+
+    if (analysis.criticalPath.length === 0) {
+      report += 'No remaining dependent work – every open task can start now.\n';
+    } else {
+      const hours = Math.round((analysis.totalMinutes / 60) * 10) / 10;
+      report += `**Critical Path** (${analysis.criticalPath.length} tasks, ~${hours}h of focused work):\n`;
+      analysis.criticalPath.forEach((id, index) => {
+        const node = analysis.nodes.get(id);
+        report += `${index + 1}. ${node.title} – starts after ${node.earliestStart} min, ${node.duration} min\n`;
+      });
+    }
+
+    if (topUnlocks.length > 0) {
+      report += '\n**Highest Unlock Value**:\n';
+      for (const node of topUnlocks) {
+        const slack = node.slack > 0 ? `, ${node.slack} min slack` : ', no slack';
+        report += `• ${node.title} – unblocks ${node.unlockValue} task(s)${slack}\n`;
+      }
+    }
+
+    if (analysis.cyclic.length > 0) {
+      report += `\n⚠️ Circular dependencies involve ${analysis.cyclic.length} task(s): ${analysis.cyclic.join(', ')}\n`;
+    }
+
+    if (analysis.missing.length > 0) {
+      report += `\n⚠️ ${analysis.missing.length} prerequisite reference(s) point at unknown tasks – run \`repair_sequence\`\n`;
+    }
+
     return report;
   }
 
@@ -882,6 +1100,9 @@ export class AnalyticsTools {
         report += `• ${action}\n`;
       }
       report += `\n📊 Available tasks after repair: ${repairResult.availableTasksAfterRepair}\n`;
+      if (repairResult.mergeSummary) {
+        report += `\n${summarizeHTAMerge(repairResult.mergeSummary)}\n`;
+      }
     } else {
       report += '❌ **Repair Required Manual Intervention**\n\n';
       for (const action of repairResult.actions) {
@@ -914,31 +1135,4 @@ export class AnalyticsTools {
       return await this.dataPersistence.loadPathData(projectId, pathName, 'learning_history.json');
     }
   }
-
-  async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
-    }
-  }
-
-  async savePathHTA(projectId, pathName, htaData, transaction = null) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.saveProjectData(
-        projectId,
-        'hta.json',
-        htaData,
-        transaction
-      );
-    } else {
-      return await this.dataPersistence.savePathData(
-        projectId,
-        pathName,
-        'hta.json',
-        htaData,
-        transaction
-      );
-    }
-  }
 }
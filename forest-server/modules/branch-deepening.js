@@ -0,0 +1,278 @@
+/**
+ * Branch Deepening Module
+ * Just-in-time decomposition of placeholder branches. Skeleton trees detail
+ * only their first branches; the rest start as objectives with a goal
+ * statement and no tasks. expand_branch decomposes one on request, and
+ * completeBlock calls expandNearFrontier so the next placeholder is filled in
+ * as the learner approaches it. Expansions draw on the path's learning
+ * history and are logged for get_generation_history.
+ */
+
+import { bus } from './utils/event-bus.js';
+import { DEFAULT_PATHS, FILE_NAMES, HTA_LEVELS, PROGRESSIVE_DEEPENING_CONFIG } from './constants.js';
+import { HtaTreeBuilder } from './hta-tree-builder.js';
+import { ensureHierarchy, rollUpProgress } from '../utils/hta-hierarchy-utils.js';
+import { holdReason } from '../utils/hta-eligibility.js';
+
+export class BranchDeepening {
+  constructor(dataPersistence, projectManagement, htaTreeBuilder = null, eventBus = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.htaTreeBuilder = htaTreeBuilder || new HtaTreeBuilder(dataPersistence, projectManagement, null);
+    this.eventBus = eventBus || bus;
+  }
+
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Decompose a placeholder branch now
+   * @param {Object} options
+   * @param {string|null} [options.branch] - Branch name or objective id; the next placeholder when omitted
+   * @param {string|null} [options.pathName] - Learning path; the active one when omitted
+   */
+  async expandBranch({ branch = null, pathName = null } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      const expansion = await this.dataPersistence.executeInTransaction(async transaction => {
+        await this.dataPersistence.lockProject(projectId, transaction);
+        const path = pathName || (await this.activePath(projectId));
+        const htaData = await this.dataPersistence.loadPathHTA(projectId, path);
+        if (!htaData) {
+          throw new Error(`No HTA tree found for "${path}" path. Use \`build_hta_tree\` first.`);
+        }
+        ensureHierarchy(htaData);
+
+        const placeholder = branch ? this.findPlaceholder(htaData, branch) : this.listPlaceholders(htaData)[0];
+        if (!placeholder) {
+          throw new Error('Every branch is already expanded');
+        }
+        return await this.expand(projectId, path, htaData, placeholder, { trigger: 'manual' }, transaction);
+      }, 'expandBranch');
+
+      return {
+        content: [{ type: 'text', text: this.formatExpansion(expansion) }],
+        project_id: projectId,
+        path_name: expansion.pathName,
+        expansion
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('expandBranch', error, { branch });
+      return {
+        content: [{ type: 'text', text: `Error expanding branch: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Expand the next placeholder if the learner is close to it. Runs inside
+   * the caller's transaction, so a failure is thrown to the caller and rolls
+   * back with it rather than committing an expansion without its history.
+   * @param {string} projectId
+   * @param {string} pathName
+   * @param {Object|null} [transaction]
+   * @returns {Promise<Object|null>} The expansion, or null when none was due
+   */
+  async expandNearFrontier(projectId, pathName, transaction = null) {
+    const htaData = await this.dataPersistence.loadPathHTA(projectId, pathName);
+    if (!htaData) {
+      return null;
+    }
+    ensureHierarchy(htaData);
+
+    const due = this.dueForExpansion(htaData);
+    if (!due) {
+      return null;
+    }
+    return await this.expand(projectId, pathName, htaData, due.placeholder, { trigger: 'frontier', reason: due.reason }, transaction);
+  }
+
+  /**
+   * List the active project's expansions, newest first
+   * @param {Object} [options]
+   * @param {number} [options.limit=10]
+   */
+  async getGenerationHistory({ limit = 10 } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const log = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.GENERATION_HISTORY)) || { entries: [] };
+      const entries = log.entries.slice(-Math.max(1, limit)).reverse();
+
+      const path = await this.activePath(projectId);
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, path);
+      const pending = htaData ? this.listPlaceholders(ensureHierarchy(htaData)).map(node => node.title) : [];
+
+      let text = entries.length === 0
+        ? 'ℹ️ No branches have been expanded yet.'
+        : `**Generation History** (${entries.length} of ${log.entries.length}):\n` +
+          entries.map(entry => this.formatEntry(entry)).join('\n');
+      if (pending.length > 0) {
+        text += `\n\n**Still to plan** (${path}): ${pending.join(', ')}\nUse \`expand_branch\` to plan one now.`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        project_id: projectId,
+        history: entries,
+        placeholder_branches: pending
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('getGenerationHistory', error);
+      return {
+        content: [{ type: 'text', text: `Error retrieving generation history: ${error.message}` }],
+        history: []
+      };
+    }
+  }
+
+  /**
+   * Objective placeholders in hierarchy order
+   */
+  listPlaceholders(htaData) {
+    return (htaData.hierarchyNodes || []).filter(node => node.placeholder);
+  }
+
+  /**
+   * @throws {Error} When the branch is unknown or already expanded
+   */
+  findPlaceholder(htaData, ref) {
+    const wanted = String(ref).toLowerCase();
+    const match = (htaData.hierarchyNodes || []).find(node =>
+      node.level > HTA_LEVELS.GOAL &&
+      [node.id, node.title, node.branch].some(value => String(value || '').toLowerCase() === wanted)
+    );
+    if (!match) {
+      throw new Error(`Branch '${ref}' not found`);
+    }
+    if (!match.placeholder) {
+      throw new Error(`Branch '${match.title}' is already expanded`);
+    }
+    return match;
+  }
+
+  /**
+   * The next placeholder is due once few open tasks remain, or once the
+   * objective just before it is mostly done
+   * @returns {{placeholder: Object, reason: string}|null}
+   */
+  dueForExpansion(htaData) {
+    const next = this.listPlaceholders(htaData)[0];
+    if (!next) {
+      return null;
+    }
+
+    const now = this.now();
+    const open = htaData.frontierNodes.filter(node => !node.completed && !holdReason(node, now)).length;
+    if (open <= PROGRESSIVE_DEEPENING_CONFIG.MIN_OPEN_TASKS) {
+      return { placeholder: next, reason: `${open} open task(s) left` };
+    }
+
+    const objectives = htaData.hierarchyNodes.filter(node => node.level === HTA_LEVELS.OBJECTIVE);
+    const previous = objectives[objectives.indexOf(next) - 1];
+    if (previous && !previous.placeholder) {
+      const { percentage } = rollUpProgress([...htaData.hierarchyNodes, ...htaData.frontierNodes]).get(previous.id);
+      if (percentage >= PROGRESSIVE_DEEPENING_CONFIG.EXPAND_AT_PERCENT) {
+        return { placeholder: next, reason: `"${previous.title}" is ${percentage}% complete` };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decompose one placeholder, save the tree and log the expansion
+   */
+  async expand(projectId, pathName, htaData, placeholder, { trigger, reason = null }, transaction) {
+    const insights = await this.gatherInsights(projectId, pathName, htaData);
+    const tasks = this.htaTreeBuilder.decomposeBranch(placeholder, htaData, insights);
+    const timestamp = this.now().toISOString();
+
+    htaData.frontierNodes.push(...tasks);
+    delete placeholder.placeholder;
+    placeholder.expandedAt = timestamp;
+    htaData.hierarchyMetadata = {
+      ...htaData.hierarchyMetadata,
+      total_tasks: htaData.frontierNodes.length,
+      last_modified: timestamp
+    };
+    await this.dataPersistence.savePathHTA(projectId, pathName, htaData, transaction);
+
+    const entry = {
+      id: `expansion_${Date.now()}`,
+      timestamp,
+      type: 'branch_expansion',
+      trigger,
+      reason,
+      pathName,
+      branch: placeholder.branch,
+      objectiveId: placeholder.id,
+      title: placeholder.title,
+      tasksCreated: tasks.length,
+      taskIds: tasks.map(task => task.id),
+      learnedUsed: insights.learned.map(item => item.learned),
+      questionsUsed: tasks.filter(task => task.followUpQuestion).map(task => task.followUpQuestion)
+    };
+    await this.recordGeneration(projectId, entry, transaction);
+
+    this.eventBus.emit('branch:expanded', { projectId, pathName, branch: placeholder.branch, taskIds: entry.taskIds, trigger }, 'BranchDeepening');
+    return entry;
+  }
+
+  /**
+   * Recent learned notes and open questions from the path's learning history.
+   * Questions already turned into tasks are skipped; high-priority and newer
+   * ones come first.
+   */
+  async gatherInsights(projectId, pathName, htaData) {
+    const history = (await this.loadPathLearningHistory(projectId, pathName)) || {};
+    const recent = (history.completedTopics || []).slice(-PROGRESSIVE_DEEPENING_CONFIG.RECENT_COMPLETIONS);
+    const asked = new Set(htaData.frontierNodes.map(node => node.followUpQuestion).filter(Boolean));
+
+    const questions = (history.knowledgeGaps || [])
+      .map((gap, index) => ({ ...gap, index }))
+      .filter(gap => gap.question && !asked.has(gap.question))
+      .sort((a, b) => Number(b.priority === 'high') - Number(a.priority === 'high') || b.index - a.index)
+      .map(gap => gap.question);
+
+    return {
+      learned: recent.filter(topic => topic.learned).map(topic => ({ topic: topic.topic, learned: topic.learned })),
+      questions
+    };
+  }
+
+  async recordGeneration(projectId, entry, transaction = null) {
+    const log = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.GENERATION_HISTORY)) || { entries: [] };
+    const entries = [...log.entries, entry].slice(-PROGRESSIVE_DEEPENING_CONFIG.MAX_HISTORY_ENTRIES);
+    await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.GENERATION_HISTORY, { entries }, transaction);
+  }
+
+  formatExpansion(expansion) {
+    let text = `🌱 Expanded "${expansion.title}" into ${expansion.tasksCreated} task(s).`;
+    if (expansion.learnedUsed.length > 0) {
+      text += `\n\n**Builds on**: ${expansion.learnedUsed.join('; ')}`;
+    }
+    if (expansion.questionsUsed.length > 0) {
+      text += `\n**Follows up on**: ${expansion.questionsUsed.join('; ')}`;
+    }
+    return `${text}\n\nUse \`get_next_task\` to continue.`;
+  }
+
+  formatEntry(entry) {
+    const why = entry.trigger === 'manual' ? 'on request' : `frontier reached (${entry.reason})`;
+    return `• ${entry.timestamp.split('T')[0]} – ${entry.title}: ${entry.tasksCreated} task(s), ${why}; ` +
+      `drew on ${entry.learnedUsed.length} learned note(s) and ${entry.questionsUsed.length} question(s)`;
+  }
+
+  async activePath(projectId) {
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    return config?.activePath || DEFAULT_PATHS.GENERAL;
+  }
+
+  async loadPathLearningHistory(projectId, pathName) {
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.LEARNING_HISTORY);
+    }
+    return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.LEARNING_HISTORY);
+  }
+}
@@ -11,6 +11,15 @@ export const FILE_NAMES = {
   ERROR_LOG: 'error.log',
   MEMORY_STATE: 'memory_state.json',
   EXTERNAL_CONTEXT: 'external_context.json',
+  COMMITMENTS: 'commitments.json', // Global: imported calendar events
+  HTA_REVISIONS: 'hta_revisions.json', // Undo/redo history, stored next to each hta.json
+  RECURRING_TASKS: 'recurring_tasks.json', // Habit and maintenance items with per-occurrence completions
+  FOCUS_SESSIONS: 'focus_sessions.json', // Active focus timer and finished sessions
+  DURATION_CALIBRATION: 'duration_calibration.json', // Global: planned vs actual minutes of completed tasks
+  WEEKLY_PLAN: 'weekly_plan.json', // Current multi-day plan: tasks per day and what was missed
+  ENERGY_MODEL: 'energy_model.json', // Global: energy reported at each completion, by hour and weekday
+  TIME_LOG: 'time_log.json', // Minutes of each completed block by date and learning path
+  GENERATION_HISTORY: 'generation_history.json', // Branch expansions: when, why and what they drew on
 
   // Dynamic file name generators
   DAILY_SCHEDULE: (date) => `day_${date}.json`,
@@ -24,7 +33,8 @@ export const DIRECTORIES = {
   PATHS: 'paths',
   BACKUPS: 'backups',
   LOGS: 'logs',
-  TEMP: 'temp'
+  TEMP: 'temp',
+  JOURNAL: 'journal'
 };
 
 // Feature flags for enabling/disabling functionality
@@ -37,6 +47,11 @@ export const FEATURE_FLAGS = {
 
 // HTA hierarchy levels configuration
 export const HTA_LEVELS = {
+  // Tiers of the goal → objective → subgoal → task hierarchy (subgoals may nest)
+  GOAL: 0,
+  OBJECTIVE: 1,
+  SUBGOAL: 2,
+  TASK: 3,
   MIN_DEPTH: 3,
   MAX_DEPTH: 8,
   DEFAULT_DEPTH: 5,
@@ -54,6 +69,215 @@ export const SERVER_CONFIG = {
   MAX_REQUEST_SIZE: '10mb'
 };
 
+// Local HTTP/JSON API (mirrors the MCP tool surface)
+export const HTTP_API_CONFIG = {
+  TOKEN_FILE: 'http-api-token',
+  TOKEN_BYTES: 32,
+  TOKEN_FILE_MODE: 0o600,
+  MAX_BODY_BYTES: 1024 * 1024
+};
+
+// Storage backends behind DataPersistence (select with FOREST_STORAGE=file|sqlite)
+export const STORAGE_CONFIG = {
+  BACKENDS: ['file', 'sqlite'],
+  DEFAULT_BACKEND: 'file',
+  SQLITE_FILE: 'forest.db',
+  SQLITE_BUSY_TIMEOUT_MS: 5000,
+  SQLITE_SCHEMA_VERSION: 1,
+  LOCK_POLL_MS: 10,
+  // Cross-process advisory locks and undo journal (file backend)
+  LOCK_EXTENSION: '.lock',
+  LOCK_TIMEOUT_MS: 10000,
+  LOCK_RETRY_MS: 25,
+  LOCK_STALE_MS: 30000,
+  JOURNAL_EXTENSION: '.undo',
+  GLOBAL_SCOPE: 'global'
+};
+
+// HTA undo/redo history
+export const HTA_HISTORY = {
+  MAX_REVISIONS: 50,
+  DEFAULT_LIST_LIMIT: 20,
+  UNATTRIBUTED_TOOL: 'system', // Saves made outside any tool call
+  IGNORED_FIELDS: ['lastUpdated'] // Rewritten on every save; not a change by itself
+};
+
+// Recurring habit and maintenance tasks
+export const RECURRING_CONFIG = {
+  ID_PREFIX: 'recurring_',
+  KINDS: ['habit', 'maintenance'],
+  DEFAULT_KIND: 'habit',
+  DEFAULT_RECURRENCE: 'daily',
+  DEFAULT_DURATION_MINUTES: 15,
+  RATE_WINDOW_DAYS: 30, // Completion rate looks back this far
+  MISSED_LOOKBACK_DAYS: 14 // Missed occurrences older than this are not listed
+};
+
+// Focus-session timer
+export const FOCUS_SESSION_CONFIG = {
+  ID_PREFIX: 'focus_',
+  HISTORY_LIMIT: 200, // Finished sessions kept in focus_sessions.json
+  DEFAULT_ENERGY_LEVEL: 3 // Used when a session ends without an energy rating
+};
+
+// Deadlines, milestones and backward planning
+export const DEADLINE_CONFIG = {
+  MILESTONE_ID_PREFIX: 'milestone_',
+  VELOCITY_WINDOW_DAYS: 14, // Observed pace is measured over this many days
+  DEFAULT_TASK_MINUTES: 30, // Used for tasks without a readable duration
+  TIGHT_SLACK_RATIO: 0.15 // Slack below this share of the remaining days counts as tight
+};
+
+// Duration calibration from recorded actuals
+export const CALIBRATION_CONFIG = {
+  SAMPLE_LIMIT: 500, // Most recent completions kept in duration_calibration.json
+  MIN_SAMPLES: 3, // A branch, difficulty or time-of-day group needs this many before it adjusts estimates
+  PRIOR_WEIGHT: 2, // Pseudo-samples at a ratio of 1 that damp factors learned from few completions
+  MIN_FACTOR: 0.5,
+  MAX_FACTOR: 3,
+  TIME_OF_DAY: { morning: [5, 12], afternoon: [12, 17], evening: [17, 22] } // Start hour ranges; the rest is night
+};
+
+// Energy forecasting from completions
+export const ENERGY_MODEL_CONFIG = {
+  SAMPLE_LIMIT: 1000, // Most recent completions kept in energy_model.json
+  HALF_LIFE_DAYS: 30, // A sample counts half as much after this many days
+  PRIOR_WEIGHT: 2, // Pseudo-samples at DEFAULT_LEVEL damping the baseline and each hour/weekday offset
+  DEFAULT_LEVEL: 3, // Used when no energy level is given and there is too little data
+  MIN_SAMPLES: 5 // Completions needed before the forecast replaces DEFAULT_LEVEL
+};
+
+// Multi-day planning
+export const WEEKLY_PLAN_CONFIG = {
+  ID_PREFIX: 'week_',
+  DAYS: 7,
+  MAX_DAYS: 14,
+  DEFAULT_DAILY_HOURS: 2,
+  DEFAULT_ENERGY_LEVEL: 3,
+  MEAL_MINUTES: 45, // Matches the meal blocks ScheduleGenerator inserts
+  ENERGY_WEIGHT: 0.5, // Cost of a hard task on a low-energy day, in day-loads
+  LATENESS_WEIGHT: 0.05 // Cost per day of planning a task later in the week
+};
+
+// Re-planning the rest of a day
+export const REPLAN_CONFIG = {
+  WORK_BLOCK_TYPES: ['learning', 'review', 'recurring'], // Blocks that count toward plan adherence
+  FIXED_BLOCK_TYPES: ['meal', 'meeting', 'recurring'], // Kept at their time when the day is rebuilt
+  CLOCK_PATTERN: /^(\d{1,2}):(\d{2})(\s*[AP]M)?$/i
+};
+
+// Constraint-based day scheduling (see utils/schedule-solver.js)
+export const SCHEDULER_CONFIG = {
+  ALGORITHM: 'solver', // 'solver' or 'greedy'; life_structure_preferences.scheduler overrides
+  ITERATIONS: 1500,
+  DEFAULT_FOCUS_MINUTES: 90, // Continuous work before a break when focus_duration is not a length
+  MIN_WORK_MINUTES: 15, // Shortest block worth starting
+  MIN_CLIP_RATIO: 0.75, // Items may be shortened to fit a window down to this share of their length
+  MEAL_MINUTES: 45,
+  PEAK_HOURS: [9, 10, 11], // Energy +1
+  DIP_HOURS: [13, 14], // Energy -1
+  EVENING_FROM_HOUR: 20, // Energy -1 from this hour
+  WEIGHTS: {
+    priority: 10,
+    early: 2,
+    energy: 3,
+    contextSwitch: 1,
+    fragment: 2,
+    clipped: 6
+  }
+};
+
+// Integrated (multi-project) daily schedule
+export const INTEGRATED_SCHEDULE_CONFIG = {
+  TASKS_PER_PROJECT: 25,
+  MIN_BLOCK_MINUTES: 45, // Shortest focus block on one project; shorter work is padded rather than switched away from
+  MAX_BLOCK_MINUTES: 120, // Longer runs hand over to another project when one has time left
+  DEFAULT_PRIORITY_WEIGHT: 1, // config.priority_weight overrides
+  URGENCY_WEIGHTS: { low: 0.75, medium: 1, high: 1.5, critical: 2 } // Used when priority_weight is unset
+};
+
+// Weekly hours budgets and time actually spent per project and learning path
+export const TIME_ALLOCATION_CONFIG = {
+  LOG_LIMIT: 5000, // Time log entries kept per project
+  COUNTED_BLOCK_TYPES: ['learning', 'review', 'recurring'],
+  WEEK_STARTS_ON: 1, // Monday; weekly_hours_budget resets here
+  MAX_WEEKLY_HOURS: 168,
+  ON_TRACK_TOLERANCE: 0.1, // Share of the budget either side of pace that still counts as on track
+  UNDER_SERVED_BOOST: 1 // Integrated scheduling weight multiplier is 1 + boost x share of the week's budget behind pace
+};
+
+// Snoozed and blocked tasks
+export const TASK_HOLD_CONFIG = {
+  DEFAULT_SNOOZE_DAYS: 1,
+  MAX_REASON_LENGTH: 200,
+  WAKE_UP_INTERVAL_MINUTES: 60 // SystemClock releases expired snoozes this often
+};
+
+// Goal → objective → subgoal → task hierarchy
+export const HTA_HIERARCHY_CONFIG = {
+  GOAL_NODE_ID: 'goal',
+  AUTO_COMPLETE_PARENTS: true, // A container whose children are all done completes itself
+  STATUS_TASKS_PER_NODE: 5 // Tasks listed under each node in get_hta_status
+};
+
+// Progressive deepening: branches are decomposed when the learner reaches them
+export const PROGRESSIVE_DEEPENING_CONFIG = {
+  INITIAL_EXPANDED_BRANCHES: 2, // Skeleton branches detailed up front; the rest start as placeholders
+  MIN_OPEN_TASKS: 3, // Expand the next placeholder when this few open tasks remain
+  EXPAND_AT_PERCENT: 75, // ...or when the objective before it is this far along
+  RECENT_COMPLETIONS: 5, // Completions whose learned notes inform an expansion
+  MAX_QUESTION_TASKS: 3, // Follow-up tasks created from open next_questions
+  MAX_HISTORY_ENTRIES: 100
+};
+
+// Progress a task or container picks up while it is worked on; templates
+// strip it and rebuilds carry it over
+export const HTA_PROGRESS_FIELDS = [
+  'completed', 'completedAt', 'autoCompleted', 'outcome', 'learned', 'difficultyRating', 'breakthrough',
+  'actualDifficulty', 'actualDuration', 'review', 'deferredUntil', 'blockedOn', 'expandedAt', 'updatedAt'
+];
+
+// Rebuild diff/merge
+export const HTA_MERGE_CONFIG = {
+  TITLE_MATCH_THRESHOLD: 0.75, // Bigram similarity at which differently-id'd nodes are the same task
+  AMBIGUOUS_MARGIN: 0.05, // A runner-up this close to the best title match is flagged
+  SUMMARY_LIMIT: 5 // Titles listed per section of the change summary
+};
+
+// HTA tree templates
+export const TEMPLATE_CONFIG = {
+  FORMAT: 'forest-hta-template',
+  SCHEMA_VERSION: 1,
+  DIR: 'templates', // Saved templates, under the data directory
+  FILE_EXTENSION: '.json',
+  PARAMETERS: ['goal', 'interests', 'weekly_hours']
+};
+
+// HTA graph export (export_hta_graph)
+export const HTA_GRAPH_CONFIG = {
+  FORMATS: ['mermaid', 'dot', 'opml'],
+  DEFAULT_FORMAT: 'mermaid',
+  MAX_LABEL_LENGTH: 60,
+  // Fill and outline per node status; placeholders are also drawn dashed
+  STATUS_STYLES: {
+    completed: { fill: '#d4edda', stroke: '#28a745' },
+    ready: { fill: '#cce5ff', stroke: '#0056b3' },
+    blocked: { fill: '#f8d7da', stroke: '#c82333' },
+    snoozed: { fill: '#fff3cd', stroke: '#b38600' },
+    open: { fill: '#ffffff', stroke: '#6c757d' },
+    placeholder: { fill: '#f8f9fa', stroke: '#adb5bd' }
+  }
+};
+
+// Project export/import bundles
+export const BUNDLE_CONFIG = {
+  FORMAT: 'forest-project-bundle',
+  SCHEMA_VERSION: 2,
+  EXPORT_DIR: 'exports',
+  FILE_EXTENSION: '.forest.json',
+  CONFLICT_STRATEGIES: ['error', 'overwrite', 'rename']
+};
+
 // Performance constants
 export const PERFORMANCE = {
   BATCH_SIZE: 10,
@@ -167,7 +391,9 @@ export const SCORING = {
   CONTEXT_RELEVANCE_BONUS: 50,
   MOMENTUM_TASK_BASE_BOOST: 500,
   BREAKTHROUGH_AMPLIFICATION_BONUS: 100,
-  GENERATED_TASK_BOOST: 25
+  GENERATED_TASK_BOOST: 25,
+  UNLOCK_VALUE_WEIGHT: 15, // Per downstream task unblocked
+  MAX_UNLOCK_BONUS: 150
 };
 
 // Threshold values for analysis & reasoning engines
@@ -274,11 +500,57 @@ export const GENERATION_LIMITS = {
   MIN_DURATION_MINUTES: 5
 };
 
+// Spaced-repetition (SM-2) review scheduling
+export const REVIEW_CONFIG = {
+  INITIAL_EASE_FACTOR: 2.5,
+  MIN_EASE_FACTOR: 1.3,
+  FIRST_INTERVAL_DAYS: 1,
+  SECOND_INTERVAL_DAYS: 6,
+  PASSING_QUALITY: 3,
+  MAX_QUALITY: 5,
+  NO_LEARNING_PENALTY: 1, // Quality deduction when nothing was recorded as learned
+  DEFAULT_DURATION_MINUTES: 15,
+  BASE_PRIORITY: 250,
+  OVERDUE_PRIORITY_PER_DAY: 10,
+  MAX_OVERDUE_BOOST: 200,
+  ID_PREFIX: 'review_', // review_<nodeId>, as listed by get_due_reviews
+  BLOCK_ID_PREFIX: 'spaced_review_' // Schedule blocks; must not start with ID_PREFIX
+};
+
+// iCalendar export/import
+export const ICAL_CONFIG = {
+  PRODID: '-//Forest//Schedule Export//EN',
+  UID_DOMAIN: 'forest.local',
+  MAX_LINE_OCTETS: 75,
+  WEEK_DAYS: 7
+};
+
 export default {
   FILE_NAMES,
   DIRECTORIES,
   DEFAULT_DATA_DIR,
   SERVER_CONFIG,
+  HTTP_API_CONFIG,
+  STORAGE_CONFIG,
+  HTA_HISTORY,
+  RECURRING_CONFIG,
+  FOCUS_SESSION_CONFIG,
+  DEADLINE_CONFIG,
+  CALIBRATION_CONFIG,
+  ENERGY_MODEL_CONFIG,
+  WEEKLY_PLAN_CONFIG,
+  REPLAN_CONFIG,
+  SCHEDULER_CONFIG,
+  INTEGRATED_SCHEDULE_CONFIG,
+  TIME_ALLOCATION_CONFIG,
+  TASK_HOLD_CONFIG,
+  HTA_HIERARCHY_CONFIG,
+  PROGRESSIVE_DEEPENING_CONFIG,
+  HTA_PROGRESS_FIELDS,
+  HTA_MERGE_CONFIG,
+  TEMPLATE_CONFIG,
+  HTA_GRAPH_CONFIG,
+  BUNDLE_CONFIG,
   PERFORMANCE,
   VALIDATION,
   LOG_LEVELS,
@@ -297,5 +569,7 @@ export default {
   DEFAULTS,
   TIME_FORMATS,
   MODEL_DEFAULTS,
-  GENERATION_LIMITS
+  GENERATION_LIMITS,
+  REVIEW_CONFIG,
+  ICAL_CONFIG
 };
\ No newline at end of file
@@ -1,21 +1,31 @@
 /**
  * Data Persistence Module
- * Coordinates data management between cache and file system operations
+ * Coordinates data management between the cache and a storage backend.
+ * Raw document I/O and transactions live in modules/storage (JSON files by
+ * default, SQLite with FOREST_STORAGE=sqlite).
  */
 
 // @ts-nocheck
 
 import { FileSystem } from './utils/file-system.js';
 import { CacheManager } from './utils/cache-manager.js';
-import { DIRECTORIES, FILE_NAMES } from './constants.js';
+import { DEFAULT_PATHS, DIRECTORIES, FILE_NAMES, HTA_HISTORY } from './constants.js';
+import { createStorageAdapter } from './storage/index.js';
 import logger from './utils/lightweight-logger.js';
+import { getCurrentToolName } from './utils/tool-context.js';
+import { diffHTA, isEmptyPatch, summarizeHTAPatch } from '../utils/hta-revisions.js';
 
 export class DataPersistence {
-  constructor(dataDir) {
+  /**
+   * @param {string} dataDir - Forest data directory
+   * @param {Object} options
+   * @param {string} [options.backend] - 'file' or 'sqlite' (defaults to FOREST_STORAGE, then 'file')
+   * @param {import('./storage/storage-adapter.js').StorageAdapter} [options.storage] - Pre-built adapter
+   */
+  constructor(dataDir, options = {}) {
     this.dataDir = dataDir;
     this.cacheManager = new CacheManager();
-    // CRITICAL FIX: Add file operation locks to prevent race conditions
-    this.fileLocks = new Map();
+    this.storage = options.storage || createStorageAdapter(options.backend, dataDir, options);
   }
 
   getProjectDir(projectId) {
@@ -45,56 +55,18 @@ export class DataPersistence {
   }
 
   async loadProjectData(projectId, filename) {
-    const cacheKey = this.cacheManager.getCacheKey(projectId, filename);
-
-    // Check cache first
-    const cachedData = this.cacheManager.getCache(cacheKey);
-    if (cachedData !== null) {
-      return cachedData;
-    }
-
-    const filePath = FileSystem.join(this.getProjectDir(projectId), filename);
-
-    // If the file doesn't exist yet (e.g. brand-new project), return null gracefully
-    const exists = await FileSystem.exists(filePath);
-    if (!exists) {
-      return null;
-    }
-
-    try {
-      let parsed = await FileSystem.readJSON(filePath);
-
-      // Auto-migrate old HTA format from snake_case to camelCase
-      if (filename === 'hta.json' && parsed && typeof parsed === 'object') {
-        parsed = this.migrateSnakeToCamel(parsed);
-      }
-
-      // Cache the result
-      this.cacheManager.setCache(cacheKey, parsed);
-      return parsed;
-    } catch (error) {
-      // If file genuinely doesn't exist between the exists() check and the read attempt
-      if (error.code === 'ENOENT' || error.message?.includes('ENOENT')) {
-        return null;
-      }
-
-      const { DataPersistenceError } = await import('./errors.js');
-      throw new DataPersistenceError('load', filePath, error, { projectId, filename });
-    }
+    return await this._loadDocument({ projectId, fileName: filename });
   }
 
-  async saveProjectData(projectId, fileName, data, transaction = null) {
-    // CRITICAL FIX: Implement file locking to prevent concurrent access
-    const lockKey = `${projectId}:${fileName}`;
-
-    // Wait for any existing operation on this file to complete
-    while (this.fileLocks.has(lockKey)) {
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
-
-    // Acquire lock
-    this.fileLocks.set(lockKey, true);
-
+  /**
+   * @param {string} projectId - Project identifier
+   * @param {string} fileName - Document name
+   * @param {any} data - Document
+   * @param {Object|null} transaction - Transaction context
+   * @param {Object} [options]
+   * @param {boolean} [options.recordRevision=true] - Record hta.json saves in the undo history
+   */
+  async saveProjectData(projectId, fileName, data, transaction = null, options = {}) {
     try {
       // ENHANCED: Validate inputs with null checks
       if (!projectId || typeof projectId !== 'string') {
@@ -107,38 +79,16 @@ export class DataPersistence {
         throw new Error('Invalid data: cannot be null or undefined');
       }
 
-      const projectDir = this.getProjectDir(projectId);
-      await this.ensureDirectoryExists(projectDir);
-      const filePath = FileSystem.join(projectDir, fileName);
-
-      // ENHANCED: Transaction support with atomic operations
-      if (transaction) {
-        // Create backup before modification
-        if (await this.fileExists(filePath)) {
-          const backupPath = `${filePath}.backup_${transaction.id}`;
-          await this.copyFile(filePath, backupPath);
-          transaction.backups.set(filePath, backupPath);
-          transaction.tempFiles.add(backupPath);
-        }
-        
-        // Add operation to transaction log
-        transaction.operations.push({
-          type: 'save_project_data',
-          projectId,
-          fileName,
-          filePath,
-          timestamp: new Date().toISOString()
-        });
-      }
-
       // ENHANCED: Normalize data before saving
       let normalizedData = data;
       if (fileName === 'hta.json' && data && typeof data === 'object') {
         normalizedData = this._normalizeHTAData(data);
+        if (options.recordRevision !== false) {
+          await this._recordHTARevision({ projectId, pathName: null }, normalizedData, transaction);
+        }
       }
 
-      // ENHANCED: Atomic write with validation
-      await this._atomicWriteJSON(filePath, normalizedData);
+      await this.storage.write({ projectId, fileName }, normalizedData, transaction);
 
       // CRITICAL FIX: Only invalidate cache AFTER successful write
       // This prevents cache corruption when atomic writes fail
@@ -147,6 +97,7 @@ export class DataPersistence {
       logger.debug('[DataPersistence] Project data saved', {
         projectId,
         fileName,
+        backend: this.storage.backend,
         hasTransaction: !!transaction,
         dataSize: JSON.stringify(normalizedData).length
       });
@@ -159,62 +110,23 @@ export class DataPersistence {
         hasTransaction: !!transaction
       });
       throw error;
-    } finally {
-      // CRITICAL FIX: Always release the file lock
-      const lockKey = `${projectId}:${fileName}`;
-      this.fileLocks.delete(lockKey);
     }
   }
 
   async loadPathData(projectId, pathName, filename) {
-    const cacheKey = this.cacheManager.getCacheKey(projectId, filename, pathName);
-
-    // Check cache first
-    const cachedData = this.cacheManager.getCache(cacheKey);
-    if (cachedData !== null) {
-      return cachedData;
-    }
-
-    const filePath = FileSystem.join(this.getPathDir(projectId, pathName), filename);
-
-    const exists = await FileSystem.exists(filePath);
-    if (!exists) {
-      return null;
-    }
-
-    try {
-      let parsed = await FileSystem.readJSON(filePath);
-
-      // Auto-migrate old HTA format keys if needed
-      if (filename === 'hta.json' && parsed && typeof parsed === 'object') {
-        parsed = this.migrateSnakeToCamel(parsed);
-      }
-
-      // Cache the result
-      this.cacheManager.setCache(cacheKey, parsed);
-      return parsed;
-    } catch (error) {
-      if (error.code === 'ENOENT' || error.message?.includes('ENOENT')) {
-        return null;
-      }
-
-      const { DataPersistenceError } = await import('./errors.js');
-      throw new DataPersistenceError('load', filePath, error, { projectId, pathName, filename });
-    }
+    return await this._loadDocument({ projectId, pathName, fileName: filename });
   }
 
-  async savePathData(projectId, pathName, fileName, data, transaction = null) {
-    // CRITICAL FIX: Implement file locking to prevent concurrent access
-    const lockKey = `${projectId}:${pathName}:${fileName}`;
-
-    // Wait for any existing operation on this file to complete
-    while (this.fileLocks.has(lockKey)) {
-      await new Promise(resolve => setTimeout(resolve, 10));
-    }
-
-    // Acquire lock
-    this.fileLocks.set(lockKey, true);
-
+  /**
+   * @param {string} projectId - Project identifier
+   * @param {string} pathName - Learning path
+   * @param {string} fileName - Document name
+   * @param {any} data - Document
+   * @param {Object|null} transaction - Transaction context
+   * @param {Object} [options]
+   * @param {boolean} [options.recordRevision=true] - Record hta.json saves in the undo history
+   */
+  async savePathData(projectId, pathName, fileName, data, transaction = null, options = {}) {
     try {
       // ENHANCED: Validate inputs with null checks
       if (!projectId || typeof projectId !== 'string') {
@@ -230,39 +142,16 @@ export class DataPersistence {
         throw new Error('Invalid data: cannot be null or undefined');
       }
 
-      const pathDir = this.getPathDir(projectId, pathName);
-      await this.ensureDirectoryExists(pathDir);
-      const filePath = FileSystem.join(pathDir, fileName);
-
-      // ENHANCED: Transaction support with atomic operations
-      if (transaction) {
-        // Create backup before modification
-        if (await this.fileExists(filePath)) {
-          const backupPath = `${filePath}.backup_${transaction.id}`;
-          await this.copyFile(filePath, backupPath);
-          transaction.backups.set(filePath, backupPath);
-          transaction.tempFiles.add(backupPath);
-        }
-        
-        // Add operation to transaction log
-        transaction.operations.push({
-          type: 'save_path_data',
-          projectId,
-          pathName,
-          fileName,
-          filePath,
-          timestamp: new Date().toISOString()
-        });
-      }
-
       // ENHANCED: Normalize data before saving
       let normalizedData = data;
       if (fileName === 'hta.json' && data && typeof data === 'object') {
         normalizedData = this._normalizeHTAData(data);
+        if (options.recordRevision !== false) {
+          await this._recordHTARevision({ projectId, pathName }, normalizedData, transaction);
+        }
       }
 
-      // ENHANCED: Atomic write with validation
-      await this._atomicWriteJSON(filePath, normalizedData);
+      await this.storage.write({ projectId, pathName, fileName }, normalizedData, transaction);
 
       // CRITICAL FIX: Only invalidate cache AFTER successful write
       // This prevents cache corruption when atomic writes fail
@@ -272,6 +161,7 @@ export class DataPersistence {
         projectId,
         pathName,
         fileName,
+        backend: this.storage.backend,
         hasTransaction: !!transaction,
         dataSize: JSON.stringify(normalizedData).length
       });
@@ -285,10 +175,128 @@ export class DataPersistence {
         hasTransaction: !!transaction
       });
       throw error;
-    } finally {
-      // CRITICAL FIX: Always release the file lock
-      const lockKey = `${projectId}:${pathName}:${fileName}`;
-      this.fileLocks.delete(lockKey);
+    }
+  }
+
+  /**
+   * A path's hta.json. The general path's tree lives at project level, every
+   * other path's under paths/<pathName>; older builds wrote the general tree
+   * under paths/general, which is still read when the project has no tree.
+   * @param {string} projectId - Project identifier
+   * @param {string} pathName - Learning path
+   */
+  async loadPathHTA(projectId, pathName) {
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      return (
+        (await this.loadProjectData(projectId, FILE_NAMES.HTA)) ||
+        (await this.loadPathData(projectId, pathName, FILE_NAMES.HTA))
+      );
+    }
+    return await this.loadPathData(projectId, pathName, FILE_NAMES.HTA);
+  }
+
+  /**
+   * Saves a path's hta.json where loadPathHTA() reads it
+   * @param {string} projectId - Project identifier
+   * @param {string} pathName - Learning path
+   * @param {Object} htaData - Tree to save
+   * @param {Object|null} transaction - Transaction context
+   * @param {Object} [options] - Passed to saveProjectData/savePathData
+   */
+  async savePathHTA(projectId, pathName, htaData, transaction = null, options = {}) {
+    if (pathName === DEFAULT_PATHS.GENERAL) {
+      return await this.saveProjectData(projectId, FILE_NAMES.HTA, htaData, transaction, options);
+    }
+    return await this.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData, transaction, options);
+  }
+
+  /**
+   * Undo/redo history of one path's hta.json (general lives at project level)
+   * @param {string} projectId - Project identifier
+   * @param {string|null} pathName - Path name, null for the project-level tree
+   * @returns {Promise<{head: number, revisions: Array<Object>}>} Revision log
+   */
+  async loadHTARevisions(projectId, pathName = null) {
+    const log = await this.storage.read({ projectId, pathName, fileName: FILE_NAMES.HTA_REVISIONS });
+    return log && Array.isArray(log.revisions) ? log : { head: 0, revisions: [] };
+  }
+
+  async saveHTARevisions(projectId, pathName, log, transaction = null) {
+    await this.storage.write({ projectId, pathName, fileName: FILE_NAMES.HTA_REVISIONS }, log, transaction);
+  }
+
+  /**
+   * Append a revision for an hta.json save, tagged with the tool that made it.
+   * The previous tree is read from storage rather than the cache: callers
+   * usually mutate the cached object in place before saving it.
+   */
+  async _recordHTARevision({ projectId, pathName }, nextData, transaction) {
+    const stored = await this.storage.read({ projectId, pathName, fileName: FILE_NAMES.HTA });
+    const previous = stored ? this.migrateSnakeToCamel(stored) : null;
+    const patch = diffHTA(previous, nextData, { ignore: HTA_HISTORY.IGNORED_FIELDS });
+    if (isEmptyPatch(patch)) {
+      return null;
+    }
+
+    const log = await this.loadHTARevisions(projectId, pathName);
+    // A new change after an undo discards the undone revisions
+    const revisions = log.revisions.filter(revision => revision.id <= log.head);
+    const revision = {
+      id: log.head + 1,
+      tool: getCurrentToolName() || HTA_HISTORY.UNATTRIBUTED_TOOL,
+      createdAt: new Date().toISOString(),
+      summary: summarizeHTAPatch(patch),
+      patch
+    };
+    revisions.push(revision);
+
+    await this.saveHTARevisions(projectId, pathName, {
+      head: revision.id,
+      revisions: revisions.slice(-HTA_HISTORY.MAX_REVISIONS)
+    }, transaction);
+    return revision;
+  }
+
+  /**
+   * Cached read through the storage backend. Legacy snake_case HTA keys are
+   * migrated on load.
+   * @param {{projectId: string, pathName?: string, fileName: string}} key - Document key
+   */
+  async _loadDocument(key) {
+    const cacheKey = this.cacheManager.getCacheKey(key.projectId, key.fileName, key.pathName);
+
+    // Check cache first
+    const cachedData = this.cacheManager.getCache(cacheKey);
+    if (cachedData !== null) {
+      return cachedData;
+    }
+
+    try {
+      let parsed = await this.storage.read(key);
+      if (parsed === null) {
+        return null;
+      }
+
+      // Auto-migrate old HTA format from snake_case to camelCase
+      if (key.fileName === 'hta.json' && parsed && typeof parsed === 'object') {
+        parsed = this.migrateSnakeToCamel(parsed);
+      }
+
+      // Cache the result
+      this.cacheManager.setCache(cacheKey, parsed);
+      return parsed;
+    } catch (error) {
+      // If the document disappeared between the existence check and the read attempt
+      if (error.code === 'ENOENT' || error.message?.includes('ENOENT')) {
+        return null;
+      }
+
+      const { DataPersistenceError } = await import('./errors.js');
+      throw new DataPersistenceError('load', this.storage.describe(key), error, {
+        projectId: key.projectId,
+        ...(key.pathName ? { pathName: key.pathName } : {}),
+        filename: key.fileName
+      });
     }
   }
 
@@ -345,30 +353,21 @@ export class DataPersistence {
   }
 
   async loadGlobalData(filename) {
-    const filePath = FileSystem.join(this.dataDir, filename);
-
-    const exists = await FileSystem.exists(filePath);
-    if (!exists) {
-      return null;
-    }
-
     try {
-      return await FileSystem.readJSON(filePath);
+      return await this.storage.read({ fileName: filename });
     } catch (error) {
       if (error.code === 'ENOENT' || error.message?.includes('ENOENT')) {
         return null;
       }
 
       const { DataPersistenceError } = await import('./errors.js');
-      throw new DataPersistenceError('load', filePath, error, { filename });
+      throw new DataPersistenceError('load', this.storage.describe({ fileName: filename }), error, { filename });
     }
   }
 
-  async saveGlobalData(filename, data) {
+  async saveGlobalData(filename, data, transaction = null) {
     try {
-      await FileSystem.ensureDir(this.dataDir);
-      const filePath = FileSystem.join(this.dataDir, filename);
-      await FileSystem.writeJSON(filePath, data);
+      await this.storage.write({ fileName: filename }, data, transaction);
       return true;
     } catch (error) {
       await this.logError('saveGlobalData', error, { filename });
@@ -443,6 +442,40 @@ export class DataPersistence {
     }
   }
 
+  // ===== PROJECT BUNDLE METHODS =====
+
+  /**
+   * Read every JSON document of a project keyed by its path relative to the
+   * project (path data appears as "paths/<name>/<file>").
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object<string, any>>} Parsed documents by relative path
+   */
+  async readProjectFiles(projectId) {
+    return await this.storage.readProjectFiles(projectId);
+  }
+
+  /**
+   * Replace a project's documents wholesale. The previous documents are kept
+   * as a backup by the storage backend; a failed replacement leaves them in place.
+   * @param {string} projectId - Project identifier
+   * @param {Object<string, any>} files - Parsed documents by relative path
+   * @returns {Promise<string|null>} Backup location of the replaced project, if any
+   */
+  async replaceProjectFiles(projectId, files) {
+    try {
+      const backup = await this.storage.replaceProjectFiles(projectId, files);
+      logger.info('[DataPersistence] Project files replaced', {
+        projectId,
+        backend: this.storage.backend,
+        fileCount: Object.keys(files).length,
+        backup
+      });
+      return backup;
+    } finally {
+      this.clearCache();
+    }
+  }
+
   // ===== CACHE MANAGEMENT METHODS =====
 
   /**
@@ -471,32 +504,65 @@ export class DataPersistence {
   /**
    * Invalidate cache for specific project data
    * @param {string} projectId - Project identifier
-   * @param {string} filename - File name
+   * @param {string} [filename] - File name (omit to drop the whole project)
    * @param {string|null} pathName - Optional path name
    */
   invalidateProjectCache(projectId, filename, pathName = null) {
+    // Without a file name every cached document of the project goes
+    if (!filename) {
+      this.cacheManager.invalidateProject(projectId);
+      return;
+    }
     const cacheKey = this.cacheManager.getCacheKey(projectId, filename, pathName);
     this.cacheManager.invalidateCache(cacheKey);
   }
 
+  /**
+   * Lock a project for the rest of a transaction (cross-process on the file
+   * backend). Cached documents of the project are dropped so reads after the
+   * lock see what other processes committed.
+   * @param {string} projectId - Project identifier
+   * @param {Object} transaction - Transaction context
+   */
+  async lockProject(projectId, transaction) {
+    await this.storage.lockProject(projectId, transaction);
+    this.invalidateProjectCache(projectId);
+  }
+
+  /**
+   * Finish or undo transactions left incomplete by a crashed process.
+   * Called once at startup.
+   * @returns {Promise<Object>} Recovery report from the storage backend
+   */
+  async recoverIncompleteTransactions() {
+    const report = await this.storage.recover();
+    if (report.completed.length > 0 || report.discarded.length > 0) {
+      this.clearCache();
+      logger.warn('[TRANSACTION] Recovered incomplete transactions', {
+        backend: this.storage.backend,
+        completed: report.completed.length,
+        discarded: report.discarded.length
+      });
+    }
+    if (report.skipped.length > 0) {
+      logger.warn('[TRANSACTION] Journals left for their owner or manual repair', { skipped: report.skipped });
+    }
+    return report;
+  }
+
   /**
    * Begin a transaction to prevent partial state mutations
+   * @param {Object|null} parent - Enclosing transaction, for a nested one
    * @returns {Object} Transaction context with rollback capability
    */
-  beginTransaction() {
-    const transactionId = `tx_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-    logger.info('[TRANSACTION] Begin', { id: transactionId });
-    return {
-      id: transactionId,
-      backups: new Map(),
-      operations: [],
-      tempFiles: new Set(),
-      startTime: Date.now()
-    };
+  beginTransaction(parent = null) {
+    const transaction = this.storage.beginTransaction(parent);
+    logger.info('[TRANSACTION] Begin', { id: transaction.id, backend: this.storage.backend });
+    return transaction;
   }
 
   /**
-   * Commit a transaction - move temporary files to final locations
+   * Commit a transaction through the storage backend
    * @param {Object} transaction - Transaction context
    */
   async commitTransaction(transaction) {
@@ -511,17 +577,7 @@ export class DataPersistence {
         }
       }
 
-      // Move temporary files to final locations atomically
-      for (const tempFile of transaction.tempFiles) {
-        const finalPath = tempFile.replace('.tmp', '');
-        await FileSystem.copyFile(tempFile, finalPath);
-        await FileSystem.deleteFile(tempFile);
-      }
-
-      // Clear backup data
-      transaction.backups.clear();
-      transaction.operations.length = 0;
-      transaction.tempFiles.clear();
+      await this.storage.commitTransaction(transaction);
 
       logger.info('[TRANSACTION] Commit', { id: transaction.id, durationMs: Date.now() - transaction.startTime });
     } catch (error) {
@@ -532,7 +588,7 @@ export class DataPersistence {
   }
 
   /**
-   * Rollback a transaction - restore all backed-up data
+   * Rollback a transaction - the backend restores the pre-transaction state
    * @param {Object} transaction - Transaction context
    */
   async rollbackTransaction(transaction) {
@@ -544,44 +600,11 @@ export class DataPersistence {
     logger.info('[TRANSACTION] Rolling back', { 
       id: transaction.id,
       operations: transaction.operations.length,
-      backups: transaction.backups.size
+      backups: transaction.backups?.size || 0
     });
 
-    const errors = [];
-
     try {
-      // ENHANCED: Restore all backed up files
-      for (const [originalPath, backupPath] of transaction.backups) {
-        try {
-          if (await this.fileExists(backupPath)) {
-            await this.copyFile(backupPath, originalPath);
-            logger.debug('[TRANSACTION] Restored file', { originalPath, backupPath });
-          }
-        } catch (restoreError) {
-          errors.push(`Failed to restore ${originalPath}: ${restoreError.message}`);
-          logger.error('[TRANSACTION] Restore failed', {
-            originalPath,
-            backupPath,
-            error: restoreError.message
-          });
-        }
-      }
-
-      // ENHANCED: Clean up temporary files
-      for (const tempFile of transaction.tempFiles) {
-        try {
-          if (await this.fileExists(tempFile)) {
-            await this.deleteFile(tempFile);
-            logger.debug('[TRANSACTION] Cleaned up temp file', { tempFile });
-          }
-        } catch (cleanupError) {
-          errors.push(`Failed to cleanup ${tempFile}: ${cleanupError.message}`);
-          logger.error('[TRANSACTION] Cleanup failed', {
-            tempFile,
-            error: cleanupError.message
-          });
-        }
-      }
+      const errors = await this.storage.rollbackTransaction(transaction);
 
       // ENHANCED: Clear any caches that might be affected
       this.clearCache();
@@ -0,0 +1,393 @@
+/**
+ * Deadline Planner Module
+ * Target dates for projects, learning paths and HTA branches, plus named
+ * milestones, and a backward-planning forecast over them: remaining work
+ * from node durations against the pace observed by HtaStatus.
+ */
+
+import { DEADLINE_CONFIG, DEFAULT_PATHS, FILE_NAMES } from './constants.js';
+import { HtaStatus } from './hta-status.js';
+import { parseDurationMinutes } from '../utils/hta-metrics.js';
+import { forecastDeadlines } from '../utils/deadline-forecast.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalised milestone record as stored in config.milestones
+ * @param {Object} milestone - { name, target_date, path_name?, branch? }
+ * @returns {{id: string, name: string, target_date: string, path_name: string|null, branch: string|null}}
+ */
+export function createMilestone({ name, target_date, path_name = null, branch = null }) {
+  if (!name || !String(name).trim()) {
+    throw new Error('A milestone needs a name');
+  }
+  if (!isValidDate(target_date)) {
+    throw new Error(`Invalid target_date '${target_date}' for milestone '${name}': expected YYYY-MM-DD`);
+  }
+  return {
+    id: milestoneId(name),
+    name: String(name).trim(),
+    target_date,
+    path_name: path_name || null,
+    branch: branch || null
+  };
+}
+
+function milestoneId(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'milestone';
+  return `${DEADLINE_CONFIG.MILESTONE_ID_PREFIX}${slug}`;
+}
+
+export function isValidDate(value) {
+  return DATE_PATTERN.test(String(value)) && !isNaN(Date.parse(value));
+}
+
+const STATUS_ICONS = {
+  done: '✅',
+  on_track: '🟢',
+  tight: '🟡',
+  at_risk: '🔴',
+  overdue: '⛔'
+};
+
+export class DeadlinePlanner {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.htaStatus = new HtaStatus(dataPersistence, projectManagement);
+  }
+
+  /**
+   * Set or clear a deadline. Without path or branch it applies to the project;
+   * with a milestone name it creates or updates that milestone instead.
+   * @param {Object} options
+   * @param {string|null} options.targetDate - YYYY-MM-DD
+   * @param {string|null} [options.pathName] - Learning path the deadline or milestone covers
+   * @param {string|null} [options.branch] - HTA branch (id or title) within the path
+   * @param {string|null} [options.milestoneName] - Named milestone to set
+   * @param {boolean} [options.remove] - Clear the deadline or delete the milestone
+   */
+  async setDeadline({ targetDate = null, pathName = null, branch = null, milestoneName = null, remove = false } = {}) {
+    try {
+      if (!remove && !isValidDate(targetDate)) {
+        throw new Error(`Invalid target_date '${targetDate}': expected YYYY-MM-DD`);
+      }
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      return await this.dataPersistence.executeInTransaction(async transaction => {
+        await this.dataPersistence.lockProject(projectId, transaction);
+        const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+        if (!config) {
+          throw new Error('Project configuration not found');
+        }
+
+        let label;
+        if (milestoneName) {
+          label = this.applyMilestone(config, { targetDate, pathName, branch, milestoneName, remove });
+        } else if (branch) {
+          const path = pathName || config.activePath || DEFAULT_PATHS.GENERAL;
+          const tree = await this.dataPersistence.loadPathHTA(projectId, path);
+          const match = this.findBranch(tree, branch);
+          if (!match) {
+            throw new Error(`Branch '${branch}' not found in the ${path} path`);
+          }
+          this.applyDate(match, 'deadline', targetDate, remove);
+          await this.dataPersistence.savePathHTA(projectId, path, tree, transaction);
+          label = `branch "${match.title || match.id}" (${path})`;
+        } else if (pathName) {
+          const learningPath = (config.learning_paths || []).find(p => p.path_name === pathName);
+          if (!learningPath) {
+            throw new Error(`Learning path '${pathName}' not found in project '${projectId}'`);
+          }
+          this.applyDate(learningPath, 'deadline', targetDate, remove);
+          label = `path "${pathName}"`;
+        } else {
+          this.applyDate(config, 'deadline', targetDate, remove);
+          label = `project "${projectId}"`;
+        }
+
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.CONFIG, config, transaction);
+
+        return {
+          content: [{
+            type: 'text',
+            text: remove
+              ? `🗑️ Removed the deadline for ${label}.`
+              : `🎯 Deadline for ${label} set to ${targetDate}.\n\nSee pacing with \`get_milestone_forecast\`.`
+          }],
+          project_id: projectId,
+          target: label,
+          target_date: remove ? null : targetDate
+        };
+      }, 'setDeadline');
+    } catch (error) {
+      await this.dataPersistence.logError('setDeadline', error, { targetDate, pathName, branch, milestoneName });
+      return {
+        content: [{ type: 'text', text: `Error setting deadline: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Backward-planning forecast for every deadline and milestone
+   * @param {string|null} pathName - Only report deadlines that cover this path
+   */
+  async getMilestoneForecast(pathName = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config) {
+        throw new Error('Project configuration not found');
+      }
+
+      const forecast = await this.buildForecast(projectId, config);
+      if (pathName) {
+        forecast.targets = forecast.targets.filter(target => !target.scope?.path || target.scope.path === pathName);
+      }
+      const atRisk = forecast.targets.filter(target => target.status === 'at_risk' || target.status === 'overdue');
+
+      return {
+        content: [{ type: 'text', text: this.formatForecast(projectId, forecast) }],
+        project_id: projectId,
+        milestone_forecast: forecast,
+        at_risk_milestones: atRisk.map(target => target.name),
+        required_weekly_hours: forecast.requiredWeeklyHours
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('getMilestoneForecast', error, { pathName });
+      return {
+        content: [{ type: 'text', text: `Error forecasting milestones: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * @param {string} projectId - Project
+   * @param {Object} config - Project config
+   * @param {string|null} asOf - Reference day (defaults to today)
+   * @returns {Promise<Object>} forecastDeadlines result plus asOf and the observed velocity
+   */
+  async buildForecast(projectId, config, asOf = null) {
+    const today = asOf || new Date().toISOString().split('T')[0];
+    const trees = await this.loadTrees(projectId, config);
+
+    let minutesPerDay = 0;
+    let completions = 0;
+    for (const tree of trees.values()) {
+      const velocity = this.htaStatus.getCompletionVelocity(tree, DEADLINE_CONFIG.VELOCITY_WINDOW_DAYS);
+      minutesPerDay += velocity.averageMinutesPerDay;
+      completions += velocity.completionsInPeriod;
+    }
+
+    const result = forecastDeadlines(this.collectTargets(config, trees), {
+      asOf: today,
+      minutesPerDay,
+      tightSlackRatio: DEADLINE_CONFIG.TIGHT_SLACK_RATIO
+    });
+
+    return {
+      asOf: today,
+      ...result,
+      velocity: {
+        windowDays: DEADLINE_CONFIG.VELOCITY_WINDOW_DAYS,
+        completions,
+        minutesPerDay: Math.round(minutesPerDay)
+      }
+    };
+  }
+
+  collectTargets(config, trees) {
+    const activePath = config.activePath || DEFAULT_PATHS.GENERAL;
+    const targets = [];
+    const allPaths = [...trees.keys()];
+
+    if (config.deadline) {
+      targets.push({ id: 'project', name: config.goal || config.id, type: 'project', targetDate: config.deadline, tasks: this.tasksFor(trees, allPaths) });
+    }
+
+    for (const learningPath of config.learning_paths || []) {
+      if (learningPath.deadline && trees.has(learningPath.path_name)) {
+        targets.push({
+          id: `path:${learningPath.path_name}`,
+          name: `${learningPath.path_name} path`,
+          type: 'path',
+          scope: { path: learningPath.path_name },
+          targetDate: learningPath.deadline,
+          tasks: this.tasksFor(trees, [learningPath.path_name])
+        });
+      }
+    }
+
+    for (const [path, tree] of trees) {
+      for (const branch of tree.strategicBranches || []) {
+        if (branch.deadline) {
+          targets.push({
+            id: `branch:${path}:${branch.id || branch.title}`,
+            name: branch.title || branch.id,
+            type: 'branch',
+            scope: { path, branch: branch.id || branch.title },
+            targetDate: branch.deadline,
+            tasks: this.tasksFor(trees, [path], branch)
+          });
+        }
+      }
+    }
+
+    for (const milestone of config.milestones || []) {
+      // A milestone without a path covers the whole project, unless it names a branch of the active path
+      const path = milestone.path_name || (milestone.branch ? activePath : null);
+      const branch = milestone.branch ? this.findBranch(trees.get(path), milestone.branch) || { id: milestone.branch } : null;
+      targets.push({
+        id: milestone.id,
+        name: milestone.name,
+        type: 'milestone',
+        scope: path ? { path, branch: milestone.branch || null } : null,
+        targetDate: milestone.target_date,
+        tasks: this.tasksFor(trees, path ? [path] : allPaths, branch)
+      });
+    }
+
+    return targets;
+  }
+
+  tasksFor(trees, paths, branch = null) {
+    const tasks = [];
+    for (const path of paths) {
+      const tree = trees.get(path);
+      if (!tree) {
+        continue;
+      }
+      const nodes = [
+        ...(tree.frontierNodes || []),
+        ...(tree.completedNodes || []).map(node => ({ ...node, completed: true }))
+      ];
+      for (const node of nodes) {
+        if (branch && !this.branchKeys(branch).includes(node.branch)) {
+          continue;
+        }
+        tasks.push({
+          key: `${path}:${node.id}`,
+          minutes: parseDurationMinutes(node.duration, DEADLINE_CONFIG.DEFAULT_TASK_MINUTES),
+          completed: Boolean(node.completed)
+        });
+      }
+    }
+    return tasks;
+  }
+
+  // Nodes name their branch by id or by title depending on how the tree was built
+  branchKeys(branch) {
+    return [branch.id, branch.title, branch.name].filter(Boolean);
+  }
+
+  findBranch(tree, name) {
+    const wanted = String(name).toLowerCase();
+    return (tree?.strategicBranches || []).find(branch =>
+      this.branchKeys(branch).some(key => String(key).toLowerCase() === wanted)
+    ) || null;
+  }
+
+  applyMilestone(config, { targetDate, pathName, branch, milestoneName, remove }) {
+    const milestones = config.milestones || [];
+    const index = milestones.findIndex(existing => existing.id === milestoneId(milestoneName));
+
+    if (remove) {
+      if (index === -1) {
+        throw new Error(`Milestone '${milestoneName}' not found`);
+      }
+      milestones.splice(index, 1);
+    } else {
+      const milestone = createMilestone({ name: milestoneName, target_date: targetDate, path_name: pathName, branch });
+      if (index === -1) {
+        milestones.push(milestone);
+      } else {
+        milestones[index] = milestone;
+      }
+    }
+    config.milestones = milestones;
+    return `milestone "${milestoneName}"`;
+  }
+
+  applyDate(target, field, date, remove) {
+    if (remove) {
+      delete target[field];
+    } else {
+      target[field] = date;
+    }
+  }
+
+  async loadTrees(projectId, config) {
+    const paths = new Set([
+      DEFAULT_PATHS.GENERAL,
+      config.activePath || DEFAULT_PATHS.GENERAL,
+      ...(config.learning_paths || []).map(p => p.path_name).filter(Boolean)
+    ]);
+    const trees = new Map();
+    for (const path of paths) {
+      const tree = await this.dataPersistence.loadPathHTA(projectId, path);
+      if (tree) {
+        trees.set(path, tree);
+      }
+    }
+    return trees;
+  }
+
+  formatForecast(projectId, forecast) {
+    let text = `🎯 **Milestone Forecast** — ${projectId} (as of ${forecast.asOf})\n\n`;
+    if (forecast.targets.length === 0) {
+      return text + 'No deadlines or milestones set. Add one with `set_deadline`.';
+    }
+
+    const { velocity } = forecast;
+    text += `**Pace**: ${forecast.observedWeeklyHours} h/week (${velocity.completions} task(s) in the last ${velocity.windowDays} days)\n`;
+    const binding = forecast.targets.find(target => target.id === forecast.bindingTarget);
+    if (binding) {
+      text += `**Needed**: ${forecast.requiredWeeklyHours} h/week to make every deadline (set by ${binding.name})\n`;
+    }
+    text += '\n';
+
+    for (const target of forecast.targets) {
+      text += `${STATUS_ICONS[target.status]} **${target.name}** (${target.type}, due ${target.targetDate}, ${target.daysLeft} day(s) left)\n`;
+      text += `   • ${target.remainingTasks}/${target.totalTasks} task(s) open, ${Math.round(target.remainingMinutes / 6) / 10} h of work`;
+      if (target.workDueMinutes > target.remainingMinutes) {
+        text += ` (${Math.round(target.workDueMinutes / 6) / 10} h including earlier deadlines)`;
+      }
+      text += '\n';
+      if (target.status !== 'done' && target.status !== 'overdue') {
+        text += `   • Needs ${target.requiredWeeklyHours} h/week`;
+        text += target.projectedFinish ? `; projected finish ${target.projectedFinish}, start by ${target.latestStart}\n` : '\n';
+      }
+      text += `   • ${target.reason}\n`;
+    }
+    return text.trimEnd();
+  }
+
+  /**
+   * Short deadline section for current_status
+   * @param {Object} forecast - buildForecast result
+   * @returns {string} Status lines, empty when there are no deadlines
+   */
+  formatStatusSummary(forecast) {
+    if (forecast.targets.length === 0) {
+      return '';
+    }
+    const open = forecast.targets.filter(target => target.status !== 'done');
+    const atRisk = open.filter(target => target.status === 'at_risk' || target.status === 'overdue');
+    const next = open[0];
+
+    let text = '\n**Deadlines**:\n';
+    if (next) {
+      text += `• Next: ${next.name} on ${next.targetDate} ${STATUS_ICONS[next.status]} (${next.reason.toLowerCase()})\n`;
+    } else {
+      text += '• Every deadline has been met\n';
+    }
+    if (forecast.requiredWeeklyHours > 0) {
+      text += `• Needed pace: ${forecast.requiredWeeklyHours} h/week (current ${forecast.observedWeeklyHours} h/week)\n`;
+    }
+    if (atRisk.length > 0) {
+      text += `• At risk: ${atRisk.map(target => target.name).join(', ')}\n`;
+      text += '• Use `get_milestone_forecast` for the full plan\n';
+    }
+    return text;
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Duration Calibration Module
+ * Keeps the planned-vs-actual samples recorded when tasks are completed with
+ * an actual duration, and serves the calibration model built from them to
+ * schedule generation, HTA task generation and performance analysis.
+ */
+
+import { CALIBRATION_CONFIG, FILE_NAMES } from './constants.js';
+import { parseDurationMinutes } from '../utils/hta-metrics.js';
+import { buildCalibrationModel, summarizeAccuracy } from '../utils/duration-calibration.js';
+
+export class DurationCalibration {
+  constructor(dataPersistence) {
+    this.dataPersistence = dataPersistence;
+  }
+
+  async loadSamples() {
+    const data = await this.dataPersistence.loadGlobalData(FILE_NAMES.DURATION_CALIBRATION);
+    return Array.isArray(data?.samples) ? data.samples : [];
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Calibration model, or null before any samples exist
+   */
+  async loadModel() {
+    const samples = await this.loadSamples();
+    return samples.length > 0 ? buildCalibrationModel(samples) : null;
+  }
+
+  /**
+   * Record a completed task. Nodes keep their uncalibrated estimate in
+   * `estimatedDuration` once a calibrated `duration` has been written, so the
+   * sample always compares against the raw plan.
+   * @param {string} projectId - Project the task belongs to
+   * @param {Object} node - Completed HTA node
+   * @param {Object} block - Completed block carrying actualDuration and completedAt
+   * @param {Object|null} [transaction] - Transaction of the completion being recorded
+   * @returns {Promise<Object|null>} The sample, or null when there is nothing to learn from
+   */
+  async recordSample(projectId, node, block, transaction = null) {
+    const actualMinutes = parseDurationMinutes(block.actualDuration, null);
+    const plannedMinutes = parseDurationMinutes(node.estimatedDuration ?? node.duration, null);
+    if (!actualMinutes || !plannedMinutes) {
+      return null;
+    }
+
+    const completedAt = block.completedAt || new Date().toISOString();
+    const sample = {
+      projectId,
+      nodeId: node.id,
+      branch: node.branch || null,
+      difficulty: node.difficulty ?? null,
+      plannedMinutes,
+      actualMinutes,
+      startHour: new Date(Date.parse(completedAt) - actualMinutes * 60000).getHours(),
+      completedAt
+    };
+
+    const samples = [...(await this.loadSamples()), sample].slice(-CALIBRATION_CONFIG.SAMPLE_LIMIT);
+    await this.dataPersistence.saveGlobalData(FILE_NAMES.DURATION_CALIBRATION, {
+      samples,
+      lastUpdated: new Date().toISOString()
+    }, transaction);
+    return sample;
+  }
+
+  /**
+   * @returns {Promise<Object>} Accuracy summary (see summarizeAccuracy)
+   */
+  async getAccuracy() {
+    const samples = await this.loadSamples();
+    return summarizeAccuracy(samples, buildCalibrationModel(samples));
+  }
+}
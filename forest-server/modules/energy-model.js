@@ -0,0 +1,172 @@
+/**
+ * Energy Model Module
+ * Records the energy level reported with each completed block, and serves the
+ * learned hour-by-hour forecast to scheduling and task selection when no
+ * energy level is given. get_energy_profile shows the learned curve.
+ */
+
+import { ENERGY_MODEL_CONFIG, FILE_NAMES } from './constants.js';
+import { averageLevel, buildEnergyModel, forecastDay, forecastEnergy } from '../utils/energy-model.js';
+import { weekdayIndex } from '../utils/weekly-plan.js';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export class EnergyModel {
+  constructor(dataPersistence) {
+    this.dataPersistence = dataPersistence;
+  }
+
+  now() {
+    return new Date();
+  }
+
+  async loadSamples() {
+    const data = await this.dataPersistence.loadGlobalData(FILE_NAMES.ENERGY_MODEL);
+    return Array.isArray(data?.samples) ? data.samples : [];
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Model, or null until MIN_SAMPLES completions are recorded
+   */
+  async loadModel() {
+    const samples = await this.loadSamples();
+    return samples.length >= ENERGY_MODEL_CONFIG.MIN_SAMPLES ? buildEnergyModel(samples, this.now()) : null;
+  }
+
+  /**
+   * Record the energy reported with a completed block. The rebuilt model is
+   * saved next to the samples for inspection; forecasts always rebuild it so
+   * decay is measured from the current time.
+   * @param {string} projectId
+   * @param {Object} block - Completed block carrying energyAfter and completedAt
+   * @param {Object|null} [transaction] - Transaction of the completion being recorded
+   * @returns {Promise<Object|null>} The sample, or null without a usable energy level
+   */
+  async recordSample(projectId, block, transaction = null) {
+    const energyLevel = Number(block.energyAfter);
+    const completedAt = new Date(block.completedAt || this.now());
+    if (!(energyLevel >= 1 && energyLevel <= 5) || Number.isNaN(completedAt.getTime())) {
+      return null;
+    }
+
+    const sample = {
+      projectId,
+      blockType: block.type || null,
+      energyLevel,
+      hour: completedAt.getHours(),
+      weekday: completedAt.getDay(),
+      recordedAt: completedAt.toISOString()
+    };
+    const samples = [...(await this.loadSamples()), sample].slice(-ENERGY_MODEL_CONFIG.SAMPLE_LIMIT);
+    await this.dataPersistence.saveGlobalData(FILE_NAMES.ENERGY_MODEL, {
+      samples,
+      model: buildEnergyModel(samples, this.now()),
+      lastUpdated: new Date().toISOString()
+    }, transaction);
+    return sample;
+  }
+
+  /**
+   * Expected energy at a moment, falling back to the default level
+   * @param {Date} [at]
+   * @returns {Promise<{energyLevel: number, forecast: number|null, source: string}>}
+   */
+  async forecast(at = this.now()) {
+    const model = await this.loadModel();
+    const forecast = forecastEnergy(model, at.getHours(), at.getDay());
+    return forecast === null
+      ? { energyLevel: ENERGY_MODEL_CONFIG.DEFAULT_LEVEL, forecast: null, source: 'default' }
+      : { energyLevel: Math.round(forecast), forecast, source: 'forecast' };
+  }
+
+  /**
+   * Hourly forecast for a date and one level for its waking hours
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} wakeHour
+   * @param {number} sleepHour
+   * @returns {Promise<{energyLevel: number, energyByHour: Array<number>}|null>} Null without a model
+   */
+  async forecastForDate(date, wakeHour, sleepHour) {
+    const model = await this.loadModel();
+    const energyByHour = forecastDay(model, weekdayIndex(date));
+    return energyByHour ? { energyLevel: averageLevel(energyByHour, wakeHour, sleepHour), energyByHour } : null;
+  }
+
+  /**
+   * The learned curve for get_energy_profile
+   * @param {Object} [options]
+   * @param {string|null} [options.weekday] - Day name to show; the all-week curve when omitted
+   */
+  async getEnergyProfile({ weekday = null } = {}) {
+    try {
+      const dayIndex = weekday === null ? null : this.parseWeekday(weekday);
+      if (dayIndex === -1) {
+        throw new Error(`Invalid weekday '${weekday}': expected a day name such as "monday"`);
+      }
+
+      const samples = await this.loadSamples();
+      const model = buildEnergyModel(samples, this.now());
+      const active = samples.length >= ENERGY_MODEL_CONFIG.MIN_SAMPLES;
+      const curve = forecastDay(model, dayIndex);
+      const recordedHours = model.hours.map((hour, index) => (hour.samples > 0 ? index : null)).filter(index => index !== null);
+
+      return {
+        content: [{ type: 'text', text: this.formatProfile(model, curve, dayIndex, active, recordedHours) }],
+        energy_profile: {
+          active,
+          sample_count: model.sampleCount,
+          effective_samples: model.effectiveSamples,
+          baseline: model.baseline,
+          weekday: dayIndex === null ? null : WEEKDAY_NAMES[dayIndex],
+          hourly: curve.map((level, hour) => ({ hour, level, samples: model.hours[hour].samples })),
+          weekdays: model.weekdays.map((day, index) => ({ weekday: WEEKDAY_NAMES[index], offset: day.offset, samples: day.samples }))
+        }
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('getEnergyProfile', error, { weekday });
+      return {
+        content: [{ type: 'text', text: `Error building energy profile: ${error.message}` }]
+      };
+    }
+  }
+
+  parseWeekday(weekday) {
+    const value = String(weekday).trim().toLowerCase();
+    return value.length < 3 ? -1 : WEEKDAY_NAMES.findIndex(name => name.toLowerCase().startsWith(value));
+  }
+
+  formatProfile(model, curve, dayIndex, active, recordedHours) {
+    const label = dayIndex === null ? 'all week' : WEEKDAY_NAMES[dayIndex];
+    let text = `⚡ **Energy Profile** (${label})\n\n`;
+    text += `Learned from ${model.sampleCount} completion(s), half-life ${model.halfLifeDays} days. Baseline ${model.baseline}/5.\n`;
+    if (!active) {
+      text += `\nℹ️ The forecast is used once ${model.minSamples} completions with an energy level are recorded; ` +
+        `until then schedules and task selection assume ${ENERGY_MODEL_CONFIG.DEFAULT_LEVEL}/5 unless you give an energy level.\n`;
+    }
+    if (recordedHours.length === 0) {
+      return `${text}\nNo completions recorded yet.`;
+    }
+
+    // Show the hours with data plus an hour either side
+    const from = Math.max(0, recordedHours[0] - 1);
+    const to = Math.min(23, recordedHours[recordedHours.length - 1] + 1);
+    text += '\n';
+    for (let hour = from; hour <= to; hour++) {
+      const level = curve[hour];
+      const bar = '█'.repeat(Math.round(level * 2));
+      text += `\`${String(hour).padStart(2, '0')}:00\` ${bar} ${level.toFixed(1)}` +
+        (model.hours[hour].samples > 0 ? ` (${model.hours[hour].samples})` : '') + '\n';
+    }
+
+    const ranked = recordedHours.map(hour => ({ hour, level: curve[hour] })).sort((a, b) => b.level - a.level || a.hour - b.hour);
+    text += `\n**Peak**: ${ranked[0].hour}:00 (${ranked[0].level}) • **Lowest**: ${ranked[ranked.length - 1].hour}:00 (${ranked[ranked.length - 1].level})\n`;
+
+    const weekdays = model.weekdays
+      .map((day, index) => ({ ...day, name: WEEKDAY_NAMES[index] }))
+      .filter(day => day.samples > 0 && day.offset !== 0);
+    if (weekdays.length > 0) {
+      text += `**By weekday**: ${weekdays.map(day => `${day.name} ${day.offset > 0 ? '+' : ''}${day.offset}`).join(', ')}\n`;
+    }
+    return text;
+  }
+}
@@ -74,6 +74,17 @@ export class DataPersistenceError extends ForestError {
   }
 }
 
+export class LockTimeoutError extends ForestError {
+  constructor(lockPath, owner, timeoutMs, context = {}) {
+    const holder = owner ? ` (held by pid ${owner.pid} on ${owner.hostname} since ${owner.acquiredAt})` : '';
+    super(`Timed out after ${timeoutMs}ms waiting for lock: ${lockPath}${holder}`, {
+      context: { lockPath, owner, timeoutMs, ...context }
+    });
+    this.lockPath = lockPath;
+    this.owner = owner;
+  }
+}
+
 export class ToolDispatchError extends ForestError {
   constructor(toolName, cause, args = {}) {
     super(`Tool '${toolName}' execution failed`, {
@@ -0,0 +1,271 @@
+/**
+ * Focus Sessions Module
+ * A work timer bound to a schedule block. Sessions track running segments
+ * and interruptions so that ending one completes the block with the time
+ * actually spent focused, which TaskCompletion carries onto the HTA node.
+ */
+
+import { DEFAULT_PATHS, FILE_NAMES, FOCUS_SESSION_CONFIG } from './constants.js';
+import { parseDurationMinutes } from '../utils/hta-metrics.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+function roundTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export class FocusSessions {
+  constructor(dataPersistence, projectManagement, taskCompletion) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.taskCompletion = taskCompletion;
+  }
+
+  // Single time source so sessions can be replayed deterministically
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Start timing a block, or resume its paused session
+   * @param {string} blockId - Schedule block id, or an HTA task id
+   */
+  async startSession(blockId) {
+    try {
+      if (!blockId) {
+        throw new Error('block_id is required');
+      }
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      return await this.updateState(projectId, 'startFocusSession', async state => {
+        const now = this.now().toISOString();
+        const active = state.active;
+
+        if (active) {
+          if (active.blockId !== blockId) {
+            throw new Error(`A focus session for "${active.title}" is ${active.state}; end it with \`end_focus_session\` first`);
+          }
+          if (active.state === 'running') {
+            throw new Error(`The focus session for "${active.title}" is already running`);
+          }
+          active.state = 'running';
+          active.segments.push({ start: now, end: null });
+          active.interruptions[active.interruptions.length - 1].resumedAt = now;
+          const summary = this.summarize(active, now);
+          return {
+            text: `▶️ **Focus resumed**: ${active.title}\n\n${summary.focused_minutes} min focused so far, ` +
+              `${summary.interruptions} interruption(s).`,
+            session: summary
+          };
+        }
+
+        const block = await this.resolveBlock(projectId, blockId);
+        state.active = {
+          id: `${FOCUS_SESSION_CONFIG.ID_PREFIX}${Date.parse(now)}`,
+          blockId,
+          taskId: block.taskId || null,
+          title: block.title,
+          plannedMinutes: parseDurationMinutes(block.duration),
+          startedAt: now,
+          state: 'running',
+          segments: [{ start: now, end: null }],
+          interruptions: []
+        };
+        return {
+          text: `⏱️ **Focus session started**: ${block.title}\n\nPlanned: ${state.active.plannedMinutes} minutes. ` +
+            'Use `pause_focus_session` for interruptions and `end_focus_session` when done.',
+          session: this.summarize(state.active, now)
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('startFocusSession', error, { blockId });
+      return {
+        content: [{ type: 'text', text: `Error starting focus session: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Pause the running session and record the interruption
+   * @param {string} reason - What interrupted the session
+   */
+  async pauseSession(reason = '') {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      return await this.updateState(projectId, 'pauseFocusSession', async state => {
+        const active = state.active;
+        if (!active || active.state !== 'running') {
+          throw new Error(active ? `The focus session for "${active.title}" is already paused` : 'No focus session is running');
+        }
+        const now = this.now().toISOString();
+        active.segments[active.segments.length - 1].end = now;
+        active.interruptions.push({ at: now, reason: reason || null, resumedAt: null });
+        active.state = 'paused';
+
+        const summary = this.summarize(active, now);
+        return {
+          text: `⏸️ **Focus paused**: ${active.title}${reason ? ` — ${reason}` : ''}\n\n` +
+            `${summary.focused_minutes} min focused so far. Resume with \`start_focus_session\`.`,
+          session: summary
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('pauseFocusSession', error, { reason });
+      return {
+        content: [{ type: 'text', text: `Error pausing focus session: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * End the session and, unless told otherwise, complete its block with the
+   * focused time as the actual duration
+   * @param {Object} options - end_focus_session arguments (complete, outcome, learned, energy_level, ...)
+   */
+  async endSession(options = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      const ended = await this.updateState(projectId, 'endFocusSession', async state => {
+        const active = state.active;
+        if (!active) {
+          throw new Error('No focus session is active');
+        }
+        const now = this.now().toISOString();
+        if (active.state === 'running') {
+          active.segments[active.segments.length - 1].end = now;
+        }
+        active.state = 'ended';
+        active.endedAt = now;
+        state.history = [...(state.history || []), active].slice(-FOCUS_SESSION_CONFIG.HISTORY_LIMIT);
+        state.active = null;
+        return { text: '', session: this.summarize(active, now) };
+      });
+      const summary = ended.focus_session;
+      const actualDuration = Math.max(1, Math.round(summary.focused_minutes));
+
+      const text = `⏹️ **Focus session ended**: ${summary.title}\n\n` +
+        `• Focused: ${summary.focused_minutes} min (planned ${summary.planned_minutes})\n` +
+        `• Elapsed: ${summary.elapsed_minutes} min, paused ${summary.paused_minutes} min\n` +
+        `• Interruptions: ${summary.interruptions}\n`;
+
+      const completeLater = note => ({
+        content: [{
+          type: 'text',
+          text: `${text}\n${note} with \`complete_block\` (block_id "${summary.block_id}", actual_duration ${actualDuration}).`
+        }],
+        focus_session: summary,
+        complete_block_args: { block_id: summary.block_id, actual_duration: actualDuration }
+      });
+
+      if (options.complete === false) {
+        return completeLater('Complete it later');
+      }
+
+      // The session is already closed, so a failed completion still hands back what complete_block needs
+      let completion;
+      try {
+        completion = await this.taskCompletion.completeBlock({
+          blockId: summary.block_id,
+          outcome: options.outcome ||
+            `Focused for ${actualDuration} minutes with ${summary.interruptions} interruption(s)`,
+          learned: options.learned || '',
+          nextQuestions: options.next_questions || '',
+          energyLevel: options.energy_level ?? FOCUS_SESSION_CONFIG.DEFAULT_ENERGY_LEVEL,
+          difficultyRating: options.difficulty_rating ?? 3,
+          breakthrough: options.breakthrough || false,
+          actualDuration,
+          focusSession: {
+            id: summary.session_id,
+            elapsedMinutes: summary.elapsed_minutes,
+            pausedMinutes: summary.paused_minutes,
+            interruptions: summary.interruptions
+          }
+        });
+      } catch (error) {
+        completion = { content: [{ type: 'text', text: `Error completing block: ${error.message}` }] };
+      }
+      if (!completion.block_completed) {
+        return completeLater(`⚠️ ${completion.content?.[0]?.text || 'The block was not completed'}\nRetry`);
+      }
+
+      return {
+        ...completion,
+        content: [{ type: 'text', text: `${text}\n${completion.content?.[0]?.text || ''}` }],
+        focus_session: summary
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('endFocusSession', error, { options });
+      return {
+        content: [{ type: 'text', text: `Error ending focus session: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Timing figures for a session as of `at`
+   * @param {Object} session - Stored session
+   * @param {string} at - ISO timestamp that closes an open segment
+   * @returns {Object} Session summary with minutes rounded to a tenth
+   */
+  summarize(session, at) {
+    const end = Date.parse(session.endedAt || at);
+    const focusedMs = session.segments.reduce(
+      (sum, segment) => sum + (Date.parse(segment.end || at) - Date.parse(segment.start)),
+      0
+    );
+    const elapsedMs = end - Date.parse(session.startedAt);
+
+    return {
+      session_id: session.id,
+      block_id: session.blockId,
+      task_id: session.taskId,
+      title: session.title,
+      state: session.state,
+      started_at: session.startedAt,
+      planned_minutes: session.plannedMinutes,
+      focused_minutes: roundTenth(focusedMs / MS_PER_MINUTE),
+      elapsed_minutes: roundTenth(elapsedMs / MS_PER_MINUTE),
+      paused_minutes: roundTenth((elapsedMs - focusedMs) / MS_PER_MINUTE),
+      interruptions: session.interruptions.length,
+      interruption_reasons: session.interruptions.map(interruption => interruption.reason).filter(Boolean)
+    };
+  }
+
+  async updateState(projectId, operation, update) {
+    return await this.dataPersistence.executeInTransaction(async transaction => {
+      await this.dataPersistence.lockProject(projectId, transaction);
+      const state = (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.FOCUS_SESSIONS)) ||
+        { active: null, history: [] };
+      const { text, session } = await update(state);
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.FOCUS_SESSIONS, state, transaction);
+      return {
+        content: [{ type: 'text', text }],
+        focus_session: session
+      };
+    }, operation);
+  }
+
+  // Same lookup complete_block uses: today's schedule first, then the active path's tree
+  async resolveBlock(projectId, blockId) {
+    const today = this.now().toISOString().split('T')[0];
+    const schedule = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(today));
+    const block = (schedule?.blocks || []).find(
+      b => b.id === blockId || b.taskId === blockId || b.title === blockId
+    );
+    if (block) {
+      return block;
+    }
+
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    const activePath = config?.activePath || DEFAULT_PATHS.GENERAL;
+    const htaData = await this.dataPersistence.loadPathHTA(projectId, activePath);
+    const node = (htaData?.frontierNodes || []).find(n => n.id === blockId);
+    if (node) {
+      return { title: node.title, duration: node.duration, taskId: node.id };
+    }
+
+    throw new Error(`Block '${blockId}' not found in today's schedule or the ${activePath} tree`);
+  }
+}
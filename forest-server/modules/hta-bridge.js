@@ -8,6 +8,9 @@
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { FILE_NAMES } from './constants.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { calibrateMinutes } from '../utils/duration-calibration.js';
+import { ensureHierarchy } from '../utils/hta-hierarchy-utils.js';
 
 // PERMANENT_SCHEMA_FIX_INSTALLED: 2025-06-29T03:20:13.423Z
 // This fix is regression-proof and will survive cache clearing and restarts
@@ -32,6 +35,7 @@ class HTABridge {
     this.htaClient = null;
     this.htaTransport = null;
     this.isConnected = false;
+    this.durationCalibration = new DurationCalibration(dataPersistence);
   }
 
   /**
@@ -85,11 +89,7 @@ class HTABridge {
     // First, try to load existing HTA data from files
     let existingHTA = null;
     try {
-      if (pathName === 'general') {
-        existingHTA = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
-      } else {
-        existingHTA = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
-      }
+      existingHTA = await this.dataPersistence.loadPathHTA(projectId, pathName);
     } catch (error) {
       console.warn('Could not load existing HTA data:', error.message);
     }
@@ -163,7 +163,8 @@ class HTABridge {
       }
 
       // Convert HTA structure to the format expected by Task Intelligence
-      const convertedHTA = this.convertHTAStructureToTaskFormat(htaStructure, pathName);
+      const calibration = await this.durationCalibration.loadModel();
+      const convertedHTA = this.convertHTAStructureToTaskFormat(htaStructure, pathName, calibration);
 
       // Save the HTA data to files for future use
       await this.saveHTAData(projectId, pathName, convertedHTA);
@@ -184,11 +185,11 @@ class HTABridge {
   /**
    * Convert HTA Analysis Server output to Task Intelligence format
    */
-  convertHTAStructureToTaskFormat(htaStructure, pathName) {
+  convertHTAStructureToTaskFormat(htaStructure, pathName, calibration = null) {
     // Generate tasks from strategic branches if no tasks exist
     let frontierNodes = [];
     if (htaStructure.strategic_branches && htaStructure.strategic_branches.length > 0) {
-      frontierNodes = this.generateTasksFromBranches(htaStructure.strategic_branches, htaStructure.goal);
+      frontierNodes = this.generateTasksFromBranches(htaStructure.strategic_branches, htaStructure.goal, calibration);
     }
 
     // Create hierarchy metadata
@@ -221,10 +222,11 @@ class HTABridge {
       lastUpdated: new Date().toISOString()
     };
 
-    return converted;
+    // Tasks sit under one objective per strategic branch, beneath the goal
+    return ensureHierarchy(converted);
   }
 
-  generateTasksFromBranches(strategicBranches, goal) {
+  generateTasksFromBranches(strategicBranches, goal, calibration = null) {
     const tasks = [];
 
     strategicBranches.forEach((branch, branchIndex) => {
@@ -234,13 +236,17 @@ class HTABridge {
       for (let i = 0; i < tasksPerBranch; i++) {
         const taskId = `task_${branchIndex + 1}_${i + 1}`;
         const difficulty = Math.min(5, Math.max(1, branchIndex + 2 + i));
+        const estimatedDuration = this.calculateTaskDuration(difficulty);
+        const duration = this.calculateTaskDuration(difficulty, calibration, branch.title);
 
         tasks.push({
           id: taskId,
           title: `${branch.title}: ${this.generateTaskTitle(branch, goal, i)}`,
           description: `${branch.description} - Focus on ${this.generateTaskFocus(branch, i)}`,
           difficulty: difficulty,
-          duration: this.calculateTaskDuration(difficulty),
+          duration,
+          // Raw estimate kept so calibration keeps learning against the uncorrected plan
+          ...(duration !== estimatedDuration && { estimatedDuration }),
           type: this.determineTaskType(branch, i),
           branch: branch.title,
           completed: false,
@@ -282,10 +288,17 @@ class HTABridge {
     return types[branch.title] || 'general';
   }
 
-  calculateTaskDuration(difficulty) {
+  /**
+   * @param {number} difficulty - 1-5
+   * @param {Object|null} [calibration] - Model from DurationCalibration.loadModel
+   * @param {string|null} [branch] - Branch title, for the per-branch correction
+   * @returns {string} Duration such as "60 minutes"
+   */
+  calculateTaskDuration(difficulty, calibration = null, branch = null) {
     const baseDuration = 30; // 30 minutes base
     const difficultyMultiplier = difficulty * 15; // 15 minutes per difficulty level
-    return `${baseDuration + difficultyMultiplier} minutes`;
+    const minutes = calibrateMinutes(calibration, baseDuration + difficultyMultiplier, { branch, difficulty });
+    return `${minutes} minutes`;
   }
 
   /**
@@ -311,7 +324,7 @@ class HTABridge {
       last_updated: new Date().toISOString()
     };
 
-    return {
+    return ensureHierarchy({
       pathName: pathName,
       goal: goal,
       complexity: complexity,
@@ -337,7 +350,7 @@ class HTABridge {
       hierarchyMetadata: hierarchyMetadata,
       created: new Date().toISOString(),
       lastUpdated: new Date().toISOString()
-    };
+    });
   }
 
   generateFallbackTasks(goal, knowledgeLevel, config) {
@@ -468,11 +481,7 @@ class HTABridge {
    */
   async saveHTAData(projectId, pathName, htaData) {
     try {
-      if (pathName === 'general') {
-        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.HTA, htaData);
-      } else {
-        await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData);
-      }
+      await this.dataPersistence.savePathHTA(projectId, pathName, htaData);
     } catch (error) {
       console.warn('Could not save HTA data:', error.message);
     }
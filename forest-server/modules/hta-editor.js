@@ -0,0 +1,327 @@
+/**
+ * HTA Editor Module
+ * Manual edits to one task at a time: add_task, update_task, delete_task,
+ * move_task and reorder_branch. Field values go through the HtaNode model;
+ * references between tasks are kept consistent by utils/hta-edits. Every
+ * change is saved as an HTA revision and announced on the event bus.
+ */
+
+import { bus } from './utils/event-bus.js';
+import { DEFAULT_PATHS, FILE_NAMES } from './constants.js';
+import { HtaNode } from '../models/hta-node.js';
+import {
+  assertNoNewCycle,
+  detachNode,
+  findNode,
+  renameReferences,
+  reorderBranch,
+  resolvePrerequisites
+} from '../utils/hta-edits.js';
+import { ensureHierarchy, syncContainerCompletion } from '../utils/hta-hierarchy-utils.js';
+
+const EDITABLE_FIELDS = ['title', 'description', 'difficulty', 'priority', 'duration', 'prerequisites'];
+
+export class HtaEditor {
+  constructor(dataPersistence, projectManagement, eventBus = null) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.eventBus = eventBus || bus;
+  }
+
+  /**
+   * Add a task to a branch
+   * @param {Object} options
+   * @param {string} options.title
+   * @param {string} options.branch - Existing or new branch
+   * @param {string} [options.description]
+   * @param {number} [options.difficulty]
+   * @param {number|string} [options.duration] - Minutes or e.g. "1.5 hours"
+   * @param {number} [options.priority]
+   * @param {string[]} [options.prerequisites] - Task ids or titles
+   * @param {string|null} [options.pathName] - Learning path; the active one when omitted
+   */
+  async addTask({ title, branch, pathName = null, ...fields } = {}) {
+    try {
+      return await this.editTree(pathName, 'addTask', htaData => {
+        const nodes = htaData.frontierNodes;
+        // Placeholders satisfy the constructor; update() then checks the real values
+        const model = HtaNode.create({ title: 'New task', description: '', branch: DEFAULT_PATHS.GENERAL })
+          .update({ ...this.editableFields(fields), title: title ?? '', branch: branch ?? '' });
+        this.assertUniqueTitle(nodes, model.title);
+        model.prerequisites = resolvePrerequisites(nodes, model.prerequisites);
+
+        const task = model.toJSON();
+        htaData.frontierNodes = [...nodes, task];
+        return {
+          text: `➕ Added "${task.title}" to ${task.branch} (${task.duration}, difficulty ${task.difficulty}).`,
+          event: 'task:added',
+          task
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('addTask', error, { title, branch });
+      return {
+        content: [{ type: 'text', text: `Error adding task: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Edit a task's fields
+   * @param {Object} options
+   * @param {string} options.taskId - Node id or title
+   * @param {string|null} [options.pathName]
+   * Other options as for addTask, except branch (see moveTask)
+   */
+  async updateTask({ taskId, pathName = null, ...fields } = {}) {
+    try {
+      const changes = this.editableFields(fields);
+      if (Object.keys(changes).length === 0) {
+        throw new Error(`Nothing to change: give any of ${EDITABLE_FIELDS.join(', ')}`);
+      }
+
+      return await this.editTree(pathName, 'updateTask', htaData => {
+        const nodes = htaData.frontierNodes;
+        const node = this.requireNode(nodes, taskId);
+        const oldTitle = node.title;
+        const model = this.toModel(node).update(changes);
+        if (changes.title !== undefined && model.title !== oldTitle) {
+          this.assertUniqueTitle(nodes.filter(other => other !== node), model.title);
+        }
+        if (changes.prerequisites !== undefined) {
+          model.prerequisites = resolvePrerequisites(nodes, model.prerequisites);
+        }
+
+        const before = nodes.map(other => ({ ...other }));
+        this.applyModel(node, model, Object.keys(changes));
+        assertNoNewCycle(before, nodes);
+        const rewired = model.title !== oldTitle ? renameReferences(nodes, oldTitle, node.id) : [];
+
+        return {
+          text: `✏️ Updated "${node.title}": ${Object.keys(changes).join(', ')}.`,
+          event: 'task:updated',
+          task: node,
+          extra: { changed_fields: Object.keys(changes), updated_dependents: rewired }
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('updateTask', error, { taskId });
+      return {
+        content: [{ type: 'text', text: `Error updating task: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Delete a task; tasks that depended on it inherit its prerequisites
+   * @param {Object} options
+   * @param {string} options.taskId - Node id or title
+   * @param {string|null} [options.pathName]
+   */
+  async deleteTask({ taskId, pathName = null } = {}) {
+    try {
+      return await this.editTree(pathName, 'deleteTask', htaData => {
+        const node = this.requireNode(htaData.frontierNodes, taskId);
+        htaData.frontierNodes = htaData.frontierNodes.filter(other => other !== node);
+        if (Array.isArray(htaData.completedNodes)) {
+          htaData.completedNodes = htaData.completedNodes.filter(other => other?.id !== node.id);
+        }
+        const rewired = detachNode(htaData.frontierNodes, node);
+
+        let text = `🗑️ Deleted "${node.title}" from ${node.branch}.`;
+        if (rewired.length > 0) {
+          text += ` ${rewired.length} dependent task(s) now wait on its prerequisites instead.`;
+        }
+        return { text, event: 'task:deleted', task: node, extra: { updated_dependents: rewired } };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('deleteTask', error, { taskId });
+      return {
+        content: [{ type: 'text', text: `Error deleting task: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Move a task to another branch of the same tree
+   * @param {Object} options
+   * @param {string} options.taskId - Node id or title
+   * @param {string} options.branch - Target branch (created when new)
+   * @param {string|null} [options.pathName]
+   */
+  async moveTask({ taskId, branch, pathName = null } = {}) {
+    try {
+      return await this.editTree(pathName, 'moveTask', htaData => {
+        const node = this.requireNode(htaData.frontierNodes, taskId);
+        const from = node.branch;
+        const model = this.toModel(node).update({ branch: branch ?? '' });
+        if (model.branch === from) {
+          throw new Error(`Task '${node.title}' is already in branch '${from}'`);
+        }
+        // Let the hierarchy file it under the new branch's objective
+        model.parentId = null;
+        this.applyModel(node, model, ['branch', 'parentId']);
+
+        return {
+          text: `📦 Moved "${node.title}" from ${from} to ${node.branch}.`,
+          event: 'task:moved',
+          task: node,
+          extra: { from_branch: from }
+        };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('moveTask', error, { taskId, branch });
+      return {
+        content: [{ type: 'text', text: `Error moving task: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Reorder the tasks of one branch
+   * @param {Object} options
+   * @param {string} options.branch
+   * @param {string[]} options.taskIds - Ids or titles, first = do first; unlisted tasks follow
+   * @param {string|null} [options.pathName]
+   */
+  async reorderBranch({ branch, taskIds, pathName = null } = {}) {
+    try {
+      if (!Array.isArray(taskIds) || taskIds.length === 0) {
+        throw new Error('task_ids must list the branch\'s tasks in the new order');
+      }
+
+      return await this.editTree(pathName, 'reorderBranch', htaData => {
+        const { nodes, order, warnings } = reorderBranch(htaData.frontierNodes, branch, taskIds);
+        htaData.frontierNodes = nodes;
+
+        const titles = order.map(id => findNode(nodes, id).title);
+        let text = `🔀 New order for ${branch}:\n${titles.map((title, index) => `${index + 1}. ${title}`).join('\n')}`;
+        if (warnings.length > 0) {
+          text += `\n\n⚠️ ${warnings.join('\n⚠️ ')}`;
+        }
+        return { text, event: 'branch:reordered', extra: { branch, order, warnings } };
+      });
+    } catch (error) {
+      await this.dataPersistence.logError('reorderBranch', error, { branch });
+      return {
+        content: [{ type: 'text', text: `Error reordering branch: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Load the tree, apply one edit, save it and announce the change
+   * @param {string|null} pathName
+   * @param {string} operation - Transaction name
+   * @param {Function} edit - (htaData) => {text, event, task?, extra?}; may throw
+   */
+  async editTree(pathName, operation, edit) {
+    const projectId = await this.projectManagement.requireActiveProject();
+
+    const { path, change } = await this.dataPersistence.executeInTransaction(async transaction => {
+      await this.dataPersistence.lockProject(projectId, transaction);
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const path = pathName || config?.activePath || DEFAULT_PATHS.GENERAL;
+      const htaData = (await this.dataPersistence.loadPathHTA(projectId, path)) || { frontierNodes: [], completedNodes: [] };
+      htaData.frontierNodes = htaData.frontierNodes || [];
+
+      const change = edit(htaData);
+      this.refreshStructure(htaData);
+      await this.dataPersistence.savePathHTA(projectId, path, htaData, transaction);
+      return { path, change };
+    }, operation);
+
+    const task = change.task ? { task: this.summarizeTask(change.task) } : {};
+    this.eventBus.emit(change.event, { projectId, pathName: path, ...task, ...change.extra }, 'HtaEditor');
+
+    return {
+      content: [{ type: 'text', text: change.text }],
+      project_id: projectId,
+      path_name: path,
+      ...task,
+      ...change.extra
+    };
+  }
+
+  /**
+   * Keep branch list, hierarchy and counts in step with the frontier
+   */
+  refreshStructure(htaData) {
+    const branches = [...new Set(htaData.frontierNodes.map(node => node.branch).filter(Boolean))];
+    if (Array.isArray(htaData.strategicBranches)) {
+      for (const branch of branches) {
+        if (!htaData.strategicBranches.some(known => [known.id, known.title, known.name].includes(branch))) {
+          htaData.strategicBranches.push({
+            id: branch,
+            title: branch.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+            order: htaData.strategicBranches.length
+          });
+        }
+      }
+    }
+
+    // Adding work to a finished objective reopens it; deleting its last open task completes it
+    syncContainerCompletion(ensureHierarchy(htaData));
+
+    htaData.hierarchyMetadata = {
+      ...htaData.hierarchyMetadata,
+      total_tasks: htaData.frontierNodes.length,
+      total_branches: branches.length,
+      last_modified: new Date().toISOString()
+    };
+  }
+
+  requireNode(nodes, taskId) {
+    if (!taskId) {
+      throw new Error('task_id is required');
+    }
+    const node = findNode(nodes, taskId);
+    if (!node) {
+      throw new Error(`Task '${taskId}' not found`);
+    }
+    return node;
+  }
+
+  assertUniqueTitle(nodes, title) {
+    const wanted = title.toLowerCase();
+    const clash = nodes.find(node => String(node.title || '').toLowerCase() === wanted);
+    if (clash) {
+      throw new Error(`A task titled '${clash.title}' already exists (${clash.id})`);
+    }
+  }
+
+  editableFields(fields) {
+    return Object.fromEntries(EDITABLE_FIELDS.filter(field => fields[field] !== undefined && fields[field] !== null)
+      .map(field => [field, fields[field]]));
+  }
+
+  toModel(node) {
+    return HtaNode.fromData({
+      ...node,
+      title: node.title || node.id,
+      branch: node.branch || DEFAULT_PATHS.GENERAL
+    });
+  }
+
+  /**
+   * Copy edited fields from the model back onto the stored node
+   */
+  applyModel(node, model, fields) {
+    for (const field of fields) {
+      node[field] = model[field];
+    }
+    node.updatedAt = model.updatedAt;
+  }
+
+  summarizeTask(node) {
+    return {
+      id: node.id,
+      title: node.title,
+      branch: node.branch,
+      difficulty: node.difficulty,
+      duration: node.duration,
+      priority: node.priority,
+      prerequisites: node.prerequisites || []
+    };
+  }
+}
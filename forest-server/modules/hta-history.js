@@ -0,0 +1,181 @@
+/**
+ * HTA History Module
+ * Undo/redo over the revisions DataPersistence records on every hta.json
+ * save. Revisions form a linear stack per path; undo and redo move its head
+ * and rewrite the tree without recording a new revision, so redo stays
+ * possible until the next real change.
+ */
+
+import { DEFAULT_PATHS, FILE_NAMES, HTA_HISTORY } from './constants.js';
+import { applyHTAPatch } from '../utils/hta-revisions.js';
+
+export class HtaHistory {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * Revisions of a path's tree, newest first
+   * @param {string|null} pathName - Path (defaults to the project's active path)
+   * @param {number} limit - Maximum revisions to list
+   */
+  async listRevisions(pathName = null, limit = HTA_HISTORY.DEFAULT_LIST_LIMIT) {
+    try {
+      const { projectId, path } = await this.resolvePath(pathName);
+      const log = await this.dataPersistence.loadHTARevisions(projectId, this.storagePathName(path));
+      const bounds = this.getBounds(log);
+      const revisions = log.revisions.slice(-limit).reverse().map(revision => ({
+        id: revision.id,
+        tool: revision.tool,
+        created_at: revision.createdAt,
+        summary: revision.summary,
+        current: revision.id === log.head
+      }));
+
+      let text = `🕘 **HTA Revisions** — ${projectId} / ${path}\n\n`;
+      if (revisions.length === 0) {
+        text += 'No revisions recorded yet. Every change to the tree is recorded from now on.';
+      } else {
+        for (const revision of revisions) {
+          const { added, removed, changed, fields } = revision.summary;
+          const marker = revision.current ? '➡️' : '  ';
+          text += `${marker} #${revision.id} ${revision.tool} — ${revision.created_at}` +
+            ` (+${added} −${removed} ~${changed}${fields.length ? `; ${fields.join(', ')}` : ''})\n`;
+        }
+        if (log.head < bounds.min + 1) {
+          text += '\n⏪ Every listed revision is undone.';
+        }
+        text += `\n\nUndo with \`undo_hta_change\`${log.head < bounds.max ? ', redo with `redo_hta_change`' : ''}.`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        project_id: projectId,
+        path_name: path,
+        head: log.head,
+        can_undo: log.head > bounds.min,
+        can_redo: log.head < bounds.max,
+        revisions
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('listHTARevisions', error, { pathName, limit });
+      return {
+        content: [{ type: 'text', text: `Error listing HTA revisions: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Undo the latest changes, or restore the tree as of a specific revision
+   * @param {string|null} pathName - Path (defaults to the project's active path)
+   * @param {number} steps - Revisions to undo
+   * @param {number|null} revisionId - Restore the state right after this revision instead
+   */
+  async undo(pathName = null, steps = 1, revisionId = null) {
+    try {
+      return await this.moveHead(pathName, log => (revisionId !== null ? revisionId : log.head - steps), 'undo');
+    } catch (error) {
+      await this.dataPersistence.logError('undoHTAChange', error, { pathName, steps, revisionId });
+      return {
+        content: [{ type: 'text', text: `Error undoing HTA change: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Re-apply undone changes
+   * @param {string|null} pathName - Path (defaults to the project's active path)
+   * @param {number} steps - Revisions to redo
+   */
+  async redo(pathName = null, steps = 1) {
+    try {
+      return await this.moveHead(pathName, log => log.head + steps, 'redo');
+    } catch (error) {
+      await this.dataPersistence.logError('redoHTAChange', error, { pathName, steps });
+      return {
+        content: [{ type: 'text', text: `Error redoing HTA change: ${error.message}` }]
+      };
+    }
+  }
+
+  async moveHead(pathName, pickTarget, action) {
+    const { projectId, path } = await this.resolvePath(pathName);
+    const storagePath = this.storagePathName(path);
+
+    return await this.dataPersistence.executeInTransaction(async transaction => {
+      await this.dataPersistence.lockProject(projectId, transaction);
+      const log = await this.dataPersistence.loadHTARevisions(projectId, storagePath);
+      const bounds = this.getBounds(log);
+      const target = pickTarget(log);
+
+      if (!Number.isInteger(target) || target < bounds.min || target > bounds.max) {
+        throw new Error(
+          log.revisions.length === 0
+            ? `No HTA revisions recorded for path '${path}'`
+            : `Cannot ${action} to revision ${target}: available range is ${bounds.min}-${bounds.max} (current ${log.head})`
+        );
+      }
+
+      const byId = new Map(log.revisions.map(revision => [revision.id, revision]));
+      let tree = (await this.dataPersistence.loadPathHTA(projectId, path)) || {};
+      const applied = [];
+      let head = log.head;
+      while (head > target) {
+        tree = applyHTAPatch(tree, byId.get(head).patch, 'reverse');
+        applied.push(byId.get(head));
+        head--;
+      }
+      while (head < target) {
+        head++;
+        tree = applyHTAPatch(tree, byId.get(head).patch, 'forward');
+        applied.push(byId.get(head));
+      }
+
+      if (applied.length > 0) {
+        await this.dataPersistence.savePathHTA(projectId, path, tree, transaction, { recordRevision: false });
+        await this.dataPersistence.saveHTARevisions(projectId, storagePath, { ...log, head }, transaction);
+      }
+
+      const undoing = target < log.head;
+      const text = applied.length === 0
+        ? `ℹ️ The ${path} tree is already at revision ${head}.`
+        : `${undoing ? '↩️ **Undid' : '↪️ **Re-applied'} ${applied.length} HTA change(s)** on ${path}\n\n` +
+          applied.map(revision => `• #${revision.id} ${revision.tool} (${revision.createdAt})`).join('\n') +
+          `\n\nNow at revision ${head}; ${(tree.frontierNodes || []).length} tasks in the tree.`;
+
+      return {
+        content: [{ type: 'text', text }],
+        project_id: projectId,
+        path_name: path,
+        head,
+        reverted_revisions: undoing ? applied.map(revision => revision.id) : [],
+        reapplied_revisions: undoing ? [] : applied.map(revision => revision.id),
+        can_undo: head > bounds.min,
+        can_redo: head < bounds.max
+      };
+    }, `${action}HTAChange`);
+  }
+
+  // Revisions can be undone back to the state before the oldest retained one
+  getBounds(log) {
+    if (log.revisions.length === 0) {
+      return { min: log.head, max: log.head };
+    }
+    return { min: log.revisions[0].id - 1, max: log.revisions[log.revisions.length - 1].id };
+  }
+
+  async resolvePath(pathName) {
+    const projectId = await this.projectManagement.requireActiveProject();
+    if (pathName) {
+      return { projectId, path: pathName };
+    }
+    const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    return { projectId, path: config?.activePath || DEFAULT_PATHS.GENERAL };
+  }
+
+  // The general path's tree is stored at project level
+  storagePathName(path) {
+    return path === DEFAULT_PATHS.GENERAL ? null : path;
+  }
+}
@@ -3,7 +3,11 @@
  * Handles HTA tree status reporting and metadata
  */
 
-import { calculateProgress, getReadyNodes } from '../utils/hta-metrics.js';
+import { calculateProgress, getReadyNodes, parseDurationMinutes } from '../utils/hta-metrics.js';
+import { ensureHierarchy, renderHierarchy, rollUpProgress } from '../utils/hta-hierarchy-utils.js';
+import { exportHTAGraph } from '../utils/hta-graph.js';
+import { HTA_GRAPH_CONFIG } from './constants.js';
+import { FileSystem } from './utils/file-system.js';
 
 /**
  * @typedef {Object} Progress
@@ -48,7 +52,7 @@ export class HtaStatus {
       }
 
       const activePath = config.activePath || 'general';
-      const htaData = await this.loadPathHTA(projectId, activePath);
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, activePath);
 
       if (!htaData) {
         return {
@@ -61,6 +65,10 @@ export class HtaStatus {
         };
       }
 
+      // Trees built before the hierarchy existed get objectives per branch (not saved)
+      ensureHierarchy(htaData);
+      const rollUp = rollUpProgress([...htaData.hierarchyNodes, ...htaData.frontierNodes]);
+
       // --- Orphaned task detection logic (same as generateStatusReport) ---
       const branches = htaData.strategicBranches || [];
       const nodes = htaData.frontierNodes || [];
@@ -82,6 +90,14 @@ export class HtaStatus {
           strategic_branches: branches,
           frontierNodes: nodes,
           progress: calculateProgress(htaData),
+          hierarchy: htaData.hierarchyNodes.map(node => ({
+            id: node.id,
+            title: node.title,
+            level: node.level,
+            parent_id: node.parentId,
+            completed: Boolean(node.completed),
+            progress: rollUp.get(node.id),
+          })),
           last_updated: htaData.lastUpdated,
           orphaned_tasks: orphaned,
           bug_present,
@@ -101,20 +117,69 @@ export class HtaStatus {
   }
 
   /**
-   * @param {string} projectId
-   * @param {string} pathName
+   * Render a path's tree as a Mermaid flowchart, Graphviz DOT graph or OPML outline
+   * @param {string} format - One of HTA_GRAPH_CONFIG.FORMATS
+   * @param {string|null} pathName - Defaults to the active path
+   * @param {string|null} outputPath - Optional file to write the graph to
    * @returns {Promise<Object>}
    */
-  async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
+  async exportHTAGraph(format = HTA_GRAPH_CONFIG.DEFAULT_FORMAT, pathName = null, outputPath = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
+      const targetPath = pathName || config?.activePath || 'general';
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, targetPath);
+
+      if (!htaData) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No HTA tree found for "${targetPath}" path. Use \`build_hta_tree\` first.`,
+            },
+          ],
+        };
+      }
+
+      const { output, nodeCount, dependencyCount, statusCounts } = exportHTAGraph(htaData, format);
+      if (outputPath) {
+        await FileSystem.writeFile(outputPath, output);
+      }
+
+      const counts = Object.entries(statusCounts).map(([status, count]) => `${count} ${status}`).join(', ');
+      const fence = format === 'opml' ? 'xml' : format;
+      const savedNote = outputPath ? `\n\n💾 Saved to ${outputPath}` : '';
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `🗺️ **HTA Graph Export** (${format}) – ${targetPath} path, ${nodeCount} nodes, ${dependencyCount} prerequisite link(s)\n` +
+              `**Tasks**: ${counts || 'none'}${savedNote}\n\n\`\`\`${fence}\n${output}\`\`\``,
+          },
+        ],
+        graph: output,
+        format,
+        path_name: targetPath,
+        node_count: nodeCount,
+        dependency_count: dependencyCount,
+        status_counts: statusCounts,
+        output_path: outputPath,
+      };
+    } catch (/** @type {any} */ error) {
+      await this.dataPersistence.logError('exportHTAGraph', error, { format, pathName });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error exporting HTA graph: ${error.message}`,
+          },
+        ],
+      };
     }
   }
 
   /**
-   * @param {any} htaData
+   * @param {any} htaData - Tree after ensureHierarchy
    * @param {string} pathName
    * @returns {string}
    */
@@ -129,19 +194,8 @@ export class HtaStatus {
     report += `**Progress**: ${progress.percentage}% (${progress.completed}/${progress.total} tasks)\n`;
     report += `**Learning Style**: ${(htaData).learningStyle || 'mixed'}\n\n`;
 
-    // Strategic Branches Status
-    report += `**Strategic Branches** (${branches.length}):\n`;
-    for (const branch of branches) {
-      const branchNodes = nodes.filter((n) => (n).branch === branch.title);
-      const completedBranchNodes = branchNodes.filter((n) => (n).completed);
-      const branchProgress =
-        branchNodes.length > 0
-          ? Math.round((completedBranchNodes.length / branchNodes.length) * 100)
-          : 0;
-
-      const status = branch.completed ? '[DONE]' : branchProgress > 0 ? '[ACTIVE]' : '[PENDING]';
-      report += `${status} **${branch.title}** - ${branchProgress}% (${completedBranchNodes.length}/${branchNodes.length})\n`;
-    }
+    // Goal → objective → subgoal → task tree with roll-up percentages
+    report += `**Hierarchy**:\n${renderHierarchy(htaData)}\n`;
 
     // Orphaned Tasks Warning
     const branchTitles = branches.map(b => b.title);
@@ -217,9 +271,14 @@ export class HtaStatus {
     return byDifficulty;
   }
 
+  /**
+   * Completions over the last `days` days, in tasks and in minutes of work
+   * (actual duration when recorded, otherwise the planned duration)
+   * @param {any} htaData
+   * @param {number} days
+   * @returns {Object}
+   */
   getCompletionVelocity(htaData, days = 7) {
-    // This would analyze completion timestamps to calculate velocity
-    // For now, return placeholder data
     const nodes = htaData.frontierNodes || [];
     const recentCompletions = nodes.filter(
       n =>
@@ -227,10 +286,16 @@ export class HtaStatus {
         n.completedAt &&
         new Date(n.completedAt) > new Date(Date.now() - days * 24 * 60 * 60 * 1000)
     );
+    const minutesInPeriod = recentCompletions.reduce(
+      (sum, n) => sum + parseDurationMinutes(n.actualDuration ?? n.duration),
+      0
+    );
 
     return {
       completionsInPeriod: recentCompletions.length,
       averagePerDay: recentCompletions.length / days,
+      minutesInPeriod,
+      averageMinutesPerDay: minutesInPeriod / days,
       estimatedDaysToComplete:
         nodes.filter(n => !n.completed).length / Math.max(recentCompletions.length / days, 0.1),
     };
@@ -0,0 +1,298 @@
+/**
+ * HTA Templates Module
+ * A library of reusable HTA trees. save_hta_template turns any path's tree
+ * into a parameterised template under <dataDir>/templates; starter templates
+ * ship in forest-server/templates. create_project_from_template creates a
+ * project and seeds its tree from one, validating the template and the
+ * resulting tree first.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_PATHS, FILE_NAMES, TEMPLATE_CONFIG } from './constants.js';
+import { FileSystem } from './utils/file-system.js';
+import { ensureHierarchy } from '../utils/hta-hierarchy-utils.js';
+import { validateHTAData } from '../utils/hta-metrics.js';
+import { buildTemplate, instantiateTemplate, validateTemplate } from '../utils/hta-template.js';
+
+const BUNDLED_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../templates');
+const SAFE_TEMPLATE_ID = /^[A-Za-z0-9_][A-Za-z0-9_-]*$/;
+
+export class HtaTemplates {
+  constructor(dataPersistence, projectManagement, bundledDir = BUNDLED_DIR) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.bundledDir = bundledDir;
+  }
+
+  get savedDir() {
+    return FileSystem.join(this.dataPersistence.dataDir, TEMPLATE_CONFIG.DIR);
+  }
+
+  /**
+   * Save a path's HTA tree as a template
+   * @param {Object} options
+   * @param {string} options.templateId - Id for the new template
+   * @param {string|null} [options.name] - Display name, defaults to the id
+   * @param {string} [options.description]
+   * @param {string|null} [options.pathName] - Source path; the active one when omitted
+   * @param {boolean} [options.overwrite] - Replace a saved template with the same id
+   */
+  async saveTemplate({ templateId, name = null, description = '', pathName = null, overwrite = false } = {}) {
+    try {
+      if (!SAFE_TEMPLATE_ID.test(templateId || '')) {
+        throw new Error(`Invalid template id '${templateId}': use letters, numbers, '-' and '_'`);
+      }
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const sourcePath = pathName || config?.activePath || DEFAULT_PATHS.GENERAL;
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, sourcePath);
+      if (!htaData) {
+        throw new Error(`No HTA tree found for "${sourcePath}" path. Use \`build_hta_tree\` first.`);
+      }
+
+      if (await FileSystem.exists(this.templateFile(this.bundledDir, templateId))) {
+        throw new Error(`'${templateId}' is a bundled template; choose another id`);
+      }
+      const target = this.templateFile(this.savedDir, templateId);
+      if (!overwrite && await FileSystem.exists(target)) {
+        throw new Error(`Template '${templateId}' already exists. Pass overwrite to replace it.`);
+      }
+
+      const pathConfig = (config?.learning_paths || []).find(p => p.path_name === sourcePath);
+      const template = buildTemplate(htaData, {
+        id: templateId,
+        name: name || templateId,
+        description,
+        source: {
+          goal: htaData.goal || config?.goal,
+          interests: config?.specific_interests || [],
+          weeklyHours: pathConfig?.weekly_hours_budget ?? config?.weekly_hours_budget ?? null
+        }
+      });
+      const validation = validateTemplate(template);
+      if (!validation.valid) {
+        throw new Error(`Template failed validation:\n- ${validation.errors.join('\n- ')}`);
+      }
+
+      await FileSystem.ensureDir(this.savedDir);
+      await FileSystem.writeJSON(target, template);
+
+      return {
+        content: [{
+          type: 'text',
+          text: `📐 **Template Saved**: ${template.name} (${templateId})\n\n` +
+            `**From**: ${projectId} / ${sourcePath}\n` +
+            `**Tasks**: ${template.tree.frontierNodes.length}\n` +
+            `**Parameters**: ${template.parameters.map(p => `{{${p.name}}}`).join(', ')}\n\n` +
+            `Start a project from it with \`create_project_from_template\`.`
+        }],
+        template_id: templateId,
+        template_path: target,
+        task_count: template.tree.frontierNodes.length,
+        warnings: validation.warnings
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('saveTemplate', error, { templateId, pathName });
+      return {
+        content: [{ type: 'text', text: `Error saving template: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * List bundled and saved templates
+   */
+  async listTemplates() {
+    try {
+      const { templates, skipped } = await this.loadAll();
+
+      const lines = templates.map(({ template, source }) =>
+        `• **${template.name}** (\`${template.id}\`, ${source}) – ${template.tree.frontierNodes.length} tasks` +
+        (template.description ? `\n  ${template.description}` : '')
+      );
+      let text = templates.length === 0
+        ? 'ℹ️ No templates available.'
+        : `**HTA Templates** (${templates.length}):\n${lines.join('\n')}`;
+      if (skipped.length > 0) {
+        text += `\n\n⚠️ Skipped invalid template(s): ${skipped.map(s => `${s.file} (${s.error})`).join('; ')}`;
+      }
+
+      return {
+        content: [{ type: 'text', text }],
+        templates: templates.map(({ template, source }) => ({
+          id: template.id,
+          name: template.name,
+          description: template.description || '',
+          source,
+          task_count: template.tree.frontierNodes.length,
+          parameters: template.parameters
+        })),
+        skipped
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('listTemplates', error);
+      return {
+        content: [{ type: 'text', text: `Error listing templates: ${error.message}` }],
+        templates: []
+      };
+    }
+  }
+
+  /**
+   * Create a project whose HTA tree comes from a template
+   * @param {Object} options
+   * @param {string} options.templateId
+   * @param {string} options.projectId
+   * @param {string} options.goal - Fills {{goal}}
+   * @param {string[]} [options.specificInterests] - Fills {{interests}}
+   * @param {number|null} [options.weeklyHoursBudget] - Fills {{weekly_hours}}; the template default when omitted
+   * @param {Object} [options.lifeStructurePreferences]
+   * @param {string} [options.context]
+   */
+  async createProjectFromTemplate({
+    templateId,
+    projectId,
+    goal,
+    specificInterests = [],
+    weeklyHoursBudget = null,
+    lifeStructurePreferences = {},
+    context = ''
+  } = {}) {
+    try {
+      if (!templateId || !projectId || !goal) {
+        throw new Error('template_id, project_id and goal are required');
+      }
+      if (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG)) {
+        throw new Error(`Project '${projectId}' already exists`);
+      }
+
+      const { template, source } = await this.loadTemplate(templateId);
+      const validation = validateTemplate(template);
+      if (!validation.valid) {
+        throw new Error(`Template '${templateId}' failed validation:\n- ${validation.errors.join('\n- ')}`);
+      }
+
+      const weeklyDefault = template.parameters.find(p => p.name === 'weekly_hours')?.default;
+      const weeklyHours = weeklyHoursBudget ?? weeklyDefault ?? null;
+      const tree = instantiateTemplate(template, {
+        goal,
+        interests: specificInterests.length > 0 ? specificInterests.join(', ') : undefined,
+        weekly_hours: weeklyHours
+      });
+      const treeValidation = validateHTAData(tree);
+      if (!treeValidation.valid) {
+        throw new Error(`Template '${templateId}' produced an invalid tree:\n- ${treeValidation.issues.join('\n- ')}`);
+      }
+
+      const created = await this.projectManagement.createProject({
+        project_id: projectId,
+        goal,
+        specific_interests: specificInterests,
+        context,
+        life_structure_preferences: lifeStructurePreferences,
+        weekly_hours_budget: weeklyHours
+      });
+      if (!created.success) {
+        return created;
+      }
+
+      const pathName = created.project_created.activePath;
+      const now = new Date().toISOString();
+      const htaData = ensureHierarchy({
+        ...tree,
+        projectId,
+        pathName,
+        created: now,
+        goal,
+        template: { id: template.id, name: template.name, source },
+        hierarchyMetadata: {
+          total_tasks: tree.frontierNodes.length,
+          total_branches: (tree.strategicBranches || []).length,
+          created_from_template: template.id,
+          last_modified: now
+        }
+      });
+
+      await this.dataPersistence.executeInTransaction(async transaction => {
+        await this.dataPersistence.lockProject(projectId, transaction);
+        await this.dataPersistence.savePathHTA(projectId, pathName, htaData, transaction);
+      }, 'createProjectFromTemplate');
+
+      return {
+        success: true,
+        content: [{
+          type: 'text',
+          text: `🌲 **Project Created from Template**: ${projectId}\n\n` +
+            `**Template**: ${template.name} (${source})\n` +
+            `**Goal**: ${goal}\n` +
+            `**Branches**: ${(htaData.strategicBranches || []).map(b => b.title || b.name).join(', ') || 'none'}\n` +
+            `**Tasks**: ${htaData.frontierNodes.length}\n` +
+            (weeklyHours ? `**Weekly Budget**: ${weeklyHours} hours\n` : '') +
+            (validation.warnings.length > 0 ? `\n⚠️ ${validation.warnings.join('\n⚠️ ')}\n` : '') +
+            '\nUse `get_next_task` to start.'
+        }],
+        project_id: projectId,
+        template_id: template.id,
+        project_created: created.project_created,
+        tasks_created: htaData.frontierNodes.length,
+        warnings: validation.warnings
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('createProjectFromTemplate', error, { templateId, projectId });
+      return {
+        success: false,
+        content: [{ type: 'text', text: `Error creating project from template: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Find a template by id, saved ones first
+   * @returns {Promise<{template: Object, source: 'saved'|'bundled'}>}
+   * @throws {Error} When no template has that id
+   */
+  async loadTemplate(templateId) {
+    if (!SAFE_TEMPLATE_ID.test(templateId || '')) {
+      throw new Error(`Invalid template id '${templateId}'`);
+    }
+    for (const [dir, source] of [[this.savedDir, 'saved'], [this.bundledDir, 'bundled']]) {
+      const file = this.templateFile(dir, templateId);
+      if (await FileSystem.exists(file)) {
+        return { template: await FileSystem.readJSON(file), source };
+      }
+    }
+    throw new Error(`Template '${templateId}' not found. Use \`list_hta_templates\` to see what is available.`);
+  }
+
+  /**
+   * Every valid template; unreadable or invalid files are reported, not thrown
+   */
+  async loadAll() {
+    const templates = [];
+    const skipped = [];
+    for (const [dir, source] of [[this.bundledDir, 'bundled'], [this.savedDir, 'saved']]) {
+      if (!(await FileSystem.exists(dir))) {
+        continue;
+      }
+      const files = (await FileSystem.readdir(dir)).filter(file => file.endsWith(TEMPLATE_CONFIG.FILE_EXTENSION)).sort();
+      for (const file of files) {
+        try {
+          const template = await FileSystem.readJSON(FileSystem.join(dir, file));
+          const validation = validateTemplate(template);
+          if (!validation.valid) {
+            throw new Error(validation.errors[0]);
+          }
+          templates.push({ template, source });
+        } catch (error) {
+          skipped.push({ file, source, error: error.message });
+        }
+      }
+    }
+    return { templates, skipped };
+  }
+
+  templateFile(dir, templateId) {
+    return FileSystem.join(dir, `${templateId}${TEMPLATE_CONFIG.FILE_EXTENSION}`);
+  }
+}
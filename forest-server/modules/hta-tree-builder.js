@@ -10,10 +10,12 @@
 // Supports multi-level depth based on goal complexity
 // ============================================
 
-import { FILE_NAMES, DEFAULT_PATHS, HTA_LEVELS } from './constants.js';
+import { FILE_NAMES, DEFAULT_PATHS, HTA_LEVELS, PROGRESSIVE_DEEPENING_CONFIG } from './constants.js';
 import { buildRichContext, formatConstraintsForPrompt } from './context-utils.js';
 import { FEATURE_FLAGS } from './constants.js';
 import { globalCircuitBreaker } from './utils/llm-circuit-breaker.js';
+import { ensureHierarchy } from '../utils/hta-hierarchy-utils.js';
+import { mergeHTA, summarizeHTAMerge } from '../utils/hta-merge.js';
 
 export class HtaTreeBuilder {
   constructor(dataPersistence, projectManagement, claudeInterface) {
@@ -102,9 +104,14 @@ export class HtaTreeBuilder {
 
   /**
    * Build a deep, complexity-aware HTA tree (ONLY ONCE PER PROJECT)
-   * After initial generation, use branch evolution instead
+   * After initial generation, use branch evolution instead. With `rebuild` an
+   * existing tree is regenerated and, unless `merge` is false, merged with the
+   * new one so completions, actuals and hand edits survive (utils/hta-merge).
+   * @param {Object} [options]
+   * @param {boolean} [options.rebuild=false] - Regenerate even if a tree exists
+   * @param {boolean} [options.merge=true] - Merge into the existing tree instead of replacing it
    */
-  async buildHTATree(pathName, learningStyle = 'mixed', focusAreas = [], goalOverride = null, contextOverride = '') {
+  async buildHTATree(pathName, learningStyle = 'mixed', focusAreas = [], goalOverride = null, contextOverride = '', { rebuild = false, merge = true } = {}) {
     try {
       // PHASE 1: DEFENSIVE PROGRAMMING - Comprehensive validation before requireActiveProject call
       if (!this.projectManagement) {
@@ -209,7 +216,8 @@ export class HtaTreeBuilder {
 
       // CRITICAL: Check if HTA tree already exists - only generate ONCE per project
       const existingHTA = await this.loadPathHTA(projectId, pathName || 'general');
-      if (existingHTA && existingHTA.frontierNodes && existingHTA.frontierNodes.length > 0) {
+      const hasTree = Boolean(existingHTA && existingHTA.frontierNodes && existingHTA.frontierNodes.length > 0);
+      if (hasTree && !rebuild) {
         // Tree already exists - return existing tree status
 
         // Return existing tree status instead of regenerating
@@ -217,7 +225,7 @@ export class HtaTreeBuilder {
           success: true,
           content: [{
             type: 'text',
-            text: `**HTA Tree Already Exists**\n\n**Goal**: ${existingHTA.goal}\n**Complexity**: ${existingHTA.complexity?.score || 'Unknown'}/10\n**Tasks**: ${existingHTA.frontierNodes.length} generated\n**Created**: ${existingHTA.created}\n\n**Tree is ready!** Use \`get_next_task\` to continue your journey.\n\n**Note**: HTA trees are generated only once per project. Use branch evolution to expand specific areas as you learn.`
+            text: `**HTA Tree Already Exists**\n\n**Goal**: ${existingHTA.goal}\n**Complexity**: ${existingHTA.complexity?.score || 'Unknown'}/10\n**Tasks**: ${existingHTA.frontierNodes.length} generated\n**Created**: ${existingHTA.created}\n\n**Tree is ready!** Use \`get_next_task\` to continue your journey.\n\n**Note**: HTA trees are generated only once per project. Use branch evolution to expand specific areas as you learn, or \`rebuild: true\` to regenerate the tree while keeping completed work and hand edits.`
           }],
           existing_tree: true,
           tasks_count: existingHTA.frontierNodes.length,
@@ -226,139 +234,20 @@ export class HtaTreeBuilder {
         };
       }
 
-      // ENHANCED: Analyze goal complexity with null checks
-      let complexityAnalysis;
-      complexityAnalysis = this.analyzeGoalComplexity(config.goal, config.context);
-      if (!complexityAnalysis || typeof complexityAnalysis !== 'object') {
-        throw new Error('Invalid complexity analysis result');
-      }
-      
-      // ENHANCED: Build rich context with error handling
-      let projectContext = {};
-      if (typeof buildRichContext === 'function') {
-        projectContext = buildRichContext(config) || {};
-      }
-      
-      // Generate the collaborative prompt for deep branch creation
-      const branchPrompt = this.generateDeepBranchPrompt(config, learningStyle, focusAreas, complexityAnalysis);
-      
-      // Initialize HTA structure with hierarchy support
-      const htaData = {
-        projectId,
-        pathName: pathName || 'general',
-        created: new Date().toISOString(),
-        learningStyle,
-        focusAreas,
-        goal: config.goal,
-        context: config.context || '',
-        complexity: complexityAnalysis,
-        strategicBranches: [],
-        frontierNodes: [],
-        completedNodes: [],
-        collaborative_sessions: [],
-        hierarchyMetadata: {
-          total_depth: complexityAnalysis.recommended_depth,
-          total_branches: 0,
-          total_sub_branches: 0,
-          total_tasks: 0,
-          branch_task_distribution: {}
-        },
-        generation_context: {
-          method: 'deep_hierarchical_ai',
-          timestamp: new Date().toISOString(),
-          goal: config.goal,
-          complexity_score: complexityAnalysis.score,
-          awaiting_generation: true
-        }
-      };
+      const generated = await this.generateHTAData(projectId, pathName, config, learningStyle, focusAreas);
+      const { complexityAnalysis, branchPrompt, tasks, placeholders } = generated;
+      let { htaData } = generated;
 
-      // ENHANCED: Claude interface with comprehensive null checks
-      if (this.claudeInterface && typeof this.claudeInterface.requestIntelligence === 'function') {
-        // ENHANCED: Validate prompt before sending to Claude
-        if (!branchPrompt || typeof branchPrompt !== 'string' || branchPrompt.trim().length === 0) {
-          throw new Error('Invalid branch prompt for Claude generation');
-        }
-        // Request task generation from Claude
-        const claudeResponse = await this.claudeInterface.requestIntelligence('task_generation', {
-          prompt: branchPrompt
-        });
-        // Parse the (potentially richer) response
-        const parsedData = this.parseClaudeResponse(claudeResponse) || {};
-        // Extract tasks and (optionally) a Claude-supplied complexity profile
-        let generatedTasks = [];
-        let claudeComplexityProfile = null;
-        if (Array.isArray(parsedData)) {
-          generatedTasks = parsedData;
-        } else if (parsedData && typeof parsedData === 'object') {
-          if (Array.isArray(parsedData.branch_tasks)) {
-            generatedTasks = parsedData.branch_tasks;
-          } else if (Array.isArray(parsedData.tasks)) {
-            generatedTasks = parsedData.tasks;
-          }
-          if (parsedData.complexity_profile) {
-            claudeComplexityProfile = parsedData.complexity_profile;
-          }
-        }
-        // Persist Claude's complexity profile if provided (useful for future adaptation)
-        if (claudeComplexityProfile) {
-          htaData.claude_complexity_profile = claudeComplexityProfile;
-        }
-        // QUALITY CONTROL --------------------------------------------------
-        let reject = false;
-        let shouldRejectResponseFn = null;
-        if (FEATURE_FLAGS.QUALITY_CONTROL_ENABLED) {
-          const mod = await import('./task-quality-verifier.js');
-          shouldRejectResponseFn = mod.shouldRejectResponse;
-          reject = shouldRejectResponseFn(generatedTasks, projectContext);
-          if (reject) {
-            // Claude response rejected - will fall back to skeleton
-          }
-        }
-        if (generatedTasks && generatedTasks.length > 0 && !reject) {
-          // Transform generated tasks into frontierNodes format
-          const frontierNodes = this.transformTasksToFrontierNodes(generatedTasks);
-          // Update HTA data with populated tasks
-          htaData.frontierNodes = frontierNodes;
-          htaData.hierarchyMetadata.total_tasks = frontierNodes.length;
-          htaData.generation_context.awaiting_generation = false;
-          htaData.strategicBranches = this.deriveStrategicBranches(frontierNodes);
-          // Save updated structure with tasks
-          await this.dataPersistence.savePathData(projectId, pathName || 'general', 'hta.json', htaData);
-          // Ensure the updateActivePath call is properly awaited and add error handling
-          if (this.projectManagement && typeof this.projectManagement.updateActivePath === 'function') {
-            try {
-              await this.projectManagement.updateActivePath(pathName || 'general');
-            } catch (syncErr) {
-              this.logger.warn('Failed to sync activePath', { error: syncErr.message });
-              // Don't fail the build, but log for debugging
-            }
-          }
-          // Transaction will be committed automatically by wrapper
-          return {
-            success: true,
-            content: [{
-              type: 'text',
-              text: `**HTA Tree Created with ${frontierNodes.length} Tasks!**\n\n**Your Goal**: ${config.goal}\n\n**Generated Structure**:\n- Tasks Created: ${frontierNodes.length}\n- Complexity Score: ${complexityAnalysis.score}/10\n- Ready to Start Learning!\n\n**Available Tasks**:\n${frontierNodes.slice(0, 3).map(task => `- ${task.title} (${task.difficulty}/5 difficulty)`).join('\n')}${frontierNodes.length > 3 ? `- ... and ${frontierNodes.length - 3} more tasks` : ''}\n\n**Next Steps**: Use \`get_next_task\` to start your learning journey!`
-            }],
-            generation_prompt: branchPrompt,
-            complexity_analysis: complexityAnalysis,
-            requires_branch_generation: false,
-            tasks_generated: frontierNodes.length
-          };
-        }
+      // A rebuild folds the existing tree's progress and hand edits into the new one
+      let mergeDiff = null;
+      if (hasTree && merge) {
+        ({ merged: htaData, diff: mergeDiff } = mergeHTA(existingHTA, htaData));
       }
 
-      // Fallback: Generate simple skeleton tasks if Claude isn't available or fails
-      const skeletonTasks = this.generateSkeletonTasks(complexityAnalysis, config, focusAreas, learningStyle);
-      htaData.frontierNodes = skeletonTasks;
-      htaData.hierarchyMetadata.total_tasks = skeletonTasks.length;
-      htaData.generation_context.awaiting_generation = false;
-      htaData.strategicBranches = this.deriveStrategicBranches(skeletonTasks);
-
-      // Save structure with skeleton tasks
-      await this.dataPersistence.savePathData(projectId, pathName || 'general', 'hta.json', htaData);
+      // Save the generated structure
+      await this.dataPersistence.savePathHTA(projectId, pathName || 'general', htaData);
 
-      // Ensure activePath is synchronised for skeleton generation as well
+      // Ensure the updateActivePath call is properly awaited and add error handling
       if (this.projectManagement && typeof this.projectManagement.updateActivePath === 'function') {
         try {
           await this.projectManagement.updateActivePath(pathName || 'general');
@@ -370,16 +259,27 @@ export class HtaTreeBuilder {
 
       // Transaction will be committed automatically by wrapper
 
+      let text;
+      if (mergeDiff) {
+        text = `**HTA Tree Rebuilt**\n\n**Your Goal**: ${config.goal}\n**Tasks**: ${htaData.frontierNodes.length}\n\n${summarizeHTAMerge(mergeDiff)}\n\n**Next Steps**: Use \`get_next_task\` to continue your learning journey!`;
+      } else if (generated.source === 'claude') {
+        text = `**HTA Tree Created with ${tasks.length} Tasks!**\n\n**Your Goal**: ${config.goal}\n\n**Generated Structure**:\n- Tasks Created: ${tasks.length}\n- Complexity Score: ${complexityAnalysis.score}/10\n- Ready to Start Learning!\n\n**Available Tasks**:\n${tasks.slice(0, 3).map(task => `- ${task.title} (${task.difficulty}/5 difficulty)`).join('\n')}${tasks.length > 3 ? `- ... and ${tasks.length - 3} more tasks` : ''}\n\n**Next Steps**: Use \`get_next_task\` to start your learning journey!`;
+      } else {
+        text = `**HTA Tree Created with ${tasks.length} Tasks!**\n\n**Your Goal**: ${config.goal}\n\n**Generated Structure**:\n- Tasks Created: ${tasks.length}\n${placeholders.length > 0 ? `- Branches Planned Later: ${placeholders.map(p => p.title).join(', ')}\n` : ''}- Complexity Score: ${complexityAnalysis.score}/10\n- Ready to Start Learning!\n\n**Available Tasks**:\n${tasks.slice(0, 3).map(task => `- ${task.title} (${task.difficulty}/5 difficulty)`).join('\n')}\n${tasks.length > 3 ? `- ... and ${tasks.length - 3} more tasks` : ''}\n\n**Next Steps**: Use \`get_next_task\` to start your learning journey!`;
+      }
+
       return {
         success: true,
         content: [{
           type: 'text',
-          text: `**HTA Tree Created with ${skeletonTasks.length} Tasks!**\n\n**Your Goal**: ${config.goal}\n\n**Generated Structure**:\n- Tasks Created: ${skeletonTasks.length}\n- Complexity Score: ${complexityAnalysis.score}/10\n- Ready to Start Learning!\n\n**Available Tasks**:\n${skeletonTasks.slice(0, 3).map(task => `- ${task.title} (${task.difficulty}/5 difficulty)`).join('\n')}\n${skeletonTasks.length > 3 ? `- ... and ${skeletonTasks.length - 3} more tasks` : ''}\n\n**Next Steps**: Use \`get_next_task\` to start your learning journey!`
+          text
         }],
         generation_prompt: branchPrompt,
         complexity_analysis: complexityAnalysis,
         requires_branch_generation: false,
-        tasks_generated: skeletonTasks.length
+        tasks_generated: tasks.length,
+        rebuilt: hasTree,
+        merge_summary: mergeDiff
       };
     } catch (error) {
       this.logger.error('[HtaTreeBuilder] Error in buildHTATree', { error: error.message });
@@ -387,6 +287,181 @@ export class HtaTreeBuilder {
     }
   }
 
+  /**
+   * Generate a fresh tree for a path without saving it: tasks from Claude
+   * when it is connected and passes quality control, the skeleton otherwise
+   * @returns {Promise<{htaData: Object, tasks: Object[], placeholders: Object[], source: 'claude'|'skeleton', complexityAnalysis: Object, branchPrompt: string}>}
+   */
+  async generateHTAData(projectId, pathName, config, learningStyle = 'mixed', focusAreas = []) {
+    // ENHANCED: Analyze goal complexity with null checks
+    let complexityAnalysis;
+    complexityAnalysis = this.analyzeGoalComplexity(config.goal, config.context);
+    if (!complexityAnalysis || typeof complexityAnalysis !== 'object') {
+      throw new Error('Invalid complexity analysis result');
+    }
+    
+    // ENHANCED: Build rich context with error handling
+    let projectContext = {};
+    if (typeof buildRichContext === 'function') {
+      projectContext = buildRichContext(config) || {};
+    }
+    
+    // Generate the collaborative prompt for deep branch creation
+    const branchPrompt = this.generateDeepBranchPrompt(config, learningStyle, focusAreas, complexityAnalysis);
+    
+    // Initialize HTA structure with hierarchy support
+    const htaData = {
+      projectId,
+      pathName: pathName || 'general',
+      created: new Date().toISOString(),
+      learningStyle,
+      focusAreas,
+      goal: config.goal,
+      context: config.context || '',
+      complexity: complexityAnalysis,
+      strategicBranches: [],
+      frontierNodes: [],
+      completedNodes: [],
+      collaborative_sessions: [],
+      hierarchyMetadata: {
+        total_depth: complexityAnalysis.recommended_depth,
+        total_branches: 0,
+        total_sub_branches: 0,
+        total_tasks: 0,
+        branch_task_distribution: {}
+      },
+      generation_context: {
+        method: 'deep_hierarchical_ai',
+        timestamp: new Date().toISOString(),
+        goal: config.goal,
+        complexity_score: complexityAnalysis.score,
+        awaiting_generation: true
+      }
+    };
+
+    // ENHANCED: Claude interface with comprehensive null checks
+    if (this.claudeInterface && typeof this.claudeInterface.requestIntelligence === 'function') {
+      // ENHANCED: Validate prompt before sending to Claude
+      if (!branchPrompt || typeof branchPrompt !== 'string' || branchPrompt.trim().length === 0) {
+        throw new Error('Invalid branch prompt for Claude generation');
+      }
+      // Request task generation from Claude
+      const claudeResponse = await this.claudeInterface.requestIntelligence('task_generation', {
+        prompt: branchPrompt
+      });
+      // Parse the (potentially richer) response
+      const parsedData = this.parseClaudeResponse(claudeResponse) || {};
+      // Extract tasks and (optionally) a Claude-supplied complexity profile
+      let generatedTasks = [];
+      let claudeComplexityProfile = null;
+      if (Array.isArray(parsedData)) {
+        generatedTasks = parsedData;
+      } else if (parsedData && typeof parsedData === 'object') {
+        if (Array.isArray(parsedData.branch_tasks)) {
+          generatedTasks = parsedData.branch_tasks;
+        } else if (Array.isArray(parsedData.tasks)) {
+          generatedTasks = parsedData.tasks;
+        }
+        if (parsedData.complexity_profile) {
+          claudeComplexityProfile = parsedData.complexity_profile;
+        }
+      }
+      // Persist Claude's complexity profile if provided (useful for future adaptation)
+      if (claudeComplexityProfile) {
+        htaData.claude_complexity_profile = claudeComplexityProfile;
+      }
+      // QUALITY CONTROL --------------------------------------------------
+      let reject = false;
+      let shouldRejectResponseFn = null;
+      if (FEATURE_FLAGS.QUALITY_CONTROL_ENABLED) {
+        const mod = await import('./task-quality-verifier.js');
+        shouldRejectResponseFn = mod.shouldRejectResponse;
+        reject = shouldRejectResponseFn(generatedTasks, projectContext);
+        if (reject) {
+          // Claude response rejected - will fall back to skeleton
+        }
+      }
+      if (generatedTasks && generatedTasks.length > 0 && !reject) {
+        // Transform generated tasks into frontierNodes format
+        const { frontierNodes, hierarchyNodes } = this.transformTasksToHierarchy(generatedTasks);
+        // Update HTA data with populated tasks
+        htaData.frontierNodes = frontierNodes;
+        htaData.hierarchyNodes = hierarchyNodes;
+        htaData.hierarchyMetadata.total_tasks = frontierNodes.length;
+        htaData.generation_context.awaiting_generation = false;
+        htaData.strategicBranches = this.deriveStrategicBranches(frontierNodes);
+        ensureHierarchy(htaData);
+        return { htaData, tasks: frontierNodes, placeholders: [], source: 'claude', complexityAnalysis, branchPrompt };
+      }
+    }
+
+    // Fallback: Generate simple skeleton tasks if Claude isn't available or fails.
+    // Only the first branches are detailed now; the rest stay placeholders until
+    // the learner nears them (see BranchDeepening).
+    const branches = this.generateStrategicBranches(config.goal, complexityAnalysis, focusAreas);
+    const expandedCount = PROGRESSIVE_DEEPENING_CONFIG.INITIAL_EXPANDED_BRANCHES;
+    const skeletonTasks = this.generateSkeletonTasks(complexityAnalysis, config, focusAreas, learningStyle, branches.slice(0, expandedCount));
+    const placeholders = this.createPlaceholderBranches(branches.slice(expandedCount), config.goal, expandedCount);
+    htaData.frontierNodes = skeletonTasks;
+    htaData.hierarchyMetadata.total_tasks = skeletonTasks.length;
+    htaData.generation_context.awaiting_generation = false;
+    htaData.strategicBranches = this.deriveStrategicBranches([...skeletonTasks, ...placeholders]);
+    ensureHierarchy(htaData);
+    htaData.hierarchyNodes.push(...placeholders);
+    ensureHierarchy(htaData);
+
+    return { htaData, tasks: skeletonTasks, placeholders, source: 'skeleton', complexityAnalysis, branchPrompt };
+  }
+
+  /**
+   * Show what rebuilding a path's tree would change, without saving anything
+   * @param {string|null} [pathName] - Defaults to the general path, as build_hta_tree does
+   */
+  async previewRebuild(pathName = null, learningStyle = 'mixed', focusAreas = []) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config?.goal) {
+        throw new Error('Project must have a valid goal defined to build HTA tree');
+      }
+      const targetPath = pathName || DEFAULT_PATHS.GENERAL;
+      const existingHTA = await this.loadPathHTA(projectId, targetPath);
+      const generated = await this.generateHTAData(projectId, targetPath, config, learningStyle, focusAreas);
+
+      if (!existingHTA?.frontierNodes?.length) {
+        return {
+          content: [{
+            type: 'text',
+            text: `ℹ️ "${targetPath}" has no tree yet; \`build_hta_tree\` would create ${generated.tasks.length} tasks.`
+          }],
+          preview: true,
+          path_name: targetPath,
+          diff: null
+        };
+      }
+
+      const { merged, diff } = mergeHTA(existingHTA, generated.htaData);
+      return {
+        content: [{
+          type: 'text',
+          text: `🔍 **Rebuild Preview** (${targetPath}) – nothing has been saved\n\n${summarizeHTAMerge(diff)}\n\n` +
+            `**Tasks after rebuild**: ${merged.frontierNodes.length}\n` +
+            (generated.source === 'claude' ? 'ℹ️ Generated tasks can differ from run to run.\n' : '') +
+            '\nRun `build_hta_tree` with `rebuild: true` to apply it.'
+        }],
+        preview: true,
+        path_name: targetPath,
+        diff,
+        task_count: merged.frontierNodes.length
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('previewRebuild', error, { pathName });
+      return {
+        content: [{ type: 'text', text: `Error previewing rebuild: ${error.message}` }]
+      };
+    }
+  }
+
   /**
    * Analyze goal complexity to determine appropriate tree depth
    */
@@ -551,21 +626,7 @@ ${travellerConstraintBlock}`;
    */
   async loadPathHTA(projectId, pathName) {
     try {
-      let htaData = null;
-      
-      if (pathName === DEFAULT_PATHS.GENERAL) {
-        // Try path-specific first, then project-level
-        const pathHTA = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
-        if (pathHTA) htaData = pathHTA;
-        
-        if (!htaData) {
-          const projectHTA = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
-          if (projectHTA) htaData = projectHTA;
-        }
-      } else {
-        const hta = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
-        if (hta) htaData = hta;
-      }
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, pathName);
       
       // Return null if no HTA exists
       if (!htaData) return null;
@@ -684,11 +745,7 @@ ${travellerConstraintBlock}`;
         throw new Error(`HTA data validation failed: ${validation.errors.join(', ')}`);
       }
       
-      if (pathName === DEFAULT_PATHS.GENERAL) {
-        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.HTA, normalizedData);
-      } else {
-        await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, normalizedData);
-      }
+      await this.dataPersistence.savePathHTA(projectId, pathName, normalizedData);
       
       this.logger.debug('[HtaTreeBuilder] HTA data saved successfully', {
         projectId,
@@ -798,19 +855,32 @@ ${travellerConstraintBlock}`;
    * @returns {any[]}
    */
   transformTasksToFrontierNodes(tasks) {
-    if (!Array.isArray(tasks)) return [];
+    return this.transformTasksToHierarchy(tasks).frontierNodes;
+  }
+
+  /**
+   * Split Claude's nested branch_name / sub_branches / tasks output into
+   * containers (objectives and subgoals) and the tasks beneath them. Tasks
+   * keep the top-level branch name so branch grouping still works; their
+   * parentId points at the branch or sub-branch they were listed under.
+   *
+   * @param {any[]} tasks
+   * @returns {{frontierNodes: any[], hierarchyNodes: any[]}}
+   */
+  transformTasksToHierarchy(tasks) {
+    if (!Array.isArray(tasks)) return { frontierNodes: [], hierarchyNodes: [] };
 
     const frontier = [];
+    const containers = [];
 
     /**
      * Recursive helper to walk nested structures produced by Claude.
-     * Handles arbitrary depth but caps at 5 to avoid runaway recursion.
      *
      * @param {any} nodeObj
      * @param {string|null} parentId
-     * @param {number} level
+     * @param {string|null} objective - Top-level branch name
      */
-    const walk = (nodeObj, parentId = null, level = HTA_LEVELS.MAIN_BRANCH) => {
+    const walk = (nodeObj, parentId = null, objective = null) => {
       if (!nodeObj) return;
 
       // ------------------------------------------------------------
@@ -818,25 +888,24 @@ ${travellerConstraintBlock}`;
       // ------------------------------------------------------------
       if (nodeObj.branch_name) {
         const branchId = `branch_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+        const branch = objective || nodeObj.branch_name;
 
-        // Preserve the branch itself so downstream modules can traverse the
-        // hierarchy and evaluate completion at the branch level.
-        frontier.push({
+        // Top-level branches are objectives, anything below them a subgoal
+        containers.push({
           id: branchId,
           title: nodeObj.branch_name,
           description: nodeObj.description || nodeObj.branch_name,
-          branch: nodeObj.branch_name,
-          parent_id: parentId,
-          level,
-          is_branch: true,
-          order: 0,
+          level: parentId ? HTA_LEVELS.SUBGOAL : HTA_LEVELS.OBJECTIVE,
+          parentId,
+          branch,
           completed: false,
+          completedAt: null,
           generated: true,
         });
 
         // Recurse into sub branches or tasks
         if (Array.isArray(nodeObj.sub_branches) && nodeObj.sub_branches.length > 0) {
-          nodeObj.sub_branches.forEach((sb, idx) => walk(sb, branchId, level + 1));
+          nodeObj.sub_branches.forEach(sb => walk(sb, branchId, branch));
         }
         if (Array.isArray(nodeObj.tasks) && nodeObj.tasks.length > 0) {
           nodeObj.tasks.forEach((t, idx) => {
@@ -847,9 +916,9 @@ ${travellerConstraintBlock}`;
               description: t.description || t.title || 'Learning task',
               difficulty: t.difficulty || 2,
               duration: t.duration || '30 minutes',
-              branch: nodeObj.branch_name,
-              parent_id: branchId,
-              level: level + 1,
+              branch,
+              parentId: branchId,
+              level: HTA_LEVELS.TASK,
               order: idx,
               prerequisites: t.prerequisites || [],
               completed: false,
@@ -868,9 +937,9 @@ ${travellerConstraintBlock}`;
         description: nodeObj.description || nodeObj.title || 'Learning task',
         difficulty: nodeObj.difficulty || 2,
         duration: nodeObj.duration || '30 minutes',
-        branch: nodeObj.branch || 'general',
-        parent_id: parentId,
-        level,
+        branch: objective || nodeObj.branch || 'general',
+        parentId,
+        level: HTA_LEVELS.TASK,
         order: 0,
         prerequisites: nodeObj.prerequisites || [],
         completed: false,
@@ -878,22 +947,23 @@ ${travellerConstraintBlock}`;
       });
     };
 
-    tasks.forEach(t => walk(t, null, HTA_LEVELS.MAIN_BRANCH));
+    tasks.forEach(t => walk(t));
 
-    return frontier;
+    return { frontierNodes: frontier, hierarchyNodes: containers };
   }
 
   /**
    * Generate skeleton tasks when Claude interface is not available
    * Creates a sprawling, complexity-appropriate task structure
+   * @param {any[]|null} [branches] - Branches to detail; all strategic branches when omitted
    */
-  generateSkeletonTasks(complexityAnalysis, config = {}, focusAreas = [], learningStyle = 'mixed') {
+  generateSkeletonTasks(complexityAnalysis, config = {}, focusAreas = [], learningStyle = 'mixed', branches = null) {
     const tasks = [];
     const goal = config.goal || 'Reach goal';
     const context = config.context || '';
     
     // Generate strategic branches based on goal analysis and complexity
-    const strategicBranches = this.generateStrategicBranches(goal, complexityAnalysis, focusAreas);
+    const strategicBranches = branches || this.generateStrategicBranches(goal, complexityAnalysis, focusAreas);
     
     // Generate tasks for each strategic branch according to complexity analysis
     strategicBranches.forEach((branch, branchIndex) => {
@@ -955,6 +1025,82 @@ ${travellerConstraintBlock}`;
     return branches.slice(0, maxBranches);
   }
 
+  /**
+   * Objective containers for branches that are not decomposed yet. Each keeps
+   * a goal statement so it can be expanded later without the original prompt.
+   * @param {any[]} branches - From generateStrategicBranches
+   * @param {string} goal
+   * @param {number} [firstIndex=0] - Position of the first branch among all branches
+   * @returns {any[]}
+   */
+  createPlaceholderBranches(branches, goal, firstIndex = 0) {
+    return branches.map((branch, idx) => ({
+      id: `objective_${branch.id}`,
+      title: branch.title || branch.name,
+      description: branch.description || '',
+      level: HTA_LEVELS.OBJECTIVE,
+      parentId: null,
+      branch: branch.title || branch.name,
+      branchIndex: firstIndex + idx,
+      placeholder: true,
+      goalStatement: `${branch.description || branch.title} in service of: ${goal}`,
+      completed: false,
+      completedAt: null,
+    }));
+  }
+
+  /**
+   * Decompose a placeholder branch into tasks, drawing on what the learner has
+   * done so far: recent `learned` notes shape the opening task and open
+   * `next_questions` become follow-up tasks.
+   * @param {any} placeholder - Objective container with a goal statement
+   * @param {any} htaData - Tree the branch belongs to
+   * @param {{learned?: Array<{topic: string, learned: string}>, questions?: string[]}} [insights]
+   * @returns {any[]} New frontier tasks under the placeholder
+   */
+  decomposeBranch(placeholder, htaData, insights = {}) {
+    const goal = htaData.goal || placeholder.goalStatement;
+    const complexityAnalysis = htaData.complexity?.score ? htaData.complexity : this.analyzeGoalComplexity(goal, htaData.context);
+    const branchId = placeholder.id.replace(/^objective_/, '');
+    const branch = {
+      id: branchId,
+      title: placeholder.branch,
+      name: placeholder.title,
+      description: placeholder.goalStatement || placeholder.description || placeholder.title,
+    };
+
+    const tasks = this.generateBranchTasks(branch, complexityAnalysis, placeholder.branchIndex ?? 0, {
+      goal,
+      context: htaData.context || '',
+      focusAreas: htaData.focusAreas || [],
+      learningStyle: htaData.learningStyle || 'mixed',
+    });
+
+    const learned = (insights.learned || []).filter(item => item.learned);
+    if (learned.length > 0 && tasks.length > 0) {
+      tasks[0].description += `. Builds on: ${learned.map(item => item.learned).join('; ')}`;
+    }
+
+    const questions = [...new Set(insights.questions || [])].slice(0, PROGRESSIVE_DEEPENING_CONFIG.MAX_QUESTION_TASKS);
+    const questionTasks = questions.map((question, idx) => ({
+      id: `${branchId}_question_${idx + 1}`,
+      title: `Explore: ${question}`,
+      description: `Open question from earlier work, approached through ${placeholder.title}`,
+      difficulty: 2,
+      duration: '30 minutes',
+      branch: placeholder.branch,
+      prerequisites: tasks.length > 0 ? [tasks[0].id] : [],
+      completed: false,
+      generated: true,
+      priority: tasks[0]?.priority ?? 0,
+      contextual: true,
+      followUpQuestion: question,
+    }));
+
+    return [...tasks.slice(0, 1), ...questionTasks, ...tasks.slice(1)]
+      .map(task => ({ ...task, parentId: placeholder.id, level: HTA_LEVELS.TASK }));
+  }
+
   /**
    * Generate tasks for a specific branch based on complexity
    */
@@ -0,0 +1,333 @@
+/**
+ * HTTP API Module
+ * Local HTTP/JSON mirror of the MCP tool surface. Every tool from
+ * McpHandlers.getToolDefinitions() is callable as POST /tools/:name with its
+ * inputSchema enforced, plus read-only project endpoints for HTA and schedules.
+ * Binds to localhost by default and requires a bearer token on every request.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import * as path from 'path';
+import Ajv from 'ajv';
+import { DEFAULT_PATHS, FILE_NAMES, HTTP_API_CONFIG, SERVER_CONFIG } from './constants.js';
+import { FileSystem } from './utils/file-system.js';
+
+const JSON_HEADERS = { 'Content-Type': 'application/json; charset=utf-8' };
+const SAFE_ID = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+class HttpError extends Error {
+  constructor(status, message, details = undefined) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export class HttpApi {
+  /**
+   * @param {Object} forestServer - Server exposing mcpHandlers, toolRouter, dataPersistence and loadPathHTA
+   * @param {Object} options
+   * @param {string} [options.host] - Interface to bind (FOREST_HTTP_HOST, default localhost)
+   * @param {number} [options.port] - Port to bind (FOREST_HTTP_PORT, default SERVER_CONFIG.DEFAULT_PORT)
+   * @param {string} [options.token] - Bearer token (FOREST_HTTP_TOKEN, otherwise read or generated in dataDir)
+   * @param {string} [options.dataDir] - Directory holding the generated token file
+   */
+  constructor(forestServer, options = {}) {
+    this.forestServer = forestServer;
+    this.host = options.host || process.env.FOREST_HTTP_HOST || SERVER_CONFIG.LOCALHOST;
+    this.port = options.port ?? (Number(process.env.FOREST_HTTP_PORT) || SERVER_CONFIG.DEFAULT_PORT);
+    this.token = options.token || process.env.FOREST_HTTP_TOKEN || null;
+    this.dataDir = options.dataDir || null;
+    this.logger = options.logger || forestServer?.logger || null;
+    this.server = null;
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.validators = new Map();
+  }
+
+  /**
+   * Start listening. Resolves with the bound address once the socket is open.
+   * @returns {Promise<{host: string, port: number, tokenFile: string|null}>}
+   */
+  async start() {
+    if (this.server) {
+      return this.getAddress();
+    }
+
+    await this.resolveToken();
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.sendError(res, error);
+      });
+    });
+    this.server.requestTimeout = SERVER_CONFIG.HTTP_TIMEOUT;
+
+    await new Promise((resolve, reject) => {
+      const onError = error => {
+        this.server = null;
+        reject(error);
+      };
+      this.server.once('error', onError);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', onError);
+        resolve();
+      });
+    });
+
+    return this.getAddress();
+  }
+
+  /**
+   * Stop accepting connections and close the server
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  getAddress() {
+    const address = this.server?.address();
+    return {
+      host: this.host,
+      port: address && typeof address === 'object' ? address.port : this.port,
+      tokenFile: this.getTokenFile()
+    };
+  }
+
+  getTokenFile() {
+    return this.dataDir ? path.join(this.dataDir, HTTP_API_CONFIG.TOKEN_FILE) : null;
+  }
+
+  /**
+   * Use the configured token, else reuse the token file, else generate one and
+   * store it owner-readable only so local clients can pick it up.
+   */
+  async resolveToken() {
+    if (this.token) {
+      return this.token;
+    }
+
+    const tokenFile = this.getTokenFile();
+    if (!tokenFile) {
+      throw new Error('HTTP API requires a token or a data directory to store one');
+    }
+
+    if (await FileSystem.exists(tokenFile)) {
+      const stored = (await FileSystem.readFile(tokenFile)).trim();
+      if (stored) {
+        this.token = stored;
+        return this.token;
+      }
+    }
+
+    this.token = crypto.randomBytes(HTTP_API_CONFIG.TOKEN_BYTES).toString('hex');
+    await FileSystem.ensureDir(this.dataDir);
+    // Created with its final mode so the token is never readable by others, even briefly
+    await fs.writeFile(tokenFile, `${this.token}\n`, { encoding: 'utf8', mode: HTTP_API_CONFIG.TOKEN_FILE_MODE });
+    return this.token;
+  }
+
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match || !this.token) {
+      return false;
+    }
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async handleRequest(req, res) {
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw new HttpError(401, 'Missing or invalid bearer token');
+    }
+
+    const url = new URL(req.url, `http://${SERVER_CONFIG.LOCALHOST}`);
+    let segments;
+    try {
+      segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      throw new HttpError(400, `Malformed URL path '${url.pathname}'`);
+    }
+
+    if (segments[0] === 'tools') {
+      if (segments.length === 1 && req.method === 'GET') {
+        return this.sendJson(res, 200, { tools: this.getToolDefinitions() });
+      }
+      if (segments.length === 2) {
+        this.requireMethod(req, 'POST');
+        const args = await this.readJsonBody(req);
+        return this.sendJson(res, 200, await this.callTool(segments[1], args));
+      }
+    }
+
+    if (segments[0] === 'projects' && segments.length >= 3) {
+      this.requireMethod(req, 'GET');
+      const projectId = segments[1];
+      if (segments[2] === 'hta' && segments.length === 3) {
+        return this.sendJson(res, 200, await this.getProjectHTA(projectId, url.searchParams.get('path')));
+      }
+      if (segments[2] === 'schedule' && segments.length === 4) {
+        return this.sendJson(res, 200, await this.getProjectSchedule(projectId, segments[3]));
+      }
+    }
+
+    throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+  }
+
+  getToolDefinitions() {
+    return this.forestServer.mcpHandlers.getToolDefinitions();
+  }
+
+  /**
+   * Validate arguments against the tool's inputSchema and dispatch through the
+   * same router the MCP transport uses.
+   * @param {string} toolName - Tool name
+   * @param {Object} args - Tool arguments
+   */
+  async callTool(toolName, args) {
+    const definition = this.getToolDefinitions().find(tool => tool.name === toolName);
+    if (!definition) {
+      throw new HttpError(404, `Unknown tool '${toolName}'`);
+    }
+
+    const errors = this.validateArgs(definition, args);
+    if (errors.length > 0) {
+      throw new HttpError(400, `Invalid arguments for '${toolName}'`, errors);
+    }
+
+    const result = await this.forestServer.toolRouter.dispatchTool(toolName, args);
+    return { tool: toolName, result };
+  }
+
+  /**
+   * @param {Object} definition - Tool definition with inputSchema
+   * @param {Object} args - Arguments to check
+   * @returns {Array<{path: string, message: string}>} Validation errors (empty when valid)
+   */
+  validateArgs(definition, args) {
+    if (!this.validators.has(definition.name)) {
+      this.validators.set(definition.name, this.ajv.compile(definition.inputSchema || { type: 'object' }));
+    }
+    const validate = this.validators.get(definition.name);
+    if (validate(args)) {
+      return [];
+    }
+    return validate.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.params?.missingProperty
+        ? `missing required property '${error.params.missingProperty}'`
+        : error.message
+    }));
+  }
+
+  async getProjectHTA(projectId, pathName = null) {
+    const config = await this.requireProject(projectId);
+    const activePath = pathName || config.activePath || DEFAULT_PATHS.GENERAL;
+    if (!SAFE_ID.test(activePath)) {
+      throw new HttpError(400, `Invalid path name '${activePath}'`);
+    }
+
+    const hta = await this.forestServer.loadPathHTA(projectId, activePath);
+    if (!hta) {
+      throw new HttpError(404, `No HTA tree for project '${projectId}' path '${activePath}'`);
+    }
+    return { project_id: projectId, path_name: activePath, hta };
+  }
+
+  async getProjectSchedule(projectId, date) {
+    if (!ISO_DATE.test(date)) {
+      throw new HttpError(400, `Invalid date '${date}', expected YYYY-MM-DD`);
+    }
+    await this.requireProject(projectId);
+
+    const schedule = await this.forestServer.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(date));
+    if (!schedule) {
+      throw new HttpError(404, `No schedule for project '${projectId}' on ${date}`);
+    }
+    return { project_id: projectId, date, schedule };
+  }
+
+  async requireProject(projectId) {
+    if (!SAFE_ID.test(projectId)) {
+      throw new HttpError(400, `Invalid project id '${projectId}'`);
+    }
+    const config = await this.forestServer.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+    if (!config) {
+      throw new HttpError(404, `Project '${projectId}' not found`);
+    }
+    return config;
+  }
+
+  requireMethod(req, method) {
+    if (req.method !== method) {
+      throw new HttpError(405, `Use ${method} for ${req.url}`);
+    }
+  }
+
+  /**
+   * Read and parse a JSON object body, enforcing the size limit.
+   * An empty body is treated as {} so argument-less tools need no payload.
+   */
+  async readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > HTTP_API_CONFIG.MAX_BODY_BYTES) {
+        throw new HttpError(413, `Request body exceeds ${HTTP_API_CONFIG.MAX_BODY_BYTES} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    const raw = Buffer.concat(chunks).toString('utf8').trim();
+    if (!raw) {
+      return {};
+    }
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Request body must be a JSON object of tool arguments');
+    }
+    return body;
+  }
+
+  sendJson(res, status, payload) {
+    if (res.headersSent) {
+      return;
+    }
+    res.writeHead(status, JSON_HEADERS);
+    res.end(JSON.stringify(payload));
+  }
+
+  sendError(res, error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status === 500) {
+      this.logger?.error?.('HTTP API request failed', { module: 'HttpApi', error: error.message });
+    }
+    this.sendJson(res, status, {
+      error: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+    if (status === 413) {
+      res.once('finish', () => res.socket?.destroy());
+    }
+  }
+}
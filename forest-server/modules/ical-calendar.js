@@ -0,0 +1,140 @@
+/**
+ * iCal Calendar Module
+ * Exports generated schedules as .ics files and imports external calendar
+ * commitments that the schedulers treat as busy time.
+ */
+
+import { FILE_NAMES, ICAL_CONFIG, TIME_CONVERSION } from './constants.js';
+import { FileSystem } from './utils/file-system.js';
+import { buildICalendar, parseICalendar } from '../utils/ical.js';
+
+export class IcalCalendar {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * Export a day's or a week's schedule as RFC 5545 VEVENTs.
+   * @param {string|null} date - First day to export (YYYY-MM-DD), defaults to today
+   * @param {string} range - 'day' or 'week'
+   * @param {boolean} includeBreaks - Include break and meal blocks
+   * @param {string|null} outputPath - Optional file to write the .ics to
+   */
+  async generateIcalExport(date = null, range = 'day', includeBreaks = true, outputPath = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const startDate = date || new Date().toISOString().split('T')[0];
+      const dayCount = range === 'week' ? ICAL_CONFIG.WEEK_DAYS : 1;
+
+      const schedules = [];
+      for (let offset = 0; offset < dayCount; offset++) {
+        const day = new Date(Date.parse(`${startDate}T00:00:00Z`) + offset * TIME_CONVERSION.MILLISECONDS_PER_DAY)
+          .toISOString()
+          .split('T')[0];
+        const schedule = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(day));
+        if (schedule && Array.isArray(schedule.blocks)) {
+          schedules.push({ ...schedule, date: schedule.date || day });
+        }
+      }
+
+      if (schedules.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `❌ No schedule found for ${range === 'week' ? `the week starting ${startDate}` : startDate}. Generate a schedule first with \`generate_daily_schedule\`.`
+          }]
+        };
+      }
+
+      const { ics, eventCount } = buildICalendar(schedules, {
+        projectId,
+        includeBreaks,
+        calendarName: config?.goal ? `Forest: ${config.goal}` : 'Forest Schedule'
+      });
+
+      if (outputPath) {
+        await FileSystem.writeFile(outputPath, ics);
+      }
+
+      const savedNote = outputPath ? `\n\n💾 Saved to ${outputPath}` : '';
+      return {
+        content: [{
+          type: 'text',
+          text: `📆 **iCalendar Export** – ${eventCount} events across ${schedules.length} day(s)${savedNote}\n\n\`\`\`ics\n${ics}\`\`\``
+        }],
+        ical_export: ics,
+        event_count: eventCount,
+        dates: schedules.map(s => s.date),
+        output_path: outputPath
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('generateIcalExport', error, { date, range, includeBreaks });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error generating iCal export: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Import existing commitments from an .ics document. Commitments are stored
+   * globally because they block the user's time regardless of project.
+   * @param {string|null} icsContent - Raw .ics text
+   * @param {string|null} filePath - Path to an .ics file (used when no content is given)
+   * @param {boolean} replace - Replace previously imported events instead of merging by UID
+   */
+  async importIcalCommitments(icsContent = null, filePath = null, replace = false) {
+    try {
+      if (!icsContent && !filePath) {
+        throw new Error('Provide either ics_content or file_path');
+      }
+
+      const text = icsContent || await FileSystem.readFile(filePath);
+      const imported = parseICalendar(text);
+
+      if (imported.length === 0) {
+        throw new Error('No VEVENT entries with a valid DTSTART were found');
+      }
+
+      const existing = replace ? null : await this.dataPersistence.loadGlobalData(FILE_NAMES.COMMITMENTS);
+      const byUid = new Map((existing?.events || []).map(event => [event.uid, event]));
+      for (const event of imported) {
+        byUid.set(event.uid, event);
+      }
+
+      const events = [...byUid.values()].sort((a, b) => a.start.localeCompare(b.start));
+      const saved = await this.dataPersistence.saveGlobalData(FILE_NAMES.COMMITMENTS, {
+        importedAt: new Date().toISOString(),
+        source: filePath || 'inline',
+        events
+      });
+      if (!saved) {
+        throw new Error('Failed to store imported commitments');
+      }
+
+      const blocking = imported.filter(e => !e.allDay && !e.transparent).length;
+      return {
+        content: [{
+          type: 'text',
+          text: `📥 **Calendar Imported** – ${imported.length} events (${blocking} blocking time), ${events.length} commitments stored.\n\n` +
+            'Generated schedules will now plan around these commitments.'
+        }],
+        imported_count: imported.length,
+        blocking_count: blocking,
+        total_commitments: events.length
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('importIcalCommitments', error, { filePath, replace });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error importing calendar: ${error.message}`
+        }]
+      };
+    }
+  }
+}
@@ -1,5 +1,10 @@
 // Integrated Schedule Generator
-// Builds a daily integrated schedule by asking Claude to allocate tasks into free blocks.
+// Builds a daily integrated schedule: per-project focus blocks planned deterministically,
+// optionally rearranged by Claude.
+
+import { FILE_NAMES, INTEGRATED_SCHEDULE_CONFIG } from './constants.js';
+import { getBusySlotsForDate } from '../utils/ical.js';
+import { countSwitches, groupEntries, planIntegratedDay } from '../utils/integrated-plan.js';
 
 export class IntegratedScheduleGenerator {
   /**
@@ -19,14 +24,20 @@ export class IntegratedScheduleGenerator {
 
   /**
    * Main entry point for MCP tool.
+   * Tasks are grouped into per-project focus blocks of at least
+   * INTEGRATED_SCHEDULE_CONFIG.MIN_BLOCK_MINUTES, with free time shared by
+   * priority weight and capped by each project's weekly hours budget. Claude
+   * may rearrange the deterministic plan; its answer is used only when it
+   * keeps to the same rules, otherwise the deterministic plan is saved.
    * @param {string|null} dateStr
    * @param {number} energyLevel
+   * @param {boolean} [prioritizeUnderServed=true] - Raise the weight of projects behind their weekly budget pace
    */
-  async generateIntegratedSchedule(dateStr = null, energyLevel = 3) {
+  async generateIntegratedSchedule(dateStr = null, energyLevel = 3, prioritizeUnderServed = true) {
     const date = dateStr || new Date().toISOString().split('T')[0];
 
     // Collect tasks from all projects
-    const tasks = await this.taskPool.getTaskPool(25);
+    const tasks = await this.taskPool.getTaskPool(INTEGRATED_SCHEDULE_CONFIG.TASKS_PER_PROJECT);
     if (tasks.length === 0) {
       return { content:[{ type:'text', text:'⚠️ No available tasks across active projects.' }] };
     }
@@ -46,72 +57,253 @@ export class IntegratedScheduleGenerator {
     const wake = this._parseTime(prefs.wake_time || '7:00 AM');
     const sleep = this._parseTime(prefs.sleep_time || '10:00 PM');
 
-    // Simple free-blocks: entire day as one block for now (can refine later)
-    const freeBlocks = [{ start:this._formatTime(wake), end:this._formatTime(sleep) }];
+    // Free blocks: waking hours minus imported calendar commitments
+    const commitments = await this.dataPersistence.loadGlobalData(FILE_NAMES.COMMITMENTS);
+    const busySlots = getBusySlotsForDate(commitments?.events || [], date);
+    const freeBlocks = this._buildFreeBlocks(wake, sleep, busySlots);
+    const windows = freeBlocks.map(block => ({ start: this._parseTime(block.start), end: this._parseTime(block.end) }));
+
+    const projects = await this.taskPool.getProjectSettings(date, prioritizeUnderServed);
+    const plan = planIntegratedDay(tasks, windows, projects, {
+      minBlockMinutes: INTEGRATED_SCHEDULE_CONFIG.MIN_BLOCK_MINUTES,
+      maxBlockMinutes: INTEGRATED_SCHEDULE_CONFIG.MAX_BLOCK_MINUTES,
+      energyLevel
+    });
 
     // Build prompt
-    const prompt = 'You are an intelligent scheduler. Place tasks into the free blocks so that they fit within the block length and match the user\'s energy level. Output JSON array of {task_id,start,end,project_id}. If a task is longer than remaining time, skip it.';
+    const prompt = 'You are an intelligent scheduler. Place tasks into the free blocks so that they fit within the block length and match the user\'s energy level. ' +
+      `Keep each project's tasks together in focus blocks of at least ${INTEGRATED_SCHEDULE_CONFIG.MIN_BLOCK_MINUTES} minutes, ` +
+      'stay within each project\'s allowance_minutes and switch projects as rarely as possible. ' +
+      'suggested_plan already follows these rules; improve on it or return it unchanged. ' +
+      'Output JSON array of {task_id,start,end,project_id}. If a task is longer than remaining time, skip it.';
 
     const contextPayload = {
       date,
       energy_level: energyLevel,
       free_blocks: freeBlocks,
-      tasks
+      busy_blocks: busySlots.map(slot => ({ start:this._formatTime(slot.start), end:this._formatTime(slot.end), title:slot.title })),
+      projects: projects.map(project => ({ project_id: project.id, weight: project.weight, allowance_minutes: project.allowanceMinutes })),
+      tasks,
+      suggested_plan: this._toEntries(plan.blocks)
     };
 
     const llmResp = await this.llm.requestIntelligence('integrated-schedule', { prompt:`${prompt}\n\nContext JSON:\n${JSON.stringify(contextPayload)}` });
 
     let scheduleArr = [];
     try {
-      scheduleArr = JSON.parse(llmResp.completion || llmResp.answer || llmResp.text || '[]');
+      scheduleArr = JSON.parse(llmResp?.completion || llmResp?.answer || llmResp?.text || '[]');
     } catch(_) {/* ignore parse errors */}
 
     // Basic validation: ensure each entry has task_id
-    scheduleArr = Array.isArray(scheduleArr) ? scheduleArr.filter(x => x.task_id) : [];
+    scheduleArr = Array.isArray(scheduleArr) ? scheduleArr.filter(x => x && x.task_id) : [];
 
-    /* ── HEURISTIC FALLBACK ──
-     * If the LLM is offline (resp.request_for_claude) or returned an empty array,
-     * build a simple sequential schedule that packs tasks into the first free block.
+    /* ── DETERMINISTIC FALLBACK ──
+     * If the LLM is offline (resp.request_for_claude), returned nothing, or broke
+     * a rule, keep the deterministic plan.
      */
-    if (scheduleArr.length === 0 && tasks.length > 0) {
-      let current = this._parseTime(freeBlocks[0].start);
-      const blockEnd = this._parseTime(freeBlocks[0].end);
-
-      for (const t of tasks) {
-        const minutes = typeof t.est_minutes === 'number' ? t.est_minutes : this._parseDuration(String(t.est_minutes||30));
-        if (current + minutes > blockEnd) {break;}
-        scheduleArr.push({
-          task_id   : t.id,
-          project_id: t.project_id,
-          start     : this._formatTime(current),
-          end       : this._formatTime(current + minutes)
-        });
-        current += minutes;
+    let blocks = plan.blocks;
+    let source = 'deterministic';
+    let rejection = null;
+    if (scheduleArr.length > 0) {
+      const { blocks: llmBlocks, problem } = this._checkLlmSchedule(scheduleArr, tasks, windows, projects);
+      if (llmBlocks) {
+        blocks = llmBlocks;
+        source = 'llm';
+      } else {
+        rejection = problem;
       }
     }
 
+    const scheduledIds = new Set(blocks.flatMap(block => block.tasks.map(task => task.task_id)));
+    const unscheduled = source === 'llm'
+      ? tasks.filter(task => !scheduledIds.has(task.id)).map(task => ({ id: task.id, project_id: task.project_id, title: task.title, reason: 'Not placed by Claude' }))
+      : plan.unscheduled;
+    const minutesByProject = this._minutesByProject(blocks, projects, plan.shares);
+    const contextSwitches = countSwitches(blocks);
+
     // Store per project day files
     const byProject = {};
-    for (const entry of scheduleArr) {
-      if (!byProject[entry.project_id]) {byProject[entry.project_id] = [];}
-      byProject[entry.project_id].push(entry);
+    for (const block of blocks) {
+      if (!byProject[block.project_id]) {byProject[block.project_id] = [];}
+      byProject[block.project_id].push(block);
     }
-    for (const [projectId, blocks] of Object.entries(byProject)) {
-      const fileName = `day_${date}.json`;
-      await this.dataPersistence.saveProjectData(projectId, fileName, { date, blocks, generated:new Date().toISOString() });
+    for (const [projectId, focusBlocks] of Object.entries(byProject)) {
+      await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(date), {
+        date,
+        integrated: true,
+        source,
+        blocks: this._toDayBlocks(focusBlocks, tasks),
+        generated: new Date().toISOString()
+      });
     }
 
     return {
-      content:[{ type:'text', text:`🗓️ Integrated schedule generated for ${date} with ${scheduleArr.length} tasks.` }],
-      schedule: scheduleArr,
+      content:[{ type:'text', text: this._formatSummary(date, blocks, minutesByProject, contextSwitches, source, rejection, unscheduled) }],
+      schedule: this._toEntries(blocks),
+      focus_blocks: blocks.map(block => ({
+        project_id: block.project_id,
+        start: this._formatTime(block.start),
+        end: this._formatTime(block.end),
+        minutes: block.minutes,
+        task_ids: block.tasks.map(task => task.task_id)
+      })),
+      minutes_by_project: minutesByProject,
+      context_switches: contextSwitches,
+      source,
+      unscheduled,
       free_blocks: freeBlocks,
       task_count: tasks.length
     };
   }
 
+  /**
+   * Group Claude's entries into focus blocks and hold them to the deterministic plan's rules
+   * @returns {{blocks: Array<Object>|null, problem: string|null}}
+   */
+  _checkLlmSchedule(entries, tasks, windows, projects) {
+    const timed = entries.map(entry => ({
+      task_id: entry.task_id,
+      project_id: entry.project_id,
+      start: typeof entry.start === 'string' ? this._parseTime(entry.start) : NaN,
+      end: typeof entry.end === 'string' ? this._parseTime(entry.end) : NaN
+    }));
+    const grouped = groupEntries(timed, tasks, windows, INTEGRATED_SCHEDULE_CONFIG.MIN_BLOCK_MINUTES);
+    if (!grouped.blocks) {
+      return grouped;
+    }
+
+    for (const project of projects) {
+      const minutes = grouped.blocks
+        .filter(block => block.project_id === project.id)
+        .reduce((sum, block) => sum + block.minutes, 0);
+      if (project.allowanceMinutes !== null && minutes > project.allowanceMinutes) {
+        return { blocks: null, problem: `${project.id} exceeds its budget (${minutes} of ${project.allowanceMinutes} minutes)` };
+      }
+    }
+    return grouped;
+  }
+
+  _minutesByProject(blocks, projects, shares) {
+    return Object.fromEntries(projects.map(project => {
+      const own = blocks.filter(block => block.project_id === project.id);
+      return [project.id, {
+        minutes: own.reduce((sum, block) => sum + block.minutes, 0),
+        task_minutes: own.reduce((sum, block) => sum + block.tasks.reduce((total, task) => total + task.minutes, 0), 0),
+        tasks: own.reduce((sum, block) => sum + block.tasks.length, 0),
+        focus_blocks: own.length,
+        share_minutes: shares[project.id] || 0,
+        weight: project.weight,
+        base_weight: project.baseWeight,
+        weekly_budget_minutes: project.weeklyBudgetMinutes,
+        used_this_week_minutes: project.usedMinutes,
+        expected_by_today_minutes: project.expectedMinutes,
+        allowance_minutes: project.allowanceMinutes,
+        under_served: project.underServed
+      }];
+    }));
+  }
+
+  _toEntries(blocks) {
+    return blocks.flatMap(block => block.tasks.map(task => ({
+      task_id: task.task_id,
+      project_id: block.project_id,
+      start: this._formatTime(task.start),
+      end: this._formatTime(task.end)
+    })));
+  }
+
+  /**
+   * Day-file blocks in the same shape generate_daily_schedule writes, so they can be completed as usual
+   */
+  _toDayBlocks(focusBlocks, tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const dayBlocks = [];
+    for (const focusBlock of focusBlocks) {
+      for (const entry of focusBlock.tasks) {
+        const task = byId.get(entry.task_id);
+        dayBlocks.push({
+          id: `task_${dayBlocks.length + 1}`,
+          type: 'learning',
+          title: task.title,
+          startTime: this.scheduleGenerator.formatTime(entry.start),
+          duration: entry.minutes,
+          difficulty: task.difficulty,
+          taskId: task.id,
+          branch: task.branch,
+          completed: false,
+          priority: task.priority
+        });
+      }
+      const taskEnd = focusBlock.tasks[focusBlock.tasks.length - 1].end;
+      if (focusBlock.end > taskEnd) {
+        dayBlocks.push({
+          id: `task_${dayBlocks.length + 1}`,
+          type: 'transition',
+          title: 'Wrap-up & Notes',
+          startTime: this.scheduleGenerator.formatTime(taskEnd),
+          duration: focusBlock.end - taskEnd,
+          completed: false,
+          priority: 'low'
+        });
+      }
+    }
+    return dayBlocks;
+  }
+
+  _formatSummary(date, blocks, minutesByProject, contextSwitches, source, rejection, unscheduled) {
+    const taskCount = blocks.reduce((sum, block) => sum + block.tasks.length, 0);
+    let text = `🗓️ Integrated schedule generated for ${date} with ${taskCount} tasks in ${blocks.length} focus blocks ` +
+      `(${contextSwitches} project switch${contextSwitches === 1 ? '' : 'es'}).\n`;
+    text += source === 'llm'
+      ? 'Plan: arranged by Claude within the focus-block and budget rules.\n'
+      : `Plan: deterministic focus blocks${rejection ? ` (Claude's schedule was not used: ${rejection})` : ''}.\n`;
+
+    text += '\n**Focus blocks**\n';
+    for (const block of blocks) {
+      text += `• ${this._formatTime(block.start)}–${this._formatTime(block.end)} **${block.project_id}**: ` +
+        `${block.tasks.map(task => task.title).join(', ')}\n`;
+    }
+
+    text += '\n**Minutes per project**\n';
+    for (const [projectId, entry] of Object.entries(minutesByProject)) {
+      const budget = entry.weekly_budget_minutes === null
+        ? 'no weekly budget'
+        : `${entry.used_this_week_minutes + entry.minutes}/${entry.weekly_budget_minutes} min of weekly budget`;
+      const behind = entry.under_served ? `, behind pace: ${entry.used_this_week_minutes}/${entry.expected_by_today_minutes} min so far` : '';
+      text += `• ${projectId}: ${entry.minutes} min (weight ${entry.weight}, ${budget}${behind})\n`;
+    }
+
+    if (unscheduled.length > 0) {
+      text += `\n${unscheduled.length} task(s) not scheduled today.\n`;
+    }
+    return text;
+  }
+
   _parseTime(str) {
     const [h, m] = str.replace(/\s*AM|\s*PM/i,'').split(':').map(Number);
-    return h*60 + (m||0);
+    const isPM = /PM/i.test(str);
+    const isAM = /AM/i.test(str);
+    const hours = isPM && h !== 12 ? h + 12 : (isAM && h === 12 ? 0 : h);
+    return hours*60 + (m||0);
+  }
+
+  /**
+   * Split the waking window around busy slots.
+   * @param {number} wake - Minutes from midnight
+   * @param {number} sleep - Minutes from midnight
+   * @param {Array<{start:number,end:number}>} busySlots - Sorted, merged busy slots
+   * @returns {Array<{start:string,end:string}>}
+   */
+  _buildFreeBlocks(wake, sleep, busySlots) {
+    const freeBlocks = [];
+    let cursor = wake;
+    for (const slot of busySlots) {
+      if (slot.end <= cursor || slot.start >= sleep) {continue;}
+      if (slot.start > cursor) {freeBlocks.push({ start:this._formatTime(cursor), end:this._formatTime(slot.start) });}
+      cursor = Math.max(cursor, slot.end);
+    }
+    if (cursor < sleep) {freeBlocks.push({ start:this._formatTime(cursor), end:this._formatTime(sleep) });}
+    return freeBlocks;
   }
 
   _formatTime(minutes) {
@@ -119,10 +311,4 @@ export class IntegratedScheduleGenerator {
     const m = (minutes%60).toString().padStart(2,'0');
     return `${h}:${m}`;
   }
-
-  _parseDuration(str) {
-    const num = parseInt(str, 10);
-    if (Number.isNaN(num)) {return 30;}
-    return num;
-  }
 }
\ No newline at end of file
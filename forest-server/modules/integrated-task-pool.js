@@ -1,6 +1,12 @@
 // Integrated Task Pool
 // Gathers a capped list of available tasks from all active projects without exposing sensitive project data.
 
+import { FILE_NAMES, INTEGRATED_SCHEDULE_CONFIG, TIME_ALLOCATION_CONFIG } from './constants.js';
+import { TimeAllocation } from './time-allocation.js';
+import { holdReason } from '../utils/hta-eligibility.js';
+import { parseDurationMinutes } from '../utils/hta-metrics.js';
+import { weekdayIndex } from '../utils/weekly-plan.js';
+
 export class IntegratedTaskPool {
   /**
    * @param {import('../modules/data-persistence.js').DataPersistence} dataPersistence
@@ -9,6 +15,7 @@ export class IntegratedTaskPool {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
+    this.timeAllocation = new TimeAllocation(dataPersistence, projectManagement);
   }
 
   /**
@@ -16,23 +23,18 @@ export class IntegratedTaskPool {
    * @param {number} limitPerProject  max tasks per project
    */
   async getTaskPool(limitPerProject = 30) {
-    const projectsResp = await this.projectManagement.listProjects();
-    const projectIdsArr = Array.isArray(projectsResp) ? projectsResp : (projectsResp.projects || []);
-
     const pool = [];
 
-    for (const p of projectIdsArr) {
-      const projectId = typeof p === 'string' ? p : p.id || p.project_id || p.name;
-      if (!projectId) {continue;}
+    for (const projectId of await this._projectIds()) {
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
       if (!config) {continue;}
       const pathName = config.activePath || 'general';
-      const hta = await this._loadPathHTA(projectId, pathName);
+      const hta = await this.dataPersistence.loadPathHTA(projectId, pathName);
       if (!hta || !Array.isArray(hta.frontierNodes)) {continue;}
 
       const completedIds = new Set(hta.frontierNodes.filter(n => n.completed).map(n => n.id));
       const available = hta.frontierNodes
-        .filter(n => !n.completed)
+        .filter(n => !n.completed && !holdReason(n))
         .filter(n => {
           if (!n.prerequisites || n.prerequisites.length === 0) {return true;}
           return n.prerequisites.every(pr => completedIds.has(pr));
@@ -43,9 +45,10 @@ export class IntegratedTaskPool {
           id: n.id,
           project_id: projectId,
           title: (n.title || '').slice(0, 40),
-          est_minutes: typeof n.duration === 'string' ? this._parseDuration(n.duration) : (n.duration || 30),
+          est_minutes: parseDurationMinutes(n.duration),
           difficulty: n.difficulty || 1,
-          priority: n.priority || 200
+          priority: n.priority || 200,
+          branch: n.branch || null
         }));
 
       pool.push(...available);
@@ -54,16 +57,61 @@ export class IntegratedTaskPool {
     return pool;
   }
 
-  async _loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json');
+  /**
+   * Scheduling settings for every project: its priority weight and how much of
+   * its weekly hours budget is left for a date. The remaining budget is spread
+   * evenly over the rest of the week, so a date only gets its fair slice; a
+   * slice too small for one focus block is raised to a block while budget lasts.
+   * Projects behind their budget pace can have their weight raised so they
+   * catch up first.
+   * @param {string} date - YYYY-MM-DD being scheduled
+   * @param {boolean} [prioritizeUnderServed=true]
+   * @returns {Promise<Array<Object>>} { id, weight, baseWeight, weeklyBudgetMinutes, usedMinutes, expectedMinutes, allowanceMinutes, underServed }
+   */
+  async getProjectSettings(date, prioritizeUnderServed = true) {
+    const settings = [];
+    const daysLeft = 7 - ((weekdayIndex(date) - TIME_ALLOCATION_CONFIG.WEEK_STARTS_ON + 7) % 7);
+
+    for (const projectId of await this._projectIds()) {
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (!config) {continue;}
+
+      const progress = await this.timeAllocation.weekProgress(projectId, config, date);
+      const baseWeight = this._priorityWeight(config);
+      const boost = prioritizeUnderServed ? 1 + TIME_ALLOCATION_CONFIG.UNDER_SERVED_BOOST * progress.behindPace : 1;
+      settings.push({
+        id: projectId,
+        weight: Math.round(baseWeight * boost * 100) / 100,
+        baseWeight,
+        weeklyBudgetMinutes: progress.weeklyBudgetMinutes,
+        usedMinutes: progress.usedMinutes,
+        expectedMinutes: progress.expectedMinutes,
+        allowanceMinutes: progress.weeklyBudgetMinutes === null
+          ? null
+          : this._dailyAllowance(progress.weeklyBudgetMinutes - progress.usedMinutes, daysLeft),
+        underServed: progress.behindPace > 0
+      });
     }
-    return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json');
+
+    return settings;
+  }
+
+  _dailyAllowance(remainingMinutes, daysLeft) {
+    if (remainingMinutes <= 0) {return 0;}
+    return Math.min(remainingMinutes, Math.max(Math.ceil(remainingMinutes / daysLeft), INTEGRATED_SCHEDULE_CONFIG.MIN_BLOCK_MINUTES));
+  }
+
+  async _projectIds() {
+    const projectsResp = await this.projectManagement.listProjects();
+    const projectIdsArr = Array.isArray(projectsResp) ? projectsResp : (projectsResp.projects || []);
+    return projectIdsArr
+      .map(p => (typeof p === 'string' ? p : p.id || p.project_id || p.name))
+      .filter(Boolean);
   }
 
-  _parseDuration(str) {
-    const num = parseInt(str, 10);
-    if (isNaN(num)) {return 30;}
-    return num;
+  _priorityWeight(config) {
+    const weight = Number(config.priority_weight);
+    if (weight > 0) {return weight;}
+    return INTEGRATED_SCHEDULE_CONFIG.URGENCY_WEIGHTS[config.urgency_level] ?? INTEGRATED_SCHEDULE_CONFIG.DEFAULT_PRIORITY_WEIGHT;
   }
 }
\ No newline at end of file
@@ -207,7 +207,9 @@ export class McpHandlers {
                 properties: {
                   path_name: { type: 'string', description: 'Name of the learning path (e.g. "saxophone", "piano", "theory")' },
                   interests: { type: 'array', items: { type: 'string' }, description: 'Specific interests for this path' },
-                  priority: { type: 'string', enum: ['high', 'medium', 'low'], description: 'Relative priority of this path' }
+                  priority: { type: 'string', enum: ['high', 'medium', 'low'], description: 'Relative priority of this path' },
+                  deadline: { type: 'string', description: 'Optional target date for this path (YYYY-MM-DD)' },
+                  weekly_hours_budget: { type: 'number', description: 'Optional target hours per week for this path' }
                 },
                 required: ['path_name']
               },
@@ -283,7 +285,8 @@ export class McpHandlers {
                 meal_times: { type: 'array', items: { type: 'string' }, description: 'Preferred meal schedule' },
                 break_preferences: { type: 'string', description: 'How often and what type of breaks you need' },
                 focus_duration: { type: 'string', description: 'Preferred focus session length (e.g. "25 minutes", "2 hours", "until natural break", "flexible", "variable")' },
-                transition_time: { type: 'string', description: 'Time needed between activities' }
+                transition_time: { type: 'string', description: 'Time needed between activities' },
+                scheduler: { type: 'string', enum: ['solver', 'greedy'], description: 'How daily schedules are laid out: optimised (default) or the simple first-fit walk' }
               }
             },
             urgency_level: {
@@ -295,6 +298,28 @@ export class McpHandlers {
               type: 'array',
               items: { type: 'string' },
               description: 'How you will measure success (income, job offers, portfolio pieces, etc.)'
+            },
+            deadline: {
+              type: 'string',
+              description: 'Optional target date for the whole goal (YYYY-MM-DD)'
+            },
+            milestones: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', description: 'Milestone name (e.g. "First recital")' },
+                  target_date: { type: 'string', description: 'Target date (YYYY-MM-DD)' },
+                  path_name: { type: 'string', description: 'Learning path it covers (defaults to the whole project)' },
+                  branch: { type: 'string', description: 'HTA branch it covers within the path' }
+                },
+                required: ['name', 'target_date']
+              },
+              description: 'Optional named milestones, forecast with get_milestone_forecast'
+            },
+            weekly_hours_budget: {
+              type: 'number',
+              description: 'Optional target hours per week for this project, tracked with get_time_allocation and used by generate_integrated_schedule'
             }
           },
           required: ['project_id', 'goal', 'life_structure_preferences']
@@ -330,6 +355,128 @@ export class McpHandlers {
           properties: {}
         }
       },
+      {
+        name: 'export_project',
+        description: 'Export a project (config, HTA trees, learning history, schedules, wisdom and archive log) as a single versioned bundle with checksums',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: {
+              type: 'string',
+              description: 'Project to export (defaults to the active project)'
+            },
+            output_path: {
+              type: 'string',
+              description: 'Where to write the bundle (defaults to the exports folder in the Forest data directory)'
+            }
+          }
+        }
+      },
+      {
+        name: 'import_project',
+        description: 'Import a project bundle created by export_project, verifying checksums and migrating older bundle versions',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            bundle_path: {
+              type: 'string',
+              description: 'Path to a bundle file'
+            },
+            bundle_content: {
+              type: 'string',
+              description: 'Raw bundle JSON (used instead of bundle_path)'
+            },
+            target_project_id: {
+              type: 'string',
+              description: 'Import under this project id instead of the one in the bundle'
+            },
+            on_conflict: {
+              type: 'string',
+              enum: ['error', 'overwrite', 'rename'],
+              description: 'What to do when the project id already exists: fail, replace it (previous copy is backed up) or import under a new id',
+              default: 'error'
+            }
+          }
+        }
+      },
+      {
+        name: 'save_hta_template',
+        description: 'Save a learning path\'s HTA tree as a reusable template, with the goal, interests and weekly hours turned into placeholders',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            template_id: {
+              type: 'string',
+              description: 'Template identifier (letters, numbers, "-" and "_")'
+            },
+            name: {
+              type: 'string',
+              description: 'Display name (defaults to the id)'
+            },
+            description: {
+              type: 'string',
+              description: 'What kind of goal the template suits'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Path whose tree to save (defaults to the active path)'
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Replace a saved template with the same id',
+              default: false
+            }
+          },
+          required: ['template_id']
+        }
+      },
+      {
+        name: 'list_hta_templates',
+        description: 'List the bundled starter templates and saved templates',
+        inputSchema: {
+          type: 'object',
+          properties: {}
+        }
+      },
+      {
+        name: 'create_project_from_template',
+        description: 'Create a project whose HTA tree is instantiated from a template instead of generated',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            template_id: {
+              type: 'string',
+              description: 'Template to start from (see list_hta_templates)'
+            },
+            project_id: {
+              type: 'string',
+              description: 'Unique project identifier'
+            },
+            goal: {
+              type: 'string',
+              description: 'Goal of the new project; fills the template\'s {{goal}}'
+            },
+            specific_interests: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Fills the template\'s {{interests}}'
+            },
+            weekly_hours_budget: {
+              type: 'number',
+              description: 'Hours per week for the project; fills {{weekly_hours}} (template default when omitted)'
+            },
+            life_structure_preferences: {
+              type: 'object',
+              description: 'Same as create_project'
+            },
+            context: {
+              type: 'string',
+              description: 'Current life situation and background'
+            }
+          },
+          required: ['template_id', 'project_id', 'goal']
+        }
+      },
       {
         name: 'build_hta_tree',
         description: 'Build strategic HTA framework for a specific learning path',
@@ -342,79 +489,507 @@ export class McpHandlers {
             },
             learning_style: {
               type: 'string',
-              description: 'Preferred learning approach (visual, hands-on, research-based, etc.)'
+              description: 'Preferred learning approach (visual, hands-on, research-based, etc.)'
+            },
+            focus_areas: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Specific areas to prioritize in the strategy'
+            },
+            rebuild: {
+              type: 'boolean',
+              description: 'Regenerate the tree even if one exists',
+              default: false
+            },
+            merge: {
+              type: 'boolean',
+              description: 'On rebuild, merge into the existing tree so completions, logged time, prerequisites and hand edits are kept; false replaces it outright',
+              default: true
+            }
+          }
+        }
+      },
+      {
+        name: 'export_hta_graph',
+        description: 'Export the HTA tree (branches, prerequisite links and task status) as a Mermaid flowchart, Graphviz DOT graph or OPML outline for docs and mind-mapping tools',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            format: {
+              type: 'string',
+              enum: ['mermaid', 'dot', 'opml'],
+              default: 'mermaid',
+              description: 'Output format'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path to export (defaults to the active path)'
+            },
+            output_path: {
+              type: 'string',
+              description: 'Optional file path to write the graph to'
+            }
+          }
+        }
+      },
+      {
+        name: 'preview_hta_rebuild',
+        description: 'Show what rebuilding the HTA tree would change (matched, added, removed and kept tasks, and conflicts) without saving',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: {
+              type: 'string',
+              description: 'Learning path to preview (defaults to general, as build_hta_tree does)'
+            },
+            learning_style: {
+              type: 'string',
+              description: 'Preferred learning approach (visual, hands-on, research-based, etc.)'
+            },
+            focus_areas: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Specific areas to prioritize in the strategy'
+            }
+          }
+        }
+      },
+      {
+        name: 'get_hta_status',
+        description: 'View HTA strategic framework for active project',
+        inputSchema: {
+          type: 'object',
+          properties: {}
+        }
+      },
+      {
+        name: 'list_hta_revisions',
+        description: 'List recorded revisions of a learning path\'s HTA tree, newest first, with the tool that made each change',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            },
+            limit: {
+              type: 'number',
+              minimum: 1,
+              default: 20,
+              description: 'Maximum number of revisions to list'
+            }
+          }
+        }
+      },
+      {
+        name: 'undo_hta_change',
+        description: 'Undo recent HTA tree changes (e.g. a bad generated batch), or restore the tree as it was right after a given revision',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            },
+            steps: {
+              type: 'number',
+              minimum: 1,
+              default: 1,
+              description: 'Number of revisions to undo'
+            },
+            revision_id: {
+              type: 'number',
+              minimum: 0,
+              description: 'Restore the state right after this revision (from list_hta_revisions) instead of undoing by steps'
+            }
+          }
+        }
+      },
+      {
+        name: 'redo_hta_change',
+        description: 'Re-apply HTA tree changes previously reverted with undo_hta_change',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            },
+            steps: {
+              type: 'number',
+              minimum: 1,
+              default: 1,
+              description: 'Number of revisions to redo'
+            }
+          }
+        }
+      },
+      {
+        name: 'add_task',
+        description: 'Add one task to a branch of the HTA tree (the branch is created if new)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            branch: {
+              type: 'string'
+            },
+            title: {
+              type: 'string'
+            },
+            description: {
+              type: 'string'
+            },
+            difficulty: {
+              type: 'number',
+              minimum: 1,
+              maximum: 10,
+              description: 'Whole number'
+            },
+            duration: {
+              type: 'number',
+              minimum: 1,
+              description: 'Minutes'
+            },
+            priority: {
+              type: 'number',
+              minimum: 0,
+              description: 'Higher is picked sooner (default 200)'
+            },
+            prerequisites: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Ids or titles of tasks that must be done first'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            }
+          },
+          required: ['title', 'branch']
+        }
+      },
+      {
+        name: 'update_task',
+        description: 'Edit a task\'s title, description, difficulty, duration, priority or prerequisites',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'Task id (or exact title)'
+            },
+            title: {
+              type: 'string'
+            },
+            description: {
+              type: 'string'
+            },
+            difficulty: {
+              type: 'number',
+              minimum: 1,
+              maximum: 10,
+              description: 'Whole number'
+            },
+            duration: {
+              type: 'number',
+              minimum: 1,
+              description: 'Minutes'
+            },
+            priority: {
+              type: 'number',
+              minimum: 0,
+              description: 'Higher is picked sooner (default 200)'
+            },
+            prerequisites: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Ids or titles of tasks that must be done first'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            }
+          },
+          required: ['task_id']
+        }
+      },
+      {
+        name: 'delete_task',
+        description: 'Delete a task; tasks that depended on it inherit its prerequisites',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'Task id (or exact title)'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            }
+          },
+          required: ['task_id']
+        }
+      },
+      {
+        name: 'move_task',
+        description: 'Move a task to another branch of the same HTA tree',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'Task id (or exact title)'
+            },
+            branch: {
+              type: 'string',
+              description: 'Target branch (created if new)'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            }
+          },
+          required: ['task_id', 'branch']
+        }
+      },
+      {
+        name: 'reorder_branch',
+        description: 'Set the order of a branch\'s tasks; the branch\'s priorities are reassigned to match',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            branch: {
+              type: 'string'
+            },
+            task_ids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Task ids or titles, first to do first; unlisted tasks keep their order after these'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            }
+          },
+          required: ['branch', 'task_ids']
+        }
+      },
+      {
+        name: 'expand_branch',
+        description: 'Plan a placeholder branch now, using recent learnings and open questions. Placeholders are otherwise expanded as the learner reaches them',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            branch: {
+              type: 'string',
+              description: 'Branch name or objective id (defaults to the next placeholder)'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path (defaults to the active path)'
+            }
+          }
+        }
+      },
+      {
+        name: 'generate_daily_schedule',
+        description: 'ON-DEMAND: Generate comprehensive gap-free daily schedule when requested by user',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              description: 'YYYY-MM-DD, defaults to today'
+            },
+            energy_level: {
+              type: 'number',
+              minimum: 1,
+              maximum: 5,
+              description: 'Current energy level (affects task difficulty and timing). Omit to use the hourly forecast learned from your completions'
+            },
+            available_hours: {
+              type: 'string',
+              description: 'Comma-separated list of hours to prioritize (e.g. "9,10,11,14,15")'
+            },
+            focus_type: {
+              type: 'string',
+              enum: ['learning', 'building', 'networking', 'habits', 'mixed'],
+              description: 'Type of work to prioritize today'
+            },
+            schedule_request_context: {
+              type: 'string',
+              description: 'User context about why they need a schedule now (e.g. "planning tomorrow", "need structure today")'
+            }
+          }
+        }
+      },
+      {
+        name: 'replan_day',
+        description: 'Rebuild the rest of today\'s schedule after a late finish, a skipped block or an interruption. Started blocks, meals, commitments and pinned habits stay put; the remaining time is refilled from open tasks.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            current_time: {
+              type: 'string',
+              description: 'Time to re-plan from, e.g. "14:30" or "2:30 PM"'
+            },
+            completed_blocks: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Block ids finished so far (use complete_block to record outcomes)'
+            },
+            skipped_blocks: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Block ids you will not do as planned; their tasks can be rescheduled later in the day'
+            },
+            date: {
+              type: 'string',
+              description: 'YYYY-MM-DD, defaults to today'
+            },
+            energy_level: {
+              type: 'number',
+              minimum: 1,
+              maximum: 5,
+              description: 'Current energy level, if it has changed'
+            }
+          },
+          required: ['current_time']
+        }
+      },
+      {
+        name: 'generate_weekly_plan',
+        description: 'Spread open tasks over the coming days by available hours, energy patterns, recurring items and prerequisites, saving each day as a daily schedule. Run again mid-week (without start_date) to re-plan the remaining days after a missed one.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            start_date: {
+              type: 'string',
+              description: 'First day to plan (YYYY-MM-DD). Omit to start today, or to re-plan the current week'
             },
-            focus_areas: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Specific areas to prioritize in the strategy'
+            days: {
+              type: 'number',
+              minimum: 1,
+              maximum: 14,
+              description: 'Number of days to plan (default 7)'
+            },
+            daily_hours: {
+              oneOf: [{ type: 'number' }, { type: 'object', additionalProperties: { type: 'number' } }],
+              description: 'Work hours per day: one number, or weekday names to hours (e.g. {"weekdays": 1.5, "saturday": 4, "sunday": 0})'
+            },
+            energy_level: {
+              type: 'number',
+              minimum: 1,
+              maximum: 5,
+              description: 'Typical energy level; days named in the project energy patterns are adjusted from it'
             }
           }
         }
       },
       {
-        name: 'get_hta_status',
-        description: 'View HTA strategic framework for active project',
+        name: 'generate_integrated_schedule',
+        description: 'Build a daily schedule that balances tasks across ALL active projects in per-project focus blocks, sharing time by each project\'s priority_weight and weekly_hours_budget and reporting minutes per project',
         inputSchema: {
           type: 'object',
-          properties: {}
+          properties: {
+            date: { type: 'string', description: 'YYYY-MM-DD (defaults to today)' },
+            energy_level: { type: 'number', minimum: 1, maximum: 5, description: 'Current energy level 1-5' },
+            prioritize_under_served: {
+              type: 'boolean',
+              default: true,
+              description: 'Give more time to projects behind their weekly_hours_budget pace'
+            }
+          }
         }
       },
       {
-        name: 'generate_daily_schedule',
-        description: 'ON-DEMAND: Generate comprehensive gap-free daily schedule when requested by user',
+        name: 'complete_block',
+        description: 'Complete time block and capture insights for active project',
         inputSchema: {
           type: 'object',
           properties: {
-            date: {
+            block_id: {
+              type: 'string'
+            },
+            outcome: {
               type: 'string',
-              description: 'YYYY-MM-DD, defaults to today'
+              description: 'What happened? Key insights?'
+            },
+            learned: {
+              type: 'string',
+              description: 'What specific knowledge or skills did you gain?'
+            },
+            next_questions: {
+              type: 'string',
+              description: 'What questions emerged? What do you need to learn next?'
             },
             energy_level: {
               type: 'number',
               minimum: 1,
               maximum: 5,
-              description: 'Current energy level (affects task difficulty and timing)'
+              description: 'Energy after completion'
             },
-            available_hours: {
-              type: 'string',
-              description: 'Comma-separated list of hours to prioritize (e.g. "9,10,11,14,15")'
+            difficulty_rating: {
+              type: 'number',
+              minimum: 1,
+              maximum: 5,
+              description: 'How difficult was this task? (1=too easy, 5=too hard)'
             },
-            focus_type: {
-              type: 'string',
-              enum: ['learning', 'building', 'networking', 'habits', 'mixed'],
-              description: 'Type of work to prioritize today'
+            breakthrough: {
+              type: 'boolean',
+              description: 'Major insight or breakthrough?'
             },
-            schedule_request_context: {
+            actual_duration: {
+              type: 'number',
+              minimum: 1,
+              description: 'Minutes the block actually took (filled in automatically by end_focus_session)'
+            }
+          },
+          required: ['block_id', 'outcome', 'energy_level']
+        }
+      },
+      {
+        name: 'start_focus_session',
+        description: 'Start timing focused work on a schedule block (or resume a paused session for it)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            block_id: {
               type: 'string',
-              description: 'User context about why they need a schedule now (e.g. "planning tomorrow", "need structure today")'
+              description: 'Schedule block id (or HTA task id) being worked on'
             }
-          }
+          },
+          required: ['block_id']
         }
       },
       {
-        name: 'generate_integrated_schedule',
-        description: 'Build a daily schedule that balances tasks across ALL active projects',
+        name: 'pause_focus_session',
+        description: 'Pause the running focus session and record the interruption; resume with start_focus_session',
         inputSchema: {
           type: 'object',
           properties: {
-            date: { type: 'string', description: 'YYYY-MM-DD (defaults to today)' },
-            energy_level: { type: 'number', minimum: 1, maximum: 5, description: 'Current energy level 1-5' }
+            reason: {
+              type: 'string',
+              description: 'What interrupted the session'
+            }
           }
         }
       },
       {
-        name: 'complete_block',
-        description: 'Complete time block and capture insights for active project',
+        name: 'end_focus_session',
+        description: 'End the focus session and complete its block with the real focused time as actual duration. If the block cannot be completed, the response carries the complete_block arguments for a retry',
         inputSchema: {
           type: 'object',
           properties: {
-            block_id: {
-              type: 'string'
+            complete: {
+              type: 'boolean',
+              default: true,
+              description: 'Complete the block now; false only stops the timer and returns the measured time'
             },
             outcome: {
               type: 'string',
-              description: 'What happened? Key insights?'
+              description: 'What happened? (defaults to a summary of the session)'
             },
             learned: {
               type: 'string',
@@ -422,13 +997,14 @@ export class McpHandlers {
             },
             next_questions: {
               type: 'string',
-              description: 'What questions emerged? What do you need to learn next?'
+              description: 'What questions emerged?'
             },
             energy_level: {
               type: 'number',
               minimum: 1,
               maximum: 5,
-              description: 'Energy after completion'
+              default: 3,
+              description: 'Energy after the session'
             },
             difficulty_rating: {
               type: 'number',
@@ -440,8 +1016,64 @@ export class McpHandlers {
               type: 'boolean',
               description: 'Major insight or breakthrough?'
             }
+          }
+        }
+      },
+      {
+        name: 'snooze_task',
+        description: 'Hide a task from task selection and schedules until a date; it wakes up on its own',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'HTA task id (or exact title)'
+            },
+            until: {
+              type: 'string',
+              description: 'Wake-up date (YYYY-MM-DD) or ISO timestamp'
+            },
+            days: {
+              type: 'number',
+              minimum: 1,
+              description: 'Snooze for this many days instead of giving a date (default 1)'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path of the task (defaults to the active path)'
+            },
+            clear: {
+              type: 'boolean',
+              description: 'Wake the task now'
+            }
           },
-          required: ['block_id', 'outcome', 'energy_level']
+          required: ['task_id']
+        }
+      },
+      {
+        name: 'block_task',
+        description: 'Park a task that is waiting on something outside your control; it stays out of task selection and schedules until released',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            task_id: {
+              type: 'string',
+              description: 'HTA task id (or exact title)'
+            },
+            reason: {
+              type: 'string',
+              description: 'What the task is waiting on'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path of the task (defaults to the active path)'
+            },
+            clear: {
+              type: 'boolean',
+              description: 'Release the block'
+            }
+          },
+          required: ['task_id']
         }
       },
       {
@@ -527,6 +1159,49 @@ export class McpHandlers {
           properties: {}
         }
       },
+      {
+        name: 'set_deadline',
+        description: 'Set or clear a target date for the project, a learning path, an HTA branch, or a named milestone',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            target_date: {
+              type: 'string',
+              description: 'Target date (YYYY-MM-DD); not needed with remove'
+            },
+            path_name: {
+              type: 'string',
+              description: 'Learning path the deadline applies to (omit for the whole project)'
+            },
+            branch: {
+              type: 'string',
+              description: 'HTA branch id or title within the path'
+            },
+            milestone_name: {
+              type: 'string',
+              description: 'Create or update a named milestone covering the given path/branch instead'
+            },
+            remove: {
+              type: 'boolean',
+              default: false,
+              description: 'Clear the deadline or delete the milestone'
+            }
+          }
+        }
+      },
+      {
+        name: 'get_milestone_forecast',
+        description: 'Plan backwards from deadlines and milestones: slack, projected finish, at-risk milestones and required weekly hours at the observed pace',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path_name: {
+              type: 'string',
+              description: 'Only show deadlines covering this learning path'
+            }
+          }
+        }
+      },
       {
         name: 'evolve_strategy',
         description: 'Analyze patterns and evolve the approach for active project',
@@ -554,14 +1229,90 @@ export class McpHandlers {
           }
         }
       },
+      {
+        name: 'generate_ical_export',
+        description: 'Export a day\'s or week\'s schedule as an iCalendar (.ics) file with stable event UIDs',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              description: 'First day to export (YYYY-MM-DD), defaults to today'
+            },
+            range: {
+              type: 'string',
+              enum: ['day', 'week'],
+              default: 'day',
+              description: 'Export a single day or seven days starting at date'
+            },
+            include_breaks: {
+              type: 'boolean',
+              default: true,
+              description: 'Include break and meal blocks'
+            },
+            output_path: {
+              type: 'string',
+              description: 'Optional file path to write the .ics to'
+            }
+          }
+        }
+      },
+      {
+        name: 'import_ical_commitments',
+        description: 'Import existing commitments from an .ics calendar so generated schedules plan around them',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ics_content: {
+              type: 'string',
+              description: 'Raw .ics calendar text'
+            },
+            file_path: {
+              type: 'string',
+              description: 'Path to an .ics file (used when ics_content is not given)'
+            },
+            replace: {
+              type: 'boolean',
+              default: false,
+              description: 'Replace previously imported commitments instead of merging by UID'
+            }
+          }
+        }
+      },
       {
         name: 'analyze_performance',
-        description: 'Analyze historical data to discover your personal productivity patterns.',
+        description: 'Analyze historical data to discover your personal productivity patterns, including how accurate planned task durations have been.',
         inputSchema: { type: 'object', properties: {} }
       },
+      {
+        name: 'get_energy_profile',
+        description: 'Show the energy curve learned from the energy levels reported when completing blocks, by hour of day and weekday. Schedules and task selection use it when no energy level is given.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            weekday: {
+              type: 'string',
+              description: 'Day to show, e.g. "monday"; the all-week curve when omitted'
+            }
+          }
+        }
+      },
+      {
+        name: 'get_time_allocation',
+        description: 'Compare time spent this week (from completed blocks) with each project\'s weekly_hours_budget, per project and per learning path.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              description: 'Any day of the week to report (YYYY-MM-DD); the current week when omitted'
+            }
+          }
+        }
+      },
       {
         name: 'review_week',
-        description: 'Summarize the last 7 days of progress, breakthroughs, and challenges.',
+        description: 'Summarize the last 7 days of progress, breakthroughs, and challenges, including time spent against weekly hours budgets.',
         inputSchema: { type: 'object', properties: {} }
       },
       {
@@ -583,7 +1334,7 @@ export class McpHandlers {
               type: 'number',
               minimum: 1,
               maximum: 5,
-              description: 'Current energy level to match appropriate task difficulty'
+              description: 'Current energy level to match appropriate task difficulty. Omit to use the forecast for this hour learned from your completions'
             },
             time_available: {
               type: 'string',
@@ -592,6 +1343,79 @@ export class McpHandlers {
           }
         }
       },
+      {
+        name: 'get_due_reviews',
+        description: 'List completed tasks that are due for spaced-repetition review',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              minimum: 1,
+              default: 10,
+              description: 'Maximum number of reviews to list'
+            },
+            days_ahead: {
+              type: 'number',
+              minimum: 0,
+              default: 0,
+              description: 'Also include reviews due within this many days'
+            }
+          }
+        }
+      },
+      {
+        name: 'add_recurring_task',
+        description: 'Add a habit or maintenance task that repeats (daily, weekdays, every N days, or an RRULE) and is placed in daily schedules on due days',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            title: {
+              type: 'string',
+              description: 'What to do each time'
+            },
+            recurrence: {
+              type: 'string',
+              default: 'daily',
+              description: 'daily, weekdays, weekly, "every 3 days", or an RRULE such as "FREQ=WEEKLY;BYDAY=MO,TH"'
+            },
+            duration_minutes: {
+              type: 'number',
+              minimum: 1,
+              default: 15,
+              description: 'Minutes per occurrence'
+            },
+            preferred_time: {
+              type: 'string',
+              description: 'Time of day to pin it to (e.g. "7:00 AM"); defaults to wake time'
+            },
+            kind: {
+              type: 'string',
+              enum: ['habit', 'maintenance'],
+              default: 'habit',
+              description: 'Habits are reported with streaks; maintenance covers recurring chores'
+            },
+            start_date: {
+              type: 'string',
+              description: 'First day it occurs (YYYY-MM-DD, defaults to today)'
+            }
+          },
+          required: ['title']
+        }
+      },
+      {
+        name: 'get_habit_streaks',
+        description: 'Show current and best streaks, completion rates and missed occurrences for recurring habits and maintenance tasks',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            as_of: {
+              type: 'string',
+              description: 'Reference day (YYYY-MM-DD, defaults to today)'
+            }
+          }
+        }
+      },
       {
         name: 'sync_forest_memory',
         description: 'Sync current Forest state to memory for context awareness',
@@ -602,6 +1426,21 @@ export class McpHandlers {
         description: 'Debug task sequencing issues - shows prerequisite chains and task states',
         inputSchema: { type: 'object', properties: {} }
       },
+      {
+        name: 'get_critical_path',
+        description: 'Analyze task prerequisites as a dependency graph - critical path, earliest starts and which tasks unblock the most work',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              minimum: 1,
+              default: 10,
+              description: 'Maximum number of high-unlock tasks to list'
+            }
+          }
+        }
+      },
       {
         name: 'repair_sequence',
         description: 'Fix broken task sequencing by rebuilding the frontier with proper dependencies',
@@ -610,7 +1449,7 @@ export class McpHandlers {
           properties: {
             force_rebuild: {
               type: 'boolean',
-              description: 'Completely rebuild the task sequence from scratch'
+              description: 'Regenerate the tree, merging completed work and hand edits into it'
             }
           }
         }
@@ -720,7 +1559,7 @@ export class McpHandlers {
       },
       {
         name: 'get_generation_history',
-        description: 'Retrieve collaborative task generation history for active project',
+        description: 'List branch expansions for the active project, newest first, and the branches still to plan',
         inputSchema: {
           type: 'object',
           properties: {
@@ -5,6 +5,8 @@
 
 import path from 'path';
 import fs from 'fs';
+import { createMilestone, isValidDate } from './deadline-planner.js';
+import { parseWeeklyBudget } from '../utils/time-allocation.js';
 
 export class ProjectManagement {
   /**
@@ -22,6 +24,11 @@ export class ProjectManagement {
    * Ensure the global config.json file exists and is valid. Repairs or recreates if missing/corrupted.
    */
   ensureGlobalConfig() {
+    // Only the file backend keeps config.json on disk; other backends create
+    // global data on first save.
+    if (this.dataPersistence.storage && this.dataPersistence.storage.backend !== 'file') {
+      return;
+    }
     const globalConfigPath = path.join(this.dataPersistence.dataDir, 'config.json');
     let needsRepair = false;
     // Always use both properties for globalData
@@ -59,6 +66,35 @@ export class ProjectManagement {
     }
   }
 
+  /**
+   * Read the global config through DataPersistence so every storage backend
+   * sees the same project list. Unreadable data starts a fresh config.
+   */
+  async loadGlobalConfig() {
+    let globalData = null;
+    try {
+      globalData = await this.dataPersistence.loadGlobalData('config.json');
+    } catch (err) {
+      if (this.dataPersistence && this.dataPersistence.logger && this.dataPersistence.logger.error) {
+        this.dataPersistence.logger.error('Failed to read global config, initializing new one', { error: err.message });
+      }
+    }
+    if (!globalData || !Array.isArray(globalData.projects)) {
+      globalData = { projects: [], activeProject: globalData?.activeProject ?? null };
+    }
+    return globalData;
+  }
+
+  async saveGlobalConfig(globalData, transaction = null) {
+    const saved = await this.dataPersistence.saveGlobalData('config.json', globalData, transaction);
+    if (!saved) {
+      throw new Error('Critical: Could not write global config file. Project state may be lost.');
+    }
+    if (this.dataPersistence && this.dataPersistence.logger && this.dataPersistence.logger.info) {
+      this.dataPersistence.logger.info('Global config updated', { globalData });
+    }
+  }
+
   // Helper to safely stringify errors
   toStringError(error) {
     if (!error) return 'Unknown error';
@@ -84,6 +120,9 @@ export class ProjectManagement {
         life_structure_preferences,
         urgency_level = 'medium',
         success_metrics = [],
+        deadline = null,
+        milestones = [],
+        weekly_hours_budget = null,
       } = args;
 
       if (!project_id || !goal || !life_structure_preferences) {
@@ -102,6 +141,24 @@ export class ProjectManagement {
         );
       }
 
+      if (deadline && !isValidDate(deadline)) {
+        throw new Error(`Invalid deadline '${deadline}': expected YYYY-MM-DD`);
+      }
+      for (const learningPath of learning_paths) {
+        if (learningPath.deadline && !isValidDate(learningPath.deadline)) {
+          throw new Error(`Invalid deadline '${learningPath.deadline}' for path '${learningPath.path_name}': expected YYYY-MM-DD`);
+        }
+      }
+      parseWeeklyBudget(weekly_hours_budget);
+      for (const learningPath of learning_paths) {
+        try {
+          parseWeeklyBudget(learningPath.weekly_hours_budget);
+        } catch (error) {
+          throw new Error(`${error.message} for path '${learningPath.path_name}'`);
+        }
+      }
+      const projectMilestones = milestones.map(createMilestone);
+
       // Calculate knowledge boost from existing credentials
       const { knowledgeLevel, skillMappings } = this.calculateKnowledgeBoost(
         existing_credentials,
@@ -121,6 +178,9 @@ export class ProjectManagement {
         life_structure_preferences,
         urgency_level,
         success_metrics,
+        deadline,
+        milestones: projectMilestones,
+        weekly_hours_budget: weekly_hours_budget === null || weekly_hours_budget === undefined ? null : Number(weekly_hours_budget),
         created_at: new Date().toISOString(),
         knowledge_level: knowledgeLevel,
         skill_mappings: skillMappings,
@@ -141,32 +201,12 @@ export class ProjectManagement {
         );
 
         // Update global configuration
-        const globalConfigPath = path.join(this.dataPersistence.dataDir, 'config.json');
-        let globalData = { projects: [], activeProject: null };
-        try {
-          if (fs.existsSync(globalConfigPath)) {
-            globalData = JSON.parse(fs.readFileSync(globalConfigPath, 'utf8'));
-          }
-        } catch (err) {
-          if (this.dataPersistence && this.dataPersistence.logger && this.dataPersistence.logger.error) {
-            this.dataPersistence.logger.error('Failed to read global config, initializing new one', { error: err.message });
-          }
-        }
+        const globalData = await this.loadGlobalConfig();
         if (!globalData.projects.includes(project_id)) {
           globalData.projects.push(project_id);
         }
         globalData.activeProject = project_id;
-        try {
-          fs.writeFileSync(globalConfigPath, JSON.stringify(globalData, null, 2));
-          if (this.dataPersistence && this.dataPersistence.logger && this.dataPersistence.logger.info) {
-            this.dataPersistence.logger.info('Global config updated', { path: globalConfigPath, globalData });
-          }
-        } catch (err) {
-          if (this.dataPersistence && this.dataPersistence.logger && this.dataPersistence.logger.error) {
-            this.dataPersistence.logger.error('Failed to write global config', { error: err.message, path: globalConfigPath });
-          }
-          throw new Error('Critical: Could not write global config file. Project state may be lost.');
-        }
+        await this.saveGlobalConfig(globalData, transaction);
 
         // Commit transaction
         await this.dataPersistence.commitTransaction(transaction);
@@ -193,6 +233,7 @@ export class ProjectManagement {
               `**Knowledge Level**: ${knowledgeLevel}/10\n` +
               `**Learning Paths**: ${(learning_paths.map(function(p) { return p.path_name; }).join(', ')) || 'general'}\n` +
               `**Focus Duration**: ${(life_structure_preferences && life_structure_preferences.focus_duration) || 'flexible'}\n` +
+              (projectConfig.weekly_hours_budget ? `**Weekly Budget**: ${projectConfig.weekly_hours_budget} hours\n` : '') +
               `**Wake Time**: ${(life_structure_preferences && life_structure_preferences.wake_time) || 'not specified'}\n\n` +
               'Ready to build HTA tree and start learning!',
           },
@@ -229,29 +270,9 @@ export class ProjectManagement {
 
       try {
         // Update global configuration
-        const globalConfigPath = path.join(this.dataPersistence.dataDir, 'config.json');
-        let globalData = { projects: [], activeProject: null };
-        try {
-          if (fs.existsSync(globalConfigPath)) {
-            globalData = JSON.parse(fs.readFileSync(globalConfigPath, 'utf8'));
-          }
-        } catch (err) {
-          if (this.dataPersistence && this.dataPersistence.logger && this.dataPersistence.logger.error) {
-            this.dataPersistence.logger.error('Failed to read global config, initializing new one', { error: err.message });
-          }
-        }
+        const globalData = await this.loadGlobalConfig();
         globalData.activeProject = projectId;
-        try {
-          fs.writeFileSync(globalConfigPath, JSON.stringify(globalData, null, 2));
-          if (this.dataPersistence && this.dataPersistence.logger && this.dataPersistence.logger.info) {
-            this.dataPersistence.logger.info('Global config updated', { path: globalConfigPath, globalData });
-          }
-        } catch (err) {
-          if (this.dataPersistence && this.dataPersistence.logger && this.dataPersistence.logger.error) {
-            this.dataPersistence.logger.error('Failed to write global config', { error: err.message, path: globalConfigPath });
-          }
-          throw new Error('Critical: Could not write global config file. Project state may be lost.');
-        }
+        await this.saveGlobalConfig(globalData, transaction);
 
         // Commit transaction
         await this.dataPersistence.commitTransaction(transaction);
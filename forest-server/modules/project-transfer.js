@@ -0,0 +1,192 @@
+/**
+ * Project Transfer Module
+ * Exports a project (config, per-path HTA trees, learning history, schedules,
+ * wisdom store, archive log) as one versioned bundle and imports bundles back,
+ * verifying checksums, migrating older schema versions and resolving project
+ * id conflicts.
+ */
+
+import { BUNDLE_CONFIG, FILE_NAMES } from './constants.js';
+import { FileSystem } from './utils/file-system.js';
+import { buildBundle, migrateBundle, verifyBundle } from '../utils/project-bundle.js';
+
+const SAFE_PROJECT_ID = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+export class ProjectTransfer {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * Write a project bundle to disk.
+   * @param {string|null} projectId - Project to export, defaults to the active project
+   * @param {string|null} outputPath - Bundle file, defaults to <dataDir>/exports/<id>-<timestamp>.forest.json
+   */
+  async exportProject(projectId = null, outputPath = null) {
+    try {
+      const id = projectId || await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(id, FILE_NAMES.CONFIG);
+      if (!config) {
+        throw new Error(`Project '${id}' not found`);
+      }
+
+      const files = await this.dataPersistence.readProjectFiles(id);
+      const bundle = buildBundle(id, files);
+      const target = outputPath || FileSystem.join(
+        this.dataPersistence.dataDir,
+        BUNDLE_CONFIG.EXPORT_DIR,
+        `${id}-${bundle.manifest.exportedAt.replace(/[:.]/g, '-')}${BUNDLE_CONFIG.FILE_EXTENSION}`
+      );
+
+      await FileSystem.ensureDir(FileSystem.dirname(target));
+      await FileSystem.writeJSON(target, bundle);
+
+      const pathNames = [...new Set(Object.keys(files)
+        .filter(relPath => relPath.startsWith('paths/'))
+        .map(relPath => relPath.split('/')[1]))];
+
+      return {
+        content: [{
+          type: 'text',
+          text: `📦 **Project Exported**: ${id}\n\n` +
+            `**Files**: ${bundle.manifest.fileCount}\n` +
+            `**Paths**: ${pathNames.join(', ') || 'none'}\n` +
+            `**Schema**: v${bundle.schemaVersion}\n` +
+            `**Checksum**: ${bundle.manifest.checksum}\n\n` +
+            `💾 Saved to ${target}\n\nRestore it with \`import_project\`.`
+        }],
+        bundle_path: target,
+        project_id: id,
+        file_count: bundle.manifest.fileCount,
+        schema_version: bundle.schemaVersion,
+        checksum: bundle.manifest.checksum
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('exportProject', error, { projectId, outputPath });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error exporting project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * Restore a project from a bundle.
+   * @param {Object} options
+   * @param {string|null} options.bundlePath - Bundle file to read
+   * @param {string|null} options.bundleContent - Bundle JSON text (used instead of bundlePath)
+   * @param {string|null} options.targetProjectId - Import under a different id
+   * @param {string} options.onConflict - 'error', 'overwrite' (existing project is backed up) or 'rename'
+   */
+  async importProject({ bundlePath = null, bundleContent = null, targetProjectId = null, onConflict = 'error' } = {}) {
+    try {
+      if (!bundleContent && !bundlePath) {
+        throw new Error('Provide either bundle_path or bundle_content');
+      }
+      if (!BUNDLE_CONFIG.CONFLICT_STRATEGIES.includes(onConflict)) {
+        throw new Error(`on_conflict must be one of: ${BUNDLE_CONFIG.CONFLICT_STRATEGIES.join(', ')}`);
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(bundleContent || await FileSystem.readFile(bundlePath));
+      } catch (parseError) {
+        throw new Error(`Bundle is not valid JSON: ${parseError.message}`);
+      }
+
+      const verification = verifyBundle(parsed);
+      if (!verification.valid) {
+        throw new Error(`Bundle verification failed:\n- ${verification.errors.join('\n- ')}`);
+      }
+
+      const { bundle, applied } = migrateBundle(parsed);
+      const sourceId = bundle.manifest.projectId;
+      let projectId = targetProjectId || sourceId;
+      if (!SAFE_PROJECT_ID.test(projectId)) {
+        throw new Error(`Invalid project id '${projectId}'`);
+      }
+
+      let conflict = null;
+      if (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG)) {
+        if (onConflict === 'error') {
+          throw new Error(
+            `Project '${projectId}' already exists. Use on_conflict "overwrite" or "rename", or choose a target_project_id.`
+          );
+        }
+        conflict = onConflict;
+        if (onConflict === 'rename') {
+          projectId = await this.findAvailableProjectId(projectId);
+        }
+      }
+
+      const files = { ...bundle.files };
+      if (files[FILE_NAMES.CONFIG] && projectId !== sourceId) {
+        files[FILE_NAMES.CONFIG] = { ...files[FILE_NAMES.CONFIG], id: projectId };
+      }
+
+      const backupDir = await this.dataPersistence.replaceProjectFiles(projectId, files);
+      await this.registerProject(projectId);
+
+      const notes = [];
+      if (applied.length > 0) {
+        notes.push(`🔄 Migrated from schema v${applied[0]} to v${BUNDLE_CONFIG.SCHEMA_VERSION}`);
+      }
+      if (conflict === 'rename') {
+        notes.push(`✏️ '${sourceId}' already existed, imported as '${projectId}'`);
+      }
+      if (backupDir) {
+        notes.push(`🗄️ Previous project backed up to ${backupDir}`);
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: `📥 **Project Imported**: ${projectId}\n\n` +
+            `**Files**: ${bundle.manifest.fileCount} (checksums verified)\n` +
+            `**Exported**: ${bundle.manifest.exportedAt}\n` +
+            (notes.length > 0 ? `\n${notes.join('\n')}\n` : '') +
+            `\nUse \`switch_project\` with "${projectId}" to continue working on it.`
+        }],
+        project_id: projectId,
+        source_project_id: sourceId,
+        file_count: bundle.manifest.fileCount,
+        migrations_applied: applied,
+        conflict_resolution: conflict,
+        backup_dir: backupDir
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('importProject', error, { bundlePath, targetProjectId, onConflict });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error importing project: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  async findAvailableProjectId(baseId) {
+    for (let suffix = 2; ; suffix++) {
+      const candidate = `${baseId}_${suffix}`;
+      if (!(await this.dataPersistence.loadProjectData(candidate, FILE_NAMES.CONFIG))) {
+        return candidate;
+      }
+    }
+  }
+
+  async registerProject(projectId) {
+    const globalData = (await this.dataPersistence.loadGlobalData(FILE_NAMES.CONFIG)) || { projects: [], activeProject: null };
+    if (!Array.isArray(globalData.projects)) {
+      globalData.projects = [];
+    }
+    if (!globalData.projects.includes(projectId)) {
+      globalData.projects.push(projectId);
+      if (!(await this.dataPersistence.saveGlobalData(FILE_NAMES.CONFIG, globalData))) {
+        throw new Error('Project files were imported but the global project list could not be updated');
+      }
+    }
+  }
+}
@@ -220,23 +220,28 @@ export class ReasoningEngine {
     const urgencyLevel = config?.urgency_level || 'medium';
     const createdDate = new Date(config?.created_at || Date.now());
     const daysSinceStart = Math.floor((Date.now() - createdDate) / (1000 * 60 * 60 * 24));
+    // With a real target date, pacing follows the calendar instead of the urgency curve
+    const totalDays = config?.deadline
+      ? Math.max(1, Math.ceil((new Date(`${config.deadline}T23:59:59Z`) - createdDate) / (1000 * 60 * 60 * 24)))
+      : null;
 
     const htaData = await this.loadHTA(projectId, config?.activePath || 'general');
     const progress = this.calculateProgress(htaData);
 
-    const pacingAnalysis = this.analyzePacing(urgencyLevel, daysSinceStart, progress);
+    const pacingAnalysis = this.analyzePacing(urgencyLevel, daysSinceStart, progress, totalDays);
 
     return {
       urgencyLevel,
       daysSinceStart,
+      deadline: config?.deadline || null,
       progress,
       pacingAnalysis,
       recommendations: this.generatePacingRecommendations(pacingAnalysis, urgencyLevel)
     };
   }
 
-  analyzePacing(urgencyLevel, daysSinceStart, progress) {
-    const expectedProgress = this.calculateExpectedProgress(urgencyLevel, daysSinceStart);
+  analyzePacing(urgencyLevel, daysSinceStart, progress, totalDays = null) {
+    const expectedProgress = this.calculateExpectedProgress(urgencyLevel, daysSinceStart, totalDays);
     const progressDelta = progress.percentage - expectedProgress;
 
     let status = 'on_track';
@@ -252,7 +257,9 @@ export class ReasoningEngine {
       status = 'slightly_behind';
       message = 'Slightly behind expected pace';
     } else {
-      message = `Progress aligned with ${urgencyLevel} urgency level`;
+      message = totalDays
+        ? 'Progress aligned with the project deadline'
+        : `Progress aligned with ${urgencyLevel} urgency level`;
     }
 
     return {
@@ -264,7 +271,12 @@ export class ReasoningEngine {
     };
   }
 
-  calculateExpectedProgress(urgencyLevel, daysSinceStart) {
+  calculateExpectedProgress(urgencyLevel, daysSinceStart, totalDays = null) {
+    if (totalDays) {
+      // Linear progress from project start to its deadline
+      return Math.min(100, (daysSinceStart / totalDays) * 100);
+    }
+
     // Expected progress curves based on urgency
     const progressCurves = {
       'critical': daysSinceStart * 2, // Fast pace
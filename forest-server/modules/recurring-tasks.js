@@ -0,0 +1,283 @@
+/**
+ * Recurring Tasks Module
+ * Habits and maintenance chores as first-class recurring items. Each item has
+ * a recurrence rule and per-occurrence completions, stored per project in
+ * recurring_tasks.json. Schedules place the items due on a day, complete_block
+ * records occurrences, and streak reports feed review_week.
+ */
+
+import { FILE_NAMES, RECURRING_CONFIG } from './constants.js';
+import {
+  addDays,
+  computeStreak,
+  describeRecurrence,
+  getDueItems,
+  listOccurrences,
+  parseRecurrence
+} from '../utils/recurrence.js';
+
+const TIME_PATTERN = /^(1[0-2]|0?[1-9]):[0-5]\d\s?(AM|PM)$/i;
+
+function todayString() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export class RecurringTasks {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  /**
+   * Add a habit or maintenance task that repeats on a schedule
+   * @param {Object} options
+   * @param {string} options.title - What to do
+   * @param {string|Object} [options.recurrence] - "daily", "weekdays", "every 3 days", an RRULE, ...
+   * @param {number} [options.durationMinutes] - Minutes per occurrence
+   * @param {string|null} [options.preferredTime] - Time of day it is pinned to (e.g. "7:00 AM")
+   * @param {string} [options.kind] - habit or maintenance
+   * @param {string|null} [options.startDate] - First day it occurs (defaults to today)
+   */
+  async addRecurringTask({
+    title,
+    recurrence = RECURRING_CONFIG.DEFAULT_RECURRENCE,
+    durationMinutes = RECURRING_CONFIG.DEFAULT_DURATION_MINUTES,
+    preferredTime = null,
+    kind = RECURRING_CONFIG.DEFAULT_KIND,
+    startDate = null
+  } = {}) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      if (!title || !String(title).trim()) {
+        throw new Error('A title is required');
+      }
+      if (!RECURRING_CONFIG.KINDS.includes(kind)) {
+        throw new Error(`Unknown kind '${kind}'. Use one of: ${RECURRING_CONFIG.KINDS.join(', ')}`);
+      }
+      if (preferredTime && !TIME_PATTERN.test(preferredTime.trim())) {
+        throw new Error(`Invalid preferred_time '${preferredTime}': use a time like "7:00 AM"`);
+      }
+      if (!Number.isFinite(durationMinutes) || durationMinutes <= 0) {
+        throw new Error('duration_minutes must be a positive number');
+      }
+      const rule = parseRecurrence(recurrence);
+      const firstDay = startDate || todayString();
+      addDays(firstDay, 0); // Validates the date format
+
+      return await this.dataPersistence.executeInTransaction(async transaction => {
+        await this.dataPersistence.lockProject(projectId, transaction);
+        const items = await this.loadItems(projectId);
+        const item = {
+          id: this.createId(title, items),
+          title: String(title).trim(),
+          kind,
+          recurrence: rule,
+          startDate: firstDay,
+          preferredTime: preferredTime ? preferredTime.trim() : null,
+          durationMinutes: Math.round(durationMinutes),
+          active: true,
+          createdAt: new Date().toISOString(),
+          completions: {}
+        };
+        items.push(item);
+        await this.saveItems(projectId, items, transaction);
+
+        const { nextDue } = computeStreak(item, todayString());
+        return {
+          content: [{
+            type: 'text',
+            text: `🔁 **Recurring ${kind} added**: ${item.title}\n\n` +
+              `• Repeats: ${describeRecurrence(rule)}${item.preferredTime ? ` at ${item.preferredTime}` : ''}\n` +
+              `• Duration: ${item.durationMinutes} minutes\n` +
+              `• Next due: ${nextDue || 'no further occurrences'}\n\n` +
+              `Daily schedules now include it on due days; complete it with \`complete_block\` using block id \`${item.id}\`.`
+          }],
+          recurring_task: item,
+          next_due: nextDue
+        };
+      }, 'addRecurringTask');
+    } catch (error) {
+      await this.dataPersistence.logError('addRecurringTask', error, { title, recurrence, kind });
+      return {
+        content: [{ type: 'text', text: `Error adding recurring task: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Streaks, completion rates and missed occurrences for every recurring item
+   * @param {string|null} asOf - Reference day (defaults to today)
+   */
+  async getHabitStreaks(asOf = null) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const date = asOf || todayString();
+      const items = (await this.loadItems(projectId)).filter(item => item.active !== false);
+      const streaks = items.map(item => ({
+        id: item.id,
+        title: item.title,
+        kind: item.kind,
+        recurrence: describeRecurrence(parseRecurrence(item.recurrence)),
+        ...computeStreak(item, date, {
+          windowDays: RECURRING_CONFIG.RATE_WINDOW_DAYS,
+          missedLookbackDays: RECURRING_CONFIG.MISSED_LOOKBACK_DAYS
+        })
+      }));
+
+      let text = `🔥 **Habit Streaks** — ${date}\n\n`;
+      if (streaks.length === 0) {
+        text += 'No recurring tasks yet. Add one with `add_recurring_task`, or list habit_goals when creating a project.';
+      }
+      for (const streak of streaks) {
+        const rate = streak.completionRate === null
+          ? 'no occurrences yet'
+          : `${Math.round(streak.completionRate * 100)}% over ${RECURRING_CONFIG.RATE_WINDOW_DAYS} days`;
+        text += `**${streak.title}** (${streak.recurrence})\n`;
+        text += `• Streak: ${streak.currentStreak} (best ${streak.longestStreak}) — ${rate}\n`;
+        if (streak.missed.length > 0) {
+          text += `• Missed: ${streak.missed.join(', ')}\n`;
+        }
+        if (streak.dueToday) {
+          text += streak.completedToday ? '• ✅ Done today\n' : '• ⏳ Due today\n';
+        } else if (streak.nextDue) {
+          text += `• Next due: ${streak.nextDue}\n`;
+        }
+        text += '\n';
+      }
+
+      return {
+        content: [{ type: 'text', text: text.trimEnd() }],
+        project_id: projectId,
+        as_of: date,
+        habit_streaks: streaks
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('getHabitStreaks', error, { asOf });
+      return {
+        content: [{ type: 'text', text: `Error getting habit streaks: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Record that an occurrence was done
+   * @returns {Promise<Object|null>} Streak after the completion, or null for an unknown item
+   */
+  async recordCompletion(projectId, itemId, date, details = {}, transaction = null) {
+    const items = await this.loadItems(projectId);
+    const item = items.find(candidate => candidate.id === itemId);
+    if (!item) {
+      return null;
+    }
+    item.completions = { ...item.completions, [date]: { completedAt: new Date().toISOString(), ...details } };
+    await this.saveItems(projectId, items, transaction);
+    return computeStreak(item, date, {
+      windowDays: RECURRING_CONFIG.RATE_WINDOW_DAYS,
+      missedLookbackDays: RECURRING_CONFIG.MISSED_LOOKBACK_DAYS
+    });
+  }
+
+  async findItem(projectId, itemId) {
+    const items = await this.loadItems(projectId);
+    return items.find(item => item.id === itemId) || null;
+  }
+
+  /**
+   * Items to place in a day's schedule
+   * @param {string} projectId - Project
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object|null} config - Project config, when the caller already has it
+   */
+  async getItemsDueOn(projectId, date, config = null) {
+    return getDueItems(await this.loadItems(projectId, config), date);
+  }
+
+  /**
+   * Per-item occurrences within [from, to]. An open occurrence on `to` is
+   * still pending rather than missed.
+   */
+  async summarizePeriod(projectId, from, to, config = null) {
+    const items = (await this.loadItems(projectId, config)).filter(item => item.active !== false);
+    const summary = [];
+
+    for (const item of items) {
+      if (item.startDate > to) {
+        continue;
+      }
+      const rule = parseRecurrence(item.recurrence);
+      const completions = item.completions || {};
+      const scheduled = listOccurrences(rule, item.startDate, from > item.startDate ? from : item.startDate, to);
+      if (scheduled.length === 0) {
+        continue;
+      }
+      summary.push({
+        id: item.id,
+        title: item.title,
+        kind: item.kind,
+        scheduled: scheduled.length,
+        completed: scheduled.filter(date => completions[date]).length,
+        missed: scheduled.filter(date => date < to && !completions[date]),
+        currentStreak: computeStreak(item, to).currentStreak
+      });
+    }
+    return summary;
+  }
+
+  /**
+   * Stored items, or daily habits seeded from the project's habit_goals
+   * until anything has been saved
+   */
+  async loadItems(projectId, config = null) {
+    const stored = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.RECURRING_TASKS);
+    if (stored) {
+      return stored.items || [];
+    }
+    const projectConfig = config || (await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG));
+    return this.seedFromHabitGoals(projectConfig);
+  }
+
+  async saveItems(projectId, items, transaction = null) {
+    return await this.dataPersistence.saveProjectData(
+      projectId,
+      FILE_NAMES.RECURRING_TASKS,
+      { items, lastUpdated: new Date().toISOString() },
+      transaction
+    );
+  }
+
+  seedFromHabitGoals(config) {
+    const goals = config?.current_habits?.habit_goals || [];
+    const startDate = config?.created_at ? config.created_at.split('T')[0] : todayString();
+    const items = [];
+
+    for (const goal of goals) {
+      if (typeof goal !== 'string' || !goal.trim()) {
+        continue;
+      }
+      items.push({
+        id: this.createId(goal, items),
+        title: goal.trim(),
+        kind: 'habit',
+        recurrence: parseRecurrence(RECURRING_CONFIG.DEFAULT_RECURRENCE),
+        startDate,
+        preferredTime: null,
+        durationMinutes: RECURRING_CONFIG.DEFAULT_DURATION_MINUTES,
+        active: true,
+        createdAt: config.created_at || null,
+        completions: {},
+        source: 'habit_goals'
+      });
+    }
+    return items;
+  }
+
+  createId(title, items) {
+    const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'task';
+    const base = `${RECURRING_CONFIG.ID_PREFIX}${slug}`;
+    let id = base;
+    for (let n = 2; items.some(item => item.id === id); n++) {
+      id = `${base}_${n}`;
+    }
+    return id;
+  }
+}
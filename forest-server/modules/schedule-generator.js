@@ -3,13 +3,30 @@
  * Handles daily schedule generation and planning
  */
 
+import { ReviewScheduler } from './task-logic/review-scheduler.js';
+import { RecurringTasks } from './recurring-tasks.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { EnergyModel } from './energy-model.js';
+import { calibrateMinutes } from '../utils/duration-calibration.js';
+import { getBusySlotsForDate } from '../utils/ical.js';
+import { holdReason } from '../utils/hta-eligibility.js';
+import { solveSchedule } from '../utils/schedule-solver.js';
+import { ENERGY_MODEL_CONFIG, FILE_NAMES, REPLAN_CONFIG, REVIEW_CONFIG, SCHEDULER_CONFIG } from './constants.js';
+
 export class ScheduleGenerator {
   constructor(dataPersistence, projectManagement) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
+    this.recurringTasks = new RecurringTasks(dataPersistence, projectManagement);
+    this.durationCalibration = new DurationCalibration(dataPersistence);
+    this.energyModel = new EnergyModel(dataPersistence);
   }
 
-  async generateDailySchedule(dateStr = null, energyLevel = 3, availableHours = null, focusType = 'mixed', context = 'User requested schedule') {
+  /**
+   * @param {number|null} [energyLevel] - 1-5; when omitted the learned energy
+   *   forecast for the date's weekday is used hour by hour (see EnergyModel)
+   */
+  async generateDailySchedule(dateStr = null, energyLevel = null, availableHours = null, focusType = 'mixed', context = 'User requested schedule') {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
       const config = await this.dataPersistence.loadProjectData(projectId, 'config.json');
@@ -19,14 +36,19 @@ export class ScheduleGenerator {
       }
 
       const targetDate = dateStr || new Date().toISOString().split('T')[0];
+      const energy = energyLevel !== null && energyLevel !== undefined
+        ? { energyLevel, energyByHour: null, source: 'given' }
+        : await this.forecastEnergy(config, targetDate);
       const schedule = await this.generateComprehensiveSchedule(
         config,
         projectId,
         targetDate,
-        energyLevel,
+        energy.energyLevel,
         availableHours,
         focusType,
-        context
+        context,
+        null,
+        energy.energyByHour
       );
 
       // Save the schedule
@@ -39,7 +61,7 @@ export class ScheduleGenerator {
           type: 'text',
           text: `📅 **Daily Schedule Generated - ${targetDate}**\n\n${scheduleText}\n\n` +
                `🎯 **Focus**: ${focusType}\n` +
-               `⚡ **Energy Level**: ${energyLevel}/5\n` +
+               `⚡ **Energy Level**: ${energy.energyLevel}/5${energy.source === 'forecast' ? ' (forecast from your completions)' : ''}\n` +
                `📋 **Total Blocks**: ${schedule.blocks?.length || 0}\n\n` +
                '✅ Ready to start your structured day!'
         }],
@@ -57,7 +79,180 @@ export class ScheduleGenerator {
     }
   }
 
-  async generateComprehensiveSchedule(config, projectId, date, energyLevel, availableHours, focusType, context) {
+  /**
+   * Day energy from the learned model: an hourly curve for the date's weekday
+   * and its average over waking hours, or the default level without enough data
+   * @returns {Promise<{energyLevel: number, energyByHour: Array<number>|null, source: string}>}
+   */
+  async forecastEnergy(config, date) {
+    const preferences = config.life_structure_preferences || {};
+    const forecast = await this.energyModel.forecastForDate(
+      date,
+      Math.floor(this.parseTime(preferences.wake_time || '7:00 AM') / 60),
+      Math.ceil(this.parseTime(preferences.sleep_time || '10:00 PM') / 60)
+    );
+    return forecast
+      ? { ...forecast, source: 'forecast' }
+      : { energyLevel: ENERGY_MODEL_CONFIG.DEFAULT_LEVEL, energyByHour: null, source: 'default' };
+  }
+
+  /**
+   * Rebuild the rest of a saved day from the current time. Blocks that have
+   * started, meals, commitments and pinned recurring items stay where they
+   * are; everything else after `currentTime` is regenerated from the tasks
+   * still open. Each re-plan is recorded on the schedule for review_week.
+   * @param {Object} options
+   * @param {string} options.currentTime - "14:30" or "2:30 PM"
+   * @param {Array<string>} [options.completedBlocks] - Block (or task) ids finished so far
+   * @param {Array<string>} [options.skippedBlocks] - Block (or task) ids that will not be done
+   * @param {string|null} [options.date] - YYYY-MM-DD, defaults to today
+   * @param {number|null} [options.energyLevel] - Current energy, defaults to the schedule's
+   */
+  async replanDay({ currentTime, completedBlocks = [], skippedBlocks = [], date = null, energyLevel = null } = {}) {
+    try {
+      if (!REPLAN_CONFIG.CLOCK_PATTERN.test(String(currentTime || '').trim())) {
+        throw new Error(`Invalid current_time '${currentTime}': expected HH:MM or H:MM AM/PM`);
+      }
+      const now = this.parseTime(String(currentTime).trim().replace(/\s*([AP]M)$/i, ' $1'));
+      const projectId = await this.projectManagement.requireActiveProject();
+      const targetDate = date || new Date().toISOString().split('T')[0];
+
+      return await this.dataPersistence.executeInTransaction(async transaction => {
+        await this.dataPersistence.lockProject(projectId, transaction);
+        const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+        const schedule = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(targetDate));
+        if (!config) {
+          throw new Error('Project configuration not found');
+        }
+        if (!Array.isArray(schedule?.blocks)) {
+          throw new Error(`No schedule for ${targetDate}. Generate one first with \`generate_daily_schedule\``);
+        }
+
+        const findBlock = id => {
+          const block = schedule.blocks.find(b => b.id === id || b.taskId === id);
+          if (!block) {
+            throw new Error(`Block '${id}' is not in the ${targetDate} schedule`);
+          }
+          return block;
+        };
+        const changedAt = new Date().toISOString();
+        for (const block of completedBlocks.map(findBlock)) {
+          if (!block.completed) {
+            block.completed = true;
+            block.completedAt = changedAt;
+            block.completedVia = 'replan_day';
+          }
+          delete block.skipped;
+        }
+        for (const block of skippedBlocks.map(findBlock)) {
+          if (block.completed) {
+            throw new Error(`Block '${block.id}' is already completed and cannot be skipped`);
+          }
+          block.skipped = true;
+          block.skippedAt = changedAt;
+        }
+
+        const preferences = schedule.preferences || config.life_structure_preferences || {};
+        const sleepTime = this.parseTime(preferences.sleep_time || '10:00 PM');
+        const startOf = block => this.parseTime(block.startTime);
+        const isFixed = block => REPLAN_CONFIG.FIXED_BLOCK_TYPES.includes(block.type) && !block.skipped;
+        const ahead = block => startOf(block) >= now && !block.completed && !block.skipped;
+
+        const fixedAhead = schedule.blocks.filter(block => ahead(block) && isFixed(block));
+        const removed = schedule.blocks.filter(block => ahead(block) && !isFixed(block));
+        const kept = schedule.blocks.filter(block => !ahead(block));
+
+        // Open tasks not finished today, limited to the day's own tasks when a weekly plan assigned them
+        const htaData = (await this.dataPersistence.loadPathHTA(projectId, config.activePath || 'general')) || {};
+        const doneToday = new Set(schedule.blocks.filter(block => block.completed && block.taskId).map(block => block.taskId));
+        let readyTasks = this.getReadyTasks(htaData).filter(task => !doneToday.has(task.id));
+        if (schedule.weeklyPlanId) {
+          const planned = new Set(schedule.blocks.filter(block => block.type === 'learning').map(block => block.taskId));
+          readyTasks = readyTasks.filter(task => planned.has(task.id));
+        }
+        const dueReviews = ReviewScheduler.getDueReviews(htaData, new Date(`${targetDate}T23:59:59Z`))
+          .filter(review => !doneToday.has(review.nodeId));
+
+        const revision = (schedule.replans?.length || 0) + 1;
+        const generated = this.createTimeBlocks(
+          now,
+          sleepTime,
+          [],
+          readyTasks,
+          energyLevel ?? schedule.energyLevel ?? 3,
+          schedule.focusType || 'mixed',
+          preferences,
+          config.constraints || {},
+          null,
+          dueReviews,
+          fixedAhead.map(block => ({ start: startOf(block), end: startOf(block) + (block.duration || 0), title: block.title, blockId: block.id })),
+          [],
+          await this.durationCalibration.loadModel(),
+          // A forecast curve saved with the day still applies unless a new level was given
+          energyLevel === null ? schedule.energyByHour || null : null
+        );
+
+        // Fixed blocks come back from createTimeBlocks as busy time; restore the originals
+        const added = [];
+        const rebuilt = generated.map(block => {
+          const fixed = block.type === 'meeting' && fixedAhead.find(f => startOf(f) === startOf(block));
+          if (fixed) {
+            return fixed;
+          }
+          const fresh = { ...block, id: `${block.id}_r${revision}` };
+          added.push(fresh);
+          return fresh;
+        });
+        const missingFixed = fixedAhead.filter(block => !rebuilt.includes(block));
+
+        schedule.blocks = [...kept, ...rebuilt, ...missingFixed].sort((a, b) => startOf(a) - startOf(b));
+        schedule.energyLevel = energyLevel ?? schedule.energyLevel;
+        if (energyLevel !== null) {
+          delete schedule.energyByHour;
+        }
+        const summarize = block => ({ id: block.id, type: block.type, title: block.title, taskId: block.taskId || null });
+        const change = {
+          revision,
+          at: changedAt,
+          currentTime: this.formatTime(now),
+          completed: completedBlocks,
+          skipped: skippedBlocks,
+          removed: removed.map(summarize),
+          added: added.map(summarize)
+        };
+        schedule.replans = [...(schedule.replans || []), change];
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(targetDate), schedule, transaction);
+
+        const remaining = { blocks: schedule.blocks.filter(block => startOf(block) >= now && !block.completed && !block.skipped) };
+        return {
+          content: [{
+            type: 'text',
+            text: `🔄 **Day Re-planned - ${targetDate} from ${change.currentTime}**\n\n` +
+              `✅ Completed: ${completedBlocks.length} • ⏭️ Skipped: ${skippedBlocks.length} • ` +
+              `➖ Removed: ${removed.length} • ➕ Added: ${added.length}\n\n` +
+              (remaining.blocks.length > 0 ? this.formatScheduleForDisplay(remaining) : 'Nothing left to schedule today.\n')
+          }],
+          daily_schedule: schedule,
+          replan: change,
+          date: targetDate
+        };
+      }, 'replanDay');
+    } catch (error) {
+      await this.dataPersistence.logError('replanDay', error, { currentTime, date });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error re-planning day: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  /**
+   * @param {Array<Object>|null} [plannedTasks] - Tasks assigned to this day by a weekly plan;
+   *   the day's ready tasks are used when omitted
+   */
+  async generateComprehensiveSchedule(config, projectId, date, energyLevel, availableHours, focusType, context, plannedTasks = null, energyByHour = null) {
     const preferences = config.life_structure_preferences || {};
     const constraints = config.constraints || {};
 
@@ -67,8 +262,12 @@ export class ScheduleGenerator {
     const mealTimes = this.parseMealTimes(preferences.meal_times || ['8:00 AM', '12:00 PM', '6:00 PM']);
 
     // Get available learning tasks
-    const htaData = await this.loadPathHTA(projectId, config.activePath || 'general');
-    const readyTasks = this.getReadyTasks(htaData);
+    const htaData = (await this.dataPersistence.loadPathHTA(projectId, config.activePath || 'general')) || {};
+    const readyTasks = plannedTasks ? [...plannedTasks] : this.getReadyTasks(htaData);
+    const dueReviews = ReviewScheduler.getDueReviews(htaData, new Date(`${date}T23:59:59Z`));
+    const busySlots = await this.loadBusySlots(date);
+    const recurringItems = await this.recurringTasks.getItemsDueOn(projectId, date, config);
+    const calibration = await this.durationCalibration.loadModel();
 
     // Generate time blocks
     const blocks = this.createTimeBlocks(
@@ -80,7 +279,12 @@ export class ScheduleGenerator {
       focusType,
       preferences,
       constraints,
-      availableHours
+      availableHours,
+      dueReviews,
+      busySlots,
+      recurringItems,
+      calibration,
+      energyByHour
     );
 
     return {
@@ -88,6 +292,7 @@ export class ScheduleGenerator {
       projectId,
       activePath: config.activePath || 'general',
       energyLevel,
+      ...(energyByHour ? { energyByHour } : {}),
       focusType,
       context,
       preferences,
@@ -96,12 +301,14 @@ export class ScheduleGenerator {
     };
   }
 
-  async loadPathHTA(projectId, pathName) {
-    if (pathName === 'general') {
-      return await this.dataPersistence.loadProjectData(projectId, 'hta.json') || {};
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, 'hta.json') || {};
-    }
+  /**
+   * Busy slots for a day from imported calendar commitments (see import_ical_commitments).
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array<{start: number, end: number, title: string}>>}
+   */
+  async loadBusySlots(date) {
+    const commitments = await this.dataPersistence.loadGlobalData(FILE_NAMES.COMMITMENTS);
+    return getBusySlotsForDate(commitments?.events || [], date);
   }
 
   getReadyTasks(htaData) {
@@ -109,7 +316,7 @@ export class ScheduleGenerator {
     const completedNodeIds = nodes.filter(n => n.completed).map(n => n.id);
 
     return nodes.filter(node => {
-      if (node.completed) {return false;}
+      if (node.completed || holdReason(node)) {return false;}
 
       if (node.prerequisites && node.prerequisites.length > 0) {
         return node.prerequisites.every(prereq =>
@@ -122,11 +329,272 @@ export class ScheduleGenerator {
     }).sort((a, b) => (b.priority || 200) - (a.priority || 200));
   }
 
-  createTimeBlocks(wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours) {
+  /**
+   * Lay out the day. The constraint solver places tasks and reviews; the
+   * greedy walk is used when preferences.scheduler is 'greedy', when there is
+   * no real work to place (it fills the day with exploration), or if the
+   * solver fails.
+   */
+  createTimeBlocks(wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours, dueReviews = [], busySlots = [], recurringItems = [], calibration = null, energyByHour = null) {
+    const args = [wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours, dueReviews, busySlots, recurringItems, calibration, energyByHour];
+    const algorithm = preferences?.scheduler || SCHEDULER_CONFIG.ALGORITHM;
+
+    if (algorithm === 'greedy' || (readyTasks.length === 0 && dueReviews.length === 0)) {
+      return this.createGreedyTimeBlocks(...args);
+    }
+    try {
+      return this.createSolvedTimeBlocks(...args);
+    } catch (error) {
+      console.error('Schedule solver failed, falling back to greedy scheduling:', error.message);
+      return this.createGreedyTimeBlocks(...args);
+    }
+  }
+
+  /**
+   * Optimised layout: commitments, meals and recurring items are fixed first,
+   * then utils/schedule-solver.js orders tasks and reviews in the free windows
+   * (honouring focus_duration, break_preferences and transition_time), and
+   * leftover gaps become habit blocks.
+   */
+  createSolvedTimeBlocks(wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours, dueReviews = [], busySlots = [], recurringItems = [], calibration = null, energyByHour = null) {
+    const fixed = this.buildFixedBlocks(wakeTime, sleepTime, mealTimes, busySlots, recurringItems);
+    const windows = this.findFreeWindows(wakeTime, sleepTime, fixed, availableHours);
+
+    const keyOf = new Map();
+    const items = [
+      ...readyTasks.map(task => ({ kind: 'task', source: task, key: `task:${task.id}` })),
+      ...dueReviews.map(review => ({ kind: 'review', source: review, key: `review:${review.nodeId}` }))
+    ].map(item => {
+      const { source } = item;
+      keyOf.set(source.id ?? source.nodeId, item.key);
+      if (source.title) {
+        keyOf.set(source.title, item.key);
+      }
+      return {
+        ...item,
+        minutes: item.kind === 'task'
+          ? this.calculateTaskDuration(source, preferences, energyLevel, calibration)
+          : this.parseDuration(source.duration),
+        priority: this.numericPriority(source.priority),
+        difficulty: source.difficulty || 3,
+        branch: source.branch || null
+      };
+    });
+    // Prerequisites are matched by id or title, like getReadyTasks
+    for (const item of items) {
+      item.prerequisites = (item.kind === 'task' ? item.source.prerequisites || [] : [])
+        .map(prereq => keyOf.get(prereq))
+        .filter(Boolean);
+    }
+
+    const solution = solveSchedule(items, windows, {
+      energyAt: this.buildEnergyCurve(energyLevel, energyByHour),
+      rules: {
+        focusMinutes: this.getFocusMinutes(preferences),
+        breakMinutes: this.getBreakDuration(preferences),
+        transitionMinutes: this.getTransitionMinutes(preferences),
+        minMinutes: SCHEDULER_CONFIG.MIN_WORK_MINUTES,
+        minClipRatio: SCHEDULER_CONFIG.MIN_CLIP_RATIO
+      },
+      iterations: SCHEDULER_CONFIG.ITERATIONS,
+      weights: SCHEDULER_CONFIG.WEIGHTS
+    });
+
+    const placed = [
+      ...fixed,
+      ...solution.placements.map(({ item, start, minutes }) => {
+        const { source } = item;
+        return item.kind === 'task'
+          ? {
+            type: 'learning', title: source.title, description: source.description, start, duration: minutes,
+            difficulty: source.difficulty, taskId: source.id, branch: source.branch, completed: false,
+            priority: source.priority || 200
+          }
+          : {
+            type: 'review', title: source.title, description: source.description, start, duration: minutes,
+            difficulty: source.difficulty, taskId: source.nodeId, branch: source.branch, dueDate: source.dueDate,
+            completed: false, priority: source.priority
+          };
+      }),
+      ...solution.breaks.map(({ start, duration }) => ({
+        type: 'break', title: 'Break & Reflection', start, duration, completed: false, priority: 'medium'
+      })),
+      ...solution.transitions.map(({ start, duration }) => ({
+        type: 'transition', title: 'Transition & Preparation', start, duration, completed: false, priority: 'low'
+      }))
+    ].sort((a, b) => a.start - b.start);
+
+    // Whatever is left over gets the same habit blocks as the greedy walk
+    const filled = [];
+    let cursor = wakeTime;
+    for (const block of [...placed, { start: sleepTime, duration: 0, end: true }]) {
+      while (cursor < block.start) {
+        const habit = this.generateHabitBlock(cursor, constraints, preferences);
+        const duration = Math.min(habit.duration, block.start - cursor);
+        filled.push({ type: 'habit', title: habit.title, start: cursor, duration, completed: false, priority: 'low' });
+        cursor += duration;
+      }
+      if (!block.end) {
+        filled.push(block);
+        cursor = Math.max(cursor, block.start + block.duration);
+      }
+    }
+
+    const prefixes = {
+      learning: 'task_', review: REVIEW_CONFIG.BLOCK_ID_PREFIX, break: 'break_', transition: 'transition_',
+      habit: 'habit_', meal: 'meal_', meeting: 'meeting_'
+    };
+    return filled.map((block, index) => {
+      const { start, ...rest } = block;
+      return {
+        id: block.type === 'recurring' ? block.recurringId : `${prefixes[block.type]}${index + 1}`,
+        ...rest,
+        startTime: this.formatTime(start)
+      };
+    });
+  }
+
+  /**
+   * Blocks the solver works around: calendar commitments, meals (moved past a
+   * commitment they would overlap) and recurring items at the first free time
+   * at or after their pinned time
+   * @returns {Array<Object>} Blocks with a numeric `start`, sorted
+   */
+  buildFixedBlocks(wakeTime, sleepTime, mealTimes, busySlots = [], recurringItems = []) {
+    const blocks = busySlots
+      .filter(slot => slot.end > wakeTime && slot.start < sleepTime)
+      .map(slot => {
+        const start = Math.max(slot.start, wakeTime);
+        return {
+          type: 'meeting', title: slot.title, start, duration: Math.min(slot.end, sleepTime) - start,
+          completed: false, priority: 'high', external: true
+        };
+      });
+
+    const firstFree = (from, wanted) => {
+      let start = from;
+      for (const block of [...blocks].sort((a, b) => a.start - b.start)) {
+        if (start >= block.start && start < block.start + block.duration) {
+          start = block.start + block.duration;
+        }
+      }
+      const next = blocks.filter(block => block.start >= start).reduce((min, block) => Math.min(min, block.start), sleepTime);
+      return { start, duration: Math.min(wanted, next - start) };
+    };
+
+    for (const mealTime of [...mealTimes].sort((a, b) => a - b)) {
+      if (mealTime < wakeTime || mealTime >= sleepTime) {
+        continue;
+      }
+      const { start, duration } = firstFree(mealTime, SCHEDULER_CONFIG.MEAL_MINUTES);
+      if (duration > 0) {
+        blocks.push({ type: 'meal', title: this.getMealType(start, mealTimes), start, duration, completed: false, priority: 'high' });
+      }
+    }
+
+    for (const { item, startMinutes } of this.orderRecurringItems(recurringItems, wakeTime, sleepTime)) {
+      const { start, duration } = firstFree(startMinutes, item.durationMinutes);
+      if (duration > 0) {
+        blocks.push({
+          type: 'recurring', title: item.title, start, duration, recurringId: item.id, kind: item.kind,
+          completed: false, priority: 'medium'
+        });
+      }
+    }
+
+    return blocks.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Free time between fixed blocks, limited to availableHours ("9,10,14") when given
+   * @returns {Array<{start: number, end: number}>}
+   */
+  findFreeWindows(wakeTime, sleepTime, fixedBlocks, availableHours = null) {
+    const windows = [];
+    let cursor = wakeTime;
+    for (const block of [...fixedBlocks, { start: sleepTime, duration: 0 }]) {
+      if (block.start > cursor) {
+        windows.push({ start: cursor, end: block.start });
+      }
+      cursor = Math.max(cursor, block.start + block.duration);
+    }
+    if (!availableHours) {
+      return windows;
+    }
+
+    const hours = availableHours.split(',').map(h => parseInt(h.trim(), 10)).filter(Number.isInteger);
+    return windows.flatMap(window => {
+      const parts = [];
+      for (let t = window.start; t < window.end;) {
+        const hourEnd = Math.min(window.end, (Math.floor(t / 60) + 1) * 60);
+        if (hours.includes(Math.floor(t / 60))) {
+          const last = parts[parts.length - 1];
+          if (last && last.end === t) {
+            last.end = hourEnd;
+          } else {
+            parts.push({ start: t, end: hourEnd });
+          }
+        }
+        t = hourEnd;
+      }
+      return parts;
+    });
+  }
+
+  /**
+   * Expected energy by hour: the learned forecast when there is one, otherwise
+   * the day's level, higher in the late morning and lower in the early
+   * afternoon and evening
+   * @param {number} energyLevel - 1-5
+   * @param {Array<number>|null} [energyByHour] - Forecast from EnergyModel
+   * @returns {function(number): number} Hour (0-23) to energy (1-5)
+   */
+  buildEnergyCurve(energyLevel, energyByHour = null) {
+    if (energyByHour) {
+      return hour => energyByHour[hour] ?? energyLevel;
+    }
+    return hour => {
+      let level = energyLevel;
+      if (SCHEDULER_CONFIG.PEAK_HOURS.includes(hour)) {
+        level += 1;
+      } else if (SCHEDULER_CONFIG.DIP_HOURS.includes(hour) || hour >= SCHEDULER_CONFIG.EVENING_FROM_HOUR) {
+        level -= 1;
+      }
+      return Math.min(5, Math.max(1, level));
+    };
+  }
+
+  numericPriority(priority) {
+    if (typeof priority === 'number') {return priority;}
+    return { high: 300, medium: 200, low: 100 }[priority] || 200;
+  }
+
+  /**
+   * Continuous work before a break, from focus_duration ("25 minutes", "2 hours");
+   * "flexible" and other non-lengths use SCHEDULER_CONFIG.DEFAULT_FOCUS_MINUTES
+   */
+  getFocusMinutes(preferences) {
+    const focus = String(preferences.focus_duration || '');
+    return /\d+\s*(minute|hour)/i.test(focus) ? this.parseDuration(focus) : SCHEDULER_CONFIG.DEFAULT_FOCUS_MINUTES;
+  }
+
+  getTransitionMinutes(preferences) {
+    const transition = String(preferences.transition_time || '');
+    return /\d+\s*(minute|hour)/i.test(transition) ? this.parseDuration(transition) : 0;
+  }
+
+  /**
+   * The original wake-to-sleep walk: at each point take whichever of a
+   * commitment, meal, recurring item, review, task or habit applies first.
+   */
+  createGreedyTimeBlocks(wakeTime, sleepTime, mealTimes, readyTasks, energyLevel, focusType, preferences, constraints, availableHours, dueReviews = [], busySlots = [], recurringItems = [], calibration = null, energyByHour = null) {
     const blocks = [];
     let currentTime = wakeTime;
     const endTime = sleepTime;
     let blockId = 1;
+    const pendingReviews = [...dueReviews];
+    const pendingRecurring = this.orderRecurringItems(recurringItems, wakeTime, sleepTime);
+    let lastWorkType = null;
 
     // Parse available hours if provided
     const priorityHours = availableHours ?
@@ -137,24 +605,83 @@ export class ScheduleGenerator {
       const hour = Math.floor(currentTime / 60);
       const isAvailableHour = priorityHours.length === 0 || priorityHours.includes(hour);
       const isMealTime = this.isMealTime(currentTime, mealTimes);
-
-      if (isMealTime) {
+      const busySlot = busySlots.find(slot => currentTime >= slot.start && currentTime < slot.end);
+      // Generated work ends before the next commitment or pinned recurring item
+      const nextPinned = pendingRecurring.find(pending => pending.startMinutes > currentTime)?.startMinutes ?? Infinity;
+      const fitWork = duration => Math.min(this.fitBeforeBusySlot(currentTime, duration, busySlots), nextPinned - currentTime);
+      // Gaps shorter than a review block are not worth starting work in
+      const fitsWork = fitWork(Infinity) >= REVIEW_CONFIG.DEFAULT_DURATION_MINUTES;
+
+      if (busySlot) {
+        // External commitment – keep the time free of generated work
+        blocks.push({
+          id: `meeting_${blockId++}`,
+          type: 'meeting',
+          title: busySlot.title,
+          startTime: this.formatTime(currentTime),
+          duration: busySlot.end - currentTime,
+          completed: false,
+          priority: 'high',
+          external: true
+        });
+        currentTime = busySlot.end;
+      } else if (isMealTime) {
         // Add meal block
         const mealType = this.getMealType(currentTime, mealTimes);
+        const duration = this.fitBeforeBusySlot(currentTime, 45, busySlots); // 45 minutes for meals
         blocks.push({
           id: `meal_${blockId++}`,
           type: 'meal',
           title: mealType,
           startTime: this.formatTime(currentTime),
-          duration: 45, // 45 minutes for meals
+          duration,
           completed: false,
           priority: 'high'
         });
-        currentTime += 45;
-      } else if (isAvailableHour && (readyTasks.length > 0 || focusType === 'learning')) {
+        currentTime += duration;
+      } else if (pendingRecurring.length > 0 && pendingRecurring[0].startMinutes <= currentTime) {
+        // Recurring habits and chores take the first free slot at or after their pinned time
+        const { item } = pendingRecurring.shift();
+        const duration = this.fitBeforeBusySlot(currentTime, item.durationMinutes, busySlots);
+        if (duration > 0) {
+          blocks.push({
+            id: item.id,
+            type: 'recurring',
+            title: item.title,
+            startTime: this.formatTime(currentTime),
+            duration,
+            recurringId: item.id,
+            kind: item.kind,
+            completed: false,
+            priority: 'medium'
+          });
+          currentTime += duration;
+        }
+      } else if (isAvailableHour && fitsWork && pendingReviews.length > 0 && (lastWorkType !== 'review' || readyTasks.length === 0)) {
+        // Interleave due reviews with new work so earlier learning is not lost
+        const review = pendingReviews.shift();
+        const duration = fitWork(this.parseDuration(review.duration));
+
+        blocks.push({
+          id: `${REVIEW_CONFIG.BLOCK_ID_PREFIX}${blockId++}`,
+          type: 'review',
+          title: review.title,
+          description: review.description,
+          startTime: this.formatTime(currentTime),
+          duration,
+          difficulty: review.difficulty,
+          taskId: review.nodeId,
+          branch: review.branch,
+          dueDate: review.dueDate,
+          completed: false,
+          priority: review.priority
+        });
+        currentTime += duration;
+        lastWorkType = 'review';
+      } else if (isAvailableHour && fitsWork && (readyTasks.length > 0 || focusType === 'learning')) {
         // Add learning block (either with real tasks or exploration)
-        const task = this.selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType);
-        const duration = this.calculateTaskDuration(task, preferences, energyLevel);
+        const task = this.selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType, energyByHour);
+        const duration = fitWork(this.calculateTaskDuration(task, preferences, energyLevel, calibration, currentTime));
 
         blocks.push({
           id: `task_${blockId++}`,
@@ -177,33 +704,36 @@ export class ScheduleGenerator {
         }
 
         currentTime += duration;
+        lastWorkType = 'learning';
 
-        // Add break after learning blocks
-        if (currentTime < endTime - 30) {
+        // Add break after learning blocks (a commitment starting right away is break enough)
+        const breakDuration = this.fitBeforeBusySlot(currentTime, this.getBreakDuration(preferences), busySlots);
+        if (currentTime < endTime - 30 && breakDuration > 0) {
           blocks.push({
             id: `break_${blockId++}`,
             type: 'break',
             title: 'Break & Reflection',
             startTime: this.formatTime(currentTime),
-            duration: this.getBreakDuration(preferences),
+            duration: breakDuration,
             completed: false,
             priority: 'medium'
           });
-          currentTime += this.getBreakDuration(preferences);
+          currentTime += breakDuration;
         }
       } else {
         // Add habit/routine block for non-learning time, but advance by larger increments
         const habitBlock = this.generateHabitBlock(currentTime, constraints, preferences);
+        const duration = fitWork(habitBlock.duration);
         blocks.push({
           id: `habit_${blockId++}`,
           type: 'habit',
           title: habitBlock.title,
           startTime: this.formatTime(currentTime),
-          duration: habitBlock.duration,
+          duration,
           completed: false,
           priority: 'low'
         });
-        currentTime += habitBlock.duration;
+        currentTime += duration;
       }
 
       // Safety check to prevent infinite loops
@@ -213,7 +743,48 @@ export class ScheduleGenerator {
     return blocks;
   }
 
-  selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType) {
+  /**
+   * Recurring items in placement order: by pinned time (wake time when unset),
+   * then id, so the same inputs always give the same day.
+   * @param {Array<Object>} recurringItems - Items due today (see RecurringTasks.getItemsDueOn)
+   * @param {number} wakeTime - Day start in minutes from midnight
+   * @param {number} sleepTime - Day end in minutes from midnight
+   * @returns {Array<{item: Object, startMinutes: number}>}
+   */
+  orderRecurringItems(recurringItems, wakeTime, sleepTime) {
+    return recurringItems
+      .map(item => {
+        const pinned = item.preferredTime ? this.parseTime(item.preferredTime) : wakeTime;
+        const latest = Math.max(wakeTime, sleepTime - (item.durationMinutes || 0));
+        return { item, startMinutes: Math.min(Math.max(pinned, wakeTime), latest) };
+      })
+      .sort((a, b) => a.startMinutes - b.startMinutes || a.item.id.localeCompare(b.item.id));
+  }
+
+  /**
+   * Shorten a block so it ends before the next busy slot starts.
+   * @param {number} currentTime - Block start in minutes from midnight
+   * @param {number} duration - Desired duration in minutes
+   * @param {Array<{start: number, end: number}>} busySlots - Sorted busy slots
+   * @returns {number} Duration that does not overlap a commitment
+   */
+  fitBeforeBusySlot(currentTime, duration, busySlots = []) {
+    const nextBusy = busySlots.find(slot => slot.start >= currentTime);
+    if (!nextBusy) {return duration;}
+    return Math.min(duration, nextBusy.start - currentTime);
+  }
+
+  /**
+   * @param {Array<Object>} readyTasks
+   * @param {number} currentTime - Minutes from midnight
+   * @param {number} energyLevel - 1-5
+   * @param {string} focusType
+   * @param {Array<number>|null} [energyByHour] - Learned forecast; replaces energyLevel for the slot's hour
+   */
+  selectTaskForTimeSlot(readyTasks, currentTime, energyLevel, focusType, energyByHour = null) {
+    if (energyByHour && typeof energyByHour[Math.floor(currentTime / 60)] === 'number') {
+      energyLevel = Math.round(energyByHour[Math.floor(currentTime / 60)]);
+    }
     if (readyTasks.length === 0) {
       // Generate exploration tasks based on time and energy
       const hour = Math.floor(currentTime / 60);
@@ -267,8 +838,23 @@ export class ScheduleGenerator {
     return suitableTasks[0];
   }
 
-  calculateTaskDuration(task, preferences, energyLevel) {
-    const baseDuration = typeof task.duration === 'number' ? task.duration : this.parseDuration(task.duration || '30 minutes');
+  /**
+   * @param {Object} task - HTA node or exploration task
+   * @param {Object} preferences - life_structure_preferences
+   * @param {number} energyLevel - 1-5
+   * @param {Object|null} [calibration] - Model from DurationCalibration.loadModel
+   * @param {number|null} [startMinutes] - Block start, for the time-of-day correction
+   * @returns {number} Block length in minutes
+   */
+  calculateTaskDuration(task, preferences, energyLevel, calibration = null, startMinutes = null) {
+    // Calibrate from the raw estimate; `duration` may already hold a calibrated value
+    const estimate = task.estimatedDuration ?? task.duration;
+    const plannedDuration = typeof estimate === 'number' ? estimate : this.parseDuration(estimate || '30 minutes');
+    const baseDuration = calibrateMinutes(calibration, plannedDuration, {
+      branch: task.branch,
+      difficulty: task.difficulty,
+      hour: startMinutes === null ? undefined : Math.floor(startMinutes / 60)
+    });
     const focusDuration = preferences.focus_duration || 'flexible';
 
     // Adjust based on focus preference and energy
@@ -402,7 +988,8 @@ export class ScheduleGenerator {
     for (const block of blocks) {
       const icon = this.getBlockIcon(block.type);
       const duration = `${block.duration}min`;
-      display += `${icon} **${block.startTime}** - ${block.title} (${duration})\n`;
+      const status = block.completed ? ' ✅' : (block.skipped ? ' ⏭️ skipped' : '');
+      display += `${icon} **${block.startTime}** - ${block.title} (${duration})${status}\n`;
     }
 
     return display;
@@ -411,9 +998,13 @@ export class ScheduleGenerator {
   getBlockIcon(blockType) {
     const icons = {
       'learning': '📚',
+      'review': '🔁',
+      'recurring': '🔂',
       'meal': '🍽️',
       'break': '☕',
+      'transition': '↪️',
       'habit': '🔄',
+      'meeting': '📅',
       'exercise': '💪',
       'work': '💼'
     };
@@ -0,0 +1,229 @@
+/**
+ * Cross-process advisory file locks
+ * A lock is a file created with O_EXCL that records its owner (pid, host,
+ * token). Holders refresh the file's mtime while they hold it, so a lock is
+ * considered stale when its owner process is gone (same host) or when it has
+ * not been refreshed for LOCK_STALE_MS (any host). Stale locks are broken and
+ * re-acquired; live ones are waited on until LOCK_TIMEOUT_MS.
+ *
+ * Locks are re-entrant per owner: acquisitions of the same lock with the same
+ * owner share it and the file is removed on the last release. Other owners in
+ * the same process wait for it like another process would, so two
+ * transactions of one server are isolated from each other.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import { randomBytes } from 'crypto';
+import { FileSystem } from '../utils/file-system.js';
+import { STORAGE_CONFIG } from '../constants.js';
+import { LockTimeoutError } from '../errors.js';
+import logger from '../utils/lightweight-logger.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {number} pid - Process id
+ * @returns {boolean} False only when the process definitely does not exist
+ */
+export function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * @param {string} lockPath - Lock file
+ * @returns {Promise<Object|null>} Owner record, or null when missing or unreadable
+ */
+export async function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {Object|null} owner - Owner record from the lock file
+ * @param {number} mtimeMs - Last heartbeat of the lock file
+ * @param {number} staleMs - Heartbeat age after which any lock is stale
+ * @param {number} [now] - Current time
+ * @returns {boolean} True when the lock can be broken
+ */
+export function isLockStale(owner, mtimeMs, staleMs, now = Date.now()) {
+  if (now - mtimeMs > staleMs) {
+    return true;
+  }
+  // Our own pid is alive by definition; a leftover lock with it is judged by age only
+  return Boolean(
+    owner &&
+      owner.hostname === os.hostname() &&
+      owner.pid !== process.pid &&
+      !isProcessAlive(owner.pid)
+  );
+}
+
+export class FileLockManager {
+  /**
+   * @param {Object} options
+   * @param {number} [options.timeoutMs] - How long acquire() waits for a live lock
+   * @param {number} [options.staleMs] - Heartbeat age after which a lock is stale
+   * @param {number} [options.retryMs] - Poll interval while waiting
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? STORAGE_CONFIG.LOCK_TIMEOUT_MS;
+    this.staleMs = options.staleMs ?? STORAGE_CONFIG.LOCK_STALE_MS;
+    this.retryMs = options.retryMs ?? STORAGE_CONFIG.LOCK_RETRY_MS;
+    // lockPath -> { token, owner, count, heartbeat }
+    this.held = new Map();
+  }
+
+  isHeld(lockPath) {
+    return this.held.has(lockPath);
+  }
+
+  /**
+   * Acquire a lock, waiting for a live holder and breaking stale ones
+   * @param {string} lockPath - Lock file
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Overrides the manager timeout (0 = try once)
+   * @param {*} [options.owner] - Who holds the lock; defaults to the manager itself
+   * @returns {Promise<Function|null>} Release function, or null when timeoutMs is 0 and the lock is busy
+   */
+  async acquire(lockPath, options = {}) {
+    const owner = options.owner ?? this;
+    const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+    const deadline = Date.now() + timeoutMs;
+    await FileSystem.ensureDir(FileSystem.dirname(lockPath));
+
+    for (;;) {
+      const held = this.held.get(lockPath);
+      if (held?.owner === owner) {
+        held.count++;
+        return this.releaser(lockPath);
+      }
+
+      if (!held) {
+        const token = randomBytes(8).toString('hex');
+        if (await this.tryCreate(lockPath, token)) {
+          this.held.set(lockPath, { token, owner, count: 1, heartbeat: this.startHeartbeat(lockPath) });
+          return this.releaser(lockPath);
+        }
+        // Our own holders are never stale; only another process's lock can be broken
+        if (!this.held.has(lockPath) && (await this.breakIfStale(lockPath))) {
+          continue;
+        }
+      }
+
+      if (timeoutMs === 0) {
+        return null;
+      }
+      if (Date.now() >= deadline) {
+        throw new LockTimeoutError(lockPath, await readLockOwner(lockPath), timeoutMs);
+      }
+      await sleep(this.retryMs);
+    }
+  }
+
+  async tryCreate(lockPath, token) {
+    let handle;
+    try {
+      handle = await fs.open(lockPath, 'wx');
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+    try {
+      await handle.writeFile(
+        JSON.stringify({ pid: process.pid, hostname: os.hostname(), token, acquiredAt: new Date().toISOString() })
+      );
+    } finally {
+      await handle.close();
+    }
+    return true;
+  }
+
+  async breakIfStale(lockPath) {
+    let stat;
+    try {
+      stat = await fs.stat(lockPath);
+    } catch (error) {
+      // Released between our create attempt and now: just retry
+      return error.code === 'ENOENT';
+    }
+
+    const owner = await readLockOwner(lockPath);
+    if (!isLockStale(owner, stat.mtimeMs, this.staleMs)) {
+      return false;
+    }
+
+    // Rename first so two processes breaking the same lock cannot both remove a fresh one
+    const brokenPath = `${lockPath}.stale_${randomBytes(4).toString('hex')}`;
+    try {
+      await fs.rename(lockPath, brokenPath);
+      await fs.rm(brokenPath, { force: true });
+      logger.warn('[LOCK] Broke stale lock', { lockPath, owner });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return true;
+  }
+
+  startHeartbeat(lockPath) {
+    const timer = setInterval(() => {
+      const now = new Date();
+      fs.utimes(lockPath, now, now).catch(() => {});
+    }, Math.max(this.staleMs / 3, this.retryMs));
+    timer.unref?.();
+    return timer;
+  }
+
+  releaser(lockPath) {
+    let released = false;
+    return async () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      await this.release(lockPath);
+    };
+  }
+
+  async release(lockPath) {
+    const entry = this.held.get(lockPath);
+    if (!entry || --entry.count > 0) {
+      return;
+    }
+    this.held.delete(lockPath);
+    clearInterval(entry.heartbeat);
+
+    // Only remove the file if it is still ours (it may have been broken as stale)
+    const owner = await readLockOwner(lockPath);
+    if (owner?.token === entry.token) {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Release everything this manager holds (shutdown)
+   */
+  async releaseAll() {
+    for (const lockPath of [...this.held.keys()]) {
+      const entry = this.held.get(lockPath);
+      entry.count = 1;
+      await this.release(lockPath);
+    }
+  }
+}
@@ -0,0 +1,491 @@
+/**
+ * File Storage Adapter
+ * The original JSON-file layout under the data directory:
+ *   <dataDir>/<file>                                   global data
+ *   <dataDir>/projects/<id>/<file>                     project data
+ *   <dataDir>/projects/<id>/paths/<path>/<file>        path data
+ * Writes are atomic (temp file + rename); transactions back up files before
+ * they are modified and restore the backups on rollback.
+ *
+ * Every write scope (one project, or the global files) is guarded by an
+ * advisory lock under <dataDir>/journal/, held by one transaction at a time
+ * whether the other writer is another process or another transaction of this
+ * one. A transaction takes the lock on its first write to a scope and keeps
+ * it until commit/rollback.
+ *
+ * Writes go to the real files as they happen, so each transaction keeps an
+ * undo journal listing the files it touched and whether they existed before.
+ * The journal and the pre-transaction backup are synced to disk before a file
+ * is first modified:
+ *   <dataDir>/journal/projects/<id>.lock            project lock
+ *   <dataDir>/journal/projects/<id>/<txId>.undo     project journal
+ *   <dataDir>/journal/global.lock, global/<txId>.undo
+ * A journal left behind by a crashed process is undone by recover() (backups
+ * restored, created files removed) unless it was marked committed, in which
+ * case only its leftover backups are removed.
+ */
+
+import fs from 'fs/promises';
+import { FileSystem } from '../utils/file-system.js';
+import { DIRECTORIES, STORAGE_CONFIG } from '../constants.js';
+import logger from '../utils/lightweight-logger.js';
+import { StorageAdapter, assertSafeRelativePath, keyFromRelativePath, relativePathFromKey } from './storage-adapter.js';
+import { FileLockManager } from './file-lock.js';
+
+async function syncFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+export class FileStorageAdapter extends StorageAdapter {
+  /**
+   * @param {string} dataDir - Forest data directory
+   * @param {Object} options
+   * @param {Object} [options.lock] - FileLockManager options (timeoutMs, staleMs, retryMs)
+   */
+  constructor(dataDir, options = {}) {
+    super('file');
+    this.dataDir = dataDir;
+    // In-process write locks: one writer per file at a time
+    this.fileLocks = new Map();
+    // Cross-process locks: one transaction per project (or global scope) at a time
+    this.locks = new FileLockManager(options.lock);
+  }
+
+  getProjectDir(projectId) {
+    return FileSystem.join(this.dataDir, DIRECTORIES.PROJECTS, projectId);
+  }
+
+  getPathDir(projectId, pathName) {
+    return FileSystem.join(this.dataDir, DIRECTORIES.PROJECTS, projectId, DIRECTORIES.PATHS, pathName);
+  }
+
+  locate({ projectId = null, pathName = null, fileName }) {
+    if (!projectId) {
+      return FileSystem.join(this.dataDir, fileName);
+    }
+    const dir = pathName ? this.getPathDir(projectId, pathName) : this.getProjectDir(projectId);
+    return FileSystem.join(dir, fileName);
+  }
+
+  describe(key) {
+    return this.locate(key);
+  }
+
+  getLockPath(projectId = null) {
+    return projectId
+      ? FileSystem.join(this.dataDir, DIRECTORIES.JOURNAL, DIRECTORIES.PROJECTS, `${projectId}${STORAGE_CONFIG.LOCK_EXTENSION}`)
+      : FileSystem.join(this.dataDir, DIRECTORIES.JOURNAL, `${STORAGE_CONFIG.GLOBAL_SCOPE}${STORAGE_CONFIG.LOCK_EXTENSION}`);
+  }
+
+  getJournalDir(projectId = null) {
+    return projectId
+      ? FileSystem.join(this.dataDir, DIRECTORIES.JOURNAL, DIRECTORIES.PROJECTS, projectId)
+      : FileSystem.join(this.dataDir, DIRECTORIES.JOURNAL, STORAGE_CONFIG.GLOBAL_SCOPE);
+  }
+
+  // Journal entries are keyed by the document's path inside its scope
+  keyFromJournalEntry(projectId, entryPath) {
+    return projectId ? keyFromRelativePath(projectId, entryPath) : { fileName: entryPath };
+  }
+
+  async read(key) {
+    const filePath = this.locate(key);
+
+    // If the file doesn't exist yet (e.g. brand-new project), return null gracefully
+    if (!(await FileSystem.exists(filePath))) {
+      return null;
+    }
+    return await FileSystem.readJSON(filePath);
+  }
+
+  async write(key, data, transaction = null) {
+    const lockKey = [key.projectId, key.pathName, key.fileName].filter(Boolean).join(':');
+
+    // Take the scope first, so a transaction's own writes never queue behind a write waiting for it
+    const journal = transaction ? await this.openJournal(transaction, key.projectId || null) : null;
+    const release = transaction
+      ? null
+      : await this.locks.acquire(this.getLockPath(key.projectId || null), { owner: Symbol(lockKey) });
+
+    try {
+      // Wait for any existing operation on this file to complete
+      while (this.fileLocks.has(lockKey)) {
+        await new Promise(resolve => setTimeout(resolve, STORAGE_CONFIG.LOCK_POLL_MS));
+      }
+      this.fileLocks.set(lockKey, true);
+    } catch (error) {
+      await release?.();
+      throw error;
+    }
+
+    try {
+      const filePath = this.locate(key);
+      await FileSystem.ensureDir(FileSystem.dirname(filePath));
+
+      if (journal) {
+        const entryPath = key.projectId ? relativePathFromKey(key) : key.fileName;
+
+        // Back up the pre-transaction version and journal it before the file is first touched
+        if (!journal.doc.files[entryPath]) {
+          const existed = await FileSystem.exists(filePath);
+          if (existed) {
+            const backupPath = `${filePath}.backup_${transaction.id}`;
+            await FileSystem.copyFile(filePath, backupPath);
+            await syncFile(backupPath);
+            transaction.backups.set(filePath, backupPath);
+          }
+          journal.doc.files[entryPath] = { existed };
+          await this.writeJournal(journal);
+        }
+
+        transaction.operations.push({
+          type: key.pathName ? 'save_path_data' : 'save_project_data',
+          projectId: key.projectId,
+          pathName: key.pathName,
+          fileName: key.fileName,
+          filePath,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        await FileSystem.atomicWriteJSON(filePath, data);
+      } catch (error) {
+        throw new Error(`Atomic write failed: ${error.message}`);
+      }
+    } finally {
+      await release?.();
+      this.fileLocks.delete(lockKey);
+    }
+  }
+
+  /**
+   * Take the project lock for a transaction before it reads, so a
+   * read-modify-write sequence cannot interleave with another writer
+   */
+  async lockProject(projectId, transaction) {
+    await this.openJournal(transaction, projectId);
+  }
+
+  /**
+   * Lock a scope for the transaction and start its (not yet written) journal
+   */
+  async openJournal(transaction, projectId) {
+    transaction.journals ??= new Map();
+    const scope = projectId || '';
+    if (transaction.journals.has(scope)) {
+      return transaction.journals.get(scope);
+    }
+
+    const release = await this.locks.acquire(this.getLockPath(projectId), { owner: transaction.id });
+    const journal = {
+      projectId,
+      path: FileSystem.join(this.getJournalDir(projectId), `${transaction.id}${STORAGE_CONFIG.JOURNAL_EXTENSION}`),
+      release,
+      written: false,
+      doc: {
+        transactionId: transaction.id,
+        projectId,
+        pid: process.pid,
+        startedAt: new Date().toISOString(),
+        state: 'pending',
+        files: {}
+      }
+    };
+    transaction.journals.set(scope, journal);
+    return journal;
+  }
+
+  async writeJournal(journal) {
+    await FileSystem.ensureDir(FileSystem.dirname(journal.path));
+    await FileSystem.atomicWriteJSON(journal.path, journal.doc);
+    await syncFile(journal.path);
+    journal.written = true;
+  }
+
+  // Remove journal files and release scope locks once a transaction is settled
+  async closeJournals(transaction, errors = []) {
+    for (const journal of transaction.journals?.values() || []) {
+      try {
+        if (journal.written) {
+          await FileSystem.deleteFile(journal.path);
+        }
+      } catch (error) {
+        errors.push(`Failed to remove journal ${journal.path}: ${error.message}`);
+      }
+      await journal.release();
+    }
+    transaction.journals?.clear();
+    return errors;
+  }
+
+  async readProjectFiles(projectId) {
+    const projectDir = this.getProjectDir(projectId);
+    const files = {};
+
+    // Transaction backups and temp files are not *.json and are skipped
+    const walk = async (dir, prefix) => {
+      for (const name of (await FileSystem.readdir(dir)).sort()) {
+        const fullPath = FileSystem.join(dir, name);
+        const relPath = prefix ? `${prefix}/${name}` : name;
+        if ((await FileSystem.stat(fullPath)).isDirectory()) {
+          await walk(fullPath, relPath);
+        } else if (name.endsWith('.json')) {
+          files[relPath] = await FileSystem.readJSON(fullPath);
+        }
+      }
+    };
+
+    if (await FileSystem.exists(projectDir)) {
+      await walk(projectDir, '');
+    }
+    return files;
+  }
+
+  /**
+   * Files are staged in a temp directory first; an existing project directory
+   * is moved to backups before the staged copy takes its place, so a failed
+   * import never leaves a half-written project. The project lock is held
+   * throughout so no other process writes into the directory being swapped.
+   */
+  async replaceProjectFiles(projectId, files) {
+    const release = await this.locks.acquire(this.getLockPath(projectId), { owner: Symbol(projectId) });
+    try {
+      return await this.swapProjectDir(projectId, files);
+    } finally {
+      await release();
+    }
+  }
+
+  async swapProjectDir(projectId, files) {
+    const projectDir = this.getProjectDir(projectId);
+    const stamp = `${projectId}_${Date.now()}`;
+    const stagingDir = FileSystem.join(this.dataDir, DIRECTORIES.TEMP, stamp);
+
+    try {
+      for (const [relPath, data] of Object.entries(files)) {
+        const filePath = FileSystem.join(stagingDir, ...assertSafeRelativePath(relPath));
+        await FileSystem.ensureDir(FileSystem.dirname(filePath));
+        await FileSystem.atomicWriteJSON(filePath, data);
+      }
+    } catch (error) {
+      await FileSystem.removeDir(stagingDir);
+      throw error;
+    }
+
+    let backupDir = null;
+    if (await FileSystem.exists(projectDir)) {
+      backupDir = FileSystem.join(this.dataDir, DIRECTORIES.BACKUPS, stamp);
+      await FileSystem.ensureDir(FileSystem.dirname(backupDir));
+      await FileSystem.rename(projectDir, backupDir);
+    }
+
+    try {
+      await FileSystem.ensureDir(FileSystem.dirname(projectDir));
+      await FileSystem.rename(stagingDir, projectDir);
+    } catch (error) {
+      if (backupDir) {
+        await FileSystem.rename(backupDir, projectDir);
+      }
+      await FileSystem.removeDir(stagingDir);
+      throw error;
+    }
+
+    return backupDir;
+  }
+
+  beginTransaction() {
+    return {
+      id: `tx_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      backups: new Map(),
+      operations: [],
+      tempFiles: new Set(),
+      startTime: Date.now()
+    };
+  }
+
+  async commitTransaction(transaction) {
+    // The writes are already in place; make them durable before the commit point
+    for (const journal of transaction.journals?.values() || []) {
+      for (const [entryPath, entry] of Object.entries(journal.doc.files)) {
+        const filePath = this.locate(this.keyFromJournalEntry(journal.projectId, entryPath));
+        if (entry.existed || (await FileSystem.exists(filePath))) {
+          await syncFile(filePath);
+        }
+      }
+    }
+
+    // Commit point: from here on recovery keeps this transaction's writes instead of undoing them
+    for (const journal of transaction.journals?.values() || []) {
+      if (journal.written) {
+        journal.doc.state = 'committed';
+        journal.doc.committedAt = new Date().toISOString();
+        await this.writeJournal(journal);
+      }
+    }
+
+    const errors = [];
+    for (const backupPath of transaction.backups.values()) {
+      try {
+        await FileSystem.deleteFile(backupPath);
+      } catch (error) {
+        errors.push(`Failed to remove backup ${backupPath}: ${error.message}`);
+      }
+    }
+    transaction.backups.clear();
+    transaction.operations.length = 0;
+
+    await this.closeJournals(transaction, errors);
+    if (errors.length > 0) {
+      logger.warn('[TRANSACTION] Journal cleanup incomplete', { id: transaction.id, errors });
+    }
+  }
+
+  async rollbackTransaction(transaction) {
+    const errors = [];
+
+    // Restore all backed up files
+    for (const [originalPath, backupPath] of transaction.backups) {
+      try {
+        if (await FileSystem.exists(backupPath)) {
+          await FileSystem.copyFile(backupPath, originalPath);
+          await FileSystem.deleteFile(backupPath);
+          logger.debug('[TRANSACTION] Restored file', { originalPath, backupPath });
+        }
+      } catch (restoreError) {
+        errors.push(`Failed to restore ${originalPath}: ${restoreError.message}`);
+        logger.error('[TRANSACTION] Restore failed', {
+          originalPath,
+          backupPath,
+          error: restoreError.message
+        });
+      }
+    }
+
+    // Remove files the transaction created
+    for (const journal of transaction.journals?.values() || []) {
+      for (const [entryPath, entry] of Object.entries(journal.doc.files)) {
+        if (entry.existed) {
+          continue;
+        }
+        const filePath = this.locate(this.keyFromJournalEntry(journal.projectId, entryPath));
+        try {
+          if (await FileSystem.exists(filePath)) {
+            await FileSystem.deleteFile(filePath);
+          }
+        } catch (removeError) {
+          errors.push(`Failed to remove ${filePath}: ${removeError.message}`);
+        }
+      }
+    }
+
+    // Clean up temporary files
+    for (const tempFile of transaction.tempFiles) {
+      try {
+        if (await FileSystem.exists(tempFile)) {
+          await FileSystem.deleteFile(tempFile);
+          logger.debug('[TRANSACTION] Cleaned up temp file', { tempFile });
+        }
+      } catch (cleanupError) {
+        errors.push(`Failed to cleanup ${tempFile}: ${cleanupError.message}`);
+        logger.error('[TRANSACTION] Cleanup failed', {
+          tempFile,
+          error: cleanupError.message
+        });
+      }
+    }
+
+    return this.closeJournals(transaction, errors);
+  }
+
+  /**
+   * Settle journals left by processes that died mid-transaction. A scope
+   * whose lock is still held by a live process is skipped.
+   */
+  async recover() {
+    const report = { completed: [], discarded: [], skipped: [] };
+    const projectsJournalDir = FileSystem.join(this.dataDir, DIRECTORIES.JOURNAL, DIRECTORIES.PROJECTS);
+    const scopes = [null];
+    if (await FileSystem.exists(projectsJournalDir)) {
+      for (const name of (await FileSystem.readdir(projectsJournalDir)).sort()) {
+        if ((await FileSystem.stat(FileSystem.join(projectsJournalDir, name))).isDirectory()) {
+          scopes.push(name);
+        }
+      }
+    }
+
+    for (const projectId of scopes) {
+      const journalDir = this.getJournalDir(projectId);
+      if (!(await FileSystem.exists(journalDir))) {
+        continue;
+      }
+      const journalFiles = (await FileSystem.readdir(journalDir))
+        .filter(name => name.endsWith(STORAGE_CONFIG.JOURNAL_EXTENSION))
+        .sort();
+      if (journalFiles.length === 0) {
+        continue;
+      }
+
+      const lockPath = this.getLockPath(projectId);
+      const release = this.locks.isHeld(lockPath) ? null : await this.locks.acquire(lockPath, { timeoutMs: 0 });
+      if (!release) {
+        report.skipped.push(...journalFiles.map(name => ({ projectId, journal: name, reason: 'scope is locked by a live process' })));
+        continue;
+      }
+
+      try {
+        for (const name of journalFiles) {
+          const journalPath = FileSystem.join(journalDir, name);
+          try {
+            const doc = await FileSystem.readJSON(journalPath);
+            if (doc.state === 'committed') {
+              await this.finishJournal(projectId, doc);
+              report.completed.push({ projectId, transactionId: doc.transactionId, files: Object.keys(doc.files) });
+            } else {
+              await this.discardJournal(projectId, doc);
+              report.discarded.push({ projectId, transactionId: doc.transactionId, files: Object.keys(doc.files) });
+            }
+            await FileSystem.deleteFile(journalPath);
+          } catch (error) {
+            report.skipped.push({ projectId, journal: name, reason: error.message });
+            logger.error('[JOURNAL] Recovery failed', { journalPath, error: error.message });
+          }
+        }
+      } finally {
+        await release();
+      }
+    }
+
+    return report;
+  }
+
+  // A committed transaction's writes are already durable; only its backups are left over
+  async finishJournal(projectId, doc) {
+    for (const entryPath of Object.keys(doc.files)) {
+      const filePath = this.locate(this.keyFromJournalEntry(projectId, entryPath));
+      const backupPath = `${filePath}.backup_${doc.transactionId}`;
+      if (await FileSystem.exists(backupPath)) {
+        await FileSystem.deleteFile(backupPath);
+      }
+    }
+  }
+
+  // Roll an incomplete transaction back to its pre-transaction state
+  async discardJournal(projectId, doc) {
+    for (const [entryPath, entry] of Object.entries(doc.files)) {
+      const filePath = this.locate(this.keyFromJournalEntry(projectId, entryPath));
+      const backupPath = `${filePath}.backup_${doc.transactionId}`;
+      if (await FileSystem.exists(backupPath)) {
+        await FileSystem.copyFile(backupPath, filePath);
+        await FileSystem.deleteFile(backupPath);
+      } else if (!entry.existed && (await FileSystem.exists(filePath))) {
+        await FileSystem.deleteFile(filePath);
+      }
+    }
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Storage backends for DataPersistence
+ */
+
+import { STORAGE_CONFIG } from '../constants.js';
+import { FileStorageAdapter } from './file-storage-adapter.js';
+import { SqliteStorageAdapter } from './sqlite-storage-adapter.js';
+
+export { StorageAdapter, assertSafeRelativePath, keyFromRelativePath, relativePathFromKey } from './storage-adapter.js';
+export { FileStorageAdapter } from './file-storage-adapter.js';
+export { FileLockManager, isLockStale, isProcessAlive, readLockOwner } from './file-lock.js';
+export { SqliteStorageAdapter } from './sqlite-storage-adapter.js';
+export { migrateFileTreeToSqlite } from './migrate-file-tree.js';
+
+/**
+ * Create the storage adapter for a backend name
+ * @param {string} backend - 'file' or 'sqlite' (defaults to FOREST_STORAGE, then 'file')
+ * @param {string} dataDir - Forest data directory
+ * @param {Object} options - Backend-specific options (e.g. dbPath)
+ * @returns {import('./storage-adapter.js').StorageAdapter} Adapter instance
+ */
+export function createStorageAdapter(backend = process.env.FOREST_STORAGE, dataDir, options = {}) {
+  const name = (backend || STORAGE_CONFIG.DEFAULT_BACKEND).toLowerCase();
+
+  switch (name) {
+    case 'file':
+      return new FileStorageAdapter(dataDir, options);
+    case 'sqlite':
+      return new SqliteStorageAdapter(dataDir, options);
+    default:
+      throw new Error(`Unknown storage backend '${backend}'. Use one of: ${STORAGE_CONFIG.BACKENDS.join(', ')}`);
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * File → SQLite migration
+ * Copies an existing JSON data directory into the SQLite backend in a single
+ * transaction. The file tree is left untouched so the copy can be verified
+ * (or the backend switched back) before anything is deleted.
+ */
+
+import { FileSystem } from '../utils/file-system.js';
+import { DIRECTORIES } from '../constants.js';
+import { FileStorageAdapter } from './file-storage-adapter.js';
+import { SqliteStorageAdapter } from './sqlite-storage-adapter.js';
+import { keyFromRelativePath } from './storage-adapter.js';
+
+async function listJsonFiles(dir) {
+  if (!(await FileSystem.exists(dir))) {
+    return [];
+  }
+  const names = [];
+  for (const name of (await FileSystem.readdir(dir)).sort()) {
+    if (name.endsWith('.json') && (await FileSystem.stat(FileSystem.join(dir, name))).isFile()) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * @param {string} dataDir - Forest data directory holding the file tree
+ * @param {Object} options
+ * @param {string} [options.dbPath] - Target database (defaults to <dataDir>/forest.db)
+ * @param {SqliteStorageAdapter} [options.target] - Already-open target adapter
+ * @returns {Promise<{dbPath: string, projects: string[], documents: number, skipped: Array<{path: string, reason: string}>}>} Migration report
+ */
+export async function migrateFileTreeToSqlite(dataDir, options = {}) {
+  const source = new FileStorageAdapter(dataDir);
+  const target = options.target || new SqliteStorageAdapter(dataDir, { dbPath: options.dbPath });
+  const report = { dbPath: target.dbPath, projects: [], documents: 0, skipped: [] };
+
+  const transaction = target.beginTransaction();
+  try {
+    for (const fileName of await listJsonFiles(dataDir)) {
+      try {
+        await target.write({ fileName }, await source.read({ fileName }), transaction);
+        report.documents++;
+      } catch (error) {
+        report.skipped.push({ path: fileName, reason: error.message });
+      }
+    }
+
+    const projectsDir = FileSystem.join(dataDir, DIRECTORIES.PROJECTS);
+    const projectIds = (await FileSystem.exists(projectsDir)) ? (await FileSystem.readdir(projectsDir)).sort() : [];
+
+    for (const projectId of projectIds) {
+      if (!(await FileSystem.stat(FileSystem.join(projectsDir, projectId))).isDirectory()) {
+        continue;
+      }
+
+      const files = await source.readProjectFiles(projectId);
+      for (const [relPath, data] of Object.entries(files)) {
+        try {
+          await target.write(keyFromRelativePath(projectId, relPath), data, transaction);
+          report.documents++;
+        } catch (error) {
+          report.skipped.push({ path: `${DIRECTORIES.PROJECTS}/${projectId}/${relPath}`, reason: error.message });
+        }
+      }
+      report.projects.push(projectId);
+    }
+
+    await target.commitTransaction(transaction);
+  } catch (error) {
+    await target.rollbackTransaction(transaction);
+    throw error;
+  } finally {
+    if (!options.target) {
+      target.close();
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,359 @@
+/**
+ * SQLite Storage Adapter
+ * Keeps every document in one embedded database (<dataDir>/forest.db) so
+ * several server processes can share a data directory safely. WAL mode lets
+ * readers run alongside a writer, and transactions are real SQLite
+ * transactions instead of backup files.
+ *
+ * The adapter has a single connection, so its transactions run one at a
+ * time: a transaction begun while another is open waits for it to end, and
+ * so does a write that does not name the open transaction, instead of
+ * silently joining it.
+ *
+ * Uses the optional better-sqlite3 dependency, loaded only when this backend
+ * is selected.
+ */
+
+import { createRequire } from 'module';
+import fs from 'fs';
+import { FileSystem } from '../utils/file-system.js';
+import { STORAGE_CONFIG } from '../constants.js';
+import { LockTimeoutError } from '../errors.js';
+import { StorageAdapter, keyFromRelativePath, relativePathFromKey } from './storage-adapter.js';
+
+const require = createRequire(import.meta.url);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(
+      `SQLite storage needs the optional "better-sqlite3" package (npm install better-sqlite3): ${error.message}`
+    );
+  }
+}
+
+export class SqliteStorageAdapter extends StorageAdapter {
+  /**
+   * @param {string} dataDir - Forest data directory
+   * @param {Object} options
+   * @param {string} [options.dbPath] - Database file (defaults to <dataDir>/forest.db)
+   */
+  constructor(dataDir, options = {}) {
+    super('sqlite');
+    this.dataDir = dataDir;
+    this.dbPath = options.dbPath || FileSystem.join(dataDir, STORAGE_CONFIG.SQLITE_FILE);
+
+    const Database = loadDriver();
+    fs.mkdirSync(FileSystem.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma(`busy_timeout = ${STORAGE_CONFIG.SQLITE_BUSY_TIMEOUT_MS}`);
+    this.migrateSchema();
+
+    this.statements = {
+      read: this.db.prepare(
+        'SELECT data FROM documents WHERE project_id = ? AND path_name = ? AND file_name = ?'
+      ),
+      write: this.db.prepare(
+        `INSERT INTO documents (project_id, path_name, file_name, data, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (project_id, path_name, file_name)
+         DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+      ),
+      listProject: this.db.prepare(
+        'SELECT path_name, file_name, data FROM documents WHERE project_id = ? ORDER BY path_name, file_name'
+      ),
+      backupProject: this.db.prepare(
+        `INSERT INTO document_backups (backup_id, project_id, path_name, file_name, data, created_at)
+         SELECT ?, project_id, path_name, file_name, data, ? FROM documents WHERE project_id = ?`
+      ),
+      deleteProject: this.db.prepare('DELETE FROM documents WHERE project_id = ?')
+    };
+
+    // Open transactions, outermost first. Nested transactions become savepoints.
+    this.transactionStack = [];
+    // The outermost transaction that owns the connection, and transactions queued behind it
+    this.owner = null;
+    this.waiters = [];
+  }
+
+  migrateSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS storage_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS documents (
+        project_id TEXT NOT NULL DEFAULT '',
+        path_name TEXT NOT NULL DEFAULT '',
+        file_name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (project_id, path_name, file_name)
+      ) WITHOUT ROWID;
+      CREATE TABLE IF NOT EXISTS document_backups (
+        backup_id TEXT NOT NULL,
+        project_id TEXT NOT NULL,
+        path_name TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `);
+    this.db.prepare('INSERT OR IGNORE INTO storage_meta (key, value) VALUES (?, ?)')
+      .run('schema_version', String(STORAGE_CONFIG.SQLITE_SCHEMA_VERSION));
+  }
+
+  // Global documents use '' for project and path so the primary key stays NOT NULL
+  keyParams({ projectId = null, pathName = null, fileName }) {
+    return [projectId || '', pathName || '', fileName];
+  }
+
+  describe(key) {
+    return `${this.dbPath}#${super.describe(key)}`;
+  }
+
+  async read(key) {
+    const row = this.statements.read.get(...this.keyParams(key));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async write(key, data, transaction = null) {
+    const writeRow = () =>
+      this.statements.write.run(...this.keyParams(key), JSON.stringify(data), new Date().toISOString());
+    if (!transaction) {
+      await this.runOutsideTransaction(`write ${super.describe(key)}`, writeRow);
+      return;
+    }
+
+    await this.assertInnermost(transaction, `write ${super.describe(key)}`);
+    writeRow();
+    transaction.operations.push({
+      type: key.pathName ? 'save_path_data' : 'save_project_data',
+      projectId: key.projectId,
+      pathName: key.pathName,
+      fileName: key.fileName,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  async readProjectFiles(projectId) {
+    const files = {};
+    for (const row of this.statements.listProject.all(projectId)) {
+      files[relativePathFromKey({ pathName: row.path_name, fileName: row.file_name })] = JSON.parse(row.data);
+    }
+    return files;
+  }
+
+  async replaceProjectFiles(projectId, files) {
+    const keys = Object.keys(files).map(relPath => [relPath, keyFromRelativePath(projectId, relPath)]);
+    const backupId = `${projectId}_${Date.now()}`;
+    const now = new Date().toISOString();
+    const replace = this.db.transaction(() => {
+      const backedUp = this.statements.backupProject.run(backupId, now, projectId).changes;
+      this.statements.deleteProject.run(projectId);
+      for (const [relPath, key] of keys) {
+        this.statements.write.run(...this.keyParams(key), JSON.stringify(files[relPath]), now);
+      }
+      return backedUp > 0;
+    });
+
+    const hadProject = await this.runOutsideTransaction(`replace project ${projectId}`, () => replace());
+
+    return hadProject ? `${this.dbPath}#document_backups/${backupId}` : null;
+  }
+
+  /**
+   * The outermost transaction waits for the connection, then takes the
+   * database write lock (BEGIN IMMEDIATE) so other processes queue behind it.
+   * A transaction begun with a parent becomes a savepoint inside it.
+   *
+   * Returns at once; the transaction's `ready` promise settles once it is
+   * open, and every method taking the transaction waits for it.
+   * @param {Object|null} parent - Enclosing transaction, for a nested one
+   * @returns {Object} Transaction context
+   */
+  beginTransaction(parent = null) {
+    const transaction = {
+      id: `tx_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      backups: new Map(),
+      operations: [],
+      tempFiles: new Set(),
+      startTime: Date.now(),
+      state: 'pending'
+    };
+
+    const opened = parent
+      ? this.assertInnermost(parent, `begin a transaction inside ${parent.id}`)
+      : this.acquireConnection(transaction).then(() => this.beginImmediate());
+    transaction.ready = opened.then(() => {
+      this.db.exec(`SAVEPOINT "${transaction.id}"`);
+      this.transactionStack.push(transaction);
+      transaction.state = 'open';
+    });
+    transaction.ready.catch(() => {
+      transaction.state = 'failed';
+    });
+    return transaction;
+  }
+
+  async commitTransaction(transaction) {
+    await this.assertInnermost(transaction, 'commit');
+
+    const depth = this.transactionStack.indexOf(transaction);
+    this.db.exec(`RELEASE "${transaction.id}"`);
+    this.transactionStack.length = depth;
+    transaction.state = 'committed';
+    if (depth === 0) {
+      this.db.exec('COMMIT');
+      this.releaseConnection();
+    }
+    transaction.operations.length = 0;
+  }
+
+  /**
+   * Rolls back the transaction together with any transactions still open inside it
+   */
+  async rollbackTransaction(transaction) {
+    try {
+      await transaction.ready;
+    } catch (error) {
+      return [`Transaction ${transaction.id} never opened: ${error.message}`];
+    }
+    if (transaction.state === 'rolled_back') {
+      return []; // Already undone together with an enclosing transaction
+    }
+    const depth = this.transactionStack.indexOf(transaction);
+    if (depth === -1) {
+      return [`Transaction ${transaction.id} is not open (${transaction.state})`];
+    }
+
+    this.db.exec(`ROLLBACK TO "${transaction.id}"`);
+    this.db.exec(`RELEASE "${transaction.id}"`);
+    for (const undone of this.transactionStack.splice(depth)) {
+      undone.state = 'rolled_back';
+    }
+    if (depth === 0) {
+      this.db.exec('COMMIT');
+      this.releaseConnection();
+    }
+    return [];
+  }
+
+  /**
+   * Waits until the transaction is open and no transaction is open inside it,
+   * so its statements cannot land in another transaction's savepoint
+   * @param {Object} transaction - Transaction from beginTransaction()
+   * @param {string} action - What was attempted, for the error message
+   */
+  async assertInnermost(transaction, action) {
+    await transaction.ready;
+    if (!this.transactionStack.includes(transaction)) {
+      throw new Error(`Cannot ${action}: transaction ${transaction.id} is ${transaction.state}`);
+    }
+    const innermost = this.transactionStack[this.transactionStack.length - 1];
+    if (innermost !== transaction) {
+      throw new Error(`Cannot ${action}: transaction ${transaction.id} has nested transaction ${innermost.id} open`);
+    }
+  }
+
+  /**
+   * Runs statements that belong to no transaction. While one is open they
+   * queue for the connection like a transaction would, so they neither land
+   * in its savepoint nor roll back with it.
+   * @param {string} action - What is being run, named in the lock timeout
+   * @param {Function} work - Synchronous statements to run
+   */
+  async runOutsideTransaction(action, work) {
+    if (!this.owner) {
+      return work();
+    }
+    await this.acquireConnection({ id: action });
+    try {
+      return work();
+    } finally {
+      this.releaseConnection();
+    }
+  }
+
+  /**
+   * Hand the connection to an outermost transaction, or to statements run
+   * outside any, queueing behind the current owner for up to LOCK_TIMEOUT_MS
+   */
+  acquireConnection(transaction) {
+    if (!this.owner) {
+      this.owner = transaction;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { transaction, resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new LockTimeoutError(this.dbPath, null, STORAGE_CONFIG.LOCK_TIMEOUT_MS, {
+          transactionId: transaction.id,
+          heldBy: this.owner?.id
+        }));
+      }, STORAGE_CONFIG.LOCK_TIMEOUT_MS);
+      this.waiters.push(waiter);
+    });
+  }
+
+  releaseConnection() {
+    const next = this.waiters.shift();
+    this.owner = next ? next.transaction : null;
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    }
+  }
+
+  /**
+   * BEGIN IMMEDIATE without the driver's busy wait, which would block the
+   * event loop while another process holds the write lock
+   */
+  async beginImmediate() {
+    const deadline = Date.now() + STORAGE_CONFIG.SQLITE_BUSY_TIMEOUT_MS;
+    this.db.pragma('busy_timeout = 0');
+    try {
+      for (;;) {
+        try {
+          this.db.exec('BEGIN IMMEDIATE');
+          return;
+        } catch (error) {
+          if (error.code !== 'SQLITE_BUSY') {
+            throw error;
+          }
+          if (Date.now() >= deadline) {
+            throw new LockTimeoutError(this.dbPath, null, STORAGE_CONFIG.SQLITE_BUSY_TIMEOUT_MS, { cause: error.message });
+          }
+        }
+        await sleep(STORAGE_CONFIG.LOCK_RETRY_MS);
+      }
+    } catch (error) {
+      this.releaseConnection();
+      throw error;
+    } finally {
+      if (this.db.open) {
+        this.db.pragma(`busy_timeout = ${STORAGE_CONFIG.SQLITE_BUSY_TIMEOUT_MS}`);
+      }
+    }
+  }
+
+  close() {
+    if (this.db.open) {
+      if (this.db.inTransaction) {
+        this.db.exec('ROLLBACK');
+      }
+      this.db.close();
+    }
+    this.transactionStack = [];
+    this.owner = null;
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error(`${this.dbPath} was closed before transaction ${waiter.transaction.id} began`));
+    }
+  }
+}
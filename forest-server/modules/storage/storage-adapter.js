@@ -0,0 +1,141 @@
+/**
+ * Storage Adapter Interface
+ * Raw document I/O behind DataPersistence. DataPersistence keeps caching,
+ * validation, HTA normalisation and logging; adapters only store and fetch
+ * JSON documents and provide transactions.
+ *
+ * A document key is { projectId, pathName, fileName }:
+ *   - global data:  { fileName }
+ *   - project data: { projectId, fileName }
+ *   - path data:    { projectId, pathName, fileName }
+ */
+
+export class StorageAdapter {
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * @param {{projectId?: string, pathName?: string, fileName: string}} _key - Document key
+   * @returns {Promise<any|null>} Parsed document, or null when it does not exist
+   */
+  async read(_key) {
+    throw new Error(`${this.backend} storage does not implement read()`);
+  }
+
+  /**
+   * @param {{projectId?: string, pathName?: string, fileName: string}} _key - Document key
+   * @param {any} _data - JSON-serialisable document
+   * @param {Object|null} _transaction - Transaction from beginTransaction()
+   * @returns {Promise<void>}
+   */
+  async write(_key, _data, _transaction = null) {
+    throw new Error(`${this.backend} storage does not implement write()`);
+  }
+
+  /**
+   * Every document of a project keyed by its path relative to the project
+   * ("config.json", "paths/<name>/hta.json")
+   * @param {string} _projectId - Project identifier
+   * @returns {Promise<Object<string, any>>} Documents by relative path
+   */
+  async readProjectFiles(_projectId) {
+    throw new Error(`${this.backend} storage does not implement readProjectFiles()`);
+  }
+
+  /**
+   * Replace all documents of a project, keeping a backup of the previous set
+   * @param {string} _projectId - Project identifier
+   * @param {Object<string, any>} _files - Documents by relative path
+   * @returns {Promise<string|null>} Backup location, or null when nothing was replaced
+   */
+  async replaceProjectFiles(_projectId, _files) {
+    throw new Error(`${this.backend} storage does not implement replaceProjectFiles()`);
+  }
+
+  /**
+   * @param {Object|null} _parent - Enclosing transaction, for backends that nest them
+   * @returns {Object} Transaction context with at least id, operations and startTime
+   */
+  beginTransaction(_parent = null) {
+    throw new Error(`${this.backend} storage does not implement beginTransaction()`);
+  }
+
+  async commitTransaction(_transaction) {
+    throw new Error(`${this.backend} storage does not implement commitTransaction()`);
+  }
+
+  /**
+   * @returns {Promise<string[]>} Non-fatal errors encountered while rolling back
+   */
+  async rollbackTransaction(_transaction) {
+    throw new Error(`${this.backend} storage does not implement rollbackTransaction()`);
+  }
+
+  /**
+   * Hold the project's write lock for the rest of a transaction so its reads
+   * and writes cannot interleave with another process. Backends whose
+   * transactions already isolate writers (SQLite) need nothing here.
+   * @param {string} _projectId - Project identifier
+   * @param {Object} _transaction - Transaction from beginTransaction()
+   */
+  async lockProject(_projectId, _transaction) {}
+
+  /**
+   * Settle transactions a crashed process left behind
+   * @returns {Promise<{completed: Object[], discarded: Object[], skipped: Object[]}>} Recovery report
+   */
+  async recover() {
+    return { completed: [], discarded: [], skipped: [] };
+  }
+
+  /**
+   * Human-readable location of a document, used in errors and logs
+   * @param {{projectId?: string, pathName?: string, fileName: string}} key - Document key
+   * @returns {string} Location
+   */
+  describe(key) {
+    return [key.projectId, key.pathName, key.fileName].filter(Boolean).join('/');
+  }
+
+  close() {}
+}
+
+/**
+ * Reject project-relative paths that could escape the project
+ * @param {string} relPath - Path relative to the project
+ * @returns {string[]} Path segments
+ */
+export function assertSafeRelativePath(relPath) {
+  const segments = String(relPath).split('/');
+  if (String(relPath).includes('\\') || segments.some(seg => !seg || seg === '.' || seg === '..')) {
+    throw new Error(`Refusing to write outside the project directory: ${relPath}`);
+  }
+  return segments;
+}
+
+/**
+ * Split a project-relative path into a document key
+ * @param {string} projectId - Project identifier
+ * @param {string} relPath - "file.json" or "paths/<name>/file.json"
+ * @returns {{projectId: string, pathName: string|null, fileName: string}} Document key
+ */
+export function keyFromRelativePath(projectId, relPath) {
+  const segments = assertSafeRelativePath(relPath);
+  if (segments.length === 1) {
+    return { projectId, pathName: null, fileName: segments[0] };
+  }
+  if (segments.length === 3 && segments[0] === 'paths') {
+    return { projectId, pathName: segments[1], fileName: segments[2] };
+  }
+  throw new Error(`Unsupported project file location: ${relPath}`);
+}
+
+/**
+ * Inverse of keyFromRelativePath
+ * @param {{pathName?: string|null, fileName: string}} key - Document key
+ * @returns {string} Project-relative path
+ */
+export function relativePathFromKey(key) {
+  return key.pathName ? `paths/${key.pathName}/${key.fileName}` : key.fileName;
+}
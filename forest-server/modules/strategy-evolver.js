@@ -6,8 +6,6 @@
 
 import { bus } from './utils/event-bus.js';
 import {
-  FILE_NAMES,
-  DEFAULT_PATHS,
   TASK_CONFIG,
   THRESHOLDS,
   EVOLUTION_STRATEGIES,
@@ -115,7 +113,7 @@ export class StrategyEvolver {
       console.log(`🎉 StrategyEvolver processing breakthrough: ${block.title}`);
 
       // Generate breakthrough-specific follow-up tasks
-      const htaData = await this.loadPathHTA(projectId, pathName);
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, pathName);
       if (!htaData) {
         return;
       }
@@ -124,7 +122,7 @@ export class StrategyEvolver {
       if (breakthroughTasks.length > 0) {
         htaData.frontierNodes = (htaData.frontierNodes || []).concat(breakthroughTasks);
         htaData.lastUpdated = new Date().toISOString();
-        await this.savePathHTA(projectId, pathName, htaData);
+        await this.dataPersistence.savePathHTA(projectId, pathName, htaData);
 
         console.log(`✨ Generated ${breakthroughTasks.length} breakthrough tasks`);
       }
@@ -141,7 +139,7 @@ export class StrategyEvolver {
     try {
       console.log(`🎯 StrategyEvolver processing opportunity detection: ${block.title}`);
 
-      const htaData = await this.loadPathHTA(projectId, pathName);
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, pathName);
       if (!htaData) {
         return;
       }
@@ -150,7 +148,7 @@ export class StrategyEvolver {
       if (opportunityTasks.length > 0) {
         htaData.frontierNodes = (htaData.frontierNodes || []).concat(opportunityTasks);
         htaData.lastUpdated = new Date().toISOString();
-        await this.savePathHTA(projectId, pathName, htaData);
+        await this.dataPersistence.savePathHTA(projectId, pathName, htaData);
 
         console.log(`🚀 Generated ${opportunityTasks.length} opportunity tasks`);
       }
@@ -192,7 +190,7 @@ export class StrategyEvolver {
    * @param {Object} block - Completed block data
    */
   async evolveHTABasedOnLearning(projectId, pathName, block) {
-    const htaData = await this.loadPathHTA(projectId, pathName);
+    const htaData = await this.dataPersistence.loadPathHTA(projectId, pathName);
     if (!htaData) {
       return;
     }
@@ -229,7 +227,7 @@ export class StrategyEvolver {
 
     try {
       htaData.lastUpdated = new Date().toISOString();
-      await this.savePathHTA(projectId, pathName, htaData, transaction);
+      await this.dataPersistence.savePathHTA(projectId, pathName, htaData, transaction);
 
       // Commit transaction
       await this.dataPersistence.commitTransaction(transaction);
@@ -413,33 +411,4 @@ export class StrategyEvolver {
 
     return opportunityTasks;
   }
-
-  // === DATA ACCESS HELPERS ===
-
-  async loadPathHTA(projectId, pathName) {
-    if (pathName === DEFAULT_PATHS.GENERAL) {
-      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
-    }
-  }
-
-  async savePathHTA(projectId, pathName, htaData, transaction = null) {
-    if (pathName === DEFAULT_PATHS.GENERAL) {
-      return await this.dataPersistence.saveProjectData(
-        projectId,
-        FILE_NAMES.HTA,
-        htaData,
-        transaction
-      );
-    } else {
-      return await this.dataPersistence.savePathData(
-        projectId,
-        pathName,
-        FILE_NAMES.HTA,
-        htaData,
-        transaction
-      );
-    }
-  }
 }
@@ -6,6 +6,9 @@
 
 import { bus } from './utils/event-bus.js';
 import { DataArchiver } from './data-archiver.js';
+import { TaskDeferral } from './task-deferral.js';
+import { TASK_HOLD_CONFIG } from './constants.js';
+import logger from './utils/lightweight-logger.js';
 
 export class SystemClock {
   constructor(dataPersistence, projectManagement, reasoningEngine, identityEngine, eventBus = null) {
@@ -18,6 +21,9 @@ export class SystemClock {
     // Initialize Data Archiver for long-term scalability
     this.dataArchiver = new DataArchiver(dataPersistence, this.eventBus);
 
+    // Wakes snoozed tasks once their deferredUntil passes
+    this.taskDeferral = new TaskDeferral(dataPersistence, projectManagement);
+
     this.isRunning = false;
     this.intervals = new Map(); // Track different interval types
     this.lastAnalysis = new Map(); // Track when different analyses were last run
@@ -45,6 +51,7 @@ export class SystemClock {
    * @param {number} config.opportunityScansHours - Hours between opportunity scans (default: 6)
    * @param {number} config.identityReflectionDays - Days between identity reflection (default: 7)
    * @param {number} config.archivingDays - Days between archiving checks (default: 30)
+   * @param {number} config.taskWakeUpMinutes - Minutes between snoozed-task wake-ups (default: 60)
    */
   start(config = {}) {
     if (this.isRunning) {
@@ -58,6 +65,7 @@ export class SystemClock {
       opportunityScansHours: 6,
       identityReflectionDays: 7,
       archivingDays: 30,
+      taskWakeUpMinutes: TASK_HOLD_CONFIG.WAKE_UP_INTERVAL_MINUTES,
       enableBackgroundTicks: true
     };
 
@@ -80,6 +88,7 @@ export class SystemClock {
       this.scheduleOpportunityScans(clockConfig.opportunityScansHours);
       this.scheduleIdentityReflection(clockConfig.identityReflectionDays);
       this.scheduleArchiving(clockConfig.archivingDays);
+      this.scheduleTaskWakeUps(clockConfig.taskWakeUpMinutes);
     }
 
     // Emit system clock started event
@@ -213,6 +222,25 @@ export class SystemClock {
     }, 150000); // 2.5 minutes delay
   }
 
+  /**
+   * Schedule periodic wake-ups of snoozed tasks
+   * @param {number} minutes - Interval in minutes
+   */
+  scheduleTaskWakeUps(minutes) {
+    const intervalMs = minutes * 60 * 1000;
+    const intervalId = setInterval(() => {
+      this.performTaskWakeUp();
+    }, intervalMs);
+
+    this.intervals.set('task_wake_up', intervalId);
+    logger.info('[SystemClock] Snoozed-task wake-up scheduled', { everyMinutes: minutes });
+
+    // Wake anything that expired while the server was down
+    setTimeout(() => {
+      this.performTaskWakeUp();
+    }, 15000); // 15 seconds delay
+  }
+
   /**
    * Perform strategic analysis - main proactive reasoning tick
    */
@@ -375,6 +403,43 @@ export class SystemClock {
     }
   }
 
+  /**
+   * Clear expired snoozes in every project so woken tasks are plain frontier
+   * nodes again. Selection already ignores a snooze once it has passed; this
+   * keeps the stored trees tidy and announces the wake-up.
+   * @returns {Promise<Array<Object>>} Woken tasks with their projectId
+   */
+  async performTaskWakeUp() {
+    try {
+      const projectsResp = await this.projectManagement.listProjects();
+      const projects = Array.isArray(projectsResp) ? projectsResp : (projectsResp.projects || []);
+      const projectIds = projects.map(p => (typeof p === 'string' ? p : p.id || p.project_id || p.name)).filter(Boolean);
+
+      const woken = [];
+      for (const projectId of projectIds) {
+        const released = await this.taskDeferral.releaseExpired(projectId);
+        if (released.length > 0) {
+          this.eventBus.emit('tasks:released', {
+            projectId,
+            tasks: released,
+            releasedAt: new Date().toISOString()
+          }, 'SystemClock');
+          woken.push(...released.map(task => ({ projectId, ...task })));
+        }
+      }
+
+      this.lastAnalysis.set('task_wake_up', new Date().toISOString());
+      if (woken.length > 0) {
+        logger.info('[SystemClock] Woke snoozed tasks', { count: woken.length });
+      }
+      return woken;
+    } catch (error) {
+      console.error('❌ Task wake-up failed:', error.message);
+      await this.dataPersistence.logError('SystemClock.performTaskWakeUp', error);
+      return [];
+    }
+  }
+
   /**
    * Gather comprehensive system state for analysis
    * @param {string} projectId - Active project ID
@@ -564,6 +629,9 @@ export class SystemClock {
     case 'archive':
       await this.performArchiving();
       break;
+    case 'wake':
+      await this.performTaskWakeUp();
+      break;
     default:
       console.error(`❌ Unknown analysis type: ${analysisType}`);
     }
@@ -8,6 +8,13 @@
 
 import { FILE_NAMES, DEFAULT_PATHS, TASK_CONFIG } from './constants.js';
 import { bus } from './utils/event-bus.js';
+import { ReviewScheduler } from './task-logic/review-scheduler.js';
+import { RecurringTasks } from './recurring-tasks.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { EnergyModel } from './energy-model.js';
+import { TimeAllocation } from './time-allocation.js';
+import { HtaNode } from '../models/hta-node.js';
+import { ensureHierarchy, syncContainerCompletion } from '../utils/hta-hierarchy-utils.js';
 // Logger will be initialized lazily
 let logger = null;
 
@@ -20,10 +27,16 @@ async function getLogger() {
 }
 
 export class TaskCompletion {
-  constructor(dataPersistence, projectManagement, eventBus = null) {
+  constructor(dataPersistence, projectManagement, eventBus = null, branchDeepening = null) {
     this.dataPersistence = dataPersistence;
     this.projectManagement = projectManagement;
     this.eventBus = eventBus || bus; // Use provided eventBus or default to global bus
+    this.recurringTasks = new RecurringTasks(dataPersistence, projectManagement);
+    this.durationCalibration = new DurationCalibration(dataPersistence);
+    this.energyModel = new EnergyModel(dataPersistence);
+    this.timeAllocation = new TimeAllocation(dataPersistence, projectManagement);
+    // The server's BranchDeepening; without one, completions never expand placeholder branches
+    this.branchDeepening = branchDeepening;
   }
   /**
    * Complete a learning block.
@@ -70,6 +83,7 @@ export class TaskCompletion {
         opts.viralPotential = opts.viralPotential ?? opts.viral_potential;
         opts.industryConnections = opts.industryConnections ?? opts.industry_connections;
         opts.serendipitousEvents = opts.serendipitousEvents ?? opts.serendipitous_events;
+        opts.actualDuration = opts.actualDuration ?? opts.actual_duration;
       }
     } else {
       opts = {
@@ -107,6 +121,8 @@ export class TaskCompletion {
       viralPotential: viral = false,
       industryConnections: connections = [],
       serendipitousEvents: serendip = [],
+      actualDuration: actualMinutes = null,
+      focusSession = null,
     } = opts;
 
     // ENHANCED: Use atomic transaction wrapper for all completion operations
@@ -121,8 +137,13 @@ export class TaskCompletion {
       if (typeof en !== 'number' || en < 1 || en > 5) {
         throw new Error('Invalid energyLevel: must be a number between 1 and 5');
       }
+      if (actualMinutes !== null && actualMinutes !== undefined && (typeof actualMinutes !== 'number' || actualMinutes <= 0)) {
+        throw new Error('Invalid actualDuration: must be a positive number of minutes');
+      }
 
       const projectId = await this.projectManagement.requireActiveProject();
+      // Hold the project lock from the first read so concurrent servers cannot interleave
+      await this.dataPersistence.lockProject(projectId, transaction);
       const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
 
       if (!config || typeof config !== 'object') {
@@ -144,19 +165,49 @@ export class TaskCompletion {
 
       const logger = await getLogger();
       logger.info('[TaskCompletion] Searching for block', { blockId, totalBlocks: schedule.blocks.length });
-      logger.debug('[TaskCompletion] frontierNodes snapshot', { frontierNodes: (await this.loadPathHTA(projectId, config.activePath || DEFAULT_PATHS.GENERAL))?.frontierNodes?.length });
+      logger.debug('[TaskCompletion] frontierNodes snapshot', { frontierNodes: (await this.dataPersistence.loadPathHTA(projectId, config.activePath || DEFAULT_PATHS.GENERAL))?.frontierNodes?.length });
       let block = schedule.blocks.find(
         b => b.id === blockId || b.taskId === blockId || b.nodeId === blockId || b.title === blockId
       );
 
+      // Recurring items can be completed by id on any day they were not scheduled
+      if (!block) {
+        const recurringItem = await this.recurringTasks.findItem(projectId, blockId);
+        if (recurringItem) {
+          block = {
+            id: recurringItem.id,
+            type: 'recurring',
+            title: recurringItem.title,
+            startTime: new Date().toISOString(),
+            duration: recurringItem.durationMinutes,
+            recurringId: recurringItem.id,
+            kind: recurringItem.kind,
+            completed: false,
+            priority: 'medium',
+          };
+          schedule.blocks.push(block);
+        }
+      }
+
       // --- FALLBACK: allow completing tasks that were never scheduled ---
       if (!block) {
         // Try to fetch the HTA node so we can pull in metadata
         const htaData =
-          (await this.loadPathHTA(projectId, config.activePath || DEFAULT_PATHS.GENERAL)) || {};
+          (await this.dataPersistence.loadPathHTA(projectId, config.activePath || DEFAULT_PATHS.GENERAL)) || {};
+
+        // Review ids (review_<nodeId>) come straight from get_due_reviews. They must
+        // name a completed node exactly, or review state would land on a guessed one
+        const reviewNodeId = ReviewScheduler.nodeIdFromReviewId(blockId);
+        let node;
+        if (reviewNodeId) {
+          node = htaData.frontierNodes?.find(n => n.id === reviewNodeId && n.completed);
+          if (!node) {
+            throw new Error(`No completed task '${reviewNodeId}' to review; use an id from get_due_reviews`);
+          }
+        }
 
         // Try multiple matching strategies for task ID
-        let node = htaData.frontierNodes?.find(n => n.id === blockId);
+        node = node || htaData.frontierNodes?.find(n => n.id === blockId);
 
         // If exact match fails, try flexible matching
         if (!node && htaData.frontierNodes) {
@@ -182,7 +233,7 @@ export class TaskCompletion {
 
         block = {
           id: blockId,
-          type: 'learning',
+          type: reviewNodeId ? 'review' : 'learning',
           title: node?.title || `Ad-hoc Task ${blockId}`,
           description: node?.description || '',
           startTime: new Date().toISOString(),
@@ -207,6 +258,12 @@ export class TaskCompletion {
       block.energyAfter = en;
       block.difficultyRating = diff;
       block.breakthrough = br;
+      if (actualMinutes !== null && actualMinutes !== undefined) {
+        block.actualDuration = actualMinutes;
+      }
+      if (focusSession) {
+        block.focusSession = focusSession;
+      }
 
       // Add opportunity detection context if provided
       if (eng !== 5 || unexp.length > 0) {
@@ -222,59 +279,129 @@ export class TaskCompletion {
         };
       }
 
-      // CRITICAL FIX: Mark the corresponding HTA frontier node as completed
-      const htaData =
-        (await this.loadPathHTA(projectId, config.activePath || DEFAULT_PATHS.GENERAL)) || {};
-      if (htaData.frontierNodes) {
-        // Use the same flexible matching logic as above
-        let htaNode = htaData.frontierNodes.find(n => n.id === blockId);
-
-        // If exact match fails, try flexible matching
-        if (!htaNode) {
-          htaNode = htaData.frontierNodes.find(n =>
-            n.title?.toLowerCase().includes(blockId.toLowerCase()) ||
-            n.id?.includes(blockId) ||
-            blockId.includes(n.id) ||
-            n.id?.endsWith(blockId) ||
-            blockId.endsWith(n.id?.split('_').pop() || '') ||
-            n.id === block.taskId  // Also try the taskId from the block
-          );
-        }
-
-        if (htaNode) {
-          // Mark node completed in both naming conventions to ensure all consumers see the update
-          const markDone = node => {
-            if (!node) return;
-            node.completed = true;
-            node.completedAt = block.completedAt;
-            node.outcome = block.outcome;
-            node.learned = block.learned;
-            node.difficultyRating = block.difficultyRating;
-            node.breakthrough = block.breakthrough;
-          };
-          markDone(htaNode);
-          // also snake_case array if present
-          if (htaData.frontierNodes) {
-            markDone(htaData.frontierNodes.find(n => n.id === blockId));
+      if (block.type === 'recurring') {
+        // Recurring items track per-occurrence completions, not HTA nodes or learning history
+        block.streak = await this.recurringTasks.recordCompletion(
+          projectId,
+          block.recurringId,
+          today,
+          { outcome: block.outcome, energyAfter: block.energyAfter, duration: block.duration },
+          transaction
+        );
+        await this.dataPersistence.saveProjectData(
+          projectId,
+          `day_${today}.json`,
+          schedule,
+          transaction
+        );
+      } else {
+        // CRITICAL FIX: Mark the corresponding HTA frontier node as completed
+        const htaData =
+          (await this.dataPersistence.loadPathHTA(projectId, config.activePath || DEFAULT_PATHS.GENERAL)) || {};
+        if (htaData.frontierNodes) {
+          // Review blocks point at an already-completed node through taskId
+          const isReview = block.type === 'review';
+
+          // Use the same flexible matching logic as above
+          let htaNode = htaData.frontierNodes.find(n => n.id === (isReview ? block.taskId : blockId));
+
+          // If exact match fails, try flexible matching
+          if (!htaNode && !isReview) {
+            htaNode = htaData.frontierNodes.find(n =>
+              n.title?.toLowerCase().includes(blockId.toLowerCase()) ||
+              n.id?.includes(blockId) ||
+              blockId.includes(n.id) ||
+              n.id?.endsWith(blockId) ||
+              blockId.endsWith(n.id?.split('_').pop() || '') ||
+              n.id === block.taskId  // Also try the taskId from the block
+            );
           }
-          logger.debug('[TaskCompletion] HTA node after markDone', { htaNode });
-
-          // ENHANCED: Save all updates within the atomic transaction
-          // Save updated HTA data
-          await this.savePathHTA(projectId, activePath, htaData, transaction);
 
-          // Save updated schedule
-          await this.dataPersistence.saveProjectData(
-            projectId,
-            `day_${today}.json`,
-            schedule,
-            transaction
-          );
-
-          // Update learning history
-          await this.updateLearningHistory(projectId, activePath, block, transaction);
+          if (htaNode && isReview) {
+            // Reviews only advance the spaced-repetition schedule; completion data stays intact
+            const quality = ReviewScheduler.qualityFromCompletion(block.difficultyRating, block.learned);
+            ReviewScheduler.recordReview(htaNode, quality, new Date(block.completedAt));
+            block.review = htaNode.review;
+
+            await this.dataPersistence.savePathHTA(projectId, activePath, htaData, transaction);
+            await this.dataPersistence.saveProjectData(
+              projectId,
+              `day_${today}.json`,
+              schedule,
+              transaction
+            );
+            await this.updateLearningHistory(projectId, activePath, block, transaction);
+          } else if (htaNode) {
+            // Mark node completed in both naming conventions to ensure all consumers see the update
+            const markDone = node => {
+              if (!node) return;
+              node.completed = true;
+              node.completedAt = block.completedAt;
+              node.outcome = block.outcome;
+              node.learned = block.learned;
+              node.difficultyRating = block.difficultyRating;
+              node.breakthrough = block.breakthrough;
+            };
+            markDone(htaNode);
+            this.recordActuals(htaNode, block);
+            if (block.actualDuration) {
+              // Planned vs actual minutes feed estimate calibration for future tasks
+              await this.durationCalibration.recordSample(projectId, htaNode, block, transaction);
+            }
+            // also snake_case array if present
+            if (htaData.frontierNodes) {
+              markDone(htaData.frontierNodes.find(n => n.id === blockId));
+            }
+            // Seed the spaced-repetition schedule on first completion
+            if (!htaNode.review) {
+              const quality = ReviewScheduler.qualityFromCompletion(block.difficultyRating, block.learned);
+              ReviewScheduler.recordReview(htaNode, quality, new Date(block.completedAt));
+              block.review = htaNode.review;
+            }
+            logger.debug('[TaskCompletion] HTA node after markDone', { htaNode });
+
+            // Objectives and subgoals whose last open task this was complete with it
+            const { completed: finishedParents } = syncContainerCompletion(
+              ensureHierarchy(htaData),
+              new Date(block.completedAt)
+            );
+            if (finishedParents.length > 0) {
+              block.completedParents = finishedParents.map(node => node.title);
+            }
+
+            // ENHANCED: Save all updates within the atomic transaction
+            // Save updated HTA data
+            await this.dataPersistence.savePathHTA(projectId, activePath, htaData, transaction);
+
+            // Save updated schedule
+            await this.dataPersistence.saveProjectData(
+              projectId,
+              `day_${today}.json`,
+              schedule,
+              transaction
+            );
+
+            // Update learning history
+            await this.updateLearningHistory(projectId, activePath, block, transaction);
+
+            // Plan the next placeholder branch once the learner is close to it
+            const expansion = await this.branchDeepening?.expandNearFrontier(projectId, activePath, transaction);
+            if (expansion) {
+              block.expandedBranch = { title: expansion.title, tasksCreated: expansion.tasksCreated };
+            }
+          } else {
+            // If no HTA node found, still save schedule
+            await this.dataPersistence.saveProjectData(
+              projectId,
+              `day_${today}.json`,
+              schedule,
+              transaction
+            );
+
+            await this.updateLearningHistory(projectId, activePath, block, transaction);
+          }
         } else {
-          // If no HTA node found, still save schedule
+          // If no frontierNodes at all, still save schedule
           await this.dataPersistence.saveProjectData(
             projectId,
             `day_${today}.json`,
@@ -284,20 +411,16 @@ export class TaskCompletion {
 
           await this.updateLearningHistory(projectId, activePath, block, transaction);
         }
-      } else {
-        // If no frontierNodes at all, still save schedule
-        await this.dataPersistence.saveProjectData(
-          projectId,
-          `day_${today}.json`,
-          schedule,
-          transaction
-        );
-
-        await this.updateLearningHistory(projectId, activePath, block, transaction);
       }
 
+      // The energy reported at completion feeds the time-of-day energy forecast
+      await this.energyModel.recordSample(projectId, block, transaction);
+
+      // Time spent counts against the project's weekly hours budget
+      await this.timeAllocation.recordBlock(projectId, activePath, block, transaction);
+
       // Emit block completion event for decoupled strategy evolution
-      if (lrnd || nq || br) {
+      if (block.type !== 'recurring' && (lrnd || nq || br)) {
         this.eventBus.emit(
           'block:completed',
           {
@@ -339,6 +462,24 @@ export class TaskCompletion {
     });
   }
 
+  /**
+   * Carry the effort a block really took onto its HTA node (via HtaNode.updateActuals)
+   * so later duration estimates can learn from it
+   */
+  recordActuals(htaNode, block) {
+    const model = HtaNode.fromData({
+      ...htaNode,
+      title: htaNode.title || block.title,
+      branch: htaNode.branch || DEFAULT_PATHS.GENERAL,
+    });
+    model.updateActuals(
+      block.difficultyRating ?? null,
+      typeof block.actualDuration === 'number' ? Math.round(block.actualDuration) : null
+    );
+    htaNode.actualDifficulty = model.actualDifficulty;
+    htaNode.actualDuration = model.actualDuration;
+  }
+
   async updateLearningHistory(projectId, pathName, block, transaction = null) {
     const learningHistory = (await this.loadPathLearningHistory(projectId, pathName)) || {
       completedTopics: [],
@@ -359,6 +500,7 @@ export class TaskCompletion {
       breakthrough: block.breakthrough,
       blockId: block.id,
       taskId: block.taskId,
+      actualDuration: block.actualDuration ?? null,
     });
 
     // Add insights if breakthrough
@@ -519,9 +661,30 @@ export class TaskCompletion {
       response += `**Learned**: ${block.learned}\n`;
     }
 
+    if (block.actualDuration) {
+      response += `**Time Spent**: ${Math.round(block.actualDuration)} minutes`;
+      response += block.focusSession ? ` focused (${block.focusSession.interruptions} interruption(s))\n` : '\n';
+    }
+
+    if (block.streak) {
+      response += `**Streak**: ${block.streak.currentStreak} (best ${block.streak.longestStreak})\n`;
+    }
+
     response += `**Energy After**: ${block.energyAfter}/5\n`;
     response += `**Difficulty**: ${block.difficultyRating}/5\n`;
 
+    if (block.completedParents?.length) {
+      response += `**Also Completed**: ${block.completedParents.join(', ')}\n`;
+    }
+
+    if (block.expandedBranch) {
+      response += `**New Branch Planned**: ${block.expandedBranch.title} (${block.expandedBranch.tasksCreated} tasks)\n`;
+    }
+
+    if (block.review?.dueDate) {
+      response += `**Next Review**: ${block.review.dueDate} (every ${block.review.interval} day(s))\n`;
+    }
+
     if (block.breakthrough) {
       response += '\n🎉 **BREAKTHROUGH DETECTED!** 🎉\n';
     }
@@ -617,19 +780,4 @@ export class TaskCompletion {
       );
     }
   }
-
-  async loadPathHTA(projectId, pathName) {
-    if (pathName === DEFAULT_PATHS.GENERAL) {
-      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
-    }
-  }
-
-  async savePathHTA(projectId, pathName, htaData, transaction = null) {
-    if (pathName === DEFAULT_PATHS.GENERAL) {
-      return await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.HTA, htaData, transaction);
-    }
-    return await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData, transaction);
-  }
 }
@@ -0,0 +1,168 @@
+/**
+ * Task Deferral Module
+ * Puts frontier nodes on hold: snooze_task defers a task until a date
+ * (deferredUntil) and block_task parks it on something external (blockedOn)
+ * until it is released. Held tasks are skipped by task selection and
+ * scheduling; SystemClock clears snoozes once they expire.
+ */
+
+import { DEFAULT_PATHS, FILE_NAMES, TASK_HOLD_CONFIG } from './constants.js';
+import { HtaNode } from '../models/hta-node.js';
+import { addDays } from '../utils/recurrence.js';
+
+export class TaskDeferral {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Snooze a task, or wake it early
+   * @param {Object} options
+   * @param {string} options.taskId - Node id or title
+   * @param {string|null} [options.until] - YYYY-MM-DD or ISO timestamp
+   * @param {number|null} [options.days] - Snooze for this many days instead (default TASK_HOLD_CONFIG.DEFAULT_SNOOZE_DAYS)
+   * @param {string|null} [options.pathName] - Learning path; the active one when omitted
+   * @param {boolean} [options.clear] - Wake the task now
+   */
+  async snoozeTask({ taskId, until = null, days = null, pathName = null, clear = false } = {}) {
+    try {
+      if (!clear && !until && days !== null && !(Number(days) > 0)) {
+        throw new Error(`Invalid days '${days}': expected a positive number`);
+      }
+      const deferredUntil = clear ? null : until || this.daysFromNow(days ?? TASK_HOLD_CONFIG.DEFAULT_SNOOZE_DAYS);
+
+      return await this.updateNode(taskId, pathName, (model, node) => {
+        if (clear) {
+          model.deferredUntil = null;
+          return `⏰ "${node.title}" is awake again.`;
+        }
+        model.snooze(deferredUntil);
+        if (Date.parse(model.deferredUntil) <= this.now().getTime()) {
+          throw new Error(`Snooze date ${until} is already past`);
+        }
+        return `😴 Snoozed "${node.title}" until ${model.deferredUntil.split('T')[0]}.` +
+          (model.blockedOn ? ` It is also blocked on: ${model.blockedOn}.` : '');
+      }, 'snoozeTask');
+    } catch (error) {
+      await this.dataPersistence.logError('snoozeTask', error, { taskId, until, days });
+      return {
+        content: [{ type: 'text', text: `Error snoozing task: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Block a task on something external, or release it
+   * @param {Object} options
+   * @param {string} options.taskId - Node id or title
+   * @param {string|null} [options.reason] - What it is waiting on
+   * @param {string|null} [options.pathName] - Learning path; the active one when omitted
+   * @param {boolean} [options.clear] - Release the block
+   */
+  async blockTask({ taskId, reason = null, pathName = null, clear = false } = {}) {
+    try {
+      return await this.updateNode(taskId, pathName, (model, node) => {
+        if (clear) {
+          model.blockedOn = null;
+          return `🔓 "${node.title}" is no longer blocked.`;
+        }
+        model.block(reason);
+        return `⛔ Blocked "${node.title}" on: ${model.blockedOn}.\n\nRelease it with \`block_task\` and \`clear: true\` when that happens.`;
+      }, 'blockTask');
+    } catch (error) {
+      await this.dataPersistence.logError('blockTask', error, { taskId, reason });
+      return {
+        content: [{ type: 'text', text: `Error blocking task: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Clear snoozes that have expired in every learning path of a project
+   * @param {string} projectId
+   * @returns {Promise<Array<{id: string, title: string, pathName: string}>>} Woken tasks
+   */
+  async releaseExpired(projectId) {
+    const now = this.now().getTime();
+    return await this.dataPersistence.executeInTransaction(async transaction => {
+      await this.dataPersistence.lockProject(projectId, transaction);
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const pathNames = [...new Set([DEFAULT_PATHS.GENERAL, ...(config?.learning_paths || []).map(path => path.path_name)])];
+
+      const released = [];
+      for (const pathName of pathNames) {
+        const htaData = await this.dataPersistence.loadPathHTA(projectId, pathName);
+        const expired = (htaData?.frontierNodes || []).filter(node => node.deferredUntil && Date.parse(node.deferredUntil) <= now);
+        if (expired.length === 0) {
+          continue;
+        }
+        for (const node of expired) {
+          delete node.deferredUntil;
+          released.push({ id: node.id, title: node.title, pathName });
+        }
+        await this.dataPersistence.savePathHTA(projectId, pathName, htaData, transaction);
+      }
+      return released;
+    }, 'releaseExpiredSnoozes');
+  }
+
+  /**
+   * Apply a change to one node through the HtaNode model and save the tree
+   */
+  async updateNode(taskId, pathName, change, operation) {
+    if (!taskId) {
+      throw new Error('task_id is required');
+    }
+    const projectId = await this.projectManagement.requireActiveProject();
+
+    return await this.dataPersistence.executeInTransaction(async transaction => {
+      await this.dataPersistence.lockProject(projectId, transaction);
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      const path = pathName || config?.activePath || DEFAULT_PATHS.GENERAL;
+      const htaData = await this.dataPersistence.loadPathHTA(projectId, path);
+      const node = (htaData?.frontierNodes || []).find(candidate => candidate.id === taskId) ||
+        (htaData?.frontierNodes || []).find(candidate => candidate.title === taskId);
+      if (!node) {
+        throw new Error(`Task '${taskId}' not found in the ${path} path`);
+      }
+      if (node.completed) {
+        throw new Error(`Task '${node.title}' is already completed`);
+      }
+
+      const model = HtaNode.fromData({ ...node, branch: node.branch || DEFAULT_PATHS.GENERAL });
+      const text = change(model, node);
+      this.applyHold(node, model);
+      await this.dataPersistence.savePathHTA(projectId, path, htaData, transaction);
+
+      return {
+        content: [{ type: 'text', text }],
+        project_id: projectId,
+        path_name: path,
+        task: { id: node.id, title: node.title, deferred_until: node.deferredUntil ?? null, blocked_on: node.blockedOn ?? null }
+      };
+    }, operation);
+  }
+
+  /**
+   * Copy the hold fields back onto the stored node, dropping empty ones
+   */
+  applyHold(node, model) {
+    for (const field of ['deferredUntil', 'blockedOn']) {
+      if (model[field]) {
+        node[field] = model[field];
+      } else {
+        delete node[field];
+      }
+    }
+  }
+
+  daysFromNow(days) {
+    const today = this.now().toISOString().split('T')[0];
+    return addDays(today, Math.ceil(Number(days)));
+  }
+}
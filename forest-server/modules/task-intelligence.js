@@ -5,8 +5,9 @@
 
 import { WebContext } from './web-context.js';
 import { FILE_NAMES, DEFAULT_PATHS, TASK_CONFIG, SCORING } from './constants.js';
-import { TaskScorer, TaskSelector, TaskFormatter } from './task-logic/index.js';
+import { TaskScorer, TaskSelector, TaskFormatter, ReviewScheduler } from './task-logic/index.js';
 import { HTABridge } from './hta-bridge.js';
+import { EnergyModel } from './energy-model.js';
 
 // @ts-nocheck
 export class TaskIntelligence {
@@ -15,10 +16,11 @@ export class TaskIntelligence {
     this.projectManagement = projectManagement;
     this.webContext = new WebContext(dataPersistence, llmInterface);
     this.htaBridge = new HTABridge(dataPersistence, projectManagement);
+    this.energyModel = new EnergyModel(dataPersistence);
     this.logger = console; // Simple logger fallback
   }
 
-  async getNextTask(contextFromMemory = '', energyLevel = 3, timeAvailable = '30 minutes') {
+  async getNextTask(contextFromMemory = '', energyLevel = null, timeAvailable = '30 minutes') {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
       const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
@@ -28,6 +30,10 @@ export class TaskIntelligence {
         throw new ProjectConfigurationError(projectId, FILE_NAMES.CONFIG, null, { operation: 'getNextTask' });
       }
 
+      // Without a reported energy level, the learned forecast for this hour stands in
+      const energyForecast = energyLevel === null || energyLevel === undefined ? await this.energyModel.forecast() : null;
+      const effectiveEnergy = energyLevel ?? energyForecast.energyLevel;
+
       // Extract project context
       const projectContext = {
         goal: config.goal,
@@ -66,10 +72,10 @@ export class TaskIntelligence {
           const updatedHtaData = await this.loadPathHTA(projectId, projectContext.activePath);
           if (updatedHtaData && Array.isArray(updatedHtaData.frontierNodes) && updatedHtaData.frontierNodes.length > 0) {
             // Use TaskSelector to get optimal task with updated data
-            const selectedTask = TaskSelector.selectOptimalTask(updatedHtaData, energyLevel, timeAvailable, contextFromMemory, projectContext, config, reasoningAnalysis);
+            const selectedTask = TaskSelector.selectOptimalTask(updatedHtaData, energyLevel, timeAvailable, contextFromMemory, projectContext, config, reasoningAnalysis, energyForecast?.energyLevel);
             if (selectedTask) {
               const extSummary = await this.webContext.refreshIfNeeded(projectContext.goal, selectedTask.title || '');
-              const taskResponse = TaskFormatter.formatTaskResponse(selectedTask, energyLevel, timeAvailable) +
+              const taskResponse = TaskFormatter.formatTaskResponse(selectedTask, effectiveEnergy, timeAvailable) +
                 (extSummary ? `\n\n🌐 External context used:\n${extSummary}` : '');
               return {
                 content: [{
@@ -77,7 +83,8 @@ export class TaskIntelligence {
                   text: taskResponse
                 }],
                 selected_task: selectedTask,
-                energy_level: energyLevel,
+                energy_level: effectiveEnergy,
+                energy_source: energyForecast ? energyForecast.source : 'given',
                 time_available: timeAvailable,
                 context_used: 'yes',
                 project_context: projectContext,
@@ -100,10 +107,10 @@ export class TaskIntelligence {
         // Reload and get the new escalated task
         const updatedHtaData = await this.loadPathHTA(projectId, projectContext.activePath);
         if (updatedHtaData && Array.isArray(updatedHtaData.frontierNodes) && updatedHtaData.frontierNodes.length > 0) {
-          const selectedTask = TaskSelector.selectOptimalTask(updatedHtaData, energyLevel, timeAvailable, contextFromMemory, projectContext, config, reasoningAnalysis);
+          const selectedTask = TaskSelector.selectOptimalTask(updatedHtaData, energyLevel, timeAvailable, contextFromMemory, projectContext, config, reasoningAnalysis, energyForecast?.energyLevel);
           if (selectedTask) {
             const extSummary2 = await this.webContext.refreshIfNeeded(projectContext.goal, selectedTask.title || '');
-            const taskResponse = TaskFormatter.formatTaskResponse(selectedTask, energyLevel, timeAvailable) +
+            const taskResponse = TaskFormatter.formatTaskResponse(selectedTask, effectiveEnergy, timeAvailable) +
               (extSummary2 ? `\n\n🌐 External context used:\n${extSummary2}` : '');
             return {
               content: [{
@@ -111,7 +118,8 @@ export class TaskIntelligence {
                 text: taskResponse
               }],
               selected_task: selectedTask,
-              energy_level: energyLevel,
+              energy_level: effectiveEnergy,
+              energy_source: energyForecast ? energyForecast.source : 'given',
               time_available: timeAvailable,
               context_used: 'yes',
               project_context: projectContext,
@@ -127,14 +135,14 @@ export class TaskIntelligence {
       let evolutionResponse = null;
 
       if (contextAnalysis.needsAdaptation) {
-        const adaptationResult = await this.handleEvolutionPattern(htaData, contextAnalysis, energyLevel, timeAvailable, projectContext);
+        const adaptationResult = await this.handleEvolutionPattern(htaData, contextAnalysis, effectiveEnergy, timeAvailable, projectContext);
         if (adaptationResult) {
           adaptedHtaData = adaptationResult.htaData || htaData;
           evolutionResponse = adaptationResult.response;
         }
       }
 
-      const selectedTask = TaskSelector.selectOptimalTask(adaptedHtaData, energyLevel, timeAvailable, contextFromMemory, projectContext, config, reasoningAnalysis);
+      const selectedTask = TaskSelector.selectOptimalTask(adaptedHtaData, energyLevel, timeAvailable, contextFromMemory, projectContext, config, reasoningAnalysis, energyForecast?.energyLevel);
 
       if (!selectedTask) {
         // If we have an evolution response but no task, return the evolution response
@@ -155,7 +163,7 @@ export class TaskIntelligence {
       }
 
       const extSummary = await this.webContext.refreshIfNeeded(projectContext.goal, selectedTask.title || '');
-      const taskResponse = TaskFormatter.formatTaskResponse(selectedTask, energyLevel, timeAvailable) +
+      const taskResponse = TaskFormatter.formatTaskResponse(selectedTask, effectiveEnergy, timeAvailable) +
         (extSummary ? `\n\n🌐 External context used:\n${extSummary}` : '');
 
       const finalResponse = {
@@ -164,7 +172,8 @@ export class TaskIntelligence {
           text: taskResponse
         }],
         selected_task: selectedTask,
-        energy_level: energyLevel,
+        energy_level: effectiveEnergy,
+        energy_source: energyForecast ? energyForecast.source : 'given',
         time_available: timeAvailable,
         context_used: contextFromMemory ? 'yes' : 'no',
         project_context: projectContext,
@@ -190,6 +199,49 @@ export class TaskIntelligence {
     }
   }
 
+  /**
+   * List spaced-repetition reviews that are due for the active path.
+   * @param {number} limit - Maximum number of reviews to list
+   * @param {number} daysAhead - Include reviews due within this many days
+   */
+  async getDueReviews(limit = 10, daysAhead = 0) {
+    try {
+      const projectId = await this.projectManagement.requireActiveProject();
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+
+      if (!config) {
+        const { ProjectConfigurationError } = await import('./errors.js');
+        throw new ProjectConfigurationError(projectId, FILE_NAMES.CONFIG, null, { operation: 'getDueReviews' });
+      }
+
+      const activePath = config.activePath || DEFAULT_PATHS.GENERAL;
+      const htaData = activePath === DEFAULT_PATHS.GENERAL
+        ? await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA)
+        : await this.dataPersistence.loadPathData(projectId, activePath, FILE_NAMES.HTA);
+
+      const dueReviews = ReviewScheduler.getDueReviews(htaData || {}, new Date(), daysAhead);
+      const listed = dueReviews.slice(0, limit);
+
+      return {
+        content: [{
+          type: 'text',
+          text: TaskFormatter.formatDueReviewsResponse(listed, dueReviews.length, daysAhead)
+        }],
+        due_reviews: listed,
+        total_due: dueReviews.length,
+        active_path: activePath
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('getDueReviews', error, { limit, daysAhead });
+      return {
+        content: [{
+          type: 'text',
+          text: `Error getting due reviews: ${error.message}`
+        }]
+      };
+    }
+  }
+
   async evolveStrategy(feedback = '') {
     try {
       const projectId = await this.projectManagement.requireActiveProject();
@@ -228,7 +280,7 @@ export class TaskIntelligence {
           };
         }
 
-        await this.savePathHTA(projectId, activePath, htaData);
+        await this.dataPersistence.savePathHTA(projectId, activePath, htaData);
       }
 
       const responseText = TaskFormatter.formatStrategyEvolutionResponse(analysis, newTasks, feedback);
@@ -965,14 +1017,6 @@ export class TaskIntelligence {
     }
   }
 
-  async savePathHTA(projectId, pathName, htaData) {
-    if (pathName === DEFAULT_PATHS.GENERAL) {
-      return await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.HTA, htaData);
-    } else {
-      return await this.dataPersistence.savePathData(projectId, pathName, FILE_NAMES.HTA, htaData);
-    }
-  }
-
   async loadLearningHistory(projectId, pathName) {
     if (pathName === DEFAULT_PATHS.GENERAL) {
       return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.LEARNING_HISTORY);
@@ -1131,5 +1175,4 @@ export class TaskIntelligence {
     const match = timeStr.match(/(\d+)/);
     return match ? parseInt(match[1]) : 30;
   }
-
 }
\ No newline at end of file
@@ -0,0 +1,176 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ReviewScheduler } from '../review-scheduler.js';
+import { TaskSelector } from '../task-selector.js';
+import { ScheduleGenerator } from '../../schedule-generator.js';
+import { DataPersistence } from '../../data-persistence.js';
+import { TaskCompletion } from '../../task-completion.js';
+import { FILE_NAMES } from '../../constants.js';
+
+describe('ReviewScheduler', () => {
+  const completedAt = new Date('2025-01-10T12:00:00Z');
+
+  const makeNode = (overrides = {}) => ({
+    id: 'node_1',
+    title: 'Learn scales',
+    description: 'Practice the major scales',
+    branch: 'fundamentals',
+    difficulty: 3,
+    completed: true,
+    learned: 'C major fingering',
+    ...overrides
+  });
+
+  describe('qualityFromCompletion', () => {
+    test('maps easy ratings to high quality', () => {
+      expect(ReviewScheduler.qualityFromCompletion(1, 'something')).toBe(5);
+      expect(ReviewScheduler.qualityFromCompletion(5, 'something')).toBe(1);
+    });
+
+    test('penalises completions where nothing was learned', () => {
+      expect(ReviewScheduler.qualityFromCompletion(3, '')).toBe(2);
+      expect(ReviewScheduler.qualityFromCompletion(3, 'notes')).toBe(3);
+    });
+
+    test('clamps out-of-range ratings', () => {
+      expect(ReviewScheduler.qualityFromCompletion(9, 'x')).toBe(1);
+      expect(ReviewScheduler.qualityFromCompletion(undefined, 'x')).toBe(3);
+    });
+  });
+
+  describe('recordReview', () => {
+    test('follows the SM-2 interval progression', () => {
+      const node = makeNode();
+
+      ReviewScheduler.recordReview(node, 5, completedAt);
+      expect(node.review.interval).toBe(1);
+      expect(node.review.dueDate).toBe('2025-01-11');
+
+      ReviewScheduler.recordReview(node, 5, new Date('2025-01-11T12:00:00Z'));
+      expect(node.review.interval).toBe(6);
+
+      ReviewScheduler.recordReview(node, 5, new Date('2025-01-17T12:00:00Z'));
+      expect(node.review.interval).toBe(Math.round(6 * 2.7));
+      expect(node.review.repetitions).toBe(3);
+      expect(node.review.reviewCount).toBe(2);
+    });
+
+    test('resets repetitions on a failed recall and keeps ease above minimum', () => {
+      const node = makeNode({ review: { easeFactor: 1.35, interval: 20, repetitions: 4 } });
+
+      ReviewScheduler.recordReview(node, 0, completedAt);
+
+      expect(node.review.repetitions).toBe(0);
+      expect(node.review.interval).toBe(1);
+      expect(node.review.easeFactor).toBe(1.3);
+    });
+  });
+
+  describe('getDueReviews', () => {
+    test('returns only completed nodes whose review is due, most overdue first', () => {
+      const htaData = {
+        frontierNodes: [
+          makeNode({ id: 'a', review: { dueDate: '2025-01-09', easeFactor: 2.5, interval: 1 } }),
+          makeNode({ id: 'b', review: { dueDate: '2025-01-05', easeFactor: 2.5, interval: 6 } }),
+          makeNode({ id: 'c', review: { dueDate: '2025-02-01', easeFactor: 2.5, interval: 6 } }),
+          makeNode({ id: 'd', completed: false })
+        ]
+      };
+
+      const due = ReviewScheduler.getDueReviews(htaData, completedAt);
+
+      expect(due.map(r => r.nodeId)).toEqual(['b', 'a']);
+      expect(due[0].id).toBe('review_b');
+      expect(due[0].overdueDays).toBe(5);
+      expect(due[0].priority).toBeGreaterThan(due[1].priority);
+    });
+
+    test('includes upcoming reviews when a look-ahead window is given', () => {
+      const htaData = {
+        frontierNodes: [makeNode({ id: 'c', review: { dueDate: '2025-01-12', easeFactor: 2.5, interval: 6 } })]
+      };
+
+      expect(ReviewScheduler.getDueReviews(htaData, completedAt)).toHaveLength(0);
+      expect(ReviewScheduler.getDueReviews(htaData, completedAt, 3)).toHaveLength(1);
+    });
+  });
+
+  test('nodeIdFromReviewId only resolves review ids', () => {
+    expect(ReviewScheduler.nodeIdFromReviewId('review_node_1')).toBe('node_1');
+    expect(ReviewScheduler.nodeIdFromReviewId('task_1')).toBeNull();
+  });
+
+  describe('surfacing due reviews', () => {
+    const overdue = makeNode({
+      id: 'old',
+      review: { dueDate: '2000-01-01', easeFactor: 2.5, interval: 1 }
+    });
+
+    test('TaskSelector considers due reviews next to new work', () => {
+      const htaData = { frontierNodes: [overdue] };
+
+      const selected = TaskSelector.selectOptimalTask(htaData, 3, '30 minutes', '', {});
+
+      expect(selected.isReview).toBe(true);
+      expect(selected.id).toBe('review_old');
+    });
+
+    test('ScheduleGenerator interleaves review blocks with learning blocks', () => {
+      const generator = new ScheduleGenerator(null, null);
+      const readyTasks = [
+        { id: 't1', title: 'New topic', difficulty: 2, duration: '30 minutes', priority: 300 }
+      ];
+      const dueReviews = ReviewScheduler.getDueReviews({ frontierNodes: [overdue] });
+
+      const blocks = generator.createTimeBlocks(
+        540, 660, [], readyTasks, 3, 'mixed', {}, {}, null, dueReviews
+      );
+      const workBlocks = blocks.filter(b => b.type === 'review' || b.type === 'learning');
+
+      expect(workBlocks[0].type).toBe('review');
+      expect(workBlocks[0].taskId).toBe('old');
+      expect(ReviewScheduler.nodeIdFromReviewId(workBlocks[0].id)).toBeNull();
+      expect(workBlocks[1].taskId).toBe('t1');
+    });
+  });
+
+  describe('completing review ids', () => {
+    let dataDir;
+    let dp;
+    let completion;
+    const loadNode = async id => (await dp.loadProjectData('piano', FILE_NAMES.HTA)).frontierNodes.find(n => n.id === id);
+
+    beforeEach(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'forest-review-'));
+      dp = new DataPersistence(dataDir, { backend: 'file' });
+      await dp.saveProjectData('piano', FILE_NAMES.CONFIG, { id: 'piano', activePath: 'general' });
+      await dp.saveProjectData('piano', FILE_NAMES.HTA, {
+        frontierNodes: [makeNode(), makeNode({ id: 'node_2', title: 'Learn arpeggios', completed: false, learned: '' })]
+      });
+      completion = new TaskCompletion(dp, { requireActiveProject: async () => 'piano' });
+    });
+
+    afterEach(async () => {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('a review id advances the review schedule of its completed node', async () => {
+      const result = await completion.completeBlock({ block_id: 'review_node_1', outcome: 'Recalled', energy_level: 3, learned: 'Still fluent' });
+
+      expect(result.block_completed).toMatchObject({ type: 'review', taskId: 'node_1' });
+      expect((await loadNode('node_1')).review).toMatchObject({ lastQuality: 3, repetitions: 1 });
+    });
+
+    test('a review id naming no completed node fails instead of matching another task', async () => {
+      for (const blockId of ['review_node_2', 'review_node_9']) {
+        const result = await completion.completeBlock({ block_id: blockId, outcome: 'Recalled', energy_level: 3 });
+        expect(result.content[0].text).toContain(`No completed task '${blockId.slice('review_'.length)}' to review`);
+      }
+
+      expect(await loadNode('node_2')).not.toHaveProperty('review');
+      expect((await loadNode('node_2')).completed).toBe(false);
+      expect(await loadNode('node_1')).not.toHaveProperty('review');
+    });
+  });
+});
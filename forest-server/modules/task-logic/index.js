@@ -5,4 +5,5 @@
 
 export { TaskScorer } from './task-scorer.js';
 export { TaskSelector } from './task-selector.js';
-export { TaskFormatter } from './task-formatter.js';
\ No newline at end of file
+export { TaskFormatter } from './task-formatter.js';
+export { ReviewScheduler } from './review-scheduler.js';
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Review Scheduler Module
+ * SM-2 style spaced repetition for completed HTA nodes. Review state lives on the
+ * node itself (`node.review`) so every consumer of hta.json sees the same schedule.
+ */
+
+// @ts-nocheck
+
+import { REVIEW_CONFIG, TIME_CONVERSION } from '../constants.js';
+
+export class ReviewScheduler {
+  /**
+   * Map completion feedback onto an SM-2 quality grade (0-5).
+   * @param {number} difficultyRating - Reported difficulty (1 = trivial, 5 = very hard)
+   * @param {string} learned - What the user reported learning
+   * @returns {number} Quality grade
+   */
+  static qualityFromCompletion(difficultyRating = 3, learned = '') {
+    const rating = Math.min(5, Math.max(1, Number(difficultyRating) || 3));
+    let quality = REVIEW_CONFIG.MAX_QUALITY + 1 - rating;
+
+    if (!learned || (typeof learned === 'string' && learned.trim().length === 0)) {
+      quality -= REVIEW_CONFIG.NO_LEARNING_PENALTY;
+    }
+
+    return Math.min(REVIEW_CONFIG.MAX_QUALITY, Math.max(0, quality));
+  }
+
+  /**
+   * Apply one SM-2 step to a node and store the resulting review state on it.
+   * The first call seeds the review item; later calls record actual reviews.
+   * @param {Object} node - Completed HTA frontier node (mutated)
+   * @param {number} quality - SM-2 quality grade (0-5)
+   * @param {Date} reviewedAt - When the completion or review happened
+   * @returns {Object} The updated review state
+   */
+  static recordReview(node, quality, reviewedAt = new Date()) {
+    const previous = node.review || {};
+    let easeFactor = previous.easeFactor ?? REVIEW_CONFIG.INITIAL_EASE_FACTOR;
+    let repetitions = previous.repetitions ?? 0;
+    let interval = previous.interval ?? 0;
+
+    if (quality >= REVIEW_CONFIG.PASSING_QUALITY) {
+      if (repetitions === 0) {
+        interval = REVIEW_CONFIG.FIRST_INTERVAL_DAYS;
+      } else if (repetitions === 1) {
+        interval = REVIEW_CONFIG.SECOND_INTERVAL_DAYS;
+      } else {
+        interval = Math.round(interval * easeFactor);
+      }
+      repetitions += 1;
+    } else {
+      repetitions = 0;
+      interval = REVIEW_CONFIG.FIRST_INTERVAL_DAYS;
+    }
+
+    const miss = REVIEW_CONFIG.MAX_QUALITY - quality;
+    easeFactor = Math.max(
+      REVIEW_CONFIG.MIN_EASE_FACTOR,
+      easeFactor + (0.1 - miss * (0.08 + miss * 0.02))
+    );
+
+    node.review = {
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      interval,
+      repetitions,
+      dueDate: ReviewScheduler.addDays(reviewedAt, interval),
+      lastReviewedAt: reviewedAt.toISOString(),
+      lastQuality: quality,
+      reviewCount: (previous.reviewCount ?? -1) + 1
+    };
+
+    return node.review;
+  }
+
+  /**
+   * Collect review items that are due on or before the given date.
+   * @param {Object} htaData - HTA data with frontier nodes
+   * @param {Date} asOf - Reference date (defaults to now)
+   * @param {number} daysAhead - Also include items due within this many days
+   * @returns {Array} Review tasks, most overdue first
+   */
+  static getDueReviews(htaData, asOf = new Date(), daysAhead = 0) {
+    const nodes = htaData?.frontierNodes || [];
+    const today = asOf.toISOString().split('T')[0];
+    const horizon = ReviewScheduler.addDays(asOf, daysAhead);
+
+    return nodes
+      .filter(node => node.completed && node.review?.dueDate && node.review.dueDate <= horizon)
+      .map(node => ReviewScheduler.toReviewTask(node, today))
+      .sort((a, b) => b.overdueDays - a.overdueDays || a.easeFactor - b.easeFactor || a.nodeId.localeCompare(b.nodeId));
+  }
+
+  /**
+   * Build a schedulable review task from a node carrying review state.
+   * @param {Object} node - Completed HTA node
+   * @param {string} today - Reference date (YYYY-MM-DD)
+   * @returns {Object} Review task
+   */
+  static toReviewTask(node, today) {
+    const overdueDays = Math.max(0, ReviewScheduler.daysBetween(node.review.dueDate, today));
+    const overdueBoost = Math.min(
+      REVIEW_CONFIG.MAX_OVERDUE_BOOST,
+      overdueDays * REVIEW_CONFIG.OVERDUE_PRIORITY_PER_DAY
+    );
+
+    return {
+      id: `${REVIEW_CONFIG.ID_PREFIX}${node.id}`,
+      nodeId: node.id,
+      type: 'review',
+      isReview: true,
+      title: `Review: ${node.title}`,
+      description: node.learned ? `Recall what you learned: ${node.learned}` : node.description || '',
+      branch: node.branch,
+      difficulty: Math.min(node.difficulty || 2, 2),
+      duration: `${REVIEW_CONFIG.DEFAULT_DURATION_MINUTES} minutes`,
+      priority: REVIEW_CONFIG.BASE_PRIORITY + overdueBoost,
+      dueDate: node.review.dueDate,
+      overdueDays,
+      easeFactor: node.review.easeFactor,
+      interval: node.review.interval
+    };
+  }
+
+  /**
+   * Resolve the HTA node id encoded in a review task id, if any.
+   * @param {string} id - Block or task id
+   * @returns {string|null} Node id or null when the id is not a review id
+   */
+  static nodeIdFromReviewId(id) {
+    if (typeof id !== 'string' || !id.startsWith(REVIEW_CONFIG.ID_PREFIX)) {
+      return null;
+    }
+    return id.slice(REVIEW_CONFIG.ID_PREFIX.length) || null;
+  }
+
+  static addDays(date, days) {
+    const result = new Date(date.getTime() + days * TIME_CONVERSION.MILLISECONDS_PER_DAY);
+    return result.toISOString().split('T')[0];
+  }
+
+  static daysBetween(fromDateStr, toDateStr) {
+    const from = Date.parse(`${fromDateStr}T00:00:00Z`);
+    const to = Date.parse(`${toDateStr}T00:00:00Z`);
+    return Math.round((to - from) / TIME_CONVERSION.MILLISECONDS_PER_DAY);
+  }
+}
@@ -112,4 +112,35 @@ export class TaskFormatter {
 
     return response;
   }
+
+  /**
+   * Format the list of due spaced-repetition reviews
+   * @param {Array} reviews - Review tasks from ReviewScheduler.getDueReviews
+   * @param {number} totalDue - Number of reviews due before truncation
+   * @param {number} daysAhead - Look-ahead window in days
+   * @returns {string} Formatted review list
+   */
+  static formatDueReviewsResponse(reviews, totalDue, daysAhead = 0) {
+    const window = daysAhead > 0 ? `within ${daysAhead} day(s)` : 'today';
+
+    if (reviews.length === 0) {
+      return `🔁 **Reviews Due ${window}**: none\n\nCompleted tasks are scheduled for review automatically.`;
+    }
+
+    let response = `🔁 **Reviews Due ${window}** (${totalDue})\n\n`;
+
+    for (const review of reviews) {
+      const overdue = review.overdueDays > 0 ? ` – ${review.overdueDays} day(s) overdue` : '';
+      response += `• **${review.title}** (due ${review.dueDate}${overdue})\n`;
+      response += `  Ease ${review.easeFactor}, interval ${review.interval} day(s), block_id: "${review.id}"\n`;
+    }
+
+    if (totalDue > reviews.length) {
+      response += `• ... and ${totalDue - reviews.length} more\n`;
+    }
+
+    response += '\n**Next Step**: Use `complete_block` with the review block_id and a difficulty_rating to reschedule';
+
+    return response;
+  }
 }
\ No newline at end of file
@@ -89,6 +89,11 @@ export class TaskScorer {
       score += SCORING.GENERATED_TASK_BOOST;
     }
 
+    // Tasks that unblock more downstream work come first (unlockValue from utils/dependency-graph.js)
+    if (typeof task.unlockValue === 'number' && task.unlockValue > 0) {
+      score += Math.min(SCORING.MAX_UNLOCK_BONUS, task.unlockValue * SCORING.UNLOCK_VALUE_WEIGHT);
+    }
+
     // ===== ENHANCED RICH CONTEXT SCORING =====
     if (fullConfig) {
       // Financial Constraint Alignment
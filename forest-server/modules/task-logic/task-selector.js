@@ -6,26 +6,31 @@
 // @ts-nocheck
 
 import { TaskScorer } from './task-scorer.js';
+import { ReviewScheduler } from './review-scheduler.js';
 import { isNodeReady } from '../../utils/hta-eligibility.js';
+import { buildTaskGraph, computeUnlockValues } from '../../utils/dependency-graph.js';
 
 // Constants used throughout task selection logic to avoid magic numbers
 const TIME_TOLERANCE_FACTOR = 1.2; // Allow tasks up to 120% of available time
 const RANDOM_TIE_BREAK_EPSILON = 0.5; // Random threshold for tie-breaking
+const DEFAULT_ENERGY_LEVEL = 3; // Neither reported nor forecast
 
 export class TaskSelector {
   /**
    * Select the optimal task from available tasks
    * @param {Object} htaData - HTA data with frontier nodes
-   * @param {number} energyLevel - User's current energy level (1-5)
+   * @param {number|null} energyLevel - User's current energy level (1-5), null when not reported
    * @param {string} timeAvailable - Available time string
    * @param {string} contextFromMemory - Context from previous activities
    * @param {Object} projectContext - Project context
    * @param {Object} fullConfig - Full project configuration with user profile (optional)
    * @param {Object} reasoningAnalysis - Analysis from reasoning engine (optional)
+   * @param {number|null} energyForecast - Forecast energy for now (see EnergyModel), used when energyLevel is null
    * @returns {Object|null} Selected task or null if none available
    */
-  static selectOptimalTask(htaData, energyLevel, timeAvailable, contextFromMemory, projectContext, fullConfig = null, reasoningAnalysis = null) {
+  static selectOptimalTask(htaData, energyLevel, timeAvailable, contextFromMemory, projectContext, fullConfig = null, reasoningAnalysis = null, energyForecast = null) {
     const nodes = htaData.frontierNodes || [];
+    const energy = energyLevel ?? energyForecast ?? DEFAULT_ENERGY_LEVEL;
 
     // Pre-compute completed node IDs as a Set for O(1) lookup
     const completedNodeIds = new Set(nodes.filter(n => n.completed).map(n => n.id));
@@ -48,14 +53,27 @@ export class TaskSelector {
       }
     }
 
+    // Due spaced-repetition reviews compete with new work on equal footing
+    for (const review of ReviewScheduler.getDueReviews(htaData)) {
+      if (TaskScorer.parseTimeToMinutes(review.duration) <= timeInMinutes * TIME_TOLERANCE_FACTOR) {
+        availableTasks.push(review);
+      }
+    }
+
     if (availableTasks.length === 0) {
       return null;
     }
 
+    // Annotate how much downstream work each candidate unblocks
+    const unlockValues = computeUnlockValues(buildTaskGraph(nodes));
+    const candidates = availableTasks.map(task =>
+      unlockValues.has(task.id) ? { ...task, unlockValue: unlockValues.get(task.id).unlockValue } : task
+    );
+
     // Score all tasks and collect high-scoring ones for diversity
-    const scoredTasks = availableTasks.map(task => ({
+    const scoredTasks = candidates.map(task => ({
       ...task,
-      score: TaskScorer.calculateTaskScore(task, energyLevel, timeInMinutes, contextFromMemory, projectContext, fullConfig, reasoningAnalysis)
+      score: TaskScorer.calculateTaskScore(task, energy, timeInMinutes, contextFromMemory, projectContext, fullConfig, reasoningAnalysis)
     }));
 
     // Sort by score descending
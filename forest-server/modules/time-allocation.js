@@ -0,0 +1,198 @@
+/**
+ * Time Allocation Module
+ * Logs the minutes of every completed block per project and learning path,
+ * and compares them with each project's weekly_hours_budget (and any
+ * per-path budgets) for get_time_allocation, review_week and the integrated
+ * scheduler's under-served boost.
+ */
+
+import { FILE_NAMES, TIME_ALLOCATION_CONFIG } from './constants.js';
+import { addDays } from '../utils/recurrence.js';
+import { budgetStatus, parseWeeklyBudget, sumMinutes, underServedRatio, weekStart } from '../utils/time-allocation.js';
+
+const STATUS_LABELS = { under: '⬇️ under', on_track: '✅ on track', over: '⬆️ over', no_budget: 'no budget' };
+
+export class TimeAllocation {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+  }
+
+  today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  async loadEntries(projectId) {
+    const data = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.TIME_LOG);
+    return Array.isArray(data?.entries) ? data.entries : [];
+  }
+
+  /**
+   * Add a completed block's minutes to the project's time log
+   * @param {string} projectId
+   * @param {string} pathName - Learning path active at completion
+   * @param {Object} block - Completed block; actualDuration wins over the planned duration
+   * @param {Object|null} [transaction]
+   * @returns {Promise<Object|null>} The entry, or null for blocks that do not count
+   */
+  async recordBlock(projectId, pathName, block, transaction = null) {
+    const minutes = Number(block.actualDuration) || Number(block.duration) || 0;
+    if (!TIME_ALLOCATION_CONFIG.COUNTED_BLOCK_TYPES.includes(block.type) || minutes <= 0) {
+      return null;
+    }
+
+    const entry = {
+      date: (block.completedAt || new Date().toISOString()).split('T')[0],
+      minutes: Math.round(minutes),
+      pathName,
+      blockId: block.id || null,
+      taskId: block.taskId || block.nodeId || null,
+      blockType: block.type
+    };
+    const entries = [...(await this.loadEntries(projectId)), entry].slice(-TIME_ALLOCATION_CONFIG.LOG_LIMIT);
+    await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.TIME_LOG, { entries }, transaction);
+    return entry;
+  }
+
+  /**
+   * Budget versus actual for one project over [from, to]. Budgets are prorated
+   * to the period length; expectedMinutes is what the budget asks for by asOf.
+   * @param {string} projectId
+   * @param {Object} config - Project config
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD (last day of the period)
+   * @param {string} [asOf] - Last day with time so far; defaults to the period end
+   */
+  async summarizeProject(projectId, config, from, to, asOf = to) {
+    const periodDays = this.daysInRange(from, to);
+    const elapsedDays = Math.min(periodDays, this.daysInRange(from, asOf));
+    const { total, byPath } = sumMinutes(await this.loadEntries(projectId), from, asOf);
+    const compare = (weeklyMinutes, actualMinutes) => {
+      const budgetMinutes = weeklyMinutes === null ? null : Math.round(weeklyMinutes * periodDays / 7);
+      const expectedMinutes = weeklyMinutes === null ? null : Math.round(weeklyMinutes * elapsedDays / 7);
+      return {
+        budget_minutes: budgetMinutes,
+        actual_minutes: actualMinutes,
+        expected_minutes: expectedMinutes,
+        status: budgetStatus(budgetMinutes, actualMinutes, expectedMinutes)
+      };
+    };
+
+    const configuredPaths = (config.learning_paths || []).map(path => path.path_name);
+    const pathNames = [...new Set([...configuredPaths, ...Object.keys(byPath)])];
+    return {
+      project_id: projectId,
+      ...compare(this.weeklyBudget(config.weekly_hours_budget), total),
+      paths: pathNames.map(pathName => {
+        const path = (config.learning_paths || []).find(candidate => candidate.path_name === pathName);
+        return { path_name: pathName, ...compare(this.weeklyBudget(path?.weekly_hours_budget), byPath[pathName] || 0) };
+      })
+    };
+  }
+
+  /**
+   * Summaries for every project
+   * @returns {Promise<Array<Object>>}
+   */
+  async summarizeAll(from, to, asOf = to) {
+    const summaries = [];
+    for (const projectId of await this.projectIds()) {
+      const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+      if (config) {
+        summaries.push(await this.summarizeProject(projectId, config, from, to, asOf));
+      }
+    }
+    return summaries;
+  }
+
+  /**
+   * This week's budget progress for the integrated scheduler
+   * @param {string} projectId
+   * @param {Object} config
+   * @param {string} date - Day being scheduled
+   * @returns {Promise<{weeklyBudgetMinutes: number|null, usedMinutes: number, expectedMinutes: number, behindPace: number}>}
+   */
+  async weekProgress(projectId, config, date) {
+    const weeklyBudgetMinutes = this.weeklyBudget(config.weekly_hours_budget);
+    if (weeklyBudgetMinutes === null) {
+      return { weeklyBudgetMinutes, usedMinutes: 0, expectedMinutes: 0, behindPace: 0 };
+    }
+    const start = weekStart(date);
+    const usedMinutes = sumMinutes(await this.loadEntries(projectId), start, date).total;
+    // Pace counts the days before the one being scheduled
+    const expectedMinutes = Math.round(weeklyBudgetMinutes * (this.daysInRange(start, date) - 1) / 7);
+    return { weeklyBudgetMinutes, usedMinutes, expectedMinutes, behindPace: underServedRatio(weeklyBudgetMinutes, usedMinutes, expectedMinutes) };
+  }
+
+  /**
+   * Budget versus actual for every project this week, for get_time_allocation
+   * @param {Object} [options]
+   * @param {string|null} [options.date] - Any day of the week to report; today when omitted
+   */
+  async getTimeAllocation({ date = null } = {}) {
+    try {
+      const day = date || this.today();
+      addDays(day, 0); // Validates the date format
+      const from = weekStart(day);
+      const to = addDays(from, 6);
+      // A past week is reported whole; the current one up to today
+      const asOf = [to, this.today() > from ? this.today() : from].sort()[0];
+      const projects = await this.summarizeAll(from, to, asOf);
+
+      return {
+        content: [{ type: 'text', text: `⏱️ **Time Allocation** (week of ${from}, through ${asOf})\n\n${this.formatAllocation(projects)}` }],
+        time_allocation: { from, to, as_of: asOf, projects }
+      };
+    } catch (error) {
+      await this.dataPersistence.logError('getTimeAllocation', error, { date });
+      return {
+        content: [{ type: 'text', text: `Error reporting time allocation: ${error.message}` }]
+      };
+    }
+  }
+
+  formatAllocation(projects) {
+    if (projects.length === 0) {
+      return 'No projects found.\n';
+    }
+    const hours = minutes => `${(minutes / 60).toFixed(1)}h`;
+    const line = entry => {
+      if (entry.budget_minutes === null) {
+        return `${hours(entry.actual_minutes)} (no budget)`;
+      }
+      const pace = entry.expected_minutes !== entry.budget_minutes ? `, ${hours(entry.expected_minutes)} due so far` : '';
+      return `${hours(entry.actual_minutes)} of ${hours(entry.budget_minutes)}${pace} — ${STATUS_LABELS[entry.status]}`;
+    };
+
+    let text = '';
+    for (const project of projects) {
+      text += `• **${project.project_id}**: ${line(project)}\n`;
+      for (const path of project.paths.filter(entry => entry.actual_minutes > 0 || entry.budget_minutes !== null)) {
+        text += `  ◦ ${path.path_name}: ${line(path)}\n`;
+      }
+    }
+    return text;
+  }
+
+  weeklyBudget(hours) {
+    try {
+      return parseWeeklyBudget(hours);
+    } catch {
+      return null; // Budgets are validated on the way in; ignore anything hand-edited into a config
+    }
+  }
+
+  daysInRange(from, to) {
+    let days = 0;
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      days += 1;
+    }
+    return days;
+  }
+
+  async projectIds() {
+    const projectsResp = await this.projectManagement.listProjects();
+    const projects = Array.isArray(projectsResp) ? projectsResp : (projectsResp.projects || []);
+    return projects.map(p => (typeof p === 'string' ? p : p.id || p.project_id || p.name)).filter(Boolean);
+  }
+}
@@ -7,6 +7,7 @@ import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { getDatedLogPath, writeJsonLine } from './logger-utils.js';
 import { ToolRegistry } from './utils/tool-registry.js';
 import { debugLogger } from './utils/debug-logger.js';
+import { runWithToolContext } from './utils/tool-context.js';
 
 // Redirect all console.* to stderr except for JSON-RPC output
 ['log', 'info', 'warn'].forEach(function(fn) {
@@ -127,7 +128,8 @@ export class ToolRouter {
 
     try {
       // Execute the tool using registry - MUCH cleaner!
-      const result = await this.toolRegistry.execute(toolName, args);
+      // The tool context lets HTA revisions record which tool produced them
+      const result = await runWithToolContext(toolName, () => this.toolRegistry.execute(toolName, args));
       return result;
     } catch (e) {
       if (isTerminal) {
@@ -155,14 +157,59 @@ export class ToolRouter {
     this.toolRegistry.register('switch_project', (args) => this.forestServer.switchProject(args.project_id), 'project');
     this.toolRegistry.register('list_projects', () => this.forestServer.listProjects(), 'project');
     this.toolRegistry.register('get_active_project', () => this.forestServer.getActiveProject(), 'project');
+    this.toolRegistry.register('export_project', (args) => this.forestServer.exportProject(
+      args.project_id || null,
+      args.output_path || null
+    ), 'project');
+    this.toolRegistry.register('import_project', (args) => this.forestServer.importProject({
+      bundlePath: args.bundle_path || null,
+      bundleContent: args.bundle_content || null,
+      targetProjectId: args.target_project_id || null,
+      onConflict: args.on_conflict || 'error'
+    }), 'project');
+    this.toolRegistry.register('save_hta_template', (args) => this.forestServer.saveHtaTemplate(args), 'project');
+    this.toolRegistry.register('list_hta_templates', () => this.forestServer.listHtaTemplates(), 'project');
+    this.toolRegistry.register('create_project_from_template', (args) => this.forestServer.createProjectFromTemplate(args), 'project');
 
     // HTA Tree Tools
     this.toolRegistry.register('build_hta_tree', (args) => this.forestServer.buildHTATree(
       args.path_name,
       args.learning_style || 'mixed',
+      args.focus_areas || [],
+      null,
+      '',
+      { rebuild: Boolean(args.rebuild), merge: args.merge !== false }
+    ), 'hta');
+    this.toolRegistry.register('export_hta_graph', (args) => this.forestServer.exportHTAGraph(
+      args.format || 'mermaid',
+      args.path_name || null,
+      args.output_path || null
+    ), 'hta');
+    this.toolRegistry.register('preview_hta_rebuild', (args) => this.forestServer.previewHTARebuild(
+      args.path_name || null,
+      args.learning_style || 'mixed',
       args.focus_areas || []
     ), 'hta');
     this.toolRegistry.register('get_hta_status', () => this.forestServer.getHTAStatus(), 'hta');
+    this.toolRegistry.register('list_hta_revisions', (args) => this.forestServer.listHTARevisions(
+      args.path_name || null,
+      args.limit || 20
+    ), 'hta');
+    this.toolRegistry.register('undo_hta_change', (args) => this.forestServer.undoHTAChange(
+      args.path_name || null,
+      args.steps || 1,
+      args.revision_id ?? null
+    ), 'hta');
+    this.toolRegistry.register('redo_hta_change', (args) => this.forestServer.redoHTAChange(
+      args.path_name || null,
+      args.steps || 1
+    ), 'hta');
+    this.toolRegistry.register('add_task', (args) => this.forestServer.addTask(args), 'hta');
+    this.toolRegistry.register('update_task', (args) => this.forestServer.updateTask(args), 'hta');
+    this.toolRegistry.register('delete_task', (args) => this.forestServer.deleteTask(args), 'hta');
+    this.toolRegistry.register('move_task', (args) => this.forestServer.moveTask(args), 'hta');
+    this.toolRegistry.register('reorder_branch', (args) => this.forestServer.reorderBranch(args), 'hta');
+    this.toolRegistry.register('expand_branch', (args) => this.forestServer.expandBranch(args), 'hta');
     this.toolRegistry.register('evolve_branch', (args) => this.forestServer.evolveBranch(
       args.branch_name,
       args.evolution_type || 'expand',
@@ -180,23 +227,37 @@ export class ToolRouter {
     // Scheduling Tools
     this.toolRegistry.register('generate_daily_schedule', (args) => this.forestServer.generateDailySchedule(
       args.date || null,
-      args.energy_level ?? 3,
+      args.energy_level ?? null,
       args.available_hours || null,
       args.focus_type || 'mixed',
       args.schedule_request_context || 'User requested schedule'
     ), 'scheduling');
+    this.toolRegistry.register('replan_day', (args) => this.forestServer.replanDay(args), 'scheduling');
+    this.toolRegistry.register('generate_weekly_plan', (args) => this.forestServer.generateWeeklyPlan(args), 'scheduling');
     this.toolRegistry.register('generate_integrated_schedule', (args) => this.forestServer.generateIntegratedSchedule(
       args.date || null,
-      args.energy_level || 3
+      args.energy_level || 3,
+      args.prioritize_under_served ?? true
     ), 'scheduling');
 
     // Task Management Tools
     this.toolRegistry.register('get_next_task', (args) => this.forestServer.getNextTask(
       args.context_from_memory || '',
-      args.energy_level || 3,
+      args.energy_level ?? null,
       args.time_available || '30 minutes'
     ), 'tasks');
+    this.toolRegistry.register('get_due_reviews', (args) => this.forestServer.getDueReviews(
+      args.limit || 10,
+      args.days_ahead || 0
+    ), 'tasks');
+    this.toolRegistry.register('add_recurring_task', (args) => this.forestServer.addRecurringTask(args), 'tasks');
+    this.toolRegistry.register('get_habit_streaks', (args) => this.forestServer.getHabitStreaks(args.as_of || null), 'tasks');
     this.toolRegistry.register('complete_block', (args) => this.forestServer.completeBlock(args), 'tasks');
+    this.toolRegistry.register('start_focus_session', (args) => this.forestServer.startFocusSession(args.block_id), 'tasks');
+    this.toolRegistry.register('pause_focus_session', (args) => this.forestServer.pauseFocusSession(args.reason || ''), 'tasks');
+    this.toolRegistry.register('end_focus_session', (args) => this.forestServer.endFocusSession(args), 'tasks');
+    this.toolRegistry.register('snooze_task', (args) => this.forestServer.snoozeTask(args), 'tasks');
+    this.toolRegistry.register('block_task', (args) => this.forestServer.blockTask(args), 'tasks');
     this.toolRegistry.register('complete_with_opportunities', (args) => this.forestServer.completeBlock({
       ...args,
       opportunityContext: {
@@ -224,9 +285,13 @@ export class ToolRouter {
     // Strategy Tools
     this.toolRegistry.register('evolve_strategy', (args) => this.forestServer.evolveStrategy(args.feedback || ''), 'strategy');
     this.toolRegistry.register('current_status', () => this.forestServer.currentStatus(), 'strategy');
+    this.toolRegistry.register('set_deadline', (args) => this.forestServer.setDeadline(args), 'strategy');
+    this.toolRegistry.register('get_milestone_forecast', (args) => this.forestServer.getMilestoneForecast(args.path_name || null), 'strategy');
 
     // Analysis Tools
     this.toolRegistry.register('analyze_performance', () => this.forestServer.analyzePerformance(), 'analytics');
+    this.toolRegistry.register('get_energy_profile', (args) => this.forestServer.getEnergyProfile(args), 'analytics');
+    this.toolRegistry.register('get_time_allocation', (args) => this.forestServer.getTimeAllocation(args), 'analytics');
     this.toolRegistry.register('analyze_reasoning', (args) => this.forestServer.analyzeReasoning(args.include_detailed_analysis ?? true), 'analytics');
     this.toolRegistry.register('analyze_complexity_evolution', () => this.forestServer.analyzeComplexityEvolution(), 'analytics');
     this.toolRegistry.register('analyze_identity_transformation', () => this.forestServer.analyzeIdentityTransformation(), 'analytics');
@@ -235,6 +300,17 @@ export class ToolRouter {
 
     // Export Tools
     this.toolRegistry.register('generate_tiimo_export', (args) => this.forestServer.generateTiimoExport(args.include_breaks ?? true), 'export');
+    this.toolRegistry.register('generate_ical_export', (args) => this.forestServer.generateIcalExport(
+      args.date || null,
+      args.range || 'day',
+      args.include_breaks ?? true,
+      args.output_path || null
+    ), 'export');
+    this.toolRegistry.register('import_ical_commitments', (args) => this.forestServer.importIcalCommitments(
+      args.ics_content || null,
+      args.file_path || null,
+      args.replace ?? false
+    ), 'scheduling');
 
     // Memory Integration Tools
     this.toolRegistry.register('sync_forest_memory', () => this.forestServer.syncForestMemory(), 'memory');
@@ -300,6 +376,7 @@ export class ToolRouter {
     this.toolRegistry.register('debug_export', () => this.forestServer.debugCommands.exportLogs(), 'debug');
     this.toolRegistry.register('debug_summary', () => this.forestServer.debugCommands.getSummary(), 'debug');
     this.toolRegistry.register('debug_task_sequence', () => this.forestServer.debugTaskSequence(), 'debug');
+    this.toolRegistry.register('get_critical_path', (args) => this.forestServer.getCriticalPath(args.limit || 10), 'analytics');
     this.toolRegistry.register('repair_sequence', (args) => this.forestServer.repairSequence(args.force_rebuild || false), 'debug');
 
     // Claude Integration Tools
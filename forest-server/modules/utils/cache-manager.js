@@ -64,6 +64,23 @@ export class CacheManager {
     this.cacheTimestamps.delete(cacheKey);
   }
 
+  /**
+   * Invalidate every entry of a project (project and path data)
+   * @param {string} projectId - Project identifier
+   * @returns {number} Number of entries removed
+   */
+  invalidateProject(projectId) {
+    const prefix = `${projectId}:`;
+    let removed = 0;
+    for (const cacheKey of [...this.cache.keys()]) {
+      if (cacheKey.startsWith(prefix)) {
+        this.invalidateCache(cacheKey);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
   /**
    * Clear all cache entries
    */
@@ -94,6 +94,20 @@ export class FileSystem {
     }
   }
 
+  /**
+   * Remove a directory and everything in it (equivalent to rm -rf)
+   * @param {string} dirPath - Absolute or relative path to directory
+   * @returns {Promise<void>}
+   * @throws {Error} If directory cannot be removed
+   */
+  static async removeDir(dirPath) {
+    try {
+      await fs.rm(dirPath, { recursive: true, force: true });
+    } catch (error) {
+      throw new Error(`Failed to remove directory ${dirPath}: ${error.message}`);
+    }
+  }
+
   /**
    * List contents of a directory
    * @param {string} dirPath - Absolute or relative path to directory
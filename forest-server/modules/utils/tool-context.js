@@ -0,0 +1,27 @@
+/**
+ * Tool Context
+ * Tracks which MCP tool the current async call chain is serving, so deep
+ * layers (e.g. HTA revision history) can attribute their work to a tool
+ * without threading the name through every signature.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const toolContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with toolName as the current tool for everything it awaits
+ * @param {string} toolName - Tool being executed
+ * @param {Function} fn - Work to run
+ * @returns {*} Whatever fn returns
+ */
+export function runWithToolContext(toolName, fn) {
+  return toolContext.run({ toolName }, fn);
+}
+
+/**
+ * @returns {string|null} Tool serving the current call chain, or null outside any tool
+ */
+export function getCurrentToolName() {
+  return toolContext.getStore()?.toolName || null;
+}
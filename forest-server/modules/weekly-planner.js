@@ -0,0 +1,235 @@
+/**
+ * Weekly Planner Module
+ * Plans several days at once on top of ScheduleGenerator: open tasks are
+ * spread across the days by capacity, energy and prerequisites, and each day
+ * is written as a regular day_*.json schedule that can be edited or completed
+ * like any other. Running it again inside the plan's week re-plans the days
+ * that are left, carrying forward work from missed days.
+ */
+
+import { DEFAULT_PATHS, FILE_NAMES, WEEKLY_PLAN_CONFIG } from './constants.js';
+import { ScheduleGenerator } from './schedule-generator.js';
+import { DurationCalibration } from './duration-calibration.js';
+import { isValidDate } from './deadline-planner.js';
+import { parseDurationMinutes } from '../utils/hta-metrics.js';
+import { calibrateMinutes } from '../utils/duration-calibration.js';
+import { addDays } from '../utils/recurrence.js';
+import { daysBetween } from '../utils/deadline-forecast.js';
+import { parseDailyHours, parseEnergyPatterns, planWeek, weekdayIndex } from '../utils/weekly-plan.js';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export class WeeklyPlanner {
+  constructor(dataPersistence, projectManagement) {
+    this.dataPersistence = dataPersistence;
+    this.projectManagement = projectManagement;
+    this.scheduleGenerator = new ScheduleGenerator(dataPersistence, projectManagement);
+    this.durationCalibration = new DurationCalibration(dataPersistence);
+  }
+
+  today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  /**
+   * Plan a week, or re-plan the rest of the current plan's week when called
+   * without a start date while one is running
+   * @param {Object} options
+   * @param {string|null} [options.startDate] - First day (YYYY-MM-DD), defaults to today
+   * @param {number} [options.days] - Days to plan (1-14)
+   * @param {number|string|Object|null} [options.dailyHours] - Hours per day, for every day or per weekday
+   * @param {number} [options.energyLevel] - Baseline energy before weekday patterns (1-5)
+   */
+  async generateWeeklyPlan({ startDate = null, days = null, dailyHours = null, energyLevel = null } = {}) {
+    try {
+      if (startDate && !isValidDate(startDate)) {
+        throw new Error(`Invalid start_date '${startDate}': expected YYYY-MM-DD`);
+      }
+      if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= WEEKLY_PLAN_CONFIG.MAX_DAYS)) {
+        throw new Error(`Invalid days '${days}': expected 1-${WEEKLY_PLAN_CONFIG.MAX_DAYS}`);
+      }
+      const projectId = await this.projectManagement.requireActiveProject();
+
+      return await this.dataPersistence.executeInTransaction(async transaction => {
+        await this.dataPersistence.lockProject(projectId, transaction);
+        const config = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.CONFIG);
+        if (!config) {
+          throw new Error('Project configuration not found');
+        }
+
+        const today = this.today();
+        const existing = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.WEEKLY_PLAN);
+        const replanning = !startDate && existing && existing.startDate <= today && today <= existing.endDate;
+
+        let from = startDate || today;
+        let kept = [];
+        let settings = {
+          dailyHours: parseDailyHours(dailyHours, WEEKLY_PLAN_CONFIG.DEFAULT_DAILY_HOURS),
+          baselineEnergy: energyLevel ?? WEEKLY_PLAN_CONFIG.DEFAULT_ENERGY_LEVEL
+        };
+        let endDate = addDays(from, (days || WEEKLY_PLAN_CONFIG.DAYS) - 1);
+
+        if (replanning) {
+          // Days already worked on keep their schedule; the rest is planned again
+          from = (await this.hasProgress(projectId, today)) ? addDays(today, 1) : today;
+          kept = existing.days.filter(day => day.date < from);
+          endDate = existing.endDate;
+          settings = {
+            dailyHours: dailyHours === null ? existing.dailyHours : settings.dailyHours,
+            baselineEnergy: energyLevel ?? existing.baselineEnergy
+          };
+          if (from > endDate) {
+            throw new Error(`The current plan ends ${endDate}; pass start_date to plan a new week`);
+          }
+        }
+
+        const htaData = (await this.dataPersistence.loadPathHTA(projectId, config.activePath || DEFAULT_PATHS.GENERAL)) || {};
+        const nodes = htaData.frontierNodes || [];
+        const completed = new Set(nodes.filter(node => node.completed).flatMap(node => [node.id, node.title]));
+        const missedDays = replanning ? this.findMissedDays(existing.days, today, completed) : [];
+
+        const calibration = await this.durationCalibration.loadModel();
+        const tasks = nodes
+          .filter(node => !node.completed)
+          .map(node => ({
+            id: node.id,
+            title: node.title,
+            difficulty: node.difficulty || 3,
+            priority: node.priority || 200,
+            prerequisites: node.prerequisites || [],
+            minutes: calibrateMinutes(calibration, parseDurationMinutes(node.estimatedDuration ?? node.duration), {
+              branch: node.branch,
+              difficulty: node.difficulty
+            })
+          }));
+
+        const energyByWeekday = parseEnergyPatterns(
+          config.constraints?.energy_patterns || config.constraints?.energyPatterns,
+          settings.baselineEnergy
+        );
+        const dayInputs = [];
+        for (let offset = 0; offset <= daysBetween(from, endDate); offset++) {
+          const date = addDays(from, offset);
+          const weekday = weekdayIndex(date);
+          dayInputs.push({
+            date,
+            weekday: WEEKDAY_LABELS[weekday],
+            energyLevel: energyByWeekday[weekday],
+            capacityMinutes: await this.dayCapacity(projectId, config, date, settings.dailyHours[weekday])
+          });
+        }
+
+        const result = planWeek(tasks, dayInputs, {
+          completed,
+          energyWeight: WEEKLY_PLAN_CONFIG.ENERGY_WEIGHT,
+          latenessWeight: WEEKLY_PLAN_CONFIG.LATENESS_WEIGHT
+        });
+
+        const plan = {
+          id: replanning ? existing.id : `${WEEKLY_PLAN_CONFIG.ID_PREFIX}${from}`,
+          startDate: replanning ? existing.startDate : from,
+          endDate,
+          dailyHours: settings.dailyHours,
+          baselineEnergy: settings.baselineEnergy,
+          days: [...kept, ...result.days],
+          unscheduled: result.unscheduled,
+          createdAt: replanning ? existing.createdAt : new Date().toISOString(),
+          replannedAt: replanning ? new Date().toISOString() : null,
+          missedDays
+        };
+
+        // Each planned day becomes an ordinary, editable day schedule
+        const nodesById = new Map(nodes.map(node => [node.id, node]));
+        for (const day of result.days) {
+          const schedule = await this.scheduleGenerator.generateComprehensiveSchedule(
+            config,
+            projectId,
+            day.date,
+            day.energyLevel,
+            null,
+            'mixed',
+            `Weekly plan ${plan.id}`,
+            day.taskIds.map(id => nodesById.get(id))
+          );
+          schedule.weeklyPlanId = plan.id;
+          await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(day.date), schedule, transaction);
+        }
+        await this.dataPersistence.saveProjectData(projectId, FILE_NAMES.WEEKLY_PLAN, plan, transaction);
+
+        return {
+          content: [{ type: 'text', text: this.formatPlan(plan, nodesById, replanning, from) }],
+          weekly_plan: plan,
+          replanned: Boolean(replanning),
+          missed_days: missedDays
+        };
+      }, 'generateWeeklyPlan');
+    } catch (error) {
+      await this.dataPersistence.logError('generateWeeklyPlan', error, { startDate, days });
+      return {
+        content: [{ type: 'text', text: `Error generating weekly plan: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Work minutes for a day: the requested hours less recurring items, and never
+   * more than the waking time left after meals and calendar commitments
+   */
+  async dayCapacity(projectId, config, date, hours) {
+    const preferences = config.life_structure_preferences || {};
+    const wake = this.scheduleGenerator.parseTime(preferences.wake_time || '7:00 AM');
+    const sleep = this.scheduleGenerator.parseTime(preferences.sleep_time || '10:00 PM');
+    const meals = (preferences.meal_times || ['8:00 AM', '12:00 PM', '6:00 PM']).length * WEEKLY_PLAN_CONFIG.MEAL_MINUTES;
+    const busy = (await this.scheduleGenerator.loadBusySlots(date))
+      .reduce((sum, slot) => sum + Math.max(0, Math.min(slot.end, sleep) - Math.max(slot.start, wake)), 0);
+    const recurring = (await this.scheduleGenerator.recurringTasks.getItemsDueOn(projectId, date, config))
+      .reduce((sum, item) => sum + (item.durationMinutes || 0), 0);
+
+    return Math.max(0, Math.min(Math.round(hours * 60) - recurring, sleep - wake - meals - busy - recurring));
+  }
+
+  async hasProgress(projectId, date) {
+    const schedule = await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.DAILY_SCHEDULE(date));
+    return (schedule?.blocks || []).some(block => block.completed);
+  }
+
+  /**
+   * Past plan days that still have open tasks
+   * @returns {Array<{date: string, openTaskIds: Array<string>}>}
+   */
+  findMissedDays(days, today, completed) {
+    return days
+      .filter(day => day.date < today)
+      .map(day => ({ date: day.date, openTaskIds: day.taskIds.filter(id => !completed.has(id)) }))
+      .filter(day => day.openTaskIds.length > 0);
+  }
+
+  formatPlan(plan, nodesById, replanning, from) {
+    let text = replanning
+      ? `🔁 **Weekly Plan Re-planned** from ${from} to ${plan.endDate}\n\n`
+      : `🗓️ **Weekly Plan** ${plan.startDate} to ${plan.endDate}\n\n`;
+
+    if (plan.missedDays.length > 0) {
+      const carried = plan.missedDays.reduce((sum, day) => sum + day.openTaskIds.length, 0);
+      text += `⚠️ Missed: ${plan.missedDays.map(day => day.date).join(', ')} (${carried} task(s) carried forward)\n\n`;
+    }
+
+    for (const day of plan.days) {
+      const titles = day.taskIds.map(id => nodesById.get(id)?.title || id);
+      const marker = day.date < from ? ' (kept)' : '';
+      text += `**${day.weekday} ${day.date}**${marker} – energy ${day.energyLevel}/5, ` +
+        `${day.plannedMinutes}/${day.capacityMinutes} min`;
+      text += titles.length > 0 ? `\n  ${titles.join(', ')}\n` : ' – no tasks\n';
+    }
+
+    if (plan.unscheduled.length > 0) {
+      text += '\n**Not planned this week**:\n';
+      for (const task of plan.unscheduled) {
+        text += `• ${task.title || task.id}: ${task.reason}\n`;
+      }
+    }
+
+    text += '\nEach day is saved as its daily schedule. Run `generate_weekly_plan` again after a missed day to re-plan the rest of the week.';
+    return text;
+  }
+}
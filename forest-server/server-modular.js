@@ -49,7 +49,21 @@ import { ProjectManagement } from './modules/project-management.js';
 import { HtaTreeBuilder } from './modules/hta-tree-builder.js';
 import { HtaStatus } from './modules/hta-status.js';
 import { ScheduleGenerator } from './modules/schedule-generator.js';
+import { WeeklyPlanner } from './modules/weekly-planner.js';
+import { EnergyModel } from './modules/energy-model.js';
+import { TimeAllocation } from './modules/time-allocation.js';
+import { IcalCalendar } from './modules/ical-calendar.js';
+import { HttpApi } from './modules/http-api.js';
+import { ProjectTransfer } from './modules/project-transfer.js';
+import { HtaTemplates } from './modules/hta-templates.js';
+import { HtaHistory } from './modules/hta-history.js';
+import { HtaEditor } from './modules/hta-editor.js';
+import { BranchDeepening } from './modules/branch-deepening.js';
+import { RecurringTasks } from './modules/recurring-tasks.js';
+import { DeadlinePlanner } from './modules/deadline-planner.js';
 import { TaskCompletion } from './modules/task-completion.js';
+import { FocusSessions } from './modules/focus-sessions.js';
+import { TaskDeferral } from './modules/task-deferral.js';
 import { ReasoningEngine } from './modules/reasoning-engine.js';
 import { TaskIntelligence } from './modules/task-intelligence.js';
 import { AnalyticsTools } from './modules/analytics-tools.js';
@@ -61,6 +75,7 @@ import { CacheCleaner } from './modules/cache-cleaner.js';
 import { HTADebugTools } from './modules/hta-debug-tools.js';
 import { getForestLogger } from './modules/winston-logger.js';
 import { FILE_NAMES, DEFAULT_PATHS, GENERATION_LIMITS } from './modules/constants.js';
+import { mergeHTA, summarizeHTAMerge } from './utils/hta-merge.js';
 import { bus } from './modules/utils/event-bus.js';
 import { StrategyEvolver } from './modules/strategy-evolver.js';
 import { SystemClock } from './modules/system-clock.js';
@@ -182,6 +197,11 @@ class CleanForestServer {
       debugConstructor('Starting project management initialization...');
       this.projectManagement = new ProjectManagement(this.dataPersistence, this.memorySync);
       debugConstructor('Project management complete');
+      this.projectTransfer = new ProjectTransfer(this.dataPersistence, this.projectManagement);
+      this.htaTemplates = new HtaTemplates(this.dataPersistence, this.projectManagement);
+      this.htaHistory = new HtaHistory(this.dataPersistence, this.projectManagement);
+      this.recurringTasks = new RecurringTasks(this.dataPersistence, this.projectManagement);
+      this.deadlinePlanner = new DeadlinePlanner(this.dataPersistence, this.projectManagement);
 
       // PHASE 1: COMPREHENSIVE VALIDATION - Verify requireActiveProject method exists
       if (!this.projectManagement) {
@@ -248,6 +268,10 @@ class CleanForestServer {
 
       // Initialize scheduling system
       this.scheduleGenerator = new ScheduleGenerator(this.dataPersistence, this.projectManagement);
+      this.weeklyPlanner = new WeeklyPlanner(this.dataPersistence, this.projectManagement);
+      this.energyModel = new EnergyModel(this.dataPersistence);
+      this.timeAllocation = new TimeAllocation(this.dataPersistence, this.projectManagement);
+      this.icalCalendar = new IcalCalendar(this.dataPersistence, this.projectManagement);
 
       // Initialize event bus for decoupled module communication
       this.eventBus = bus;
@@ -255,8 +279,16 @@ class CleanForestServer {
       // Initialize strategy evolver (event-driven HTA evolution)
       this.strategyEvolver = new StrategyEvolver(this.dataPersistence, this.projectManagement);
 
+      // Manual task edits announce themselves on the same bus
+      this.htaEditor = new HtaEditor(this.dataPersistence, this.projectManagement, this.eventBus);
+
+      // Placeholder branches are decomposed when the learner reaches them
+      this.branchDeepening = new BranchDeepening(this.dataPersistence, this.projectManagement, this.htaTreeBuilder, this.eventBus);
+
       // Initialize task system - USING CLEAN VERSIONS with event bus
-      this.taskCompletion = new TaskCompletion(this.dataPersistence, this.projectManagement);
+      this.taskCompletion = new TaskCompletion(this.dataPersistence, this.projectManagement, this.eventBus, this.branchDeepening);
+      this.focusSessions = new FocusSessions(this.dataPersistence, this.projectManagement, this.taskCompletion);
+      this.taskDeferral = new TaskDeferral(this.dataPersistence, this.projectManagement);
       this.taskIntelligence = new TaskIntelligence(this.dataPersistence, this.projectManagement);
 
       // Initialize intelligence engines
@@ -270,7 +302,7 @@ class CleanForestServer {
       this.identityEngine = new IdentityEngine(this.dataPersistence, this.projectManagement);
 
       // Initialize analytics and tools
-      this.analyticsTools = new AnalyticsTools(this.dataPersistence, this.projectManagement);
+      this.analyticsTools = new AnalyticsTools(this.dataPersistence, this.projectManagement, this.htaTreeBuilder);
 
       // Initialize proactive reasoning layer - FROM INTELLIGENCE TO WISDOM
       this.systemClock = new SystemClock(
@@ -2055,6 +2087,42 @@ ${healthText}
     return await this.projectManagement.requireActiveProject();
   }
 
+  async exportProject(projectId = null, outputPath = null) {
+    return await this.projectTransfer.exportProject(projectId, outputPath);
+  }
+
+  async importProject(options = {}) {
+    return await this.projectTransfer.importProject(options);
+  }
+
+  /** @param {Object} args - save_hta_template arguments */
+  async saveHtaTemplate(args = {}) {
+    return await this.htaTemplates.saveTemplate({
+      templateId: args.template_id,
+      name: args.name || null,
+      description: args.description || '',
+      pathName: args.path_name || null,
+      overwrite: Boolean(args.overwrite)
+    });
+  }
+
+  async listHtaTemplates() {
+    return await this.htaTemplates.listTemplates();
+  }
+
+  /** @param {Object} args - create_project_from_template arguments */
+  async createProjectFromTemplate(args = {}) {
+    return await this.htaTemplates.createProjectFromTemplate({
+      templateId: args.template_id,
+      projectId: args.project_id,
+      goal: args.goal,
+      specificInterests: args.specific_interests || [],
+      weeklyHoursBudget: args.weekly_hours_budget ?? null,
+      lifeStructurePreferences: args.life_structure_preferences || {},
+      context: args.context || ''
+    });
+  }
+
   // ===== HTA TREE METHODS =====
 
   /**
@@ -2063,8 +2131,9 @@ ${healthText}
    * @param {any[]} focusAreas
    * @param {string | null} goalOverride
    * @param {string} contextOverride
+   * @param {{rebuild?: boolean, merge?: boolean}} [options] - Regenerate an existing tree, merging by default
    */
-  async buildHTATree(pathName, learningStyle, focusAreas, goalOverride = null, contextOverride = '') {
+  async buildHTATree(pathName, learningStyle, focusAreas, goalOverride = null, contextOverride = '', options = {}) {
     // Phase 1 – create high-level framework
     let htaResult;
     try {
@@ -2073,7 +2142,8 @@ ${healthText}
         learningStyle,
         focusAreas,
         goalOverride,
-        contextOverride
+        contextOverride,
+        options
       );
     } catch (htaError) {
       // NEW: Enhanced error handling for HTA generation failures
@@ -2497,6 +2567,58 @@ ${healthText}
     return await this.htaStatus.getHTAStatus();
   }
 
+  async exportHTAGraph(format = 'mermaid', pathName = null, outputPath = null) {
+    return await this.htaStatus.exportHTAGraph(format, pathName, outputPath);
+  }
+
+  async previewHTARebuild(pathName = null, learningStyle = 'mixed', focusAreas = []) {
+    return await this.htaTreeBuilder.previewRebuild(pathName, learningStyle, focusAreas);
+  }
+
+  async listHTARevisions(pathName = null, limit = 20) {
+    return await this.htaHistory.listRevisions(pathName, limit);
+  }
+
+  async undoHTAChange(pathName = null, steps = 1, revisionId = null) {
+    return await this.htaHistory.undo(pathName, steps, revisionId);
+  }
+
+  async redoHTAChange(pathName = null, steps = 1) {
+    return await this.htaHistory.redo(pathName, steps);
+  }
+
+  /** @param {Object} args - add_task arguments */
+  async addTask(args = {}) {
+    const { path_name: pathName = null, ...fields } = args;
+    return await this.htaEditor.addTask({ ...fields, pathName });
+  }
+
+  /** @param {Object} args - update_task arguments */
+  async updateTask(args = {}) {
+    const { task_id: taskId, path_name: pathName = null, ...fields } = args;
+    return await this.htaEditor.updateTask({ ...fields, taskId, pathName });
+  }
+
+  /** @param {Object} args - delete_task arguments */
+  async deleteTask(args = {}) {
+    return await this.htaEditor.deleteTask({ taskId: args.task_id, pathName: args.path_name ?? null });
+  }
+
+  /** @param {Object} args - move_task arguments */
+  async moveTask(args = {}) {
+    return await this.htaEditor.moveTask({ taskId: args.task_id, branch: args.branch, pathName: args.path_name ?? null });
+  }
+
+  /** @param {Object} args - reorder_branch arguments */
+  async reorderBranch(args = {}) {
+    return await this.htaEditor.reorderBranch({ branch: args.branch, taskIds: args.task_ids, pathName: args.path_name ?? null });
+  }
+
+  /** @param {Object} args - expand_branch arguments */
+  async expandBranch(args = {}) {
+    return await this.branchDeepening.expandBranch({ branch: args.branch ?? null, pathName: args.path_name ?? null });
+  }
+
   // ===== SCHEDULING METHODS =====
 
   /**
@@ -2516,16 +2638,44 @@ ${healthText}
     );
   }
 
+  /**
+   * Rebuild the rest of a day's schedule from the current time.
+   * @param {Object} args - replan_day arguments
+   */
+  async replanDay(args = {}) {
+    return await this.scheduleGenerator.replanDay({
+      currentTime: args.current_time,
+      completedBlocks: args.completed_blocks || [],
+      skippedBlocks: args.skipped_blocks || [],
+      date: args.date || null,
+      energyLevel: args.energy_level ?? null
+    });
+  }
+
+  /**
+   * Plan (or re-plan) several days at once.
+   * @param {Object} args - generate_weekly_plan arguments
+   */
+  async generateWeeklyPlan(args = {}) {
+    return await this.weeklyPlanner.generateWeeklyPlan({
+      startDate: args.start_date || null,
+      days: args.days ?? null,
+      dailyHours: args.daily_hours ?? null,
+      energyLevel: args.energy_level ?? null
+    });
+  }
+
   // ===== INTEGRATED SCHEDULE METHODS =====
   /**
    * Generate an integrated daily schedule using the IntegratedScheduleGenerator.
    * @param {string|null} date - Date in YYYY-MM-DD format (defaults to today if null).
    * @param {number} energyLevel - User energy level (1-5), defaults to 3.
+   * @param {boolean} prioritizeUnderServed - Boost projects behind their weekly budget pace.
    */
-  async generateIntegratedSchedule(date = null, energyLevel = 3) {
+  async generateIntegratedSchedule(date = null, energyLevel = 3, prioritizeUnderServed = true) {
     try {
       // Delegate to the integrated schedule generator
-      return await this.integratedScheduleGenerator.generateIntegratedSchedule(date, energyLevel);
+      return await this.integratedScheduleGenerator.generateIntegratedSchedule(date, energyLevel, prioritizeUnderServed);
     } catch (error) {
       // Log and surface the error in MCP-friendly format
       await this.dataPersistence.logError('generateIntegratedSchedule', error);
@@ -2577,12 +2727,94 @@ ${healthText}
   }
 
 
+  /**
+   * @param {number} limit
+   * @param {number} daysAhead
+   */
+  async getDueReviews(limit = 10, daysAhead = 0) {
+    return await this.taskIntelligence.getDueReviews(limit, daysAhead);
+  }
+
+  /** Add a recurring habit or maintenance task (snake_case tool args). */
+  async addRecurringTask(args = {}) {
+    return await this.recurringTasks.addRecurringTask({
+      title: args.title,
+      recurrence: args.recurrence,
+      durationMinutes: args.duration_minutes,
+      preferredTime: args.preferred_time || null,
+      kind: args.kind,
+      startDate: args.start_date || null
+    });
+  }
+
+  /**
+   * @param {string|null} asOf
+   */
+  async getHabitStreaks(asOf = null) {
+    return await this.recurringTasks.getHabitStreaks(asOf);
+  }
+
+  /** Set or clear a project, path, branch or milestone deadline (snake_case tool args). */
+  async setDeadline(args = {}) {
+    return await this.deadlinePlanner.setDeadline({
+      targetDate: args.target_date || null,
+      pathName: args.path_name || null,
+      branch: args.branch || null,
+      milestoneName: args.milestone_name || null,
+      remove: args.remove === true
+    });
+  }
+
+  /**
+   * @param {string|null} pathName
+   */
+  async getMilestoneForecast(pathName = null) {
+    return await this.deadlinePlanner.getMilestoneForecast(pathName);
+  }
+
+
   /** Complete a learning block. Accepts either an options object or legacy positional args (forwarded). */
   async completeBlock(args) {
     // Accept already-formed options object from ToolRouter or legacy positional array.
     return await this.taskCompletion.completeBlock(args);
   }
 
+  /** @param {string} blockId */
+  async startFocusSession(blockId) {
+    return await this.focusSessions.startSession(blockId);
+  }
+
+  /** @param {string} reason */
+  async pauseFocusSession(reason) {
+    return await this.focusSessions.pauseSession(reason);
+  }
+
+  /** @param {Object} args - end_focus_session arguments */
+  async endFocusSession(args = {}) {
+    return await this.focusSessions.endSession(args);
+  }
+
+  /** @param {Object} args - snooze_task arguments */
+  async snoozeTask(args = {}) {
+    return await this.taskDeferral.snoozeTask({
+      taskId: args.task_id,
+      until: args.until ?? null,
+      days: args.days ?? null,
+      pathName: args.path_name ?? null,
+      clear: Boolean(args.clear)
+    });
+  }
+
+  /** @param {Object} args - block_task arguments */
+  async blockTask(args = {}) {
+    return await this.taskDeferral.blockTask({
+      taskId: args.task_id,
+      reason: args.reason ?? null,
+      pathName: args.path_name ?? null,
+      clear: Boolean(args.clear)
+    });
+  }
+
   /** @param {string} feedback */
   async evolveStrategy(feedback) {
     // The clean TaskIntelligence currently lacks this method – call dynamically.
@@ -2680,6 +2912,15 @@ ${healthText}
         statusText += `**Suggestion**: Use \`build_hta_tree\` to create your learning path\n`;
       }
 
+      // Deadline pacing with graceful fallback
+      let deadlineForecast = null;
+      try {
+        deadlineForecast = await this.deadlinePlanner.buildForecast(projectId, config);
+        statusText += this.deadlinePlanner.formatStatusSummary(deadlineForecast);
+      } catch (error) {
+        deadlineForecast = null; // Forecast is optional; status still renders without it
+      }
+
       return {
         content: [
           {
@@ -2695,6 +2936,15 @@ ${healthText}
             ? `${schedule.blocks?.filter(b => b.completed).length || 0}/${schedule.blocks?.length || 0}`
             : 'No schedule',
           htaProgress: htaData ? `${completedCount}/${allTasks.length}` : 'No HTA',
+          deadlines: deadlineForecast && deadlineForecast.targets.length > 0
+            ? {
+                requiredWeeklyHours: deadlineForecast.requiredWeeklyHours,
+                observedWeeklyHours: deadlineForecast.observedWeeklyHours,
+                atRisk: deadlineForecast.targets
+                  .filter(target => target.status === 'at_risk' || target.status === 'overdue')
+                  .map(target => target.name),
+              }
+            : null,
         },
       };
     } catch (error) {
@@ -2715,16 +2965,7 @@ ${healthText}
   /** @param {string} projectId 
    *  @param {string} pathName */
   async loadPathHTA(projectId, pathName) {
-    if (pathName === DEFAULT_PATHS.GENERAL) {
-      // Try path-specific HTA first, fallback to project-level
-      const pathHTA = await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
-      if (pathHTA) {
-        return pathHTA;
-      }
-      return await this.dataPersistence.loadProjectData(projectId, FILE_NAMES.HTA);
-    } else {
-      return await this.dataPersistence.loadPathData(projectId, pathName, FILE_NAMES.HTA);
-    }
+    return await this.dataPersistence.loadPathHTA(projectId, pathName);
   }
 
   // ===== SERVER LIFECYCLE METHODS =====
@@ -2813,6 +3054,9 @@ ${healthText}
           clearTimeout(warn30s);
           clearTimeout(err45s);
           
+          // Local HTTP/JSON API needs the tool registry, so start it last
+          await this.startHttpApi();
+
         } catch (deferredErr) {
           this.logger.error('❌ Deferred setup failed', {
             module: 'CleanForestServer',
@@ -2851,9 +3095,49 @@ ${healthText}
     }
   }
 
+  /**
+   * Start the local HTTP/JSON API unless disabled via FOREST_HTTP_API=off.
+   * Failure (e.g. port in use) is logged and never affects the MCP transport.
+   */
+  async startHttpApi() {
+    if (!this.core.isHttpApiEnabled() || this.httpApi) {
+      return this.httpApi || null;
+    }
+
+    const httpApi = new HttpApi(this, { dataDir: this.core.getDataDir(), logger: this.logger });
+    try {
+      const address = await httpApi.start();
+      this.httpApi = httpApi;
+      this.logger.info('🌐 HTTP API listening', {
+        module: 'CleanForestServer',
+        url: `http://${address.host}:${address.port}`,
+        tokenFile: address.tokenFile
+      });
+    } catch (httpErr) {
+      this.logger.warn('HTTP API not started', { module: 'CleanForestServer', error: httpErr.message });
+    }
+    return this.httpApi || null;
+  }
+
+  /**
+   * Stop what startup started next to the MCP transport, so the HTTP API's
+   * port and open connections are released before the process exits.
+   */
+  async shutdown() {
+    if (!this.httpApi) {
+      return;
+    }
+    const httpApi = this.httpApi;
+    this.httpApi = null;
+    await httpApi.stop();
+    this.logger.info('🌐 HTTP API stopped', { module: 'CleanForestServer' });
+  }
+
   // ENHANCED: Progressive setup with monitoring
   async _deferredSetupWithProgress() {
     const steps = [
+      // Settle transactions a crashed process left behind before any tool can run
+      { name: 'Journal Recovery', fn: () => this.dataPersistence.recoverIncompleteTransactions() },
       { name: 'MCP Handlers', fn: () => this.mcpHandlers.setupHandlers() },
       { name: 'Tool Router', fn: () => this.toolRouter.setupRouter() },
       { name: 'Cross Validation', fn: () => this.performCrossValidation() }
@@ -2982,14 +3266,46 @@ ${healthText}
     return await this.analyticsTools.analyzePerformance();
   }
 
+  async reviewPeriod(days) {
+    return await this.analyticsTools.reviewPeriod(days);
+  }
+
+  /**
+   * Show the learned energy curve.
+   * @param {Object} args - get_energy_profile arguments
+   */
+  async getEnergyProfile(args = {}) {
+    return await this.energyModel.getEnergyProfile({ weekday: args.weekday ?? null });
+  }
+
+  /**
+   * Weekly hours budget versus time spent, per project and learning path.
+   * @param {Object} args - get_time_allocation arguments
+   */
+  async getTimeAllocation(args = {}) {
+    return await this.timeAllocation.getTimeAllocation({ date: args.date ?? null });
+  }
+
   async debugTaskSequence() {
     return await this.analyticsTools.debugTaskSequence();
   }
 
+  async generateIcalExport(date = null, range = 'day', includeBreaks = true, outputPath = null) {
+    return await this.icalCalendar.generateIcalExport(date, range, includeBreaks, outputPath);
+  }
+
+  async importIcalCommitments(icsContent = null, filePath = null, replace = false) {
+    return await this.icalCalendar.importIcalCommitments(icsContent, filePath, replace);
+  }
+
   async repairSequence(forceRebuild = false) {
     return await this.analyticsTools.repairSequence(forceRebuild);
   }
 
+  async getCriticalPath(limit = 10) {
+    return await this.analyticsTools.getCriticalPath(limit);
+  }
+
   async analyzeReasoning(includeDetailedAnalysis = true) {
     return await this.reasoningEngine.analyzeReasoning(includeDetailedAnalysis);
   }
@@ -3187,15 +3503,18 @@ ${healthText}
         }
       }
 
-      // Update HTA structure with flattened tasks
-      htaData.frontierNodes = flattenedTasks;
-      
-      // Add compatibility field for schedule generator
-      htaData.frontierNodes = flattenedTasks;
+      // Update HTA structure with flattened tasks; an existing frontier is
+      // merged so completions and hand edits survive regeneration
+      let mergeDiff = null;
+      if (htaData.frontierNodes && htaData.frontierNodes.length > 0) {
+        ({ merged: htaData, diff: mergeDiff } = mergeHTA(htaData, { ...htaData, frontierNodes: flattenedTasks }));
+      } else {
+        htaData.frontierNodes = flattenedTasks;
+      }
       
       // Update metadata
       htaData.hierarchyMetadata = htaData.hierarchyMetadata || {};
-      htaData.hierarchyMetadata.total_tasks = totalTaskCount;
+      htaData.hierarchyMetadata.total_tasks = htaData.frontierNodes.length;
       htaData.hierarchyMetadata.total_branches = branchTasks.length;
       htaData.hierarchyMetadata.last_modified = new Date().toISOString();
 
@@ -3225,7 +3544,9 @@ ${healthText}
       return {
         content: [{
           type: 'text',
-          text: `✅ **Task Generation Complete**\n\n📊 **Statistics**:\n• Branches processed: ${branchTasks.length}\n• Tasks created: ${totalTaskCount}\n• Tasks stored in HTA structure\n\n🎯 **Next Steps**:\n• Use \`get_next_task\` to start learning\n• Use \`current_status\` to view progress`
+          text: `✅ **Task Generation Complete**\n\n📊 **Statistics**:\n• Branches processed: ${branchTasks.length}\n• Tasks created: ${totalTaskCount}\n• Tasks stored in HTA structure\n\n` +
+            (mergeDiff ? `🔀 **Merged with the existing tree**\n${summarizeHTAMerge(mergeDiff)}\n\n` : '') +
+            `🎯 **Next Steps**:\n• Use \`get_next_task\` to start learning\n• Use \`current_status\` to view progress`
         }],
         generation_stats: { 
           totalBranches: branchTasks.length,
@@ -3233,7 +3554,8 @@ ${healthText}
           frontierNodes_populated: flattenedTasks.length
         },
         hta_updated: true,
-        tasks_stored: totalTaskCount
+        tasks_stored: totalTaskCount,
+        merge_summary: mergeDiff
       };
 
     } catch (error) {
@@ -3530,11 +3852,7 @@ ${healthText}
         htaData.frontierNodes = [];
       }
 
-      if (pathName === 'general') {
-        await this.dataPersistence.saveProjectData(projectId, 'hta.json', htaData, currentTransaction);
-      } else {
-        await this.dataPersistence.savePathData(projectId, pathName, 'hta.json', htaData, currentTransaction);
-      }
+      await this.dataPersistence.savePathHTA(projectId, pathName, htaData, currentTransaction);
 
       // Commit transaction if we own it
       if (ownTransaction) {
@@ -3556,34 +3874,12 @@ ${healthText}
     }
   }
 
-  // ---------------------------------------------------------------------------
-  // Minimal fallback for `get_generation_history` until the full implementation
-  // is completed.  This prevents tool execution errors while maintaining a
-  // consistent response contract.
-  // ---------------------------------------------------------------------------
+  /**
+   * Branch expansions for the active project, newest first
+   * @param {number} [limit=10]
+   */
   async getGenerationHistory(limit = 10) {
-    try {
-      // Retrieve generation history if it exists (future implementation)
-      // For now, return an empty list with a friendly message.
-      return {
-        content: [{
-          type: 'text',
-          text: `ℹ️ Generation history tracking has not been enabled yet. No entries found.`
-        }],
-        history: []
-      };
-    } catch (err) {
-      // Log but always return a structured response to avoid tool failure
-      this.logger.error('getGenerationHistory failed', { error: err?.message });
-      return {
-        content: [{
-          type: 'text',
-          text: `❌ Error retrieving generation history: ${err?.message}`
-        }],
-        error: err?.message,
-        history: []
-      };
-    }
+    return await this.branchDeepening.getGenerationHistory({ limit });
   }
 
   // ===== DEBUG METHODS =====
@@ -3929,12 +4225,20 @@ async function main() {
     process.stdin.resume();
 
     // Handle graceful shutdown signals
-    const gracefulShutdown = (signal) => {
+    const gracefulShutdown = async (signal) => {
       debugLog(`📴 Received ${signal}, shutting down gracefully...`);
       topLevelLogger.info(`Received ${signal}, shutting down gracefully`);
+      try {
+        await forestServer.shutdown();
+      } catch (shutdownError) {
+        topLevelLogger.error('Graceful shutdown failed', { error: shutdownError.message });
+      }
       process.exit(0);
     };
 
+    // These take over from the lock file's exit-at-once handlers; the 'exit' hook still removes the lock
+    process.off('SIGINT', exitOnSignal);
+    process.off('SIGTERM', exitOnSignal);
     process.on('SIGINT', () => gracefulShutdown('SIGINT'));
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
@@ -3999,9 +4303,13 @@ function cleanupLockFile() {
     try { fs.unlinkSync(lockFilePath); } catch (e) {}
   }
 }
+function exitOnSignal() {
+  cleanupLockFile();
+  process.exit(0);
+}
 process.on('exit', cleanupLockFile);
-process.on('SIGINT', () => { cleanupLockFile(); process.exit(0); });
-process.on('SIGTERM', () => { cleanupLockFile(); process.exit(0); });
+process.on('SIGINT', exitOnSignal);
+process.on('SIGTERM', exitOnSignal);
 
 // --- BEGIN: Improved dev/test/production data directory safety check (less strict) ---
 const env = process.env.NODE_ENV;
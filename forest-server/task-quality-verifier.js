@@ -64,12 +64,27 @@ export function validateTaskContextRelevance(tasks = [], projectContext = {}, th
   return matches / tasks.length >= threshold;
 }
 
+/**
+ * Raw responses nest tasks inside branch objects ({ branch_name, tasks, sub_branches });
+ * the checks look at those tasks rather than at the branch wrappers.
+ * @param {any[]} tasks
+ * @returns {any[]} Tasks with branch wrappers replaced by their contents
+ */
+function flattenBranchTasks(tasks) {
+  return tasks.flatMap(t =>
+    t && (Array.isArray(t.tasks) || Array.isArray(t.sub_branches))
+      ? flattenBranchTasks([...(t.tasks || []), ...(t.sub_branches || [])])
+      : [t]
+  );
+}
+
 /**
  * Decide whether a Claude/LLM response should be rejected based on quality checks.
  * @param {any[]} tasks
  * @param {any} projectContext
  */
-export function shouldRejectResponse(tasks = [], projectContext = {}) {
+export function shouldRejectResponse(response = [], projectContext = {}) {
+  const tasks = Array.isArray(response) ? flattenBranchTasks(response) : response;
   const genericMatches = detectGenericTitles(tasks);
   const contextRelevant = validateTaskContextRelevance(tasks, projectContext, 0.8);
   // Hierarchy validation only makes sense once nodes contain internal IDs.  Raw
@@ -98,7 +113,8 @@ export function shouldRejectResponse(tasks = [], projectContext = {}) {
 /**
  * Provide a simple report so callers can log or surface rejection reasons.
  */
-export function generateQualityReport(tasks = [], projectContext = {}) {
+export function generateQualityReport(response = [], projectContext = {}) {
+  const tasks = Array.isArray(response) ? flattenBranchTasks(response) : response;
   const generic = detectGenericTitles(tasks);
   const contextRelevant = validateTaskContextRelevance(tasks, projectContext);
   const hierarchy = validateHierarchy(tasks);
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Migration for Forest.os
+ *
+ * Copies an existing JSON file tree (global files and every project,
+ * including per-path data) into the SQLite storage backend. The file tree is
+ * not modified. Afterwards start the server with FOREST_STORAGE=sqlite.
+ *
+ * Usage:
+ *   node tools/migrate-storage.js [--data-dir <dir>] [--db <file>]
+ */
+
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { migrateFileTreeToSqlite } from '../modules/storage/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function printUsage() {
+  console.log(`Usage: node tools/migrate-storage.js [options]
+
+Options:
+  --data-dir, -d <dir>   Forest data directory (default: FOREST_DATA_DIR or ~/.forest-data)
+  --db <file>            SQLite database to write (default: <data-dir>/forest.db)
+  --help, -h             Show this help`);
+}
+
+// CLI handling
+if (process.argv[1] === __filename) {
+  const args = process.argv.slice(2);
+  const options = {
+    dataDir: process.env.FOREST_DATA_DIR
+      ? path.resolve(process.env.FOREST_DATA_DIR)
+      : path.join(os.homedir(), '.forest-data'),
+    dbPath: undefined
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--data-dir':
+      case '-d':
+        options.dataDir = path.resolve(args[++i]);
+        break;
+      case '--db':
+        options.dbPath = path.resolve(args[++i]);
+        break;
+      case '--help':
+      case '-h':
+        printUsage();
+        process.exit(0);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        printUsage();
+        process.exit(1);
+    }
+  }
+
+  try {
+    const report = await migrateFileTreeToSqlite(options.dataDir, { dbPath: options.dbPath });
+    console.log(`✅ Migrated ${report.documents} documents from ${report.projects.length} project(s) into ${report.dbPath}`);
+    for (const skipped of report.skipped) {
+      console.warn(`⚠️  Skipped ${skipped.path}: ${skipped.reason}`);
+    }
+    console.log('Start the server with FOREST_STORAGE=sqlite to use the database.');
+  } catch (error) {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Deadline Forecast Utility
+ *
+ * Backward planning for project, path, branch and milestone deadlines. The
+ * work due by a date is its own remaining tasks plus whatever earlier
+ * deadlines still need, since one person works through all of it. Set
+ * against the days left and the observed pace, that gives slack, a projected
+ * finish, the latest start and the weekly hours needed to make the date.
+ */
+
+import { addDays } from './recurrence.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} DeadlineTask
+ * @property {string} key - Identifies the task across overlapping scopes
+ * @property {number} minutes
+ * @property {boolean} [completed]
+ */
+
+/**
+ * @typedef {Object} DeadlineTarget
+ * @property {string} id
+ * @property {string} name
+ * @property {string} type
+ * @property {string|null} [scope]
+ * @property {string} targetDate - YYYY-MM-DD
+ * @property {Array<DeadlineTask>} tasks
+ */
+
+/**
+ * @typedef {Object} DeadlineOptions
+ * @property {string} asOf - Reference day (YYYY-MM-DD)
+ * @property {number} [minutesPerDay=0] - Observed pace
+ * @property {number} [tightSlackRatio=0.15] - Slack below this share of the days left is tight
+ */
+
+/**
+ * @typedef {Object} DeadlineForecast
+ * @property {string} id
+ * @property {string} name
+ * @property {string} type
+ * @property {string|null} scope
+ * @property {string} targetDate
+ * @property {number} daysLeft
+ * @property {number} totalTasks
+ * @property {number} remainingTasks
+ * @property {number} remainingMinutes
+ * @property {number} workDueMinutes - This target's open work plus what earlier deadlines still need
+ * @property {number} requiredWeeklyHours
+ * @property {string|null} projectedFinish
+ * @property {string|null} latestStart
+ * @property {number|null} slackDays
+ * @property {'done'|'overdue'|'at_risk'|'tight'|'on_track'} status
+ * @property {string} reason
+ */
+
+/**
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} Calendar days from `from` to `to` (negative when `to` is earlier)
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/** @param {number} value */
+function roundTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * @param {DeadlineTarget} target
+ * @param {Array<DeadlineTask>} remaining - The target's open tasks
+ * @param {number} workDueMinutes
+ * @param {Required<DeadlineOptions>} options
+ * @returns {DeadlineForecast}
+ */
+function assess(target, remaining, workDueMinutes, options) {
+  const { asOf, minutesPerDay, tightSlackRatio } = options;
+  // The reference day itself is still a working day
+  const daysLeft = daysBetween(asOf, target.targetDate) + 1;
+  /** @type {DeadlineForecast} */
+  const forecast = {
+    id: target.id,
+    name: target.name,
+    type: target.type,
+    scope: target.scope || null,
+    targetDate: target.targetDate,
+    daysLeft: Math.max(daysLeft, 0),
+    totalTasks: target.tasks.length,
+    remainingTasks: remaining.length,
+    remainingMinutes: remaining.reduce((sum, task) => sum + task.minutes, 0),
+    workDueMinutes,
+    requiredWeeklyHours: 0,
+    projectedFinish: null,
+    latestStart: null,
+    slackDays: null,
+    status: 'on_track',
+    reason: ''
+  };
+
+  if (remaining.length === 0) {
+    return { ...forecast, status: 'done', reason: 'All tasks in scope are complete' };
+  }
+  if (daysLeft <= 0) {
+    return { ...forecast, status: 'overdue', reason: `Due ${-daysLeft + 1} day(s) ago with ${remaining.length} task(s) open` };
+  }
+
+  forecast.requiredWeeklyHours = roundTenth((workDueMinutes / daysLeft) * 7 / 60);
+  if (!(minutesPerDay > 0)) {
+    return { ...forecast, status: 'at_risk', reason: 'No recent completions to project a finish date from' };
+  }
+
+  const projectedDays = Math.ceil(workDueMinutes / minutesPerDay);
+  forecast.projectedFinish = addDays(asOf, projectedDays - 1);
+  forecast.latestStart = addDays(target.targetDate, -(projectedDays - 1));
+  const slackDays = daysLeft - projectedDays;
+  forecast.slackDays = slackDays;
+
+  if (slackDays < 0) {
+    forecast.status = 'at_risk';
+    forecast.reason = `Projected ${-slackDays} day(s) late at the current pace`;
+  } else if (slackDays < Math.max(1, Math.ceil(daysLeft * tightSlackRatio))) {
+    forecast.status = 'tight';
+    forecast.reason = `Only ${slackDays} day(s) of slack`;
+  } else {
+    forecast.reason = `${slackDays} day(s) of slack`;
+  }
+  return forecast;
+}
+
+/**
+ * Forecast every deadline in date order
+ * @param {Array<DeadlineTarget>} targets
+ * @param {DeadlineOptions} options
+ * @returns {{targets: Array<DeadlineForecast>, requiredWeeklyHours: number, observedWeeklyHours: number, bindingTarget: string|null}}
+ */
+export function forecastDeadlines(targets, options) {
+  /** @type {Required<DeadlineOptions>} */
+  const settings = { minutesPerDay: 0, tightSlackRatio: 0.15, ...options };
+  const ordered = [...targets].sort((a, b) => a.targetDate.localeCompare(b.targetDate) || a.id.localeCompare(b.id));
+  // Open work that has to be finished by the deadline being assessed, keyed so overlapping scopes count once
+  /** @type {Map<string, number>} */
+  const dueByNow = new Map();
+  /** @type {Array<DeadlineForecast>} */
+  const forecasts = [];
+
+  for (const target of ordered) {
+    const remaining = target.tasks.filter(task => !task.completed);
+    for (const task of remaining) {
+      dueByNow.set(task.key, task.minutes);
+    }
+    const workDueMinutes = [...dueByNow.values()].reduce((sum, minutes) => sum + minutes, 0);
+    forecasts.push(assess(target, remaining, workDueMinutes, settings));
+  }
+
+  const binding = forecasts
+    .filter(forecast => forecast.status !== 'done' && forecast.status !== 'overdue')
+    .reduce((/** @type {DeadlineForecast|null} */ max, forecast) => (!max || forecast.requiredWeeklyHours > max.requiredWeeklyHours ? forecast : max), null);
+
+  return {
+    targets: forecasts,
+    requiredWeeklyHours: binding ? binding.requiredWeeklyHours : 0,
+    observedWeeklyHours: roundTenth((settings.minutesPerDay * 7) / 60),
+    bindingTarget: binding ? binding.id : null
+  };
+}
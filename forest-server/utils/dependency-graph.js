@@ -0,0 +1,260 @@
+/**
+ * Task Dependency Graph Utility
+ *
+ * Treats frontier node prerequisites as a DAG and derives planning facts from
+ * it: topological order, earliest-start estimates, the critical path and how
+ * much downstream work each task unlocks. Prerequisites may reference ids or
+ * (legacy) titles; both resolve to node ids here.
+ */
+
+import { buildDependencyGraph } from './hta-hierarchy-utils.js';
+
+const DEFAULT_DURATION_MINUTES = 30;
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id
+ * @property {string} [title]
+ * @property {boolean} [completed]
+ * @property {string|number} [duration]
+ * @property {string[]} [prerequisites] - Ids or (legacy) titles
+ */
+
+/**
+ * @typedef {Object} TaskGraph
+ * @property {Map<string, GraphNode>} nodes
+ * @property {Map<string, string[]>} prerequisites - Resolved prerequisite ids per node
+ * @property {Map<string, string[]>} dependents - Ids that list the node as a prerequisite
+ * @property {Array<{id: string, prerequisite: string}>} missing - References that match no node
+ */
+
+/**
+ * @typedef {Object} NodeMetrics
+ * @property {string} id
+ * @property {string} [title]
+ * @property {boolean} completed
+ * @property {number} duration - Minutes
+ * @property {number} depth - Longest prerequisite chain below the node
+ * @property {number} earliestStart
+ * @property {number} earliestFinish
+ * @property {number} [latestStart]
+ * @property {number} [slack]
+ * @property {number} [unlockValue]
+ * @property {string[]} [directUnlocks]
+ */
+
+/**
+ * Parse a node duration ("45 minutes", "1.5 hours", 30) into minutes
+ * @param {string|number|null} [duration] - Node duration
+ * @returns {number} Minutes
+ */
+export function parseDurationMinutes(duration) {
+  if (typeof duration === 'number' && Number.isFinite(duration)) return duration;
+  const match = String(duration ?? '').toLowerCase().match(/(\d+(?:\.\d+)?)\s*(h|hr|hour|hours|m|min|mins|minute|minutes)?/);
+  if (!match) return DEFAULT_DURATION_MINUTES;
+  const value = parseFloat(match[1]);
+  return (match[2] || '').startsWith('h') ? Math.round(value * 60) : Math.round(value);
+}
+
+/**
+ * Build a resolved dependency graph over frontier nodes
+ * @param {Array<GraphNode>} nodes - Frontier nodes
+ * @returns {TaskGraph}
+ */
+export function buildTaskGraph(nodes = []) {
+  const valid = Array.isArray(nodes) ? nodes.filter(n => n && n.id) : [];
+  const byId = new Map(valid.map(n => [n.id, n]));
+  /** @type {Map<string, string>} */
+  const idByTitle = new Map();
+  for (const n of valid) {
+    if (n.title) idByTitle.set(n.title, n.id);
+  }
+  const rawGraph = buildDependencyGraph(valid);
+
+  /** @type {Map<string, string[]>} */
+  const prerequisites = new Map();
+  /** @type {Map<string, string[]>} */
+  const dependents = new Map(valid.map(n => [n.id, []]));
+  /** @type {Array<{id: string, prerequisite: string}>} */
+  const missing = [];
+
+  for (const [id, prereqs] of rawGraph) {
+    /** @type {string[]} */
+    const resolved = [];
+    for (const ref of prereqs) {
+      const prereqId = byId.has(ref) ? ref : idByTitle.get(ref);
+      if (!prereqId) {
+        missing.push({ id, prerequisite: ref });
+      } else if (prereqId !== id && !resolved.includes(prereqId)) {
+        resolved.push(prereqId);
+        dependents.get(prereqId)?.push(id);
+      }
+    }
+    prerequisites.set(id, resolved);
+  }
+
+  return { nodes: byId, prerequisites, dependents, missing };
+}
+
+/**
+ * Kahn's algorithm. Ties keep the original frontier order so output is stable.
+ * @param {TaskGraph} graph - Result of buildTaskGraph
+ * @returns {{order: string[], cyclic: string[]}} Sorted ids and ids stuck in cycles
+ */
+export function topologicalOrder(graph) {
+  const ids = [...graph.nodes.keys()];
+  const position = new Map(ids.map((id, index) => [id, index]));
+  const inDegree = new Map(ids.map(id => [id, prerequisitesOf(graph, id).length]));
+  const queue = ids.filter(id => inDegree.get(id) === 0);
+  /** @type {string[]} */
+  const order = [];
+
+  while (queue.length > 0) {
+    queue.sort((a, b) => (position.get(a) ?? 0) - (position.get(b) ?? 0));
+    const id = /** @type {string} */ (queue.shift());
+    order.push(id);
+    for (const dependent of dependentsOf(graph, id)) {
+      const remaining = (inDegree.get(dependent) ?? 0) - 1;
+      inDegree.set(dependent, remaining);
+      if (remaining === 0) queue.push(dependent);
+    }
+  }
+
+  const sorted = new Set(order);
+  return { order, cyclic: [...graph.nodes.keys()].filter(id => !sorted.has(id)) };
+}
+
+/**
+ * @param {TaskGraph} graph
+ * @param {string} id
+ * @returns {string[]}
+ */
+function prerequisitesOf(graph, id) {
+  return graph.prerequisites.get(id) || [];
+}
+
+/**
+ * @param {TaskGraph} graph
+ * @param {string} id
+ * @returns {string[]}
+ */
+function dependentsOf(graph, id) {
+  return graph.dependents.get(id) || [];
+}
+
+/**
+ * @param {TaskGraph} graph
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isCompleted(graph, id) {
+  return Boolean(graph.nodes.get(id)?.completed);
+}
+
+/**
+ * Count the incomplete tasks downstream of every node
+ * @param {TaskGraph} graph - Result of buildTaskGraph
+ * @returns {Map<string,{unlockValue:number, directUnlocks:string[]}>} Per-node unlock facts
+ */
+export function computeUnlockValues(graph) {
+  const result = new Map();
+
+  for (const id of graph.nodes.keys()) {
+    /** @type {Set<string>} */
+    const seen = new Set();
+    const stack = [...dependentsOf(graph, id)];
+    while (stack.length > 0) {
+      const next = /** @type {string} */ (stack.pop());
+      if (seen.has(next) || next === id) continue;
+      seen.add(next);
+      stack.push(...dependentsOf(graph, next));
+    }
+
+    const unlockValue = [...seen].filter(d => !isCompleted(graph, d)).length;
+    // Dependents whose only outstanding prerequisite is this node
+    const directUnlocks = dependentsOf(graph, id).filter(d =>
+      !isCompleted(graph, d) &&
+      prerequisitesOf(graph, d).every(p => p === id || isCompleted(graph, p))
+    );
+    result.set(id, { unlockValue, directUnlocks });
+  }
+
+  return result;
+}
+
+/**
+ * Full dependency analysis: CPM timings, critical path and unlock values.
+ * Completed nodes take no time; cyclic nodes are reported but left unscheduled.
+ * @param {{frontierNodes?: Array<GraphNode>}|null} [htaData] - HTA data with frontierNodes
+ * @returns {{order: string[], cyclic: string[], missing: TaskGraph['missing'], criticalPath: string[], totalMinutes: number, nodes: Map<string, NodeMetrics>}}
+ */
+export function analyzeDependencies(htaData) {
+  const graph = buildTaskGraph(htaData?.frontierNodes || []);
+  const { order, cyclic } = topologicalOrder(graph);
+  const unlocks = computeUnlockValues(graph);
+  /** @type {Map<string, NodeMetrics>} */
+  const metrics = new Map();
+  /** @param {string} id */
+  const metricsOf = id => /** @type {NodeMetrics} */ (metrics.get(id));
+
+  // Forward pass: earliest start/finish in minutes of focused work
+  for (const id of order) {
+    const node = /** @type {GraphNode} */ (graph.nodes.get(id));
+    const duration = node.completed ? 0 : parseDurationMinutes(node.duration);
+    let earliestStart = 0;
+    let depth = 0;
+    for (const prereq of prerequisitesOf(graph, id)) {
+      earliestStart = Math.max(earliestStart, metricsOf(prereq).earliestFinish);
+      depth = Math.max(depth, metricsOf(prereq).depth + 1);
+    }
+    metrics.set(id, {
+      id,
+      title: node.title,
+      completed: Boolean(node.completed),
+      duration,
+      depth,
+      earliestStart,
+      earliestFinish: earliestStart + duration,
+      ...unlocks.get(id)
+    });
+  }
+
+  const totalMinutes = Math.max(0, ...[...metrics.values()].map(m => m.earliestFinish));
+
+  // Backward pass: latest start and slack
+  for (const id of [...order].reverse()) {
+    const m = metricsOf(id);
+    const successors = dependentsOf(graph, id).filter(d => metrics.has(d));
+    const latestFinish = successors.length === 0
+      ? totalMinutes
+      : Math.min(...successors.map(d => metricsOf(d).latestStart ?? totalMinutes));
+    const latestStart = latestFinish - m.duration;
+    m.latestStart = latestStart;
+    m.slack = latestStart - m.earliestStart;
+  }
+
+  // Critical path: follow zero-slack incomplete nodes from the latest finisher backwards
+  /** @type {string[]} */
+  const criticalPath = [];
+  /** @type {NodeMetrics|undefined} */
+  let current = [...metrics.values()]
+    .filter(m => !m.completed && m.earliestFinish === totalMinutes && totalMinutes > 0)
+    .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))[0];
+  while (current) {
+    criticalPath.unshift(current.id);
+    /** @type {number} */
+    const start = current.earliestStart;
+    current = prerequisitesOf(graph, current.id)
+      .map(metricsOf)
+      .find(m => !m.completed && m.earliestFinish === start && m.slack === 0);
+  }
+
+  return {
+    order,
+    cyclic,
+    missing: graph.missing,
+    criticalPath,
+    totalMinutes,
+    nodes: metrics
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Duration Calibration Utility
+ *
+ * Learns how far planned task durations are off from the minutes actually
+ * recorded on completion. Each completed task contributes the ratio
+ * actual / planned; ratios are averaged in log space overall and per branch,
+ * planned difficulty and time of day. Factors are damped by a prior of a
+ * few perfect estimates so a couple of odd sessions do not swing them.
+ */
+
+import { CALIBRATION_CONFIG } from '../modules/constants.js';
+
+/**
+ * @typedef {Object} CalibrationSample
+ * @property {number} plannedMinutes
+ * @property {number} actualMinutes
+ * @property {string|null} [branch]
+ * @property {number|null} [difficulty] - Planned difficulty 1-10
+ * @property {number|null} [startHour] - Local hour the work started
+ */
+
+/**
+ * @typedef {Object} CalibrationContext
+ * @property {string|null} [branch]
+ * @property {number|null} [difficulty]
+ * @property {number|null} [hour]
+ */
+
+/**
+ * @typedef {Object} CalibrationGroup
+ * @property {string} label
+ * @property {number} factor
+ * @property {number} samples
+ */
+
+/**
+ * @typedef {'branches'|'difficulties'|'timesOfDay'} CalibrationDimension
+ */
+
+/**
+ * @typedef {Object} CalibrationModel
+ * @property {number} sampleCount
+ * @property {number} minSamples
+ * @property {{factor: number, samples: number}} overall
+ * @property {Record<string, CalibrationGroup>} branches
+ * @property {Record<string, CalibrationGroup>} difficulties
+ * @property {Record<string, CalibrationGroup>} timesOfDay
+ */
+
+/** @type {Array<{name: CalibrationDimension, keyOf: (context: CalibrationContext) => string|null}>} */
+const DIMENSIONS = [
+  { name: 'branches', keyOf: context => branchKey(context.branch) },
+  { name: 'difficulties', keyOf: context => difficultyKey(context.difficulty) },
+  { name: 'timesOfDay', keyOf: context => timeOfDayBucket(context.hour) }
+];
+
+/** @param {number} value */
+function roundHundredth(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * @param {number} factor
+ * @param {{MIN_FACTOR: number, MAX_FACTOR: number}} settings
+ */
+function clampFactor(factor, settings) {
+  return Math.min(settings.MAX_FACTOR, Math.max(settings.MIN_FACTOR, factor));
+}
+
+/** @param {unknown} branch */
+function branchKey(branch) {
+  return typeof branch === 'string' && branch.trim() ? branch.trim().toLowerCase() : null;
+}
+
+/** @param {unknown} difficulty */
+function difficultyKey(difficulty) {
+  const value = Math.round(Number(difficulty));
+  return value >= 1 && value <= 10 ? String(value) : null;
+}
+
+/**
+ * @param {number|null|undefined} hour - Local hour the work started (0-23)
+ * @param {Record<string, number[]>} [ranges] - Bucket name to [fromHour, toHour)
+ * @returns {string|null} morning, afternoon, evening or night
+ */
+export function timeOfDayBucket(hour, ranges = CALIBRATION_CONFIG.TIME_OF_DAY) {
+  if (typeof hour !== 'number' || !Number.isFinite(hour)) {
+    return null;
+  }
+  const match = Object.entries(ranges).find(([, [from, to]]) => hour >= from && hour < to);
+  return match ? match[0] : 'night';
+}
+
+/**
+ * Build the calibration model from recorded samples
+ * @param {Array<CalibrationSample>|null} samples
+ * @param {Partial<typeof CALIBRATION_CONFIG>} [options] - Overrides for CALIBRATION_CONFIG keys
+ * @returns {CalibrationModel}
+ */
+export function buildCalibrationModel(samples, options = {}) {
+  const settings = { ...CALIBRATION_CONFIG, ...options };
+  const usable = (samples || []).filter(sample => sample.plannedMinutes > 0 && sample.actualMinutes > 0);
+  /** @param {CalibrationSample} sample */
+  const logRatio = sample => Math.log(sample.actualMinutes / sample.plannedMinutes);
+
+  const overallSum = usable.reduce((sum, sample) => sum + logRatio(sample), 0);
+  const overallLog = overallSum / (usable.length + settings.PRIOR_WEIGHT);
+  const meanLog = usable.length > 0 ? overallSum / usable.length : 0;
+  /** @type {CalibrationModel} */
+  const model = {
+    sampleCount: usable.length,
+    minSamples: settings.MIN_SAMPLES,
+    overall: { factor: roundHundredth(clampFactor(Math.exp(overallLog), settings)), samples: usable.length },
+    branches: {},
+    difficulties: {},
+    timesOfDay: {}
+  };
+
+  for (const dimension of DIMENSIONS) {
+    /** @type {Map<string, {label: string, sum: number, samples: number}>} */
+    const groups = new Map();
+    for (const sample of usable) {
+      const key = dimension.keyOf({ branch: sample.branch, difficulty: sample.difficulty, hour: sample.startHour });
+      if (key === null) {
+        continue;
+      }
+      const group = groups.get(key) || { label: dimension.name === 'branches' ? String(sample.branch).trim() : key, sum: 0, samples: 0 };
+      group.sum += logRatio(sample) - meanLog;
+      group.samples += 1;
+      groups.set(key, group);
+    }
+    for (const [key, group] of groups) {
+      // Damped deviation from the overall mean, so a group holding every sample matches the overall factor
+      const groupLog = overallLog + group.sum / (group.samples + settings.PRIOR_WEIGHT);
+      model[dimension.name][key] = {
+        label: group.label,
+        factor: roundHundredth(clampFactor(Math.exp(groupLog), settings)),
+        samples: group.samples
+      };
+    }
+  }
+
+  return model;
+}
+
+/**
+ * Combined correction factor for a task: the overall factor adjusted by how
+ * far each matching group with enough samples sits from it
+ * @param {CalibrationModel|null} model - From buildCalibrationModel
+ * @param {CalibrationContext} [context]
+ * @returns {number} Multiplier for planned minutes (1 without a model)
+ */
+export function calibrationFactor(model, context = {}) {
+  if (!model || model.sampleCount === 0) {
+    return 1;
+  }
+  const settings = { ...CALIBRATION_CONFIG, MIN_SAMPLES: model.minSamples ?? CALIBRATION_CONFIG.MIN_SAMPLES };
+  const overallLog = Math.log(model.overall.factor);
+  let logFactor = overallLog;
+
+  for (const dimension of DIMENSIONS) {
+    const key = dimension.keyOf(context);
+    const group = key === null ? undefined : model[dimension.name]?.[key];
+    if (group && group.samples >= settings.MIN_SAMPLES) {
+      logFactor += Math.log(group.factor) - overallLog;
+    }
+  }
+  return roundHundredth(clampFactor(Math.exp(logFactor), settings));
+}
+
+/**
+ * @param {CalibrationModel|null} model - From buildCalibrationModel
+ * @param {number} plannedMinutes - Uncalibrated estimate
+ * @param {CalibrationContext} [context]
+ * @returns {number} Calibrated minutes, rounded to 5
+ */
+export function calibrateMinutes(model, plannedMinutes, context = {}) {
+  const factor = calibrationFactor(model, context);
+  if (factor === 1) {
+    return plannedMinutes;
+  }
+  return Math.max(5, Math.round((plannedMinutes * factor) / 5) * 5);
+}
+
+/**
+ * Estimate accuracy before and after calibration, plus the groups whose
+ * factor differs from the overall one by 20% or more
+ * @param {Array<CalibrationSample>|null} samples - As for buildCalibrationModel
+ * @param {CalibrationModel} model - Model built from the same samples
+ * @returns {{samples: number, rawErrorPct: number|null, calibratedErrorPct: number|null, overallFactor: number, biasedGroups: Array<CalibrationGroup & {dimension: CalibrationDimension}>}} Mean absolute error percentages and biased groups
+ */
+export function summarizeAccuracy(samples, model) {
+  const usable = (samples || []).filter(sample => sample.plannedMinutes > 0 && sample.actualMinutes > 0);
+  if (usable.length === 0) {
+    return { samples: 0, rawErrorPct: null, calibratedErrorPct: null, overallFactor: 1, biasedGroups: [] };
+  }
+
+  let rawError = 0;
+  let calibratedError = 0;
+  for (const sample of usable) {
+    const calibrated = calibrateMinutes(model, sample.plannedMinutes, {
+      branch: sample.branch,
+      difficulty: sample.difficulty,
+      hour: sample.startHour
+    });
+    rawError += Math.abs(sample.plannedMinutes - sample.actualMinutes) / sample.actualMinutes;
+    calibratedError += Math.abs(calibrated - sample.actualMinutes) / sample.actualMinutes;
+  }
+
+  const biasedGroups = DIMENSIONS.flatMap(dimension =>
+    Object.values(model[dimension.name] || {})
+      .filter(group => group.samples >= model.minSamples)
+      .map(group => ({ dimension: dimension.name, label: group.label, factor: group.factor, samples: group.samples }))
+  )
+    .filter(group => Math.abs(Math.log(group.factor / model.overall.factor)) >= Math.log(1.2))
+    .sort((a, b) => Math.abs(Math.log(b.factor)) - Math.abs(Math.log(a.factor)) || a.label.localeCompare(b.label));
+
+  return {
+    samples: usable.length,
+    rawErrorPct: Math.round((rawError / usable.length) * 100),
+    calibratedErrorPct: Math.round((calibratedError / usable.length) * 100),
+    overallFactor: model.overall.factor,
+    biasedGroups
+  };
+}
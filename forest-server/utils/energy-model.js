@@ -0,0 +1,140 @@
+/**
+ * Energy Model Utility
+ *
+ * Learns when in the day and week the user tends to have energy, from the
+ * energy level reported with each completed block and when it was completed.
+ * Samples are weighted by age (half-life decay) so old habits fade out. The
+ * forecast is a weighted baseline plus an hour-of-day and a weekday offset,
+ * each damped toward zero by a few pseudo-samples so sparse hours stay near
+ * the baseline.
+ */
+
+import { ENERGY_MODEL_CONFIG } from '../modules/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} EnergySample
+ * @property {number} energyLevel - 1-5
+ * @property {number} hour - 0-23
+ * @property {number} weekday - 0 (Sunday) to 6
+ * @property {string} recordedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} EnergyOffset
+ * @property {number} offset - Damped deviation from the baseline
+ * @property {number} samples
+ * @property {number} weight - Decayed sample weight
+ */
+
+/**
+ * @typedef {Object} EnergyModel
+ * @property {number} sampleCount
+ * @property {number} effectiveSamples
+ * @property {number} halfLifeDays
+ * @property {number} minSamples
+ * @property {number} baseline
+ * @property {Array<EnergyOffset>} hours - Indexed by hour
+ * @property {Array<EnergyOffset>} weekdays - Indexed by weekday
+ */
+
+/** @param {number} value */
+function roundTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/** @param {number} level */
+function clampLevel(level) {
+  return Math.min(5, Math.max(1, level));
+}
+
+/** @param {EnergySample} sample */
+function isUsable(sample) {
+  return sample.energyLevel >= 1 && sample.energyLevel <= 5 &&
+    Number.isInteger(sample.hour) && sample.hour >= 0 && sample.hour <= 23 &&
+    Number.isInteger(sample.weekday) && sample.weekday >= 0 && sample.weekday <= 6 &&
+    Number.isFinite(Date.parse(sample.recordedAt));
+}
+
+/**
+ * Build the energy model from recorded samples
+ * @param {Array<EnergySample>|null} samples
+ * @param {Date} [now] - Reference time for decay
+ * @param {Partial<typeof ENERGY_MODEL_CONFIG>} [options] - Overrides for ENERGY_MODEL_CONFIG keys
+ * @returns {EnergyModel}
+ */
+export function buildEnergyModel(samples, now = new Date(), options = {}) {
+  const settings = { ...ENERGY_MODEL_CONFIG, ...options };
+  const weighted = (samples || []).filter(isUsable).map(sample => ({
+    ...sample,
+    weight: 0.5 ** (Math.max(0, now.getTime() - Date.parse(sample.recordedAt)) / DAY_MS / settings.HALF_LIFE_DAYS)
+  }));
+
+  const totalWeight = weighted.reduce((sum, sample) => sum + sample.weight, 0);
+  const weightedSum = weighted.reduce((sum, sample) => sum + sample.weight * sample.energyLevel, 0);
+  const rawMean = totalWeight > 0 ? weightedSum / totalWeight : settings.DEFAULT_LEVEL;
+  const baseline = (weightedSum + settings.PRIOR_WEIGHT * settings.DEFAULT_LEVEL) / (totalWeight + settings.PRIOR_WEIGHT);
+
+  // Offsets are measured from the undamped mean so the prior only pulls the baseline
+  /**
+   * @param {number} size
+   * @param {(sample: EnergySample) => number} keyOf
+   * @returns {Array<EnergyOffset>}
+   */
+  const offsets = (size, keyOf) => Array.from({ length: size }, (_, key) => {
+    const group = weighted.filter(sample => keyOf(sample) === key);
+    const weight = group.reduce((sum, sample) => sum + sample.weight, 0);
+    const deviation = group.reduce((sum, sample) => sum + sample.weight * (sample.energyLevel - rawMean), 0);
+    return {
+      offset: roundTenth(deviation / (weight + settings.PRIOR_WEIGHT)),
+      samples: group.length,
+      weight: roundTenth(weight)
+    };
+  });
+
+  return {
+    sampleCount: weighted.length,
+    effectiveSamples: roundTenth(totalWeight),
+    halfLifeDays: settings.HALF_LIFE_DAYS,
+    minSamples: settings.MIN_SAMPLES,
+    baseline: roundTenth(baseline),
+    hours: offsets(24, sample => sample.hour),
+    weekdays: offsets(7, sample => sample.weekday)
+  };
+}
+
+/**
+ * @param {EnergyModel|null} model - From buildEnergyModel
+ * @param {number} hour - 0-23
+ * @param {number|null} [weekday] - 0 (Sunday) to 6; omitted for the all-week curve
+ * @returns {number|null} Expected energy (1-5, one decimal), or null without a model
+ */
+export function forecastEnergy(model, hour, weekday = null) {
+  if (!model) {
+    return null;
+  }
+  const weekdayOffset = weekday === null ? 0 : model.weekdays[weekday]?.offset || 0;
+  return roundTenth(clampLevel(model.baseline + (model.hours[hour]?.offset || 0) + weekdayOffset));
+}
+
+/**
+ * @param {EnergyModel|null} model
+ * @param {number|null} [weekday]
+ * @returns {Array<number>|null} Forecast indexed by hour
+ */
+export function forecastDay(model, weekday = null) {
+  return model ? Array.from({ length: 24 }, (_, hour) => /** @type {number} */ (forecastEnergy(model, hour, weekday))) : null;
+}
+
+/**
+ * One energy level for a span of the day, e.g. waking hours
+ * @param {Array<number>} curve - From forecastDay
+ * @param {number} fromHour - First hour (inclusive)
+ * @param {number} toHour - Last hour (exclusive)
+ * @returns {number} Rounded mean level (1-5)
+ */
+export function averageLevel(curve, fromHour, toHour) {
+  const hours = curve.slice(Math.max(0, fromHour), Math.min(24, Math.max(fromHour + 1, toHour)));
+  return Math.round(clampLevel(hours.reduce((sum, level) => sum + level, 0) / hours.length));
+}
@@ -0,0 +1,155 @@
+/**
+ * HTA Edit Utility
+ *
+ * Tree-level checks and rewiring for manual task edits. The HtaNode model
+ * validates a node's own fields; these helpers keep the frontier consistent
+ * around it: prerequisites resolve to existing nodes, edits never add a
+ * dependency cycle, and deleting or renaming a node rewrites the references
+ * that pointed at it.
+ */
+
+import { buildTaskGraph, topologicalOrder } from './dependency-graph.js';
+
+/**
+ * @typedef {import('./dependency-graph.js').GraphNode & {branch?: string, priority?: number}} FrontierNode
+ */
+
+/**
+ * @param {Array<FrontierNode>} nodes - Frontier nodes
+ * @param {string} ref - Node id or exact title
+ * @returns {FrontierNode|null}
+ */
+export function findNode(nodes, ref) {
+  return nodes.find(node => node.id === ref) || nodes.find(node => node.title === ref) || null;
+}
+
+/**
+ * Resolve prerequisite references (ids or titles) to node ids
+ * @param {Array<FrontierNode>} nodes - Frontier nodes
+ * @param {string[]} refs
+ * @returns {string[]} Node ids, in the given order
+ * @throws {Error} When a reference matches no node
+ */
+export function resolvePrerequisites(nodes, refs) {
+  return [...new Set(refs.map(ref => {
+    const node = findNode(nodes, ref);
+    if (!node) {
+      throw new Error(`Unknown prerequisite '${ref}': no task has that id or title`);
+    }
+    return node.id;
+  }))];
+}
+
+/**
+ * Reject an edit that puts nodes into a dependency cycle. Cycles already in
+ * the tree before the edit are left to debug_task_sequence to report.
+ * @param {Array<FrontierNode>} before - Frontier before the edit
+ * @param {Array<FrontierNode>} after - Frontier after the edit
+ * @throws {Error} Naming the tasks in the new cycle
+ */
+export function assertNoNewCycle(before, after) {
+  const existing = new Set(topologicalOrder(buildTaskGraph(before)).cyclic);
+  const cyclic = topologicalOrder(buildTaskGraph(after)).cyclic.filter(id => !existing.has(id));
+  if (cyclic.length > 0) {
+    const titles = cyclic.map(id => findNode(after, id)?.title || id);
+    throw new Error(`That change would create a circular dependency between: ${titles.join(', ')}`);
+  }
+}
+
+/**
+ * Remove a node's incoming references. Tasks that depended on it inherit its
+ * own prerequisites, so deleting a step in a chain keeps the chain ordered.
+ * @param {Array<FrontierNode>} nodes - Frontier nodes, without the removed node
+ * @param {FrontierNode} removed - The deleted node
+ * @returns {string[]} Ids of the nodes whose prerequisites changed
+ */
+export function detachNode(nodes, removed) {
+  const refs = new Set([removed.id, removed.title].filter(Boolean));
+  /** @type {string[]} */
+  const inherited = [];
+  for (const ref of removed.prerequisites || []) {
+    const id = refs.has(ref) ? undefined : findNode(nodes, ref)?.id;
+    if (id) inherited.push(id);
+  }
+  /** @type {string[]} */
+  const changed = [];
+
+  for (const node of nodes) {
+    const prerequisites = node.prerequisites || [];
+    if (!prerequisites.some(ref => refs.has(ref))) {
+      continue;
+    }
+    node.prerequisites = [...new Set(prerequisites.flatMap(ref => (refs.has(ref) ? inherited : [ref])))]
+      .filter(ref => ref !== node.id && ref !== node.title);
+    changed.push(node.id);
+  }
+  return changed;
+}
+
+/**
+ * Point legacy title references at a renamed node's id
+ * @param {Array<FrontierNode>} nodes - Frontier nodes
+ * @param {string} oldTitle
+ * @param {string} id - The renamed node
+ * @returns {string[]} Ids of the nodes whose prerequisites changed
+ */
+export function renameReferences(nodes, oldTitle, id) {
+  /** @type {string[]} */
+  const changed = [];
+  for (const node of nodes) {
+    if (node.id !== id && node.prerequisites?.includes(oldTitle)) {
+      node.prerequisites = [...new Set(node.prerequisites.map(ref => (ref === oldTitle ? id : ref)))];
+      changed.push(node.id);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Put a branch's tasks in a new order. Listed tasks come first, in the given
+ * order, followed by the branch's other tasks as they were; the branch keeps
+ * its slots in the frontier and its set of priorities, handed out highest
+ * first, so the new order is what task selection sees.
+ * @param {Array<FrontierNode>} nodes - Frontier nodes (not modified)
+ * @param {string} branch
+ * @param {string[]} order - Node ids or titles
+ * @returns {{nodes: Array<FrontierNode>, order: string[], warnings: string[]}} New frontier, branch ids in order, and tasks now ahead of a prerequisite
+ * @throws {Error} When a listed task is missing or in another branch
+ */
+export function reorderBranch(nodes, branch, order) {
+  const members = nodes.filter(node => node.branch === branch);
+  if (members.length === 0) {
+    throw new Error(`Branch '${branch}' has no tasks`);
+  }
+
+  const listed = [...new Set(order.map(ref => {
+    const node = findNode(nodes, ref);
+    if (!node) {
+      throw new Error(`Task '${ref}' not found`);
+    }
+    if (node.branch !== branch) {
+      throw new Error(`Task '${node.title}' is in branch '${node.branch}', not '${branch}'`);
+    }
+    return node;
+  }))];
+  const ordered = [...listed, ...members.filter(node => !listed.includes(node))];
+
+  const priorities = members.map(node => node.priority ?? 0).sort((a, b) => b - a);
+  const reordered = ordered.map((node, index) => ({ ...node, priority: priorities[index] }));
+  let next = 0;
+  const result = nodes.map(node => (node.branch === branch ? reordered[next++] : node));
+
+  const position = new Map(reordered.map((node, index) => [node.id, index]));
+  const graph = buildTaskGraph(result);
+  /** @type {string[]} */
+  const warnings = [];
+  for (const node of reordered) {
+    for (const prereqId of graph.prerequisites.get(node.id) || []) {
+      if ((position.get(prereqId) ?? -1) > (position.get(node.id) ?? -1)) {
+        warnings.push(`'${node.title}' now comes before its prerequisite '${graph.nodes.get(prereqId)?.title}'`);
+      }
+    }
+  }
+
+  return { nodes: result, order: reordered.map(node => node.id), warnings };
+}
@@ -4,16 +4,44 @@
  */
 // @ts-nocheck
 
+/**
+ * Why an open node is on hold: blocked on something external (blockedOn, until
+ * released by hand) or snoozed (deferredUntil, until that moment passes).
+ * @param {Object} node - HTA frontier node
+ * @param {Date} [now]
+ * @returns {'blocked'|'snoozed'|null}
+ */
+export function holdReason(node, now = new Date()) {
+  if (!node || node.completed) return null;
+  if (node.blockedOn) return 'blocked';
+  if (node.deferredUntil && Date.parse(node.deferredUntil) > now.getTime()) return 'snoozed';
+  return null;
+}
+
+/**
+ * Open nodes currently blocked or snoozed
+ * @param {Object} htaData - HTA data with frontier nodes
+ * @param {Date} [now]
+ * @returns {Array<{node: Object, reason: string}>}
+ */
+export function getHeldNodes(htaData, now = new Date()) {
+  return (htaData?.frontierNodes || [])
+    .map(node => ({ node, reason: holdReason(node, now) }))
+    .filter(entry => entry.reason !== null);
+}
+
 /**
  * Determine if a frontier node is ready given completed prerequisites and available time.
  * @param {Object} node   - HTA frontier node
  * @param {Set<string>} completedIds - set of completed node ids
  * @param {number} availableMinutes - time budget in minutes
  * @param {number} tolerance - multiplicative tolerance (e.g. 1.2)
+ * @param {Date} [now] - blocked and snoozed nodes are not ready
  * @returns {boolean}
  */
-export function isNodeReady(node, completedIds, availableMinutes = Infinity, tolerance = 1.0) {
+export function isNodeReady(node, completedIds, availableMinutes = Infinity, tolerance = 1.0, now = new Date()) {
   if (!node || node.completed) return false;
+  if (holdReason(node, now)) return false;
 
   // prerequisite check (ids or titles)
   if (Array.isArray(node.prerequisites) && node.prerequisites.length > 0) {
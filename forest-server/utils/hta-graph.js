@@ -0,0 +1,252 @@
+/**
+ * HTA Graph Utility
+ *
+ * Renders a path's tree for diagram and outlining tools: Mermaid flowcharts
+ * and Graphviz DOT (goal → objective → subgoal → task edges plus dashed
+ * prerequisite edges) and OPML outlines. Every node carries a status –
+ * completed, ready, blocked, snoozed or open – taken from the same readiness
+ * rules get_hta_status uses, and styled from HTA_GRAPH_CONFIG.
+ */
+
+import { HTA_GRAPH_CONFIG } from '../modules/constants.js';
+import { getAvailableNodes, getBlockedNodes } from './hta-metrics.js';
+import { holdReason } from './hta-eligibility.js';
+import { ensureHierarchy, isContainerNode, parentOf, rollUpProgress } from './hta-hierarchy-utils.js';
+
+function truncate(text, max = HTA_GRAPH_CONFIG.MAX_LABEL_LENGTH) {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Nodes, tree edges and prerequisite edges of an HTA tree, with a status per node
+ * @param {Object} htaData - HTA tree (not modified)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Decides whether snoozes have run out
+ * @returns {{title: string, nodes: Object[], edges: Array<{from: string, to: string}>, dependencies: Array<{from: string, to: string}>}}
+ */
+export function buildHTAGraph(htaData, { now = new Date() } = {}) {
+  const tree = ensureHierarchy(structuredClone(htaData || {}));
+  const all = [...tree.hierarchyNodes, ...tree.frontierNodes];
+  const progress = rollUpProgress(all);
+
+  const available = new Set(getAvailableNodes(tree).map(node => node.id));
+  const blocked = new Set(getBlockedNodes(tree).map(node => node.id));
+  const done = new Set((tree.completedNodes || []).map(node => (typeof node === 'string' ? node : node?.id)));
+  const byKey = new Map();
+  for (const task of tree.frontierNodes) {
+    byKey.set(task.id, task);
+    if (task.title && !byKey.has(task.title)) byKey.set(task.title, task);
+    if (task.completed) {
+      done.add(task.id);
+      done.add(task.title);
+    }
+  }
+
+  // Prerequisites may name a task by id or by title
+  const dependencies = [];
+  const unmet = new Set();
+  for (const task of tree.frontierNodes) {
+    for (const prereq of task.prerequisites || []) {
+      const source = byKey.get(prereq);
+      if (source) dependencies.push({ from: source.id, to: task.id });
+      if (!done.has(prereq)) unmet.add(task.id);
+    }
+  }
+
+  const taskStatus = task => {
+    if (task.completed) return 'completed';
+    if (holdReason(task, now) === 'snoozed') return 'snoozed';
+    if (blocked.has(task.id) || unmet.has(task.id)) return 'blocked';
+    return available.has(task.id) ? 'ready' : 'open';
+  };
+
+  const ids = new Set(all.map(node => node.id));
+  const nodes = all.map(node => {
+    const container = isContainerNode(node);
+    let status;
+    if (container) {
+      status = node.completed ? 'completed' : node.placeholder ? 'placeholder' : 'open';
+    } else {
+      status = taskStatus(node);
+    }
+    return {
+      id: node.id,
+      title: node.title || node.id,
+      description: node.description || '',
+      parentId: ids.has(parentOf(node)) ? parentOf(node) : null,
+      level: node.level,
+      container,
+      branch: node.branch || null,
+      status,
+      progress: container ? progress.get(node.id) : null
+    };
+  });
+
+  return {
+    title: tree.goal || 'HTA Tree',
+    nodes,
+    edges: nodes.filter(node => node.parentId).map(node => ({ from: node.parentId, to: node.id })),
+    dependencies
+  };
+}
+
+function label(node) {
+  if (!node.container) return truncate(node.title);
+  if (node.status === 'placeholder') return `${truncate(node.title)} (not planned yet)`;
+  return `${truncate(node.title)} – ${node.progress.percentage}%`;
+}
+
+/**
+ * Mermaid flowchart: containers are rounded, tasks are boxes, prerequisites dashed arrows
+ * @param {Object} graph - From buildHTAGraph
+ * @returns {string}
+ */
+export function renderMermaid(graph) {
+  const ids = new Map();
+  const used = new Set();
+  for (const node of graph.nodes) {
+    const base = `n_${node.id.replace(/[^A-Za-z0-9_]/g, '_')}`;
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}_${n}`;
+    used.add(id);
+    ids.set(node.id, id);
+  }
+  const text = node => label(node).replace(/"/g, '#quot;');
+
+  const lines = ['flowchart TD'];
+  for (const node of graph.nodes) {
+    lines.push(node.container ? `  ${ids.get(node.id)}("${text(node)}")` : `  ${ids.get(node.id)}["${text(node)}"]`);
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  ${ids.get(edge.from)} --- ${ids.get(edge.to)}`);
+  }
+  for (const edge of graph.dependencies) {
+    lines.push(`  ${ids.get(edge.from)} -.-> ${ids.get(edge.to)}`);
+  }
+  for (const [status, style] of Object.entries(HTA_GRAPH_CONFIG.STATUS_STYLES)) {
+    const members = graph.nodes.filter(node => node.status === status).map(node => ids.get(node.id));
+    if (members.length === 0) continue;
+    const dash = status === 'placeholder' ? ',stroke-dasharray:4 3' : '';
+    lines.push(`  classDef ${status} fill:${style.fill},stroke:${style.stroke}${dash}`);
+    lines.push(`  class ${members.join(',')} ${status}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Graphviz DOT digraph with the same shapes, edges and colours as renderMermaid
+ * @param {Object} graph - From buildHTAGraph
+ * @returns {string}
+ */
+export function renderDot(graph) {
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [
+    `digraph ${quote(truncate(graph.title))} {`,
+    '  rankdir=TB;',
+    '  node [shape=box, style="filled", fontname="Helvetica"];',
+    '  edge [arrowhead=none];'
+  ];
+  for (const node of graph.nodes) {
+    const style = HTA_GRAPH_CONFIG.STATUS_STYLES[node.status];
+    const shapeStyle = node.container
+      ? `style=${quote(node.status === 'placeholder' ? 'rounded,filled,dashed' : 'rounded,filled')}`
+      : 'style="filled"';
+    lines.push(`  ${quote(node.id)} [label=${quote(label(node))}, ${shapeStyle}, fillcolor=${quote(style.fill)}, color=${quote(style.stroke)}, class=${quote(node.status)}];`);
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)};`);
+  }
+  for (const edge of graph.dependencies) {
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [style=dashed, arrowhead=normal];`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * OPML 2.0 outline of the hierarchy. Status goes in a `_status` attribute
+ * and prerequisites in the `_note`, since outlines have no edges.
+ * @param {Object} graph - From buildHTAGraph
+ * @param {Object} [options]
+ * @param {Date} [options.now] - dateCreated
+ * @returns {string}
+ */
+export function renderOpml(graph, { now = new Date() } = {}) {
+  const byId = new Map(graph.nodes.map(node => [node.id, node]));
+  const children = new Map();
+  for (const node of graph.nodes) {
+    if (!children.has(node.parentId)) children.set(node.parentId, []);
+    children.get(node.parentId).push(node);
+  }
+  const after = new Map();
+  for (const edge of graph.dependencies) {
+    if (!after.has(edge.to)) after.set(edge.to, []);
+    after.get(edge.to).push(byId.get(edge.from).title);
+  }
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(graph.title)}</title>`,
+    `    <dateCreated>${now.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>'
+  ];
+  const render = (node, depth, trail) => {
+    const note = [node.description, after.has(node.id) ? `After: ${after.get(node.id).join('; ')}` : '']
+      .filter(Boolean)
+      .join('\n');
+    const attributes = `text="${escapeXml(label(node))}" _status="${node.status}"${note ? ` _note="${escapeXml(note).replace(/\n/g, '&#10;')}"` : ''}`;
+    const below = new Set(trail).add(node.id);
+    const kids = (children.get(node.id) || []).filter(child => !below.has(child.id));
+    const indent = '  '.repeat(depth);
+    if (kids.length === 0) {
+      lines.push(`${indent}<outline ${attributes}/>`);
+      return;
+    }
+    lines.push(`${indent}<outline ${attributes}>`);
+    kids.forEach(child => render(child, depth + 1, below));
+    lines.push(`${indent}</outline>`);
+  };
+  (children.get(null) || []).forEach(node => render(node, 2, new Set()));
+  lines.push('  </body>', '</opml>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render an HTA tree in one of HTA_GRAPH_CONFIG.FORMATS
+ * @param {Object} htaData - HTA tree (not modified)
+ * @param {string} [format] - 'mermaid', 'dot' or 'opml'
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{output: string, nodeCount: number, dependencyCount: number, statusCounts: Object<string, number>}}
+ * @throws {Error} On an unknown format
+ */
+export function exportHTAGraph(htaData, format = HTA_GRAPH_CONFIG.DEFAULT_FORMAT, { now = new Date() } = {}) {
+  if (!HTA_GRAPH_CONFIG.FORMATS.includes(format)) {
+    throw new Error(`Unknown graph format '${format}'. Use one of: ${HTA_GRAPH_CONFIG.FORMATS.join(', ')}`);
+  }
+  const graph = buildHTAGraph(htaData, { now });
+  const renderers = { mermaid: renderMermaid, dot: renderDot, opml: g => renderOpml(g, { now }) };
+
+  const statusCounts = {};
+  for (const node of graph.nodes.filter(n => !n.container)) {
+    statusCounts[node.status] = (statusCounts[node.status] || 0) + 1;
+  }
+  return {
+    output: renderers[format](graph),
+    nodeCount: graph.nodes.length,
+    dependencyCount: graph.dependencies.length,
+    statusCounts
+  };
+}
@@ -10,11 +10,20 @@
 
 // @ts-nocheck
 
-import { HTA_LEVELS } from '../constants.js';
+import { DEFAULT_PATHS, HTA_HIERARCHY_CONFIG, HTA_LEVELS } from '../modules/constants.js';
+
+/**
+ * Parent id of a node, accepting both `parentId` and the older `parent_id`.
+ * @param {{parentId?:string|null, parent_id?:string|null}} node
+ * @returns {string|null}
+ */
+export function parentOf(node) {
+  return node?.parentId ?? node?.parent_id ?? null;
+}
 
 /**
  * Build a parent→children lookup map for quick ancestry traversal.
- * @param {Array<{id:string, parent_id?:string|null}>} nodes
+ * @param {Array<{id:string, parentId?:string|null}>} nodes
  * @returns {Map<string, Array<object>>}
  */
 export function buildParentMap(nodes = []) {
@@ -22,7 +31,7 @@ export function buildParentMap(nodes = []) {
   const map = new Map();
   if (!Array.isArray(nodes)) return map;
   for (const node of nodes) {
-    const parent = node.parent_id ?? '__root__';
+    const parent = parentOf(node) ?? '__root__';
     if (!map.has(parent)) map.set(parent, []);
     map.get(parent).push(node);
   }
@@ -41,7 +50,7 @@ export function getChildren(nodes = [], parentId = null) {
 }
 
 /**
- * Extract actionable leaf-level tasks (level >= ACTION or nodes with no children).
+ * Extract actionable leaf-level tasks (level >= TASK or nodes with no children).
  * @param {Array<object>} nodes
  * @returns {Array<object>} Actionable tasks
  */
@@ -51,7 +60,7 @@ export function getLeafTasks(nodes = []) {
   return nodes.filter(n => {
     // Explicit action-level flag takes precedence
     if (n.level !== undefined && n.level !== null) {
-      return n.level >= HTA_LEVELS.ACTION;
+      return n.level >= HTA_LEVELS.TASK;
     }
     // Fallback: treat as leaf if no children recorded
     return !(map.get(n.id) && map.get(n.id).length > 0);
@@ -63,7 +72,7 @@ export function getLeafTasks(nodes = []) {
  * The implementation purposefully errs on the side of leniency to avoid
  * false positives at runtime.
  *
- * @param {Array<{id:string,parent_id?:string|null}>} nodes
+ * @param {Array<{id:string,parentId?:string|null}>} nodes
  * @returns {{valid:boolean, errors:string[]}}
  */
 export function validateHierarchy(nodes = []) {
@@ -75,15 +84,15 @@ export function validateHierarchy(nodes = []) {
   // 1. Check orphaned nodes (parent not present)
   const ids = new Set(nodes.map(n => n.id));
   for (const n of nodes) {
-    if (n.parent_id && !ids.has(n.parent_id)) {
-      errors.push(`Orphaned node ${n.id} references missing parent ${n.parent_id}`);
+    if (parentOf(n) && !ids.has(parentOf(n))) {
+      errors.push(`Orphaned node ${n.id} references missing parent ${parentOf(n)}`);
     }
   }
 
   // 2. Simple cycle detection via DFS (depth limited to avoid blow-ups)
   /** @type {Map<string,string|null>} */
   const parentMap = new Map();
-  for (const n of nodes) parentMap.set(n.id, n.parent_id ?? null);
+  for (const n of nodes) parentMap.set(n.id, parentOf(n));
   for (const n of nodes) {
     const visited = new Set();
     let current = n.id;
@@ -126,294 +135,228 @@ export function buildDependencyGraph(nodes = []) {
   return graph;
 }
 
-export default {
-  buildParentMap,
-  getChildren,
-  getLeafTasks,
-  flattenToActionTasks,
-  validateHierarchy,
-  buildDependencyGraph,
-  HTA_LEVELS,
-}; 
-// Create hta-metrics.js content here - this will be moved to a separate file
-const htaMetricsContent = `/**
- * Unified Task Counting Utility
- * 
- * This module provides standardized task counting functions to resolve
- * mathematical inconsistencies caused by different field naming conventions
- * and calculation methods across HTA status and analytics modules.
- */
-
 /**
- * Count frontier nodes with field name compatibility
- * @param {Object} htaData - HTA data object
- * @returns {number} Number of frontier nodes
+ * Goal, objective and subgoal nodes are containers; everything at TASK level
+ * (or without a level) is work that counts towards progress.
+ * @param {{level?:number}} node
+ * @returns {boolean}
  */
-export function countFrontierNodes(htaData) {
-  if (!htaData) return 0;
-  
-  // Check both field name variants for compatibility
-  const nodes = htaData.frontierNodes || htaData.frontierNodes || [];
-  return Array.isArray(nodes) ? nodes.length : 0;
+export function isContainerNode(node) {
+  return typeof node?.level === 'number' && node.level < HTA_LEVELS.TASK;
 }
 
-/**
- * Count completed nodes from all sources
- * @param {Object} htaData - HTA data object
- * @returns {number} Number of completed nodes
- */
-export function countCompletedNodes(htaData) {
-  if (!htaData) return 0;
-  
-  const completedNodes = htaData.completedNodes || [];
-  const frontierNodes = htaData.frontierNodes || htaData.frontierNodes || [];
-  const completedInFrontier = Array.isArray(frontierNodes) 
-    ? frontierNodes.filter(n => n && n.completed).length 
-    : 0;
-  
-  return (Array.isArray(completedNodes) ? completedNodes.length : 0) + completedInFrontier;
+function toContainer(node, level, parentId) {
+  return {
+    id: node.id,
+    title: node.title,
+    description: node.description || '',
+    level,
+    parentId,
+    branch: node.branch || null,
+    completed: Boolean(node.completed),
+    completedAt: node.completedAt || null
+  };
 }
 
-/**
- * Get available (ready to work on) nodes
- * @param {Object} htaData - HTA data object
- * @returns {Array} Array of available nodes
- */
-export function getAvailableNodes(htaData) {
-  if (!htaData) return [];
-  
-  const frontierNodes = htaData.frontierNodes || htaData.frontierNodes || [];
-  if (!Array.isArray(frontierNodes)) return [];
-  
-  return frontierNodes.filter(node => 
-    node && 
-    !node.completed && 
-    !node.blocked && 
-    node.status !== 'blocked' &&
-    node.status !== 'completed'
-  );
+function normalizeParent(node) {
+  if ('parent_id' in node) {
+    node.parentId = parentOf(node);
+    delete node.parent_id;
+  }
 }
 
-/**
- * Get blocked nodes
- * @param {Object} htaData - HTA data object
- * @returns {Array} Array of blocked nodes
- */
-export function getBlockedNodes(htaData) {
-  if (!htaData) return [];
-  
-  const frontierNodes = htaData.frontierNodes || htaData.frontierNodes || [];
-  if (!Array.isArray(frontierNodes)) return [];
-  
-  return frontierNodes.filter(node => 
-    node && 
-    !node.completed && 
-    (node.blocked || node.status === 'blocked')
-  );
+function treeNodes(htaData) {
+  return [...(htaData?.hierarchyNodes || []), ...(htaData?.frontierNodes || [])];
 }
 
 /**
- * Get ready nodes (alias for available nodes for backward compatibility)
- * @param {Object} htaData - HTA data object
- * @returns {Array} Array of ready nodes
+ * Give a tree its goal → objective → subgoal → task structure, in place.
+ * Containers live in `hierarchyNodes` so `frontierNodes` stays a list of
+ * tasks for selection and scheduling. Legacy `is_branch` entries move across,
+ * and a task without a known parent joins the objective for its branch,
+ * created from strategicBranches when missing. Safe to call repeatedly.
+ * @param {Object} htaData - HTA tree, modified
+ * @returns {Object} The same tree
  */
-export function getReadyNodes(htaData) {
-  return getAvailableNodes(htaData);
-}
+export function ensureHierarchy(htaData) {
+  const frontier = Array.isArray(htaData.frontierNodes) ? htaData.frontierNodes : [];
+  const containers = Array.isArray(htaData.hierarchyNodes) ? htaData.hierarchyNodes : [];
 
-/**
- * Calculate comprehensive progress metrics
- * @param {Object} htaData - HTA data object
- * @returns {Object} Progress metrics object
- */
-export function calculateProgress(htaData) {
-  if (!htaData) {
-    return { completed: 0, total: 0, percentage: 0, available: 0, blocked: 0 };
+  htaData.frontierNodes = frontier.filter(node => !node.is_branch);
+  for (const node of frontier.filter(node => node.is_branch)) {
+    containers.push(toContainer(node, parentOf(node) ? HTA_LEVELS.SUBGOAL : HTA_LEVELS.OBJECTIVE, parentOf(node)));
   }
-  
-  const frontierCount = countFrontierNodes(htaData);
-  const completedCount = countCompletedNodes(htaData);
-  const availableCount = getAvailableNodes(htaData).length;
-  const blockedCount = getBlockedNodes(htaData).length;
-  
-  // Total includes both frontier and completed nodes
-  const total = frontierCount + (htaData.completedNodes?.length || 0);
-  const percentage = total > 0 ? Math.round((completedCount / total) * 100) : 0;
-  
-  return {
-    completed: completedCount,
-    total: total,
-    percentage: percentage,
-    available: availableCount,
-    blocked: blockedCount,
-    frontier: frontierCount
-  };
-}
 
-/**
- * Count tasks by branch
- * @param {Object} htaData - HTA data object
- * @param {string} branchName - Branch name to count
- * @returns {Object} Branch-specific counts
- */
-export function countTasksByBranch(htaData, branchName) {
-  if (!htaData || !branchName) {
-    return { total: 0, completed: 0, available: 0, blocked: 0 };
+  let root = containers.find(node => node.id === HTA_HIERARCHY_CONFIG.GOAL_NODE_ID);
+  if (!root) {
+    root = toContainer({ id: HTA_HIERARCHY_CONFIG.GOAL_NODE_ID, title: htaData.goal || 'Goal' }, HTA_LEVELS.GOAL, null);
+    containers.unshift(root);
   }
-  
-  const frontierNodes = htaData.frontierNodes || htaData.frontierNodes || [];
-  const completedNodes = htaData.completedNodes || [];
-  
-  // Filter frontier nodes by branch
-  const branchFrontierNodes = Array.isArray(frontierNodes) 
-    ? frontierNodes.filter(node => node && node.branch === branchName)
-    : [];
-  
-  // Filter completed nodes by branch
-  const branchCompletedNodes = Array.isArray(completedNodes)
-    ? completedNodes.filter(node => node && node.branch === branchName)
-    : [];
-  
-  const completedInFrontier = branchFrontierNodes.filter(n => n.completed).length;
-  const availableInFrontier = branchFrontierNodes.filter(n => 
-    !n.completed && !n.blocked && n.status !== 'blocked'
-  ).length;
-  const blockedInFrontier = branchFrontierNodes.filter(n => 
-    !n.completed && (n.blocked || n.status === 'blocked')
-  ).length;
-  
-  return {
-    total: branchFrontierNodes.length + branchCompletedNodes.length,
-    completed: completedInFrontier + branchCompletedNodes.length,
-    available: availableInFrontier,
-    blocked: blockedInFrontier
+
+  const byId = new Map(containers.map(node => [node.id, node]));
+  const objectiveFor = branch => {
+    const existing = containers.find(node => node.level === HTA_LEVELS.OBJECTIVE && node.branch === branch);
+    if (existing) {
+      return existing;
+    }
+    const known = (htaData.strategicBranches || []).find(b => [b.id, b.title, b.name].includes(branch));
+    const base = `objective_${branch.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'general'}`;
+    let id = base;
+    for (let n = 2; byId.has(id); n++) {
+      id = `${base}_${n}`;
+    }
+    const objective = toContainer({
+      id,
+      title: known?.title || known?.name || branch.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+      description: known?.description,
+      branch
+    }, HTA_LEVELS.OBJECTIVE, root.id);
+    containers.push(objective);
+    byId.set(id, objective);
+    return objective;
   };
+
+  // Parentless objectives hang off the goal, parentless subgoals off their branch's objective
+  for (const node of [...containers]) {
+    normalizeParent(node);
+    if (node !== root && !byId.has(node.parentId)) {
+      node.parentId = node.level > HTA_LEVELS.OBJECTIVE && node.branch ? objectiveFor(node.branch).id : root.id;
+    }
+  }
+
+  for (const task of htaData.frontierNodes) {
+    normalizeParent(task);
+    if (!byId.has(task.parentId)) {
+      task.parentId = objectiveFor(task.branch || DEFAULT_PATHS.GENERAL).id;
+    }
+    task.level = HTA_LEVELS.TASK;
+  }
+
+  htaData.hierarchyNodes = containers;
+  return htaData;
 }
 
 /**
- * Get branch progress summary
- * @param {Object} htaData - HTA data object
- * @returns {Object} Branch progress summary
+ * Roll task completion up through the hierarchy. A container counts the
+ * tasks beneath it at any depth; a task counts itself.
+ * @param {Array<object>} nodes - Containers and tasks together
+ * @returns {Map<string, {total:number, completed:number, percentage:number}>}
  */
-export function getBranchProgress(htaData) {
-  if (!htaData) return {};
-  
-  const frontierNodes = htaData.frontierNodes || htaData.frontierNodes || [];
-  const branches = new Set();
-  
-  // Collect all branch names
-  if (Array.isArray(frontierNodes)) {
-    frontierNodes.forEach(node => {
-      if (node && node.branch) {
-        branches.add(node.branch);
-      }
-    });
-  }
-  
-  if (htaData.completedNodes && Array.isArray(htaData.completedNodes)) {
-    htaData.completedNodes.forEach(node => {
-      if (node && node.branch) {
-        branches.add(node.branch);
+export function rollUpProgress(nodes = []) {
+  const children = buildParentMap(nodes);
+  const progress = new Map();
+
+  const visit = (node, trail) => {
+    if (progress.has(node.id)) return progress.get(node.id);
+    let total = 0;
+    let completed = 0;
+    if (isContainerNode(node)) {
+      const below = new Set(trail).add(node.id);
+      for (const child of (children.get(node.id) || []).filter(c => !below.has(c.id))) {
+        const counts = visit(child, below);
+        total += counts.total;
+        completed += counts.completed;
       }
-    });
-  }
-  
-  // Calculate progress for each branch
-  const branchProgress = {};
-  for (const branch of branches) {
-    branchProgress[branch] = countTasksByBranch(htaData, branch);
-  }
-  
-  return branchProgress;
+    } else {
+      total = 1;
+      completed = node.completed ? 1 : 0;
+    }
+    const entry = { total, completed, percentage: total > 0 ? Math.round((completed / total) * 100) : 0 };
+    progress.set(node.id, entry);
+    return entry;
+  };
+
+  nodes.forEach(node => visit(node, new Set()));
+  return progress;
 }
 
 /**
- * Validate HTA data structure
- * @param {Object} htaData - HTA data object
- * @returns {Object} Validation result
+ * Complete containers whose tasks are all done, and reopen ones that were
+ * completed that way but have since gained an open task. Containers a user
+ * completed by hand are never reopened.
+ * @param {Object} htaData - Tree after ensureHierarchy, modified
+ * @param {Date} [now]
+ * @returns {{completed:Array<object>, reopened:Array<object>}}
  */
-export function validateHTAData(htaData) {
-  const issues = [];
-  const warnings = [];
-  
-  if (!htaData) {
-    issues.push('HTA data is null or undefined');
-    return { valid: false, issues, warnings };
-  }
-  
-  // Check for required fields
-  if (!htaData.frontierNodes && !htaData.frontierNodes) {
-    issues.push('Missing frontier nodes (both frontierNodes and frontierNodes are undefined)');
-  }
-  
-  // Check field consistency
-  if (htaData.frontierNodes && htaData.frontierNodes) {
-    warnings.push('Both frontierNodes and frontierNodes are present - using frontierNodes');
-  }
-  
-  // Validate frontier nodes structure
-  const frontierNodes = htaData.frontierNodes || htaData.frontierNodes || [];
-  if (!Array.isArray(frontierNodes)) {
-    issues.push('Frontier nodes is not an array');
-  } else {
-    frontierNodes.forEach((node, index) => {
-      if (!node) {
-        warnings.push(\`Frontier node at index \${index} is null/undefined\`);
-      } else {
-        if (!node.id && !node.title) {
-          warnings.push(\`Frontier node at index \${index} missing id and title\`);
-        }
-        if (node.completed && typeof node.completed !== 'boolean') {
-          warnings.push(\`Frontier node at index \${index} has non-boolean completed field\`);
-        }
-      }
-    });
-  }
-  
-  // Validate completed nodes structure
-  if (htaData.completedNodes && !Array.isArray(htaData.completedNodes)) {
-    issues.push('Completed nodes is not an array');
+export function syncContainerCompletion(htaData, now = new Date()) {
+  const result = { completed: [], reopened: [] };
+  if (!HTA_HIERARCHY_CONFIG.AUTO_COMPLETE_PARENTS) return result;
+
+  const progress = rollUpProgress(treeNodes(htaData));
+  for (const node of htaData.hierarchyNodes || []) {
+    const { total, completed } = progress.get(node.id);
+    const finished = total > 0 && completed === total;
+    if (finished && !node.completed) {
+      node.completed = true;
+      node.completedAt = now.toISOString();
+      node.autoCompleted = true;
+      result.completed.push(node);
+    } else if (!finished && node.completed && node.autoCompleted) {
+      node.completed = false;
+      node.completedAt = null;
+      delete node.autoCompleted;
+      result.reopened.push(node);
+    }
   }
-  
-  return {
-    valid: issues.length === 0,
-    issues,
-    warnings
-  };
+  return result;
 }
 
 /**
- * Get comprehensive HTA metrics
- * @param {Object} htaData - HTA data object
- * @returns {Object} Comprehensive metrics
+ * Render the hierarchy as an indented markdown list with roll-up
+ * percentages on every container. Open tasks are listed before done ones;
+ * placeholder branches show their goal statement instead.
+ * @param {Object} htaData - Tree after ensureHierarchy
+ * @param {Object} [options]
+ * @param {number} [options.tasksPerNode] - Tasks shown under each container
+ * @returns {string}
  */
-export function getHTAMetrics(htaData) {
-  const validation = validateHTAData(htaData);
-  const progress = calculateProgress(htaData);
-  const branchProgress = getBranchProgress(htaData);
-  
-  return {
-    validation,
-    progress,
-    branchProgress,
-    summary: {
-      totalTasks: progress.total,
-      completedTasks: progress.completed,
-      availableTasks: progress.available,
-      blockedTasks: progress.blocked,
-      completionPercentage: progress.percentage,
-      branchCount: Object.keys(branchProgress).length
+export function renderHierarchy(htaData, { tasksPerNode = HTA_HIERARCHY_CONFIG.STATUS_TASKS_PER_NODE } = {}) {
+  const nodes = treeNodes(htaData);
+  const ids = new Set(nodes.map(node => node.id));
+  const children = buildParentMap(nodes);
+  const progress = rollUpProgress(nodes);
+  const lines = [];
+
+  const render = (node, depth, trail) => {
+    const indent = '  '.repeat(depth);
+    if (!isContainerNode(node)) {
+      lines.push(`${indent}- [${node.completed ? 'x' : ' '}] ${node.title}`);
+      return;
+    }
+    if (node.placeholder) {
+      lines.push(`${indent}- **${node.title}** — not planned yet${node.goalStatement ? `: ${node.goalStatement}` : ''}`);
+      return;
+    }
+    const { total, completed, percentage } = progress.get(node.id);
+    lines.push(`${indent}- ${node.completed ? '✅ ' : ''}**${node.title}** — ${percentage}% (${completed}/${total})`);
+
+    const below = new Set(trail).add(node.id);
+    const kids = (children.get(node.id) || []).filter(child => !below.has(child.id));
+    const tasks = kids.filter(child => !isContainerNode(child))
+      .sort((a, b) => Number(Boolean(a.completed)) - Number(Boolean(b.completed)));
+    kids.filter(isContainerNode).forEach(child => render(child, depth + 1, below));
+    tasks.slice(0, tasksPerNode).forEach(child => render(child, depth + 1, below));
+    if (tasks.length > tasksPerNode) {
+      lines.push(`${indent}  - … ${tasks.length - tasksPerNode} more task(s)`);
     }
   };
-}`;
-
-// Write the content to hta-metrics.js file
-import { writeFileSync } from 'fs';
-try {
-  writeFileSync('./forest-server/utils/hta-metrics.js', htaMetricsContent);
-  console.log('✅ Created hta-metrics.js file');
-} catch (error) {
-  console.error('❌ Failed to create hta-metrics.js:', error.message);
-}
 
+  nodes.filter(node => !ids.has(parentOf(node))).forEach(node => render(node, 0, new Set()));
+  return lines.join('\n');
+}
 
+export default {
+  parentOf,
+  buildParentMap,
+  getChildren,
+  getLeafTasks,
+  flattenToActionTasks,
+  validateHierarchy,
+  buildDependencyGraph,
+  isContainerNode,
+  ensureHierarchy,
+  rollUpProgress,
+  syncContainerCompletion,
+  renderHierarchy,
+  HTA_LEVELS,
+};
@@ -0,0 +1,358 @@
+/**
+ * HTA Rebuild Merge
+ *
+ * Structural diff and merge of an existing HTA tree with a freshly generated
+ * one. Nodes are paired by id when their titles also agree, then by fuzzy
+ * title; paired nodes take the new structure but keep the old id, progress
+ * (completion, actuals, holds, reviews) and prerequisites, and hand edits win
+ * over regenerated values. Old tasks the new tree drops are kept when they
+ * carry progress. The diff records every pairing, addition, removal and
+ * conflict for the change summary shown by build_hta_tree and
+ * preview_hta_rebuild.
+ */
+
+import { HTA_MERGE_CONFIG, HTA_PROGRESS_FIELDS } from '../modules/constants.js';
+import { ensureHierarchy, syncContainerCompletion } from './hta-hierarchy-utils.js';
+
+// Fields update_task and move_task change; a hand-edited value is not overwritten
+const EDITED_FIELDS = ['title', 'description', 'difficulty', 'priority', 'duration', 'branch', 'parentId'];
+const STRUCTURE_FIELDS = ['title', 'description', 'difficulty', 'priority', 'duration', 'branch'];
+
+function normalizeTitle(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.push(text.slice(i, i + 2));
+  }
+  return grams;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Dice coefficient over character bigrams of the normalised titles
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing shared) to 1 (same title)
+ */
+export function titleSimilarity(a, b) {
+  const x = normalizeTitle(a);
+  const y = normalizeTitle(b);
+  if (x === y) return x ? 1 : 0;
+  const gramsX = bigrams(x);
+  const gramsY = bigrams(y);
+  if (gramsX.length === 0 || gramsY.length === 0) return 0;
+
+  const counts = new Map();
+  for (const gram of gramsX) counts.set(gram, (counts.get(gram) || 0) + 1);
+  let shared = 0;
+  for (const gram of gramsY) {
+    if (counts.get(gram) > 0) {
+      shared++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  }
+  return (2 * shared) / (gramsX.length + gramsY.length);
+}
+
+/**
+ * Pair new nodes with old ones: same id and a similar title first, then the
+ * most similar remaining title. Containers only pair within the same level.
+ * @returns {{pairs: Map<string, {old: Object, by: string, similarity: number}>, conflicts: Object[]}}
+ */
+function pairNodes(oldNodes, newNodes, { threshold, sameLevel = false }) {
+  const oldById = new Map(oldNodes.map(node => [node.id, node]));
+  const pairs = new Map();
+  const usedOld = new Set();
+  const conflicts = [];
+
+  // Generated ids are positional, so a shared id only counts when the titles agree too
+  for (const node of newNodes) {
+    const old = oldById.get(node.id);
+    if (!old || (sameLevel && old.level !== node.level)) continue;
+    const similarity = titleSimilarity(old.title, node.title);
+    if (similarity >= threshold || (!old.title && !node.title)) {
+      pairs.set(node.id, { old, by: 'id', similarity });
+      usedOld.add(old.id);
+    }
+  }
+
+  const candidates = [];
+  for (const node of newNodes.filter(n => !pairs.has(n.id))) {
+    for (const old of oldNodes.filter(o => !usedOld.has(o.id))) {
+      if (sameLevel && old.level !== node.level) continue;
+      const similarity = titleSimilarity(old.title, node.title);
+      if (similarity >= threshold) {
+        candidates.push({ node, old, similarity, sameBranch: old.branch === node.branch });
+      }
+    }
+  }
+  candidates.sort((a, b) => b.similarity - a.similarity || Number(b.sameBranch) - Number(a.sameBranch));
+
+  for (const candidate of candidates) {
+    if (pairs.has(candidate.node.id) || usedOld.has(candidate.old.id)) continue;
+    pairs.set(candidate.node.id, { old: candidate.old, by: 'title', similarity: candidate.similarity });
+    usedOld.add(candidate.old.id);
+
+    const runnerUp = candidates.find(other => other !== candidate && other.node === candidate.node &&
+      candidate.similarity - other.similarity <= HTA_MERGE_CONFIG.AMBIGUOUS_MARGIN);
+    if (runnerUp) {
+      conflicts.push({
+        type: 'ambiguous_match',
+        id: candidate.old.id,
+        title: candidate.node.title,
+        message: `"${candidate.node.title}" matched "${candidate.old.title}" but "${runnerUp.old.title}" is nearly as close`
+      });
+    }
+  }
+
+  return { pairs, conflicts };
+}
+
+/**
+ * Final id of every new node: a paired node takes its old node's id, and an
+ * unpaired one that reuses an old node's id is renamed so both can coexist
+ * @returns {Map<string, string>} New id → final id
+ */
+function assignIds(pairs, oldNodes, newNodes) {
+  const oldIds = new Set(oldNodes.map(node => node.id));
+  const taken = new Set([...oldIds, ...newNodes.map(node => node.id)]);
+  const ids = new Map();
+  for (const node of newNodes) {
+    const pair = pairs.get(node.id);
+    if (pair) {
+      ids.set(node.id, pair.old.id);
+    } else if (oldIds.has(node.id)) {
+      let id = `${node.id}_2`;
+      for (let n = 3; taken.has(id); n++) id = `${node.id}_${n}`;
+      taken.add(id);
+      ids.set(node.id, id);
+    }
+  }
+  return ids;
+}
+
+function keepReason(node) {
+  if (node.completed) return 'completed';
+  if (node.updatedAt) return 'edited by hand';
+  if (node.blockedOn || node.deferredUntil) return 'on hold';
+  if (node.actualDuration) return 'has logged time';
+  return null;
+}
+
+function carryProgress(target, old) {
+  for (const field of HTA_PROGRESS_FIELDS) {
+    if (old[field] !== undefined && old[field] !== null) {
+      target[field] = old[field];
+    }
+  }
+}
+
+/**
+ * Merge a regenerated tree into the existing one
+ * @param {Object} previous - Current hta.json
+ * @param {Object} next - Freshly generated tree
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Title similarity needed to pair nodes
+ * @param {Date} [options.now]
+ * @returns {{merged: Object, diff: Object}} Merged tree (inputs are not modified) and the diff
+ */
+export function mergeHTA(previous, next, { threshold = HTA_MERGE_CONFIG.TITLE_MATCH_THRESHOLD, now = new Date() } = {}) {
+  const oldTree = ensureHierarchy(structuredClone(previous || {}));
+  const newTree = ensureHierarchy(structuredClone(next || {}));
+  const diff = {
+    matched: [],
+    added: [],
+    removed: [],
+    kept: [],
+    changed: [],
+    conflicts: [],
+    preserved: { completed: 0, actuals: 0, prerequisites: 0 }
+  };
+
+  // Containers first, so tasks can be re-parented onto surviving ids
+  const containers = pairNodes(oldTree.hierarchyNodes, newTree.hierarchyNodes, { threshold, sameLevel: true });
+  const containerIds = assignIds(containers.pairs, oldTree.hierarchyNodes, newTree.hierarchyNodes);
+  const remapContainer = id => containerIds.get(id) ?? id;
+
+  const hierarchyNodes = newTree.hierarchyNodes.map(node => {
+    const pair = containers.pairs.get(node.id);
+    const merged = { ...node, id: remapContainer(node.id), parentId: node.parentId ? remapContainer(node.parentId) : node.parentId };
+    if (pair) {
+      carryProgress(merged, pair.old);
+      if (!pair.old.placeholder) {
+        // Already decomposed; its tasks come across below
+        delete merged.placeholder;
+      }
+    }
+    return merged;
+  });
+
+  const tasks = pairNodes(oldTree.frontierNodes, newTree.frontierNodes, { threshold });
+  diff.conflicts.push(...containers.conflicts, ...tasks.conflicts);
+  const taskIds = assignIds(tasks.pairs, oldTree.frontierNodes, newTree.frontierNodes);
+  const remapTask = id => taskIds.get(id) ?? id;
+
+  const frontierNodes = newTree.frontierNodes.map(node => {
+    const pair = tasks.pairs.get(node.id);
+    const merged = {
+      ...node,
+      parentId: node.parentId ? remapContainer(node.parentId) : node.parentId,
+      prerequisites: (node.prerequisites || []).map(remapTask)
+    };
+    if (!pair) {
+      merged.id = remapTask(node.id);
+      diff.added.push({ id: merged.id, title: node.title, branch: node.branch });
+      return merged;
+    }
+
+    const { old, by, similarity } = pair;
+    merged.id = old.id;
+    carryProgress(merged, old);
+    diff.matched.push({ id: old.id, title: node.title, previous_title: old.title, by, similarity: Math.round(similarity * 100) / 100 });
+
+    if (old.updatedAt) {
+      const overridden = EDITED_FIELDS.filter(field => old[field] !== undefined && !sameValue(old[field], merged[field]));
+      for (const field of overridden) {
+        merged[field] = old[field];
+      }
+      if (overridden.length > 0) {
+        diff.conflicts.push({
+          type: 'manual_edit',
+          id: old.id,
+          title: old.title,
+          message: `"${old.title}" was edited by hand; kept your ${overridden.join(', ')} over the regenerated value(s)`
+        });
+      }
+    }
+
+    const carried = (old.prerequisites || []).filter(prereq => !merged.prerequisites.includes(prereq));
+    merged.prerequisites = [...merged.prerequisites, ...carried];
+    diff.preserved.prerequisites += carried.length;
+    if (old.completed) diff.preserved.completed++;
+    if (old.actualDuration) diff.preserved.actuals++;
+
+    const fields = STRUCTURE_FIELDS.filter(field => !sameValue(old[field], merged[field]));
+    if (fields.length > 0) {
+      diff.changed.push({ id: old.id, title: merged.title, fields });
+    }
+    return merged;
+  });
+
+  const matchedOld = new Set([...tasks.pairs.values()].map(({ old }) => old.id));
+  for (const old of oldTree.frontierNodes.filter(node => !matchedOld.has(node.id))) {
+    const reason = keepReason(old);
+    if (reason) {
+      frontierNodes.push(old);
+      diff.kept.push({ id: old.id, title: old.title, reason });
+      if (old.completed) diff.preserved.completed++;
+      if (old.actualDuration) diff.preserved.actuals++;
+    } else {
+      diff.removed.push({ id: old.id, title: old.title, branch: old.branch });
+    }
+  }
+
+  // Old containers still holding kept tasks (or kept containers) stay
+  const containerById = new Map(oldTree.hierarchyNodes.map(node => [node.id, node]));
+  const present = new Set(hierarchyNodes.map(node => node.id));
+  const needed = frontierNodes.map(node => node.parentId).filter(Boolean);
+  while (needed.length > 0) {
+    const id = needed.pop();
+    const container = containerById.get(id);
+    if (!present.has(id) && container) {
+      hierarchyNodes.push(container);
+      present.add(id);
+      if (container.parentId) needed.push(container.parentId);
+    }
+  }
+
+  const ids = new Set(frontierNodes.map(node => node.id));
+  for (const node of frontierNodes) {
+    const dangling = (node.prerequisites || []).filter(prereq => !ids.has(prereq));
+    if (dangling.length === 0) continue;
+    node.prerequisites = node.prerequisites.filter(prereq => ids.has(prereq));
+    if (!node.completed) {
+      diff.conflicts.push({
+        type: 'dangling_prerequisite',
+        id: node.id,
+        title: node.title,
+        message: `"${node.title}" depended on removed task(s) ${dangling.join(', ')}; dropped the prerequisite`
+      });
+    }
+  }
+
+  const branches = [...(newTree.strategicBranches || [])];
+  const branchTitles = new Set(branches.map(branch => branch.title || branch.name));
+  for (const branch of oldTree.strategicBranches || []) {
+    const title = branch.title || branch.name;
+    if (!branchTitles.has(title) && frontierNodes.some(node => node.branch === title)) {
+      branches.push(branch);
+      branchTitles.add(title);
+    }
+  }
+
+  const merged = {
+    ...oldTree,
+    ...newTree,
+    created: oldTree.created ?? newTree.created,
+    completedNodes: oldTree.completedNodes || [],
+    strategicBranches: branches,
+    hierarchyNodes,
+    frontierNodes,
+    lastUpdated: now.toISOString(),
+    hierarchyMetadata: {
+      ...oldTree.hierarchyMetadata,
+      ...newTree.hierarchyMetadata,
+      total_tasks: frontierNodes.length,
+      last_modified: now.toISOString()
+    }
+  };
+  syncContainerCompletion(ensureHierarchy(merged), now);
+
+  return { merged, diff };
+}
+
+/**
+ * Human-readable change summary for a merge diff
+ * @param {Object} diff - From mergeHTA
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Titles listed per section
+ * @returns {string} Markdown
+ */
+export function summarizeHTAMerge(diff, { limit = HTA_MERGE_CONFIG.SUMMARY_LIMIT } = {}) {
+  const list = (items, format) => items.slice(0, limit).map(format).join(', ') +
+    (items.length > limit ? ` … and ${items.length - limit} more` : '');
+  const byTitle = diff.matched.filter(match => match.by === 'title');
+
+  const lines = [
+    `**Changes**: ${diff.matched.length} matched (${byTitle.length} by title), ${diff.added.length} added, ` +
+      `${diff.removed.length} removed, ${diff.kept.length} kept from the current tree`,
+    `**Preserved**: ${diff.preserved.completed} completed, ${diff.preserved.actuals} with logged time, ` +
+      `${diff.preserved.prerequisites} prerequisite link(s)`
+  ];
+  if (diff.added.length > 0) {
+    lines.push(`**Added**: ${list(diff.added, node => `"${node.title}"`)}`);
+  }
+  if (diff.removed.length > 0) {
+    lines.push(`**Removed**: ${list(diff.removed, node => `"${node.title}"`)}`);
+  }
+  if (diff.kept.length > 0) {
+    lines.push(`**Kept**: ${list(diff.kept, node => `"${node.title}" (${node.reason})`)}`);
+  }
+  if (byTitle.length > 0) {
+    lines.push(`**Renamed**: ${list(byTitle, match => `"${match.previous_title}" → "${match.title}"`)}`);
+  }
+  const changed = diff.changed.filter(change => !(change.fields.length === 1 && change.fields[0] === 'title'));
+  if (changed.length > 0) {
+    lines.push(`**Changed**: ${list(changed, change => `"${change.title}" (${change.fields.join(', ')})`)}`);
+  }
+  if (diff.conflicts.length > 0) {
+    lines.push(`**Conflicts** (${diff.conflicts.length}):`, ...diff.conflicts.map(conflict => `⚠️ ${conflict.message}`));
+  }
+  return lines.join('\n');
+}
@@ -6,6 +6,8 @@
  * and calculation methods across HTA status and analytics modules.
  */
 
+import { holdReason } from './hta-eligibility.js';
+
 /**
  * Count frontier nodes with field name compatibility
  * @param {Object} htaData - HTA data object
@@ -61,6 +63,7 @@ export function getAvailableNodes(htaData) {
     node && 
     !node.completed && 
     !node.blocked && 
+    !holdReason(node) &&
     node.status !== 'blocked' &&
     node.status !== 'completed' &&
     node.branch && validBranchIdentifiers.has(node.branch)
@@ -81,7 +84,7 @@ export function getBlockedNodes(htaData) {
   return frontierNodes.filter(node => 
     node && 
     !node.completed && 
-    (node.blocked || node.status === 'blocked')
+    (node.blocked || node.status === 'blocked' || holdReason(node) !== null)
   );
 }
 
@@ -123,6 +126,24 @@ export function calculateProgress(htaData) {
   };
 }
 
+/**
+ * Minutes for a task duration ("45 minutes", "1.5 hours", "2h", or a number of minutes)
+ * @param {string|number} duration - Duration as stored on HTA nodes
+ * @param {number} fallback - Minutes when the duration is missing or unreadable
+ * @returns {number} Minutes
+ */
+export function parseDurationMinutes(duration, fallback = 30) {
+  if (typeof duration === 'number' && Number.isFinite(duration) && duration > 0) {
+    return duration;
+  }
+  const match = typeof duration === 'string' ? duration.match(/(\d+(?:\.\d+)?)\s*(h|hr|hour|m|min|minute)?/i) : null;
+  if (!match) {
+    return fallback;
+  }
+  const value = parseFloat(match[1]);
+  return match[2]?.toLowerCase().startsWith('h') ? Math.round(value * 60) : Math.round(value);
+}
+
 /**
  * Count tasks by branch
  * @param {Object} htaData - HTA data object
@@ -0,0 +1,205 @@
+/**
+ * HTA Revision Diffs
+ *
+ * Invertible diffs between two versions of an hta.json document. Arrays of
+ * objects with unique ids (frontierNodes, completedNodes, strategicBranches
+ * ...) are diffed node by node; every other top-level field is diffed as a
+ * whole value. A patch carries both sides of each change, so the same patch
+ * moves a tree forward (redo) or backward (undo).
+ */
+
+/**
+ * @typedef {Record<string, any>} HtaDocument
+ */
+
+/**
+ * @typedef {Record<string, any> & {id: string|number}} HtaRecord
+ */
+
+/**
+ * @typedef {Object} NodesChange
+ * @property {'nodes'} kind
+ * @property {Array<HtaRecord>} added
+ * @property {Array<HtaRecord>} removed
+ * @property {Array<{id: string|number, before: HtaRecord, after: HtaRecord}>} changed
+ * @property {Array<string|number>} orderBefore
+ * @property {Array<string|number>} orderAfter
+ */
+
+/**
+ * @typedef {Object} ValueChange
+ * @property {'value'} kind
+ * @property {unknown} [before] - Omitted when the field did not exist
+ * @property {unknown} [after] - Omitted when the field was removed
+ */
+
+/**
+ * @typedef {{fields: Record<string, NodesChange|ValueChange>}} HtaPatch
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {value is HtaDocument}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => isDeepEqual(item, b[i]));
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+  const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+  const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+  return keysA.length === keysB.length && keysA.every(key => isDeepEqual(a[key], b[key]));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Array<HtaRecord>}
+ */
+function isNodeList(value) {
+  if (!Array.isArray(value)) return false;
+  const ids = new Set();
+  for (const item of value) {
+    if (!isPlainObject(item) || (typeof item.id !== 'string' && typeof item.id !== 'number') || ids.has(item.id)) {
+      return false;
+    }
+    ids.add(item.id);
+  }
+  return true;
+}
+
+/**
+ * @param {Array<HtaRecord>} before
+ * @param {Array<HtaRecord>} after
+ * @returns {NodesChange|null}
+ */
+function diffNodes(before, after) {
+  const beforeById = new Map(before.map(node => [node.id, node]));
+  const afterById = new Map(after.map(node => [node.id, node]));
+  /** @type {NodesChange} */
+  const change = {
+    kind: 'nodes',
+    added: after.filter(node => !beforeById.has(node.id)),
+    removed: before.filter(node => !afterById.has(node.id)),
+    changed: after
+      .filter(node => beforeById.has(node.id) && !isDeepEqual(beforeById.get(node.id), node))
+      .map(node => ({ id: node.id, before: /** @type {HtaRecord} */ (beforeById.get(node.id)), after: node })),
+    orderBefore: before.map(node => node.id),
+    orderAfter: after.map(node => node.id)
+  };
+  const reordered = !isDeepEqual(change.orderBefore, change.orderAfter);
+  return change.added.length || change.removed.length || change.changed.length || reordered ? change : null;
+}
+
+/**
+ * Diff two HTA documents
+ * @param {HtaDocument|null} before - Stored tree (null when there was none)
+ * @param {HtaDocument} after - Tree about to be stored
+ * @param {Object} [options]
+ * @param {string[]} [options.ignore] - Bookkeeping fields left out of the patch (e.g. lastUpdated)
+ * @returns {HtaPatch} Patch; absent sides of a value change are omitted
+ */
+export function diffHTA(before, after, options = {}) {
+  /** @type {HtaDocument} */
+  const prev = isPlainObject(before) ? before : {};
+  /** @type {HtaDocument} */
+  const next = isPlainObject(after) ? after : {};
+  const ignore = new Set(options.ignore || []);
+  /** @type {HtaPatch['fields']} */
+  const fields = {};
+
+  for (const key of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    if (ignore.has(key)) continue;
+    const a = prev[key];
+    const b = next[key];
+    if (isDeepEqual(a, b)) continue;
+
+    if (isNodeList(a) && isNodeList(b)) {
+      const change = diffNodes(a, b);
+      if (change) fields[key] = change;
+      continue;
+    }
+
+    /** @type {ValueChange} */
+    const change = { kind: 'value' };
+    if (a !== undefined) change.before = a;
+    if (b !== undefined) change.after = b;
+    fields[key] = change;
+  }
+
+  return { fields };
+}
+
+/**
+ * @param {HtaPatch|null|undefined} patch
+ * @returns {boolean} True when the patch changes nothing
+ */
+export function isEmptyPatch(patch) {
+  return !patch || Object.keys(patch.fields || {}).length === 0;
+}
+
+/**
+ * Apply a patch to a tree without mutating it
+ * @param {HtaDocument|null} data - Current tree
+ * @param {HtaPatch} patch - Patch from diffHTA
+ * @param {'forward'|'reverse'} direction - forward re-applies the change, reverse undoes it
+ * @returns {HtaDocument} New tree
+ */
+export function applyHTAPatch(data, patch, direction = 'forward') {
+  /** @type {HtaDocument} */
+  const result = structuredClone(isPlainObject(data) ? data : {});
+  const forward = direction === 'forward';
+
+  for (const [key, change] of Object.entries(patch.fields || {})) {
+    if (change.kind === 'nodes') {
+      /** @type {Array<HtaRecord>} */
+      const current = Array.isArray(result[key]) ? result[key] : [];
+      const byId = new Map(current.map(node => [node.id, node]));
+      for (const node of forward ? change.removed : change.added) byId.delete(node.id);
+      for (const node of forward ? change.added : change.removed) byId.set(node.id, structuredClone(node));
+      for (const { id, before, after } of change.changed) byId.set(id, structuredClone(forward ? after : before));
+
+      // Follow the recorded order; nodes it does not mention (edited since) keep their place at the end
+      const order = forward ? change.orderAfter : change.orderBefore;
+      const ordered = order.filter(id => byId.has(id)).map(id => /** @type {HtaRecord} */ (byId.get(id)));
+      const listed = new Set(order);
+      result[key] = [...ordered, ...[...byId.values()].filter(node => !listed.has(node.id))];
+      continue;
+    }
+
+    const side = forward ? 'after' : 'before';
+    if (side in change) {
+      result[key] = structuredClone(change[side]);
+    } else {
+      delete result[key];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Counts for revision listings
+ * @param {HtaPatch} patch - Patch from diffHTA
+ * @returns {{added: number, removed: number, changed: number, fields: string[]}} Node counts and touched fields
+ */
+export function summarizeHTAPatch(patch) {
+  const summary = { added: 0, removed: 0, changed: 0, fields: Object.keys(patch.fields || {}) };
+  for (const change of Object.values(patch.fields || {})) {
+    if (change.kind === 'nodes') {
+      summary.added += change.added.length;
+      summary.removed += change.removed.length;
+      summary.changed += change.changed.length;
+    }
+  }
+  return summary;
+}
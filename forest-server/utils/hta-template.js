@@ -0,0 +1,216 @@
+/**
+ * HTA Template Utility
+ *
+ * Turns a path's hta.json into a reusable template and back. Saving strips
+ * progress (completions, actuals, holds, review schedules) and replaces the
+ * source project's goal, interests and weekly hours with {{goal}},
+ * {{interests}} and {{weekly_hours}} placeholders; instantiating fills them
+ * in for a new project. Templates are checked here before they are saved or
+ * used.
+ */
+
+import { HTA_PROGRESS_FIELDS, TEMPLATE_CONFIG } from '../modules/constants.js';
+import { validateHTAData } from './hta-metrics.js';
+
+const SAFE_TEMPLATE_ID = /^[A-Za-z0-9_][A-Za-z0-9_-]*$/;
+const PLACEHOLDER = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+// Structure worth carrying into a new project; everything else is rebuilt
+const TREE_KEYS = ['goal', 'context', 'learningStyle', 'focusAreas', 'complexity', 'strategicBranches', 'hierarchyNodes', 'frontierNodes'];
+
+// Identifiers keep their text so references between nodes survive
+const ID_KEYS = new Set(['id', 'parentId', 'parent_id', 'prerequisites', 'objectiveId']);
+
+const PARAMETER_DESCRIPTIONS = {
+  goal: 'Goal of the new project',
+  interests: 'Specific interests, comma separated',
+  weekly_hours: 'Hours per week set aside for the goal'
+};
+
+function mapStrings(value, fn, key = null) {
+  if (ID_KEYS.has(key)) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return fn(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, fn));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn, k)]));
+  }
+  return value;
+}
+
+function stripProgress(node) {
+  const copy = { ...node };
+  for (const field of HTA_PROGRESS_FIELDS) {
+    delete copy[field];
+  }
+  copy.completed = false;
+  return copy;
+}
+
+/**
+ * Placeholder names used anywhere in a tree
+ * @param {Object} tree - Template tree
+ * @returns {string[]} Sorted unique names
+ */
+export function templatePlaceholders(tree) {
+  const names = new Set();
+  mapStrings(tree, text => {
+    for (const match of text.matchAll(PLACEHOLDER)) {
+      names.add(match[1]);
+    }
+    return text;
+  });
+  return [...names].sort();
+}
+
+/**
+ * Build a template from a path's HTA tree
+ * @param {Object} htaData - Source tree
+ * @param {Object} options
+ * @param {string} options.id - Template id
+ * @param {string} options.name - Display name
+ * @param {string} [options.description]
+ * @param {Object} [options.source] - Values to parameterise
+ * @param {string} [options.source.goal]
+ * @param {string[]} [options.source.interests]
+ * @param {number|null} [options.source.weeklyHours]
+ * @param {string} [options.createdAt] - ISO timestamp
+ * @returns {Object} Template with format, schemaVersion, parameters and tree
+ */
+export function buildTemplate(htaData, { id, name, description = '', source = {}, createdAt = new Date().toISOString() }) {
+  const { goal = '', interests = [], weeklyHours = null } = source;
+
+  const tree = {};
+  for (const key of TREE_KEYS) {
+    if (htaData[key] !== undefined) {
+      tree[key] = htaData[key];
+    }
+  }
+  tree.frontierNodes = (htaData.frontierNodes || []).map(stripProgress);
+  if (htaData.hierarchyNodes) {
+    tree.hierarchyNodes = htaData.hierarchyNodes.map(stripProgress);
+  }
+
+  // Longest first, so a goal that mentions an interest is replaced whole
+  const replacements = [[goal, '{{goal}}'], [interests.join(', '), '{{interests}}'], ...interests.map(i => [i, '{{interests}}'])]
+    .filter(([text]) => typeof text === 'string' && text.trim().length >= 3)
+    .sort((a, b) => b[0].length - a[0].length);
+  const hours = weeklyHours ? new RegExp(`\\b${String(weeklyHours).replace('.', '\\.')} (hours?|hrs?)\\b`, 'g') : null;
+
+  const parameterised = mapStrings(tree, text => {
+    let result = text;
+    for (const [from, to] of replacements) {
+      result = result.split(from).join(to);
+    }
+    return hours ? result.replace(hours, '{{weekly_hours}} $1') : result;
+  });
+
+  const defaults = { interests: 'your interests', weekly_hours: weeklyHours || 5 };
+  return {
+    format: TEMPLATE_CONFIG.FORMAT,
+    schemaVersion: TEMPLATE_CONFIG.SCHEMA_VERSION,
+    id,
+    name,
+    description,
+    createdAt,
+    parameters: TEMPLATE_CONFIG.PARAMETERS.map(param => ({
+      name: param,
+      description: PARAMETER_DESCRIPTIONS[param],
+      ...(param === 'goal' ? { required: true } : { default: defaults[param] })
+    })),
+    tree: parameterised
+  };
+}
+
+/**
+ * Check a template's envelope, its parameters and its tree (via validateHTAData)
+ * @param {Object} template - Parsed template
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateTemplate(template) {
+  const errors = [];
+  const warnings = [];
+
+  if (!template || typeof template !== 'object' || template.format !== TEMPLATE_CONFIG.FORMAT) {
+    return { valid: false, errors: [`Not a ${TEMPLATE_CONFIG.FORMAT} document`], warnings };
+  }
+  if (!Number.isInteger(template.schemaVersion) || template.schemaVersion < 1) {
+    errors.push(`Invalid schema version: ${template.schemaVersion}`);
+  } else if (template.schemaVersion > TEMPLATE_CONFIG.SCHEMA_VERSION) {
+    errors.push(`Template schema v${template.schemaVersion} is newer than supported v${TEMPLATE_CONFIG.SCHEMA_VERSION}`);
+  }
+  if (!SAFE_TEMPLATE_ID.test(template.id || '')) {
+    errors.push(`Invalid template id '${template.id}'`);
+  }
+  if (!template.name) {
+    errors.push('Template has no name');
+  }
+
+  const parameters = Array.isArray(template.parameters) ? template.parameters : [];
+  const declared = new Set(parameters.map(param => param.name));
+  for (const name of templatePlaceholders(template.tree || {})) {
+    if (!declared.has(name)) {
+      errors.push(`Tree uses undeclared parameter {{${name}}}`);
+    }
+  }
+
+  // validateHTAData's warnings fire on every tree, so only its issues count
+  errors.push(...validateHTAData(template.tree).issues);
+
+  const nodes = [...(template.tree?.hierarchyNodes || []), ...(Array.isArray(template.tree?.frontierNodes) ? template.tree.frontierNodes : [])];
+  const ids = new Set();
+  for (const node of nodes) {
+    if (node?.id && ids.has(node.id)) {
+      errors.push(`Duplicate node id '${node.id}'`);
+    }
+    ids.add(node?.id);
+  }
+  for (const node of nodes) {
+    const missing = (node?.prerequisites || []).filter(prereq => !ids.has(prereq));
+    if (missing.length > 0) {
+      warnings.push(`'${node.id}' has unknown prerequisite(s): ${missing.join(', ')}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Fill a template's placeholders to produce a fresh HTA tree
+ * @param {Object} template - Validated template
+ * @param {Object<string, any>} values - Parameter values by name; omitted ones use their default
+ * @returns {Object} HTA tree with no progress
+ * @throws {Error} When a required parameter has no value
+ */
+export function instantiateTemplate(template, values = {}) {
+  const resolved = {};
+  const missing = [];
+  for (const param of template.parameters || []) {
+    const value = values[param.name] ?? param.default;
+    if (value === undefined || value === null || value === '') {
+      if (param.required) {
+        missing.push(param.name);
+      }
+      continue;
+    }
+    resolved[param.name] = String(value);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing template parameter(s): ${missing.join(', ')}`);
+  }
+
+  const tree = mapStrings(template.tree, text =>
+    text.replace(PLACEHOLDER, (placeholder, name) => resolved[name] ?? placeholder)
+  );
+  tree.frontierNodes = (tree.frontierNodes || []).map(stripProgress);
+  if (tree.hierarchyNodes) {
+    tree.hierarchyNodes = tree.hierarchyNodes.map(stripProgress);
+  }
+  tree.completedNodes = [];
+  return tree;
+}
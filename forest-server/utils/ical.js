@@ -0,0 +1,317 @@
+/**
+ * iCalendar (RFC 5545) Utility
+ *
+ * Serialises Forest schedule blocks into VEVENTs and parses external .ics
+ * files into busy slots that the schedulers can plan around. Times are written
+ * as floating local times because schedule blocks carry wall-clock start times.
+ */
+
+import { ScheduleBlock } from '../models/schedule-block.js';
+import { ICAL_CONFIG, TIME_CONVERSION } from '../modules/constants.js';
+
+const MINUTES_PER_DAY = TIME_CONVERSION.HOURS_PER_DAY * TIME_CONVERSION.MINUTES_PER_HOUR;
+
+const pad = n => String(n).padStart(2, '0');
+
+// Internal commitment timestamps are floating local "YYYY-MM-DDTHH:MM" strings
+function toLocalTimestamp(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Reverse escapeText for values read from an .ics file
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+export function unescapeText(value) {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 §3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+export function foldLine(line) {
+  if (Buffer.byteLength(line) <= ICAL_CONFIG.MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let limit = ICAL_CONFIG.MAX_LINE_OCTETS;
+
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+      limit = ICAL_CONFIG.MAX_LINE_OCTETS - 1; // continuation lines start with a space
+    }
+    current += ch;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as a floating local DATE-TIME (YYYYMMDDTHHMMSS)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+export function formatLocalDateTime(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar UTC date-time
+ */
+export function formatUtcDateTime(date) {
+  return `${date.toISOString().replace(/[-:]/g, '').split('.')[0]}Z`;
+}
+
+/**
+ * Build a UID that stays the same across re-exports of the same block
+ * @param {string} projectId - Owning project
+ * @param {string} date - Schedule date (YYYY-MM-DD)
+ * @param {string} blockId - Schedule block id
+ * @returns {string} Stable UID
+ */
+export function buildBlockUid(projectId, date, blockId) {
+  const safe = value => String(value).replace(/[^A-Za-z0-9_.-]/g, '-');
+  return `${safe(projectId)}-${date}-${safe(blockId)}@${ICAL_CONFIG.UID_DOMAIN}`;
+}
+
+/**
+ * Serialise daily schedules into a VCALENDAR document
+ * @param {Array<{date: string, blocks: Array, generated?: string}>} schedules - Day schedules
+ * @param {Object} options - Export options
+ * @param {string} options.projectId - Project the schedules belong to
+ * @param {boolean} [options.includeBreaks=true] - Include break and meal blocks
+ * @param {string} [options.calendarName] - X-WR-CALNAME value
+ * @returns {{ics: string, eventCount: number}} Calendar text and number of VEVENTs
+ */
+export function buildICalendar(schedules, { projectId, includeBreaks = true, calendarName = 'Forest Schedule' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_CONFIG.PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`
+  ];
+  let eventCount = 0;
+
+  for (const schedule of schedules) {
+    const baseDate = new Date(`${schedule.date}T00:00:00`);
+    const dtstamp = formatUtcDateTime(schedule.generated ? new Date(schedule.generated) : new Date());
+
+    for (const data of schedule.blocks || []) {
+      let block;
+      try {
+        block = ScheduleBlock.fromData(data);
+      } catch {
+        continue; // Blocks without id/title/startTime cannot become events
+      }
+
+      if (!includeBreaks && (block.type === 'break' || block.type === 'meal')) {
+        continue;
+      }
+
+      const start = block.getStartTimeAsDate(baseDate);
+      if (Number.isNaN(start.getTime())) {
+        continue;
+      }
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${buildBlockUid(projectId, schedule.date, block.id)}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART:${formatLocalDateTime(start)}`,
+        `DTEND:${formatLocalDateTime(block.getEndTime(baseDate))}`,
+        `SUMMARY:${escapeText(block.title)}`
+      );
+      if (block.description) {
+        lines.push(`DESCRIPTION:${escapeText(block.description)}`);
+      }
+      lines.push(`CATEGORIES:${block.type.toUpperCase()}`);
+      if (block.completed) {
+        lines.push('X-FOREST-COMPLETED:TRUE');
+      }
+      lines.push('END:VEVENT');
+      eventCount++;
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return {
+    ics: `${lines.map(foldLine).join('\r\n')}\r\n`,
+    eventCount
+  };
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value into a floating local timestamp
+ * @param {string} value - Raw property value
+ * @returns {{local: string, allDay: boolean}|null} "YYYY-MM-DDTHH:MM" plus all-day flag
+ */
+export function parseICalDateTime(value) {
+  const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, y, mo, d, h, mi, s, utc] = match;
+  if (h === undefined) {
+    return { local: `${y}-${mo}-${d}T00:00`, allDay: true };
+  }
+
+  if (utc) {
+    const date = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +(s || 0)));
+    return { local: toLocalTimestamp(date), allDay: false };
+  }
+
+  return { local: `${y}-${mo}-${d}T${h}:${mi}`, allDay: false };
+}
+
+/**
+ * Parse an iCalendar DURATION value into minutes
+ * @param {string} value - e.g. "PT1H30M" or "P1D"
+ * @returns {number|null} Minutes or null when the value is not a duration
+ */
+export function parseICalDuration(value) {
+  const match = String(value || '').trim().match(/^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, w = 0, d = 0, h = 0, m = 0] = match;
+  return (+w * 7 + +d) * MINUTES_PER_DAY + +h * TIME_CONVERSION.MINUTES_PER_HOUR + +m;
+}
+
+function addMinutesToLocal(local, minutes) {
+  const date = new Date(`${local}:00`);
+  date.setMinutes(date.getMinutes() + minutes);
+  return toLocalTimestamp(date);
+}
+
+/**
+ * Parse VEVENTs out of an .ics document. TZID parameters are read as floating
+ * local time and recurrence rules are not expanded.
+ * @param {string} icsText - Calendar file contents
+ * @returns {Array<{uid: string, summary: string, start: string, end: string, allDay: boolean, transparent: boolean}>} Events
+ */
+export function parseICalendar(icsText) {
+  const unfolded = String(icsText || '').replace(/\r?\n[ \t]/g, '');
+  const events = [];
+  let current = null;
+
+  for (const rawLine of unfolded.split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) {
+        const event = toCommitment(current, events.length);
+        if (event) {
+          events.push(event);
+        }
+      }
+      current = null;
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+      continue;
+    }
+    const name = line.slice(0, colon).split(';')[0].toUpperCase();
+    if (!(name in current)) {
+      current[name] = line.slice(colon + 1);
+    }
+  }
+
+  return events;
+}
+
+function toCommitment(props, index) {
+  const start = parseICalDateTime(props.DTSTART);
+  if (!start) {
+    return null;
+  }
+
+  let end = parseICalDateTime(props.DTEND);
+  if (!end) {
+    const minutes = parseICalDuration(props.DURATION);
+    const fallback = start.allDay ? MINUTES_PER_DAY : 0;
+    end = { local: addMinutesToLocal(start.local, minutes ?? fallback), allDay: start.allDay };
+  }
+
+  return {
+    uid: props.UID ? unescapeText(props.UID) : `imported-${index}`,
+    summary: unescapeText(props.SUMMARY || 'Busy'),
+    start: start.local,
+    end: end.local,
+    allDay: start.allDay,
+    transparent: String(props.TRANSP || '').toUpperCase() === 'TRANSPARENT'
+  };
+}
+
+/**
+ * Turn imported commitments into busy slots (minutes from midnight) for one day.
+ * All-day and transparent events do not block time.
+ * @param {Array} events - Events from parseICalendar
+ * @param {string} dateStr - Day to project onto (YYYY-MM-DD)
+ * @returns {Array<{start: number, end: number, title: string}>} Sorted, merged busy slots
+ */
+export function getBusySlotsForDate(events, dateStr) {
+  const toMinutes = local => {
+    const [h, m] = local.split('T')[1].split(':').map(Number);
+    return h * TIME_CONVERSION.MINUTES_PER_HOUR + m;
+  };
+
+  const slots = (events || [])
+    .filter(e => !e.allDay && !e.transparent && e.start && e.end)
+    .filter(e => e.start.slice(0, 10) <= dateStr && e.end.slice(0, 10) >= dateStr && e.end > e.start)
+    .map(e => ({
+      start: e.start.slice(0, 10) < dateStr ? 0 : toMinutes(e.start),
+      end: e.end.slice(0, 10) > dateStr ? MINUTES_PER_DAY : toMinutes(e.end),
+      title: e.summary
+    }))
+    .filter(slot => slot.end > slot.start)
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const merged = [];
+  for (const slot of slots) {
+    const last = merged[merged.length - 1];
+    if (last && slot.start <= last.end) {
+      last.end = Math.max(last.end, slot.end);
+      last.title = `${last.title}, ${slot.title}`;
+    } else {
+      merged.push({ ...slot });
+    }
+  }
+
+  return merged;
+}
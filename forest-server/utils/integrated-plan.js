@@ -0,0 +1,255 @@
+/**
+ * Integrated Plan Utility
+ *
+ * Plans one day across several projects without ping-ponging between them.
+ * Free time is first divided between projects by priority weight, capped by
+ * what each project's weekly budget still allows today and by how much work
+ * it has. The day is then filled with per-project focus blocks: each block
+ * holds consecutive tasks from one project and is never shorter than the
+ * minimum block length (short work is padded with wrap-up time rather than
+ * followed by a switch). The project furthest from its share goes next, so
+ * the same inputs always give the same day.
+ */
+
+/**
+ * @typedef {Object} PlanTask
+ * @property {string} id
+ * @property {string} project_id
+ * @property {string} title
+ * @property {number} est_minutes
+ * @property {number} [difficulty]
+ * @property {number} [priority]
+ */
+
+/**
+ * @typedef {Object} PlanProject
+ * @property {string} id
+ * @property {number} weight
+ * @property {number|null} [allowanceMinutes] - Null when unlimited
+ */
+
+/**
+ * @typedef {Object} BlockTask
+ * @property {string} task_id
+ * @property {string} title
+ * @property {number} start
+ * @property {number} end
+ * @property {number} minutes
+ */
+
+/**
+ * @typedef {Object} FocusBlock
+ * @property {string} project_id
+ * @property {number} start - Minutes from midnight
+ * @property {number} end
+ * @property {number} minutes
+ * @property {number} bufferMinutes - Wrap-up time padding the block to the minimum length
+ * @property {Array<BlockTask>} tasks
+ */
+
+/**
+ * Split minutes between projects in proportion to weight, never giving a
+ * project more than its cap (water-filling)
+ * @param {number} total - Minutes to share
+ * @param {Array<{id: string, weight: number, cap: number}>} projects
+ * @returns {Record<string, number>} Minutes by project id
+ */
+export function divideByWeight(total, projects) {
+  /** @type {Record<string, number>} */
+  const shares = Object.fromEntries(projects.map(project => [project.id, 0]));
+  let remaining = total;
+  let open = projects.filter(project => project.cap > 0 && project.weight > 0);
+
+  while (remaining > 0.5 && open.length > 0) {
+    const weight = open.reduce((sum, project) => sum + project.weight, 0);
+    const capped = open.filter(project => remaining * project.weight / weight >= project.cap - shares[project.id]);
+    if (capped.length === 0) {
+      open.forEach(project => { shares[project.id] += remaining * project.weight / weight; });
+      break;
+    }
+    for (const project of capped) {
+      remaining -= project.cap - shares[project.id];
+      shares[project.id] = project.cap;
+    }
+    open = open.filter(project => !capped.includes(project));
+  }
+
+  return Object.fromEntries(Object.entries(shares).map(([id, minutes]) => [id, Math.floor(minutes)]));
+}
+
+/**
+ * Tasks in the order a project's focus blocks take them
+ * @param {number} energyLevel
+ * @returns {(a: PlanTask, b: PlanTask) => number}
+ */
+function taskOrder(energyLevel) {
+  return (a, b) => (b.priority || 0) - (a.priority || 0) ||
+    Math.abs((a.difficulty || 3) - energyLevel) - Math.abs((b.difficulty || 3) - energyLevel) ||
+    String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Plan the day
+ * @param {Array<PlanTask>} tasks
+ * @param {Array<{start: number, end: number}>} windows - Free time in minutes from midnight, sorted
+ * @param {Array<PlanProject>} projects
+ * @param {Object} options
+ * @param {number} options.minBlockMinutes
+ * @param {number} options.maxBlockMinutes - Longest focus block before another project is preferred
+ * @param {number} [options.energyLevel=3]
+ * @returns {{blocks: Array<FocusBlock>, shares: Record<string, number>, unscheduled: Array<{id: string, project_id: string, title: string, reason: string}>}}
+ */
+export function planIntegratedDay(tasks, windows, projects, options) {
+  const { minBlockMinutes, maxBlockMinutes, energyLevel = 3 } = options;
+  /** @type {Map<string, Array<PlanTask>>} */
+  const queues = new Map(projects.map(project => [
+    project.id,
+    tasks.filter(task => task.project_id === project.id).sort(taskOrder(energyLevel))
+  ]));
+
+  const free = windows.reduce((sum, window) => sum + window.end - window.start, 0);
+  /** @param {string} projectId */
+  const queueOf = projectId => queues.get(projectId) || [];
+  const shares = divideByWeight(free, projects.map(project => {
+    const demand = queueOf(project.id).reduce((sum, task) => sum + task.est_minutes, 0);
+    return {
+      id: project.id,
+      weight: project.weight,
+      cap: Math.min(project.allowanceMinutes ?? Infinity, demand > 0 ? Math.max(demand, minBlockMinutes) : 0)
+    };
+  }));
+  const left = { ...shares };
+  const weightOf = Object.fromEntries(projects.map(project => [project.id, project.weight]));
+
+  /** @type {Array<FocusBlock>} */
+  const blocks = [];
+  for (const window of windows) {
+    let cursor = window.start;
+    const stuck = new Set(); // Projects whose next task cannot fit in what is left of this window
+
+    while (window.end - cursor >= minBlockMinutes) {
+      const previous = blocks[blocks.length - 1];
+      let candidates = projects
+        .map(project => project.id)
+        .filter(id => !stuck.has(id) && queueOf(id).length > 0 && left[id] >= minBlockMinutes);
+      // A long focus block hands over to another project when there is one
+      const continuing = previous && previous.end === cursor && previous.minutes >= maxBlockMinutes;
+      if (continuing && candidates.length > 1) {
+        candidates = candidates.filter(id => id !== previous.project_id);
+      }
+      if (candidates.length === 0) {
+        break;
+      }
+      candidates.sort((a, b) => left[b] - left[a] || weightOf[b] - weightOf[a] || a.localeCompare(b));
+
+      const projectId = candidates[0];
+      const limit = Math.min(window.end - cursor, maxBlockMinutes, left[projectId]);
+      const queue = queueOf(projectId);
+      /** @type {Array<PlanTask>} */
+      const taken = [];
+      let used = 0;
+      for (let i = 0; i < queue.length; i++) {
+        if (used + queue[i].est_minutes <= limit) {
+          taken.push(queue[i]);
+          used += queue[i].est_minutes;
+          queue.splice(i--, 1);
+        }
+      }
+      if (taken.length === 0) {
+        stuck.add(projectId);
+        continue;
+      }
+
+      const minutes = Math.max(used, minBlockMinutes);
+      let start = cursor;
+      blocks.push({
+        project_id: projectId,
+        start: cursor,
+        end: cursor + minutes,
+        minutes,
+        bufferMinutes: minutes - used,
+        tasks: taken.map(task => {
+          const entry = { task_id: task.id, title: task.title, start, end: start + task.est_minutes, minutes: task.est_minutes };
+          start += task.est_minutes;
+          return entry;
+        })
+      });
+      left[projectId] -= minutes;
+      cursor += minutes;
+    }
+  }
+
+  /** @param {string} projectId */
+  const reasonFor = projectId => {
+    const allowance = projects.find(project => project.id === projectId)?.allowanceMinutes;
+    if (allowance !== null && allowance !== undefined && allowance < minBlockMinutes) {
+      return 'Weekly budget used up';
+    }
+    return shares[projectId] < minBlockMinutes ? 'Project share is below the minimum block length' : 'No room left today';
+  };
+  const unscheduled = [...queues.values()].flat().map(task => ({
+    id: task.id,
+    project_id: task.project_id,
+    title: task.title,
+    reason: reasonFor(task.project_id)
+  }));
+  return { blocks, shares, unscheduled };
+}
+
+/**
+ * Turn flat task entries (e.g. from the LLM) into focus blocks, or explain why they are unusable
+ * @param {Array<{task_id: string, project_id: string, start: number, end: number}>} entries - Times in minutes
+ * @param {Array<PlanTask>} tasks - Candidate tasks
+ * @param {Array<{start: number, end: number}>} windows
+ * @param {number} minBlockMinutes
+ * @returns {{blocks: Array<FocusBlock>|null, problem: string|null}}
+ */
+export function groupEntries(entries, tasks, windows, minBlockMinutes) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const sorted = [...entries].sort((a, b) => a.start - b.start);
+  /** @type {Array<FocusBlock>} */
+  const blocks = [];
+  /** @type {Set<string>} */
+  const seen = new Set();
+
+  for (const entry of sorted) {
+    const task = byId.get(entry.task_id);
+    if (!task || task.project_id !== entry.project_id) {
+      return { blocks: null, problem: `unknown task ${entry.task_id}` };
+    }
+    if (seen.has(entry.task_id)) {
+      return { blocks: null, problem: `task ${entry.task_id} is scheduled twice` };
+    }
+    if (!(entry.end > entry.start) || !windows.some(window => entry.start >= window.start && entry.end <= window.end)) {
+      return { blocks: null, problem: `task ${entry.task_id} is outside the free time` };
+    }
+    const previous = blocks[blocks.length - 1];
+    if (previous && entry.start < previous.end) {
+      return { blocks: null, problem: `task ${entry.task_id} overlaps another task` };
+    }
+    seen.add(entry.task_id);
+
+    const item = { task_id: task.id, title: task.title, start: entry.start, end: entry.end, minutes: entry.end - entry.start };
+    if (previous && previous.project_id === entry.project_id && previous.end === entry.start) {
+      previous.tasks.push(item);
+      previous.end = entry.end;
+      previous.minutes = previous.end - previous.start;
+    } else {
+      blocks.push({ project_id: entry.project_id, start: entry.start, end: entry.end, minutes: item.minutes, bufferMinutes: 0, tasks: [item] });
+    }
+  }
+
+  const short = blocks.find(block => block.minutes < minBlockMinutes);
+  if (short) {
+    return { blocks: null, problem: `a ${short.project_id} block is shorter than ${minBlockMinutes} minutes` };
+  }
+  return { blocks, problem: null };
+}
+
+/**
+ * @param {Array<FocusBlock>} blocks - Focus blocks
+ * @returns {number} Changes of project between consecutive blocks
+ */
+export function countSwitches(blocks) {
+  return blocks.filter((block, index) => index > 0 && block.project_id !== blocks[index - 1].project_id).length;
+}
@@ -0,0 +1,179 @@
+/**
+ * Project Bundle Utility
+ *
+ * Builds, verifies and upgrades the single-file archive used to back up a
+ * project or move it between machines. A bundle holds every JSON file of the
+ * project keyed by its path relative to the project directory, plus a
+ * manifest with per-file SHA-256 checksums and the bundle schema version.
+ */
+
+import crypto from 'crypto';
+import { BUNDLE_CONFIG } from '../modules/constants.js';
+
+const SAFE_SEGMENT = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+// Same legacy keys DataPersistence.migrateSnakeToCamel renames on load
+const LEGACY_HTA_KEYS = {
+  frontier_nodes: 'frontierNodes',
+  completed_nodes: 'completedNodes',
+  hierarchy_metadata: 'hierarchyMetadata',
+  learning_style: 'learningStyle',
+  focus_areas: 'focusAreas'
+};
+
+/**
+ * Migration chain. Each entry upgrades a bundle's files from version N to N+1;
+ * migrateBundle applies them in order until SCHEMA_VERSION is reached.
+ */
+export const BUNDLE_MIGRATIONS = {
+  // v1 bundles were written before HTA files moved to camelCase keys
+  1: files => Object.fromEntries(Object.entries(files).map(([relPath, data]) => {
+    if (!relPath.endsWith('hta.json') || !data || typeof data !== 'object') {
+      return [relPath, data];
+    }
+    const upgraded = { ...data };
+    for (const [snake, camel] of Object.entries(LEGACY_HTA_KEYS)) {
+      if (upgraded[snake] !== undefined) {
+        upgraded[camel] = upgraded[camel] ?? upgraded[snake];
+        delete upgraded[snake];
+      }
+    }
+    return [relPath, upgraded];
+  }))
+};
+
+/**
+ * SHA-256 of a file's JSON serialisation
+ * @param {any} data - Parsed file contents
+ * @returns {string} Hex digest
+ */
+export function checksum(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+/**
+ * Bundle paths must stay inside the project directory and name JSON files
+ * @param {string} relPath - Path relative to the project directory
+ * @returns {boolean} Whether the path is safe to write
+ */
+export function isSafeBundlePath(relPath) {
+  if (typeof relPath !== 'string' || !relPath.endsWith('.json')) {
+    return false;
+  }
+  return relPath.split('/').every(segment => SAFE_SEGMENT.test(segment) && segment !== '..');
+}
+
+function manifestChecksum(entries) {
+  return crypto.createHash('sha256').update(entries.map(e => `${e.path}:${e.sha256}`).join('\n')).digest('hex');
+}
+
+/**
+ * Assemble a bundle from a project's files
+ * @param {string} projectId - Source project id
+ * @param {Object<string, any>} files - Parsed JSON keyed by relative path
+ * @param {Object} [options]
+ * @param {string} [options.exportedAt] - ISO timestamp recorded in the manifest
+ * @param {number} [options.schemaVersion] - Version to stamp (defaults to current)
+ * @returns {Object} Bundle with format, schemaVersion, manifest and files
+ */
+export function buildBundle(projectId, files, { exportedAt = new Date().toISOString(), schemaVersion = BUNDLE_CONFIG.SCHEMA_VERSION } = {}) {
+  const paths = Object.keys(files).sort();
+  const entries = paths.map(relPath => ({
+    path: relPath,
+    sha256: checksum(files[relPath]),
+    bytes: Buffer.byteLength(JSON.stringify(files[relPath]))
+  }));
+
+  return {
+    format: BUNDLE_CONFIG.FORMAT,
+    schemaVersion,
+    manifest: {
+      projectId,
+      exportedAt,
+      fileCount: entries.length,
+      files: entries,
+      checksum: manifestChecksum(entries)
+    },
+    files: Object.fromEntries(paths.map(relPath => [relPath, files[relPath]]))
+  };
+}
+
+/**
+ * Check a bundle's envelope, paths and checksums before anything is written
+ * @param {Object} bundle - Parsed bundle
+ * @returns {{valid: boolean, errors: string[]}} Verification result
+ */
+export function verifyBundle(bundle) {
+  const errors = [];
+
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_CONFIG.FORMAT) {
+    return { valid: false, errors: [`Not a ${BUNDLE_CONFIG.FORMAT} document`] };
+  }
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+    errors.push(`Invalid schema version: ${bundle.schemaVersion}`);
+  } else if (bundle.schemaVersion > BUNDLE_CONFIG.SCHEMA_VERSION) {
+    errors.push(`Bundle schema v${bundle.schemaVersion} is newer than supported v${BUNDLE_CONFIG.SCHEMA_VERSION}`);
+  }
+
+  const manifest = bundle.manifest || {};
+  const entries = Array.isArray(manifest.files) ? manifest.files : [];
+  const files = bundle.files && typeof bundle.files === 'object' ? bundle.files : {};
+
+  if (!manifest.projectId) {
+    errors.push('Manifest is missing projectId');
+  }
+  if (entries.length === 0) {
+    errors.push('Manifest lists no files');
+  }
+
+  for (const entry of entries) {
+    if (!isSafeBundlePath(entry.path)) {
+      errors.push(`Unsafe file path: ${entry.path}`);
+    } else if (!(entry.path in files)) {
+      errors.push(`Missing file: ${entry.path}`);
+    } else if (checksum(files[entry.path]) !== entry.sha256) {
+      errors.push(`Checksum mismatch: ${entry.path}`);
+    }
+  }
+
+  const listed = new Set(entries.map(e => e.path));
+  for (const relPath of Object.keys(files)) {
+    if (!listed.has(relPath)) {
+      errors.push(`File not in manifest: ${relPath}`);
+    }
+  }
+
+  if (entries.length > 0 && manifest.checksum !== manifestChecksum(entries)) {
+    errors.push('Manifest checksum mismatch');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Upgrade a verified bundle to the current schema version
+ * @param {Object} bundle - Verified bundle
+ * @returns {{bundle: Object, applied: number[]}} Current-version bundle and the versions migrated from
+ */
+export function migrateBundle(bundle) {
+  let files = bundle.files;
+  const applied = [];
+
+  for (let version = bundle.schemaVersion; version < BUNDLE_CONFIG.SCHEMA_VERSION; version++) {
+    const migrate = BUNDLE_MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from bundle schema v${version}`);
+    }
+    files = migrate(files);
+    applied.push(version);
+  }
+
+  if (applied.length === 0) {
+    return { bundle, applied };
+  }
+
+  return {
+    bundle: buildBundle(bundle.manifest.projectId, files, { exportedAt: bundle.manifest.exportedAt }),
+    applied
+  };
+}
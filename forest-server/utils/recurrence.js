@@ -0,0 +1,274 @@
+/**
+ * Recurrence & Habit Streak Utility
+ *
+ * Recurring habit and maintenance items: a small recurrence model (daily,
+ * weekdays, every N days, an RRULE subset), the occurrences it produces, and
+ * streak / missed-occurrence statistics over per-occurrence completions.
+ * Dates are calendar days ("YYYY-MM-DD") handled in UTC, matching the day_*.json
+ * schedule files.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const SUPPORTED_RECURRENCE = 'daily, weekdays, weekly, "every N days" or an RRULE with FREQ=DAILY|WEEKLY, INTERVAL, BYDAY, COUNT, UNTIL';
+
+/**
+ * @typedef {Object} RecurrenceRule
+ * @property {'DAILY'|'WEEKLY'} freq
+ * @property {number} interval
+ * @property {number[]} [byDay] - Weekdays, 0 (Sunday) to 6
+ * @property {number} [count] - Occurrences before the rule ends
+ * @property {string} [until] - Last possible day (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} RecurringItem
+ * @property {string} id
+ * @property {string|Object} recurrence - As accepted by parseRecurrence
+ * @property {string} startDate - YYYY-MM-DD
+ * @property {boolean} [active]
+ * @property {Record<string, Object>} [completions] - Completion details by occurrence date
+ */
+
+/** @param {string} date */
+function toDayNumber(date) {
+  if (!DATE_PATTERN.test(String(date))) {
+    throw new Error(`Invalid date '${date}': expected YYYY-MM-DD`);
+  }
+  return Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+/** @param {number} day */
+function fromDayNumber(day) {
+  return new Date(day * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(date, days) {
+  return fromDayNumber(toDayNumber(date) + days);
+}
+
+/** @param {number} day */
+function weekdayOf(day) {
+  // Day 0 (1970-01-01) was a Thursday
+  return (day + 4) % 7;
+}
+
+/**
+ * @param {string} text
+ * @returns {RecurrenceRule}
+ */
+function parseRRule(text) {
+  /** @type {Record<string, string>} */
+  const parts = Object.fromEntries(
+    text.replace(/^RRULE:/i, '').split(';').filter(Boolean).map(part => {
+      const [key, value = ''] = part.split('=');
+      return [key.trim().toUpperCase(), value.trim().toUpperCase()];
+    })
+  );
+
+  const freq = parts.FREQ;
+  if (freq !== 'DAILY' && freq !== 'WEEKLY') {
+    throw new Error(`Unsupported RRULE FREQ '${freq || ''}'. Supported: ${SUPPORTED_RECURRENCE}`);
+  }
+
+  /** @type {RecurrenceRule} */
+  const rule = { freq, interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1 };
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(',').map(code => {
+      const index = WEEKDAY_CODES.indexOf(code.trim());
+      if (index === -1) {
+        throw new Error(`Unsupported BYDAY value '${code}'`);
+      }
+      return index;
+    });
+  }
+  if (parts.COUNT) {
+    rule.count = parseInt(parts.COUNT, 10);
+  }
+  if (parts.UNTIL) {
+    const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) {
+      throw new Error(`Invalid RRULE UNTIL '${parts.UNTIL}'`);
+    }
+    rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  return rule;
+}
+
+/**
+ * Normalise a recurrence description into { freq, interval, byDay?, count?, until? }
+ * @param {string|Partial<RecurrenceRule>|null|undefined} input - "daily", "weekdays", "weekly", "every 3 days", "RRULE:FREQ=WEEKLY;BYDAY=MO,TH" or a normalised object
+ * @returns {RecurrenceRule} Recurrence rule
+ */
+export function parseRecurrence(input) {
+  /** @type {RecurrenceRule} */
+  let rule;
+  if (input && typeof input === 'object') {
+    const freq = String(input.freq || '').toUpperCase();
+    if (freq !== 'DAILY' && freq !== 'WEEKLY') {
+      throw new Error(`Unsupported recurrence frequency '${input.freq}'. Supported: ${SUPPORTED_RECURRENCE}`);
+    }
+    rule = { ...input, freq, interval: input.interval ?? 1 };
+  } else {
+    const text = String(input ?? '').trim();
+    const lower = text.toLowerCase();
+    const everyN = lower.match(/^every\s+(\d+)\s+days?$/);
+
+    if (lower === 'daily' || lower === 'every day') {
+      rule = { freq: 'DAILY', interval: 1 };
+    } else if (lower === 'weekdays' || lower === 'every weekday') {
+      rule = { freq: 'WEEKLY', interval: 1, byDay: WEEKDAYS };
+    } else if (lower === 'weekly' || lower === 'every week') {
+      rule = { freq: 'WEEKLY', interval: 1 };
+    } else if (everyN) {
+      rule = { freq: 'DAILY', interval: parseInt(everyN[1], 10) };
+    } else if (/(^|;|:)FREQ=/i.test(text)) {
+      rule = parseRRule(text);
+    } else {
+      throw new Error(`Unrecognised recurrence '${text}'. Use ${SUPPORTED_RECURRENCE}`);
+    }
+  }
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw new Error(`Recurrence interval must be a positive integer, got ${rule.interval}`);
+  }
+  return rule;
+}
+
+/**
+ * Human-readable recurrence ("Every 2 weeks on Mon, Thu")
+ * @param {RecurrenceRule} rule - Normalised recurrence
+ * @returns {string} Description
+ */
+export function describeRecurrence(rule) {
+  const days = rule.byDay?.map(d => WEEKDAY_CODES[d].charAt(0) + WEEKDAY_CODES[d].charAt(1).toLowerCase());
+  let text;
+  if (rule.freq === 'DAILY') {
+    text = rule.interval === 1 ? 'Daily' : `Every ${rule.interval} days`;
+  } else if (!rule.byDay && rule.interval === 1) {
+    text = 'Weekly';
+  } else if (rule.interval === 1 && rule.byDay?.join() === WEEKDAYS.join()) {
+    text = 'Weekdays';
+  } else {
+    text = `${rule.interval === 1 ? 'Weekly' : `Every ${rule.interval} weeks`}${days ? ` on ${days.join(', ')}` : ''}`;
+  }
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${rule.until}`;
+  return text;
+}
+
+/**
+ * Occurrence dates of a recurring item within [from, to]
+ * @param {RecurrenceRule} rule - Normalised recurrence
+ * @param {string} startDate - First day the item can occur
+ * @param {string} from - Range start (inclusive)
+ * @param {string} to - Range end (inclusive)
+ * @returns {string[]} Sorted dates
+ */
+export function listOccurrences(rule, startDate, from, to) {
+  const start = toDayNumber(startDate);
+  const last = Math.min(toDayNumber(to), rule.until ? toDayNumber(rule.until) : Infinity);
+  const first = toDayNumber(from);
+  // Weekly rules count weeks from the Monday of the start week
+  const startWeek = Math.floor((start - ((weekdayOf(start) + 6) % 7)) / 7);
+  const byDay = rule.byDay || [weekdayOf(start)];
+  /** @type {string[]} */
+  const dates = [];
+  let seen = 0;
+
+  for (let day = start; day <= last; day++) {
+    let occurs;
+    if (rule.freq === 'DAILY') {
+      occurs = (day - start) % rule.interval === 0;
+    } else {
+      const week = Math.floor((day - ((weekdayOf(day) + 6) % 7)) / 7);
+      occurs = (week - startWeek) % rule.interval === 0 && byDay.includes(weekdayOf(day));
+    }
+    if (!occurs) continue;
+
+    seen++;
+    if (rule.count && seen > rule.count) break;
+    if (day >= first) dates.push(fromDayNumber(day));
+  }
+  return dates;
+}
+
+/**
+ * @param {RecurrenceRule} rule - Normalised recurrence
+ * @param {string} startDate - First day the item can occur
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean} True when the item is scheduled on date
+ */
+export function occursOn(rule, startDate, date) {
+  return listOccurrences(rule, startDate, date, date).length === 1;
+}
+
+/**
+ * Streak statistics for one item. An occurrence on asOf that is not done yet
+ * is pending, not missed, so it does not break the current streak.
+ * @param {RecurringItem} item
+ * @param {string} asOf - Reference day (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {number} [options.windowDays=30] - Window for the completion rate
+ * @param {number} [options.missedLookbackDays=14] - How far back missed occurrences are listed
+ * @returns {{currentStreak: number, longestStreak: number, scheduledOccurrences: number, completedOccurrences: number, completionRate: number|null, missed: string[], dueToday: boolean, completedToday: boolean, lastCompleted: string|null, nextDue: string|null}}
+ */
+export function computeStreak(item, asOf, options = {}) {
+  const { windowDays = 30, missedLookbackDays = 14 } = options;
+  const rule = parseRecurrence(item.recurrence);
+  /** @type {Record<string, Object>} */
+  const completions = item.completions || {};
+  const occurrences = item.startDate <= asOf ? listOccurrences(rule, item.startDate, item.startDate, asOf) : [];
+  const dueToday = occurrences[occurrences.length - 1] === asOf;
+  const completedToday = Boolean(completions[asOf]);
+  const settled = dueToday && !completedToday ? occurrences.slice(0, -1) : occurrences;
+
+  let longestStreak = 0;
+  let run = 0;
+  for (const date of settled) {
+    run = completions[date] ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  const windowStart = addDays(asOf, -(windowDays - 1));
+  const windowed = settled.filter(date => date >= windowStart);
+  const missedSince = addDays(asOf, -missedLookbackDays);
+  const completedDates = Object.keys(completions).sort();
+  const upcoming = listOccurrences(rule, item.startDate, addDays(asOf, 1), addDays(asOf, 7 * rule.interval + 7));
+
+  return {
+    currentStreak: run,
+    longestStreak,
+    scheduledOccurrences: settled.length,
+    completedOccurrences: settled.filter(date => completions[date]).length,
+    completionRate: windowed.length > 0
+      ? Math.round((windowed.filter(date => completions[date]).length / windowed.length) * 100) / 100
+      : null,
+    missed: settled.filter(date => date >= missedSince && !completions[date]),
+    dueToday,
+    completedToday,
+    lastCompleted: completedDates[completedDates.length - 1] || null,
+    nextDue: dueToday && !completedToday ? asOf : upcoming[0] || null
+  };
+}
+
+/**
+ * Items scheduled on a date that have not been completed for it yet
+ * @param {Array<RecurringItem>} items - Recurring items
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array<RecurringItem>} Due items sorted by id
+ */
+export function getDueItems(items = [], date) {
+  return items
+    .filter(item => item.active !== false && item.startDate <= date && !item.completions?.[date])
+    .filter(item => occursOn(parseRecurrence(item.recurrence), item.startDate, date))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
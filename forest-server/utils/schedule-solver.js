@@ -0,0 +1,325 @@
+/**
+ * Schedule Solver Utility
+ *
+ * Places work items (tasks and reviews) into the free windows of a day by
+ * local search over their order. A candidate order is decoded left to right:
+ * each item goes at the earliest point that fits (or, when the search has
+ * held it back, no earlier than a given hour), with a transition gap
+ * between consecutive items and a break once continuous work reaches the
+ * focus limit. Orders are scored on priority (and doing important work
+ * early), energy fit by hour, context switches between branches, the number
+ * of separate work sessions and minutes lost to clipping. Prerequisites must
+ * be placed before their dependents. The search is simulated annealing with
+ * a seeded generator, so the same inputs always give the same day.
+ */
+
+export const DEFAULT_WEIGHTS = {
+  priority: 10, // Per scheduled item, scaled by its priority relative to the highest
+  early: 2, // Bonus for high-priority work earlier in the day
+  energy: 3, // Per hour of work at a poor energy fit
+  contextSwitch: 1, // Per change of branch between back-to-back items
+  fragment: 2, // Per separate work session
+  clipped: 6 // Per hour cut from items shortened to fit a window
+};
+
+/**
+ * @typedef {Object} WorkItem
+ * @property {string} key
+ * @property {number} minutes
+ * @property {number} priority
+ * @property {number} difficulty - 1-5
+ * @property {string|null} [branch]
+ * @property {string[]} [prerequisites] - Keys that must be placed first
+ */
+
+/**
+ * @typedef {Object} SolverRules
+ * @property {number} transitionMinutes - Gap between back-to-back items
+ * @property {number} focusMinutes - Continuous work before a break
+ * @property {number} breakMinutes
+ * @property {number} minMinutes - Shortest clipped item worth placing
+ * @property {number} minClipRatio - Smallest share of an item a clipped placement may keep
+ */
+
+/**
+ * @typedef {Object} Placement
+ * @property {WorkItem} item
+ * @property {number} start - Minutes from midnight
+ * @property {number} minutes
+ * @property {number} windowIndex
+ * @property {boolean} contiguous - Follows the previous item without free time between them
+ */
+
+/**
+ * @typedef {{start: number, duration: number}} Gap
+ */
+
+/**
+ * @typedef {{placements: Array<Placement>, breaks: Array<Gap>, transitions: Array<Gap>}} DecodedDay
+ */
+
+/**
+ * @typedef {Object} ScoreContext
+ * @property {number} dayStart
+ * @property {number} dayEnd
+ * @property {number} maxPriority
+ * @property {(hour: number) => number} energyAt - Energy level (1-5) at an hour
+ * @property {typeof DEFAULT_WEIGHTS} weights
+ */
+
+/**
+ * Deterministic PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {function(): number} Values in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {number} 32-bit FNV-1a hash, used to seed the search from its inputs
+ */
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * How poorly a difficulty suits an energy level: hard work at low energy
+ * costs most, easy work at peak energy costs a little
+ * @param {number} difficulty - 1-5
+ * @param {number} energy - 1-5
+ * @returns {number} 0 for a good fit
+ */
+export function energyMismatch(difficulty, energy) {
+  if (difficulty >= 4) {
+    return Math.max(0, 4 - energy);
+  }
+  if (difficulty <= 2) {
+    return Math.max(0, energy - 4) * 0.5;
+  }
+  return Math.max(0, 2 - energy);
+}
+
+/**
+ * Place items in the given order
+ * @param {Array<WorkItem>} order
+ * @param {Set<string>} excluded - Keys deliberately left out
+ * @param {Array<{start: number, end: number}>} windows - Free time, sorted
+ * @param {SolverRules} rules
+ * @param {Map<string, number>} [notBefore] - Earliest start per key, leaving time free before it
+ * @returns {DecodedDay}
+ */
+export function decodeOrder(order, excluded, windows, rules, notBefore = new Map()) {
+  /** @type {Array<Placement>} */
+  const placements = [];
+  /** @type {Array<Gap>} */
+  const breaks = [];
+  /** @type {Array<Gap>} */
+  const transitions = [];
+  /** @type {Set<string>} */
+  const placed = new Set();
+  const keys = new Set(order.map(item => item.key));
+  let windowIndex = 0;
+  let cursor = windows.length > 0 ? windows[0].start : 0;
+  let runMinutes = 0; // Continuous work since the last break or window start
+  /** @type {number|null} */
+  let lastEnd = null; // End of the previous item when it is back to back with the cursor
+
+  for (const item of order) {
+    if (excluded.has(item.key)) {
+      continue;
+    }
+    // Prerequisites among today's candidates must already be placed
+    if ((item.prerequisites || []).some(prereq => keys.has(prereq) && !placed.has(prereq))) {
+      continue;
+    }
+
+    for (let w = windowIndex; w < windows.length; w++) {
+      const window = windows[w];
+      const earliest = notBefore.get(item.key) ?? 0;
+      if (window.end <= earliest) {
+        continue;
+      }
+      let start = Math.max(w === windowIndex ? cursor : window.start, window.start, earliest);
+      /** @type {Gap|null} */
+      let pendingBreak = null;
+      /** @type {Gap|null} */
+      let pendingTransition = null;
+      const contiguous = w === windowIndex && lastEnd === start;
+
+      if (contiguous && runMinutes >= rules.focusMinutes) {
+        pendingBreak = { start, duration: Math.min(rules.breakMinutes, window.end - start) };
+        start += pendingBreak.duration;
+      } else if (contiguous && rules.transitionMinutes > 0) {
+        pendingTransition = { start, duration: Math.min(rules.transitionMinutes, window.end - start) };
+        start += pendingTransition.duration;
+      }
+
+      const room = window.end - start;
+      const minutes = room >= item.minutes
+        ? item.minutes
+        : (room >= rules.minMinutes && room >= item.minutes * rules.minClipRatio ? room : 0);
+      if (minutes === 0) {
+        continue;
+      }
+
+      if (pendingBreak) {
+        breaks.push(pendingBreak);
+        runMinutes = 0;
+      }
+      if (pendingTransition) {
+        transitions.push(pendingTransition);
+      }
+      if (!contiguous) {
+        runMinutes = 0;
+      }
+      placements.push({ item, start, minutes, windowIndex: w, contiguous });
+      placed.add(item.key);
+      windowIndex = w;
+      cursor = start + minutes;
+      lastEnd = cursor;
+      runMinutes += minutes;
+      break;
+    }
+  }
+
+  return { placements, breaks, transitions };
+}
+
+/**
+ * Score a decoded day (higher is better)
+ * @param {DecodedDay} decoded - From decodeOrder
+ * @param {ScoreContext} context
+ * @returns {number}
+ */
+export function scoreDecoded(decoded, context) {
+  const { dayStart, dayEnd, maxPriority, energyAt, weights } = context;
+  const span = Math.max(1, dayEnd - dayStart);
+  let score = 0;
+  /** @type {Placement|null} */
+  let previous = null;
+
+  for (const placement of decoded.placements) {
+    const { item, start, minutes, contiguous } = placement;
+    const weight = item.priority / maxPriority;
+    score += weights.priority * weight;
+    score += weights.early * weight * (1 - (start - dayStart) / span);
+    score -= weights.energy * energyMismatch(item.difficulty, energyAt(Math.floor(start / 60))) * (minutes / 60);
+    score -= weights.clipped * ((item.minutes - minutes) / 60);
+
+    // Breaks and transitions keep a session going; anything longer starts a new one
+    const sameSession = previous && placement.windowIndex === previous.windowIndex && (contiguous || start - (previous.start + previous.minutes) <= 30);
+    if (!sameSession) {
+      score -= weights.fragment;
+    } else if ((item.branch || null) !== (previous?.item.branch || null)) {
+      score -= weights.contextSwitch;
+    }
+    previous = placement;
+  }
+  return score;
+}
+
+/**
+ * Find a good order of work items for the day's free windows
+ * @param {Array<WorkItem>} items
+ * @param {Array<{start: number, end: number}>} windows - Free time in minutes from midnight, sorted
+ * @param {Object} options
+ * @param {function(number): number} options.energyAt - Energy level (1-5) at an hour
+ * @param {SolverRules} options.rules - See decodeOrder
+ * @param {number} [options.iterations=1500]
+ * @param {number} [options.seed] - Defaults to a hash of the item keys
+ * @param {Partial<typeof DEFAULT_WEIGHTS>} [options.weights] - Overrides for DEFAULT_WEIGHTS
+ * @returns {DecodedDay & {unscheduled: Array<WorkItem>, score: number}}
+ */
+export function solveSchedule(items, windows, options) {
+  const weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+  const random = createRandom(options.seed ?? hashSeed(items.map(item => item.key).join('|')));
+  const iterations = options.iterations ?? 1500;
+  /** @type {ScoreContext} */
+  const context = {
+    dayStart: windows.length > 0 ? windows[0].start : 0,
+    dayEnd: windows.length > 0 ? windows[windows.length - 1].end : 0,
+    maxPriority: Math.max(1, ...items.map(item => item.priority)),
+    energyAt: options.energyAt,
+    weights
+  };
+  /**
+   * @param {Array<WorkItem>} order
+   * @param {Set<string>} excluded
+   * @param {Map<string, number>} notBefore
+   */
+  const evaluate = (order, excluded, notBefore) => {
+    const decoded = decodeOrder(order, excluded, windows, options.rules, notBefore);
+    return { order, excluded, notBefore, decoded, score: scoreDecoded(decoded, context) };
+  };
+  // Points an item can be held back to: window starts and the hours inside windows
+  const anchors = windows.flatMap(window => {
+    const points = [window.start];
+    for (let hour = Math.floor(window.start / 60) + 1; hour * 60 < window.end; hour++) {
+      points.push(hour * 60);
+    }
+    return points;
+  });
+
+  // Start from priority order, which is also what the greedy walk would pick first
+  const initial = [...items].sort((a, b) => b.priority - a.priority || a.key.localeCompare(b.key));
+  let current = evaluate(initial, new Set(), new Map());
+  let best = current;
+
+  for (let i = 0; i < iterations && items.length > 0; i++) {
+    const temperature = 2 * (1 - i / iterations) + 0.01;
+    const order = [...current.order];
+    const excluded = new Set(current.excluded);
+    const notBefore = new Map(current.notBefore);
+    const move = random();
+    const a = Math.floor(random() * order.length);
+    const b = Math.floor(random() * order.length);
+
+    if (move < 0.35) {
+      [order[a], order[b]] = [order[b], order[a]];
+    } else if (move < 0.7) {
+      const [moved] = order.splice(a, 1);
+      order.splice(b, 0, moved);
+    } else if (move < 0.9) {
+      const anchor = Math.floor(random() * (anchors.length + 1));
+      if (anchor === anchors.length) {
+        notBefore.delete(order[a].key);
+      } else {
+        notBefore.set(order[a].key, anchors[anchor]);
+      }
+    } else if (excluded.has(order[a].key)) {
+      excluded.delete(order[a].key);
+    } else {
+      excluded.add(order[a].key);
+    }
+
+    const candidate = evaluate(order, excluded, notBefore);
+    const delta = candidate.score - current.score;
+    if (delta >= 0 || random() < Math.exp(delta / temperature)) {
+      current = candidate;
+      if (current.score > best.score) {
+        best = current;
+      }
+    }
+  }
+
+  const placedKeys = new Set(best.decoded.placements.map(placement => placement.item.key));
+  return {
+    ...best.decoded,
+    unscheduled: items.filter(item => !placedKeys.has(item.key)),
+    score: Math.round(best.score * 1000) / 1000
+  };
+}
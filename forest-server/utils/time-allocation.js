@@ -0,0 +1,87 @@
+/**
+ * Time Allocation Utility
+ *
+ * Budget-versus-actual arithmetic for projects and learning paths. Actual time
+ * comes from the time log written at each completed block; budgets are weekly
+ * hours, prorated for periods other than a week. A project is under-served
+ * when it is behind the pace its budget implies for the days already gone.
+ */
+
+import { TIME_ALLOCATION_CONFIG } from '../modules/constants.js';
+import { addDays } from './recurrence.js';
+import { weekdayIndex } from './weekly-plan.js';
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} First day of the budget week containing date
+ */
+export function weekStart(date) {
+  return addDays(date, -((weekdayIndex(date) - TIME_ALLOCATION_CONFIG.WEEK_STARTS_ON + 7) % 7));
+}
+
+/**
+ * @param {*} hours - weekly_hours_budget as given
+ * @returns {number|null} Budget in minutes, or null when unset
+ * @throws {Error} When the value is not a number of hours in a week
+ */
+export function parseWeeklyBudget(hours) {
+  if (hours === null || hours === undefined || hours === '') {
+    return null;
+  }
+  const value = Number(hours);
+  if (!(value > 0) || value > TIME_ALLOCATION_CONFIG.MAX_WEEKLY_HOURS) {
+    throw new Error(`Invalid weekly_hours_budget '${hours}': expected hours between 0 and ${TIME_ALLOCATION_CONFIG.MAX_WEEKLY_HOURS}`);
+  }
+  return Math.round(value * 60);
+}
+
+/**
+ * Total logged minutes in [from, to], overall and by learning path
+ * @param {Array<{date: string, minutes: number, pathName: string}>} entries
+ * @param {string} from - YYYY-MM-DD (inclusive)
+ * @param {string} to - YYYY-MM-DD (inclusive)
+ * @returns {{total: number, byPath: Record<string, number>}}
+ */
+export function sumMinutes(entries, from, to) {
+  /** @type {Record<string, number>} */
+  const byPath = {};
+  let total = 0;
+  for (const entry of entries) {
+    if (entry.date >= from && entry.date <= to) {
+      total += entry.minutes;
+      byPath[entry.pathName] = (byPath[entry.pathName] || 0) + entry.minutes;
+    }
+  }
+  return { total, byPath };
+}
+
+/**
+ * @param {number|null} budgetMinutes - Budget for the period
+ * @param {number} actualMinutes
+ * @param {number|null} [expectedMinutes] - Budget due by now; the whole budget for a finished period
+ * @returns {'no_budget'|'under'|'on_track'|'over'}
+ */
+export function budgetStatus(budgetMinutes, actualMinutes, expectedMinutes = budgetMinutes) {
+  if (!budgetMinutes) {
+    return 'no_budget';
+  }
+  const tolerance = budgetMinutes * TIME_ALLOCATION_CONFIG.ON_TRACK_TOLERANCE;
+  if (actualMinutes > budgetMinutes + tolerance) {
+    return 'over';
+  }
+  return actualMinutes < (expectedMinutes ?? budgetMinutes) - tolerance ? 'under' : 'on_track';
+}
+
+/**
+ * How far behind pace a project is, as a share of its weekly budget
+ * @param {number|null} budgetMinutes - Weekly budget
+ * @param {number} usedMinutes - Logged so far this week
+ * @param {number} expectedMinutes - Budget due by now
+ * @returns {number} 0 (on pace or no budget) to 1 (nothing done of a whole week's budget)
+ */
+export function underServedRatio(budgetMinutes, usedMinutes, expectedMinutes) {
+  if (!budgetMinutes) {
+    return 0;
+  }
+  return Math.min(1, Math.max(0, (expectedMinutes - usedMinutes) / budgetMinutes));
+}
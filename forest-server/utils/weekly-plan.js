@@ -0,0 +1,231 @@
+/**
+ * Weekly Plan Utility
+ *
+ * Spreads open HTA tasks over several days. Each day has a work capacity
+ * (available hours less recurring items) and an energy level read from the
+ * project's free-text energy patterns. Tasks are taken in dependency order,
+ * highest priority first, and each goes to the day that keeps load even and
+ * suits its difficulty, never before the day its prerequisites are planned.
+ */
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const HIGH_ENERGY_WORDS = /\b(high|energetic|energized|peak|best|fresh|sharp|productive)\b/;
+const LOW_ENERGY_WORDS = /\b(low|tired|drained|exhausted|worst|sluggish|slow)\b/;
+
+/**
+ * @typedef {Object} WeekTask
+ * @property {string} id
+ * @property {string} title
+ * @property {number} minutes
+ * @property {number} [difficulty]
+ * @property {number} [priority]
+ * @property {string[]} [prerequisites] - Ids or titles
+ */
+
+/**
+ * @typedef {Object} WeekDay
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} capacityMinutes
+ * @property {number} energyLevel - 1-5
+ */
+
+/**
+ * @typedef {WeekDay & {taskIds: string[], plannedMinutes: number}} PlannedDay
+ */
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+export function weekdayIndex(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * @param {string} clause
+ * @returns {number[]} Weekdays the clause names, Sunday = 0
+ */
+function weekdaysIn(clause) {
+  /** @type {Set<number>} */
+  const days = new Set();
+  if (/\bweekends?\b/.test(clause)) {
+    days.add(0);
+    days.add(6);
+  }
+  if (/\bweekdays?\b/.test(clause)) {
+    [1, 2, 3, 4, 5].forEach(day => days.add(day));
+  }
+  WEEKDAY_NAMES.forEach((name, index) => {
+    if (new RegExp(`\\b${name.slice(0, 3)}(${name.slice(3)})?s?\\b`).test(clause)) {
+      days.add(index);
+    }
+  });
+  return [...days];
+}
+
+/**
+ * Per-weekday energy from text such as "low energy on Mondays, best on weekends"
+ * @param {string} text - constraints.energy_patterns
+ * @param {number} [baseline=3] - Level for days the text does not mention
+ * @returns {Array<number>} Energy level (1-5) indexed by weekday, Sunday first
+ */
+export function parseEnergyPatterns(text, baseline = 3) {
+  const levels = Array(7).fill(baseline);
+  const clauses = String(text || '').toLowerCase().split(/[.;,\n]|\bbut\b|\bwhile\b/);
+
+  for (const clause of clauses) {
+    const days = weekdaysIn(clause);
+    if (days.length === 0) {
+      continue; // Time-of-day remarks are handled within each day's schedule
+    }
+    let level = null;
+    if (HIGH_ENERGY_WORDS.test(clause)) {
+      level = Math.min(5, baseline + 1);
+    } else if (LOW_ENERGY_WORDS.test(clause)) {
+      level = Math.max(1, baseline - 1);
+    }
+    if (level !== null) {
+      days.forEach(day => { levels[day] = level; });
+    }
+  }
+  return levels;
+}
+
+/**
+ * Working hours per weekday
+ * @param {number|string|Object|null} input - One number for every day, or weekday names
+ *   ("mon", "saturday", "weekdays", "weekends") mapped to hours, as an object or "mon:2,sat:4"
+ * @param {number} fallback - Hours for days not given
+ * @returns {Array<number>} Hours indexed by weekday, Sunday first
+ */
+export function parseDailyHours(input, fallback) {
+  if (input === null || input === undefined || input === '') {
+    return Array(7).fill(fallback);
+  }
+  if (typeof input === 'number' || /^\s*\d+(\.\d+)?\s*$/.test(String(input))) {
+    const hours = Number(input);
+    if (!(hours >= 0 && hours <= 24)) {
+      throw new Error(`Invalid daily_hours '${input}': expected 0-24`);
+    }
+    return Array(7).fill(hours);
+  }
+
+  const entries = typeof input === 'object'
+    ? Object.entries(input)
+    : String(input).split(',').map(part => part.split(':').map(piece => piece.trim()));
+  const hoursByDay = Array(7).fill(fallback);
+
+  for (const [key, value] of entries) {
+    const days = weekdaysIn(String(key).toLowerCase());
+    const hours = Number(value);
+    if (days.length === 0) {
+      throw new Error(`Invalid daily_hours day '${key}'`);
+    }
+    if (!(hours >= 0 && hours <= 24)) {
+      throw new Error(`Invalid daily_hours for '${key}': expected 0-24`);
+    }
+    days.forEach(day => { hoursByDay[day] = hours; });
+  }
+  return hoursByDay;
+}
+
+/**
+ * @param {number} difficulty
+ * @param {number} energyLevel
+ */
+function energyMismatch(difficulty, energyLevel) {
+  if (difficulty >= 4) {
+    return Math.max(0, 4 - energyLevel) / 2;
+  }
+  if (difficulty <= 2) {
+    return Math.max(0, energyLevel - 4) / 2;
+  }
+  return 0;
+}
+
+/**
+ * Assign tasks to days
+ * @param {Array<WeekTask>} tasks - Open tasks
+ * @param {Array<WeekDay>} days - In date order
+ * @param {Object} [options]
+ * @param {Set<string>} [options.completed] - Ids and titles of finished tasks
+ * @param {number} [options.energyWeight=0.5] - Cost of a difficulty/energy mismatch, in day-loads
+ * @param {number} [options.latenessWeight=0.05] - Cost per day of pushing a task later
+ * @returns {{days: Array<PlannedDay>, unscheduled: Array<{id: string, title: string, reason: string}>}}
+ */
+export function planWeek(tasks, days, options = {}) {
+  const { completed = new Set(), energyWeight = 0.5, latenessWeight = 0.05 } = options;
+  /** @type {Array<PlannedDay>} */
+  const plan = days.map(day => ({ ...day, taskIds: [], plannedMinutes: 0 }));
+  /** @type {Map<string, number>} */
+  const dayOfTask = new Map();
+  /** @type {Map<string, WeekTask>} */
+  const byKey = new Map();
+  tasks.forEach(task => {
+    byKey.set(task.id, task);
+    if (task.title) {
+      byKey.set(task.title, task);
+    }
+  });
+
+  /** @type {Array<{id: string, title: string, reason: string}>} */
+  const unscheduled = [];
+  const pending = [...tasks].sort((a, b) => (b.priority || 0) - (a.priority || 0) || String(a.id).localeCompare(String(b.id)));
+
+  // Prerequisites that are neither done nor open tasks cannot be satisfied this week
+  /** @param {WeekTask} task */
+  const prerequisitesOf = task => (task.prerequisites || []).filter(prereq => !completed.has(prereq));
+
+  let progressed = true;
+  while (pending.length > 0 && progressed) {
+    progressed = false;
+    for (let i = 0; i < pending.length; i++) {
+      const task = pending[i];
+      const prerequisites = prerequisitesOf(task);
+      const blocking = prerequisites.map(prereq => byKey.get(prereq)).filter(prereq => prereq !== undefined);
+      if (blocking.length < prerequisites.length) {
+        unscheduled.push({ id: task.id, title: task.title, reason: 'Waiting on a prerequisite outside the plan' });
+      } else if (blocking.some(prereq => pending.includes(prereq))) {
+        continue;
+      } else if (blocking.some(prereq => !dayOfTask.has(prereq.id))) {
+        unscheduled.push({ id: task.id, title: task.title, reason: 'A prerequisite could not be planned this week' });
+      } else {
+        // Prerequisites must be finished on an earlier day
+        const earliest = blocking.reduce((max, prereq) => Math.max(max, (dayOfTask.get(prereq.id) ?? -1) + 1), 0);
+        /** @type {{index: number, cost: number}|null} */
+        let best = null;
+        for (let index = earliest; index < plan.length; index++) {
+          const day = plan[index];
+          if (day.capacityMinutes <= 0 || day.plannedMinutes + task.minutes > day.capacityMinutes) {
+            continue;
+          }
+          const cost = (day.plannedMinutes + task.minutes) / day.capacityMinutes +
+            energyWeight * energyMismatch(task.difficulty || 3, day.energyLevel) +
+            latenessWeight * index;
+          if (!best || cost < best.cost) {
+            best = { index, cost };
+          }
+        }
+        if (best) {
+          plan[best.index].taskIds.push(task.id);
+          plan[best.index].plannedMinutes += task.minutes;
+          dayOfTask.set(task.id, best.index);
+        } else {
+          unscheduled.push({
+            id: task.id,
+            title: task.title,
+            reason: earliest >= plan.length ? 'Its prerequisites fill the plan' : 'No day has room for it'
+          });
+        }
+      }
+      pending.splice(i, 1);
+      i--;
+      progressed = true;
+    }
+  }
+
+  for (const task of pending) {
+    unscheduled.push({ id: task.id, title: task.title, reason: 'Circular prerequisites' });
+  }
+  return { days: plan, unscheduled };
+}